@@ -18,6 +18,9 @@ const LiberationBusinessLogicOrchestrator = require('./layer-3-business-logic/Li
 // Layer 5: Data Sovereignty Services
 const DataSovereigntyService = require('./layer-5-data-sovereignty/DataSovereigntyService');
 
+// Layer 5: Domain event bus (backend chosen by DOMAIN_EVENT_BACKEND)
+const { createDomainEventBus } = require('./layer-5-infrastructure/events');
+
 // Contract Implementation Services (Advanced DI)
 const CreatorSovereigntyServiceImpl = require('./layer-3-business-logic/services/CreatorSovereigntyServiceImpl');
 const DemocraticGovernanceServiceImpl = require('./layer-3-business-logic/services/DemocraticGovernanceServiceImpl');
@@ -49,6 +52,14 @@ function bootstrapAllServices() {
       layer: 5
     });
 
+    // LAYER 5: Domain event bus shared by Layer 3 services
+    // (the container calls this with new; returning the bus hands back the configured instance)
+    container.register('domainEventBus', function DomainEventBusFactory() {
+      return createDomainEventBus({ source: 'business-logic' });
+    }, [], {
+      layer: 5
+    });
+
     // LAYER 3: Core Business Logic Services (No cross-dependencies initially)
     container.register('economicJusticeService', EconomicJusticeService, [], {
       layer: 3
@@ -95,7 +106,8 @@ function bootstrapAllServices() {
     container.register('liberationOrchestrator', LiberationBusinessLogicOrchestrator, [
       'newsroomLiberationService',
       'eventsLiberationService',
-      'ivorAILiberationService'
+      'ivorAILiberationService',
+      'domainEventBus'
     ], {
       layer: 3
     });
@@ -151,5 +163,6 @@ module.exports = {
   get eventsLiberationService() { return getService('eventsLiberationService'); },
   get ivorAILiberationService() { return getService('ivorAILiberationService'); },
   get dataSovereigntyService() { return getService('dataSovereigntyService'); },
-  get liberationOrchestrator() { return getService('liberationOrchestrator'); }
+  get liberationOrchestrator() { return getService('liberationOrchestrator'); },
+  get domainEventBus() { return getService('domainEventBus'); }
 };
\ No newline at end of file
@@ -13,7 +13,10 @@ const cluster = require('cluster');
 const os = require('os');
 
 // Import Layer 2 API Gateway with migrated endpoints
-const apiGatewayModule = require('./api-gateway');
+const apiGatewayModule = require('./layer-2-api-gateway/api-gateway');
+// Per-route permission checks on community_members.governance_role, partner
+// API key scopes, and the shared 401/403 responses binding requests to the signed-in member
+const { requirePermission, requireSessionActor, requireApiKeyScope, respondUnauthenticated } = require('./layer-2-api-gateway/CommunityPermissions');
 
 /**
  * Community-Empowering API Gateway Configuration
@@ -43,6 +46,15 @@ class CommunityAPIGatewayDeployment {
   async initializeGateway() {
     console.log('🏴‍☠️ Phase 2: Deploying Community-Controlled API Gateway');
 
+    // JSON request bodies (auth, consent, moderation and governance routes);
+    // the raw bytes are kept so webhook signatures can be checked against them
+    this.app.use(express.json({
+      limit: '1mb',
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    }));
+
     // 1. Configure trauma-informed rate limiting
     await this.configureTraumaInformedRateLimiting();
 
@@ -102,7 +114,8 @@ class CommunityAPIGatewayDeployment {
       }
     });
 
-    // External request limiting (more restrictive)
+    // External request limiting (more restrictive); partners presenting an
+    // API key are limited per key instead
     const externalLimiter = rateLimit({
       windowMs: 15 * 60 * 1000,
       max: 100,
@@ -110,12 +123,63 @@ class CommunityAPIGatewayDeployment {
         error: 'Community protection active',
         guidance: 'Consider joining our community for better access',
         joinCommunity: '/community/join'
+      },
+      skip: (req) => Boolean(req.partner)
+    });
+
+    // Partner API keys: each key's own limit, set when the key is issued
+    this.partnerKeyLimiter = rateLimit({
+      windowMs: 15 * 60 * 1000,
+      max: (req) => req.partner.rateLimitPerWindow,
+      keyGenerator: (req) => req.partner.keyId,
+      message: {
+        error: 'API key request limit reached',
+        guidance: 'Ask the community to review your key\'s limit if you need more',
+        support: '/community/partners'
+      },
+      handler: (req, res, next, options) => {
+        this.trackApiKeyUsage(req, true);
+        res.status(options.statusCode).json(options.message);
+      }
+    });
+
+    // Identify partners by X-API-Key before limiting; a key that is presented must be valid
+    this.identifyPartnerApiKey = async (req, res, next) => {
+      const apiKey = req.get('X-API-Key');
+      if (!apiKey) {
+        return next();
+      }
+
+      try {
+        const partner = await this.validatePartnerApiKey(apiKey);
+        if (!partner) {
+          return respondUnauthenticated(res, 'api_key_invalid');
+        }
+
+        req.partner = partner;
+        next();
+      } catch (error) {
+        console.error('API key verification error:', error);
+        res.status(500).json({ error: 'Partner access temporarily unavailable', traumaInformed: true });
+      }
+    };
+
+    // Sign-in attempts (slows password guessing)
+    const authLimiter = rateLimit({
+      windowMs: 15 * 60 * 1000,
+      max: 30,
+      message: {
+        error: 'Too many sign-in attempts',
+        guidance: 'Take a breath and try again in a few minutes',
+        support: '/community/support'
       }
     });
 
+    this.app.use('/api/auth', authLimiter);
     this.app.use('/api/community', communityMemberLimiter);
     this.app.use('/api/creator', creatorProtectionLimiter);
-    this.app.use('/api/external', externalLimiter);
+    this.app.use('/api/external', this.identifyPartnerApiKey, externalLimiter);
+    this.app.use('/api/v1/webhooks', this.identifyPartnerApiKey, externalLimiter);
 
     console.log('✅ Trauma-informed rate limiting configured');
   }
@@ -127,50 +191,83 @@ class CommunityAPIGatewayDeployment {
   async setupCommunityAuthentication() {
     console.log('🔐 Setting up community authentication service...');
 
+    // Session endpoints (public: they are how members obtain tokens)
+    this.app.post('/api/auth/login', async (req, res) => {
+      try {
+        return await this.apiGateway.login(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Community login temporarily unavailable', traumaInformed: true });
+      }
+    });
+
+    this.app.post('/api/auth/refresh', async (req, res) => {
+      try {
+        return await this.apiGateway.refreshSession(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Session refresh temporarily unavailable', traumaInformed: true });
+      }
+    });
+
+    this.app.post('/api/auth/logout', async (req, res) => {
+      try {
+        return await this.apiGateway.logout(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Community logout temporarily unavailable', traumaInformed: true });
+      }
+    });
+
+    // Account endpoints (public: registration and recovery happen before sign-in)
+    this.app.post('/api/auth/register', async (req, res) => {
+      try {
+        return await this.apiGateway.register(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Community registration temporarily unavailable', traumaInformed: true });
+      }
+    });
+
+    this.app.post('/api/auth/password-reset', async (req, res) => {
+      try {
+        return await this.apiGateway.requestPasswordReset(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Password reset temporarily unavailable', traumaInformed: true });
+      }
+    });
+
+    this.app.post('/api/auth/password-reset/confirm', async (req, res) => {
+      try {
+        return await this.apiGateway.resetPassword(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Password reset temporarily unavailable', traumaInformed: true });
+      }
+    });
+
+    this.app.post('/api/auth/verify-email', async (req, res) => {
+      try {
+        return await this.apiGateway.verifyEmail(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Email verification temporarily unavailable', traumaInformed: true });
+      }
+    });
+
     // Community token validation middleware
-    this.app.use('/api/protected', async (req, res, next) => {
+    const communityAuthentication = async (req, res, next) => {
       const startTime = Date.now();
 
       try {
-        const token = req.headers.authorization?.replace('Bearer ', '');
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
 
-        if (!token) {
-          return res.status(401).json({
-            error: 'Community access required',
-            traumaInformed: true,
-            guidance: 'Join our community to access these features',
-            joinPath: '/community/join'
-          });
+        if (scheme !== 'Bearer' || !token) {
+          return respondUnauthenticated(res, 'authentication_required');
         }
 
-        // Validate community token (mock implementation)
+        // Signed access token, live session and active member
         const identity = await this.validateCommunityToken(token);
 
         if (!identity) {
-          return res.status(401).json({
-            error: 'Community verification needed',
-            support: 'Contact community support for assistance',
-            privacy: 'Your privacy is protected'
-          });
-        }
-
-        // Liberation compliance validation
-        const liberationCompliant = this.validateLiberationCompliance(identity);
-
-        if (!liberationCompliant) {
-          return res.status(403).json({
-            error: 'Liberation values verification required',
-            guidance: 'Ensure your actions align with community values',
-            values: '/community/values'
-          });
+          return respondUnauthenticated(res, 'session_invalid');
         }
 
         req.user = identity;
-        req.liberationContext = {
-          stage: identity.liberationStage,
-          sovereigntyScore: identity.sovereigntyScore,
-          communityContributions: identity.communityContributions
-        };
 
         const responseTime = Date.now() - startTime;
         this.updateLiberationMetrics('authResponseTime', responseTime);
@@ -189,7 +286,16 @@ class CommunityAPIGatewayDeployment {
           support: '/community/support'
         });
       }
-    });
+    };
+
+    // Routes that also need a permission mount this ahead of requirePermission()
+    this.communityAuthentication = communityAuthentication;
+
+    this.app.use('/api/protected', communityAuthentication);
+    // Member self-service routes act on the authenticated member's own data
+    this.app.use('/api/v1/me', communityAuthentication);
+    // Creator exports hold personal and financial data
+    this.app.use('/api/creator/:id/export', communityAuthentication);
 
     console.log('✅ Community authentication service active');
   }
@@ -236,34 +342,11 @@ class CommunityAPIGatewayDeployment {
       }
     });
 
-    // Creator content control endpoint
-    this.app.put('/api/creator/:id/content/:contentId', async (req, res) => {
+    // Creator content control endpoint: the creator is the signed-in member
+    this.app.put('/api/creator/:id/content/:contentId', this.communityAuthentication, requirePermission('creator:publish'), async (req, res) => {
       try {
-        const { id: creatorId, contentId } = req.params;
-        const updates = req.body;
-
-        // Validate creator ownership
-        const ownershipValid = await this.validateCreatorOwnership(creatorId, contentId);
-        if (!ownershipValid) {
-          return res.status(403).json({
-            error: 'Creator sovereignty protected',
-            message: 'Only content creators can modify their work',
-            support: '/creator/ownership-verification'
-          });
-        }
-
-        // Apply creator-controlled updates
-        const result = await this.updateCreatorContent(contentId, updates, creatorId);
-
-        res.json({
-          success: true,
-          contentId,
-          creatorId,
-          sovereigntyMaintained: true,
-          narrativeControlPreserved: true,
-          revenueRightsProtected: true,
-          result
-        });
+        const result = await this.apiGateway.updateCreatorContent(req, res);
+        return result;
       } catch (error) {
         console.error('Creator content error:', error);
         res.status(500).json({
@@ -274,6 +357,21 @@ class CommunityAPIGatewayDeployment {
       }
     });
 
+    // Creator data export: portable archive of revenue, content and consent history
+    this.app.get('/api/creator/:id/export', async (req, res) => {
+      try {
+        const result = await this.apiGateway.exportCreatorData(req, res);
+        return result;
+      } catch (error) {
+        console.error('Creator export error:', error);
+        res.status(500).json({
+          error: 'Creator data export temporarily unavailable',
+          sovereignty: 'Your data remains yours; please retry shortly',
+          support: '/creator/support'
+        });
+      }
+    });
+
     console.log('✅ Creator sovereignty routes deployed with 75% enforcement');
   }
 
@@ -284,35 +382,11 @@ class CommunityAPIGatewayDeployment {
   async configureDemocraticGovernanceEndpoints() {
     console.log('🗳️ Configuring democratic governance endpoints...');
 
-    // Community voting endpoint
-    this.app.post('/api/governance/vote', async (req, res) => {
+    // Community voting endpoint: the voter is the signed-in member, and the
+    // ballot is stored under their voting pseudonym
+    this.app.post('/api/governance/vote', this.communityAuthentication, requirePermission('governance:vote'), requireSessionActor('memberId', 'voterId'), async (req, res) => {
       try {
-        const { proposalId, vote, memberId } = req.body;
-
-        // Validate one-member-one-vote
-        const alreadyVoted = await this.checkExistingVote(proposalId, memberId);
-        if (alreadyVoted) {
-          return res.status(409).json({
-            error: 'Democratic principle: One member, one vote',
-            governance: 'Your voice has already been heard on this proposal',
-            transparency: '/governance/proposal/' + proposalId
-          });
-        }
-
-        // Record democratic vote
-        const voteResult = await this.recordDemocraticVote(proposalId, vote, memberId);
-
-        res.json({
-          success: true,
-          proposalId,
-          voteRecorded: true,
-          democraticProcess: 'one-member-one-vote',
-          transparency: true,
-          communityGovernance: true,
-          result: voteResult
-        });
-
-        this.updateLiberationMetrics('democraticParticipationRate', voteResult.participationRate);
+        return await this.apiGateway.castVote(req, res);
       } catch (error) {
         console.error('Governance voting error:', error);
         res.status(500).json({
@@ -323,33 +397,11 @@ class CommunityAPIGatewayDeployment {
       }
     });
 
-    // Community proposal endpoint
-    this.app.post('/api/governance/proposal', async (req, res) => {
+    // Community proposal endpoint: the proposer is the signed-in member, and
+    // the proposal starts as a draft only they can see
+    this.app.post('/api/governance/proposal', this.communityAuthentication, requirePermission('governance:propose'), requireSessionActor('memberId', 'createdBy', 'created_by'), async (req, res) => {
       try {
-        const proposal = req.body;
-        const memberId = req.user.memberId;
-
-        // Validate community member standing
-        const memberStanding = await this.validateMemberStanding(memberId);
-        if (!memberStanding.canPropose) {
-          return res.status(403).json({
-            error: 'Community participation required',
-            guidance: 'Engage with the community before proposing changes',
-            pathToParticipation: '/community/engagement'
-          });
-        }
-
-        // Create democratic proposal
-        const proposalResult = await this.createCommunityProposal(proposal, memberId);
-
-        res.json({
-          success: true,
-          proposalId: proposalResult.id,
-          democraticProcess: true,
-          communityReview: true,
-          votingPeriod: proposalResult.votingPeriod,
-          transparency: '/governance/proposal/' + proposalResult.id
-        });
+        return await this.apiGateway.createGovernanceProposal(req, res);
       } catch (error) {
         console.error('Governance proposal error:', error);
         res.status(500).json({
@@ -360,6 +412,230 @@ class CommunityAPIGatewayDeployment {
       }
     });
 
+    this.app.post('/api/governance/proposals/:proposalId/submit', this.communityAuthentication, requirePermission('governance:propose'), async (req, res) => {
+      try {
+        return await this.apiGateway.submitGovernanceProposal(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Proposal submission failed', details: error.message });
+      }
+    });
+
+    this.app.post('/api/governance/proposals/:proposalId/amend', this.communityAuthentication, requirePermission('governance:propose'), async (req, res) => {
+      try {
+        return await this.apiGateway.amendGovernanceProposal(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Proposal amendment failed', details: error.message });
+      }
+    });
+
+    this.app.post('/api/governance/proposals/:proposalId/withdraw', this.communityAuthentication, requirePermission('governance:propose'), async (req, res) => {
+      try {
+        return await this.apiGateway.withdrawGovernanceProposal(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Proposal withdrawal failed', details: error.message });
+      }
+    });
+
+    // Amendments are written against a specific version of the proposal text;
+    // the proposer accepts them or members vote them through
+    this.app.post('/api/governance/proposals/:proposalId/amendments', this.communityAuthentication, requirePermission('governance:propose'), async (req, res) => {
+      try {
+        return await this.apiGateway.proposeAmendment(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Amendment submission failed', details: error.message });
+      }
+    });
+
+    this.app.get('/api/governance/proposals/:proposalId/amendments', this.communityAuthentication, async (req, res) => {
+      try {
+        return await this.apiGateway.listAmendments(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Proposal amendments unavailable', details: error.message });
+      }
+    });
+
+    this.app.post('/api/governance/proposals/:proposalId/amendments/:amendmentId/accept', this.communityAuthentication, requirePermission('governance:propose'), async (req, res) => {
+      try {
+        return await this.apiGateway.acceptAmendment(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Amendment acceptance failed', details: error.message });
+      }
+    });
+
+    this.app.post('/api/governance/proposals/:proposalId/amendments/:amendmentId/votes', this.communityAuthentication, requirePermission('governance:vote'), async (req, res) => {
+      try {
+        return await this.apiGateway.voteOnAmendment(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Amendment vote failed', details: error.message });
+      }
+    });
+
+    this.app.get('/api/governance/proposals/:proposalId/versions', this.communityAuthentication, async (req, res) => {
+      try {
+        return await this.apiGateway.listProposalVersions(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Proposal versions unavailable', details: error.message });
+      }
+    });
+
+    this.app.get('/api/governance/proposals/:proposalId/diff', this.communityAuthentication, async (req, res) => {
+      try {
+        return await this.apiGateway.diffProposalVersions(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Proposal diff unavailable', details: error.message });
+      }
+    });
+
+    // Proposals and their timelines are open to every member; results appear once tallied
+    this.app.get('/api/governance/proposals', this.communityAuthentication, async (req, res) => {
+      try {
+        return await this.apiGateway.listGovernanceProposals(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Governance proposals unavailable', details: error.message });
+      }
+    });
+
+    this.app.get('/api/governance/proposals/:proposalId', this.communityAuthentication, async (req, res) => {
+      try {
+        return await this.apiGateway.getGovernanceProposal(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Governance proposal unavailable', details: error.message });
+      }
+    });
+
+    // Governance roles change only by enacting an approved role_change proposal
+    this.app.post('/api/governance/role-grants', this.communityAuthentication, requirePermission('governance:enact'), async (req, res) => {
+      try {
+        return await this.apiGateway.enactRoleGrant(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Role decision enactment failed', details: error.message });
+      }
+    });
+
+    this.app.get('/api/governance/members/:id/roles', this.communityAuthentication, async (req, res) => {
+      try {
+        return await this.apiGateway.getMemberRoles(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Member roles unavailable', details: error.message });
+      }
+    });
+
+    // Partner organisations exist only by enacting an approved partner_approval proposal
+    this.app.post('/api/governance/partners', this.communityAuthentication, requirePermission('governance:enact'), async (req, res) => {
+      try {
+        return await this.apiGateway.registerPartner(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Partner registration failed', details: error.message });
+      }
+    });
+
+    // Partner API keys: issue, list, rotate, revoke and usage
+    this.app.post('/api/partners/:partnerId/keys', this.communityAuthentication, requirePermission('partners:manage'), async (req, res) => {
+      try {
+        return await this.apiGateway.issuePartnerApiKey(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'API key issue failed', details: error.message });
+      }
+    });
+
+    this.app.get('/api/partners/:partnerId/keys', this.communityAuthentication, requirePermission('partners:manage'), async (req, res) => {
+      try {
+        return await this.apiGateway.listPartnerApiKeys(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'API keys unavailable', details: error.message });
+      }
+    });
+
+    this.app.post('/api/partners/:partnerId/keys/:keyId/rotate', this.communityAuthentication, requirePermission('partners:manage'), async (req, res) => {
+      try {
+        return await this.apiGateway.rotatePartnerApiKey(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'API key rotation failed', details: error.message });
+      }
+    });
+
+    this.app.delete('/api/partners/:partnerId/keys/:keyId', this.communityAuthentication, requirePermission('partners:manage'), async (req, res) => {
+      try {
+        return await this.apiGateway.revokePartnerApiKey(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'API key revocation failed', details: error.message });
+      }
+    });
+
+    this.app.get('/api/partners/:partnerId/usage', this.communityAuthentication, requirePermission('partners:manage'), async (req, res) => {
+      try {
+        return await this.apiGateway.getPartnerApiKeyUsage(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'API key usage unavailable', details: error.message });
+      }
+    });
+
+    // Outbound deliveries to partners and their dead letters (admins only)
+    this.app.get('/api/admin/deliveries', this.communityAuthentication, requirePermission('system:operate'), async (req, res) => {
+      try {
+        return await this.apiGateway.listOutboundDeliveries(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Outbound deliveries unavailable', details: error.message });
+      }
+    });
+
+    this.app.get('/api/admin/deliveries/:deliveryId', this.communityAuthentication, requirePermission('system:operate'), async (req, res) => {
+      try {
+        return await this.apiGateway.getOutboundDelivery(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Outbound delivery unavailable', details: error.message });
+      }
+    });
+
+    this.app.post('/api/admin/deliveries/:deliveryId/replay', this.communityAuthentication, requirePermission('system:operate'), async (req, res) => {
+      try {
+        return await this.apiGateway.replayOutboundDelivery(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Outbound delivery replay failed', details: error.message });
+      }
+    });
+
+    // Webhook subscriptions exist only by enacting an approved webhook_subscription proposal
+    this.app.post('/api/v1/webhook-subscriptions', this.communityAuthentication, requirePermission('governance:enact'), async (req, res) => {
+      try {
+        return await this.apiGateway.createWebhookSubscription(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Webhook subscription failed', details: error.message });
+      }
+    });
+
+    this.app.get('/api/v1/webhook-subscriptions', this.communityAuthentication, requirePermission('partners:manage'), async (req, res) => {
+      try {
+        return await this.apiGateway.listWebhookSubscriptions(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Webhook subscriptions unavailable', details: error.message });
+      }
+    });
+
+    this.app.get('/api/v1/webhook-subscriptions/:subscriptionId/deliveries', this.communityAuthentication, requirePermission('partners:manage'), async (req, res) => {
+      try {
+        return await this.apiGateway.getWebhookSubscriptionDeliveries(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Webhook deliveries unavailable', details: error.message });
+      }
+    });
+
+    this.app.post('/api/v1/webhook-subscriptions/:subscriptionId/reactivate', this.communityAuthentication, requirePermission('partners:manage'), async (req, res) => {
+      try {
+        return await this.apiGateway.reactivateWebhookSubscription(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Webhook subscription reactivation failed', details: error.message });
+      }
+    });
+
+    this.app.delete('/api/v1/webhook-subscriptions/:subscriptionId', this.communityAuthentication, requirePermission('partners:manage'), async (req, res) => {
+      try {
+        return await this.apiGateway.cancelWebhookSubscription(req, res);
+      } catch (error) {
+        res.status(500).json({ error: 'Webhook subscription cancellation failed', details: error.message });
+      }
+    });
+
     console.log('✅ Democratic governance endpoints configured');
   }
 
@@ -496,6 +772,11 @@ class CommunityAPIGatewayDeployment {
       allowedHeaders: [
         'Content-Type',
         'Authorization',
+        'X-API-Key',
+        'X-Webhook-Signature',
+        'X-Webhook-Timestamp',
+        'X-Webhook-Nonce',
+        'X-Correlation-Id',
         'X-Community-Member',
         'X-Liberation-Context',
         'X-Creator-Sovereignty'
@@ -689,7 +970,7 @@ class CommunityAPIGatewayDeployment {
       }
     });
 
-    this.app.post('/api/v1/events', async (req, res) => {
+    this.app.post('/api/v1/events', this.communityAuthentication, async (req, res) => {
       try {
         const result = await this.apiGateway.createEvent(req, res);
         return result;
@@ -708,8 +989,27 @@ class CommunityAPIGatewayDeployment {
       }
     });
 
-    // BLKOUTHUB webhook endpoint
-    this.app.post('/api/v1/webhooks/blkouthub', async (req, res) => {
+    // Partner read access to published events and stories
+    this.app.get('/api/external/events', ...this.partnerApiKeyAccess('events:read'), async (req, res) => {
+      try {
+        const result = await this.apiGateway.getEvents(req, res);
+        return result;
+      } catch (error) {
+        res.status(500).json({ error: 'Events unavailable', details: error.message });
+      }
+    });
+
+    this.app.get('/api/external/stories', ...this.partnerApiKeyAccess('stories:read'), async (req, res) => {
+      try {
+        const result = await this.apiGateway.getStoryArchive(req, res);
+        return result;
+      } catch (error) {
+        res.status(500).json({ error: 'Story archive unavailable', details: error.message });
+      }
+    });
+
+    // BLKOUTHUB webhook endpoint (partner API key with webhooks:post; signature checked by the gateway)
+    this.app.post('/api/v1/webhooks/blkouthub', ...this.partnerApiKeyAccess('webhooks:post'), async (req, res) => {
       try {
         const result = await this.apiGateway.blkouthubWebhook(req, res);
         return result;
@@ -719,7 +1019,7 @@ class CommunityAPIGatewayDeployment {
     });
 
     // Moderation queue endpoints
-    this.app.post('/api/moderation-queue', async (req, res) => {
+    this.app.post('/api/moderation-queue', this.communityAuthentication, async (req, res) => {
       try {
         const result = await this.apiGateway.submitToModerationQueue(req, res);
         return result;
@@ -728,7 +1028,7 @@ class CommunityAPIGatewayDeployment {
       }
     });
 
-    this.app.get('/api/moderation-queue', async (req, res) => {
+    this.app.get('/api/moderation-queue', this.communityAuthentication, requirePermission('moderation:review'), async (req, res) => {
       try {
         const result = await this.apiGateway.getModerationQueue(req, res);
         return result;
@@ -737,7 +1037,7 @@ class CommunityAPIGatewayDeployment {
       }
     });
 
-    this.app.put('/api/moderation-queue/:id', async (req, res) => {
+    this.app.put('/api/moderation-queue/:id', this.communityAuthentication, requirePermission('moderation:review'), async (req, res) => {
       try {
         const result = await this.apiGateway.updateModerationItem(req, res);
         return result;
@@ -746,6 +1046,71 @@ class CommunityAPIGatewayDeployment {
       }
     });
 
+    // Community audit log endpoints (verify is registered before :dataId)
+    this.app.get('/api/v1/audit', async (req, res) => {
+      try {
+        const result = await this.apiGateway.getAuditLog(req, res);
+        return result;
+      } catch (error) {
+        res.status(500).json({ error: 'Audit log unavailable', details: error.message });
+      }
+    });
+
+    this.app.get('/api/v1/audit/verify', async (req, res) => {
+      try {
+        const result = await this.apiGateway.verifyAuditLog(req, res);
+        return result;
+      } catch (error) {
+        res.status(500).json({ error: 'Audit log verification failed', details: error.message });
+      }
+    });
+
+    this.app.get('/api/v1/audit/:dataId', async (req, res) => {
+      try {
+        const result = await this.apiGateway.getAuditLogForData(req, res);
+        return result;
+      } catch (error) {
+        res.status(500).json({ error: 'Audit log unavailable', details: error.message });
+      }
+    });
+
+    // Member consent self-service (community authentication sets req.user)
+    this.app.get('/api/v1/me/consents', async (req, res) => {
+      try {
+        const result = await this.apiGateway.getMyConsents(req, res);
+        return result;
+      } catch (error) {
+        res.status(500).json({ error: 'Consent retrieval failed', details: error.message });
+      }
+    });
+
+    this.app.post('/api/v1/me/consents', async (req, res) => {
+      try {
+        const result = await this.apiGateway.grantMyConsent(req, res);
+        return result;
+      } catch (error) {
+        res.status(500).json({ error: 'Consent grant failed', details: error.message });
+      }
+    });
+
+    this.app.delete('/api/v1/me/consents/:id', async (req, res) => {
+      try {
+        const result = await this.apiGateway.withdrawMyConsent(req, res);
+        return result;
+      } catch (error) {
+        res.status(500).json({ error: 'Consent withdrawal failed', details: error.message });
+      }
+    });
+
+    this.app.post('/api/v1/me/email-verification', async (req, res) => {
+      try {
+        const result = await this.apiGateway.resendEmailVerification(req, res);
+        return result;
+      } catch (error) {
+        res.status(500).json({ error: 'Verification email failed', details: error.message });
+      }
+    });
+
     // Start periodic health monitoring
     this.healthCheckInterval = setInterval(async () => {
       await this.monitorLiberationHealth();
@@ -757,19 +1122,38 @@ class CommunityAPIGatewayDeployment {
   // === HELPER METHODS ===
 
   async validateCommunityToken(token) {
-    // Mock community token validation
-    return {
-      memberId: 'member_' + Math.random().toString(36).substr(2, 9),
-      memberType: 'community_member',
-      liberationStage: 'organizing',
-      sovereigntyScore: 0.8,
-      communityContributions: ['governance_participation', 'creator_support']
-    };
+    return await this.apiGateway.authService.verifyAccessToken(token);
+  }
+
+  async validatePartnerApiKey(apiKey) {
+    return await this.apiGateway.apiKeyService.verifyKey(apiKey);
+  }
+
+  /**
+   * Middleware for routes partners call with an API key
+   * Needs the key's scope, applies the key's own rate limit and counts the request.
+   * @param {string} scope - API key scope
+   * @returns {Array<Function>} - Middleware chain
+   */
+  partnerApiKeyAccess(scope) {
+    return [
+      requireApiKeyScope(scope),
+      (req, res, next) => {
+        req.apiKeyScope = scope;
+        next();
+      },
+      this.partnerKeyLimiter,
+      (req, res, next) => {
+        this.trackApiKeyUsage(req, false);
+        next();
+      }
+    ];
   }
 
-  validateLiberationCompliance(identity) {
-    return identity.sovereigntyScore >= 0.5 &&
-           identity.liberationStage !== 'awareness';
+  trackApiKeyUsage(req, rateLimited) {
+    // Usage reporting never holds up or fails the partner's request
+    this.apiGateway.apiKeyService.recordUsage({ keyId: req.partner.keyId, scope: req.apiKeyScope, rateLimited })
+      .catch(error => console.error('API key usage tracking error:', error));
   }
 
   async getCreatorRevenueData(creatorId) {
@@ -885,6 +1269,13 @@ class CommunityAPIGatewayDeployment {
   async start(port = 3000) {
     await this.initializeGateway();
 
+    // Send queued BLKOUTHUB deliveries in the background
+    this.apiGateway.outboundDelivery.start();
+    // Publish committed domain events from the outbox
+    this.apiGateway.outboxRelay.start();
+    // Open and tally governance votes as their windows start and end
+    this.apiGateway.proposalService.start();
+
     this.app.listen(port, () => {
       console.log(`🏴‍☠️ Liberation API Gateway running on port ${port}`);
       console.log(`✊ Creator sovereignty enforcement: ${this.liberationMetrics.creatorSovereigntyEnforcement * 100}%`);
@@ -904,6 +1295,14 @@ class CommunityAPIGatewayDeployment {
       clearInterval(this.healthCheckInterval);
     }
 
+    // Let an in-flight delivery finish; anything unsent stays queued
+    await this.apiGateway.outboundDelivery.stop();
+    // Unpublished events stay in the outbox for the next start
+    await this.apiGateway.outboxRelay.stop();
+    // Due openings and tallies run on the next start
+    await this.apiGateway.proposalService.stop();
+    await this.apiGateway.eventBus.close();
+
     // Notify community of planned maintenance
     await this.notifyCommunityMaintenance();
 
@@ -6,7 +6,7 @@
  * ONLY: Configures service registration and dependency wiring
  */
 
-const { globalContainer, INTERFACE_NAMES } = require('../../contracts/DependencyContainer');
+const { globalContainer, INTERFACE_NAMES } = require('./contracts/DependencyContainer');
 
 // Business Logic Service Implementations (Layer 3)
 const RefactoredLiberationOrchestrator = require('./layer-3-business-logic/RefactoredLiberationOrchestrator');
@@ -18,55 +18,83 @@ const FeatureFlagServiceImpl = require('./layer-3-business-logic/services/Featur
 const LiberationMetricsServiceImpl = require('./layer-3-business-logic/services/LiberationMetricsServiceImpl');
 
 // Data Access Repository Implementations (Layer 5)
+const { createDatabaseConnection } = require('./layer-5-data-sovereignty/DatabaseConnectionFactory');
 const {
   CommunityDataRepositoryImpl,
   CreatorDataRepositoryImpl,
+  GovernanceDataRepositoryImpl,
   AuditTrailRepositoryImpl
 } = require('./layer-5-data-sovereignty/RefactoredDataSovereigntyRepository');
 
+// Voting pseudonyms (IDENTITY_PSEUDONYM_SECRET), shared with the API gateway's ballots
+const IdentityProtection = require('./layer-2-api-gateway/IdentityProtection');
+
 /**
  * Configure Layer 5 (Data Access) Services
  */
 function configureLayer5Services() {
   console.log('Configuring Layer 5 (Data Access) services...');
 
-  // Mock database connection for demonstration
-  const mockDatabaseConnection = {
-    host: 'localhost',
-    database: 'blkout_liberation',
-    connected: true
-  };
+  // Shared PostgreSQL connection pool (DATABASE_URL)
+  globalContainer.register(
+    INTERFACE_NAMES.DATABASE_CONNECTION,
+    (configuration) => createDatabaseConnection(configuration),
+    {
+      singleton: true,
+      factory: true,
+      dependencies: [],
+      configuration: {
+        connectionString: process.env.DATABASE_URL,
+        maxConnections: parseInt(process.env.DATABASE_POOL_MAX || '10', 10)
+      }
+    }
+  );
 
   globalContainer.register(
     INTERFACE_NAMES.COMMUNITY_DATA_REPOSITORY,
-    () => new CommunityDataRepositoryImpl(mockDatabaseConnection),
+    () => new CommunityDataRepositoryImpl(
+      globalContainer.resolve(INTERFACE_NAMES.DATABASE_CONNECTION)
+    ),
     {
       singleton: true,
       factory: true,
-      dependencies: [],
-      configuration: { databaseConnection: mockDatabaseConnection }
+      dependencies: [INTERFACE_NAMES.DATABASE_CONNECTION]
     }
   );
 
   globalContainer.register(
     INTERFACE_NAMES.CREATOR_DATA_REPOSITORY,
-    () => new CreatorDataRepositoryImpl(mockDatabaseConnection),
+    () => new CreatorDataRepositoryImpl(
+      globalContainer.resolve(INTERFACE_NAMES.DATABASE_CONNECTION)
+    ),
     {
       singleton: true,
       factory: true,
-      dependencies: [],
-      configuration: { databaseConnection: mockDatabaseConnection }
+      dependencies: [INTERFACE_NAMES.DATABASE_CONNECTION]
+    }
+  );
+
+  globalContainer.register(
+    INTERFACE_NAMES.GOVERNANCE_DATA_REPOSITORY,
+    () => new GovernanceDataRepositoryImpl(
+      globalContainer.resolve(INTERFACE_NAMES.DATABASE_CONNECTION)
+    ),
+    {
+      singleton: true,
+      factory: true,
+      dependencies: [INTERFACE_NAMES.DATABASE_CONNECTION]
     }
   );
 
   globalContainer.register(
     INTERFACE_NAMES.AUDIT_TRAIL_REPOSITORY,
-    () => new AuditTrailRepositoryImpl(mockDatabaseConnection),
+    () => new AuditTrailRepositoryImpl(
+      globalContainer.resolve(INTERFACE_NAMES.DATABASE_CONNECTION)
+    ),
     {
       singleton: true,
       factory: true,
-      dependencies: [],
-      configuration: { databaseConnection: mockDatabaseConnection }
+      dependencies: [INTERFACE_NAMES.DATABASE_CONNECTION]
     }
   );
 
@@ -105,14 +133,17 @@ function configureLayer3Services() {
     INTERFACE_NAMES.DEMOCRATIC_GOVERNANCE_SERVICE,
     () => new DemocraticGovernanceServiceImpl(
       globalContainer.resolve(INTERFACE_NAMES.COMMUNITY_DATA_REPOSITORY),
-      globalContainer.resolve(INTERFACE_NAMES.AUDIT_TRAIL_REPOSITORY)
+      globalContainer.resolve(INTERFACE_NAMES.AUDIT_TRAIL_REPOSITORY),
+      globalContainer.resolve(INTERFACE_NAMES.GOVERNANCE_DATA_REPOSITORY),
+      new IdentityProtection()
     ),
     {
       singleton: true,
       factory: true,
       dependencies: [
         INTERFACE_NAMES.COMMUNITY_DATA_REPOSITORY,
-        INTERFACE_NAMES.AUDIT_TRAIL_REPOSITORY
+        INTERFACE_NAMES.AUDIT_TRAIL_REPOSITORY,
+        INTERFACE_NAMES.GOVERNANCE_DATA_REPOSITORY
       ],
       configuration: {
         participationMinimum: 0.1,
@@ -280,8 +311,10 @@ function validateContainerConfiguration() {
   console.log('Validating container configuration...');
 
   const requiredServices = [
+    INTERFACE_NAMES.DATABASE_CONNECTION,
     INTERFACE_NAMES.COMMUNITY_DATA_REPOSITORY,
     INTERFACE_NAMES.CREATOR_DATA_REPOSITORY,
+    INTERFACE_NAMES.GOVERNANCE_DATA_REPOSITORY,
     INTERFACE_NAMES.AUDIT_TRAIL_REPOSITORY,
     INTERFACE_NAMES.CREATOR_SOVEREIGNTY_SERVICE,
     INTERFACE_NAMES.DEMOCRATIC_GOVERNANCE_SERVICE,
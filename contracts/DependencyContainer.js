@@ -249,6 +249,7 @@ const INTERFACE_NAMES = {
   LIBERATION_METRICS_SERVICE: 'ILiberationMetricsService',
 
   // Layer 5 - Data Access Interfaces
+  DATABASE_CONNECTION: 'IDatabaseConnection',
   COMMUNITY_DATA_REPOSITORY: 'ICommunityDataRepository',
   CREATOR_DATA_REPOSITORY: 'ICreatorDataRepository',
   GOVERNANCE_DATA_REPOSITORY: 'IGovernanceDataRepository',
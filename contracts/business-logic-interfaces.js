@@ -88,6 +88,15 @@ class IDemocraticGovernanceService {
   async validateCommunityBenefit(decision) {
     throw new Error('validateCommunityBenefit must be implemented by concrete service');
   }
+
+  /**
+   * Record a member's vote on a governance proposal
+   * @param {Object} voteRequest - Proposal ID, member ID and decision
+   * @returns {Promise<Object>} - Vote recording result
+   */
+  async castVote(voteRequest) {
+    throw new Error('castVote must be implemented by concrete service');
+  }
 }
 
 /**
@@ -211,6 +211,15 @@ class IGovernanceDataRepository extends IBaseRepository {
   async storeParticipationRecord(participationData) {
     throw new Error('storeParticipationRecord must be implemented by concrete repository');
   }
+
+  /**
+   * Size of a decision's electorate snapshot (storage only, no eligibility rules)
+   * @param {string} decisionId - Decision identifier
+   * @returns {Promise<number|null>} - Eligible voters, or null before voting opens
+   */
+  async findElectorateSize(decisionId) {
+    throw new Error('findElectorateSize must be implemented by concrete repository');
+  }
 }
 
 /**
@@ -246,6 +255,32 @@ class IAuditTrailRepository extends IBaseRepository {
     throw new Error('findAuditsByDateRange must be implemented by concrete repository');
   }
 
+  /**
+   * Find audit records for a data item
+   * @param {string} dataId - Audited data ID
+   * @returns {Promise<Array>} - Array of audit records
+   */
+  async findAuditsByDataId(dataId) {
+    throw new Error('findAuditsByDataId must be implemented by concrete repository');
+  }
+
+  /**
+   * Find audit records by the actor who performed the operation
+   * @param {string} actorId - Actor ID
+   * @returns {Promise<Array>} - Array of audit records
+   */
+  async findAuditsByActor(actorId) {
+    throw new Error('findAuditsByActor must be implemented by concrete repository');
+  }
+
+  /**
+   * Verify the audit hash chain has not been edited or had entries removed
+   * @returns {Promise<Object>} - Verification report
+   */
+  async verifyAuditChain() {
+    throw new Error('verifyAuditChain must be implemented by concrete repository');
+  }
+
   /**
    * Store liberation metric record
    * @param {Object} metricData - Liberation metric data
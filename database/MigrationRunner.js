@@ -0,0 +1,289 @@
+/**
+ * Migration Runner (Infrastructure)
+ *
+ * SCOPE: Ordered, checksummed schema migrations for the PostgreSQL database
+ * DOES NOT: Decide which schema changes are made (those live in database/migrations)
+ * ONLY: Applies, rolls back and reports migrations, recording each one in the schema_migrations ledger
+ *
+ * Migration files live in database/migrations and are named
+ *   NNNN_description.up.sql    (required)
+ *   NNNN_description.down.sql  (required for rollback)
+ *
+ * Each migration runs in its own transaction together with its ledger update,
+ * so a failed migration leaves neither partial schema changes nor a ledger row.
+ * The SHA-256 checksum of the up file is stored when applied; editing an applied
+ * migration is reported as a checksum mismatch and blocks further migrations.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MIGRATIONS_DIRECTORY = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Serialises concurrent runners (arbitrary constant shared by all runners)
+const MIGRATION_LOCK_KEY = 75750001;
+
+class MigrationRunner {
+  /**
+   * @param {Object} databaseConnection - Connection exposing query() and transaction()
+   * @param {Object} options - { migrationsDirectory, ledgerTable }
+   */
+  constructor(databaseConnection, options = {}) {
+    if (!databaseConnection) {
+      throw new Error('Database connection is required');
+    }
+
+    this.db = databaseConnection;
+    this.migrationsDirectory = options.migrationsDirectory || DEFAULT_MIGRATIONS_DIRECTORY;
+    this.ledgerTable = options.ledgerTable || 'schema_migrations';
+  }
+
+  /**
+   * Read migration files from disk, ordered by version
+   * @returns {Array<Object>} - [{ version, name, up, down, checksum }]
+   */
+  loadMigrations() {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(this.migrationsDirectory).sort()) {
+      const match = MIGRATION_FILE_PATTERN.exec(file);
+      if (!match) {
+        continue;
+      }
+
+      const [, version, name, direction] = match;
+      const existing = migrations.get(version);
+      if (existing && existing.name !== name) {
+        throw new Error(`Duplicate migration version ${version}: ${existing.name} and ${name}`);
+      }
+
+      const migration = existing || { version, name, up: null, down: null };
+      migration[direction] = fs.readFileSync(path.join(this.migrationsDirectory, file), 'utf8');
+      migrations.set(version, migration);
+    }
+
+    return Array.from(migrations.values())
+      .map(migration => {
+        if (migration.up === null) {
+          throw new Error(`Migration ${migration.version}_${migration.name} has no up file`);
+        }
+        return { ...migration, checksum: checksum(migration.up) };
+      })
+      .sort((a, b) => Number(a.version) - Number(b.version));
+  }
+
+  /**
+   * Create the ledger table if it does not exist
+   */
+  async ensureLedger() {
+    await this.db.query(
+      `CREATE TABLE IF NOT EXISTS ${this.ledgerTable} (
+         version VARCHAR(20) PRIMARY KEY,
+         name VARCHAR(200) NOT NULL,
+         checksum CHAR(64) NOT NULL,
+         applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+         execution_time_ms INTEGER NOT NULL DEFAULT 0
+       )`
+    );
+  }
+
+  /**
+   * Load applied migrations from the ledger
+   * @returns {Promise<Map<string, Object>>} - version -> ledger row
+   */
+  async loadLedger(connection = this.db) {
+    const { rows } = await connection.query(
+      `SELECT version, name, checksum, applied_at, execution_time_ms
+       FROM ${this.ledgerTable}
+       ORDER BY version`
+    );
+
+    return new Map(rows.map(row => [row.version, row]));
+  }
+
+  /**
+   * Report every known migration and whether it is applied
+   * @returns {Promise<Array<Object>>} - Status rows in version order
+   */
+  async status() {
+    await this.ensureLedger();
+
+    const migrations = this.loadMigrations();
+    const ledger = await this.loadLedger();
+
+    const report = migrations.map(migration => {
+      const applied = ledger.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: Boolean(applied),
+        appliedAt: applied ? applied.applied_at : null,
+        checksumMatches: applied ? applied.checksum === migration.checksum : null,
+        reversible: migration.down !== null
+      };
+    });
+
+    // Applied migrations whose files have been removed
+    for (const [version, row] of ledger) {
+      if (!migrations.some(migration => migration.version === version)) {
+        report.push({
+          version,
+          name: row.name,
+          applied: true,
+          appliedAt: row.applied_at,
+          checksumMatches: null,
+          reversible: false,
+          missing: true
+        });
+      }
+    }
+
+    return report.sort((a, b) => Number(a.version) - Number(b.version));
+  }
+
+  /**
+   * Check applied migrations still match their files
+   * @returns {Promise<Object>} - { valid, problems }
+   */
+  async verify() {
+    const report = await this.status();
+    const problems = [];
+
+    for (const entry of report) {
+      if (entry.missing) {
+        problems.push(`Applied migration ${entry.version}_${entry.name} has no file`);
+      } else if (entry.applied && !entry.checksumMatches) {
+        problems.push(`Applied migration ${entry.version}_${entry.name} has been modified (checksum mismatch)`);
+      }
+    }
+
+    return { valid: problems.length === 0, problems };
+  }
+
+  /**
+   * Apply pending migrations in order
+   * @param {Object} options - { to: highest version to apply }
+   * @returns {Promise<Array<Object>>} - Applied migrations
+   */
+  async up(options = {}) {
+    const verification = await this.verify();
+    if (!verification.valid) {
+      throw new Error(`Migration verification failed: ${verification.problems.join('; ')}`);
+    }
+
+    const target = options.to !== undefined ? Number(options.to) : Infinity;
+    const ledger = await this.loadLedger();
+    const pending = this.loadMigrations()
+      .filter(migration => !ledger.has(migration.version) && Number(migration.version) <= target);
+
+    const applied = [];
+    for (const migration of pending) {
+      applied.push(await this.applyMigration(migration));
+    }
+
+    return applied;
+  }
+
+  /**
+   * Roll back the most recently applied migrations
+   * @param {Object} options - { steps: number of migrations to roll back (default 1) }
+   * @returns {Promise<Array<Object>>} - Rolled back migrations
+   */
+  async down(options = {}) {
+    const steps = options.steps !== undefined ? Number(options.steps) : 1;
+
+    await this.ensureLedger();
+    const migrations = this.loadMigrations();
+    const ledger = await this.loadLedger();
+
+    const appliedVersions = Array.from(ledger.keys())
+      .sort((a, b) => Number(b) - Number(a))
+      .slice(0, steps);
+
+    const rolledBack = [];
+    for (const version of appliedVersions) {
+      const migration = migrations.find(candidate => candidate.version === version);
+
+      if (!migration) {
+        throw new Error(`Cannot roll back ${version}: migration file not found`);
+      }
+      if (migration.down === null) {
+        throw new Error(`Cannot roll back ${version}_${migration.name}: no down file`);
+      }
+      if (ledger.get(version).checksum !== migration.checksum) {
+        throw new Error(`Cannot roll back ${version}_${migration.name}: checksum mismatch`);
+      }
+
+      rolledBack.push(await this.revertMigration(migration));
+    }
+
+    return rolledBack;
+  }
+
+  /**
+   * Apply one migration and record it in the ledger (single transaction)
+   */
+  async applyMigration(migration) {
+    const startTime = Date.now();
+    console.log(`⬆️  Applying migration ${migration.version}_${migration.name}`);
+
+    await this.db.transaction(async (transaction) => {
+      await transaction.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+
+      // Another runner may have applied it while we waited for the lock
+      const ledger = await this.loadLedger(transaction);
+      if (ledger.has(migration.version)) {
+        return;
+      }
+
+      await transaction.query(migration.up);
+      await transaction.query(
+        `INSERT INTO ${this.ledgerTable} (version, name, checksum, execution_time_ms)
+         VALUES ($1, $2, $3, $4)`,
+        [migration.version, migration.name, migration.checksum, Date.now() - startTime]
+      );
+    });
+
+    const executionTime = Date.now() - startTime;
+    console.log(`✅ Applied ${migration.version}_${migration.name} (${executionTime}ms)`);
+
+    return { version: migration.version, name: migration.name, executionTime };
+  }
+
+  /**
+   * Roll back one migration and remove it from the ledger (single transaction)
+   */
+  async revertMigration(migration) {
+    const startTime = Date.now();
+    console.log(`⬇️  Rolling back migration ${migration.version}_${migration.name}`);
+
+    await this.db.transaction(async (transaction) => {
+      await transaction.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+      await transaction.query(migration.down);
+      await transaction.query(
+        `DELETE FROM ${this.ledgerTable} WHERE version = $1`,
+        [migration.version]
+      );
+    });
+
+    const executionTime = Date.now() - startTime;
+    console.log(`✅ Rolled back ${migration.version}_${migration.name} (${executionTime}ms)`);
+
+    return { version: migration.version, name: migration.name, executionTime };
+  }
+}
+
+/**
+ * SHA-256 checksum of migration SQL
+ * Line endings are normalised so checkouts on different platforms agree.
+ */
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+module.exports = {
+  MigrationRunner,
+  checksum
+};
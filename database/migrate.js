@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Migration CLI
+ *
+ * Usage:
+ *   node database/migrate.js up [--to VERSION]
+ *   node database/migrate.js down [--steps N]
+ *   node database/migrate.js status
+ *
+ * Connects using DATABASE_URL (see .env.example).
+ */
+
+const { createDatabaseConnection } = require('../layer-5-data-sovereignty/DatabaseConnectionFactory');
+const { MigrationRunner } = require('./MigrationRunner');
+
+function parseOptions(args) {
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--to') {
+      options.to = args[++i];
+    } else if (args[i] === '--steps') {
+      options.steps = parseInt(args[++i], 10);
+    } else {
+      throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+
+  return options;
+}
+
+function printStatus(report) {
+  console.log('\n📜 MIGRATION STATUS');
+  console.log('═════════════════════════════════════════════════════════════');
+
+  if (report.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+
+  for (const entry of report) {
+    let state = entry.applied ? `applied ${new Date(entry.appliedAt).toISOString()}` : 'pending';
+    if (entry.missing) {
+      state += ' ⚠️  FILE MISSING';
+    } else if (entry.applied && !entry.checksumMatches) {
+      state += ' ⚠️  CHECKSUM MISMATCH';
+    }
+
+    console.log(`${entry.applied ? '✅' : '⏳'} ${entry.version}_${entry.name}: ${state}`);
+  }
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.error('Usage: node database/migrate.js <up|down|status> [--to VERSION] [--steps N]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const options = parseOptions(args);
+  const connection = createDatabaseConnection();
+  const runner = new MigrationRunner(connection);
+
+  try {
+    if (command === 'up') {
+      const applied = await runner.up(options);
+      console.log(applied.length > 0 ? `🏛️ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+    } else if (command === 'down') {
+      const rolledBack = await runner.down(options);
+      console.log(rolledBack.length > 0 ? `🏛️ Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+    } else {
+      const report = await runner.status();
+      printStatus(report);
+
+      if (report.some(entry => entry.missing || (entry.applied && !entry.checksumMatches))) {
+        process.exitCode = 1;
+      }
+    }
+  } finally {
+    await connection.close();
+  }
+}
+
+main().catch(error => {
+  console.error('🚨 Migration failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,28 @@
+-- BLKOUT Liberation Platform - Creator Sovereignty Database Schema (rollback)
+-- Drops every object created by 0001_creator_sovereignty_schema.up.sql
+
+-- ===== VIEWS =====
+DROP VIEW IF EXISTS community_protection_effectiveness;
+DROP VIEW IF EXISTS democratic_participation_metrics;
+DROP VIEW IF EXISTS creator_sovereignty_dashboard;
+
+-- ===== TRIGGERS AND FUNCTIONS =====
+DROP TRIGGER IF EXISTS trigger_enforce_democratic_voting ON community_voting_records;
+DROP TRIGGER IF EXISTS trigger_enforce_creator_sovereignty ON creator_revenue_tracking;
+DROP FUNCTION IF EXISTS enforce_democratic_voting();
+DROP FUNCTION IF EXISTS enforce_creator_sovereignty();
+
+-- ===== TABLES (dependents first) =====
+DROP TABLE IF EXISTS data_operation_audit;
+DROP TABLE IF EXISTS community_data_records;
+DROP TABLE IF EXISTS liberation_metrics;
+DROP TABLE IF EXISTS community_consent_tracking;
+DROP TABLE IF EXISTS anti_oppression_reviews;
+DROP TABLE IF EXISTS governance_participation_records;
+DROP TABLE IF EXISTS community_voting_records;
+DROP TABLE IF EXISTS governance_proposals;
+DROP TABLE IF EXISTS creator_narrative_control;
+DROP TABLE IF EXISTS creator_revenue_tracking;
+DROP TABLE IF EXISTS content_items;
+DROP TABLE IF EXISTS community_members;
+DROP TABLE IF EXISTS creators;
@@ -2,6 +2,73 @@
 -- 75% Minimum Revenue Share Mathematical Enforcement
 -- Democratic Governance and Community Protection
 
+-- ===== SUPPORTING TABLES =====
+-- Defined first: the sovereignty, governance and protection tables reference them
+
+-- Creators table
+CREATE TABLE creators (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    username VARCHAR(100) UNIQUE NOT NULL,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    display_name VARCHAR(200),
+
+    -- Creator sovereignty settings
+    minimum_revenue_share DECIMAL(3,2) DEFAULT 0.75 CHECK (minimum_revenue_share >= 0.75),
+    narrative_control_required BOOLEAN DEFAULT true,
+    community_engagement_level VARCHAR(20) DEFAULT 'active',
+
+    -- Community membership
+    community_member_since TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    governance_participation_level VARCHAR(20) DEFAULT 'voting',
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    active BOOLEAN DEFAULT true
+);
+
+-- Community members table
+CREATE TABLE community_members (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    username VARCHAR(100) UNIQUE NOT NULL,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    display_name VARCHAR(200),
+
+    -- Democratic participation
+    voting_rights_active BOOLEAN DEFAULT true,
+    governance_role VARCHAR(50) DEFAULT 'member',
+    community_joined_date TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- Liberation values alignment
+    liberation_values_training_completed BOOLEAN DEFAULT false,
+    anti_oppression_training_completed BOOLEAN DEFAULT false,
+    trauma_informed_interaction_training BOOLEAN DEFAULT false,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    active BOOLEAN DEFAULT true
+);
+
+-- Content items table
+CREATE TABLE content_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    creator_id UUID NOT NULL,
+    title VARCHAR(300) NOT NULL,
+    content_type VARCHAR(50) NOT NULL,
+    content_data JSONB NOT NULL,
+
+    -- Liberation compliance
+    liberation_review_status VARCHAR(30) DEFAULT 'pending',
+    creator_sovereignty_verified BOOLEAN DEFAULT false,
+    anti_oppression_cleared BOOLEAN DEFAULT false,
+    community_protection_applied BOOLEAN DEFAULT false,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    published_at TIMESTAMP WITH TIME ZONE,
+
+    FOREIGN KEY (creator_id) REFERENCES creators(id)
+);
+
 -- ===== CREATOR SOVEREIGNTY TABLES =====
 
 -- Creator revenue tracking with 75% minimum enforcement
@@ -35,6 +102,9 @@ CREATE TABLE creator_revenue_tracking (
     created_by UUID NOT NULL,
     updated_by UUID,
 
+    -- Distribution details as supplied by the revenue transparency service
+    distribution_details JSONB,
+
     FOREIGN KEY (creator_id) REFERENCES creators(id),
     FOREIGN KEY (content_id) REFERENCES content_items(id)
 );
@@ -64,33 +134,6 @@ CREATE TABLE creator_narrative_control (
 
 -- ===== DEMOCRATIC GOVERNANCE TABLES =====
 
--- Community member voting records
-CREATE TABLE community_voting_records (
-    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-    member_id UUID NOT NULL,
-    proposal_id UUID NOT NULL,
-    vote_decision VARCHAR(20) NOT NULL CHECK (vote_decision IN ('approve', 'reject', 'abstain')),
-    vote_weight DECIMAL(3,2) DEFAULT 1.0 CHECK (vote_weight = 1.0), -- One member, one vote enforcement
-
-    -- Liberation principles validation
-    liberation_values_considered BOOLEAN DEFAULT true,
-    community_benefit_assessment TEXT,
-    anti_oppression_impact_note TEXT,
-
-    vote_timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    vote_is_final BOOLEAN DEFAULT true,
-
-    -- Audit and transparency
-    vote_reason TEXT,
-    publicly_visible BOOLEAN DEFAULT true,
-
-    FOREIGN KEY (member_id) REFERENCES community_members(id),
-    FOREIGN KEY (proposal_id) REFERENCES governance_proposals(id),
-
-    -- Ensure one vote per member per proposal
-    UNIQUE(member_id, proposal_id)
-);
-
 -- Governance proposals with liberation validation
 CREATE TABLE governance_proposals (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -128,6 +171,48 @@ CREATE TABLE governance_proposals (
     FOREIGN KEY (created_by) REFERENCES community_members(id)
 );
 
+-- Participation snapshots per proposal
+CREATE TABLE governance_participation_records (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    proposal_id UUID NOT NULL,
+    eligible_members INTEGER NOT NULL DEFAULT 0 CHECK (eligible_members >= 0),
+    participating_members INTEGER NOT NULL DEFAULT 0 CHECK (participating_members >= 0),
+    participation_rate DECIMAL(5,4) NOT NULL DEFAULT 0.0 CHECK (participation_rate >= 0.0 AND participation_rate <= 1.0),
+    quorum_met BOOLEAN DEFAULT false,
+    participation_details JSONB,
+
+    recorded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    FOREIGN KEY (proposal_id) REFERENCES governance_proposals(id)
+);
+
+-- Community member voting records
+CREATE TABLE community_voting_records (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    member_id UUID NOT NULL,
+    proposal_id UUID NOT NULL,
+    vote_decision VARCHAR(20) NOT NULL CHECK (vote_decision IN ('approve', 'reject', 'abstain')),
+    vote_weight DECIMAL(3,2) DEFAULT 1.0 CHECK (vote_weight = 1.0), -- One member, one vote enforcement
+
+    -- Liberation principles validation
+    liberation_values_considered BOOLEAN DEFAULT true,
+    community_benefit_assessment TEXT,
+    anti_oppression_impact_note TEXT,
+
+    vote_timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    vote_is_final BOOLEAN DEFAULT true,
+
+    -- Audit and transparency
+    vote_reason TEXT,
+    publicly_visible BOOLEAN DEFAULT true,
+
+    FOREIGN KEY (member_id) REFERENCES community_members(id),
+    FOREIGN KEY (proposal_id) REFERENCES governance_proposals(id),
+
+    -- Ensure one vote per member per proposal
+    UNIQUE(member_id, proposal_id)
+);
+
 -- ===== COMMUNITY PROTECTION TABLES =====
 
 -- Anti-oppression content review
@@ -166,6 +251,8 @@ CREATE TABLE anti_oppression_reviews (
 CREATE TABLE community_consent_tracking (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     data_subject_id UUID NOT NULL,
+    community_id VARCHAR(100),
+    operation_type VARCHAR(100),
     data_type VARCHAR(100) NOT NULL,
     consent_type VARCHAR(50) NOT NULL CHECK (consent_type IN ('explicit', 'community_standard', 'implied')),
 
@@ -215,73 +302,36 @@ CREATE TABLE liberation_metrics (
     -- Health check integration
     health_check_passed BOOLEAN DEFAULT true,
     alert_triggered BOOLEAN DEFAULT false,
-    alert_level VARCHAR(20) CHECK (alert_level IN ('info', 'warning', 'error', 'critical'))
-);
-
--- ===== SUPPORTING TABLES =====
-
--- Creators table
-CREATE TABLE creators (
-    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-    username VARCHAR(100) UNIQUE NOT NULL,
-    email VARCHAR(255) UNIQUE NOT NULL,
-    display_name VARCHAR(200),
-
-    -- Creator sovereignty settings
-    minimum_revenue_share DECIMAL(3,2) DEFAULT 0.75 CHECK (minimum_revenue_share >= 0.75),
-    narrative_control_required BOOLEAN DEFAULT true,
-    community_engagement_level VARCHAR(20) DEFAULT 'active',
+    alert_level VARCHAR(20) CHECK (alert_level IN ('info', 'warning', 'error', 'critical')),
 
-    -- Community membership
-    community_member_since TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    governance_participation_level VARCHAR(20) DEFAULT 'voting',
-
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    active BOOLEAN DEFAULT true
+    -- Full metric payload as reported by Layer 3 services
+    metric_details JSONB
 );
 
--- Community members table
-CREATE TABLE community_members (
-    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-    username VARCHAR(100) UNIQUE NOT NULL,
-    email VARCHAR(255) UNIQUE NOT NULL,
-    display_name VARCHAR(200),
+-- ===== DATA SOVEREIGNTY STORAGE =====
 
-    -- Democratic participation
-    voting_rights_active BOOLEAN DEFAULT true,
-    governance_role VARCHAR(50) DEFAULT 'member',
-    community_joined_date TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+-- Community-owned data records with sovereignty metadata
+CREATE TABLE community_data_records (
+    id VARCHAR(100) PRIMARY KEY,
+    community_id VARCHAR(100),
+    owner_id VARCHAR(100),
+    record_type VARCHAR(100) NOT NULL DEFAULT 'community_data',
 
-    -- Liberation values alignment
-    liberation_values_training_completed BOOLEAN DEFAULT false,
-    anti_oppression_training_completed BOOLEAN DEFAULT false,
-    trauma_informed_interaction_training BOOLEAN DEFAULT false,
+    data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    sovereignty_metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
 
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    active BOOLEAN DEFAULT true
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
--- Content items table
-CREATE TABLE content_items (
+-- Data operation audit trail ("all actions logged for community review")
+CREATE TABLE data_operation_audit (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-    creator_id UUID NOT NULL,
-    title VARCHAR(300) NOT NULL,
-    content_type VARCHAR(50) NOT NULL,
-    content_data JSONB NOT NULL,
-
-    -- Liberation compliance
-    liberation_review_status VARCHAR(30) DEFAULT 'pending',
-    creator_sovereignty_verified BOOLEAN DEFAULT false,
-    anti_oppression_cleared BOOLEAN DEFAULT false,
-    community_protection_applied BOOLEAN DEFAULT false,
-
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    published_at TIMESTAMP WITH TIME ZONE,
-
-    FOREIGN KEY (creator_id) REFERENCES creators(id)
+    operation_type VARCHAR(100) NOT NULL,
+    data_id VARCHAR(100),
+    actor_id VARCHAR(100),
+    audit_data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    audit_timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- ===== INDEXES FOR PERFORMANCE =====
@@ -296,6 +346,16 @@ CREATE INDEX idx_community_voting_records_member_id ON community_voting_records(
 CREATE INDEX idx_community_voting_records_proposal_id ON community_voting_records(proposal_id);
 CREATE INDEX idx_governance_proposals_status ON governance_proposals(status);
 CREATE INDEX idx_governance_proposals_voting_dates ON governance_proposals(voting_start_date, voting_end_date);
+CREATE INDEX idx_governance_participation_records_proposal_id ON governance_participation_records(proposal_id);
+
+-- Data sovereignty storage indexes
+CREATE INDEX idx_community_data_records_community_id ON community_data_records(community_id);
+CREATE INDEX idx_community_data_records_owner_id ON community_data_records(owner_id);
+CREATE INDEX idx_community_data_records_record_type ON community_data_records(record_type);
+CREATE INDEX idx_community_data_records_data ON community_data_records USING GIN (data);
+CREATE INDEX idx_community_consent_tracking_operation ON community_consent_tracking(operation_type, community_id);
+CREATE INDEX idx_data_operation_audit_operation_type ON data_operation_audit(operation_type);
+CREATE INDEX idx_data_operation_audit_timestamp ON data_operation_audit(audit_timestamp);
 
 -- Liberation metrics indexes
 CREATE INDEX idx_liberation_metrics_type_date ON liberation_metrics(metric_type, measured_at);
@@ -310,12 +370,12 @@ RETURNS TRIGGER AS $$
 BEGIN
     -- Ensure creator share is at least 75%
     IF NEW.creator_share < (NEW.revenue_total * 0.75) THEN
-        RAISE EXCEPTION 'Creator sovereignty violation: Creator share %.2f is below required 75%% of total %.2f',
+        RAISE EXCEPTION 'Creator sovereignty violation: Creator share % is below required 75%% of total %',
             NEW.creator_share, NEW.revenue_total;
     END IF;
 
-    -- Update sovereignty score
-    NEW.sovereignty_score = NEW.creator_share / NEW.revenue_total;
+    -- Update sovereignty score (a zero-revenue record leaves the creator in full control)
+    NEW.sovereignty_score = COALESCE(NEW.creator_share / NULLIF(NEW.revenue_total, 0), 1.0);
 
     RETURN NEW;
 END;
@@ -331,7 +391,7 @@ RETURNS TRIGGER AS $$
 BEGIN
     -- Ensure vote weight is exactly 1.0 (one member, one vote)
     IF NEW.vote_weight != 1.0 THEN
-        RAISE EXCEPTION 'Democratic voting violation: Vote weight must be exactly 1.0, got %.2f',
+        RAISE EXCEPTION 'Democratic voting violation: Vote weight must be exactly 1.0, got %',
             NEW.vote_weight;
     END IF;
 
@@ -398,7 +458,16 @@ INSERT INTO liberation_metrics (metric_type, metric_value, target_value, creator
 ('anti_oppression_success_rate', 0.0, 98.0, 75.0, 'content_review_system'),
 ('cultural_authenticity_score', 0.0, 90.0, 75.0, 'community_feedback');
 
--- Grant permissions for staging environment
-GRANT SELECT, INSERT, UPDATE ON ALL TABLES IN SCHEMA public TO blkout_service;
-GRANT USAGE ON ALL SEQUENCES IN SCHEMA public TO blkout_service;
-GRANT SELECT ON ALL TABLES IN SCHEMA public TO blkout_readonly;
\ No newline at end of file
+-- Grant permissions for staging environment (skipped where the roles are not provisioned)
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'blkout_service') THEN
+        GRANT SELECT, INSERT, UPDATE ON ALL TABLES IN SCHEMA public TO blkout_service;
+        GRANT USAGE ON ALL SEQUENCES IN SCHEMA public TO blkout_service;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'blkout_readonly') THEN
+        GRANT SELECT ON ALL TABLES IN SCHEMA public TO blkout_readonly;
+    END IF;
+END;
+$$;
\ No newline at end of file
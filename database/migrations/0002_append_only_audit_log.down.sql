@@ -0,0 +1,15 @@
+-- Reverts 0002_append_only_audit_log.up.sql
+
+DROP TRIGGER IF EXISTS trigger_prevent_audit_truncate ON data_operation_audit;
+DROP TRIGGER IF EXISTS trigger_prevent_audit_mutation ON data_operation_audit;
+DROP FUNCTION IF EXISTS prevent_audit_mutation();
+
+DROP INDEX IF EXISTS idx_data_operation_audit_actor_id;
+DROP INDEX IF EXISTS idx_data_operation_audit_data_id;
+
+ALTER TABLE data_operation_audit
+    DROP CONSTRAINT IF EXISTS data_operation_audit_sequence_unique,
+    ALTER COLUMN audit_timestamp DROP NOT NULL,
+    DROP COLUMN IF EXISTS entry_hash,
+    DROP COLUMN IF EXISTS previous_hash,
+    DROP COLUMN IF EXISTS sequence_number;
@@ -0,0 +1,44 @@
+-- Append-only, hash-chained data operation audit
+-- Every entry carries its position in the chain, the hash of the previous
+-- entry and its own hash (computed by layer-5-data-sovereignty/AuditLog.js).
+
+ALTER TABLE data_operation_audit
+    ADD COLUMN sequence_number BIGINT,
+    ADD COLUMN previous_hash CHAR(64),
+    ADD COLUMN entry_hash CHAR(64);
+
+-- Entries written before chaining keep their order but have no hashes;
+-- AuditLog.verify() reports them as legacy entries
+UPDATE data_operation_audit
+SET sequence_number = numbered.position
+FROM (
+    SELECT id, ROW_NUMBER() OVER (ORDER BY audit_timestamp, id) AS position
+    FROM data_operation_audit
+) numbered
+WHERE data_operation_audit.id = numbered.id;
+
+ALTER TABLE data_operation_audit
+    ALTER COLUMN sequence_number SET NOT NULL,
+    ALTER COLUMN audit_timestamp SET NOT NULL,
+    ADD CONSTRAINT data_operation_audit_sequence_unique UNIQUE (sequence_number);
+
+CREATE INDEX idx_data_operation_audit_data_id ON data_operation_audit(data_id);
+CREATE INDEX idx_data_operation_audit_actor_id ON data_operation_audit(actor_id);
+
+-- The audit trail can only grow
+CREATE OR REPLACE FUNCTION prevent_audit_mutation()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Audit log is append-only: % on data_operation_audit is not permitted', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_prevent_audit_mutation
+    BEFORE UPDATE OR DELETE ON data_operation_audit
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_audit_mutation();
+
+CREATE TRIGGER trigger_prevent_audit_truncate
+    BEFORE TRUNCATE ON data_operation_audit
+    FOR EACH STATEMENT
+    EXECUTE FUNCTION prevent_audit_mutation();
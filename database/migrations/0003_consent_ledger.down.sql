@@ -0,0 +1,13 @@
+-- Reverts 0003_consent_ledger.up.sql
+-- Community-wide consents cannot be represented without a data subject and are removed.
+
+DROP INDEX IF EXISTS idx_community_consent_tracking_community;
+DROP INDEX IF EXISTS idx_community_consent_tracking_subject;
+
+DELETE FROM community_consent_tracking WHERE data_subject_id IS NULL;
+
+ALTER TABLE community_consent_tracking
+    DROP CONSTRAINT IF EXISTS consent_withdrawal_consistent,
+    DROP CONSTRAINT IF EXISTS consent_scope_not_empty,
+    DROP COLUMN IF EXISTS granted_by,
+    ALTER COLUMN data_subject_id SET NOT NULL;
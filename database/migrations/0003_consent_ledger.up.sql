@@ -0,0 +1,12 @@
+-- Consent ledger over community_consent_tracking
+-- Community-wide consents (granted through governance rather than by one member)
+-- have no data subject; consent_scope holds space-separated scope tokens.
+
+ALTER TABLE community_consent_tracking
+    ALTER COLUMN data_subject_id DROP NOT NULL,
+    ADD COLUMN granted_by VARCHAR(100),
+    ADD CONSTRAINT consent_scope_not_empty CHECK (length(trim(consent_scope)) > 0),
+    ADD CONSTRAINT consent_withdrawal_consistent CHECK (NOT consent_withdrawn OR withdrawal_date IS NOT NULL);
+
+CREATE INDEX idx_community_consent_tracking_subject ON community_consent_tracking(data_subject_id);
+CREATE INDEX idx_community_consent_tracking_community ON community_consent_tracking(community_id, consent_withdrawn);
@@ -0,0 +1,3 @@
+-- Reverts 0004_community_refresh_tokens.up.sql
+
+DROP TABLE IF EXISTS community_refresh_tokens;
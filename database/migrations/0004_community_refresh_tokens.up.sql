@@ -0,0 +1,25 @@
+-- Rotating refresh tokens for community authentication
+-- Only a SHA-256 hash of each token is stored. Every refresh replaces the token
+-- with a new one in the same family; presenting a replaced token revokes the family.
+
+CREATE TABLE community_refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    member_id UUID NOT NULL,
+    family_id UUID NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+
+    issued_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+
+    -- Rotation and revocation
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revocation_reason VARCHAR(50),
+    replaced_by UUID,
+
+    CONSTRAINT refresh_token_revocation_consistent CHECK (revocation_reason IS NULL OR revoked_at IS NOT NULL),
+
+    FOREIGN KEY (member_id) REFERENCES community_members(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_community_refresh_tokens_family ON community_refresh_tokens(family_id);
+CREATE INDEX idx_community_refresh_tokens_member ON community_refresh_tokens(member_id);
@@ -0,0 +1,4 @@
+-- Reverts 0005_member_credentials.up.sql
+
+DROP TABLE IF EXISTS member_account_tokens;
+DROP TABLE IF EXISTS member_credentials;
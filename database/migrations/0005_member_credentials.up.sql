@@ -0,0 +1,35 @@
+-- Member credentials and one-time account tokens
+-- Passwords are stored as bcrypt hashes only. Password reset and email
+-- verification tokens are stored as SHA-256 hashes and can be used once.
+
+CREATE TABLE member_credentials (
+    member_id UUID PRIMARY KEY,
+    password_hash VARCHAR(100) NOT NULL,
+
+    -- Lockout after repeated failed sign-ins
+    failed_attempts INTEGER NOT NULL DEFAULT 0 CHECK (failed_attempts >= 0),
+    locked_until TIMESTAMP WITH TIME ZONE,
+
+    email_verified_at TIMESTAMP WITH TIME ZONE,
+    password_changed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    FOREIGN KEY (member_id) REFERENCES community_members(id) ON DELETE CASCADE
+);
+
+CREATE TABLE member_account_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    member_id UUID NOT NULL,
+    purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+    token_hash CHAR(64) NOT NULL UNIQUE,
+
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+
+    FOREIGN KEY (member_id) REFERENCES community_members(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_member_account_tokens_member ON member_account_tokens(member_id, purpose);
@@ -0,0 +1,12 @@
+-- Reverts 0006_governance_role_grants.up.sql
+
+DROP TRIGGER IF EXISTS trigger_prevent_role_grant_mutation ON member_role_grants;
+DROP FUNCTION IF EXISTS prevent_role_grant_mutation();
+
+DROP TABLE IF EXISTS member_role_grants;
+
+ALTER TABLE community_members
+    DROP CONSTRAINT IF EXISTS community_members_governance_role_valid;
+
+ALTER TABLE governance_proposals
+    DROP COLUMN IF EXISTS proposal_payload;
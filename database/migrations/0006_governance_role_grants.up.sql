@@ -0,0 +1,46 @@
+-- Governance roles granted by community decision
+-- A member's governance_role changes only by enacting an approved role_change
+-- proposal. proposal_payload records the exact change the community voted on
+-- ({ "memberId": ..., "role": ... }) and member_role_grants keeps every change.
+
+ALTER TABLE governance_proposals
+    ADD COLUMN proposal_payload JSONB;
+
+-- Existing rows are left as they are; new writes must use a known role
+ALTER TABLE community_members
+    ADD CONSTRAINT community_members_governance_role_valid
+    CHECK (governance_role IN ('member', 'moderator', 'council', 'creator', 'admin')) NOT VALID;
+
+CREATE TABLE member_role_grants (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    member_id UUID NOT NULL,
+    previous_role VARCHAR(50),
+    granted_role VARCHAR(50) NOT NULL CHECK (granted_role IN ('member', 'moderator', 'council', 'creator', 'admin')),
+
+    -- The decision that authorised the change and who enacted it
+    proposal_id UUID NOT NULL,
+    enacted_by UUID NOT NULL,
+    enacted_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+    -- Each decision is enacted once per member
+    CONSTRAINT member_role_grants_once_per_decision UNIQUE (proposal_id, member_id),
+
+    FOREIGN KEY (member_id) REFERENCES community_members(id),
+    FOREIGN KEY (proposal_id) REFERENCES governance_proposals(id),
+    FOREIGN KEY (enacted_by) REFERENCES community_members(id)
+);
+
+CREATE INDEX idx_member_role_grants_member ON member_role_grants(member_id, enacted_at);
+
+-- Role history can only grow
+CREATE OR REPLACE FUNCTION prevent_role_grant_mutation()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Role grants are append-only: % on member_role_grants is not permitted', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_prevent_role_grant_mutation
+    BEFORE UPDATE OR DELETE ON member_role_grants
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_role_grant_mutation();
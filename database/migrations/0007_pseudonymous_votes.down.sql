@@ -0,0 +1,23 @@
+-- Reverts 0007_pseudonymous_votes.up.sql
+-- Ballots recorded only under a pseudonym cannot be attributed to a member and are removed.
+
+CREATE OR REPLACE VIEW democratic_participation_metrics AS
+SELECT
+    DATE_TRUNC('month', cvr.vote_timestamp) as month,
+    COUNT(DISTINCT cvr.member_id) as unique_voters,
+    COUNT(cvr.id) as total_votes,
+    AVG(gp.liberation_principles_score) as avg_liberation_score,
+    COUNT(CASE WHEN cvr.vote_decision = 'approve' THEN 1 END) as approve_votes,
+    COUNT(CASE WHEN cvr.vote_decision = 'reject' THEN 1 END) as reject_votes
+FROM community_voting_records cvr
+JOIN governance_proposals gp ON cvr.proposal_id = gp.id
+GROUP BY DATE_TRUNC('month', cvr.vote_timestamp)
+ORDER BY month DESC;
+
+DELETE FROM community_voting_records WHERE member_id IS NULL;
+
+ALTER TABLE community_voting_records
+    DROP CONSTRAINT IF EXISTS community_voting_records_one_vote_per_pseudonym,
+    DROP CONSTRAINT IF EXISTS community_voting_records_voter_present,
+    DROP COLUMN IF EXISTS voter_pseudonym,
+    ALTER COLUMN member_id SET NOT NULL;
@@ -0,0 +1,30 @@
+-- Pseudonymous ballots
+-- Votes are recorded under the member's voting pseudonym (an HMAC of their
+-- member ID with a key derived from IDENTITY_PSEUDONYM_SECRET) instead of their
+-- member ID. The pseudonym is the same on every proposal, so the unique
+-- constraint still holds each member to one vote per proposal.
+
+ALTER TABLE community_voting_records
+    ALTER COLUMN member_id DROP NOT NULL,
+    ADD COLUMN voter_pseudonym VARCHAR(64);
+
+ALTER TABLE community_voting_records
+    ADD CONSTRAINT community_voting_records_voter_present
+    CHECK (member_id IS NOT NULL OR voter_pseudonym IS NOT NULL);
+
+ALTER TABLE community_voting_records
+    ADD CONSTRAINT community_voting_records_one_vote_per_pseudonym UNIQUE (proposal_id, voter_pseudonym);
+
+-- Count voters whichever way their ballot was recorded
+CREATE OR REPLACE VIEW democratic_participation_metrics AS
+SELECT
+    DATE_TRUNC('month', cvr.vote_timestamp) as month,
+    COUNT(DISTINCT COALESCE(cvr.voter_pseudonym, cvr.member_id::text)) as unique_voters,
+    COUNT(cvr.id) as total_votes,
+    AVG(gp.liberation_principles_score) as avg_liberation_score,
+    COUNT(CASE WHEN cvr.vote_decision = 'approve' THEN 1 END) as approve_votes,
+    COUNT(CASE WHEN cvr.vote_decision = 'reject' THEN 1 END) as reject_votes
+FROM community_voting_records cvr
+JOIN governance_proposals gp ON cvr.proposal_id = gp.id
+GROUP BY DATE_TRUNC('month', cvr.vote_timestamp)
+ORDER BY month DESC;
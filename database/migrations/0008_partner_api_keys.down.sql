@@ -0,0 +1,5 @@
+-- Reverts 0008_partner_api_keys.up.sql
+
+DROP TABLE IF EXISTS partner_api_key_usage;
+DROP TABLE IF EXISTS partner_api_keys;
+DROP TABLE IF EXISTS partner_organisations;
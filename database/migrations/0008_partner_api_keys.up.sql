@@ -0,0 +1,63 @@
+-- Partner organisations and their scoped API keys
+-- A partner exists only once the community approves a partner_approval proposal;
+-- proposal_payload ({ "name", "contactEmail", "scopes" }) records what was approved.
+-- Keys are stored as SHA-256 hashes and can only use scopes their partner was approved for.
+
+CREATE TABLE partner_organisations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(200) NOT NULL,
+    contact_email VARCHAR(255),
+    approved_scopes TEXT[] NOT NULL,
+
+    -- The decision that approved the partner and who enacted it
+    proposal_id UUID NOT NULL UNIQUE,
+    enacted_by UUID NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+    FOREIGN KEY (proposal_id) REFERENCES governance_proposals(id),
+    FOREIGN KEY (enacted_by) REFERENCES community_members(id)
+);
+
+CREATE TABLE partner_api_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    partner_id UUID NOT NULL,
+    label VARCHAR(100),
+
+    -- Shown to partners and moderators to tell keys apart; never enough to use the key
+    key_prefix VARCHAR(16) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL,
+    rate_limit_per_window INTEGER NOT NULL CHECK (rate_limit_per_window > 0),
+
+    issued_by UUID NOT NULL,
+    issued_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    -- Set on rotation so the replaced key keeps working for a short overlap
+    expires_at TIMESTAMP WITH TIME ZONE,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+
+    -- Rotation and revocation
+    replaced_by UUID,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revocation_reason VARCHAR(200),
+
+    CONSTRAINT partner_api_key_scopes_valid CHECK (scopes <@ ARRAY['events:read', 'stories:read', 'webhooks:post']::TEXT[]),
+    CONSTRAINT partner_api_key_revocation_consistent CHECK (revocation_reason IS NULL OR revoked_at IS NOT NULL),
+
+    FOREIGN KEY (partner_id) REFERENCES partner_organisations(id),
+    FOREIGN KEY (issued_by) REFERENCES community_members(id)
+);
+
+CREATE INDEX idx_partner_api_keys_partner ON partner_api_keys(partner_id, issued_at);
+
+-- Daily request counts per key and scope
+CREATE TABLE partner_api_key_usage (
+    key_id UUID NOT NULL,
+    usage_date DATE NOT NULL,
+    scope VARCHAR(50) NOT NULL,
+    request_count INTEGER NOT NULL DEFAULT 0,
+    rate_limited_count INTEGER NOT NULL DEFAULT 0,
+
+    PRIMARY KEY (key_id, usage_date, scope),
+    FOREIGN KEY (key_id) REFERENCES partner_api_keys(id) ON DELETE CASCADE
+);
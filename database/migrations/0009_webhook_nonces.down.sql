@@ -0,0 +1,3 @@
+-- Reverts 0009_webhook_nonces.up.sql
+
+DROP TABLE IF EXISTS webhook_nonces;
@@ -0,0 +1,14 @@
+-- Nonces from signed inbound webhooks
+-- A nonce is accepted once per source. Rows are kept until well after the
+-- timestamp tolerance window, when a replay would be refused for its age anyway.
+
+CREATE TABLE webhook_nonces (
+    source VARCHAR(50) NOT NULL,
+    nonce VARCHAR(200) NOT NULL,
+    received_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+
+    PRIMARY KEY (source, nonce)
+);
+
+CREATE INDEX idx_webhook_nonces_expiry ON webhook_nonces(expires_at);
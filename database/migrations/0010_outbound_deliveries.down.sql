@@ -0,0 +1,3 @@
+-- Reverts 0010_outbound_deliveries.up.sql
+
+DROP TABLE IF EXISTS outbound_deliveries;
@@ -0,0 +1,40 @@
+-- Outbound deliveries of approved content to partners such as BLKOUTHUB
+-- One row per destination and idempotency key (the content ID), so content
+-- approved twice is queued once. Failed attempts are retried with exponential
+-- backoff; after the last attempt, or a response that will not change on retry,
+-- the delivery is dead-lettered and waits for an admin to replay it.
+
+CREATE TABLE outbound_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    destination VARCHAR(100) NOT NULL,
+    idempotency_key VARCHAR(200) NOT NULL,
+    content_id VARCHAR(100),
+    content_type VARCHAR(50),
+    payload JSONB NOT NULL,
+    enqueued_by VARCHAR(100),
+
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    -- When the next attempt is due; while delivering, when the worker's claim lapses
+    next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    last_attempt_at TIMESTAMP WITH TIME ZONE,
+    last_status_code INTEGER,
+    last_error TEXT,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    dead_lettered_at TIMESTAMP WITH TIME ZONE,
+
+    -- Dead-lettered deliveries an admin sent back to the queue
+    replay_count INTEGER NOT NULL DEFAULT 0,
+    replayed_by VARCHAR(100),
+    replayed_at TIMESTAMP WITH TIME ZONE,
+
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT outbound_delivery_status_valid CHECK (status IN ('pending', 'delivering', 'delivered', 'dead_lettered')),
+    CONSTRAINT outbound_delivery_idempotent UNIQUE (destination, idempotency_key)
+);
+
+CREATE INDEX idx_outbound_deliveries_due ON outbound_deliveries(next_attempt_at)
+    WHERE status IN ('pending', 'delivering');
+CREATE INDEX idx_outbound_deliveries_status ON outbound_deliveries(status, created_at);
@@ -0,0 +1,3 @@
+-- Reverts 0011_webhook_subscriptions.up.sql
+
+DROP TABLE IF EXISTS webhook_subscriptions;
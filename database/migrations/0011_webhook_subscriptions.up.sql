@@ -0,0 +1,45 @@
+-- Webhook subscriptions: partners receiving domain events as signed webhooks
+-- A subscription exists only once the community approves a webhook_subscription
+-- proposal; proposal_payload ({ "partnerId", "url", "eventTypes", "description" })
+-- records what was approved. Events are delivered through outbound_deliveries
+-- (destination 'subscription:<id>'). After too many failed attempts in a row the
+-- subscription is disabled until someone reactivates it.
+
+CREATE TABLE webhook_subscriptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    partner_id UUID NOT NULL,
+    url TEXT NOT NULL,
+    event_types TEXT[] NOT NULL,
+    description VARCHAR(500),
+
+    -- Signs every delivery; kept retrievable because HMAC needs the secret itself
+    signing_secret VARCHAR(100) NOT NULL,
+
+    -- The decision that approved the subscription and who enacted it
+    proposal_id UUID NOT NULL UNIQUE,
+    enacted_by UUID NOT NULL,
+
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    consecutive_failures INTEGER NOT NULL DEFAULT 0,
+    last_success_at TIMESTAMP WITH TIME ZONE,
+    last_failure_at TIMESTAMP WITH TIME ZONE,
+    disabled_at TIMESTAMP WITH TIME ZONE,
+    disabled_reason VARCHAR(200),
+
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT webhook_subscription_status_valid CHECK (status IN ('active', 'disabled', 'cancelled')),
+    CONSTRAINT webhook_subscription_event_types_valid CHECK (
+        cardinality(event_types) > 0 AND
+        event_types <@ ARRAY['event_created', 'democratic_vote_completed', 'liberation_response_generated', 'feature_flag_updated']::TEXT[]
+    ),
+
+    FOREIGN KEY (partner_id) REFERENCES partner_organisations(id),
+    FOREIGN KEY (proposal_id) REFERENCES governance_proposals(id),
+    FOREIGN KEY (enacted_by) REFERENCES community_members(id)
+);
+
+CREATE INDEX idx_webhook_subscriptions_partner ON webhook_subscriptions(partner_id, created_at);
+CREATE INDEX idx_webhook_subscriptions_active ON webhook_subscriptions USING GIN (event_types)
+    WHERE status = 'active';
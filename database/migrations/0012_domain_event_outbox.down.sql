@@ -0,0 +1,3 @@
+-- Reverts 0012_domain_event_outbox.up.sql
+
+DROP TABLE IF EXISTS domain_event_outbox;
@@ -0,0 +1,26 @@
+-- Domain event outbox
+-- Events that report a data write are inserted in the same transaction as the
+-- write, then published on the domain event bus by the outbox relay. An event
+-- is therefore published only if its write committed, and is retried until the
+-- bus accepts it. envelope holds the full versioned event (see DomainEventSchemas).
+
+CREATE TABLE domain_event_outbox (
+    id UUID PRIMARY KEY,
+    event_type VARCHAR(100) NOT NULL,
+    correlation_id VARCHAR(100) NOT NULL,
+    envelope JSONB NOT NULL,
+
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    -- When the next attempt is due; while publishing, when the relay's claim lapses
+    next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    last_error TEXT,
+    published_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT domain_event_outbox_status_valid CHECK (status IN ('pending', 'publishing', 'published'))
+);
+
+CREATE INDEX idx_domain_event_outbox_due ON domain_event_outbox(next_attempt_at)
+    WHERE status IN ('pending', 'publishing');
+CREATE INDEX idx_domain_event_outbox_correlation ON domain_event_outbox(correlation_id);
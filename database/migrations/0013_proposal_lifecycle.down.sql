@@ -0,0 +1,21 @@
+-- Reverts 0013_proposal_lifecycle.up.sql
+
+DROP TRIGGER IF EXISTS trigger_prevent_proposal_event_mutation ON governance_proposal_events;
+DROP FUNCTION IF EXISTS prevent_proposal_event_mutation();
+
+DROP TABLE IF EXISTS governance_proposal_events;
+
+ALTER TABLE governance_proposals
+    DROP COLUMN IF EXISTS updated_at,
+    DROP COLUMN IF EXISTS enacted_by,
+    DROP COLUMN IF EXISTS enacted_at,
+    DROP COLUMN IF EXISTS tallied_at,
+    DROP COLUMN IF EXISTS passing_threshold;
+
+-- Proposals that never reached a vote have no earlier equivalent
+UPDATE governance_proposals SET status = 'withdrawn' WHERE status IN ('draft', 'deliberation');
+
+ALTER TABLE governance_proposals
+    DROP CONSTRAINT IF EXISTS governance_proposals_status_valid,
+    ADD CONSTRAINT governance_proposals_status_check
+    CHECK (status IN ('open', 'closed', 'approved', 'rejected', 'withdrawn'));
@@ -0,0 +1,58 @@
+-- Proposal lifecycle
+-- A proposal moves draft -> deliberation -> open (voting) -> approved, rejected
+-- or closed (quorum not met), and may be withdrawn before voting opens. The
+-- scheduler opens voting at voting_start_date and tallies at voting_end_date.
+-- Every transition is appended to governance_proposal_events, the proposal's
+-- public timeline. Enacting an approved proposal keeps it 'approved' and sets
+-- enacted_at, so existing enactment checks are unchanged.
+
+ALTER TABLE governance_proposals
+    DROP CONSTRAINT IF EXISTS governance_proposals_status_check;
+
+ALTER TABLE governance_proposals
+    ADD CONSTRAINT governance_proposals_status_valid
+    CHECK (status IN ('draft', 'deliberation', 'open', 'closed', 'approved', 'rejected', 'withdrawn'));
+
+ALTER TABLE governance_proposals
+    -- Share of approve among approve and reject ballots needed to pass, fixed when the proposal is created
+    ADD COLUMN passing_threshold DECIMAL(3,2) NOT NULL DEFAULT 0.60
+        CHECK (passing_threshold > 0.5 AND passing_threshold <= 1.0),
+    ADD COLUMN tallied_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN enacted_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN enacted_by UUID REFERENCES community_members(id),
+    ADD COLUMN updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+CREATE TABLE governance_proposal_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    proposal_id UUID NOT NULL,
+    event_type VARCHAR(30) NOT NULL,
+    from_status VARCHAR(30),
+    to_status VARCHAR(30) NOT NULL,
+
+    -- Member who caused the event; NULL when the scheduler did
+    actor_id UUID,
+    -- Tally counts, withdrawal reason, enactment; never who cast which ballot
+    details JSONB NOT NULL DEFAULT '{}',
+    occurred_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT governance_proposal_events_type_valid
+        CHECK (event_type IN ('created', 'submitted', 'withdrawn', 'voting_opened', 'tallied', 'enacted')),
+
+    FOREIGN KEY (proposal_id) REFERENCES governance_proposals(id),
+    FOREIGN KEY (actor_id) REFERENCES community_members(id)
+);
+
+CREATE INDEX idx_governance_proposal_events_proposal ON governance_proposal_events(proposal_id, occurred_at);
+
+-- The timeline can only grow
+CREATE OR REPLACE FUNCTION prevent_proposal_event_mutation()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Proposal timelines are append-only: % on governance_proposal_events is not permitted', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_prevent_proposal_event_mutation
+    BEFORE UPDATE OR DELETE ON governance_proposal_events
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_proposal_event_mutation();
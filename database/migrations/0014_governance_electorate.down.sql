@@ -0,0 +1,10 @@
+-- Reverts 0014_governance_electorate.up.sql
+
+DROP TRIGGER IF EXISTS trigger_prevent_electorate_mutation ON governance_proposal_electorate;
+DROP FUNCTION IF EXISTS prevent_electorate_mutation();
+
+DROP TABLE IF EXISTS governance_proposal_electorate;
+
+ALTER TABLE governance_proposals
+    DROP COLUMN IF EXISTS eligible_voters,
+    DROP COLUMN IF EXISTS quorum_percentage;
@@ -0,0 +1,35 @@
+-- Governance electorate
+-- When voting opens, every member who meets the eligibility requirements at
+-- that moment is written to governance_proposal_electorate under their voting
+-- pseudonym, so the electorate can be counted and checked against ballots
+-- without recording who cast which vote. Only members in the snapshot may vote,
+-- and quorum and participation are measured against its size.
+
+ALTER TABLE governance_proposals
+    -- Share of the electorate that must cast a ballot, fixed when the proposal is created
+    ADD COLUMN quorum_percentage DECIMAL(3,2) NOT NULL DEFAULT 0.30
+        CHECK (quorum_percentage > 0 AND quorum_percentage <= 1.0),
+    -- Size of the electorate snapshot; NULL until voting opens
+    ADD COLUMN eligible_voters INTEGER CHECK (eligible_voters >= 0);
+
+CREATE TABLE governance_proposal_electorate (
+    proposal_id UUID NOT NULL,
+    voter_pseudonym VARCHAR(64) NOT NULL,
+    snapshot_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+    PRIMARY KEY (proposal_id, voter_pseudonym),
+    FOREIGN KEY (proposal_id) REFERENCES governance_proposals(id)
+);
+
+-- The snapshot is fixed once taken
+CREATE OR REPLACE FUNCTION prevent_electorate_mutation()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Electorate snapshots are fixed: % on governance_proposal_electorate is not permitted', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_prevent_electorate_mutation
+    BEFORE UPDATE OR DELETE ON governance_proposal_electorate
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_electorate_mutation();
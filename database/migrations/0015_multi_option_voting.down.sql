@@ -0,0 +1,16 @@
+-- Reverts 0015_multi_option_voting.up.sql
+-- Option ballots have no approve / reject / abstain equivalent and are removed.
+
+DELETE FROM community_voting_records WHERE ballot IS NOT NULL;
+
+ALTER TABLE community_voting_records
+    DROP CONSTRAINT IF EXISTS community_voting_records_decision_or_ballot,
+    DROP COLUMN IF EXISTS ballot,
+    ALTER COLUMN vote_decision SET NOT NULL;
+
+ALTER TABLE governance_proposals
+    DROP CONSTRAINT IF EXISTS governance_proposals_ballot_options_match_method,
+    DROP COLUMN IF EXISTS results,
+    DROP COLUMN IF EXISTS winning_option,
+    DROP COLUMN IF EXISTS ballot_options,
+    DROP COLUMN IF EXISTS voting_method;
@@ -0,0 +1,33 @@
+-- Multi-option voting
+-- A proposal is decided by simple majority (approve / reject / abstain) unless
+-- it chooses another voting method when drafted: ranked_choice (instant
+-- runoff), approval or score. Those methods choose between the proposal's
+-- ballot_options, and each ballot is stored as JSON in place of a decision.
+-- The tally records the winning option and the round-by-round results,
+-- including the tie-break order used.
+
+ALTER TABLE governance_proposals
+    ADD COLUMN voting_method VARCHAR(20) NOT NULL DEFAULT 'simple_majority'
+        CHECK (voting_method IN ('simple_majority', 'ranked_choice', 'approval', 'score')),
+    -- [{ "id": "opt-1", "label": "..." }]; fixed when the proposal is created
+    ADD COLUMN ballot_options JSONB,
+    ADD COLUMN winning_option VARCHAR(20),
+    -- Rounds, tie-break order and abstentions from the tally
+    ADD COLUMN results JSONB;
+
+ALTER TABLE governance_proposals
+    ADD CONSTRAINT governance_proposals_ballot_options_match_method
+    CHECK (
+        (voting_method = 'simple_majority' AND ballot_options IS NULL) OR
+        (voting_method <> 'simple_majority' AND ballot_options IS NOT NULL
+            AND jsonb_typeof(ballot_options) = 'array' AND jsonb_array_length(ballot_options) >= 2)
+    );
+
+ALTER TABLE community_voting_records
+    ALTER COLUMN vote_decision DROP NOT NULL,
+    -- { "ranking": [...] }, { "approved": [...] } or { "scores": { ... } }
+    ADD COLUMN ballot JSONB;
+
+ALTER TABLE community_voting_records
+    ADD CONSTRAINT community_voting_records_decision_or_ballot
+    CHECK ((vote_decision IS NULL) <> (ballot IS NULL));
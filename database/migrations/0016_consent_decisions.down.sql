@@ -0,0 +1,49 @@
+-- Reverts 0016_consent_decisions.up.sql
+-- Consent positions and ballots from later rounds have no earlier equivalent
+-- and are removed. Paused proposals are closed and consent proposals become
+-- simple majority proposals. Timeline events cannot be deleted, so the
+-- restored event type check skips existing rows (NOT VALID).
+
+DELETE FROM community_voting_records WHERE consent_position IS NOT NULL OR voting_round > 1;
+
+ALTER TABLE community_voting_records
+    DROP CONSTRAINT IF EXISTS community_voting_records_block_explained,
+    DROP CONSTRAINT IF EXISTS community_voting_records_decision_or_ballot,
+    DROP CONSTRAINT IF EXISTS community_voting_records_one_vote_per_round,
+    DROP COLUMN IF EXISTS objection_principle,
+    DROP COLUMN IF EXISTS consent_position,
+    DROP COLUMN IF EXISTS voting_round;
+
+ALTER TABLE community_voting_records
+    ADD CONSTRAINT community_voting_records_one_vote_per_pseudonym UNIQUE (proposal_id, voter_pseudonym),
+    ADD CONSTRAINT community_voting_records_decision_or_ballot
+        CHECK ((vote_decision IS NULL) <> (ballot IS NULL));
+
+ALTER TABLE governance_proposal_events
+    DROP CONSTRAINT IF EXISTS governance_proposal_events_type_valid;
+
+ALTER TABLE governance_proposal_events
+    ADD CONSTRAINT governance_proposal_events_type_valid
+    CHECK (event_type IN ('created', 'submitted', 'withdrawn', 'voting_opened', 'tallied', 'enacted')) NOT VALID;
+
+UPDATE governance_proposals SET status = 'closed' WHERE status = 'amending';
+UPDATE governance_proposals SET voting_method = 'simple_majority' WHERE voting_method = 'consent';
+
+ALTER TABLE governance_proposals
+    DROP CONSTRAINT IF EXISTS governance_proposals_ballot_options_match_method,
+    DROP CONSTRAINT IF EXISTS governance_proposals_voting_method_valid,
+    DROP CONSTRAINT IF EXISTS governance_proposals_status_valid,
+    DROP COLUMN IF EXISTS escalated_at,
+    DROP COLUMN IF EXISTS consent_round;
+
+ALTER TABLE governance_proposals
+    ADD CONSTRAINT governance_proposals_status_valid
+    CHECK (status IN ('draft', 'deliberation', 'open', 'closed', 'approved', 'rejected', 'withdrawn')),
+    ADD CONSTRAINT governance_proposals_voting_method_check
+    CHECK (voting_method IN ('simple_majority', 'ranked_choice', 'approval', 'score')),
+    ADD CONSTRAINT governance_proposals_ballot_options_match_method
+    CHECK (
+        (voting_method = 'simple_majority' AND ballot_options IS NULL) OR
+        (voting_method <> 'simple_majority' AND ballot_options IS NOT NULL
+            AND jsonb_typeof(ballot_options) = 'array' AND jsonb_array_length(ballot_options) >= 2)
+    );
@@ -0,0 +1,58 @@
+-- Consent decisions
+-- A consent proposal asks members for a position instead of a decision:
+-- support, stand_aside, concern or block. A block must give a reason and the
+-- liberation principle it defends. A block pauses the proposal ('amending')
+-- until the proposer amends it, which opens the next consent round. A block in
+-- the last permitted round escalates the proposal to a supermajority vote.
+-- Ballots belong to a round, so members take a fresh position each round,
+-- and earlier rounds are kept as the proposal's dissent.
+
+ALTER TABLE governance_proposals
+    DROP CONSTRAINT IF EXISTS governance_proposals_status_valid,
+    DROP CONSTRAINT IF EXISTS governance_proposals_voting_method_check,
+    DROP CONSTRAINT IF EXISTS governance_proposals_ballot_options_match_method;
+
+ALTER TABLE governance_proposals
+    ADD CONSTRAINT governance_proposals_status_valid
+    CHECK (status IN ('draft', 'deliberation', 'open', 'amending', 'closed', 'approved', 'rejected', 'withdrawn')),
+    ADD CONSTRAINT governance_proposals_voting_method_valid
+    CHECK (voting_method IN ('simple_majority', 'consent', 'ranked_choice', 'approval', 'score')),
+    ADD CONSTRAINT governance_proposals_ballot_options_match_method
+    CHECK (
+        (voting_method IN ('simple_majority', 'consent') AND ballot_options IS NULL) OR
+        (voting_method NOT IN ('simple_majority', 'consent') AND ballot_options IS NOT NULL
+            AND jsonb_typeof(ballot_options) = 'array' AND jsonb_array_length(ballot_options) >= 2)
+    ),
+    -- Round of voting in progress; consent proposals start a new one after each amendment or escalation
+    ADD COLUMN consent_round INTEGER NOT NULL DEFAULT 1 CHECK (consent_round >= 1),
+    -- Set when repeated blocks moved a consent proposal to a supermajority vote
+    ADD COLUMN escalated_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE governance_proposal_events
+    DROP CONSTRAINT IF EXISTS governance_proposal_events_type_valid;
+
+ALTER TABLE governance_proposal_events
+    ADD CONSTRAINT governance_proposal_events_type_valid
+    CHECK (event_type IN ('created', 'submitted', 'withdrawn', 'voting_opened', 'blocked', 'amended', 'escalated',
+                          'tallied', 'enacted'));
+
+ALTER TABLE community_voting_records
+    DROP CONSTRAINT IF EXISTS community_voting_records_one_vote_per_pseudonym,
+    DROP CONSTRAINT IF EXISTS community_voting_records_decision_or_ballot,
+    ADD COLUMN voting_round INTEGER NOT NULL DEFAULT 1 CHECK (voting_round >= 1),
+    ADD COLUMN consent_position VARCHAR(20)
+        CHECK (consent_position IN ('support', 'stand_aside', 'concern', 'block')),
+    ADD COLUMN objection_principle VARCHAR(40)
+        CHECK (objection_principle IN ('empowers_black_queerness', 'advances_community_liberation',
+                                       'resists_oppression_systems', 'strengthens_community_power',
+                                       'supports_mutual_aid'));
+
+ALTER TABLE community_voting_records
+    ADD CONSTRAINT community_voting_records_one_vote_per_round
+        UNIQUE (proposal_id, voting_round, voter_pseudonym),
+    -- A decision, an option ballot or a consent position, never more than one
+    ADD CONSTRAINT community_voting_records_decision_or_ballot
+        CHECK (num_nonnulls(vote_decision, ballot, consent_position) = 1),
+    ADD CONSTRAINT community_voting_records_block_explained
+        CHECK (consent_position IS DISTINCT FROM 'block' OR
+               (objection_principle IS NOT NULL AND COALESCE(TRIM(vote_reason), '') <> ''));
@@ -0,0 +1,31 @@
+-- Reverts 0017_proposal_versions.up.sql
+-- Proposals keep their current text; earlier versions, amendments and amendment
+-- votes are removed. Timeline events cannot be deleted, so the restored event
+-- type check skips existing rows (NOT VALID).
+
+ALTER TABLE governance_proposal_events
+    DROP CONSTRAINT IF EXISTS governance_proposal_events_type_valid;
+
+ALTER TABLE governance_proposal_events
+    ADD CONSTRAINT governance_proposal_events_type_valid
+    CHECK (event_type IN ('created', 'submitted', 'withdrawn', 'voting_opened', 'blocked', 'amended', 'escalated',
+                          'tallied', 'enacted')) NOT VALID;
+
+ALTER TABLE community_voting_records
+    DROP COLUMN IF EXISTS reconfirmed_at,
+    DROP COLUMN IF EXISTS text_hash,
+    DROP COLUMN IF EXISTS proposal_version;
+
+DROP TRIGGER IF EXISTS trigger_prevent_amendment_vote_mutation ON governance_amendment_votes;
+DROP TRIGGER IF EXISTS trigger_prevent_proposal_version_mutation ON governance_proposal_versions;
+DROP FUNCTION IF EXISTS prevent_proposal_version_mutation();
+
+DROP TABLE IF EXISTS governance_amendment_votes;
+ALTER TABLE IF EXISTS governance_proposal_versions
+    DROP CONSTRAINT IF EXISTS governance_proposal_versions_amendment_fk;
+DROP TABLE IF EXISTS governance_proposal_amendments;
+DROP TABLE IF EXISTS governance_proposal_versions;
+
+ALTER TABLE governance_proposals
+    DROP COLUMN IF EXISTS text_hash,
+    DROP COLUMN IF EXISTS current_version;
@@ -0,0 +1,123 @@
+-- Proposal versions and amendments
+-- Each version of a proposal's text is kept in governance_proposal_versions and
+-- identified by the SHA-256 of its title and description. Members may propose
+-- an amendment against a specific version while the proposal is in
+-- deliberation or open for voting; the proposer can accept it, or members vote
+-- it through. An applied amendment becomes the next version, and amendments
+-- written against the old version are superseded. Every ballot records the
+-- version and text hash it was cast on, so ballots cast on a superseded text
+-- can be flagged and reconfirmed.
+
+ALTER TABLE governance_proposals
+    -- Version of the text being deliberated or voted on
+    ADD COLUMN current_version INTEGER NOT NULL DEFAULT 1 CHECK (current_version >= 1),
+    -- SHA-256 of the current text; NULL for proposals saved outside the lifecycle
+    ADD COLUMN text_hash CHAR(64);
+
+UPDATE governance_proposals
+SET text_hash = encode(sha256(convert_to(title || E'\n\n' || description, 'UTF8')), 'hex');
+
+CREATE TABLE governance_proposal_versions (
+    proposal_id UUID NOT NULL,
+    version INTEGER NOT NULL CHECK (version >= 1),
+    title VARCHAR(200) NOT NULL,
+    description TEXT NOT NULL,
+    text_hash CHAR(64) NOT NULL,
+
+    -- Amendment this version applied; NULL for the original text and the proposer's own revisions
+    amendment_id UUID,
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+    PRIMARY KEY (proposal_id, version),
+    FOREIGN KEY (proposal_id) REFERENCES governance_proposals(id),
+    FOREIGN KEY (created_by) REFERENCES community_members(id)
+);
+
+-- Existing proposals start their history with the text they have now
+INSERT INTO governance_proposal_versions (proposal_id, version, title, description, text_hash, created_by, created_at)
+SELECT id, current_version, title, description, text_hash, created_by, COALESCE(created_at, NOW())
+FROM governance_proposals;
+
+CREATE TABLE governance_proposal_amendments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    proposal_id UUID NOT NULL,
+    -- Version the amendment was written against; it can only be applied to that version
+    base_version INTEGER NOT NULL,
+    title VARCHAR(200) NOT NULL,
+    description TEXT NOT NULL,
+    text_hash CHAR(64) NOT NULL,
+    rationale TEXT,
+    proposed_by UUID NOT NULL,
+
+    -- accepted by the proposer or adopted by members' votes; superseded when another
+    -- version is applied first; lapsed when the proposal is decided or withdrawn
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    resulting_version INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    decided_at TIMESTAMP WITH TIME ZONE,
+
+    CONSTRAINT governance_proposal_amendments_status_valid
+        CHECK (status IN ('pending', 'accepted', 'adopted', 'declined', 'superseded', 'lapsed')),
+    CONSTRAINT governance_proposal_amendments_applied_version
+        CHECK ((status IN ('accepted', 'adopted')) = (resulting_version IS NOT NULL)),
+
+    FOREIGN KEY (proposal_id, base_version) REFERENCES governance_proposal_versions(proposal_id, version),
+    FOREIGN KEY (proposed_by) REFERENCES community_members(id)
+);
+
+CREATE INDEX idx_governance_proposal_amendments_proposal ON governance_proposal_amendments(proposal_id, created_at);
+
+ALTER TABLE governance_proposal_versions
+    ADD CONSTRAINT governance_proposal_versions_amendment_fk
+    FOREIGN KEY (amendment_id) REFERENCES governance_proposal_amendments(id);
+
+-- Support or opposition to an amendment, one per voting pseudonym
+CREATE TABLE governance_amendment_votes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    amendment_id UUID NOT NULL,
+    voter_pseudonym VARCHAR(64) NOT NULL,
+    decision VARCHAR(10) NOT NULL CHECK (decision IN ('support', 'oppose')),
+    cast_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT governance_amendment_votes_one_per_pseudonym UNIQUE (amendment_id, voter_pseudonym),
+    FOREIGN KEY (amendment_id) REFERENCES governance_proposal_amendments(id)
+);
+
+-- Versions and amendment votes are never rewritten
+CREATE OR REPLACE FUNCTION prevent_proposal_version_mutation()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Proposal versions and amendment votes are fixed: % on % is not permitted', TG_OP, TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_prevent_proposal_version_mutation
+    BEFORE UPDATE OR DELETE ON governance_proposal_versions
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_proposal_version_mutation();
+
+CREATE TRIGGER trigger_prevent_amendment_vote_mutation
+    BEFORE UPDATE OR DELETE ON governance_amendment_votes
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_proposal_version_mutation();
+
+ALTER TABLE community_voting_records
+    -- Version and text the ballot was cast on
+    ADD COLUMN proposal_version INTEGER CHECK (proposal_version >= 1),
+    ADD COLUMN text_hash CHAR(64),
+    -- Set when the member cast the ballot again after the text it was cast on was superseded
+    ADD COLUMN reconfirmed_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE community_voting_records cvr
+SET proposal_version = gp.current_version, text_hash = gp.text_hash
+FROM governance_proposals gp
+WHERE gp.id = cvr.proposal_id;
+
+ALTER TABLE governance_proposal_events
+    DROP CONSTRAINT IF EXISTS governance_proposal_events_type_valid;
+
+ALTER TABLE governance_proposal_events
+    ADD CONSTRAINT governance_proposal_events_type_valid
+    CHECK (event_type IN ('created', 'submitted', 'withdrawn', 'voting_opened', 'blocked', 'amended', 'escalated',
+                          'amendment_proposed', 'amendment_applied', 'amendment_declined', 'tallied', 'enacted'));
@@ -16,7 +16,7 @@ const IvorAILiberationService = require('../layer-3-business-logic/IvorAILiberat
 
 // Import data sovereignty service instance (Layer 5: Data Persistence)
 const DataSovereigntyService = require('../layer-5-data-sovereignty/DataSovereigntyService');
-const dataSovereigntyServiceInstance = new DataSovereigntyService();
+const dataSovereigntyServiceInstance = new DataSovereigntyService(undefined, { seedDefaultConsent: true });
 
 /**
  * Bootstrap all services into the dependency injection container
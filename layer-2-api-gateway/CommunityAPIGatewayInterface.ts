@@ -40,6 +40,19 @@ export interface CommunityAuthenticationModule {
   refreshCommunityToken(refreshToken: string): Promise<TokenRefreshResult>;
 }
 
+/**
+ * Community Session Issuer - PASSWORD SIGN-IN ONLY
+ * Implemented by CommunityAuthService.js with CommunityCredentialService.js as its verifier
+ */
+export interface CommunitySessionIssuer {
+  // Checks a password against member_credentials and starts a session
+  login(credentials: { identifier: string; password: string }): Promise<{
+    success: boolean;
+    session?: { accessToken: string; refreshToken: string; expiresIn: number };
+    reason?: string;
+  }>;
+}
+
 /**
  * Liberation-Focused Router - ROUTING OPERATIONS ONLY
  */
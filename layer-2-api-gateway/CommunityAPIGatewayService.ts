@@ -9,6 +9,7 @@
 import {
   CommunityAPIGatewayInterface,
   CommunityAuthenticationModule,
+  CommunitySessionIssuer,
   LiberationFocusedRouter,
   CommunityRateLimitingService,
   APISecurityService,
@@ -20,6 +21,11 @@ import {
   RoutingResult,
   ProtectionResult
 } from './CommunityAPIGatewayInterface';
+import * as jwt from 'jsonwebtoken';
+
+// Must match CommunityAuthService.js, which issues the tokens
+const TOKEN_ISSUER = 'blkout-liberation-platform';
+const TOKEN_AUDIENCE = 'blkout-community';
 
 export class CommunityAPIGatewayService implements CommunityAPIGatewayInterface {
   
@@ -28,7 +34,8 @@ export class CommunityAPIGatewayService implements CommunityAPIGatewayInterface
     private router: LiberationFocusedRouter,
     private rateLimitingService: CommunityRateLimitingService,
     private securityService: APISecurityService,
-    private analyticsService: APIAnalyticsService
+    private analyticsService: APIAnalyticsService,
+    private sessionIssuer?: CommunitySessionIssuer
   ) {}
 
   /**
@@ -91,8 +98,17 @@ export class CommunityAPIGatewayService implements CommunityAPIGatewayInterface
    * Community authentication - AUTHENTICATION ONLY
    */
   async authenticateCommunityMember(credentials: CommunityCredentials): Promise<AuthenticationResult> {
+    // Password sign-in is checked by the session issuer, which returns a community token
+    let communityToken = credentials.credential;
+    if (credentials.credentialType === 'password') {
+      const login = this.sessionIssuer
+        ? await this.sessionIssuer.login({ identifier: credentials.identifier, password: credentials.credential })
+        : null;
+      communityToken = login && login.success ? login.session.accessToken : null;
+    }
+
     // Authentication validation (validation only - no identity decisions)
-    const tokenValidation = await this.authModule.validateCommunityToken(credentials.credential);
+    const tokenValidation = communityToken ? await this.authModule.validateCommunityToken(communityToken) : null;
     
     if (!tokenValidation) {
       return {
@@ -113,8 +129,10 @@ export class CommunityAPIGatewayService implements CommunityAPIGatewayInterface
     // Validate consent (validation only - no consent business logic)
     const consentValid = credentials.consentProvided;
     
-    // Generate new community token (token generation only)
-    const newToken = await this.generateCommunityToken(tokenValidation);
+    // Generate new community token (token generation only); password sign-in already issued one
+    const newToken = credentials.credentialType === 'password'
+      ? communityToken
+      : await this.generateCommunityToken(tokenValidation);
     
     return {
       authenticated: true,
@@ -396,19 +414,30 @@ export class CommunityAuthenticationModuleService implements CommunityAuthentica
   // ===== PRIVATE AUTHENTICATION METHODS =====
 
   private parseTokenPayload(token: string): any {
-    // Mock token parsing - real implementation would parse JWT
+    // Claims are read unverified here; validateTokenSignature checks them
+    const claims: any = jwt.decode(token) || {};
     return {
-      memberId: 'member_123',
+      memberId: claims.sub,
       memberType: 'community_member',
       liberationStage: 'organizing',
       sovereignty: true,
-      exp: Date.now() + 3600000 // 1 hour from now
+      exp: (claims.exp || 0) * 1000 // JWT exp is in seconds
     };
   }
 
   private async validateTokenSignature(token: string): Promise<boolean> {
     // Token signature validation (validation only)
-    return true; // Mock validation
+    const secret = process.env.COMMUNITY_JWT_SECRET;
+    if (!secret) {
+      return false;
+    }
+
+    try {
+      jwt.verify(token, secret, { algorithms: ['HS256'], issuer: TOKEN_ISSUER, audience: TOKEN_AUDIENCE });
+      return true;
+    } catch (error) {
+      return false;
+    }
   }
 
   private validateTokenExpiry(tokenData: any): boolean {
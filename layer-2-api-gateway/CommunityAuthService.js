@@ -0,0 +1,257 @@
+/**
+ * Community Authentication Service (Layer 2)
+ *
+ * SCOPE: Issuing and verifying signed access tokens and rotating refresh tokens
+ * DOES NOT: Store passwords or decide roles (credentials are checked by the injected verifier)
+ * ONLY: Turns verified credentials into sessions and sessions back into member identities
+ *
+ * Access tokens are short-lived HS256 JWTs (sub = member id). Refresh tokens are
+ * opaque random strings; only their SHA-256 hash is stored. Each refresh replaces
+ * the presented token with a new one in the same family. A replaced token that is
+ * presented again is treated as stolen and the whole family is revoked, which
+ * signs the member out of that session everywhere.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const TOKEN_ISSUER = 'blkout-liberation-platform';
+const TOKEN_AUDIENCE = 'blkout-community';
+const DEFAULT_ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const DEFAULT_REFRESH_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+class CommunityAuthService {
+  /**
+   * @param {Object} options
+   * @param {StorageAdapter} options.storageAdapter - Members and refresh tokens
+   * @param {Object} options.credentialVerifier - { verifyCredentials({ identifier, password }) => member id | null }
+   * @param {string} options.secret - JWT signing key (defaults to COMMUNITY_JWT_SECRET)
+   * @param {number} options.accessTokenTtlSeconds - Defaults to COMMUNITY_ACCESS_TOKEN_TTL or 15 minutes
+   * @param {number} options.refreshTokenTtlSeconds - Defaults to COMMUNITY_REFRESH_TOKEN_TTL or 30 days
+   */
+  constructor(options = {}) {
+    if (!options.storageAdapter) {
+      throw new Error('Storage adapter is required');
+    }
+
+    this.storage = options.storageAdapter;
+    this.credentialVerifier = options.credentialVerifier || null;
+    this.accessTokenTtlSeconds = options.accessTokenTtlSeconds ||
+      parseInt(process.env.COMMUNITY_ACCESS_TOKEN_TTL || String(DEFAULT_ACCESS_TOKEN_TTL_SECONDS), 10);
+    this.refreshTokenTtlSeconds = options.refreshTokenTtlSeconds ||
+      parseInt(process.env.COMMUNITY_REFRESH_TOKEN_TTL || String(DEFAULT_REFRESH_TOKEN_TTL_SECONDS), 10);
+
+    this.secret = options.secret || process.env.COMMUNITY_JWT_SECRET;
+    if (!this.secret) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('COMMUNITY_JWT_SECRET is required in production');
+      }
+      // Sessions end on restart and are not shared between processes
+      console.warn('⚠️ COMMUNITY_JWT_SECRET not set - using a per-process signing key');
+      this.secret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+
+  /**
+   * Check credentials and start a session
+   * @param {Object} credentials - { identifier (username or email), password }
+   * @returns {Promise<Object>} - { success, session } or { success: false, reason }
+   */
+  async login(credentials = {}) {
+    if (!this.credentialVerifier) {
+      return { success: false, reason: 'login_unavailable' };
+    }
+
+    const memberId = await this.credentialVerifier.verifyCredentials(credentials);
+    if (!memberId) {
+      return { success: false, reason: 'invalid_credentials' };
+    }
+
+    const member = await this.storage.findMemberById(memberId);
+    if (!member || !member.active) {
+      return { success: false, reason: 'invalid_credentials' };
+    }
+
+    const session = await this.issueSession(member, crypto.randomUUID());
+    console.log('🔐 Community session started');
+
+    return { success: true, session };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @param {string} refreshToken - Refresh token from login or the previous refresh
+   * @returns {Promise<Object>} - { success, session } or { success: false, reason }
+   */
+  async refresh(refreshToken) {
+    const record = await this.findRefreshRecord(refreshToken);
+    if (!record) {
+      return { success: false, reason: 'invalid_refresh_token' };
+    }
+
+    if (record.revoked_at) {
+      if (record.revocation_reason === 'rotated') {
+        // A rotated token came back: someone else holds a copy
+        await this.revokeFamily(record.family_id, 'reuse_detected');
+        console.warn('🚨 Refresh token reuse detected - session family revoked');
+        return { success: false, reason: 'refresh_token_reused' };
+      }
+      return { success: false, reason: 'session_ended' };
+    }
+
+    if (new Date(record.expires_at) <= new Date()) {
+      return { success: false, reason: 'refresh_token_expired' };
+    }
+
+    const member = await this.storage.findMemberById(record.member_id);
+    if (!member || !member.active) {
+      await this.revokeFamily(record.family_id, 'member_inactive');
+      return { success: false, reason: 'session_ended' };
+    }
+
+    // Rotate before issuing: of two concurrent refreshes with one token, only one rotates it
+    const replacementId = crypto.randomUUID();
+    const rotated = await this.storage.rotateRefreshToken(record.id, {
+      revoked_at: new Date().toISOString(),
+      replaced_by: replacementId
+    });
+    if (!rotated) {
+      await this.revokeFamily(record.family_id, 'reuse_detected');
+      console.warn('🚨 Refresh token reuse detected - session family revoked');
+      return { success: false, reason: 'refresh_token_reused' };
+    }
+
+    const session = await this.issueSession(member, record.family_id, replacementId);
+
+    // The losing refresh may have revoked the family before this session's token was stored
+    const family = await this.storage.findRefreshTokens({ familyId: record.family_id });
+    if (family.some(token => token.revocation_reason === 'reuse_detected')) {
+      await this.revokeFamily(record.family_id, 'reuse_detected');
+      return { success: false, reason: 'refresh_token_reused' };
+    }
+
+    return { success: true, session };
+  }
+
+  /**
+   * End the session a refresh token belongs to
+   * @param {string} refreshToken - Current refresh token
+   * @returns {Promise<Object>} - { success } or { success: false, reason }
+   */
+  async logout(refreshToken) {
+    const record = await this.findRefreshRecord(refreshToken);
+    if (!record) {
+      return { success: false, reason: 'invalid_refresh_token' };
+    }
+
+    await this.revokeFamily(record.family_id, 'logout');
+    console.log('👋 Community session ended');
+
+    return { success: true };
+  }
+
+  /**
+   * Verify an access token, its session and the member it was issued to
+   * @param {string} accessToken - Bearer token
+   * @returns {Promise<Object|null>} - Identity, or null when the token or member is not valid
+   */
+  async verifyAccessToken(accessToken) {
+    let claims;
+    try {
+      claims = jwt.verify(accessToken, this.secret, {
+        algorithms: ['HS256'],
+        issuer: TOKEN_ISSUER,
+        audience: TOKEN_AUDIENCE
+      });
+    } catch (error) {
+      return null;
+    }
+
+    // Logout and reuse detection end the session at once, not when the token expires
+    const sessionTokens = await this.storage.findRefreshTokens({ familyId: claims.sid });
+    if (!sessionTokens.some(token => !token.revoked_at)) {
+      return null;
+    }
+
+    const member = await this.storage.findMemberById(claims.sub);
+    if (!member || !member.active) {
+      return null;
+    }
+
+    return {
+      memberId: String(member.id),
+      memberType: 'community_member',
+      username: member.username,
+      displayName: member.display_name || member.username,
+      role: member.governance_role || 'member',
+      votingRightsActive: member.voting_rights_active !== false,
+      sessionId: claims.sid,
+      tokenId: claims.jti
+    };
+  }
+
+  // Helper methods
+
+  async issueSession(member, familyId, refreshTokenId = crypto.randomUUID()) {
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    const issuedAt = new Date();
+    const refreshRecord = await this.storage.saveRefreshToken({
+      id: refreshTokenId,
+      member_id: String(member.id),
+      family_id: familyId,
+      token_hash: hashToken(refreshToken),
+      issued_at: issuedAt.toISOString(),
+      expires_at: new Date(issuedAt.getTime() + this.refreshTokenTtlSeconds * 1000).toISOString(),
+      revoked_at: null,
+      revocation_reason: null,
+      replaced_by: null
+    });
+
+    const accessToken = jwt.sign({ sid: familyId }, this.secret, {
+      algorithm: 'HS256',
+      subject: String(member.id),
+      issuer: TOKEN_ISSUER,
+      audience: TOKEN_AUDIENCE,
+      expiresIn: this.accessTokenTtlSeconds,
+      jwtid: crypto.randomUUID()
+    });
+
+    return {
+      accessToken,
+      tokenType: 'Bearer',
+      expiresIn: this.accessTokenTtlSeconds,
+      refreshToken,
+      refreshTokenId: refreshRecord.id,
+      refreshTokenExpiresAt: refreshRecord.expires_at
+    };
+  }
+
+  async findRefreshRecord(refreshToken) {
+    if (typeof refreshToken !== 'string' || refreshToken.length === 0) {
+      return null;
+    }
+
+    const [record] = await this.storage.findRefreshTokens({ tokenHash: hashToken(refreshToken) });
+    return record || null;
+  }
+
+  async revokeFamily(familyId, reason) {
+    const revokedAt = new Date().toISOString();
+    const tokens = await this.storage.findRefreshTokens({ familyId });
+
+    for (const token of tokens.filter(candidate => !candidate.revoked_at)) {
+      await this.storage.saveRefreshToken({ ...token, revoked_at: revokedAt, revocation_reason: reason });
+    }
+  }
+}
+
+// Helper functions
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+CommunityAuthService.TOKEN_ISSUER = TOKEN_ISSUER;
+CommunityAuthService.TOKEN_AUDIENCE = TOKEN_AUDIENCE;
+
+module.exports = CommunityAuthService;
@@ -0,0 +1,388 @@
+/**
+ * Community Credential Service (Layer 2)
+ *
+ * SCOPE: Member registration, password checks, lockout, password reset and email verification
+ * DOES NOT: Issue sessions (CommunityAuthService does) or decide roles
+ * ONLY: Owns bcrypt password hashes and single-use account tokens
+ *
+ * Passwords are hashed with bcrypt. After COMMUNITY_LOGIN_MAX_FAILURES failed
+ * sign-ins in a row the account is locked for COMMUNITY_LOGIN_LOCKOUT_SECONDS;
+ * sign-ins during the lockout fail without checking the password. Reset and
+ * verification tokens are random strings stored as SHA-256 hashes, sent by
+ * email and usable once. Requests that name an unknown account look the same
+ * as requests for a real one.
+ *
+ * Implements the credentialVerifier contract used by CommunityAuthService.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const DEFAULT_BCRYPT_ROUNDS = 12;
+const DEFAULT_MAX_FAILED_ATTEMPTS = 5;
+const DEFAULT_LOCKOUT_SECONDS = 15 * 60;
+const PASSWORD_RESET_TTL_SECONDS = 60 * 60;
+const EMAIL_VERIFICATION_TTL_SECONDS = 48 * 60 * 60;
+
+const MIN_PASSWORD_LENGTH = 12;
+// bcrypt ignores everything after 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,50}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ACCOUNT_TYPES = ['member', 'creator'];
+
+class CommunityCredentialService {
+  /**
+   * @param {Object} options
+   * @param {StorageAdapter} options.storageAdapter - Members, credentials and account tokens
+   * @param {MailTransport} options.mailTransport - Delivers verification and reset emails
+   * @param {number} options.bcryptRounds - Defaults to COMMUNITY_BCRYPT_ROUNDS or 12
+   * @param {number} options.maxFailedAttempts - Defaults to COMMUNITY_LOGIN_MAX_FAILURES or 5
+   * @param {number} options.lockoutSeconds - Defaults to COMMUNITY_LOGIN_LOCKOUT_SECONDS or 15 minutes
+   * @param {string} options.appUrl - Base URL for links in emails (defaults to COMMUNITY_APP_URL)
+   */
+  constructor(options = {}) {
+    if (!options.storageAdapter) {
+      throw new Error('Storage adapter is required');
+    }
+    if (!options.mailTransport) {
+      throw new Error('Mail transport is required');
+    }
+
+    this.storage = options.storageAdapter;
+    this.mailTransport = options.mailTransport;
+    this.bcryptRounds = options.bcryptRounds ||
+      parseInt(process.env.COMMUNITY_BCRYPT_ROUNDS || String(DEFAULT_BCRYPT_ROUNDS), 10);
+    this.maxFailedAttempts = options.maxFailedAttempts ||
+      parseInt(process.env.COMMUNITY_LOGIN_MAX_FAILURES || String(DEFAULT_MAX_FAILED_ATTEMPTS), 10);
+    this.lockoutSeconds = options.lockoutSeconds ||
+      parseInt(process.env.COMMUNITY_LOGIN_LOCKOUT_SECONDS || String(DEFAULT_LOCKOUT_SECONDS), 10);
+    this.appUrl = (options.appUrl || process.env.COMMUNITY_APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+    // Compared against when the account does not exist, so timing does not reveal it
+    this.placeholderHash = null;
+  }
+
+  /**
+   * Register a member account (and creator profile) and send the verification email
+   * @param {Object} registration - { username, email, password, displayName, accountType: 'member' | 'creator' }
+   * @returns {Promise<Object>} - { success, member } or { success: false, reason: 'account_exists' }
+   */
+  async register(registration = {}) {
+    const problem = registrationProblem(registration);
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    const username = registration.username.trim();
+    const email = registration.email.trim().toLowerCase();
+    const displayName = typeof registration.displayName === 'string' && registration.displayName.trim()
+      ? registration.displayName.trim()
+      : null;
+    const accountType = registration.accountType || 'member';
+
+    if (await this.storage.findMemberByIdentifier(username) || await this.storage.findMemberByIdentifier(email)) {
+      return { success: false, reason: 'account_exists' };
+    }
+
+    const profile = { username, email, display_name: displayName };
+    let account;
+    try {
+      account = await this.storage.createMemberAccount({
+        member: { id: crypto.randomUUID(), ...profile },
+        credential: { password_hash: await bcrypt.hash(registration.password, this.bcryptRounds) },
+        creator: accountType === 'creator' ? profile : null
+      });
+    } catch (error) {
+      // Lost a race with another registration for the same username or email
+      if (error.message === 'Username or email already registered') {
+        return { success: false, reason: 'account_exists' };
+      }
+      throw error;
+    }
+
+    await this.sendEmailVerification(account.member);
+    console.log(`🌱 Registered community ${accountType} account`);
+
+    return {
+      success: true,
+      member: {
+        id: String(account.member.id),
+        username: account.member.username,
+        email: account.member.email,
+        displayName: account.member.display_name,
+        accountType,
+        emailVerified: false
+      }
+    };
+  }
+
+  /**
+   * Check a password (credentialVerifier contract for CommunityAuthService)
+   * @param {Object} credentials - { identifier (username or email), password }
+   * @returns {Promise<string|null>} - Member id, or null for wrong, unknown or locked accounts
+   */
+  async verifyCredentials(credentials = {}) {
+    const { identifier, password } = credentials;
+    if (typeof identifier !== 'string' || typeof password !== 'string') {
+      return null;
+    }
+
+    const member = await this.storage.findMemberByIdentifier(identifier.trim());
+    const credential = member ? await this.storage.findCredential(member.id) : null;
+
+    if (!credential) {
+      await bcrypt.compare(password, await this.getPlaceholderHash());
+      return null;
+    }
+
+    const now = new Date();
+    if (credential.locked_until && new Date(credential.locked_until) > now) {
+      return null;
+    }
+
+    if (!(await bcrypt.compare(password, credential.password_hash))) {
+      await this.recordFailedAttempt(credential, now);
+      return null;
+    }
+
+    if (credential.failed_attempts > 0 || credential.locked_until) {
+      await this.storage.saveCredential({ ...credential, failed_attempts: 0, locked_until: null });
+    }
+
+    return String(member.id);
+  }
+
+  /**
+   * Email a password reset link. Answers the same whether or not the account exists.
+   * @param {string} identifier - Username or email
+   * @returns {Promise<Object>} - { success: true }
+   */
+  async requestPasswordReset(identifier) {
+    const member = typeof identifier === 'string' && identifier.trim()
+      ? await this.storage.findMemberByIdentifier(identifier.trim())
+      : null;
+
+    if (member && member.active && await this.storage.findCredential(member.id)) {
+      const token = await this.issueAccountToken(member.id, 'password_reset', PASSWORD_RESET_TTL_SECONDS);
+      await this.mailTransport.send({
+        to: member.email,
+        subject: 'Reset your BLKOUT password',
+        text: [
+          `Hi ${member.display_name || member.username},`,
+          '',
+          'Someone asked to reset the password for your BLKOUT community account.',
+          `Choose a new password here within the next hour: ${this.appUrl}/reset-password?token=${token}`,
+          '',
+          'If this was not you, you can ignore this email. Your password has not changed.'
+        ].join('\n')
+      });
+      console.log('🔑 Password reset email sent');
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Set a new password with a reset token. Ends all of the member's sessions.
+   * @param {Object} reset - { token, password }
+   * @returns {Promise<Object>} - { success, memberId } or { success: false, reason }
+   */
+  async resetPassword(reset = {}) {
+    const problem = passwordProblem(reset.password);
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    const result = await this.useAccountToken(reset.token, 'password_reset');
+    if (!result.success) {
+      return result;
+    }
+
+    const memberId = result.token.member_id;
+    const credential = await this.storage.findCredential(memberId);
+    const now = new Date().toISOString();
+
+    await this.storage.saveCredential({
+      ...credential,
+      password_hash: await bcrypt.hash(reset.password, this.bcryptRounds),
+      password_changed_at: now,
+      failed_attempts: 0,
+      locked_until: null,
+      // The reset link reached the member's inbox
+      email_verified_at: credential.email_verified_at || now
+    });
+
+    // Older reset links stop working
+    const outstanding = await this.storage.findAccountTokens({ memberId, purpose: 'password_reset', unusedOnly: true });
+    for (const token of outstanding) {
+      await this.storage.markAccountTokenUsed(token.id, now);
+    }
+
+    // Anyone signed in with the old password is signed out
+    const sessions = await this.storage.findRefreshTokens({ memberId });
+    for (const token of sessions.filter(candidate => !candidate.revoked_at)) {
+      await this.storage.saveRefreshToken({ ...token, revoked_at: now, revocation_reason: 'password_reset' });
+    }
+
+    console.log('🔑 Password reset completed');
+    return { success: true, memberId: String(memberId) };
+  }
+
+  /**
+   * Email a verification link to the member's address
+   * @param {Object|string} member - Member or member id
+   * @returns {Promise<Object>} - { success } or { success: false, reason: 'already_verified' | 'member_not_found' }
+   */
+  async sendEmailVerification(member) {
+    const record = typeof member === 'object' ? member : await this.storage.findMemberById(member);
+    const credential = record ? await this.storage.findCredential(record.id) : null;
+
+    if (!credential) {
+      return { success: false, reason: 'member_not_found' };
+    }
+    if (credential.email_verified_at) {
+      return { success: false, reason: 'already_verified' };
+    }
+
+    const token = await this.issueAccountToken(record.id, 'email_verification', EMAIL_VERIFICATION_TTL_SECONDS);
+    await this.mailTransport.send({
+      to: record.email,
+      subject: 'Confirm your email for BLKOUT',
+      text: [
+        `Welcome, ${record.display_name || record.username}!`,
+        '',
+        `Confirm this is your email address: ${this.appUrl}/verify-email?token=${token}`,
+        '',
+        'The link works once and expires in 48 hours.'
+      ].join('\n')
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Confirm an email address with a verification token
+   * @param {string} token - Token from the verification email
+   * @returns {Promise<Object>} - { success, memberId } or { success: false, reason }
+   */
+  async verifyEmail(token) {
+    const result = await this.useAccountToken(token, 'email_verification');
+    if (!result.success) {
+      return result;
+    }
+
+    const credential = await this.storage.findCredential(result.token.member_id);
+    if (!credential.email_verified_at) {
+      await this.storage.saveCredential({ ...credential, email_verified_at: new Date().toISOString() });
+    }
+
+    console.log('✉️ Member email verified');
+    return { success: true, memberId: String(result.token.member_id) };
+  }
+
+  // Helper methods
+
+  async recordFailedAttempt(credential, now) {
+    const failedAttempts = credential.failed_attempts + 1;
+
+    if (failedAttempts >= this.maxFailedAttempts) {
+      await this.storage.saveCredential({
+        ...credential,
+        failed_attempts: 0,
+        locked_until: new Date(now.getTime() + this.lockoutSeconds * 1000).toISOString()
+      });
+      console.warn('🔒 Member account locked after repeated failed sign-ins');
+      return;
+    }
+
+    await this.storage.saveCredential({ ...credential, failed_attempts: failedAttempts });
+  }
+
+  async issueAccountToken(memberId, purpose, ttlSeconds) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const createdAt = new Date();
+
+    await this.storage.saveAccountToken({
+      id: crypto.randomUUID(),
+      member_id: String(memberId),
+      purpose,
+      token_hash: hashToken(token),
+      created_at: createdAt.toISOString(),
+      expires_at: new Date(createdAt.getTime() + ttlSeconds * 1000).toISOString()
+    });
+
+    return token;
+  }
+
+  async useAccountToken(token, purpose) {
+    if (typeof token !== 'string' || token.length === 0) {
+      return { success: false, reason: 'invalid_token' };
+    }
+
+    const [record] = await this.storage.findAccountTokens({ tokenHash: hashToken(token), purpose });
+    if (!record || record.used_at) {
+      return { success: false, reason: 'invalid_token' };
+    }
+    if (new Date(record.expires_at) <= new Date()) {
+      return { success: false, reason: 'token_expired' };
+    }
+
+    // Only one of two concurrent requests can use the token
+    if (!(await this.storage.markAccountTokenUsed(record.id, new Date().toISOString()))) {
+      return { success: false, reason: 'invalid_token' };
+    }
+
+    return { success: true, token: record };
+  }
+
+  async getPlaceholderHash() {
+    if (!this.placeholderHash) {
+      this.placeholderHash = await bcrypt.hash(crypto.randomBytes(16).toString('hex'), this.bcryptRounds);
+    }
+    return this.placeholderHash;
+  }
+}
+
+// Helper functions
+
+/**
+ * Why a registration cannot be accepted, or null when it can
+ */
+function registrationProblem(registration) {
+  const { username, email, password, accountType } = registration;
+
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username.trim())) {
+    return 'Username must be 3-50 letters, numbers, dots, dashes or underscores';
+  }
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim()) || email.trim().length > 255) {
+    return 'A valid email address is required';
+  }
+  if (accountType !== undefined && !ACCOUNT_TYPES.includes(accountType)) {
+    return `Account type must be one of: ${ACCOUNT_TYPES.join(', ')}`;
+  }
+  return passwordProblem(password);
+}
+
+/**
+ * Why a password cannot be used, or null when it can
+ */
+function passwordProblem(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (Buffer.byteLength(password, 'utf8') > MAX_PASSWORD_BYTES) {
+    return `Password must be at most ${MAX_PASSWORD_BYTES} bytes`;
+  }
+  return null;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+CommunityCredentialService.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+CommunityCredentialService.registrationProblem = registrationProblem;
+CommunityCredentialService.passwordProblem = passwordProblem;
+
+module.exports = CommunityCredentialService;
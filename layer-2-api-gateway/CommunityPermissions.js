@@ -0,0 +1,213 @@
+/**
+ * Community Permissions (Layer 2)
+ *
+ * SCOPE: What each governance role may do, who a request acts as, and route middleware enforcing both
+ * DOES NOT: Assign roles (CommunityRoleService enacts governance decisions) or authenticate
+ * ONLY: Maps community_members.governance_role to permissions and checks req.user against them
+ *
+ * Roles are not ranked: each one lists its permissions in ROLE_PERMISSIONS.
+ * Routes ask for a permission, never a role, so a role can change what it
+ * allows in this one place. req.user.role comes from the member row on every
+ * request, so a role grant takes effect on the member's next request.
+ *
+ * The acting member is always req.user.memberId. Routes that used to take a
+ * voter, proposer or moderator ID from the request list those fields in
+ * requireSessionActor(); a value naming anyone else is refused, never trusted.
+ *
+ * Partner organisations call with an API key instead of a session. Their key's
+ * scopes are checked by requireApiKeyScope() against req.partner; scopes and
+ * member permissions never mix.
+ *
+ * Refusals share one shape: { error, reason, layer }. 401 means there is no
+ * valid session or API key; 403 means it is valid but may not do this.
+ */
+
+const GOVERNANCE_ROLES = ['member', 'creator', 'moderator', 'council', 'admin'];
+
+// Everything a member in good standing can do
+const MEMBER_PERMISSIONS = [
+  'community:participate',
+  'moderation:submit',
+  'governance:propose',
+  'governance:vote'
+];
+
+const ROLE_PERMISSIONS = Object.freeze({
+  member: Object.freeze([...MEMBER_PERMISSIONS]),
+  creator: Object.freeze([...MEMBER_PERMISSIONS, 'creator:publish']),
+  moderator: Object.freeze([...MEMBER_PERMISSIONS, 'moderation:review']),
+  council: Object.freeze([...MEMBER_PERMISSIONS, 'moderation:review', 'roles:read', 'governance:enact', 'partners:manage']),
+  admin: Object.freeze([
+    ...MEMBER_PERMISSIONS, 'moderation:review', 'roles:read', 'governance:enact', 'partners:manage', 'system:operate'
+  ])
+});
+
+// Permissions that also need the member's voting rights to be active
+const VOTING_PERMISSIONS = ['governance:vote'];
+
+/**
+ * Permissions granted to a governance role (unknown roles get none)
+ * @param {string} role - community_members.governance_role
+ * @returns {Array<string>} - Permission names
+ */
+function permissionsForRole(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Whether an authenticated identity holds a permission
+ * @param {Object} identity - req.user from community authentication ({ role, votingRightsActive })
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+function hasPermission(identity, permission) {
+  if (!identity || !permissionsForRole(identity.role).includes(permission)) {
+    return false;
+  }
+  return !VOTING_PERMISSIONS.includes(permission) || identity.votingRightsActive !== false;
+}
+
+/**
+ * Express middleware allowing the request only when req.user holds the permission
+ * Mount after community authentication.
+ * @param {string} permission - Permission name from ROLE_PERMISSIONS
+ * @returns {Function} - (req, res, next) middleware
+ */
+function requirePermission(permission) {
+  if (!Object.values(ROLE_PERMISSIONS).some(permissions => permissions.includes(permission))) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return respondUnauthenticated(res);
+    }
+
+    if (!hasPermission(req.user, permission)) {
+      console.warn(`🚫 ${req.method} ${req.originalUrl || req.url} refused: role ${req.user.role} lacks ${permission}`);
+      return respondForbidden(res, 'permission_denied', 'Your community role does not include this action', { permission });
+    }
+
+    next();
+  };
+}
+
+/**
+ * First request field that names someone other than the signed-in member
+ * Looks in req.body and req.query; absent or matching fields are fine.
+ * @param {Object} req - Express request object with req.user
+ * @param {Array<string>} fields - Field names that identify the acting member
+ * @returns {string|null} - Offending field name, or null
+ */
+function findSpoofedActorField(req, fields) {
+  const memberId = String(req.user.memberId);
+
+  for (const field of fields) {
+    for (const source of [req.body, req.query]) {
+      if (source && source[field] !== undefined && source[field] !== null && String(source[field]) !== memberId) {
+        return field;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Express middleware binding the acting member to the session
+ * Mount after community authentication. Handlers then read req.user.memberId.
+ * @param {...string} fields - Request fields that identify the acting member
+ * @returns {Function} - (req, res, next) middleware
+ */
+function requireSessionActor(...fields) {
+  return (req, res, next) => {
+    if (!req.user || !req.user.memberId) {
+      return respondUnauthenticated(res);
+    }
+
+    const field = findSpoofedActorField(req, fields);
+    if (field) {
+      console.warn(`🚫 ${req.method} ${req.originalUrl || req.url} refused: ${field} does not match the signed-in member`);
+      return respondActorMismatch(res, field);
+    }
+
+    next();
+  };
+}
+
+/**
+ * Express middleware allowing the request only when req.partner's API key holds the scope
+ * Mount after partner API key authentication.
+ * @param {string} scope - API key scope (see PartnerApiKeyService.API_KEY_SCOPES)
+ * @returns {Function} - (req, res, next) middleware
+ */
+function requireApiKeyScope(scope) {
+  return (req, res, next) => {
+    if (!req.partner) {
+      return respondUnauthenticated(res, 'api_key_required');
+    }
+
+    if (!req.partner.scopes.includes(scope)) {
+      console.warn(`🚫 ${req.method} ${req.originalUrl || req.url} refused: API key lacks ${scope}`);
+      return respondForbidden(res, 'scope_denied', 'This API key does not include this action', { scope });
+    }
+
+    next();
+  };
+}
+
+const UNAUTHENTICATED_MESSAGES = {
+  authentication_required: 'Community access required',
+  session_invalid: 'Session no longer valid - please sign in again',
+  api_key_required: 'Partner API key required',
+  api_key_invalid: 'API key not recognised, expired or revoked'
+};
+
+/**
+ * 401: no valid community session or partner API key
+ * @param {Object} res - Express response object
+ * @param {string} reason - authentication_required (no token), session_invalid, api_key_required or api_key_invalid
+ */
+function respondUnauthenticated(res, reason = 'authentication_required') {
+  return res.status(401).json({
+    error: UNAUTHENTICATED_MESSAGES[reason] || UNAUTHENTICATED_MESSAGES.authentication_required,
+    reason,
+    layer: 'API Gateway authentication'
+  });
+}
+
+/**
+ * 403: valid session that may not take this action
+ * @param {Object} res - Express response object
+ * @param {string} reason - permission_denied, scope_denied, actor_mismatch or not_owner
+ * @param {string} error - Message for the member
+ * @param {Object} details - Extra response fields
+ */
+function respondForbidden(res, reason, error, details = {}) {
+  return res.status(403).json({
+    error,
+    reason,
+    ...details,
+    layer: 'API Gateway authorization'
+  });
+}
+
+/**
+ * 403: a request field names someone other than the signed-in member
+ */
+function respondActorMismatch(res, field) {
+  return respondForbidden(res, 'actor_mismatch', 'Requests can only act as the signed-in member', { field });
+}
+
+module.exports = {
+  GOVERNANCE_ROLES,
+  ROLE_PERMISSIONS,
+  permissionsForRole,
+  hasPermission,
+  requirePermission,
+  requireSessionActor,
+  requireApiKeyScope,
+  findSpoofedActorField,
+  respondUnauthenticated,
+  respondForbidden,
+  respondActorMismatch
+};
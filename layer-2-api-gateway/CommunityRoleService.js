@@ -0,0 +1,118 @@
+/**
+ * Community Role Service (Layer 2)
+ *
+ * SCOPE: Changing governance roles by enacting approved governance decisions
+ * DOES NOT: Decide who gets a role (the community votes on a role_change proposal)
+ * ONLY: Applies exactly the change an approved proposal describes and keeps its history
+ *
+ * A role_change proposal carries proposal_payload { memberId, role }. Once it is
+ * approved, a member allowed to enact decisions applies it; nothing else can
+ * set governance_role. Every change is appended to the role grant history and
+ * recorded in the audit log.
+ */
+
+const crypto = require('crypto');
+const { GOVERNANCE_ROLES } = require('./CommunityPermissions');
+
+const ROLE_CHANGE_PROPOSAL_TYPE = 'role_change';
+
+class CommunityRoleService {
+  /**
+   * @param {Object} options
+   * @param {StorageAdapter} options.storageAdapter - Members, proposals and role grants
+   * @param {DataSovereigntyService} options.dataSovereigntyService - Audit log
+   */
+  constructor(options = {}) {
+    if (!options.storageAdapter || !options.dataSovereigntyService) {
+      throw new Error('Storage adapter and data sovereignty service are required');
+    }
+    this.storage = options.storageAdapter;
+    this.dataSovereigntyService = options.dataSovereigntyService;
+  }
+
+  /**
+   * Apply the role change an approved proposal decided
+   * @param {Object} enactment - { proposalId, actorId (member enacting the decision) }
+   * @returns {Promise<Object>} - { success, grant } or { success: false, reason }
+   */
+  async enactRoleDecision(enactment = {}) {
+    const { proposalId, actorId } = enactment;
+    if (!proposalId || !actorId) {
+      throw new Error('Proposal and enacting member are required');
+    }
+
+    const proposal = await this.storage.findGovernanceProposalById(proposalId);
+    if (!proposal) {
+      return { success: false, reason: 'proposal_not_found' };
+    }
+    if (proposal.proposal_type !== ROLE_CHANGE_PROPOSAL_TYPE) {
+      return { success: false, reason: 'not_a_role_decision' };
+    }
+    if (proposal.status !== 'approved') {
+      return { success: false, reason: 'proposal_not_approved' };
+    }
+
+    const { memberId, role } = proposal.proposal_payload || {};
+    if (!memberId || !GOVERNANCE_ROLES.includes(role)) {
+      return { success: false, reason: 'invalid_role_decision' };
+    }
+
+    const member = await this.storage.findMemberById(memberId);
+    if (!member) {
+      return { success: false, reason: 'member_not_found' };
+    }
+
+    let grant;
+    try {
+      grant = await this.storage.recordRoleGrant({
+        id: crypto.randomUUID(),
+        member_id: String(member.id),
+        previous_role: member.governance_role || 'member',
+        granted_role: role,
+        proposal_id: String(proposal.id),
+        enacted_by: String(actorId),
+        enacted_at: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Decision already enacted for this member') {
+        return { success: false, reason: 'already_enacted' };
+      }
+      throw error;
+    }
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'governance_role_grant',
+      dataId: grant.id,
+      actorId: grant.enacted_by,
+      memberId: grant.member_id,
+      proposalId: grant.proposal_id,
+      previousRole: grant.previous_role,
+      grantedRole: grant.granted_role
+    });
+
+    console.log(`🏛️ Role decision enacted: ${grant.previous_role} → ${grant.granted_role}`);
+    return { success: true, grant };
+  }
+
+  /**
+   * A member's current role and role history (oldest first)
+   * @param {string} memberId - Member id
+   * @returns {Promise<Object|null>} - { memberId, role, grants } or null for unknown members
+   */
+  async getMemberRole(memberId) {
+    const member = await this.storage.findMemberById(memberId);
+    if (!member) {
+      return null;
+    }
+
+    return {
+      memberId: String(member.id),
+      role: member.governance_role || 'member',
+      grants: await this.storage.findRoleGrants({ memberId: member.id })
+    };
+  }
+}
+
+CommunityRoleService.ROLE_CHANGE_PROPOSAL_TYPE = ROLE_CHANGE_PROPOSAL_TYPE;
+
+module.exports = CommunityRoleService;
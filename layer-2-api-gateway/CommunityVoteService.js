@@ -0,0 +1,248 @@
+/**
+ * Community Vote Service (Layer 2)
+ *
+ * SCOPE: Recording one ballot per member per open proposal, under the member's voting pseudonym
+ * DOES NOT: Open or close voting, tally results or decide outcomes (see GovernanceProposalService)
+ * ONLY: Checks the proposal is open and the member may vote, then stores the ballot
+ *
+ * Ballots never hold a member ID. The voter is identified by their voting
+ * pseudonym (see IdentityProtection), which is the same on every proposal, so
+ * a second ballot from the same member is refused without anyone being able to
+ * read who cast which vote. The audit log records that a ballot was cast, not
+ * its decision.
+ *
+ * Only members in the proposal's electorate (snapshotted by pseudonym when
+ * voting opened) may vote, so members who join or gain eligibility mid-vote
+ * cannot change the denominator quorum is measured against.
+ *
+ * Simple majority proposals take an approve / reject / abstain decision. Ranked
+ * choice, approval and score proposals take a ballot over the proposal's options
+ * instead (see VotingMethods), checked against the options before it is stored.
+ * Consent proposals take a position (support, stand_aside, concern or block; see
+ * ConsentDecisions), and a block must give its reason and liberation principle.
+ *
+ * Each ballot belongs to the proposal's current round. Consent proposals start a
+ * new round when they are amended or escalated, and members vote again in it.
+ *
+ * Each ballot also records the version and text hash of the proposal it was
+ * cast on (see ProposalVersions). A member may send the hash of the text they
+ * read, and the ballot is refused if the text has changed since. When an
+ * amendment supersedes the text a ballot was cast on, the ballot stops counting
+ * and its voter is asked to reconfirm: voting again replaces it with a ballot
+ * on the current text.
+ */
+
+const crypto = require('crypto');
+const { isOptionMethod, ballotProblem } = require('../layer-3-business-logic/VotingMethods');
+const { positionProblem } = require('../layer-3-business-logic/ConsentDecisions');
+
+const VOTE_DECISIONS = ['approve', 'reject', 'abstain'];
+
+class CommunityVoteService {
+  /**
+   * @param {Object} options
+   * @param {StorageAdapter} options.storageAdapter - Members, proposals and votes
+   * @param {IdentityProtection} options.identityProtection - Voting pseudonyms
+   * @param {DataSovereigntyService} options.dataSovereigntyService - Audit log
+   */
+  constructor(options = {}) {
+    if (!options.storageAdapter || !options.identityProtection || !options.dataSovereigntyService) {
+      throw new Error('Storage adapter, identity protection and data sovereignty service are required');
+    }
+    this.storage = options.storageAdapter;
+    this.identityProtection = options.identityProtection;
+    this.dataSovereigntyService = options.dataSovereigntyService;
+  }
+
+  /**
+   * Cast a member's ballot on an open proposal
+   * @param {Object} submission - { proposalId, memberId, decision (approve | reject | abstain),
+   *   ballot (multi-option proposals) or position (consent proposals, with principle), reason,
+   *   textHash (optional: the text the member read) }
+   * @returns {Promise<Object>} - { success, vote, reconfirmed } or { success: false, reason, problem (ballot_invalid,
+   *   position_invalid), version and textHash (text_superseded) }
+   */
+  async castVote(submission = {}) {
+    const { proposalId, memberId, decision, ballot, position, principle, reason, textHash } = submission;
+    if (!proposalId || !memberId) {
+      throw new Error('Proposal and voting member are required');
+    }
+    if ([decision, ballot, position].filter(choice => choice !== undefined).length !== 1) {
+      throw new Error('Exactly one of a vote decision, a ballot or a consent position is required');
+    }
+    if (decision !== undefined && !VOTE_DECISIONS.includes(decision)) {
+      throw new Error(`Vote decision must be one of: ${VOTE_DECISIONS.join(', ')}`);
+    }
+
+    const proposal = await this.storage.findGovernanceProposalById(proposalId);
+    if (!proposal) {
+      return { success: false, reason: 'proposal_not_found' };
+    }
+    // The window may have ended before the scheduler tallies it
+    if (proposal.status !== 'open' || new Date(proposal.voting_end_date) <= new Date()) {
+      return { success: false, reason: 'voting_closed' };
+    }
+    if (textHash !== undefined && proposal.text_hash && textHash !== proposal.text_hash) {
+      return {
+        success: false,
+        reason: 'text_superseded',
+        version: proposal.current_version || 1,
+        textHash: proposal.text_hash
+      };
+    }
+    const expected = choiceFor(proposal.voting_method);
+    const submitted = ballot !== undefined ? 'ballot' : position !== undefined ? 'position' : 'decision';
+    if (submitted !== expected) {
+      return { success: false, reason: `${expected}_required` };
+    }
+    if (expected === 'ballot') {
+      const problem = ballotProblem(proposal.voting_method, proposal.ballot_options, ballot);
+      if (problem) {
+        return { success: false, reason: 'ballot_invalid', problem };
+      }
+    }
+    if (expected === 'position') {
+      const problem = positionProblem({ position, principle, reason });
+      if (problem) {
+        return { success: false, reason: 'position_invalid', problem };
+      }
+    }
+
+    const member = await this.storage.findMemberById(memberId);
+    if (!member || member.active === false) {
+      return { success: false, reason: 'member_not_found' };
+    }
+    if (member.voting_rights_active === false) {
+      return { success: false, reason: 'voting_rights_inactive' };
+    }
+
+    const voterPseudonym = this.voterPseudonym(memberId);
+    // Proposals opened before electorates were snapshotted have none
+    if (proposal.eligible_voters !== null && proposal.eligible_voters !== undefined) {
+      const [entry] = await this.storage.findGovernanceElectorate({ proposalId: proposal.id, voterPseudonym });
+      if (!entry) {
+        return { success: false, reason: 'not_in_electorate' };
+      }
+    }
+
+    const choice = {
+      vote_decision: expected === 'decision' ? decision : null,
+      ballot: expected === 'ballot' ? ballot : null,
+      consent_position: expected === 'position' ? position : null,
+      objection_principle: expected === 'position' ? principle || null : null,
+      vote_reason: reason || null,
+      proposal_version: proposal.current_version || 1,
+      text_hash: proposal.text_hash || null
+    };
+    const round = proposal.consent_round || 1;
+    const [previous] = await this.storage.findVotes({ proposalId: proposal.id, round, voterPseudonym });
+    if (previous && isSuperseded(previous, proposal)) {
+      return await this.reconfirmVote(previous, choice);
+    }
+
+    let vote;
+    try {
+      vote = await this.storage.recordVote({
+        id: crypto.randomUUID(),
+        proposal_id: String(proposal.id),
+        voting_round: round,
+        voter_pseudonym: voterPseudonym,
+        ...choice,
+        vote_timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Vote already recorded') {
+        return { success: false, reason: 'already_voted' };
+      }
+      throw error;
+    }
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'governance_vote_cast',
+      dataId: vote.proposal_id,
+      actorId: voterPseudonym
+    });
+
+    console.log('🗳️ Ballot recorded under voting pseudonym');
+    return { success: true, vote };
+  }
+
+  /**
+   * Whether the member's ballot in the proposal's current round was cast on superseded text
+   * @param {Object} proposal - Proposal
+   * @param {string} memberId - Member id
+   * @returns {Promise<boolean>}
+   */
+  async needsReconfirmation(proposal, memberId) {
+    if (proposal.status !== 'open') {
+      return false;
+    }
+    const [vote] = await this.storage.findVotes({
+      proposalId: proposal.id,
+      round: proposal.consent_round || 1,
+      voterPseudonym: this.voterPseudonym(memberId)
+    });
+    return Boolean(vote) && isSuperseded(vote, proposal);
+  }
+
+  /**
+   * The member's latest ballot on a proposal, if they have cast one
+   * @param {string} proposalId - Proposal id
+   * @param {string} memberId - Member id
+   * @returns {Promise<Object|null>} - Vote or null
+   */
+  async findMemberVote(proposalId, memberId) {
+    const votes = await this.storage.findVotes({ proposalId, voterPseudonym: this.voterPseudonym(memberId) });
+    return votes.length > 0 ? votes[votes.length - 1] : null;
+  }
+
+  voterPseudonym(memberId) {
+    return this.identityProtection.pseudonymFor(memberId, 'voting');
+  }
+
+  /**
+   * Replace a ballot cast on superseded text with the member's ballot on the current text
+   */
+  async reconfirmVote(previous, choice) {
+    const vote = await this.storage.reconfirmVote({
+      id: previous.id,
+      fromTextHash: previous.text_hash,
+      ...choice,
+      reconfirmed_at: new Date().toISOString()
+    });
+    if (!vote) {
+      return { success: false, reason: 'already_voted' };
+    }
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'governance_vote_reconfirmed',
+      dataId: vote.proposal_id,
+      actorId: vote.voter_pseudonym,
+      version: vote.proposal_version
+    });
+
+    console.log('🔁 Ballot reconfirmed on the current proposal text');
+    return { success: true, vote, reconfirmed: true };
+  }
+}
+
+/**
+ * Whether a ballot was cast on a version of the proposal's text that has since been replaced
+ */
+function isSuperseded(vote, proposal) {
+  return Boolean(vote.text_hash && proposal.text_hash) && vote.text_hash !== proposal.text_hash;
+}
+
+/**
+ * What a ballot on a proposal with this voting method holds
+ */
+function choiceFor(votingMethod) {
+  if (isOptionMethod(votingMethod)) {
+    return 'ballot';
+  }
+  return votingMethod === 'consent' ? 'position' : 'decision';
+}
+
+CommunityVoteService.VOTE_DECISIONS = VOTE_DECISIONS;
+
+module.exports = CommunityVoteService;
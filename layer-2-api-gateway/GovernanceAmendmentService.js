@@ -0,0 +1,449 @@
+/**
+ * Governance Amendment Service (Layer 2)
+ *
+ * SCOPE: Amendments to a proposal's text before it is decided, and the proposal's text versions
+ * DOES NOT: Move proposals through their lifecycle or count their ballots (see GovernanceProposalService)
+ * ONLY: Records amendments and amendment votes, and applies accepted or adopted amendments as new versions
+ *
+ * A member in good standing may propose an amendment while the proposal is in
+ * deliberation or open for voting. The amendment names the version it was
+ * written against and gives the full amended text, so it cannot be applied to
+ * text it was not written for: once another amendment is applied, amendments
+ * against the old version are superseded and have to be proposed again.
+ *
+ * The proposer can accept an amendment. Otherwise members vote to support or
+ * oppose it (under their voting pseudonym; only the electorate once voting has
+ * opened): it is adopted when support reaches the proposal's quorum and
+ * outnumbers opposition, and declined when opposition reaches quorum and is at
+ * least equal to support. Amendments still pending when the proposal is decided
+ * or withdrawn lapse.
+ *
+ * An amendment applied during voting supersedes the ballots already cast:
+ * they stop counting until their voters cast them again on the new text (see
+ * CommunityVoteService). The voting window is extended so that it stays open
+ * for at least reconfirmationDays after the change.
+ */
+
+const crypto = require('crypto');
+const { textHash, diffVersions } = require('../layer-3-business-logic/ProposalVersions');
+
+const AMENDABLE_STATUSES = ['deliberation', 'open'];
+const AMENDMENT_STATUSES = ['pending', 'accepted', 'adopted', 'declined', 'superseded', 'lapsed'];
+const AMENDMENT_DECISIONS = ['support', 'oppose'];
+const DEFAULT_RECONFIRMATION_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class GovernanceAmendmentService {
+  /**
+   * @param {Object} options
+   * @param {StorageAdapter} options.storageAdapter - Members, proposals, versions, amendments and votes
+   * @param {IdentityProtection} options.identityProtection - Voting pseudonyms for amendment votes
+   * @param {DataSovereigntyService} options.dataSovereigntyService - Audit log
+   * @param {number} options.reconfirmationDays - Shortest time voting stays open after its text changes
+   *   (defaults to GOVERNANCE_RECONFIRMATION_DAYS or 3)
+   */
+  constructor(options = {}) {
+    if (!options.storageAdapter || !options.identityProtection || !options.dataSovereigntyService) {
+      throw new Error('Storage adapter, identity protection and data sovereignty service are required');
+    }
+
+    this.storage = options.storageAdapter;
+    this.identityProtection = options.identityProtection;
+    this.dataSovereigntyService = options.dataSovereigntyService;
+    this.reconfirmationDays = options.reconfirmationDays !== undefined
+      ? options.reconfirmationDays
+      : parseFloat(process.env.GOVERNANCE_RECONFIRMATION_DAYS || String(DEFAULT_RECONFIRMATION_DAYS));
+
+    if (!(this.reconfirmationDays >= 0)) {
+      throw new Error('Reconfirmation days must not be negative');
+    }
+  }
+
+  /**
+   * Propose amended text for a proposal in deliberation or open for voting
+   * @param {Object} submission - { proposalId, memberId, baseVersion, title (optional), description, rationale }
+   * @returns {Promise<Object>} - { success, amendment } or { success: false, reason }
+   */
+  async proposeAmendment(submission = {}) {
+    const { proposalId, memberId, baseVersion, title, description, rationale } = submission;
+    if (!proposalId || !memberId || !baseVersion || !description) {
+      throw new Error('Proposal, member, base version and amended description are required');
+    }
+
+    const proposal = await this.findAmendableProposal(proposalId);
+    if (proposal.reason) {
+      return { success: false, reason: proposal.reason };
+    }
+    const standing = await this.memberStanding(memberId);
+    if (standing) {
+      return { success: false, reason: standing };
+    }
+    if (baseVersion !== (proposal.current_version || 1)) {
+      return { success: false, reason: 'version_superseded' };
+    }
+    const amendedTitle = title || proposal.title;
+    const amendedHash = textHash(amendedTitle, description);
+    if (amendedHash === proposal.text_hash) {
+      return { success: false, reason: 'amendment_unchanged' };
+    }
+
+    const id = crypto.randomUUID();
+    const createdAt = new Date().toISOString();
+    const amendment = await this.storage.createGovernanceAmendment({
+      id,
+      proposal_id: String(proposal.id),
+      base_version: baseVersion,
+      title: amendedTitle,
+      description,
+      text_hash: amendedHash,
+      rationale: rationale || null,
+      proposed_by: String(memberId),
+      created_at: createdAt
+    }, timelineEvent(proposal, 'amendment_proposed', {
+      actorId: memberId,
+      occurredAt: createdAt,
+      details: { amendmentId: id, baseVersion }
+    }));
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'governance_amendment_proposed',
+      dataId: amendment.proposal_id,
+      actorId: String(memberId),
+      amendmentId: amendment.id,
+      baseVersion
+    });
+
+    console.log(`📝 Amendment proposed to version ${baseVersion} of a governance proposal`);
+    return { success: true, amendment };
+  }
+
+  /**
+   * Accept an amendment to the proposer's own proposal, applying it as the next version
+   * @param {Object} acceptance - { proposalId, amendmentId, memberId }
+   * @returns {Promise<Object>} - { success, amendment, proposal } or { success: false, reason }
+   */
+  async acceptAmendment(acceptance = {}) {
+    const { proposalId, amendmentId, memberId } = acceptance;
+    if (!proposalId || !amendmentId || !memberId) {
+      throw new Error('Proposal, amendment and proposer are required');
+    }
+
+    const amendment = await this.findAmendment(proposalId, amendmentId);
+    if (!amendment) {
+      return { success: false, reason: 'amendment_not_found' };
+    }
+    const proposal = await this.findAmendableProposal(amendment.proposal_id);
+    if (proposal.reason) {
+      return { success: false, reason: proposal.reason };
+    }
+    if (String(proposal.created_by) !== String(memberId)) {
+      return { success: false, reason: 'not_proposer' };
+    }
+    if (amendment.status !== 'pending') {
+      return { success: false, reason: 'amendment_not_pending' };
+    }
+    const standing = await this.memberStanding(memberId);
+    if (standing) {
+      return { success: false, reason: standing };
+    }
+
+    return await this.applyAmendment(amendment, proposal, 'accepted', memberId);
+  }
+
+  /**
+   * Record a member's support for or opposition to a pending amendment, settling it once the votes decide it
+   * @param {Object} submission - { proposalId, amendmentId, memberId, decision (support | oppose) }
+   * @returns {Promise<Object>} - { success, vote, amendment, proposal (when adopted) } or { success: false, reason }
+   */
+  async voteOnAmendment(submission = {}) {
+    const { proposalId, amendmentId, memberId, decision } = submission;
+    if (!proposalId || !amendmentId || !memberId) {
+      throw new Error('Proposal, amendment and voting member are required');
+    }
+    if (!AMENDMENT_DECISIONS.includes(decision)) {
+      throw new Error(`Amendment decision must be one of: ${AMENDMENT_DECISIONS.join(', ')}`);
+    }
+
+    const amendment = await this.findAmendment(proposalId, amendmentId);
+    if (!amendment) {
+      return { success: false, reason: 'amendment_not_found' };
+    }
+    if (amendment.status !== 'pending') {
+      return { success: false, reason: 'amendment_not_pending' };
+    }
+    const proposal = await this.findAmendableProposal(amendment.proposal_id);
+    if (proposal.reason) {
+      return { success: false, reason: proposal.reason };
+    }
+    const standing = await this.memberStanding(memberId);
+    if (standing) {
+      return { success: false, reason: standing };
+    }
+
+    const voterPseudonym = this.identityProtection.pseudonymFor(memberId, 'voting');
+    if (proposal.eligible_voters !== null && proposal.eligible_voters !== undefined) {
+      const [entry] = await this.storage.findGovernanceElectorate({ proposalId: proposal.id, voterPseudonym });
+      if (!entry) {
+        return { success: false, reason: 'not_in_electorate' };
+      }
+    }
+
+    let vote;
+    try {
+      vote = await this.storage.recordAmendmentVote({
+        id: crypto.randomUUID(),
+        amendment_id: String(amendment.id),
+        voter_pseudonym: voterPseudonym,
+        decision,
+        cast_at: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Amendment vote already recorded') {
+        return { success: false, reason: 'already_voted' };
+      }
+      throw error;
+    }
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'governance_amendment_vote_cast',
+      dataId: amendment.proposal_id,
+      actorId: voterPseudonym,
+      amendmentId: amendment.id
+    });
+
+    const counted = await this.storage.findGovernanceAmendmentById(amendment.id);
+    const quorum = proposal.quorum_required;
+    if (counted.support_votes >= quorum && counted.support_votes > counted.oppose_votes) {
+      const adopted = await this.applyAmendment(counted, proposal, 'adopted');
+      if (adopted.success) {
+        return { ...adopted, vote };
+      }
+    } else if (counted.oppose_votes >= quorum && counted.oppose_votes >= counted.support_votes) {
+      const declined = await this.declineAmendment(counted, proposal);
+      if (declined) {
+        return { success: true, vote, amendment: declined };
+      }
+    }
+
+    return { success: true, vote, amendment: counted };
+  }
+
+  /**
+   * A proposal's amendments, oldest first
+   * @param {string} proposalId - Proposal id
+   * @returns {Promise<Object|null>} - { proposal, amendments } or null
+   */
+  async listAmendments(proposalId) {
+    const proposal = await this.storage.findGovernanceProposalById(proposalId);
+    if (!proposal) {
+      return null;
+    }
+
+    return { proposal, amendments: await this.storage.findGovernanceAmendments({ proposalId: proposal.id }) };
+  }
+
+  /**
+   * Every version of a proposal's text, oldest first
+   * @param {string} proposalId - Proposal id
+   * @returns {Promise<Object|null>} - { proposal, versions } or null
+   */
+  async listVersions(proposalId) {
+    const proposal = await this.storage.findGovernanceProposalById(proposalId);
+    if (!proposal) {
+      return null;
+    }
+
+    return { proposal, versions: await this.storage.findGovernanceProposalVersions(proposal.id) };
+  }
+
+  /**
+   * What changed between two versions of a proposal's text
+   * @param {string} proposalId - Proposal id
+   * @param {Object} range - { from, to } version numbers (default: the version before the current one, and the current one)
+   * @returns {Promise<Object>} - { success, proposal, diff } or { success: false, reason }
+   */
+  async diffVersions(proposalId, range = {}) {
+    const found = await this.listVersions(proposalId);
+    if (!found) {
+      return { success: false, reason: 'proposal_not_found' };
+    }
+
+    const to = range.to || found.proposal.current_version || 1;
+    const from = range.from || Math.max(1, to - 1);
+    const before = found.versions.find(version => version.version === from);
+    const after = found.versions.find(version => version.version === to);
+    if (!before || !after) {
+      return { success: false, reason: 'version_not_found' };
+    }
+
+    return { success: true, proposal: found.proposal, diff: diffVersions(before, after) };
+  }
+
+  // Helper methods
+
+  /**
+   * Apply an amendment as the proposal's next version, keeping voting open long enough to reconfirm ballots
+   */
+  async applyAmendment(amendment, proposal, status, actorId) {
+    const now = new Date();
+    const version = (proposal.current_version || 1) + 1;
+    const changes = {
+      title: amendment.title,
+      description: amendment.description,
+      current_version: version,
+      text_hash: amendment.text_hash
+    };
+    let ballotsToReconfirm = 0;
+    if (proposal.status === 'open') {
+      const reconfirmBy = new Date(now.getTime() + this.reconfirmationDays * DAY_MS);
+      if (new Date(proposal.voting_end_date) < reconfirmBy) {
+        changes.voting_end_date = reconfirmBy.toISOString();
+      }
+      const votes = await this.storage.findVotes({ proposalId: proposal.id, round: proposal.consent_round || 1 });
+      ballotsToReconfirm = votes.filter(vote => vote.text_hash && vote.text_hash !== amendment.text_hash).length;
+    }
+
+    const decided = await this.storage.decideGovernanceAmendment({
+      id: amendment.id,
+      status,
+      resulting_version: version,
+      decided_at: now.toISOString(),
+      transition: {
+        id: proposal.id,
+        fromStatus: proposal.status,
+        fromVersion: amendment.base_version,
+        toStatus: proposal.status,
+        changes,
+        version: {
+          version,
+          title: amendment.title,
+          description: amendment.description,
+          text_hash: amendment.text_hash,
+          amendment_id: amendment.id,
+          created_by: amendment.proposed_by
+        },
+        event: timelineEvent(proposal, 'amendment_applied', {
+          actorId,
+          occurredAt: now.toISOString(),
+          details: {
+            amendmentId: amendment.id,
+            version,
+            decidedBy: status === 'accepted' ? 'proposer' : 'vote',
+            supportVotes: amendment.support_votes,
+            opposeVotes: amendment.oppose_votes,
+            ballotsToReconfirm,
+            ...(changes.voting_end_date ? { votingEndDate: changes.voting_end_date } : {})
+          }
+        })
+      }
+    });
+    if (!decided) {
+      // Either another run settled the amendment first or a different version was applied
+      const current = await this.storage.findGovernanceAmendmentById(amendment.id);
+      return {
+        success: false,
+        reason: current && current.status === 'pending' ? 'version_superseded' : 'amendment_not_pending'
+      };
+    }
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'governance_amendment_applied',
+      dataId: decided.proposal.id,
+      actorId: actorId ? String(actorId) : undefined,
+      amendmentId: amendment.id,
+      decidedBy: status === 'accepted' ? 'proposer' : 'vote',
+      version,
+      ballotsToReconfirm
+    });
+
+    console.log(`✏️ Amendment ${status}: governance proposal is now at version ${version}`);
+    return { success: true, amendment: decided.amendment, proposal: decided.proposal };
+  }
+
+  /**
+   * Settle an amendment members voted down
+   */
+  async declineAmendment(amendment, proposal) {
+    const decidedAt = new Date().toISOString();
+    const decided = await this.storage.decideGovernanceAmendment({
+      id: amendment.id,
+      status: 'declined',
+      decided_at: decidedAt,
+      event: timelineEvent(proposal, 'amendment_declined', {
+        occurredAt: decidedAt,
+        details: { amendmentId: amendment.id, supportVotes: amendment.support_votes, opposeVotes: amendment.oppose_votes }
+      })
+    });
+    if (!decided) {
+      return null;
+    }
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'governance_amendment_declined',
+      dataId: amendment.proposal_id,
+      amendmentId: amendment.id
+    });
+
+    console.log('🚫 Amendment declined by members\' votes');
+    return decided.amendment;
+  }
+
+  /**
+   * An amendment, if it is one of the given proposal's
+   */
+  async findAmendment(proposalId, amendmentId) {
+    const amendment = await this.storage.findGovernanceAmendmentById(amendmentId);
+    return amendment && String(amendment.proposal_id) === String(proposalId) ? amendment : null;
+  }
+
+  /**
+   * The proposal, or the reason it cannot be amended now
+   */
+  async findAmendableProposal(proposalId) {
+    const proposal = await this.storage.findGovernanceProposalById(proposalId);
+    if (!proposal || proposal.status === 'draft') {
+      return { reason: 'proposal_not_found' };
+    }
+    // An open proposal whose window has ended is waiting to be tallied
+    if (!AMENDABLE_STATUSES.includes(proposal.status) ||
+        (proposal.status === 'open' && new Date(proposal.voting_end_date) <= new Date())) {
+      return { reason: 'not_amendable' };
+    }
+    return proposal;
+  }
+
+  /**
+   * Reason a member may not take part, or null when they are in good standing
+   */
+  async memberStanding(memberId) {
+    const member = await this.storage.findMemberById(memberId);
+    if (!member || member.active === false) {
+      return 'member_not_found';
+    }
+    if (member.voting_rights_active === false) {
+      return 'voting_rights_inactive';
+    }
+    return null;
+  }
+}
+
+/**
+ * Timeline event for a change to a proposal's text, which leaves its status as it is
+ */
+function timelineEvent(proposal, eventType, options = {}) {
+  return {
+    id: crypto.randomUUID(),
+    proposal_id: String(proposal.id),
+    event_type: eventType,
+    from_status: proposal.status,
+    to_status: proposal.status,
+    actor_id: options.actorId ? String(options.actorId) : null,
+    details: options.details || {},
+    occurred_at: options.occurredAt || new Date().toISOString()
+  };
+}
+
+GovernanceAmendmentService.AMENDMENT_STATUSES = AMENDMENT_STATUSES;
+GovernanceAmendmentService.AMENDMENT_DECISIONS = AMENDMENT_DECISIONS;
+
+module.exports = GovernanceAmendmentService;
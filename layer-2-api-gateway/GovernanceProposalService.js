@@ -0,0 +1,967 @@
+/**
+ * Governance Proposal Service (Layer 2)
+ *
+ * SCOPE: Moving community proposals through their lifecycle and keeping each proposal's timeline
+ * DOES NOT: Record ballots (see CommunityVoteService) or apply what a decision enacts
+ * ONLY: Creates drafts, opens deliberation, opens and tallies votes on schedule and records enactment
+ *
+ * Lifecycle:
+ *   draft ──submit──▶ deliberation ──voting_start_date──▶ open ──voting_end_date──▶ approved | rejected | closed
+ *     └──────withdraw──────┴──▶ withdrawn                 ▲  │
+ *                                                 amend   │  │ block (consent proposals)
+ *                                                         └─ amending ──withdraw──▶ withdrawn
+ *
+ * A member in good standing creates a draft and submits it for deliberation.
+ * Deliberation lasts at least deliberationDays: if the requested voting window
+ * starts sooner, it is moved later and keeps its length. The scheduler
+ * (advanceDue, run by start()) opens voting at voting_start_date and tallies
+ * at voting_end_date. Quorum counts every ballot, abstentions included; a
+ * proposal without quorum is closed, otherwise it is approved when approve
+ * ballots reach passing_threshold of approve and reject ballots together.
+ *
+ * When voting opens, every member who meets the eligibility requirements is
+ * snapshotted (by voting pseudonym) as the proposal's electorate. Only they may
+ * vote, and quorum becomes quorum_percentage of the electorate, never fewer
+ * than the minimum quorum fixed when the proposal was drafted. Participation
+ * is ballots cast over the electorate's size.
+ *
+ * A proposal may instead choose between options by ranked choice, approval or
+ * score voting (see VotingMethods), fixed with its options when drafted. With
+ * quorum it is approved with the winning option, or rejected if no option
+ * gained support; the round-by-round results are kept with the proposal. These
+ * proposals carry no payload, since nothing enacts an option automatically.
+ *
+ * Consent proposals (see ConsentDecisions) are approved when quorum is met
+ * with no block. A block pauses the proposal ('amending') as soon as it is cast
+ * (resolveBlock) until the proposer amends it, which opens the next consent
+ * round with a fresh voting window; ballots from earlier rounds are kept but no
+ * longer count. A block in round consentBlockLimit escalates instead: the
+ * proposal is put to an approve / reject vote in a new round, needing at least
+ * ESCALATED_PASSING_THRESHOLD. Stand-asides, concerns and blocks from every
+ * round are kept with the outcome as its dissent.
+ *
+ * Every version of a proposal's text is kept and identified by its hash (see
+ * ProposalVersions); members propose amendments to it through
+ * GovernanceAmendmentService. Ballots record the text they were cast on, and
+ * only ballots on the current text are counted: a ballot cast before an
+ * amendment was applied counts once its voter reconfirms it. Pending amendments
+ * lapse when the proposal is decided or withdrawn.
+ *
+ * Approved proposals stay 'approved' once enacted (role, partner and webhook
+ * subscription enactment check that status); recordEnactment marks the first
+ * enactment. Every change is appended to the proposal's timeline together with
+ * the status change, and only if no other run moved the proposal first.
+ */
+
+const crypto = require('crypto');
+const {
+  VOTING_METHODS,
+  MIN_OPTIONS,
+  MAX_OPTIONS,
+  isOptionMethod,
+  tallyOptions
+} = require('../layer-3-business-logic/VotingMethods');
+const { summarisePositions, dissentFrom } = require('../layer-3-business-logic/ConsentDecisions');
+const { textHash } = require('../layer-3-business-logic/ProposalVersions');
+
+const PROPOSAL_STATUSES = ['draft', 'deliberation', 'open', 'amending', 'closed', 'approved', 'rejected', 'withdrawn'];
+const WITHDRAWABLE_STATUSES = ['draft', 'deliberation', 'amending'];
+const DEFAULT_PASSING_THRESHOLD = 0.6;
+// Decisions that change how the community governs itself need a wider majority
+const PASSING_THRESHOLDS = {
+  governance_rule: 0.67,
+  creator_dispute: 0.75
+};
+const DEFAULT_DELIBERATION_DAYS = 7;
+const DEFAULT_VOTING_DAYS = 14;
+const DEFAULT_QUORUM = 10;
+const DEFAULT_QUORUM_PERCENTAGE = 0.3;
+// Governance changes need wider participation
+const QUORUM_PERCENTAGES = {
+  governance_rule: 0.4
+};
+// VotingRules.eligibilityRequirements -> what the member's community_members row must show
+const ELIGIBILITY_CHECKS = {
+  active_community_member: (member, joinedBy) => member.active !== false &&
+    new Date(member.community_joined_date || member.created_at) <= joinedBy,
+  consent_to_democratic_process: member => member.voting_rights_active !== false,
+  liberation_aligned: member => member.liberation_values_training_completed === true,
+  anti_oppression_trained: member => member.anti_oppression_training_completed === true,
+  trauma_informed: member => member.trauma_informed_interaction_training === true
+};
+const DEFAULT_ELIGIBILITY_REQUIREMENTS = ['active_community_member', 'consent_to_democratic_process'];
+const DEFAULT_MIN_MEMBERSHIP_DAYS = 0;
+const DEFAULT_CONSENT_BLOCK_LIMIT = 2;
+// Supermajority needed once repeated blocks take a consent proposal to a vote
+const ESCALATED_PASSING_THRESHOLD = 0.67;
+const MAX_OPTION_LABEL_LENGTH = 200;
+const MIN_VOTING_HOURS = 24;
+const DEFAULT_SCHEDULER_INTERVAL_SECONDS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class GovernanceProposalService {
+  /**
+   * @param {Object} options
+   * @param {StorageAdapter} options.storageAdapter - Members, proposals, timelines, electorates and votes
+   * @param {IdentityProtection} options.identityProtection - Voting pseudonyms for the electorate
+   * @param {DataSovereigntyService} options.dataSovereigntyService - Audit log
+   * @param {number} options.deliberationDays - Shortest deliberation before voting (defaults to GOVERNANCE_DELIBERATION_DAYS or 7)
+   * @param {number} options.votingDays - Voting window when none is requested (defaults to GOVERNANCE_VOTING_DAYS or 14)
+   * @param {number} options.quorum - Fewest ballots that can decide a proposal (defaults to GOVERNANCE_QUORUM or 10)
+   * @param {number} options.quorumPercentage - Share of the electorate that must vote (defaults to
+   *   GOVERNANCE_QUORUM_PERCENTAGE or 0.3; governance rules need at least 0.4)
+   * @param {Array<string>} options.eligibilityRequirements - Keys of ELIGIBILITY_CHECKS a voter must meet
+   *   (defaults to comma-separated GOVERNANCE_ELIGIBILITY_REQUIREMENTS or active_community_member,consent_to_democratic_process)
+   * @param {number} options.minimumMembershipDays - How long an active_community_member must have been a member
+   *   when voting opens (defaults to GOVERNANCE_MIN_MEMBERSHIP_DAYS or 0)
+   * @param {number} options.consentBlockLimit - Consent round in which a block escalates to a supermajority vote
+   *   instead of pausing for amendment (defaults to GOVERNANCE_CONSENT_BLOCK_LIMIT or 2)
+   */
+  constructor(options = {}) {
+    if (!options.storageAdapter || !options.identityProtection || !options.dataSovereigntyService) {
+      throw new Error('Storage adapter, identity protection and data sovereignty service are required');
+    }
+
+    this.storage = options.storageAdapter;
+    this.identityProtection = options.identityProtection;
+    this.dataSovereigntyService = options.dataSovereigntyService;
+    this.deliberationDays = options.deliberationDays !== undefined
+      ? options.deliberationDays
+      : parseFloat(process.env.GOVERNANCE_DELIBERATION_DAYS || String(DEFAULT_DELIBERATION_DAYS));
+    this.votingDays = options.votingDays ||
+      parseFloat(process.env.GOVERNANCE_VOTING_DAYS || String(DEFAULT_VOTING_DAYS));
+    this.quorum = options.quorum ||
+      parseInt(process.env.GOVERNANCE_QUORUM || String(DEFAULT_QUORUM), 10);
+    this.quorumPercentage = options.quorumPercentage ||
+      parseFloat(process.env.GOVERNANCE_QUORUM_PERCENTAGE || String(DEFAULT_QUORUM_PERCENTAGE));
+    this.eligibilityRequirements = options.eligibilityRequirements ||
+      (process.env.GOVERNANCE_ELIGIBILITY_REQUIREMENTS
+        ? process.env.GOVERNANCE_ELIGIBILITY_REQUIREMENTS.split(',').map(requirement => requirement.trim()).filter(Boolean)
+        : DEFAULT_ELIGIBILITY_REQUIREMENTS);
+    this.minimumMembershipDays = options.minimumMembershipDays !== undefined
+      ? options.minimumMembershipDays
+      : parseFloat(process.env.GOVERNANCE_MIN_MEMBERSHIP_DAYS || String(DEFAULT_MIN_MEMBERSHIP_DAYS));
+    this.consentBlockLimit = options.consentBlockLimit ||
+      parseInt(process.env.GOVERNANCE_CONSENT_BLOCK_LIMIT || String(DEFAULT_CONSENT_BLOCK_LIMIT), 10);
+
+    const unknown = this.eligibilityRequirements.filter(requirement => !ELIGIBILITY_CHECKS[requirement]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown eligibility requirements: ${unknown.join(', ')}`);
+    }
+    if (!(this.quorumPercentage > 0 && this.quorumPercentage <= 1)) {
+      throw new Error('Quorum percentage must be greater than 0 and at most 1');
+    }
+    if (!(this.consentBlockLimit >= 1)) {
+      throw new Error('Consent block limit must be at least 1');
+    }
+
+    this.schedulerTimer = null;
+    this.advancing = null;
+  }
+
+  /**
+   * Create a draft proposal for a member in good standing
+   * @param {Object} draft - { memberId, title, description, proposalType, payload, votingStartDate,
+   *                           votingEndDate (ISO, optional), liberationPrinciplesScore (0-1, optional),
+   *                           votingMethod (defaults to simple_majority), options (labels, multi-option methods) }
+   * @returns {Promise<Object>} - { success, proposal } or { success: false, reason }
+   */
+  async createProposal(draft = {}) {
+    const { memberId, title, description, proposalType, payload, liberationPrinciplesScore } = draft;
+    if (!memberId || !title || !description || !proposalType) {
+      throw new Error('Proposer, title, description and proposal type are required');
+    }
+    const votingMethod = draft.votingMethod || 'simple_majority';
+    if (!VOTING_METHODS.includes(votingMethod) || (isOptionMethod(votingMethod) && payload)) {
+      return { success: false, reason: 'invalid_voting_method' };
+    }
+    const ballotOptions = isOptionMethod(votingMethod) ? ballotOptionsFrom(draft.options) : null;
+    if (isOptionMethod(votingMethod) ? !ballotOptions : draft.options !== undefined) {
+      return { success: false, reason: 'invalid_ballot_options' };
+    }
+
+    const standing = await this.memberStanding(memberId);
+    if (standing) {
+      return { success: false, reason: standing };
+    }
+
+    const now = new Date();
+    const votingStart = draft.votingStartDate
+      ? new Date(draft.votingStartDate)
+      : new Date(now.getTime() + this.deliberationDays * DAY_MS);
+    const votingEnd = draft.votingEndDate
+      ? new Date(draft.votingEndDate)
+      : new Date(votingStart.getTime() + this.votingDays * DAY_MS);
+    if (isNaN(votingStart) || isNaN(votingEnd) ||
+        votingEnd.getTime() - votingStart.getTime() < MIN_VOTING_HOURS * 60 * 60 * 1000) {
+      return { success: false, reason: 'invalid_voting_window' };
+    }
+
+    const id = crypto.randomUUID();
+    const createdAt = now.toISOString();
+    const proposal = await this.storage.createGovernanceProposal({
+      id,
+      title,
+      description,
+      proposal_type: proposalType,
+      proposal_payload: payload || null,
+      liberation_principles_score: liberationPrinciplesScore !== undefined ? liberationPrinciplesScore : 0,
+      voting_start_date: votingStart.toISOString(),
+      voting_end_date: votingEnd.toISOString(),
+      quorum_required: this.quorum,
+      quorum_percentage: Math.max(this.quorumPercentage, QUORUM_PERCENTAGES[proposalType] || 0),
+      passing_threshold: PASSING_THRESHOLDS[proposalType] || DEFAULT_PASSING_THRESHOLD,
+      voting_method: votingMethod,
+      ballot_options: ballotOptions,
+      text_hash: textHash(title, description),
+      status: 'draft',
+      created_by: String(memberId),
+      created_at: createdAt
+    }, this.timelineEvent(id, 'created', null, 'draft', { actorId: memberId, occurredAt: createdAt }));
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'governance_proposal_created',
+      dataId: proposal.id,
+      actorId: String(memberId),
+      proposalType,
+      votingMethod
+    });
+
+    console.log(`📝 Governance proposal drafted: ${proposal.proposal_type}`);
+    return { success: true, proposal };
+  }
+
+  /**
+   * Submit the proposer's draft for deliberation, fixing its voting window
+   * @param {Object} submission - { proposalId, memberId }
+   * @returns {Promise<Object>} - { success, proposal } or { success: false, reason }
+   */
+  async submitProposal(submission = {}) {
+    const { proposalId, memberId } = submission;
+    if (!proposalId || !memberId) {
+      throw new Error('Proposal and proposer are required');
+    }
+
+    const proposal = await this.findOwnProposal(proposalId, memberId);
+    if (proposal.reason) {
+      return { success: false, reason: proposal.reason };
+    }
+    if (proposal.status !== 'draft') {
+      return { success: false, reason: 'not_a_draft' };
+    }
+    const standing = await this.memberStanding(memberId);
+    if (standing) {
+      return { success: false, reason: standing };
+    }
+
+    const now = new Date();
+    const requestedStart = new Date(proposal.voting_start_date);
+    const votingLength = new Date(proposal.voting_end_date).getTime() - requestedStart.getTime();
+    const votingStart = new Date(Math.max(requestedStart.getTime(), now.getTime() + this.deliberationDays * DAY_MS));
+    const votingEnd = new Date(votingStart.getTime() + votingLength);
+
+    const submitted = await this.transition(proposal, 'deliberation', {
+      actorId: memberId,
+      occurredAt: now.toISOString(),
+      changes: { voting_start_date: votingStart.toISOString(), voting_end_date: votingEnd.toISOString() },
+      details: { votingStartDate: votingStart.toISOString(), votingEndDate: votingEnd.toISOString() }
+    });
+    if (!submitted) {
+      return { success: false, reason: 'not_a_draft' };
+    }
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'governance_proposal_submitted',
+      dataId: submitted.id,
+      actorId: String(memberId),
+      votingStartDate: submitted.voting_start_date,
+      votingEndDate: submitted.voting_end_date
+    });
+
+    console.log('💬 Governance proposal open for deliberation');
+    return { success: true, proposal: submitted };
+  }
+
+  /**
+   * Amend the proposer's blocked consent proposal and open its next consent round
+   * @param {Object} amendment - { proposalId, memberId, title (optional), description }
+   * @returns {Promise<Object>} - { success, proposal } or { success: false, reason }
+   */
+  async amendProposal(amendment = {}) {
+    const { proposalId, memberId, title, description } = amendment;
+    if (!proposalId || !memberId || !description) {
+      throw new Error('Proposal, proposer and amended description are required');
+    }
+
+    const proposal = await this.findOwnProposal(proposalId, memberId);
+    if (proposal.reason) {
+      return { success: false, reason: proposal.reason };
+    }
+    if (proposal.status !== 'amending') {
+      return { success: false, reason: 'not_amending' };
+    }
+    const standing = await this.memberStanding(memberId);
+    if (standing) {
+      return { success: false, reason: standing };
+    }
+
+    const now = new Date();
+    const round = (proposal.consent_round || 1) + 1;
+    const version = (proposal.current_version || 1) + 1;
+    const amendedTitle = title || proposal.title;
+    const amendedHash = textHash(amendedTitle, description);
+    const votingEnd = new Date(now.getTime() + this.votingDays * DAY_MS);
+    const amended = await this.transition(proposal, 'open', {
+      eventType: 'amended',
+      fromRound: proposal.consent_round || 1,
+      actorId: memberId,
+      occurredAt: now.toISOString(),
+      changes: {
+        title: amendedTitle,
+        description,
+        consent_round: round,
+        current_version: version,
+        text_hash: amendedHash,
+        voting_start_date: now.toISOString(),
+        voting_end_date: votingEnd.toISOString()
+      },
+      version: { version, title: amendedTitle, description, text_hash: amendedHash, created_by: String(memberId) },
+      details: {
+        round,
+        version,
+        titleChanged: amendedTitle !== proposal.title,
+        votingEndDate: votingEnd.toISOString()
+      }
+    });
+    if (!amended) {
+      return { success: false, reason: 'not_amending' };
+    }
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'governance_proposal_amended',
+      dataId: amended.id,
+      actorId: String(memberId),
+      consentRound: round,
+      version
+    });
+
+    console.log(`✏️ Governance proposal amended for consent round ${round}`);
+    return { success: true, proposal: amended };
+  }
+
+  /**
+   * Withdraw the proposer's proposal before voting opens, or while it is paused for amendment
+   * @param {Object} withdrawal - { proposalId, memberId, reason }
+   * @returns {Promise<Object>} - { success, proposal } or { success: false, reason }
+   */
+  async withdrawProposal(withdrawal = {}) {
+    const { proposalId, memberId, reason } = withdrawal;
+    if (!proposalId || !memberId) {
+      throw new Error('Proposal and proposer are required');
+    }
+
+    const proposal = await this.findOwnProposal(proposalId, memberId);
+    if (proposal.reason) {
+      return { success: false, reason: proposal.reason };
+    }
+    if (!WITHDRAWABLE_STATUSES.includes(proposal.status)) {
+      return { success: false, reason: 'voting_started' };
+    }
+
+    const withdrawn = await this.transition(proposal, 'withdrawn', {
+      actorId: memberId,
+      details: reason ? { reason } : {}
+    });
+    if (!withdrawn) {
+      return { success: false, reason: 'voting_started' };
+    }
+    await this.storage.lapseGovernanceAmendments(withdrawn.id, withdrawn.updated_at);
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'governance_proposal_withdrawn',
+      dataId: withdrawn.id,
+      actorId: String(memberId),
+      previousStatus: proposal.status
+    });
+
+    console.log('↩️ Governance proposal withdrawn');
+    return { success: true, proposal: withdrawn };
+  }
+
+  /**
+   * Open voting on proposals whose window has started and tally those whose window has ended
+   * @param {Object} options - { now: Date } (defaults to the current time)
+   * @returns {Promise<Object>} - { opened, tallied }
+   */
+  async advanceDue(options = {}) {
+    const now = options.now || new Date();
+    const summary = { opened: 0, tallied: 0 };
+
+    const starting = await this.storage.findGovernanceProposals({
+      statuses: ['deliberation'],
+      votingStartsBy: now.toISOString()
+    });
+    // One roll call serves every proposal opening in this run
+    const eligibility = starting.length > 0 ? await this.determineVoteEligibility(now) : null;
+    for (const proposal of starting) {
+      if (await this.openVoting(proposal, eligibility, now)) {
+        summary.opened++;
+      }
+    }
+
+    // Includes proposals just opened whose window has also ended
+    const ending = await this.storage.findGovernanceProposals({
+      statuses: ['open'],
+      votingEndsBy: now.toISOString()
+    });
+    for (const proposal of ending) {
+      if (await this.tallyProposal(proposal, now)) {
+        summary.tallied++;
+      }
+    }
+
+    if (summary.opened > 0 || summary.tallied > 0) {
+      console.log(`🗳️ Governance scheduler: ${summary.opened} opened, ${summary.tallied} tallied`);
+    }
+    return summary;
+  }
+
+  /**
+   * Which members meet the eligibility requirements at a given time
+   * @param {Date} at - When eligibility is judged (defaults to now)
+   * @returns {Promise<Object>} - { eligibleVoters: [member ids], ineligibleVoters: [{ memberId, unmet }],
+   *                               eligibilityRequirements }
+   */
+  async determineVoteEligibility(at = new Date()) {
+    const joinedBy = new Date(at.getTime() - this.minimumMembershipDays * DAY_MS);
+    const eligibleVoters = [];
+    const ineligibleVoters = [];
+
+    for (const member of await this.storage.findMembers()) {
+      const unmet = this.eligibilityRequirements.filter(requirement => !ELIGIBILITY_CHECKS[requirement](member, joinedBy));
+      if (unmet.length === 0) {
+        eligibleVoters.push(String(member.id));
+      } else {
+        ineligibleVoters.push({ memberId: String(member.id), unmet });
+      }
+    }
+
+    return { eligibleVoters, ineligibleVoters, eligibilityRequirements: [...this.eligibilityRequirements] };
+  }
+
+  /**
+   * Open voting on a proposal, snapshotting its electorate and fixing its quorum
+   * @param {Object} proposal - Proposal in deliberation whose voting window has started
+   * @param {Object} eligibility - determineVoteEligibility() result
+   * @param {Date} now - Opening time
+   * @returns {Promise<Object|null>} - Opened proposal, or null if another run opened it first
+   */
+  async openVoting(proposal, eligibility, now = new Date()) {
+    const eligibleVoters = eligibility.eligibleVoters.length;
+    const quorumPercentage = Number(proposal.quorum_percentage) || this.quorumPercentage;
+    const quorumRequired = Math.max(proposal.quorum_required || 0, Math.ceil(eligibleVoters * quorumPercentage));
+
+    const opened = await this.transition(proposal, 'open', {
+      occurredAt: now.toISOString(),
+      changes: { eligible_voters: eligibleVoters, quorum_required: quorumRequired },
+      electorate: eligibility.eligibleVoters.map(memberId => this.identityProtection.pseudonymFor(memberId, 'voting')),
+      details: {
+        eligibleVoters,
+        ineligibleMembers: eligibility.ineligibleVoters.length,
+        eligibilityRequirements: eligibility.eligibilityRequirements,
+        quorumPercentage,
+        quorumRequired
+      }
+    });
+    if (!opened) {
+      return null;
+    }
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'governance_voting_opened',
+      dataId: opened.id,
+      votingEndDate: opened.voting_end_date,
+      eligibleVoters,
+      quorumRequired
+    });
+
+    return opened;
+  }
+
+  /**
+   * Pause or escalate an open consent proposal if its current round has been blocked
+   * @param {string} proposalId - Proposal id
+   * @param {Date} now - When the block is acted on
+   * @returns {Promise<Object|null>} - Paused ('amending') or escalated proposal, or null if there was nothing to do
+   */
+  async resolveBlock(proposalId, now = new Date()) {
+    const proposal = await this.storage.findGovernanceProposalById(proposalId);
+    if (!proposal || proposal.status !== 'open' || proposal.voting_method !== 'consent') {
+      return null;
+    }
+    const round = proposal.consent_round || 1;
+    const { current } = votesByText(await this.storage.findVotes({ proposalId: proposal.id, round }), proposal);
+    const positions = positionsFrom(current);
+    const blocks = positions.filter(entry => entry.position === 'block')
+      .map(entry => ({ principle: entry.principle, reason: entry.reason }));
+    if (blocks.length === 0) {
+      return null;
+    }
+
+    const escalating = round >= this.consentBlockLimit;
+    const passingThreshold = Math.max(Number(proposal.passing_threshold) || DEFAULT_PASSING_THRESHOLD,
+      ESCALATED_PASSING_THRESHOLD);
+    const votingEnd = new Date(now.getTime() + this.votingDays * DAY_MS);
+    const resolved = escalating
+      ? await this.transition(proposal, 'open', {
+        eventType: 'escalated',
+        fromRound: round,
+        occurredAt: now.toISOString(),
+        changes: {
+          voting_method: 'simple_majority',
+          passing_threshold: passingThreshold,
+          consent_round: round + 1,
+          escalated_at: now.toISOString(),
+          voting_start_date: now.toISOString(),
+          voting_end_date: votingEnd.toISOString()
+        },
+        details: { round, blocks, passingThreshold, votingEndDate: votingEnd.toISOString() }
+      })
+      : await this.transition(proposal, 'amending', {
+        eventType: 'blocked',
+        fromRound: round,
+        occurredAt: now.toISOString(),
+        details: { round, blocks, positions: summarisePositions(positions).counts }
+      });
+    if (!resolved) {
+      return null;
+    }
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: escalating ? 'governance_proposal_escalated' : 'governance_proposal_blocked',
+      dataId: resolved.id,
+      consentRound: round,
+      blocks: blocks.length
+    });
+
+    console.log(escalating
+      ? `📣 Governance proposal escalated to a supermajority vote after blocks in consent round ${round}`
+      : `✋ Governance proposal blocked in consent round ${round}; awaiting amendment`);
+    return resolved;
+  }
+
+  /**
+   * Count a proposal's ballots in its current round and decide it
+   * A blocked consent round is resolved (see resolveBlock) instead of decided.
+   * @param {Object} proposal - Open proposal whose voting window has ended
+   * @param {Date} now - Tally time
+   * @returns {Promise<Object|null>} - Decided proposal, or null if it was not decided (another run decided it
+   *   first, or its consent round was blocked)
+   */
+  async tallyProposal(proposal, now = new Date()) {
+    const round = proposal.consent_round || 1;
+    const { current: votes, superseded } = votesByText(
+      await this.storage.findVotes({ proposalId: proposal.id, round }),
+      proposal
+    );
+    let result;
+    if (isOptionMethod(proposal.voting_method)) {
+      result = tallyOptionBallots(votes, proposal);
+    } else if (proposal.voting_method === 'consent') {
+      result = tallyConsent(votes, proposal, await this.consentDissent(proposal));
+      if (result.blocked) {
+        await this.resolveBlock(proposal.id, now);
+        return null;
+      }
+    } else {
+      result = tallyVotes(votes, proposal);
+      if (proposal.escalated_at) {
+        result.escalatedFrom = 'consent';
+        result.dissent = await this.consentDissent(proposal);
+      }
+    }
+    // The text decided on, and ballots left uncounted because their voters did not reconfirm them
+    result.version = proposal.current_version || 1;
+    result.textHash = proposal.text_hash || null;
+    result.supersededVotes = superseded.length;
+
+    const tallied = await this.transition(proposal, result.outcome, {
+      occurredAt: now.toISOString(),
+      changes: {
+        quorum_met: result.quorumMet,
+        total_votes: result.totalVotes,
+        approve_votes: result.approveVotes,
+        reject_votes: result.rejectVotes,
+        abstain_votes: result.abstainVotes,
+        winning_option: result.winningOption,
+        results: resultsFrom(result),
+        tallied_at: now.toISOString()
+      },
+      details: result
+    });
+    if (!tallied) {
+      return null;
+    }
+    await this.storage.lapseGovernanceAmendments(tallied.id, now.toISOString());
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'governance_proposal_tallied',
+      dataId: tallied.id,
+      outcome: result.outcome,
+      votingMethod: proposal.voting_method || 'simple_majority',
+      totalVotes: result.totalVotes,
+      participationRate: result.participationRate,
+      quorumMet: result.quorumMet
+    });
+
+    console.log(`⚖️ Governance proposal decided: ${result.outcome}`);
+    return tallied;
+  }
+
+  /**
+   * Note on the timeline that an approved proposal has been enacted
+   * Only the first enactment is recorded; later ones (e.g. retries) change nothing.
+   * @param {Object} enactment - { proposalId, actorId, details (what was enacted) }
+   * @returns {Promise<Object|null>} - Enacted proposal, or null if it was already marked enacted
+   */
+  async recordEnactment(enactment = {}) {
+    const { proposalId, actorId, details } = enactment;
+    if (!proposalId || !actorId) {
+      throw new Error('Proposal and enacting member are required');
+    }
+
+    const enactedAt = new Date().toISOString();
+    const enacted = await this.storage.recordGovernanceProposalEnactment({
+      id: String(proposalId),
+      enacted_by: String(actorId),
+      enacted_at: enactedAt,
+      event: this.timelineEvent(proposalId, 'enacted', 'approved', 'approved', {
+        actorId,
+        occurredAt: enactedAt,
+        details
+      })
+    });
+    if (enacted) {
+      console.log('🏛️ Governance decision marked enacted');
+    }
+    return enacted;
+  }
+
+  /**
+   * A proposal and its timeline (oldest first)
+   * @param {string} proposalId - Proposal id
+   * @returns {Promise<Object|null>} - { proposal, timeline } or null
+   */
+  async getProposal(proposalId) {
+    const proposal = await this.storage.findGovernanceProposalById(proposalId);
+    if (!proposal) {
+      return null;
+    }
+
+    return {
+      proposal,
+      timeline: await this.storage.findGovernanceProposalEvents(proposal.id)
+    };
+  }
+
+  /**
+   * Proposals, newest first
+   * @param {Object} query - { statuses, proposalType, createdBy, limit }
+   * @returns {Promise<Array>} - Proposals
+   */
+  async listProposals(query = {}) {
+    return await this.storage.findGovernanceProposals(query);
+  }
+
+  /**
+   * Run advanceDue until stop() (the timer does not keep the process alive)
+   * @param {number} intervalMs - Run interval (defaults to GOVERNANCE_SCHEDULER_INTERVAL seconds or 60 seconds)
+   */
+  start(intervalMs) {
+    if (this.schedulerTimer) {
+      return;
+    }
+
+    const interval = intervalMs ||
+      parseInt(process.env.GOVERNANCE_SCHEDULER_INTERVAL || String(DEFAULT_SCHEDULER_INTERVAL_SECONDS), 10) * 1000;
+
+    this.schedulerTimer = setInterval(() => {
+      if (this.advancing) {
+        return;
+      }
+      this.advancing = this.advanceDue()
+        .catch(error => console.error('🚨 Governance scheduler run failed:', error))
+        .finally(() => {
+          this.advancing = null;
+        });
+    }, interval);
+    this.schedulerTimer.unref();
+
+    console.log(`🗓️ Governance scheduler running every ${interval}ms`);
+  }
+
+  /**
+   * Stop scheduling and wait for the current run to finish
+   */
+  async stop() {
+    if (this.schedulerTimer) {
+      clearInterval(this.schedulerTimer);
+      this.schedulerTimer = null;
+    }
+    if (this.advancing) {
+      await this.advancing;
+    }
+  }
+
+  // Helper methods
+
+  /**
+   * Reason a member may not propose, or null when they are in good standing
+   */
+  async memberStanding(memberId) {
+    const member = await this.storage.findMemberById(memberId);
+    if (!member || member.active === false) {
+      return 'member_not_found';
+    }
+    if (member.voting_rights_active === false) {
+      return 'voting_rights_inactive';
+    }
+    return null;
+  }
+
+  async findOwnProposal(proposalId, memberId) {
+    const proposal = await this.storage.findGovernanceProposalById(proposalId);
+    if (!proposal) {
+      return { reason: 'proposal_not_found' };
+    }
+    if (String(proposal.created_by) !== String(memberId)) {
+      return { reason: 'not_proposer' };
+    }
+    return proposal;
+  }
+
+  /**
+   * Stand-asides, concerns and blocks from every round of a consent proposal
+   */
+  async consentDissent(proposal) {
+    return dissentFrom(positionsFrom(await this.storage.findVotes({ proposalId: proposal.id })));
+  }
+
+  transition(proposal, toStatus, options = {}) {
+    const occurredAt = options.occurredAt || new Date().toISOString();
+    return this.storage.transitionGovernanceProposal({
+      id: proposal.id,
+      fromStatus: proposal.status,
+      fromRound: options.fromRound,
+      toStatus,
+      changes: options.changes,
+      electorate: options.electorate,
+      version: options.version,
+      event: this.timelineEvent(proposal.id, options.eventType || eventTypeFor(toStatus), proposal.status, toStatus, {
+        actorId: options.actorId,
+        occurredAt,
+        details: options.details
+      })
+    });
+  }
+
+  timelineEvent(proposalId, eventType, fromStatus, toStatus, options = {}) {
+    return {
+      id: crypto.randomUUID(),
+      proposal_id: String(proposalId),
+      event_type: eventType,
+      from_status: fromStatus,
+      to_status: toStatus,
+      actor_id: options.actorId ? String(options.actorId) : null,
+      details: options.details || {},
+      occurred_at: options.occurredAt || new Date().toISOString()
+    };
+  }
+}
+
+/**
+ * Timeline event type recorded when a proposal enters a status
+ */
+function eventTypeFor(toStatus) {
+  return {
+    deliberation: 'submitted',
+    withdrawn: 'withdrawn',
+    open: 'voting_opened'
+  }[toStatus] || 'tallied';
+}
+
+/**
+ * Outcome of a proposal's ballots against its quorum and passing threshold, and participation in its electorate
+ */
+function tallyVotes(votes, proposal) {
+  const count = decision => votes.filter(vote => vote.vote_decision === decision).length;
+  const approveVotes = count('approve');
+  const rejectVotes = count('reject');
+  const abstainVotes = count('abstain');
+  const totalVotes = approveVotes + rejectVotes + abstainVotes;
+
+  const quorumRequired = proposal.quorum_required;
+  const passingThreshold = Number(proposal.passing_threshold) || DEFAULT_PASSING_THRESHOLD;
+  const quorumMet = totalVotes >= quorumRequired;
+  const decided = approveVotes + rejectVotes;
+  const approvalRatio = decided > 0 ? approveVotes / decided : 0;
+
+  let outcome = 'closed';
+  if (quorumMet) {
+    outcome = decided > 0 && approvalRatio >= passingThreshold ? 'approved' : 'rejected';
+  }
+
+  return {
+    outcome,
+    totalVotes,
+    approveVotes,
+    rejectVotes,
+    abstainVotes,
+    quorumRequired,
+    quorumMet,
+    approvalRatio: Math.round(approvalRatio * 10000) / 10000,
+    passingThreshold,
+    ...participation(totalVotes, proposal)
+  };
+}
+
+/**
+ * Outcome of a multi-option proposal's ballots: the winning option once quorum is met
+ */
+function tallyOptionBallots(votes, proposal) {
+  const count = tallyOptions(
+    proposal.voting_method,
+    proposal.ballot_options,
+    votes.map(vote => vote.ballot).filter(Boolean),
+    { seed: proposal.id }
+  );
+
+  const quorumRequired = proposal.quorum_required;
+  const quorumMet = count.ballotsCast >= quorumRequired;
+  let outcome = 'closed';
+  if (quorumMet) {
+    outcome = count.winner ? 'approved' : 'rejected';
+  }
+
+  return {
+    outcome,
+    votingMethod: count.method,
+    totalVotes: count.ballotsCast,
+    abstainVotes: count.abstentions,
+    quorumRequired,
+    quorumMet,
+    winningOption: quorumMet ? count.winner : null,
+    rounds: count.rounds,
+    tieBreakOrder: count.tieBreakOrder,
+    ...participation(count.ballotsCast, proposal)
+  };
+}
+
+/**
+ * Outcome of a consent round: approved with quorum and no block, otherwise closed;
+ * a blocked round has no outcome until the block is resolved
+ */
+function tallyConsent(votes, proposal, dissent) {
+  const round = proposal.consent_round || 1;
+  const summary = summarisePositions(positionsFrom(votes));
+  const quorumRequired = proposal.quorum_required;
+  const quorumMet = summary.total >= quorumRequired;
+
+  return {
+    outcome: quorumMet ? 'approved' : 'closed',
+    blocked: summary.blocked,
+    votingMethod: 'consent',
+    round,
+    totalVotes: summary.total,
+    approveVotes: summary.counts.support + summary.counts.concern,
+    rejectVotes: summary.counts.block,
+    abstainVotes: summary.counts.stand_aside,
+    quorumRequired,
+    quorumMet,
+    positions: summary.counts,
+    dissent,
+    ...participation(summary.total, proposal)
+  };
+}
+
+/**
+ * What the tally keeps with the proposal beyond its vote counts
+ */
+function resultsFrom(result) {
+  if (result.rounds) {
+    return { method: result.votingMethod, rounds: result.rounds, tieBreakOrder: result.tieBreakOrder };
+  }
+  if (result.votingMethod === 'consent') {
+    return { method: 'consent', round: result.round, positions: result.positions, dissent: result.dissent };
+  }
+  if (result.escalatedFrom) {
+    return { method: 'simple_majority', escalatedFrom: result.escalatedFrom, dissent: result.dissent };
+  }
+  return undefined;
+}
+
+/**
+ * Ballots cast on the proposal's current text, and those cast on a superseded version
+ * Ballots recorded before texts were hashed are counted as current.
+ */
+function votesByText(votes, proposal) {
+  const isCurrent = vote => !vote.text_hash || !proposal.text_hash || vote.text_hash === proposal.text_hash;
+  return {
+    current: votes.filter(isCurrent),
+    superseded: votes.filter(vote => !isCurrent(vote))
+  };
+}
+
+/**
+ * Consent positions ({ round, position, principle, reason }) from stored votes
+ */
+function positionsFrom(votes) {
+  return votes
+    .filter(vote => vote.consent_position)
+    .map(vote => ({
+      round: vote.voting_round || 1,
+      position: vote.consent_position,
+      principle: vote.objection_principle,
+      reason: vote.vote_reason
+    }));
+}
+
+/**
+ * Size of the proposal's electorate and the share of it that voted
+ */
+function participation(totalVotes, proposal) {
+  // Null for proposals opened before electorates were snapshotted
+  const eligibleVoters = proposal.eligible_voters === undefined ? null : proposal.eligible_voters;
+  const participationRate = eligibleVoters ? totalVotes / eligibleVoters : null;
+
+  return {
+    eligibleVoters,
+    participationRate: participationRate === null ? null : Math.round(participationRate * 10000) / 10000
+  };
+}
+
+/**
+ * Ballot options ({ id, label }) from the proposer's labels, or null if they are unusable
+ */
+function ballotOptionsFrom(labels) {
+  if (!Array.isArray(labels) || labels.length < MIN_OPTIONS || labels.length > MAX_OPTIONS ||
+      labels.some(label => typeof label !== 'string' || !label.trim() || label.length > MAX_OPTION_LABEL_LENGTH)) {
+    return null;
+  }
+  const trimmed = labels.map(label => label.trim());
+  if (new Set(trimmed.map(label => label.toLowerCase())).size !== trimmed.length) {
+    return null;
+  }
+
+  return trimmed.map((label, index) => ({ id: `opt-${index + 1}`, label }));
+}
+
+GovernanceProposalService.PROPOSAL_STATUSES = PROPOSAL_STATUSES;
+GovernanceProposalService.PASSING_THRESHOLDS = PASSING_THRESHOLDS;
+GovernanceProposalService.DEFAULT_PASSING_THRESHOLD = DEFAULT_PASSING_THRESHOLD;
+GovernanceProposalService.QUORUM_PERCENTAGES = QUORUM_PERCENTAGES;
+GovernanceProposalService.ELIGIBILITY_REQUIREMENTS = Object.keys(ELIGIBILITY_CHECKS);
+GovernanceProposalService.VOTING_METHODS = VOTING_METHODS;
+GovernanceProposalService.ESCALATED_PASSING_THRESHOLD = ESCALATED_PASSING_THRESHOLD;
+
+module.exports = GovernanceProposalService;
@@ -0,0 +1,253 @@
+/**
+ * Identity Protection (Layer 2)
+ *
+ * SCOPE: Pseudonymising member identifiers before data leaves the gateway
+ * DOES NOT: Authenticate members, decide who may see what, or store anything
+ * ONLY: Replaces identifiers with non-identifying public IDs and strips personal fields
+ *
+ * Follows CommunityAuthenticationModuleService.protectIdentity: members are only
+ * ever shown as `public_…` IDs. Each context (audit, voting, moderation, ...)
+ * derives its own HMAC key from IDENTITY_PSEUDONYM_SECRET with HKDF, so a
+ * member's pseudonym is stable within a context (their votes or audit entries
+ * can be followed, and the server can hold them to one vote per proposal) but
+ * cannot be linked to their pseudonym in another context or to their member ID.
+ */
+
+const crypto = require('crypto');
+
+// Keys whose values identify a member (actorId, requester_id, data_subject_id, created_by, ...)
+const IDENTIFIER_KEY_PATTERN = /^(actor|requester|moderator|creator|member|owner|voter|user|reviewer|submitter|data_?subject)_?id$|^(created|submitted|moderated|reviewed)_?by$/i;
+
+// Keys whose values are personal data and are never exposed
+const PERSONAL_KEY_PATTERN = /email|phone|ip_?address|password|token|secret/i;
+
+// Places members appear; pseudonyms from different contexts cannot be linked
+const PSEUDONYM_CONTEXTS = ['audit', 'insights', 'moderation', 'proposals', 'voting', 'comments', 'content'];
+
+class IdentityProtection {
+  /**
+   * @param {Object} options - { secret: HMAC key (defaults to IDENTITY_PSEUDONYM_SECRET) }
+   */
+  constructor(options = {}) {
+    this.secret = options.secret || process.env.IDENTITY_PSEUDONYM_SECRET;
+
+    if (!this.secret) {
+      if (process.env.NODE_ENV === 'production') {
+        // Voting pseudonyms must survive restarts to hold members to one vote
+        throw new Error('IDENTITY_PSEUDONYM_SECRET is required in production');
+      }
+      // Stable for this process only; public IDs change on restart
+      console.warn('⚠️ IDENTITY_PSEUDONYM_SECRET not set - using a per-process pseudonym key');
+      this.secret = crypto.randomBytes(32).toString('hex');
+    }
+
+    this.contextKeys = new Map();
+  }
+
+  /**
+   * Non-identifying public ID for a member identifier in the audit context
+   * @param {string} identifier - Member, creator or actor ID
+   * @returns {string|null} - public_<hex> ID, or null when there is no identifier
+   */
+  pseudonymise(identifier) {
+    return this.pseudonymFor(identifier, 'audit');
+  }
+
+  /**
+   * Pseudonym for a member in one context
+   * @param {string} identifier - Member, creator or actor ID
+   * @param {string} context - One of PSEUDONYM_CONTEXTS
+   * @returns {string|null} - public_<hex> ID, or null when there is no identifier
+   */
+  pseudonymFor(identifier, context) {
+    if (identifier === undefined || identifier === null || identifier === '') {
+      return null;
+    }
+
+    const digest = crypto.createHmac('sha256', this.contextKey(context)).update(String(identifier)).digest('hex');
+    return `public_${digest.substring(0, 16)}`;
+  }
+
+  /**
+   * Copy of a value with identifier fields pseudonymised and personal fields removed
+   * @param {*} value - Object, array or scalar
+   * @param {string} context - Pseudonym context (defaults to audit)
+   * @returns {*} - Protected copy
+   */
+  protectDetails(value, context = 'audit') {
+    if (Array.isArray(value)) {
+      return value.map(item => this.protectDetails(item, context));
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    const protectedValue = {};
+    for (const [key, fieldValue] of Object.entries(value)) {
+      if (PERSONAL_KEY_PATTERN.test(key)) {
+        continue;
+      }
+      protectedValue[key] = IDENTIFIER_KEY_PATTERN.test(key) && (typeof fieldValue === 'string' || typeof fieldValue === 'number')
+        ? this.pseudonymFor(fieldValue, context)
+        : this.protectDetails(fieldValue, context);
+    }
+
+    return protectedValue;
+  }
+
+  /**
+   * Public view of an audit entry
+   * Hashes are kept so members can check entries chain together and compare heads over time.
+   * @param {Object} entry - Audit entry from the data sovereignty layer
+   * @returns {Object} - Entry safe to publish
+   */
+  protectAuditEntry(entry) {
+    return {
+      sequence: entry.sequence_number,
+      operationType: entry.operation_type,
+      dataId: entry.data_id,
+      actor: this.pseudonymise(entry.actor_id),
+      timestamp: entry.audit_timestamp,
+      details: this.protectDetails(entry.audit_data || {}),
+      previousHash: entry.previous_hash,
+      entryHash: entry.entry_hash
+    };
+  }
+
+  /**
+   * Public view of a governance proposal
+   * The author appears only as their proposals pseudonym; members named in the
+   * payload (e.g. the subject of a role change) are pseudonymised the same way.
+   * @param {Object} proposal - governance_proposals row
+   * @returns {Object} - Proposal safe to publish
+   */
+  protectProposal(proposal) {
+    return {
+      id: proposal.id,
+      title: proposal.title,
+      description: proposal.description,
+      proposalType: proposal.proposal_type,
+      status: proposal.status,
+      author: this.pseudonymFor(proposal.created_by, 'proposals'),
+      payload: this.protectDetails(proposal.proposal_payload || null, 'proposals'),
+      votingStartDate: proposal.voting_start_date || null,
+      votingEndDate: proposal.voting_end_date || null,
+      quorumRequired: proposal.quorum_required === undefined ? null : proposal.quorum_required,
+      passingThreshold: proposal.passing_threshold === undefined ? null : proposal.passing_threshold,
+      quorumPercentage: proposal.quorum_percentage === undefined ? null : proposal.quorum_percentage,
+      // Size of the electorate snapshotted when voting opened
+      eligibleVoters: proposal.eligible_voters === undefined ? null : proposal.eligible_voters,
+      votingMethod: proposal.voting_method || 'simple_majority',
+      options: proposal.ballot_options || null,
+      // Consent proposals start a new round after each amendment, and after escalation
+      consentRound: proposal.consent_round || 1,
+      escalatedAt: proposal.escalated_at || null,
+      // Ballots name the version and text hash they were cast on
+      version: proposal.current_version || 1,
+      textHash: proposal.text_hash || null,
+      // Counts are only written when the vote is tallied
+      result: proposal.tallied_at
+        ? {
+          totalVotes: proposal.total_votes,
+          approveVotes: proposal.approve_votes,
+          rejectVotes: proposal.reject_votes,
+          abstainVotes: proposal.abstain_votes,
+          participationRate: proposal.eligible_voters
+            ? Math.round((proposal.total_votes / proposal.eligible_voters) * 10000) / 10000
+            : null,
+          quorumMet: proposal.quorum_met,
+          // Multi-option proposals: the chosen option and how the count reached it
+          winningOption: proposal.winning_option || null,
+          rounds: proposal.results ? proposal.results.rounds : null,
+          tieBreakOrder: proposal.results ? proposal.results.tieBreakOrder : null,
+          // Consent proposals: positions in the deciding round, and stand-asides, concerns and blocks from every round
+          positions: proposal.results && proposal.results.positions ? proposal.results.positions : null,
+          dissent: proposal.results && proposal.results.dissent ? proposal.results.dissent : null,
+          talliedAt: proposal.tallied_at
+        }
+        : null,
+      enactedAt: proposal.enacted_at || null,
+      createdAt: proposal.created_at || null
+    };
+  }
+
+  /**
+   * Public view of an event on a proposal's timeline
+   * Members who caused it appear as their proposals pseudonym; scheduled
+   * events (voting opened, tallied) have no actor.
+   * @param {Object} event - governance_proposal_events row
+   * @returns {Object} - Timeline event safe to publish
+   */
+  protectProposalEvent(event) {
+    return {
+      type: event.event_type,
+      fromStatus: event.from_status,
+      toStatus: event.to_status,
+      actor: event.actor_id ? this.pseudonymFor(event.actor_id, 'proposals') : null,
+      details: this.protectDetails(event.details || {}, 'proposals'),
+      occurredAt: event.occurred_at
+    };
+  }
+
+  /**
+   * Public view of one version of a proposal's text
+   * Whoever wrote it appears as their proposals pseudonym.
+   * @param {Object} version - governance_proposal_versions row
+   * @returns {Object} - Version safe to publish
+   */
+  protectProposalVersion(version) {
+    return {
+      version: version.version,
+      title: version.title,
+      description: version.description,
+      textHash: version.text_hash,
+      amendmentId: version.amendment_id || null,
+      author: this.pseudonymFor(version.created_by, 'proposals'),
+      createdAt: version.created_at
+    };
+  }
+
+  /**
+   * Public view of an amendment to a proposal
+   * The member who proposed it appears as their proposals pseudonym; amendment
+   * votes are only published as counts.
+   * @param {Object} amendment - governance_proposal_amendments row with support_votes and oppose_votes
+   * @returns {Object} - Amendment safe to publish
+   */
+  protectAmendment(amendment) {
+    return {
+      id: amendment.id,
+      proposalId: amendment.proposal_id,
+      baseVersion: amendment.base_version,
+      title: amendment.title,
+      description: amendment.description,
+      textHash: amendment.text_hash,
+      rationale: amendment.rationale || null,
+      author: this.pseudonymFor(amendment.proposed_by, 'proposals'),
+      status: amendment.status,
+      supportVotes: amendment.support_votes || 0,
+      opposeVotes: amendment.oppose_votes || 0,
+      resultingVersion: amendment.resulting_version || null,
+      createdAt: amendment.created_at,
+      decidedAt: amendment.decided_at || null
+    };
+  }
+
+  /**
+   * HMAC key for a context, derived once from the secret
+   */
+  contextKey(context) {
+    if (!PSEUDONYM_CONTEXTS.includes(context)) {
+      throw new Error(`Unknown pseudonym context: ${context}`);
+    }
+
+    if (!this.contextKeys.has(context)) {
+      this.contextKeys.set(context, Buffer.from(crypto.hkdfSync('sha256', this.secret, '', `blkout-pseudonym:${context}`, 32)));
+    }
+    return this.contextKeys.get(context);
+  }
+}
+
+IdentityProtection.PSEUDONYM_CONTEXTS = PSEUDONYM_CONTEXTS;
+
+module.exports = IdentityProtection;
@@ -0,0 +1,442 @@
+/**
+ * Outbound Delivery Service (Layer 2)
+ *
+ * SCOPE: Sending approved content to partner endpoints such as BLKOUTHUB, reliably and once
+ * DOES NOT: Format content (Layer 3 does) or decide what is approved (moderation does)
+ * ONLY: Owns the outbound delivery queue, its retries and its dead letters
+ *
+ * Deliveries are queued in storage, so nothing is lost on restart. Each one has
+ * an idempotency key (the content ID): content approved twice is queued once,
+ * and the key is sent as the Idempotency-Key header so the receiver can ignore
+ * repeats of an attempt it already handled. A worker claims due deliveries and
+ * POSTs them as JSON, signed like inbound webhooks when the destination has a
+ * secret. Network errors, timeouts, 408, 429 and 5xx responses are retried with
+ * exponential backoff; other responses and the last failed attempt move the
+ * delivery to the dead-letter store, where an admin can inspect and replay it.
+ *
+ * Destinations come from the static map or from resolvers added with
+ * addDestinationResolver() (webhook subscriptions register one). A destination
+ * a resolver reports as disabled dead-letters its deliveries without sending.
+ * Observers added with addAttemptObserver() hear about every attempt before the
+ * next one is made, so owners of a destination can track its health.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const WebhookSignatureVerifier = require('./WebhookSignatureVerifier');
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_BASE_DELAY_SECONDS = 30;
+const DEFAULT_MAX_DELAY_SECONDS = 6 * 60 * 60;
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_BATCH_SIZE = 10;
+const DEFAULT_POLL_INTERVAL_SECONDS = 15;
+const MAX_ERROR_LENGTH = 500;
+
+const DELIVERY_STATUSES = ['pending', 'delivering', 'delivered', 'dead_lettered'];
+const RETRYABLE_STATUS_CODES = [408, 429];
+
+class OutboundDeliveryService {
+  /**
+   * @param {Object} options
+   * @param {StorageAdapter} options.storageAdapter - Outbound delivery queue
+   * @param {DataSovereigntyService} options.dataSovereigntyService - Audit log
+   * @param {Object} options.destinations - { name: { url, secret } } (defaults to BLKOUTHUB_DELIVERY_URL / _SECRET)
+   * @param {number} options.maxAttempts - Attempts before dead-lettering (default 8)
+   * @param {number} options.baseDelaySeconds - Wait after the first failure, doubled each time (default 30)
+   * @param {number} options.maxDelaySeconds - Longest wait between attempts (default 6 hours)
+   * @param {number} options.timeoutMs - Per-attempt request timeout (default 10 seconds)
+   * @param {number} options.batchSize - Deliveries claimed per run (default 10)
+   */
+  constructor(options = {}) {
+    if (!options.storageAdapter || !options.dataSovereigntyService) {
+      throw new Error('Storage adapter and data sovereignty service are required');
+    }
+
+    this.storage = options.storageAdapter;
+    this.dataSovereigntyService = options.dataSovereigntyService;
+    this.destinations = options.destinations || {
+      blkouthub: {
+        url: process.env.BLKOUTHUB_DELIVERY_URL,
+        secret: process.env.BLKOUTHUB_DELIVERY_SECRET
+      }
+    };
+    this.maxAttempts = options.maxAttempts ||
+      parseInt(process.env.OUTBOUND_DELIVERY_MAX_ATTEMPTS || String(DEFAULT_MAX_ATTEMPTS), 10);
+    this.baseDelaySeconds = options.baseDelaySeconds ||
+      parseInt(process.env.OUTBOUND_DELIVERY_BASE_DELAY || String(DEFAULT_BASE_DELAY_SECONDS), 10);
+    this.maxDelaySeconds = options.maxDelaySeconds ||
+      parseInt(process.env.OUTBOUND_DELIVERY_MAX_DELAY || String(DEFAULT_MAX_DELAY_SECONDS), 10);
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    this.destinationResolvers = [];
+    this.attemptObservers = [];
+
+    this.pollTimer = null;
+    this.processing = null;
+  }
+
+  /**
+   * Look up destinations missing from the static map
+   * @param {Function} resolver - async (name) => { url, secret } | { disabled: true, reason } | null
+   */
+  addDestinationResolver(resolver) {
+    this.destinationResolvers.push(resolver);
+  }
+
+  /**
+   * Hear about every delivery attempt; observer failures are logged, never retried
+   * @param {Function} observer - async ({ delivery, attempts, delivered, deadLettered, statusCode, error }) => void
+   */
+  addAttemptObserver(observer) {
+    this.attemptObservers.push(observer);
+  }
+
+  /**
+   * Queue a payload for delivery (once per destination and idempotency key)
+   * @param {Object} request - { destination, contentId, idempotencyKey (defaults to contentId), contentType, payload, actorId }
+   * @returns {Promise<Object>} - { success, delivery, duplicate }
+   */
+  async enqueue(request = {}) {
+    const { destination, contentId, contentType, payload, actorId } = request;
+    const idempotencyKey = request.idempotencyKey || contentId;
+    if (!destination || !idempotencyKey || !payload) {
+      throw new Error('Destination, content ID or idempotency key, and payload are required for delivery');
+    }
+
+    const { delivery, created } = await this.storage.enqueueOutboundDelivery({
+      id: crypto.randomUUID(),
+      destination,
+      idempotency_key: String(idempotencyKey),
+      content_id: contentId ? String(contentId) : null,
+      content_type: contentType || null,
+      payload,
+      enqueued_by: actorId || null
+    });
+
+    if (created) {
+      await this.dataSovereigntyService.trackDataOperation({
+        operationType: 'outbound_delivery_enqueued',
+        dataId: delivery.content_id || delivery.id,
+        actorId: actorId || null,
+        deliveryId: delivery.id,
+        destination
+      });
+    }
+
+    return { success: true, delivery, duplicate: !created };
+  }
+
+  /**
+   * Attempt every delivery that is due
+   * @param {Object} options - { now: Date } (defaults to the current time)
+   * @returns {Promise<Object>} - { claimed, delivered, retrying, deadLettered }
+   */
+  async processDue(options = {}) {
+    const now = options.now || new Date();
+    const leaseUntil = new Date(now.getTime() + this.timeoutMs * 2);
+
+    const claimed = await this.storage.claimOutboundDeliveries({
+      now: now.toISOString(),
+      leaseUntil: leaseUntil.toISOString(),
+      limit: this.batchSize
+    });
+
+    const summary = { claimed: claimed.length, delivered: 0, retrying: 0, deadLettered: 0 };
+    for (const delivery of claimed) {
+      const outcome = await this.attempt(delivery);
+      summary[outcome]++;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Poll the queue until stop() (the timer does not keep the process alive)
+   * @param {number} intervalMs - Poll interval (defaults to OUTBOUND_DELIVERY_INTERVAL seconds or 15 seconds)
+   */
+  start(intervalMs) {
+    if (this.pollTimer) {
+      return;
+    }
+
+    const interval = intervalMs ||
+      parseInt(process.env.OUTBOUND_DELIVERY_INTERVAL || String(DEFAULT_POLL_INTERVAL_SECONDS), 10) * 1000;
+
+    this.pollTimer = setInterval(() => {
+      if (this.processing) {
+        return;
+      }
+      this.processing = this.processDue()
+        .catch(error => console.error('🚨 Outbound delivery run failed:', error))
+        .finally(() => {
+          this.processing = null;
+        });
+    }, interval);
+    this.pollTimer.unref();
+
+    console.log(`📤 Outbound delivery worker polling every ${interval}ms`);
+  }
+
+  /**
+   * Stop polling and wait for the current run to finish
+   */
+  async stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    if (this.processing) {
+      await this.processing;
+    }
+  }
+
+  /**
+   * Queued, delivered and dead-lettered deliveries, newest first
+   * @param {Object} query - { status, destination, contentId, limit }
+   * @returns {Promise<Array>} - Deliveries
+   */
+  async listDeliveries(query = {}) {
+    if (query.status && !DELIVERY_STATUSES.includes(query.status)) {
+      throw new Error(`Delivery status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+    }
+    return await this.storage.findOutboundDeliveries(query);
+  }
+
+  /**
+   * A single delivery
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<Object|null>} - Delivery, or null
+   */
+  async getDelivery(deliveryId) {
+    const [delivery] = await this.storage.findOutboundDeliveries({ id: deliveryId });
+    return delivery || null;
+  }
+
+  /**
+   * Send a dead-lettered delivery back to the queue with a fresh set of attempts
+   * @param {Object} request - { deliveryId, actorId }
+   * @returns {Promise<Object>} - { success, delivery } or { success: false, reason: 'not_found' | 'not_dead_lettered' }
+   */
+  async replay(request = {}) {
+    const { deliveryId, actorId } = request;
+
+    const delivery = await this.getDelivery(deliveryId);
+    if (!delivery) {
+      return { success: false, reason: 'not_found' };
+    }
+    if (delivery.status !== 'dead_lettered') {
+      return { success: false, reason: 'not_dead_lettered', status: delivery.status };
+    }
+
+    const replayedAt = new Date().toISOString();
+    const replayed = await this.storage.saveOutboundDelivery({
+      ...delivery,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: replayedAt,
+      dead_lettered_at: null,
+      replay_count: delivery.replay_count + 1,
+      replayed_by: actorId,
+      replayed_at: replayedAt
+    });
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'outbound_delivery_replayed',
+      dataId: delivery.content_id || delivery.id,
+      actorId,
+      deliveryId: delivery.id,
+      destination: delivery.destination,
+      previousError: delivery.last_error
+    });
+
+    return { success: true, delivery: replayed };
+  }
+
+  // Helper methods
+
+  /**
+   * One attempt at a claimed delivery; saves the outcome
+   * @returns {Promise<string>} - 'delivered', 'retrying' or 'deadLettered'
+   */
+  async attempt(delivery) {
+    const attempts = delivery.attempts + 1;
+    const attemptedAt = new Date();
+    const result = await this.send(delivery, attempts);
+    const deadLettered = !result.delivered && !(result.retryable && attempts < this.maxAttempts);
+
+    await this.notifyAttempt({
+      delivery,
+      attempts,
+      delivered: Boolean(result.delivered),
+      deadLettered,
+      statusCode: result.statusCode || null,
+      error: result.error || null
+    });
+
+    const attempted = {
+      ...delivery,
+      attempts,
+      last_attempt_at: attemptedAt.toISOString(),
+      last_status_code: result.statusCode || null,
+      last_error: result.error ? result.error.slice(0, MAX_ERROR_LENGTH) : null
+    };
+
+    if (result.delivered) {
+      await this.storage.saveOutboundDelivery({
+        ...attempted,
+        status: 'delivered',
+        delivered_at: attemptedAt.toISOString(),
+        next_attempt_at: attemptedAt.toISOString()
+      });
+      await this.dataSovereigntyService.trackDataOperation({
+        operationType: 'outbound_delivery_delivered',
+        dataId: delivery.content_id || delivery.id,
+        deliveryId: delivery.id,
+        destination: delivery.destination,
+        attempts,
+        statusCode: result.statusCode
+      });
+      return 'delivered';
+    }
+
+    if (!deadLettered) {
+      await this.storage.saveOutboundDelivery({
+        ...attempted,
+        status: 'pending',
+        next_attempt_at: new Date(attemptedAt.getTime() + this.backoffSeconds(attempts) * 1000).toISOString()
+      });
+      console.warn(`⏳ Delivery ${delivery.id} to ${delivery.destination} failed (attempt ${attempts}): ${result.error}`);
+      return 'retrying';
+    }
+
+    await this.storage.saveOutboundDelivery({
+      ...attempted,
+      status: 'dead_lettered',
+      dead_lettered_at: attemptedAt.toISOString(),
+      next_attempt_at: attemptedAt.toISOString()
+    });
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'outbound_delivery_dead_lettered',
+      dataId: delivery.content_id || delivery.id,
+      deliveryId: delivery.id,
+      destination: delivery.destination,
+      attempts,
+      statusCode: result.statusCode || null,
+      error: attempted.last_error
+    });
+    console.error(`🪦 Delivery ${delivery.id} to ${delivery.destination} dead-lettered after ${attempts} attempt(s): ${result.error}`);
+    return 'deadLettered';
+  }
+
+  /**
+   * Seconds to wait after a failed attempt: base, doubled each attempt, capped
+   */
+  backoffSeconds(attempts) {
+    return Math.min(this.baseDelaySeconds * Math.pow(2, attempts - 1), this.maxDelaySeconds);
+  }
+
+  async notifyAttempt(attempt) {
+    for (const observer of this.attemptObservers) {
+      try {
+        await observer(attempt);
+      } catch (error) {
+        console.error('🚨 Delivery attempt observer failed:', error);
+      }
+    }
+  }
+
+  /**
+   * URL and secret for a destination name, from the static map or a resolver
+   */
+  async resolveDestination(name) {
+    if (this.destinations[name]) {
+      return this.destinations[name];
+    }
+    for (const resolver of this.destinationResolvers) {
+      const destination = await resolver(name);
+      if (destination) {
+        return destination;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * POST a delivery to its destination
+   * @returns {Promise<Object>} - { delivered, retryable, statusCode, error }
+   */
+  async send(delivery, attempt) {
+    const destination = await this.resolveDestination(delivery.destination);
+    if (destination && destination.disabled) {
+      return { delivered: false, retryable: false, error: `Destination ${delivery.destination} is disabled (${destination.reason})` };
+    }
+    if (!destination || !destination.url) {
+      return { delivered: false, retryable: true, error: `Destination ${delivery.destination} is not configured` };
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const headers = {
+      'Content-Type': 'application/json',
+      'Idempotency-Key': delivery.idempotency_key,
+      'X-Delivery-Id': delivery.id,
+      'X-Delivery-Attempt': String(attempt)
+    };
+
+    if (destination.secret) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const nonce = crypto.randomBytes(16).toString('hex');
+      headers['X-Webhook-Timestamp'] = timestamp;
+      headers['X-Webhook-Nonce'] = nonce;
+      headers['X-Webhook-Signature'] = WebhookSignatureVerifier.sign(destination.secret, { timestamp, nonce, body });
+    }
+
+    try {
+      const statusCode = await postJson(destination.url, body, headers, this.timeoutMs);
+      if (statusCode >= 200 && statusCode < 300) {
+        return { delivered: true, statusCode };
+      }
+      return {
+        delivered: false,
+        retryable: statusCode >= 500 || RETRYABLE_STATUS_CODES.includes(statusCode),
+        statusCode,
+        error: `Destination responded ${statusCode}`
+      };
+    } catch (error) {
+      return { delivered: false, retryable: true, error: error.message };
+    }
+  }
+}
+
+// Helper functions
+
+/**
+ * POST a JSON body and resolve with the response status code
+ */
+function postJson(url, body, headers, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    // A fresh connection per attempt: deliveries are occasional, and a pooled
+    // socket the destination has since closed would fail the attempt
+    const req = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      timeout: timeoutMs,
+      agent: false
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`No response within ${timeoutMs}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+OutboundDeliveryService.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = OutboundDeliveryService;
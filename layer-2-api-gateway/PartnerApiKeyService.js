@@ -0,0 +1,370 @@
+/**
+ * Partner API Key Service (Layer 2)
+ *
+ * SCOPE: Registering governance-approved partner organisations and managing their API keys
+ * DOES NOT: Decide which organisations become partners (the community votes on a partner_approval proposal)
+ * ONLY: Issues, rotates, revokes and verifies scoped keys and reports how they are used
+ *
+ * A partner_approval proposal carries proposal_payload { name, contactEmail, scopes }.
+ * Once it is approved, a member allowed to enact decisions registers the partner.
+ * Keys can only hold scopes the community approved for that partner, and each
+ * key has its own request limit per rate-limit window.
+ *
+ * Keys are shown once, when issued. Only their SHA-256 hash is stored, with a
+ * short prefix so people can tell keys apart. Rotating a key issues a new one
+ * and lets the old one keep working for a grace period; revoking ends it at once.
+ */
+
+const crypto = require('crypto');
+
+const PARTNER_APPROVAL_PROPOSAL_TYPE = 'partner_approval';
+const API_KEY_SCOPES = ['events:read', 'stories:read', 'webhooks:post'];
+const API_KEY_PREFIX = 'blkp_';
+const DEFAULT_RATE_LIMIT_PER_WINDOW = 100;
+const MAX_RATE_LIMIT_PER_WINDOW = 10000;
+const DEFAULT_ROTATION_GRACE_SECONDS = 24 * 60 * 60;
+
+class PartnerApiKeyService {
+  /**
+   * @param {Object} options
+   * @param {StorageAdapter} options.storageAdapter - Proposals, partners, keys and key usage
+   * @param {DataSovereigntyService} options.dataSovereigntyService - Audit log
+   * @param {number} options.rotationGraceSeconds - Defaults to PARTNER_API_KEY_ROTATION_GRACE or 24 hours
+   */
+  constructor(options = {}) {
+    if (!options.storageAdapter || !options.dataSovereigntyService) {
+      throw new Error('Storage adapter and data sovereignty service are required');
+    }
+    this.storage = options.storageAdapter;
+    this.dataSovereigntyService = options.dataSovereigntyService;
+    this.rotationGraceSeconds = options.rotationGraceSeconds !== undefined
+      ? options.rotationGraceSeconds
+      : parseInt(process.env.PARTNER_API_KEY_ROTATION_GRACE || String(DEFAULT_ROTATION_GRACE_SECONDS), 10);
+  }
+
+  /**
+   * Register the partner an approved partner_approval proposal decided
+   * @param {Object} enactment - { proposalId, actorId (member enacting the decision) }
+   * @returns {Promise<Object>} - { success, partner } or { success: false, reason }
+   */
+  async registerApprovedPartner(enactment = {}) {
+    const { proposalId, actorId } = enactment;
+    if (!proposalId || !actorId) {
+      throw new Error('Proposal and enacting member are required');
+    }
+
+    const proposal = await this.storage.findGovernanceProposalById(proposalId);
+    if (!proposal) {
+      return { success: false, reason: 'proposal_not_found' };
+    }
+    if (proposal.proposal_type !== PARTNER_APPROVAL_PROPOSAL_TYPE) {
+      return { success: false, reason: 'not_a_partner_decision' };
+    }
+    if (proposal.status !== 'approved') {
+      return { success: false, reason: 'proposal_not_approved' };
+    }
+
+    const { name, contactEmail, scopes } = proposal.proposal_payload || {};
+    if (typeof name !== 'string' || !name.trim() || !isScopeList(scopes)) {
+      return { success: false, reason: 'invalid_partner_decision' };
+    }
+
+    let partner;
+    try {
+      partner = await this.storage.createPartner({
+        id: crypto.randomUUID(),
+        name: name.trim(),
+        contact_email: contactEmail || null,
+        approved_scopes: [...new Set(scopes)],
+        proposal_id: String(proposal.id),
+        enacted_by: String(actorId),
+        created_at: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Partner already registered for this decision') {
+        return { success: false, reason: 'already_registered' };
+      }
+      throw error;
+    }
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'partner_registration',
+      dataId: partner.id,
+      actorId: partner.enacted_by,
+      proposalId: partner.proposal_id,
+      approvedScopes: partner.approved_scopes
+    });
+
+    console.log(`🤝 Partner registered by community decision: ${partner.name}`);
+    return { success: true, partner };
+  }
+
+  /**
+   * Issue a new API key to a registered partner
+   * @param {Object} request - { partnerId, scopes, rateLimitPerWindow, label, actorId }
+   * @returns {Promise<Object>} - { success, apiKey (shown once), key } or { success: false, reason }
+   */
+  async issueKey(request = {}) {
+    const { partnerId, scopes, rateLimitPerWindow = DEFAULT_RATE_LIMIT_PER_WINDOW, label, actorId } = request;
+    if (!partnerId || !actorId) {
+      throw new Error('Partner and issuing member are required');
+    }
+    if (!isScopeList(scopes) || !isRateLimit(rateLimitPerWindow)) {
+      return { success: false, reason: 'invalid_key_request' };
+    }
+
+    const partner = await this.storage.findPartnerById(partnerId);
+    if (!partner) {
+      return { success: false, reason: 'partner_not_found' };
+    }
+    if (!partner.active) {
+      return { success: false, reason: 'partner_inactive' };
+    }
+    if (!scopes.every(scope => partner.approved_scopes.includes(scope))) {
+      return { success: false, reason: 'scope_not_approved' };
+    }
+
+    const { apiKey, key } = await this.createKey(partner, {
+      scopes: [...new Set(scopes)],
+      rate_limit_per_window: rateLimitPerWindow,
+      label: label || null,
+      issued_by: String(actorId)
+    });
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'partner_api_key_issued',
+      dataId: key.id,
+      actorId: key.issued_by,
+      partnerId: key.partner_id,
+      scopes: key.scopes,
+      rateLimitPerWindow: key.rate_limit_per_window
+    });
+
+    console.log(`🔑 API key ${key.key_prefix} issued to ${partner.name}`);
+    return { success: true, apiKey, key };
+  }
+
+  /**
+   * Replace a key with a new one holding the same scopes and limit
+   * The old key keeps working for the rotation grace period.
+   * @param {Object} request - { partnerId, keyId, actorId }
+   * @returns {Promise<Object>} - { success, apiKey (shown once), key, previousKey } or { success: false, reason }
+   */
+  async rotateKey(request = {}) {
+    const { partnerId, keyId, actorId } = request;
+    if (!partnerId || !keyId || !actorId) {
+      throw new Error('Partner, key and rotating member are required');
+    }
+
+    const current = await this.findPartnerKey(partnerId, keyId);
+    if (!current) {
+      return { success: false, reason: 'key_not_found' };
+    }
+    if (!isUsable(current, new Date())) {
+      return { success: false, reason: 'key_inactive' };
+    }
+    if (current.replaced_by) {
+      return { success: false, reason: 'already_rotated' };
+    }
+
+    const partner = await this.storage.findPartnerById(partnerId);
+    if (!partner.active) {
+      return { success: false, reason: 'partner_inactive' };
+    }
+
+    const { apiKey, key } = await this.createKey(partner, {
+      scopes: current.scopes,
+      rate_limit_per_window: current.rate_limit_per_window,
+      label: current.label,
+      issued_by: String(actorId)
+    });
+
+    const graceEndsAt = new Date(Date.now() + this.rotationGraceSeconds * 1000).toISOString();
+    const previousKey = await this.storage.savePartnerApiKey({
+      ...current,
+      replaced_by: key.id,
+      expires_at: current.expires_at && current.expires_at < graceEndsAt ? current.expires_at : graceEndsAt
+    });
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'partner_api_key_rotated',
+      dataId: previousKey.id,
+      actorId: String(actorId),
+      partnerId: previousKey.partner_id,
+      replacedBy: key.id,
+      previousKeyExpiresAt: previousKey.expires_at
+    });
+
+    console.log(`🔄 API key ${previousKey.key_prefix} rotated to ${key.key_prefix}`);
+    return { success: true, apiKey, key, previousKey };
+  }
+
+  /**
+   * Stop a key working immediately
+   * @param {Object} request - { partnerId, keyId, actorId, reason }
+   * @returns {Promise<Object>} - { success, key } or { success: false, reason }
+   */
+  async revokeKey(request = {}) {
+    const { partnerId, keyId, actorId, reason } = request;
+    if (!partnerId || !keyId || !actorId) {
+      throw new Error('Partner, key and revoking member are required');
+    }
+
+    const current = await this.findPartnerKey(partnerId, keyId);
+    if (!current) {
+      return { success: false, reason: 'key_not_found' };
+    }
+    if (current.revoked_at) {
+      return { success: false, reason: 'already_revoked' };
+    }
+
+    const key = await this.storage.savePartnerApiKey({
+      ...current,
+      revoked_at: new Date().toISOString(),
+      revocation_reason: reason || 'revoked'
+    });
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'partner_api_key_revoked',
+      dataId: key.id,
+      actorId: String(actorId),
+      partnerId: key.partner_id,
+      reason: key.revocation_reason
+    });
+
+    console.log(`⛔ API key ${key.key_prefix} revoked`);
+    return { success: true, key };
+  }
+
+  /**
+   * Verify a presented API key and the partner it belongs to
+   * @param {string} apiKey - Key from the X-API-Key header
+   * @returns {Promise<Object|null>} - Partner identity, or null when the key is unknown, expired or revoked
+   */
+  async verifyKey(apiKey) {
+    if (typeof apiKey !== 'string' || !apiKey.startsWith(API_KEY_PREFIX)) {
+      return null;
+    }
+
+    const [key] = await this.storage.findPartnerApiKeys({ keyHash: hashKey(apiKey) });
+    if (!key || !isUsable(key, new Date())) {
+      return null;
+    }
+
+    const partner = await this.storage.findPartnerById(key.partner_id);
+    if (!partner || !partner.active) {
+      return null;
+    }
+
+    return {
+      partnerId: String(partner.id),
+      partnerName: partner.name,
+      keyId: String(key.id),
+      keyPrefix: key.key_prefix,
+      // A key never holds more than its partner is currently approved for
+      scopes: key.scopes.filter(scope => partner.approved_scopes.includes(scope)),
+      rateLimitPerWindow: key.rate_limit_per_window
+    };
+  }
+
+  /**
+   * Count one request made with a key
+   * @param {Object} usage - { keyId, scope, rateLimited }
+   */
+  async recordUsage(usage = {}) {
+    await this.storage.recordApiKeyUsage({
+      keyId: usage.keyId,
+      scope: usage.scope,
+      usedAt: new Date().toISOString(),
+      rateLimited: Boolean(usage.rateLimited)
+    });
+  }
+
+  /**
+   * A partner's keys with their daily usage
+   * @param {string} partnerId - Partner id
+   * @param {Object} range - { from, to } (YYYY-MM-DD, inclusive)
+   * @returns {Promise<Object|null>} - { partner, keys: [{ key, usage, totals }] } or null for unknown partners
+   */
+  async getUsageReport(partnerId, range = {}) {
+    const partner = await this.storage.findPartnerById(partnerId);
+    if (!partner) {
+      return null;
+    }
+
+    const keys = await this.storage.findPartnerApiKeys({ partnerId: partner.id });
+    const usage = keys.length > 0
+      ? await this.storage.findApiKeyUsage({ keyIds: keys.map(key => key.id), from: range.from, to: range.to })
+      : [];
+
+    return {
+      partner,
+      keys: keys.map(key => {
+        const keyUsage = usage.filter(entry => entry.key_id === key.id);
+        return {
+          key,
+          usage: keyUsage,
+          totals: {
+            requests: keyUsage.reduce((sum, entry) => sum + entry.request_count, 0),
+            rateLimited: keyUsage.reduce((sum, entry) => sum + entry.rate_limited_count, 0)
+          }
+        };
+      })
+    };
+  }
+
+  /**
+   * A partner's keys, oldest first
+   * @param {string} partnerId - Partner id
+   * @returns {Promise<Array|null>} - Key records, or null for unknown partners
+   */
+  async listKeys(partnerId) {
+    const partner = await this.storage.findPartnerById(partnerId);
+    return partner ? await this.storage.findPartnerApiKeys({ partnerId: partner.id }) : null;
+  }
+
+  // Helper methods
+
+  async createKey(partner, fields) {
+    const apiKey = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const key = await this.storage.savePartnerApiKey({
+      id: crypto.randomUUID(),
+      partner_id: String(partner.id),
+      key_prefix: apiKey.slice(0, API_KEY_PREFIX.length + 8),
+      key_hash: hashKey(apiKey),
+      issued_at: new Date().toISOString(),
+      ...fields
+    });
+
+    return { apiKey, key };
+  }
+
+  async findPartnerKey(partnerId, keyId) {
+    const [key] = await this.storage.findPartnerApiKeys({ id: keyId, partnerId });
+    return key || null;
+  }
+}
+
+// Helper functions
+
+function hashKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function isScopeList(scopes) {
+  return Array.isArray(scopes) && scopes.length > 0 && scopes.every(scope => API_KEY_SCOPES.includes(scope));
+}
+
+function isRateLimit(value) {
+  return Number.isInteger(value) && value > 0 && value <= MAX_RATE_LIMIT_PER_WINDOW;
+}
+
+function isUsable(key, now) {
+  return !key.revoked_at && (!key.expires_at || new Date(key.expires_at) > now);
+}
+
+PartnerApiKeyService.PARTNER_APPROVAL_PROPOSAL_TYPE = PARTNER_APPROVAL_PROPOSAL_TYPE;
+PartnerApiKeyService.API_KEY_SCOPES = API_KEY_SCOPES;
+PartnerApiKeyService.MAX_RATE_LIMIT_PER_WINDOW = MAX_RATE_LIMIT_PER_WINDOW;
+
+module.exports = PartnerApiKeyService;
@@ -0,0 +1,181 @@
+/**
+ * Webhook Signature Verifier (Layer 2)
+ *
+ * SCOPE: Checking that an inbound webhook was signed by the sender, recently, and only once
+ * DOES NOT: Identify the partner (API keys do) or act on the webhook's content
+ * ONLY: Verifies the HMAC signature, timestamp and nonce of a request and records the result
+ *
+ * The sender signs `${timestamp}.${nonce}.${rawBody}` with HMAC-SHA256 and sends:
+ *   X-Webhook-Timestamp: Unix time in seconds
+ *   X-Webhook-Nonce:     a random value used once
+ *   X-Webhook-Signature: v1=<hex digest> (several may be sent, separated by commas)
+ *
+ * Two secrets can be active at once: the current one and, while a rotation is
+ * rolling out, the previous one. Timestamps outside the tolerance window are
+ * refused, and nonces are remembered for twice the window so a captured
+ * request cannot be replayed. A nonce is only stored once the signature is
+ * valid, so unsigned requests cannot use up a sender's nonces.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_VERSION = 'v1';
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+const MAX_NONCE_LENGTH = 200;
+
+class WebhookSignatureVerifier {
+  /**
+   * @param {Object} options
+   * @param {string} options.source - Sender name, used for nonces and the audit log (e.g. 'blkouthub')
+   * @param {StorageAdapter} options.storageAdapter - Webhook nonces
+   * @param {DataSovereigntyService} options.dataSovereigntyService - Audit log
+   * @param {Array<string>} options.secrets - Active secrets, current first (at most two)
+   * @param {number} options.toleranceSeconds - Accepted clock difference (default 5 minutes)
+   */
+  constructor(options = {}) {
+    if (!options.source || !options.storageAdapter || !options.dataSovereigntyService) {
+      throw new Error('Source, storage adapter and data sovereignty service are required');
+    }
+
+    const secrets = (options.secrets || []).filter(Boolean);
+    if (secrets.length > 2) {
+      throw new Error('At most two webhook secrets can be active (current and previous)');
+    }
+
+    this.source = options.source;
+    this.storage = options.storageAdapter;
+    this.dataSovereigntyService = options.dataSovereigntyService;
+    this.secrets = secrets;
+    this.toleranceSeconds = options.toleranceSeconds || DEFAULT_TOLERANCE_SECONDS;
+  }
+
+  /**
+   * Verify a signed webhook request and record the outcome in the audit log
+   * @param {Object} req - Express request object (headers, rawBody from express.json's verify hook, body)
+   * @returns {Promise<Object>} - { valid, secret: 'current' | 'previous' } or { valid: false, reason }
+   */
+  async verify(req) {
+    const result = await this.check(req);
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'webhook_signature_verification',
+      dataId: result.nonce || null,
+      actorId: req.partner ? req.partner.partnerId : null,
+      source: this.source,
+      valid: result.valid,
+      reason: result.reason || null,
+      secret: result.secret || null,
+      signedAt: result.timestamp || null
+    });
+
+    if (!result.valid) {
+      console.warn(`🚫 ${this.source} webhook signature refused: ${result.reason}`);
+    }
+
+    return result.valid
+      ? { valid: true, secret: result.secret }
+      : { valid: false, reason: result.reason };
+  }
+
+  /**
+   * Signature header value for a payload (used by senders and tests)
+   * @param {string} secret - Shared secret
+   * @param {Object} parts - { timestamp, nonce, body (string or Buffer) }
+   * @returns {string} - v1=<hex digest>
+   */
+  static sign(secret, parts) {
+    return `${SIGNATURE_VERSION}=${computeDigest(secret, parts.timestamp, parts.nonce, parts.body)}`;
+  }
+
+  // Helper methods
+
+  async check(req) {
+    if (this.secrets.length === 0) {
+      return { valid: false, reason: 'webhook_secret_unconfigured' };
+    }
+
+    const headers = req.headers || {};
+    const timestamp = headers['x-webhook-timestamp'];
+    const nonce = headers['x-webhook-nonce'];
+    const signatures = parseSignatures(headers['x-webhook-signature']);
+
+    if (!timestamp || !nonce || signatures.length === 0) {
+      return { valid: false, reason: 'signature_missing' };
+    }
+    if (!/^\d+$/.test(timestamp)) {
+      return { valid: false, reason: 'timestamp_invalid', nonce };
+    }
+    if (nonce.length > MAX_NONCE_LENGTH) {
+      return { valid: false, reason: 'nonce_invalid' };
+    }
+
+    const signedAt = parseInt(timestamp, 10);
+    if (Math.abs(Math.floor(Date.now() / 1000) - signedAt) > this.toleranceSeconds) {
+      return { valid: false, reason: 'timestamp_outside_tolerance', nonce, timestamp: signedAt };
+    }
+
+    const rawBody = rawBodyOf(req);
+    if (rawBody === null) {
+      return { valid: false, reason: 'raw_body_unavailable', nonce, timestamp: signedAt };
+    }
+
+    const secretIndex = this.secrets.findIndex(secret => {
+      const expected = Buffer.from(computeDigest(secret, timestamp, nonce, rawBody), 'hex');
+      return signatures.some(signature => signature.length === expected.length && crypto.timingSafeEqual(signature, expected));
+    });
+    if (secretIndex === -1) {
+      return { valid: false, reason: 'signature_invalid', nonce, timestamp: signedAt };
+    }
+
+    const receivedAt = new Date();
+    const fresh = await this.storage.recordWebhookNonce({
+      source: this.source,
+      nonce,
+      received_at: receivedAt.toISOString(),
+      expires_at: new Date(receivedAt.getTime() + this.toleranceSeconds * 2 * 1000).toISOString()
+    });
+    if (!fresh) {
+      return { valid: false, reason: 'nonce_reused', nonce, timestamp: signedAt };
+    }
+
+    return { valid: true, secret: secretIndex === 0 ? 'current' : 'previous', nonce, timestamp: signedAt };
+  }
+}
+
+// Helper functions
+
+function computeDigest(secret, timestamp, nonce, body) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.`)
+    .update(body)
+    .digest('hex');
+}
+
+/**
+ * v1 signatures from the header as digest buffers (other versions are ignored)
+ */
+function parseSignatures(header) {
+  if (typeof header !== 'string') {
+    return [];
+  }
+
+  return header.split(',')
+    .map(part => part.trim().split('='))
+    .filter(([version, digest]) => version === SIGNATURE_VERSION && /^[0-9a-f]{64}$/i.test(digest || ''))
+    .map(([, digest]) => Buffer.from(digest, 'hex'));
+}
+
+/**
+ * The exact bytes the sender signed; an empty body signs as the empty string
+ */
+function rawBodyOf(req) {
+  if (req.rawBody !== undefined) {
+    return req.rawBody;
+  }
+  const hasBody = req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0;
+  return hasBody ? null : '';
+}
+
+WebhookSignatureVerifier.SIGNATURE_VERSION = SIGNATURE_VERSION;
+
+module.exports = WebhookSignatureVerifier;
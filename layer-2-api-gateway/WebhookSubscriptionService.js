@@ -0,0 +1,401 @@
+/**
+ * Webhook Subscription Service (Layer 2)
+ *
+ * SCOPE: Registering governance-approved webhook subscriptions and publishing domain events to them
+ * DOES NOT: Decide who may subscribe (the community votes on a webhook_subscription proposal) or send HTTP itself
+ * ONLY: Creates, lists, disables, reactivates and cancels subscriptions and queues matching events for delivery
+ *
+ * A webhook_subscription proposal carries proposal_payload { partnerId, url, eventTypes, description }.
+ * Once it is approved, a member allowed to enact decisions creates the subscription
+ * for that (active) partner. The signing secret is shown once, when the subscription
+ * is created; it is stored because every delivery has to be signed with it.
+ *
+ * Each published event is queued through OutboundDeliveryService once per matching
+ * subscription (destination 'subscription:<id>', idempotency key the event id), so
+ * deliveries get the same retries, dead letters and replay as content for BLKOUTHUB.
+ * Deliveries are signed like inbound webhooks (see WebhookSignatureVerifier).
+ * After failureLimit failed attempts in a row the subscription is disabled; its
+ * queued deliveries are dead-lettered until it is reactivated.
+ *
+ * subscribeTo(eventBus) publishes the events arriving on the domain event bus;
+ * the envelope id becomes the event id, so repeats are queued once.
+ */
+
+const crypto = require('crypto');
+
+const SUBSCRIPTION_PROPOSAL_TYPE = 'webhook_subscription';
+const SUBSCRIBABLE_EVENT_TYPES = [
+  'event_created',
+  'democratic_vote_completed',
+  'liberation_response_generated',
+  'feature_flag_updated'
+];
+const SUBSCRIPTION_STATUSES = ['active', 'disabled', 'cancelled'];
+const DESTINATION_PREFIX = 'subscription:';
+const SIGNING_SECRET_PREFIX = 'whsec_';
+const MAX_DESCRIPTION_LENGTH = 500;
+const DEFAULT_FAILURE_LIMIT = 10;
+
+class WebhookSubscriptionService {
+  /**
+   * @param {Object} options
+   * @param {StorageAdapter} options.storageAdapter - Proposals, partners and subscriptions
+   * @param {DataSovereigntyService} options.dataSovereigntyService - Audit log
+   * @param {OutboundDeliveryService} options.outboundDelivery - Queue that sends and retries deliveries
+   * @param {number} options.failureLimit - Failed attempts in a row before a subscription is disabled
+   *                                        (defaults to WEBHOOK_SUBSCRIPTION_FAILURE_LIMIT or 10)
+   */
+  constructor(options = {}) {
+    if (!options.storageAdapter || !options.dataSovereigntyService || !options.outboundDelivery) {
+      throw new Error('Storage adapter, data sovereignty service and outbound delivery are required');
+    }
+
+    this.storage = options.storageAdapter;
+    this.dataSovereigntyService = options.dataSovereigntyService;
+    this.outboundDelivery = options.outboundDelivery;
+    this.failureLimit = options.failureLimit ||
+      parseInt(process.env.WEBHOOK_SUBSCRIPTION_FAILURE_LIMIT || String(DEFAULT_FAILURE_LIMIT), 10);
+
+    this.outboundDelivery.addDestinationResolver(name => this.resolveDestination(name));
+    this.outboundDelivery.addAttemptObserver(attempt => this.recordAttempt(attempt));
+  }
+
+  /**
+   * Create the subscription an approved webhook_subscription proposal decided
+   * @param {Object} enactment - { proposalId, actorId (member enacting the decision) }
+   * @returns {Promise<Object>} - { success, subscription, signingSecret (shown once) } or { success: false, reason }
+   */
+  async createApprovedSubscription(enactment = {}) {
+    const { proposalId, actorId } = enactment;
+    if (!proposalId || !actorId) {
+      throw new Error('Proposal and enacting member are required');
+    }
+
+    const proposal = await this.storage.findGovernanceProposalById(proposalId);
+    if (!proposal) {
+      return { success: false, reason: 'proposal_not_found' };
+    }
+    if (proposal.proposal_type !== SUBSCRIPTION_PROPOSAL_TYPE) {
+      return { success: false, reason: 'not_a_subscription_decision' };
+    }
+    if (proposal.status !== 'approved') {
+      return { success: false, reason: 'proposal_not_approved' };
+    }
+
+    const { partnerId, url, eventTypes, description } = proposal.proposal_payload || {};
+    if (!partnerId || !isWebhookUrl(url) || !isEventTypeList(eventTypes) ||
+        (description !== undefined && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH))) {
+      return { success: false, reason: 'invalid_subscription_decision' };
+    }
+
+    const partner = await this.storage.findPartnerById(partnerId);
+    if (!partner) {
+      return { success: false, reason: 'partner_not_found' };
+    }
+    if (!partner.active) {
+      return { success: false, reason: 'partner_inactive' };
+    }
+
+    const signingSecret = `${SIGNING_SECRET_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    let subscription;
+    try {
+      subscription = await this.storage.createWebhookSubscription({
+        id: crypto.randomUUID(),
+        partner_id: String(partner.id),
+        url,
+        event_types: [...new Set(eventTypes)],
+        description: description || null,
+        signing_secret: signingSecret,
+        proposal_id: String(proposal.id),
+        enacted_by: String(actorId),
+        created_at: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Subscription already created for this decision') {
+        return { success: false, reason: 'already_created' };
+      }
+      throw error;
+    }
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'webhook_subscription_created',
+      dataId: subscription.id,
+      actorId: subscription.enacted_by,
+      proposalId: subscription.proposal_id,
+      partnerId: subscription.partner_id,
+      eventTypes: subscription.event_types
+    });
+
+    console.log(`📡 Webhook subscription created by community decision for ${partner.name}`);
+    return { success: true, subscription, signingSecret };
+  }
+
+  /**
+   * Queue an event for every active subscription to its type
+   * @param {string} eventType - One of SUBSCRIBABLE_EVENT_TYPES
+   * @param {Object} data - Event data, sent as-is
+   * @param {Object} origin - { id, occurredAt, correlationId } of a domain event envelope, kept in the delivery
+   * @returns {Promise<Object>} - { eventId, queued (number of deliveries) }
+   */
+  async publish(eventType, data = {}, origin = {}) {
+    if (!SUBSCRIBABLE_EVENT_TYPES.includes(eventType)) {
+      throw new Error(`Event type ${eventType} cannot be subscribed to`);
+    }
+
+    const event = {
+      id: origin.id || crypto.randomUUID(),
+      type: eventType,
+      occurredAt: origin.occurredAt || new Date().toISOString(),
+      ...(origin.correlationId && { correlationId: origin.correlationId }),
+      data
+    };
+
+    const subscriptions = await this.storage.findWebhookSubscriptions({ status: 'active', eventType });
+    for (const subscription of subscriptions) {
+      await this.outboundDelivery.enqueue({
+        destination: `${DESTINATION_PREFIX}${subscription.id}`,
+        idempotencyKey: event.id,
+        contentType: eventType,
+        payload: { ...event, subscriptionId: subscription.id }
+      });
+    }
+
+    return { eventId: event.id, queued: subscriptions.length };
+  }
+
+  /**
+   * Publish the subscribable events arriving on the domain event bus
+   * The envelope id is the idempotency key, so an event the bus delivers twice is queued once.
+   * @param {DomainEventBus} eventBus - Domain event bus
+   * @returns {Function} - Unsubscribe
+   */
+  subscribeTo(eventBus) {
+    const unsubscribes = SUBSCRIBABLE_EVENT_TYPES.map(eventType =>
+      eventBus.subscribe(eventType, envelope => this.publish(eventType, envelope.payload, envelope))
+    );
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }
+
+  /**
+   * Publish the subscribable events a service emits
+   * @param {EventEmitter} emitter - e.g. EventsLiberationService, IvorAILiberationService
+   */
+  attach(emitter) {
+    for (const eventType of SUBSCRIBABLE_EVENT_TYPES) {
+      emitter.on(eventType, data => {
+        this.publish(eventType, data).catch(error => {
+          console.error(`🚨 Failed to publish ${eventType} to webhook subscriptions:`, error);
+        });
+      });
+    }
+  }
+
+  /**
+   * Subscriptions, oldest first (signing secrets are not returned by the gateway)
+   * @param {Object} query - { partnerId, status }
+   * @returns {Promise<Array>} - Subscription records
+   */
+  async listSubscriptions(query = {}) {
+    return await this.storage.findWebhookSubscriptions({ partnerId: query.partnerId, status: query.status });
+  }
+
+  /**
+   * A subscription's deliveries, newest first
+   * @param {string} subscriptionId - Subscription id
+   * @param {Object} query - { status, limit }
+   * @returns {Promise<Object|null>} - { subscription, deliveries }, or null for unknown subscriptions
+   */
+  async getDeliveryLog(subscriptionId, query = {}) {
+    const subscription = await this.findSubscription(subscriptionId);
+    if (!subscription) {
+      return null;
+    }
+
+    const deliveries = await this.outboundDelivery.listDeliveries({
+      destination: `${DESTINATION_PREFIX}${subscription.id}`,
+      status: query.status,
+      limit: query.limit
+    });
+
+    return { subscription, deliveries };
+  }
+
+  /**
+   * Resume a disabled subscription with its failure count cleared
+   * Dead-lettered deliveries stay dead-lettered until replayed.
+   * @param {Object} request - { subscriptionId, actorId }
+   * @returns {Promise<Object>} - { success, subscription } or { success: false, reason }
+   */
+  async reactivate(request = {}) {
+    const { subscriptionId, actorId } = request;
+    if (!subscriptionId || !actorId) {
+      throw new Error('Subscription and reactivating member are required');
+    }
+
+    const current = await this.findSubscription(subscriptionId);
+    if (!current) {
+      return { success: false, reason: 'not_found' };
+    }
+    if (current.status !== 'disabled') {
+      return { success: false, reason: 'not_disabled', status: current.status };
+    }
+
+    const partner = await this.storage.findPartnerById(current.partner_id);
+    if (!partner || !partner.active) {
+      return { success: false, reason: 'partner_inactive' };
+    }
+
+    const subscription = await this.storage.saveWebhookSubscription({
+      ...current,
+      status: 'active',
+      consecutive_failures: 0,
+      disabled_at: null,
+      disabled_reason: null
+    });
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'webhook_subscription_reactivated',
+      dataId: subscription.id,
+      actorId: String(actorId),
+      partnerId: subscription.partner_id,
+      previousReason: current.disabled_reason
+    });
+
+    console.log(`📡 Webhook subscription ${subscription.id} reactivated`);
+    return { success: true, subscription };
+  }
+
+  /**
+   * End a subscription for good; nothing more is queued or sent for it
+   * @param {Object} request - { subscriptionId, actorId, reason }
+   * @returns {Promise<Object>} - { success, subscription } or { success: false, reason }
+   */
+  async cancel(request = {}) {
+    const { subscriptionId, actorId, reason } = request;
+    if (!subscriptionId || !actorId) {
+      throw new Error('Subscription and cancelling member are required');
+    }
+
+    const current = await this.findSubscription(subscriptionId);
+    if (!current) {
+      return { success: false, reason: 'not_found' };
+    }
+    if (current.status === 'cancelled') {
+      return { success: false, reason: 'already_cancelled' };
+    }
+
+    const subscription = await this.storage.saveWebhookSubscription({
+      ...current,
+      status: 'cancelled',
+      disabled_at: new Date().toISOString(),
+      disabled_reason: reason || 'cancelled'
+    });
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'webhook_subscription_cancelled',
+      dataId: subscription.id,
+      actorId: String(actorId),
+      partnerId: subscription.partner_id,
+      reason: subscription.disabled_reason
+    });
+
+    console.log(`⛔ Webhook subscription ${subscription.id} cancelled`);
+    return { success: true, subscription };
+  }
+
+  // Helper methods
+
+  async findSubscription(subscriptionId) {
+    const [subscription] = await this.storage.findWebhookSubscriptions({ id: subscriptionId });
+    return subscription || null;
+  }
+
+  /**
+   * Destination for 'subscription:<id>' deliveries; other names are not ours
+   */
+  async resolveDestination(name) {
+    if (!name.startsWith(DESTINATION_PREFIX)) {
+      return null;
+    }
+
+    const subscription = await this.findSubscription(name.slice(DESTINATION_PREFIX.length));
+    if (!subscription) {
+      return null;
+    }
+    if (subscription.status !== 'active') {
+      return { disabled: true, reason: subscription.disabled_reason || subscription.status };
+    }
+
+    return { url: subscription.url, secret: subscription.signing_secret };
+  }
+
+  /**
+   * Count an attempt against its subscription and disable it after too many failures in a row
+   */
+  async recordAttempt(attempt) {
+    const { delivery, delivered } = attempt;
+    if (!delivery.destination.startsWith(DESTINATION_PREFIX)) {
+      return;
+    }
+
+    const current = await this.findSubscription(delivery.destination.slice(DESTINATION_PREFIX.length));
+    // Refusals because the subscription is already disabled say nothing about the endpoint
+    if (!current || current.status !== 'active') {
+      return;
+    }
+
+    const subscription = await this.storage.recordWebhookSubscriptionOutcome({
+      id: current.id,
+      delivered,
+      at: new Date().toISOString()
+    });
+    if (!subscription || delivered || subscription.status !== 'active' ||
+        subscription.consecutive_failures < this.failureLimit) {
+      return;
+    }
+
+    const disabled = await this.storage.saveWebhookSubscription({
+      ...subscription,
+      status: 'disabled',
+      disabled_at: new Date().toISOString(),
+      disabled_reason: 'sustained_failures'
+    });
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'webhook_subscription_disabled',
+      dataId: disabled.id,
+      partnerId: disabled.partner_id,
+      reason: disabled.disabled_reason,
+      consecutiveFailures: disabled.consecutive_failures
+    });
+
+    console.warn(`🚫 Webhook subscription ${disabled.id} disabled after ${disabled.consecutive_failures} failed attempts in a row`);
+  }
+}
+
+// Helper functions
+
+function isEventTypeList(eventTypes) {
+  return Array.isArray(eventTypes) && eventTypes.length > 0 &&
+    eventTypes.every(eventType => SUBSCRIBABLE_EVENT_TYPES.includes(eventType));
+}
+
+function isWebhookUrl(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  try {
+    const url = new URL(value);
+    return ['https:', 'http:'].includes(url.protocol) && !url.username && !url.password;
+  } catch (error) {
+    return false;
+  }
+}
+
+WebhookSubscriptionService.SUBSCRIPTION_PROPOSAL_TYPE = SUBSCRIPTION_PROPOSAL_TYPE;
+WebhookSubscriptionService.SUBSCRIBABLE_EVENT_TYPES = SUBSCRIBABLE_EVENT_TYPES;
+WebhookSubscriptionService.SUBSCRIPTION_STATUSES = SUBSCRIPTION_STATUSES;
+WebhookSubscriptionService.DESTINATION_PREFIX = DESTINATION_PREFIX;
+
+module.exports = WebhookSubscriptionService;
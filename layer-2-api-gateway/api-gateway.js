@@ -15,7 +15,59 @@ const newsroomLiberationService = new NewsroomLiberationService();
 
 // Import data sovereignty service (Layer 5)
 const DataSovereigntyService = require('../layer-5-data-sovereignty/DataSovereigntyService');
-const dataSovereigntyService = new DataSovereigntyService();
+const { createStorageAdapter } = require('../layer-5-data-sovereignty/storage');
+const storageAdapter = createStorageAdapter();
+// A fresh store gets the default community-wide consent before its first write
+const dataSovereigntyService = new DataSovereigntyService(storageAdapter, { seedDefaultConsent: true });
+
+// Layer 2 identity protection for anything published to members
+const IdentityProtection = require('./IdentityProtection');
+
+// Layer 2 community sessions (access and refresh tokens) and member credentials
+const CommunityAuthService = require('./CommunityAuthService');
+const CommunityCredentialService = require('./CommunityCredentialService');
+const { createMailTransport } = require('./mail');
+
+// Governance roles: permission map and decision-based role changes
+const CommunityRoleService = require('./CommunityRoleService');
+// Ballots recorded under voting pseudonyms
+const CommunityVoteService = require('./CommunityVoteService');
+// Proposal lifecycle: drafts, deliberation, scheduled voting and tallies
+const GovernanceProposalService = require('./GovernanceProposalService');
+// Amendments to proposal text, and its versions
+const GovernanceAmendmentService = require('./GovernanceAmendmentService');
+// Governance-approved partner organisations and their scoped API keys
+const PartnerApiKeyService = require('./PartnerApiKeyService');
+const WebhookSignatureVerifier = require('./WebhookSignatureVerifier');
+// Queued, retried delivery of approved content to partners
+const OutboundDeliveryService = require('./OutboundDeliveryService');
+// Governance-approved partner subscriptions to domain events
+const WebhookSubscriptionService = require('./WebhookSubscriptionService');
+const {
+  hasPermission,
+  permissionsForRole,
+  findSpoofedActorField,
+  respondUnauthenticated,
+  respondForbidden,
+  respondActorMismatch
+} = require('./CommunityPermissions');
+
+// Domain event bus, and the outbox that publishes events once their write commits (Layer 5)
+const { createDomainEventBus, DomainEventOutboxRelay } = require('../layer-5-infrastructure/events');
+
+// Creator data export packaging (Layer 5)
+const CreatorDataExporter = require('../layer-5-data-sovereignty/CreatorDataExporter');
+
+const AUDIT_DEFAULT_PAGE_SIZE = 50;
+const AUDIT_MAX_PAGE_SIZE = 200;
+const DELIVERY_DEFAULT_PAGE_SIZE = 50;
+const DELIVERY_MAX_PAGE_SIZE = 200;
+const MAX_CORRELATION_ID_LENGTH = 100;
+const PROPOSAL_DEFAULT_PAGE_SIZE = 50;
+const PROPOSAL_MAX_PAGE_SIZE = 200;
+const MAX_PROPOSAL_TITLE_LENGTH = 200;
+const TEXT_HASH_PATTERN = /^[0-9a-f]{64}$/;
+const PROPOSAL_TYPE_PATTERN = /^[a-z][a-z_]{0,49}$/;
 
 /**
  * Initialize API Gateway with proper dependency injection
@@ -32,18 +84,88 @@ class LiberationAPIGateway {
     // Layer 5: Data Sovereignty Service (persistence only)
     this.dataSovereigntyService = dataSovereigntyService;
 
+    // Context-specific pseudonyms for members in everything published
+    this.identityProtection = new IdentityProtection();
+
+    // Registration, passwords and account emails; sessions are issued against these credentials
+    this.credentialService = new CommunityCredentialService({ storageAdapter, mailTransport: createMailTransport() });
+
+    // Issues and verifies community sessions against community_members
+    this.authService = new CommunityAuthService({ storageAdapter, credentialVerifier: this.credentialService });
+
+    // governance_role changes only by enacting approved role_change proposals
+    this.roleService = new CommunityRoleService({ storageAdapter, dataSovereigntyService });
+
+    // One ballot per member per proposal, stored without the member's ID
+    this.voteService = new CommunityVoteService({
+      storageAdapter,
+      identityProtection: this.identityProtection,
+      dataSovereigntyService
+    });
+
+    // Proposals move draft → deliberation → voting → decision; the scheduler opens and tallies votes
+    this.proposalService = new GovernanceProposalService({
+      storageAdapter,
+      identityProtection: this.identityProtection,
+      dataSovereigntyService
+    });
+
+    // Amendments against a proposal version, accepted by the proposer or adopted by members' votes
+    this.amendmentService = new GovernanceAmendmentService({
+      storageAdapter,
+      identityProtection: this.identityProtection,
+      dataSovereigntyService
+    });
+
+    // Partners exist only by community decision; their keys are stored as hashes
+    this.apiKeyService = new PartnerApiKeyService({ storageAdapter, dataSovereigntyService });
+
+    // BLKOUTHUB signs each webhook; the previous secret stays valid while a rotation rolls out
+    this.webhookVerifier = new WebhookSignatureVerifier({
+      source: 'blkouthub',
+      storageAdapter,
+      dataSovereigntyService,
+      secrets: [process.env.BLKOUTHUB_WEBHOOK_SECRET, process.env.BLKOUTHUB_WEBHOOK_SECRET_PREVIOUS],
+      toleranceSeconds: parseInt(process.env.BLKOUTHUB_WEBHOOK_TOLERANCE, 10) || undefined
+    });
+
+    // Approved content is queued for BLKOUTHUB and sent by the delivery worker
+    this.outboundDelivery = new OutboundDeliveryService({ storageAdapter, dataSovereigntyService });
+
+    // Events reporting a write are stored in the outbox with it; the relay publishes them on the bus
+    this.eventBus = createDomainEventBus({ source: 'api-gateway' });
+    this.outboxRelay = new DomainEventOutboxRelay({ storageAdapter, eventBus: this.eventBus });
+
+    // Partners receive the domain events the community approved them for, through the same queue
+    this.webhookSubscriptions = new WebhookSubscriptionService({
+      storageAdapter,
+      dataSovereigntyService,
+      outboundDelivery: this.outboundDelivery
+    });
+    this.webhookSubscriptions.subscribeTo(this.eventBus);
+
+    // Creator revenue and content_items live in Postgres; without DATABASE_URL
+    // exports cover stored records and consents only
+    this.creatorDataRepository = process.env.DATABASE_URL ? createCreatorDataRepository() : null;
+
     console.log('🌐 Liberation API Gateway initialized with proper layer separation');
   }
 
   /**
    * API endpoint for creating news content with proper layer separation
-   * @param {Object} req - Express request object
+   * The signed-in member is recorded as the content's owner.
+   * @param {Object} req - Express request object (req.user set by community authentication)
    * @param {Object} res - Express response object
    */
   async createNewsContent(req, res) {
     try {
       console.log('📰 Processing news content creation request');
 
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
       // Extract content from request (API Gateway responsibility)
       const contentData = req.body;
 
@@ -90,6 +212,7 @@ class LiberationAPIGateway {
         data: businessLogicResult.content,
         sovereigntyRequirements: {
           communityId: 'blkout-community',
+          ownerId: memberId,
           creatorControlled: true
         },
         operationType: 'news_content_creation'
@@ -353,7 +476,8 @@ class LiberationAPIGateway {
       // STEP 3: Return response
       const response = {
         success: true,
-        articles: businessLogicResult.articles || [],
+        // Owners appear only by their content pseudonym
+        articles: this.identityProtection.protectDetails(businessLogicResult.articles || [], 'content'),
         pagination: businessLogicResult.pagination || {
           currentPage: pageNumber,
           totalPages: 1,
@@ -388,9 +512,16 @@ class LiberationAPIGateway {
     try {
       console.log('📅 Processing events retrieval request');
 
+      const { page = '1', limit = '10', category = 'all', from, to } = req.query;
+
       // STEP 1: Delegate to Layer 5 Data Sovereignty Service (retrieval only)
       console.log('🔒 Delegating to DataSovereigntyService (Layer 5) for events');
       const eventsResult = await this.dataSovereigntyService.retrieveEventsWithGovernance({
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        category,
+        from,
+        to,
         requesterId: 'events-api',
         accessType: 'public_read'
       });
@@ -401,7 +532,8 @@ class LiberationAPIGateway {
       // STEP 3: Return response
       const response = {
         success: true,
-        events: businessLogicResult.events || [],
+        events: this.identityProtection.protectDetails(businessLogicResult.events || [], 'content'),
+        pagination: businessLogicResult.pagination || eventsResult.pagination,
         layerSeparation: {
           businessLogicLayer: 3,
           dataSovereigntyLayer: 5,
@@ -423,13 +555,19 @@ class LiberationAPIGateway {
 
   /**
    * Create Event API endpoint - Layer 2 implementation
-   * @param {Object} req - Express request object
+   * The signed-in member is recorded as the event's owner.
+   * @param {Object} req - Express request object (req.user set by community authentication)
    * @param {Object} res - Express response object
    */
   async createEvent(req, res) {
     try {
       console.log('📅 Processing event creation request');
 
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
       const eventData = req.body;
 
       if (!eventData.title || !eventData.description || !eventData.date) {
@@ -456,9 +594,11 @@ class LiberationAPIGateway {
         data: businessLogicResult.event,
         sovereigntyRequirements: {
           communityId: 'blkout-community',
+          ownerId: memberId,
           creatorControlled: true
         },
-        operationType: 'event_creation'
+        operationType: 'event_creation',
+        domainEvents: record => [this.eventCreatedEvent(record, req)]
       });
 
       // STEP 3: Return coordinated response
@@ -491,11 +631,24 @@ class LiberationAPIGateway {
 
   /**
    * BLKOUTHUB Webhook endpoint - Layer 2 implementation
-   * @param {Object} req - Express request object
+   * Called by partners with an API key holding webhooks:post, signed with the shared webhook secret.
+   * @param {Object} req - Express request object (req.partner set by partner API key authentication, req.rawBody by the JSON parser)
    * @param {Object} res - Express response object
    */
   async blkouthubWebhook(req, res) {
     try {
+      if (!req.partner) {
+        return respondUnauthenticated(res, 'api_key_required');
+      }
+      if (!req.partner.scopes.includes('webhooks:post')) {
+        return respondForbidden(res, 'scope_denied', 'This API key does not include this action', { scope: 'webhooks:post' });
+      }
+
+      const signature = await this.webhookVerifier.verify(req);
+      if (!signature.valid) {
+        return respondWebhookSignatureFailure(res, signature.reason);
+      }
+
       console.log('🔗 Processing BLKOUTHUB webhook request');
 
       const { action, contentType, contentId, moderatorId } = req.body;
@@ -533,6 +686,8 @@ class LiberationAPIGateway {
         contentId,
         contentType,
         moderatorId,
+        partnerId: req.partner.partnerId,
+        apiKeyId: req.partner.keyId,
         webhookResult,
         timestamp: new Date()
       });
@@ -582,10 +737,11 @@ class LiberationAPIGateway {
       const insightsResult = this.businessLogicServices.newsroom.processCommunityInsights(communityData);
 
       // STEP 3: Return response
+      // Published insights name members only by their insights pseudonym
       const response = {
         success: true,
-        insights: insightsResult.insights,
-        metrics: insightsResult.metrics,
+        insights: this.identityProtection.protectDetails(insightsResult.insights, 'insights'),
+        metrics: this.identityProtection.protectDetails(insightsResult.metrics, 'insights'),
         layerSeparation: {
           businessLogicLayer: 3,
           dataSovereigntyLayer: 5,
@@ -607,13 +763,19 @@ class LiberationAPIGateway {
 
   /**
    * SUBMIT TO MODERATION QUEUE: Submit content for human-in-the-loop moderation
-   * @param {Object} req - Express request object
+   * The signed-in member is recorded as the submission's owner and keeps ownership once it is published.
+   * @param {Object} req - Express request object (req.user set by community authentication)
    * @param {Object} res - Express response object
    */
   async submitToModerationQueue(req, res) {
     try {
       console.log('⚖️ Processing content submission to moderation queue');
 
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
       const contentData = req.body;
 
       if (!contentData || !contentData.title || !contentData.content) {
@@ -629,8 +791,9 @@ class LiberationAPIGateway {
       // STEP 1: Apply business logic validation (Layer 3)
       console.log('🧠 Delegating to NewsroomLiberationService for content validation (Layer 3)');
       
-      // Create moderation submission object
+      // Create moderation submission object; id, status and moderation fields are set here, never by the client
       const moderationSubmission = {
+        ...contentData, // Include other optional fields
         id: `mod_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
         type: contentType,
         title: contentData.title,
@@ -641,8 +804,7 @@ class LiberationAPIGateway {
         status: 'pending',
         priority: contentData.priority || 'medium',
         moderationNotes: '',
-        flaggedReasons: [],
-        ...contentData // Include other optional fields
+        flaggedReasons: []
       };
       
       // Use business logic for content validation
@@ -663,6 +825,7 @@ class LiberationAPIGateway {
         data: moderationSubmission,
         sovereigntyRequirements: {
           communityId: 'moderation-queue',
+          ownerId: memberId,
           creatorControlled: true
         },
         operationType: 'moderation_queue_submission'
@@ -710,7 +873,11 @@ class LiberationAPIGateway {
       const queueResult = await this.dataSovereigntyService.retrieveModerationQueueWithGovernance({
         requesterId: 'moderation-api',
         accessType: 'moderation_read',
-        statusFilter: req.query.status || 'pending'  // Default to pending items
+        statusFilter: req.query.status || 'pending',  // Default to pending items
+        type: req.query.type,
+        priority: req.query.priority,
+        page: parseInt(req.query.page || '1', 10),
+        limit: parseInt(req.query.limit || '50', 10)
       });
 
       // STEP 2: Apply business logic processing if needed (Layer 3)
@@ -720,11 +887,15 @@ class LiberationAPIGateway {
       const queueItems = Array.isArray(queueResult) ? queueResult : 
                          (queueResult && Array.isArray(queueResult.items) ? queueResult.items : []);
 
+      // Moderators see each other (and submitters) only by moderation pseudonym
+      const protectedItems = this.identityProtection.protectDetails(queueItems, 'moderation');
+
       // STEP 3: Return response
       const response = {
         success: true,
-        queueItems: queueItems,
-        count: queueItems.length,
+        queueItems: protectedItems,
+        count: protectedItems.length,
+        pagination: queueResult && queueResult.pagination,
         dataRetrievalResult: {
           retrieved: true,
           governanceCompliant: true
@@ -750,13 +921,22 @@ class LiberationAPIGateway {
 
   /**
    * UPDATE MODERATION ITEM: Approve or reject moderation queue items
-   * @param {Object} req - Express request object
+   * The moderator is the signed-in member; a body moderatorId naming anyone else is refused.
+   * @param {Object} req - Express request object (req.user holds moderation:review)
    * @param {Object} res - Express response object
    */
   async updateModerationItem(req, res) {
     try {
       console.log('⚖️ Processing moderation item update request');
 
+      const moderatorId = authenticatedMemberId(req);
+      if (!moderatorId) {
+        return respondUnauthenticated(res);
+      }
+      if (findSpoofedActorField(req, ['moderatorId'])) {
+        return respondActorMismatch(res, 'moderatorId');
+      }
+
       const { id } = req.params;
       const moderationDecision = req.body;
 
@@ -776,11 +956,7 @@ class LiberationAPIGateway {
 
       // STEP 1: Retrieve the pending item (Layer 5)
       console.log('🔒 Retrieving moderation item (Layer 5)');
-      const item = await this.dataSovereigntyService.retrieveWithGovernance({
-        dataId: id,
-        requesterId: 'moderation-system',
-        accessType: 'moderation_read'
-      });
+      const item = await this.dataSovereigntyService.retrieveModerationQueueItem(id);
 
       if (!item) {
         return res.status(404).json({
@@ -795,7 +971,7 @@ class LiberationAPIGateway {
         ...item,
         decision: moderationDecision.action,
         moderatorNotes: moderationDecision.notes || '',
-        moderatorId: moderationDecision.moderatorId || 'system'
+        moderatorId
       };
       
       const businessLogicResult = this.businessLogicServices.newsroom.moderateContentWithCommunity(
@@ -804,26 +980,49 @@ class LiberationAPIGateway {
       );
 
       // STEP 3: Update moderation status and handle content (Layer 5)
-      const updatedItem = {
-        ...item,
+      const transition = await this.dataSovereigntyService.transitionModerationItem({
+        itemId: id,
         status: moderationDecision.action === 'approve' ? 'approved' : 'rejected',
-        moderationNotes: moderationDecision.notes || '',
-        moderatedAt: new Date().toISOString(),
-        moderatorId: moderationDecision.moderatorId || 'system'
-      };
-
-      const storageResult = await this.dataSovereigntyService.storeWithSovereignty({
-        data: updatedItem,
-        sovereigntyRequirements: {
-          communityId: 'moderation-queue',
-          creatorControlled: true
-        },
-        operationType: 'moderation_queue_update'
+        moderatorId,
+        notes: moderationDecision.notes || ''
       });
 
-      // If approved, potentially store to main content repository
+      if (!transition.success) {
+        return res.status(transition.reason === 'not_found' ? 404 : 409).json({
+          error: transition.reason === 'not_found'
+            ? 'Moderation item not found'
+            : `Cannot move moderation item from ${transition.currentStatus} to ${transition.requestedStatus}`,
+          ...transition,
+          layer: 'Data Sovereignty (Layer 5)'
+        });
+      }
+
+      const updatedItem = transition.item;
+
+      // Approved submissions are published to the story archive or events listing
+      // as a new record, so the queue item keeps its own id and history
+      let storageResult = { success: true, sovereigntyConfirmed: true };
+      let delivery = null;
       if (moderationDecision.action === 'approve') {
-        // Additional logic could go here to move content to the main repository
+        const { id: itemId, status, statusHistory, moderationNotes, flaggedReasons, sovereignty, ...publishable } = updatedItem;
+        const published = {
+          ...publishable,
+          moderationItemId: id
+        };
+        storageResult = await this.dataSovereigntyService.storeWithSovereignty({
+          data: published,
+          sovereigntyRequirements: {
+            communityId: 'blkout-community',
+            // The submitter stays the owner of what they wrote
+            ownerId: sovereignty ? sovereignty.ownerId : null,
+            creatorControlled: true
+          },
+          operationType: updatedItem.type === 'event' ? 'event_creation' : 'news_content_storage',
+          ...(updatedItem.type === 'event' && { domainEvents: record => [this.eventCreatedEvent(record, req)] })
+        });
+
+        // Queue the published record for BLKOUTHUB (formatted in Layer 3)
+        delivery = await this.queueBlkouthubDelivery({ ...published, id: storageResult.dataId }, moderatorId);
       }
 
       // STEP 4: Return response
@@ -836,6 +1035,7 @@ class LiberationAPIGateway {
           stored: storageResult.success,
           sovereigntyConfirmed: storageResult.sovereigntyConfirmed
         },
+        ...(delivery && { blkouthubDelivery: delivery }),
         layerSeparation: {
           businessLogicLayer: 3,
           dataSovereigntyLayer: 5,
@@ -856,76 +1056,2613 @@ class LiberationAPIGateway {
   }
 
   /**
-   * Health check endpoint for layer separation monitoring
+   * event_created envelope for a stored event, correlated with the request that stored it
+   * @param {Object} record - Stored event record
+   * @param {Object} req - Express request object (X-Correlation-Id is used when sent)
+   * @returns {Object} - Domain event envelope for the outbox
+   */
+  eventCreatedEvent(record, req) {
+    return this.eventBus.createEvent('event_created', {
+      eventId: String(record.id),
+      ...(typeof record.title === 'string' && { title: record.title }),
+      ...(typeof record.date === 'string' && { date: record.date })
+    }, {
+      correlationId: requestCorrelationId(req)
+    });
+  }
+
+  /**
+   * Queue published content for BLKOUTHUB
+   * The moderation decision already stands, so a queueing failure is reported, not thrown.
+   * @param {Object} content - Published story or event record
+   * @param {string} moderatorId - Member who approved it
+   * @returns {Promise<Object>} - { queued, deliveryId, status, duplicate } or { queued: false, error }
+   */
+  async queueBlkouthubDelivery(content, moderatorId) {
+    try {
+      const payload = this.businessLogicServices.newsroom.formatContentForBlkouthub(content, content.type);
+      const result = await this.outboundDelivery.enqueue({
+        destination: 'blkouthub',
+        contentId: content.id,
+        contentType: payload.contentType,
+        payload,
+        actorId: moderatorId
+      });
+
+      return {
+        queued: true,
+        deliveryId: result.delivery.id,
+        status: result.delivery.status,
+        duplicate: result.duplicate
+      };
+    } catch (error) {
+      console.error(`🚨 Could not queue ${content.id} for BLKOUTHUB:`, error);
+      return { queued: false, error: error.message };
+    }
+  }
+
+  /**
+   * COMMUNITY AUDIT LOG: Page through tracked data operations
+   * Query: operationType, dataId, from, to, limit, cursor
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  async healthCheck(req, res) {
+  async getAuditLog(req, res) {
     try {
-      console.log('🏥 Processing health check request');
+      console.log('📜 Processing community audit log request');
+      await this.respondWithAuditPage(req, res, req.query.dataId);
+    } catch (error) {
+      console.error('🚨 API Gateway error in getAuditLog:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve audit log',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
 
-      // Check Layer 3 Business Logic health
-      const businessLogicHealth = this.businessLogicServices.newsroom.performNewsroomBusinessLogicHealth();
+  /**
+   * COMMUNITY AUDIT LOG: Operations on one piece of data
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAuditLogForData(req, res) {
+    try {
+      console.log(`📜 Processing audit log request for ${req.params.dataId}`);
+      await this.respondWithAuditPage(req, res, req.params.dataId);
+    } catch (error) {
+      console.error('🚨 API Gateway error in getAuditLogForData:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve audit log',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
 
-      // Check Layer 5 Data Sovereignty health (would be implemented)
-      const dataSovereigntyHealth = {
-        serviceName: 'DataSovereigntyService',
-        layer: 5,
-        status: 'operational',
-        dataPersistenceOnly: true
-      };
+  /**
+   * COMMUNITY AUDIT LOG: Verify the hash chain has not been edited or truncated
+   * Members can record headSequence/headHash and compare them on later checks.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async verifyAuditLog(req, res) {
+    try {
+      console.log('🔗 Processing audit log verification request');
 
-      const response = {
-        gatewayStatus: 'healthy',
-        layer: 2,
-        responsibilities: ['API routing', 'Request validation', 'Layer coordination', 'Dependency injection'],
+      const verification = await this.dataSovereigntyService.verifyDataOperationLog();
+
+      res.json({
+        success: true,
+        verification,
         layerSeparation: {
-          compliant: true,
-          businessLogicSeparated: businessLogicHealth.businessLogicOnly,
-          dataPersistenceSeparated: dataSovereigntyHealth.dataPersistenceOnly,
-          noDirectCoupling: true
-        },
-        serviceHealth: {
-          businessLogic: businessLogicHealth,
-          dataSovereignty: dataSovereigntyHealth
-        },
-        timestamp: new Date().toISOString()
-      };
+          dataSovereigntyLayer: 5,
+          separationCompliant: true
+        }
+      });
 
-      res.json(response);
+    } catch (error) {
+      console.error('🚨 API Gateway error in verifyAuditLog:', error);
+      res.status(500).json({
+        error: 'Audit log verification failed',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * Shared audit page response (validation, Layer 5 query, identity protection)
+   */
+  async respondWithAuditPage(req, res, dataId) {
+    const { operationType, from, to, cursor } = req.query;
+    const limit = parseInt(req.query.limit || String(AUDIT_DEFAULT_PAGE_SIZE), 10);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > AUDIT_MAX_PAGE_SIZE) {
+      return res.status(400).json({
+        error: `limit must be between 1 and ${AUDIT_MAX_PAGE_SIZE}`,
+        layer: 'API Gateway validation'
+      });
+    }
+
+    const afterSequence = cursor !== undefined ? decodeAuditCursor(cursor) : 0;
+    if (afterSequence === null) {
+      return res.status(400).json({
+        error: 'Invalid cursor',
+        layer: 'API Gateway validation'
+      });
+    }
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value !== undefined && isNaN(new Date(value).getTime())) {
+        return res.status(400).json({
+          error: `${name} must be a valid date`,
+          layer: 'API Gateway validation'
+        });
+      }
+    }
+
+    // One extra entry tells us whether another page exists
+    console.log('🔒 Querying data operation audit trail (Layer 5)');
+    const entries = await this.dataSovereigntyService.findDataOperations({
+      operationType,
+      dataId,
+      from,
+      to,
+      afterSequence,
+      limit: limit + 1
+    });
+
+    const page = entries.slice(0, limit);
+    const hasMore = entries.length > limit;
+
+    res.json({
+      success: true,
+      entries: page.map(entry => this.identityProtection.protectAuditEntry(entry)),
+      count: page.length,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeAuditCursor(page[page.length - 1].sequence_number) : null
+      },
+      filters: { operationType: operationType || null, dataId: dataId || null, from: from || null, to: to || null },
+      privacy: {
+        identifiersPseudonymised: true,
+        personalFieldsRemoved: true
+      },
+      layerSeparation: {
+        dataSovereigntyLayer: 5,
+        separationCompliant: true
+      }
+    });
+  }
+
+  /**
+   * COMMUNITY AUTH: Sign in and receive an access token and refresh token
+   * Body: { identifier (username or email), password }
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async login(req, res) {
+    try {
+      const { identifier, password } = req.body || {};
+
+      if (typeof identifier !== 'string' || !identifier.trim() || typeof password !== 'string' || !password) {
+        return res.status(400).json({
+          error: 'identifier and password are required',
+          layer: 'API Gateway validation'
+        });
+      }
+
+      console.log('🔐 Processing community login');
+      const result = await this.authService.login({ identifier: identifier.trim(), password });
+
+      if (!result.success) {
+        return respondAuthFailure(res, result.reason);
+      }
+
+      res.json({ success: true, ...presentSession(result.session) });
 
     } catch (error) {
-      console.error('🚨 Health check error:', error);
+      console.error('🚨 API Gateway error in login:', error);
       res.status(500).json({
-        error: 'Health check failed',
-        details: error.message
+        error: 'Community login failed',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
       });
     }
   }
-}
 
-// Create singleton instance
-const liberationAPIGateway = new LiberationAPIGateway();
+  /**
+   * COMMUNITY AUTH: Rotate a refresh token for a new access token
+   * Body: { refreshToken }. The presented refresh token stops working.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async refreshSession(req, res) {
+    try {
+      const refreshToken = req.body && req.body.refreshToken;
+      if (typeof refreshToken !== 'string' || !refreshToken) {
+        return res.status(400).json({
+          error: 'refreshToken is required',
+          layer: 'API Gateway validation'
+        });
+      }
 
-// Export API endpoint functions for Express routing
-module.exports = {
-  // Original endpoints
-  createNewsContent: (req, res) => liberationAPIGateway.createNewsContent(req, res),
-  getNewsContent: (req, res) => liberationAPIGateway.getNewsContent(req, res),
-  moderateContent: (req, res) => liberationAPIGateway.moderateContent(req, res),
-  calculateRevenueTransparency: (req, res) => liberationAPIGateway.calculateRevenueTransparency(req, res),
+      console.log('🔄 Processing session refresh');
+      const result = await this.authService.refresh(refreshToken);
 
-  // Migrated endpoints from Layer 1
-  getStoryArchive: (req, res) => liberationAPIGateway.getStoryArchive(req, res),
-  getEvents: (req, res) => liberationAPIGateway.getEvents(req, res),
-  createEvent: (req, res) => liberationAPIGateway.createEvent(req, res),
-  blkouthubWebhook: (req, res) => liberationAPIGateway.blkouthubWebhook(req, res),
-  getCommunityInsights: (req, res) => liberationAPIGateway.getCommunityInsights(req, res),
+      if (!result.success) {
+        return respondAuthFailure(res, result.reason);
+      }
 
-  // New moderation queue endpoints
-  submitToModerationQueue: (req, res) => liberationAPIGateway.submitToModerationQueue(req, res),
-  getModerationQueue: (req, res) => liberationAPIGateway.getModerationQueue(req, res),
-  updateModerationItem: (req, res) => liberationAPIGateway.updateModerationItem(req, res),
+      res.json({ success: true, ...presentSession(result.session) });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in refreshSession:', error);
+      res.status(500).json({
+        error: 'Session refresh failed',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * COMMUNITY AUTH: End the session a refresh token belongs to
+   * Body: { refreshToken }. Always answers 204 so tokens cannot be probed.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async logout(req, res) {
+    try {
+      const refreshToken = req.body && req.body.refreshToken;
+      if (typeof refreshToken !== 'string' || !refreshToken) {
+        return res.status(400).json({
+          error: 'refreshToken is required',
+          layer: 'API Gateway validation'
+        });
+      }
+
+      console.log('👋 Processing community logout');
+      await this.authService.logout(refreshToken);
+
+      res.status(204).end();
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in logout:', error);
+      res.status(500).json({
+        error: 'Community logout failed',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * COMMUNITY AUTH: Register a member account (creators also get a creators row)
+   * Body: { username, email, password, displayName, accountType: 'member' | 'creator' }
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async register(req, res) {
+    try {
+      const registration = req.body || {};
+
+      const problem = CommunityCredentialService.registrationProblem(registration);
+      if (problem) {
+        return res.status(400).json({
+          error: problem,
+          layer: 'API Gateway validation'
+        });
+      }
+
+      console.log('🌱 Processing community registration');
+      const result = await this.credentialService.register({
+        username: registration.username,
+        email: registration.email,
+        password: registration.password,
+        displayName: registration.displayName,
+        accountType: registration.accountType
+      });
+
+      if (!result.success) {
+        return res.status(409).json({
+          error: 'That username or email is already registered',
+          reason: result.reason,
+          layer: 'API Gateway (Layer 2)'
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        member: result.member,
+        message: 'Check your email to confirm your address'
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in register:', error);
+      res.status(500).json({
+        error: 'Community registration failed',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * COMMUNITY AUTH: Email a password reset link
+   * Body: { identifier (username or email) }. Always answers 202 so accounts cannot be probed.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async requestPasswordReset(req, res) {
+    try {
+      const identifier = req.body && req.body.identifier;
+      if (typeof identifier !== 'string' || !identifier.trim()) {
+        return res.status(400).json({
+          error: 'identifier is required',
+          layer: 'API Gateway validation'
+        });
+      }
+
+      console.log('🔑 Processing password reset request');
+      await this.credentialService.requestPasswordReset(identifier);
+
+      res.status(202).json({
+        success: true,
+        message: 'If that account exists, a reset link is on its way'
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in requestPasswordReset:', error);
+      res.status(500).json({
+        error: 'Password reset request failed',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * COMMUNITY AUTH: Set a new password with a reset token
+   * Body: { token, password }. Signs the member out everywhere.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async resetPassword(req, res) {
+    try {
+      const { token, password } = req.body || {};
+
+      const problem = typeof token !== 'string' || !token
+        ? 'token is required'
+        : CommunityCredentialService.passwordProblem(password);
+      if (problem) {
+        return res.status(400).json({
+          error: problem,
+          layer: 'API Gateway validation'
+        });
+      }
+
+      console.log('🔑 Processing password reset');
+      const result = await this.credentialService.resetPassword({ token, password });
+
+      if (!result.success) {
+        return respondAccountTokenFailure(res, result.reason);
+      }
+
+      res.json({
+        success: true,
+        message: 'Password changed - please sign in again'
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in resetPassword:', error);
+      res.status(500).json({
+        error: 'Password reset failed',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * COMMUNITY AUTH: Confirm an email address
+   * Body: { token } from the verification email
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async verifyEmail(req, res) {
+    try {
+      const token = req.body && req.body.token;
+      if (typeof token !== 'string' || !token) {
+        return res.status(400).json({
+          error: 'token is required',
+          layer: 'API Gateway validation'
+        });
+      }
+
+      console.log('✉️ Processing email verification');
+      const result = await this.credentialService.verifyEmail(token);
+
+      if (!result.success) {
+        return respondAccountTokenFailure(res, result.reason);
+      }
+
+      res.json({ success: true, emailVerified: true });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in verifyEmail:', error);
+      res.status(500).json({
+        error: 'Email verification failed',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * COMMUNITY AUTH: Send the authenticated member a new verification email
+   * @param {Object} req - Express request object (req.user set by community authentication)
+   * @param {Object} res - Express response object
+   */
+  async resendEmailVerification(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      console.log('✉️ Processing verification email resend');
+      const result = await this.credentialService.sendEmailVerification(memberId);
+
+      if (!result.success) {
+        return res.status(409).json({
+          error: result.reason === 'already_verified' ? 'Email address already confirmed' : 'No password account for this member',
+          reason: result.reason,
+          layer: 'API Gateway (Layer 2)'
+        });
+      }
+
+      res.status(202).json({ success: true });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in resendEmailVerification:', error);
+      res.status(500).json({
+        error: 'Failed to send verification email',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * GOVERNANCE ROLES: Enact the role change an approved role_change proposal decided
+   * Body: { proposalId }. The member and role come from the proposal, not the request.
+   * @param {Object} req - Express request object (req.user holds governance:enact)
+   * @param {Object} res - Express response object
+   */
+  async enactRoleGrant(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const proposalId = req.body && req.body.proposalId;
+      if (typeof proposalId !== 'string' || !proposalId) {
+        return res.status(400).json({
+          error: 'proposalId is required',
+          layer: 'API Gateway validation'
+        });
+      }
+
+      console.log('🏛️ Processing role decision enactment');
+      const result = await this.roleService.enactRoleDecision({ proposalId, actorId: memberId });
+
+      if (!result.success) {
+        const status = { proposal_not_found: 404, member_not_found: 404, already_enacted: 409 }[result.reason] || 422;
+        return res.status(status).json({
+          error: 'Role decision cannot be enacted',
+          reason: result.reason,
+          layer: 'API Gateway (Layer 2)'
+        });
+      }
+
+      await this.proposalService.recordEnactment({
+        proposalId,
+        actorId: memberId,
+        details: { enactment: 'role_grant', grantId: result.grant.id }
+      });
+
+      res.status(201).json({
+        success: true,
+        grant: presentRoleGrant(result.grant)
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in enactRoleGrant:', error);
+      res.status(500).json({
+        error: 'Failed to enact role decision',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * GOVERNANCE ROLES: A member's current role, permissions and role history
+   * Members can read their own; reading others needs roles:read.
+   * @param {Object} req - Express request object (req.user set by community authentication)
+   * @param {Object} res - Express response object
+   */
+  async getMemberRoles(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const subjectId = String(req.params.id);
+      if (subjectId !== memberId && !hasPermission(req.user, 'roles:read')) {
+        return respondForbidden(res, 'permission_denied', 'Your community role does not include this action', {
+          permission: 'roles:read'
+        });
+      }
+
+      const memberRole = await this.roleService.getMemberRole(subjectId);
+      if (!memberRole) {
+        return res.status(404).json({
+          error: 'Member not found',
+          layer: 'API Gateway (Layer 2)'
+        });
+      }
+
+      res.json({
+        success: true,
+        memberId: memberRole.memberId,
+        role: memberRole.role,
+        permissions: permissionsForRole(memberRole.role),
+        grants: memberRole.grants.map(presentRoleGrant)
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in getMemberRoles:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve member roles',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * GOVERNANCE VOTING: Cast the signed-in member's ballot on an open proposal
+   * Body: { proposalId, decision (approve | reject | abstain), ballot (multi-option proposals) or
+   *         position (consent proposals: support | stand_aside | concern | block), principle, reason }
+   * The ballot is stored under the member's voting pseudonym, never their member ID.
+   * A block pauses the proposal for amendment, or escalates it; the response then includes the proposal.
+   * @param {Object} req - Express request object (req.user holds governance:vote)
+   * @param {Object} res - Express response object
+   */
+  async castVote(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const { proposalId, decision, ballot, position, principle, reason, textHash } = req.body || {};
+      const choices = [decision, ballot, position].filter(choice => choice !== undefined).length;
+      const decisionValid = CommunityVoteService.VOTE_DECISIONS.includes(decision);
+      const ballotGiven = !!ballot && typeof ballot === 'object' && !Array.isArray(ballot);
+      const positionGiven = typeof position === 'string';
+      if (typeof proposalId !== 'string' || !proposalId || choices !== 1 ||
+          !(decisionValid || ballotGiven || positionGiven)) {
+        return res.status(400).json({
+          error: `proposalId and one of a decision (${CommunityVoteService.VOTE_DECISIONS.join(', ')}), ` +
+            'a ballot (multi-option proposals) or a position (consent proposals) are required',
+          layer: 'API Gateway validation'
+        });
+      }
+      for (const [field, value] of [['reason', reason], ['principle', principle]]) {
+        if (value !== undefined && value !== null && typeof value !== 'string') {
+          return res.status(400).json({
+            error: `${field} must be text`,
+            layer: 'API Gateway validation'
+          });
+        }
+      }
+      if (principle !== undefined && !positionGiven) {
+        return res.status(400).json({
+          error: 'principle is only given with a consent position',
+          layer: 'API Gateway validation'
+        });
+      }
+      if (textHash !== undefined && (typeof textHash !== 'string' || !TEXT_HASH_PATTERN.test(textHash))) {
+        return res.status(400).json({
+          error: 'textHash must be the proposal\'s SHA-256 text hash (64 hex characters)',
+          layer: 'API Gateway validation'
+        });
+      }
+
+      console.log('🗳️ Processing community vote');
+      const result = await this.voteService.castVote({
+        proposalId, memberId, decision, ballot, position, principle, reason, textHash
+      });
+
+      if (!result.success) {
+        if (result.reason === 'voting_rights_inactive') {
+          return respondForbidden(res, 'permission_denied', 'Your voting rights are not active', { permission: 'governance:vote' });
+        }
+        if (result.reason === 'not_in_electorate') {
+          return respondForbidden(res, result.reason, 'You were not eligible to vote when voting on this proposal opened');
+        }
+        if (['ballot_required', 'decision_required', 'position_required', 'ballot_invalid', 'position_invalid']
+          .includes(result.reason)) {
+          return res.status(400).json({
+            error: {
+              ballot_required: 'This proposal is decided between options - send a ballot',
+              decision_required: 'This proposal is decided by simple majority - send a decision',
+              position_required: 'This proposal is decided by consent - send a position',
+              ballot_invalid: result.problem,
+              position_invalid: result.problem
+            }[result.reason],
+            reason: result.reason,
+            layer: 'API Gateway validation'
+          });
+        }
+        if (result.reason === 'already_voted') {
+          return res.status(409).json({
+            error: 'Democratic principle: One member, one vote',
+            reason: result.reason,
+            layer: 'API Gateway (Layer 2)'
+          });
+        }
+        if (result.reason === 'text_superseded') {
+          return res.status(409).json({
+            error: 'The proposal has been amended since you read it - review the current version and vote again',
+            reason: result.reason,
+            version: result.version,
+            textHash: result.textHash,
+            layer: 'API Gateway (Layer 2)'
+          });
+        }
+        return res.status(result.reason === 'voting_closed' ? 409 : 404).json({
+          error: result.reason === 'voting_closed' ? 'This proposal is not open for voting' : 'Proposal not found',
+          reason: result.reason,
+          layer: 'API Gateway (Layer 2)'
+        });
+      }
+
+      // A block stops the consent round at once rather than at the end of the voting window
+      const blocked = result.vote.consent_position === 'block'
+        ? await this.proposalService.resolveBlock(result.vote.proposal_id)
+        : null;
+
+      // A reconfirmed ballot replaces the one the member cast on superseded text
+      res.status(result.reconfirmed ? 200 : 201).json({
+        success: true,
+        vote: presentVote(result.vote),
+        ...(result.reconfirmed ? { reconfirmed: true } : {}),
+        ...(blocked ? { proposal: this.identityProtection.protectProposal(blocked) } : {})
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in castVote:', error);
+      res.status(500).json({
+        error: 'Failed to record vote',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * GOVERNANCE PROPOSALS: Draft a proposal as the signed-in member
+   * Body: { title, description, proposalType, payload, votingStartDate, votingEndDate, liberationPrinciplesScore,
+   *         votingMethod, options }
+   * votingMethod is simple_majority (default), consent, ranked_choice, approval or score; the last three
+   * need two or more option labels and no payload.
+   * The draft is only visible to its proposer until it is submitted for deliberation.
+   * @param {Object} req - Express request object (req.user holds governance:propose)
+   * @param {Object} res - Express response object
+   */
+  async createGovernanceProposal(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const draft = req.body || {};
+      const problem = proposalDraftProblem(draft);
+      if (problem) {
+        return res.status(400).json({
+          error: problem,
+          layer: 'API Gateway validation'
+        });
+      }
+
+      console.log('📝 Processing governance proposal draft');
+      const result = await this.proposalService.createProposal({
+        memberId,
+        title: draft.title.trim(),
+        description: draft.description,
+        proposalType: draft.proposalType,
+        payload: draft.payload,
+        votingStartDate: draft.votingStartDate,
+        votingEndDate: draft.votingEndDate,
+        liberationPrinciplesScore: draft.liberationPrinciplesScore,
+        votingMethod: draft.votingMethod,
+        options: draft.options
+      });
+
+      if (!result.success) {
+        return respondProposalFailure(res, result.reason);
+      }
+
+      res.status(201).json({
+        success: true,
+        proposal: this.identityProtection.protectProposal(result.proposal)
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in createGovernanceProposal:', error);
+      res.status(500).json({
+        error: 'Failed to create governance proposal',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * GOVERNANCE PROPOSALS: Submit the signed-in member's draft for deliberation
+   * Voting opens at the proposal's voting start date, after at least the minimum deliberation.
+   * @param {Object} req - Express request object (req.user holds governance:propose)
+   * @param {Object} res - Express response object
+   */
+  async submitGovernanceProposal(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const result = await this.proposalService.submitProposal({ proposalId: req.params.proposalId, memberId });
+      if (!result.success) {
+        return respondProposalFailure(res, result.reason);
+      }
+
+      res.json({
+        success: true,
+        proposal: this.identityProtection.protectProposal(result.proposal)
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in submitGovernanceProposal:', error);
+      res.status(500).json({
+        error: 'Failed to submit governance proposal',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * GOVERNANCE PROPOSALS: Amend the signed-in member's blocked consent proposal
+   * Body: { title, description }
+   * The amended proposal opens for its next consent round with a fresh voting window.
+   * @param {Object} req - Express request object (req.user holds governance:propose)
+   * @param {Object} res - Express response object
+   */
+  async amendGovernanceProposal(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const { title, description } = req.body || {};
+      if (title !== undefined &&
+          (typeof title !== 'string' || !title.trim() || title.length > MAX_PROPOSAL_TITLE_LENGTH)) {
+        return res.status(400).json({
+          error: `title must be text of at most ${MAX_PROPOSAL_TITLE_LENGTH} characters`,
+          layer: 'API Gateway validation'
+        });
+      }
+      if (typeof description !== 'string' || !description.trim()) {
+        return res.status(400).json({
+          error: 'description is required',
+          layer: 'API Gateway validation'
+        });
+      }
+
+      const result = await this.proposalService.amendProposal({
+        proposalId: req.params.proposalId,
+        memberId,
+        title: title !== undefined ? title.trim() : undefined,
+        description
+      });
+      if (!result.success) {
+        return respondProposalFailure(res, result.reason);
+      }
+
+      res.json({
+        success: true,
+        proposal: this.identityProtection.protectProposal(result.proposal)
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in amendGovernanceProposal:', error);
+      res.status(500).json({
+        error: 'Failed to amend governance proposal',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * GOVERNANCE PROPOSALS: Withdraw the signed-in member's proposal before voting opens,
+   * or while it is paused for amendment
+   * Body: { reason }
+   * @param {Object} req - Express request object (req.user holds governance:propose)
+   * @param {Object} res - Express response object
+   */
+  async withdrawGovernanceProposal(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const reason = req.body && req.body.reason;
+      if (reason !== undefined && typeof reason !== 'string') {
+        return res.status(400).json({
+          error: 'reason must be text',
+          layer: 'API Gateway validation'
+        });
+      }
+
+      const result = await this.proposalService.withdrawProposal({ proposalId: req.params.proposalId, memberId, reason });
+      if (!result.success) {
+        return respondProposalFailure(res, result.reason);
+      }
+
+      res.json({
+        success: true,
+        proposal: this.identityProtection.protectProposal(result.proposal)
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in withdrawGovernanceProposal:', error);
+      res.status(500).json({
+        error: 'Failed to withdraw governance proposal',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * GOVERNANCE PROPOSALS: List proposals, newest first
+   * Query: status, proposalType, limit. Drafts are listed only with status=draft,
+   * and then only the signed-in member's own.
+   * @param {Object} req - Express request object (req.user set by community authentication)
+   * @param {Object} res - Express response object
+   */
+  async listGovernanceProposals(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const { status, proposalType } = req.query;
+      const limit = parseInt(req.query.limit || String(PROPOSAL_DEFAULT_PAGE_SIZE), 10);
+
+      if (!Number.isInteger(limit) || limit < 1 || limit > PROPOSAL_MAX_PAGE_SIZE) {
+        return res.status(400).json({
+          error: `limit must be between 1 and ${PROPOSAL_MAX_PAGE_SIZE}`,
+          layer: 'API Gateway validation'
+        });
+      }
+      if (status && !GovernanceProposalService.PROPOSAL_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `status must be one of: ${GovernanceProposalService.PROPOSAL_STATUSES.join(', ')}`,
+          layer: 'API Gateway validation'
+        });
+      }
+
+      const proposals = await this.proposalService.listProposals({
+        statuses: status ? [status] : GovernanceProposalService.PROPOSAL_STATUSES.filter(value => value !== 'draft'),
+        createdBy: status === 'draft' ? memberId : undefined,
+        proposalType: typeof proposalType === 'string' ? proposalType : undefined,
+        limit
+      });
+
+      res.json({
+        success: true,
+        proposals: proposals.map(proposal => this.identityProtection.protectProposal(proposal))
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in listGovernanceProposals:', error);
+      res.status(500).json({
+        error: 'Failed to list governance proposals',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * GOVERNANCE PROPOSALS: One proposal with its full timeline, oldest event first
+   * Another member's draft is reported as not found. reconfirmationNeeded is true when the
+   * signed-in member's ballot was cast on text an amendment has since replaced.
+   * @param {Object} req - Express request object (req.user set by community authentication)
+   * @param {Object} res - Express response object
+   */
+  async getGovernanceProposal(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const found = await this.proposalService.getProposal(req.params.proposalId);
+      if (!found || (found.proposal.status === 'draft' && String(found.proposal.created_by) !== memberId)) {
+        return respondProposalFailure(res, 'proposal_not_found');
+      }
+
+      res.json({
+        success: true,
+        proposal: this.identityProtection.protectProposal(found.proposal),
+        timeline: found.timeline.map(event => this.identityProtection.protectProposalEvent(event)),
+        reconfirmationNeeded: await this.voteService.needsReconfirmation(found.proposal, memberId)
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in getGovernanceProposal:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve governance proposal',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * GOVERNANCE AMENDMENTS: Propose amended text for a proposal in deliberation or open for voting
+   * Body: { baseVersion, title, description, rationale }. baseVersion is the version the amendment
+   * was written against; the proposer may accept the amendment, or members vote on it.
+   * @param {Object} req - Express request object (req.user holds governance:propose)
+   * @param {Object} res - Express response object
+   */
+  async proposeAmendment(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const { baseVersion, title, description, rationale } = req.body || {};
+      if (!Number.isInteger(baseVersion) || baseVersion < 1) {
+        return res.status(400).json({
+          error: 'baseVersion must be the version number the amendment was written against',
+          layer: 'API Gateway validation'
+        });
+      }
+      if (title !== undefined &&
+          (typeof title !== 'string' || !title.trim() || title.length > MAX_PROPOSAL_TITLE_LENGTH)) {
+        return res.status(400).json({
+          error: `title must be text of at most ${MAX_PROPOSAL_TITLE_LENGTH} characters`,
+          layer: 'API Gateway validation'
+        });
+      }
+      if (typeof description !== 'string' || !description.trim()) {
+        return res.status(400).json({
+          error: 'description is required',
+          layer: 'API Gateway validation'
+        });
+      }
+      if (rationale !== undefined && rationale !== null && typeof rationale !== 'string') {
+        return res.status(400).json({
+          error: 'rationale must be text',
+          layer: 'API Gateway validation'
+        });
+      }
+
+      console.log('📝 Processing proposal amendment');
+      const result = await this.amendmentService.proposeAmendment({
+        proposalId: req.params.proposalId,
+        memberId,
+        baseVersion,
+        title: title !== undefined ? title.trim() : undefined,
+        description,
+        rationale
+      });
+      if (!result.success) {
+        return respondProposalFailure(res, result.reason);
+      }
+
+      res.status(201).json({
+        success: true,
+        amendment: this.identityProtection.protectAmendment(result.amendment)
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in proposeAmendment:', error);
+      res.status(500).json({
+        error: 'Failed to propose amendment',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * GOVERNANCE AMENDMENTS: Accept an amendment to the signed-in member's proposal
+   * The amendment becomes the proposal's next version; ballots already cast must be reconfirmed.
+   * @param {Object} req - Express request object (req.user holds governance:propose)
+   * @param {Object} res - Express response object
+   */
+  async acceptAmendment(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const result = await this.amendmentService.acceptAmendment({
+        proposalId: req.params.proposalId,
+        amendmentId: req.params.amendmentId,
+        memberId
+      });
+      if (!result.success) {
+        return respondProposalFailure(res, result.reason);
+      }
+
+      res.json({
+        success: true,
+        amendment: this.identityProtection.protectAmendment(result.amendment),
+        proposal: this.identityProtection.protectProposal(result.proposal)
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in acceptAmendment:', error);
+      res.status(500).json({
+        error: 'Failed to accept amendment',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * GOVERNANCE AMENDMENTS: Support or oppose a pending amendment as the signed-in member
+   * Body: { decision: support | oppose }. Recorded under the member's voting pseudonym; the
+   * amendment is adopted or declined as soon as the votes decide it.
+   * @param {Object} req - Express request object (req.user holds governance:vote)
+   * @param {Object} res - Express response object
+   */
+  async voteOnAmendment(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const decision = req.body && req.body.decision;
+      if (!GovernanceAmendmentService.AMENDMENT_DECISIONS.includes(decision)) {
+        return res.status(400).json({
+          error: `decision must be one of: ${GovernanceAmendmentService.AMENDMENT_DECISIONS.join(', ')}`,
+          layer: 'API Gateway validation'
+        });
+      }
+
+      const result = await this.amendmentService.voteOnAmendment({
+        proposalId: req.params.proposalId,
+        amendmentId: req.params.amendmentId,
+        memberId,
+        decision
+      });
+      if (!result.success) {
+        if (result.reason === 'voting_rights_inactive') {
+          return respondForbidden(res, 'permission_denied', 'Your voting rights are not active', { permission: 'governance:vote' });
+        }
+        if (result.reason === 'not_in_electorate') {
+          return respondForbidden(res, result.reason, 'You were not eligible to vote when voting on this proposal opened');
+        }
+        if (result.reason === 'already_voted') {
+          return res.status(409).json({
+            error: 'Democratic principle: One member, one vote',
+            reason: result.reason,
+            layer: 'API Gateway (Layer 2)'
+          });
+        }
+        return respondProposalFailure(res, result.reason);
+      }
+
+      res.status(201).json({
+        success: true,
+        vote: presentAmendmentVote(result.vote),
+        amendment: this.identityProtection.protectAmendment(result.amendment),
+        ...(result.proposal ? { proposal: this.identityProtection.protectProposal(result.proposal) } : {})
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in voteOnAmendment:', error);
+      res.status(500).json({
+        error: 'Failed to record amendment vote',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * GOVERNANCE AMENDMENTS: A proposal's amendments, oldest first, with their vote counts
+   * @param {Object} req - Express request object (req.user set by community authentication)
+   * @param {Object} res - Express response object
+   */
+  async listAmendments(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const found = await this.amendmentService.listAmendments(req.params.proposalId);
+      if (!found || (found.proposal.status === 'draft' && String(found.proposal.created_by) !== memberId)) {
+        return respondProposalFailure(res, 'proposal_not_found');
+      }
+
+      res.json({
+        success: true,
+        amendments: found.amendments.map(amendment => this.identityProtection.protectAmendment(amendment))
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in listAmendments:', error);
+      res.status(500).json({
+        error: 'Failed to list amendments',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * GOVERNANCE AMENDMENTS: Every version of a proposal's text, oldest first
+   * @param {Object} req - Express request object (req.user set by community authentication)
+   * @param {Object} res - Express response object
+   */
+  async listProposalVersions(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const found = await this.amendmentService.listVersions(req.params.proposalId);
+      if (!found || (found.proposal.status === 'draft' && String(found.proposal.created_by) !== memberId)) {
+        return respondProposalFailure(res, 'proposal_not_found');
+      }
+
+      res.json({
+        success: true,
+        currentVersion: found.proposal.current_version || 1,
+        versions: found.versions.map(version => this.identityProtection.protectProposalVersion(version))
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in listProposalVersions:', error);
+      res.status(500).json({
+        error: 'Failed to list proposal versions',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * GOVERNANCE AMENDMENTS: What changed between two versions of a proposal's text
+   * Query: from, to (version numbers; default to the previous and current versions)
+   * @param {Object} req - Express request object (req.user set by community authentication)
+   * @param {Object} res - Express response object
+   */
+  async diffProposalVersions(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const range = {};
+      for (const field of ['from', 'to']) {
+        if (req.query[field] === undefined) {
+          continue;
+        }
+        range[field] = Number(req.query[field]);
+        if (!Number.isInteger(range[field]) || range[field] < 1) {
+          return res.status(400).json({
+            error: `${field} must be a version number`,
+            layer: 'API Gateway validation'
+          });
+        }
+      }
+
+      const result = await this.amendmentService.diffVersions(req.params.proposalId, range);
+      if (!result.success ||
+          (result.proposal.status === 'draft' && String(result.proposal.created_by) !== memberId)) {
+        return respondProposalFailure(res, result.success ? 'proposal_not_found' : result.reason);
+      }
+
+      res.json({
+        success: true,
+        diff: result.diff
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in diffProposalVersions:', error);
+      res.status(500).json({
+        error: 'Failed to compare proposal versions',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * PARTNERS: Register the partner an approved partner_approval proposal decided
+   * Body: { proposalId }. Name, contact and scopes come from the proposal, not the request.
+   * @param {Object} req - Express request object (req.user holds governance:enact)
+   * @param {Object} res - Express response object
+   */
+  async registerPartner(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const proposalId = req.body && req.body.proposalId;
+      if (typeof proposalId !== 'string' || !proposalId) {
+        return res.status(400).json({
+          error: 'proposalId is required',
+          layer: 'API Gateway validation'
+        });
+      }
+
+      console.log('🤝 Processing partner decision enactment');
+      const result = await this.apiKeyService.registerApprovedPartner({ proposalId, actorId: memberId });
+
+      if (!result.success) {
+        const status = { proposal_not_found: 404, already_registered: 409 }[result.reason] || 422;
+        return res.status(status).json({
+          error: 'Partner decision cannot be enacted',
+          reason: result.reason,
+          layer: 'API Gateway (Layer 2)'
+        });
+      }
+
+      await this.proposalService.recordEnactment({
+        proposalId,
+        actorId: memberId,
+        details: { enactment: 'partner_registered', partnerId: result.partner.id }
+      });
+
+      res.status(201).json({
+        success: true,
+        partner: presentPartner(result.partner)
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in registerPartner:', error);
+      res.status(500).json({
+        error: 'Failed to register partner',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * PARTNERS: Issue an API key to a registered partner
+   * Body: { scopes, rateLimitPerWindow, label }. The key is returned once and never stored.
+   * @param {Object} req - Express request object (req.user holds partners:manage)
+   * @param {Object} res - Express response object
+   */
+  async issuePartnerApiKey(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const { scopes, rateLimitPerWindow, label } = req.body || {};
+      if (!Array.isArray(scopes) || scopes.length === 0 ||
+        (rateLimitPerWindow !== undefined && !Number.isInteger(rateLimitPerWindow)) ||
+        (label !== undefined && typeof label !== 'string')) {
+        return res.status(400).json({
+          error: `scopes (${PartnerApiKeyService.API_KEY_SCOPES.join(', ')}) are required; rateLimitPerWindow must be a whole number`,
+          layer: 'API Gateway validation'
+        });
+      }
+
+      console.log('🔑 Processing partner API key issue');
+      const result = await this.apiKeyService.issueKey({
+        partnerId: req.params.partnerId,
+        scopes,
+        rateLimitPerWindow,
+        label,
+        actorId: memberId
+      });
+
+      if (!result.success) {
+        return respondPartnerKeyFailure(res, result.reason);
+      }
+
+      res.status(201).json({
+        success: true,
+        apiKey: result.apiKey,
+        key: presentPartnerApiKey(result.key)
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in issuePartnerApiKey:', error);
+      res.status(500).json({
+        error: 'Failed to issue API key',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * PARTNERS: List a partner's API keys (prefixes and status, never the keys)
+   * @param {Object} req - Express request object (req.user holds partners:manage)
+   * @param {Object} res - Express response object
+   */
+  async listPartnerApiKeys(req, res) {
+    try {
+      const keys = await this.apiKeyService.listKeys(req.params.partnerId);
+      if (!keys) {
+        return respondPartnerKeyFailure(res, 'partner_not_found');
+      }
+
+      res.json({
+        success: true,
+        keys: keys.map(presentPartnerApiKey)
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in listPartnerApiKeys:', error);
+      res.status(500).json({
+        error: 'Failed to list API keys',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * PARTNERS: Replace an API key; the old key works until the rotation grace period ends
+   * @param {Object} req - Express request object (req.user holds partners:manage)
+   * @param {Object} res - Express response object
+   */
+  async rotatePartnerApiKey(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      console.log('🔄 Processing partner API key rotation');
+      const result = await this.apiKeyService.rotateKey({
+        partnerId: req.params.partnerId,
+        keyId: req.params.keyId,
+        actorId: memberId
+      });
+
+      if (!result.success) {
+        return respondPartnerKeyFailure(res, result.reason);
+      }
+
+      res.status(201).json({
+        success: true,
+        apiKey: result.apiKey,
+        key: presentPartnerApiKey(result.key),
+        previousKey: presentPartnerApiKey(result.previousKey)
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in rotatePartnerApiKey:', error);
+      res.status(500).json({
+        error: 'Failed to rotate API key',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * PARTNERS: Revoke an API key immediately
+   * Body: { reason } (optional)
+   * @param {Object} req - Express request object (req.user holds partners:manage)
+   * @param {Object} res - Express response object
+   */
+  async revokePartnerApiKey(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const reason = req.body && req.body.reason;
+      if (reason !== undefined && typeof reason !== 'string') {
+        return res.status(400).json({
+          error: 'reason must be text',
+          layer: 'API Gateway validation'
+        });
+      }
+
+      console.log('⛔ Processing partner API key revocation');
+      const result = await this.apiKeyService.revokeKey({
+        partnerId: req.params.partnerId,
+        keyId: req.params.keyId,
+        actorId: memberId,
+        reason
+      });
+
+      if (!result.success) {
+        return respondPartnerKeyFailure(res, result.reason);
+      }
+
+      res.json({
+        success: true,
+        key: presentPartnerApiKey(result.key)
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in revokePartnerApiKey:', error);
+      res.status(500).json({
+        error: 'Failed to revoke API key',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * PARTNERS: Daily request counts for each of a partner's keys
+   * Query: from, to (YYYY-MM-DD, inclusive)
+   * @param {Object} req - Express request object (req.user holds partners:manage)
+   * @param {Object} res - Express response object
+   */
+  async getPartnerApiKeyUsage(req, res) {
+    try {
+      const { from, to } = req.query;
+      const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+      if ((from !== undefined && !datePattern.test(from)) || (to !== undefined && !datePattern.test(to))) {
+        return res.status(400).json({
+          error: 'from and to must be dates (YYYY-MM-DD)',
+          layer: 'API Gateway validation'
+        });
+      }
+
+      const report = await this.apiKeyService.getUsageReport(req.params.partnerId, { from, to });
+      if (!report) {
+        return respondPartnerKeyFailure(res, 'partner_not_found');
+      }
+
+      res.json({
+        success: true,
+        partner: presentPartner(report.partner),
+        range: { from: from || null, to: to || null },
+        keys: report.keys.map(({ key, usage, totals }) => ({
+          ...presentPartnerApiKey(key),
+          totals,
+          daily: usage.map(entry => ({
+            date: entry.usage_date,
+            scope: entry.scope,
+            requests: entry.request_count,
+            rateLimited: entry.rate_limited_count
+          }))
+        }))
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in getPartnerApiKeyUsage:', error);
+      res.status(500).json({
+        error: 'Failed to report API key usage',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * OUTBOUND DELIVERIES: List queued, delivered and dead-lettered deliveries, newest first
+   * Query: status, destination, contentId, limit
+   * @param {Object} req - Express request object (req.user holds system:operate)
+   * @param {Object} res - Express response object
+   */
+  async listOutboundDeliveries(req, res) {
+    try {
+      const { status, destination, contentId } = req.query;
+      const limit = parseInt(req.query.limit || String(DELIVERY_DEFAULT_PAGE_SIZE), 10);
+
+      if (!Number.isInteger(limit) || limit < 1 || limit > DELIVERY_MAX_PAGE_SIZE) {
+        return res.status(400).json({
+          error: `limit must be between 1 and ${DELIVERY_MAX_PAGE_SIZE}`,
+          layer: 'API Gateway validation'
+        });
+      }
+      if (status && !OutboundDeliveryService.DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `status must be one of: ${OutboundDeliveryService.DELIVERY_STATUSES.join(', ')}`,
+          layer: 'API Gateway validation'
+        });
+      }
+
+      const deliveries = await this.outboundDelivery.listDeliveries({ status, destination, contentId, limit });
+
+      res.json({
+        success: true,
+        deliveries: deliveries.map(presentOutboundDelivery)
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in listOutboundDeliveries:', error);
+      res.status(500).json({
+        error: 'Failed to list outbound deliveries',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * OUTBOUND DELIVERIES: One delivery, including the payload and last error
+   * @param {Object} req - Express request object (req.user holds system:operate)
+   * @param {Object} res - Express response object
+   */
+  async getOutboundDelivery(req, res) {
+    try {
+      const delivery = await this.outboundDelivery.getDelivery(req.params.deliveryId);
+      if (!delivery) {
+        return res.status(404).json({
+          error: 'Outbound delivery not found',
+          layer: 'API Gateway (Layer 2)'
+        });
+      }
+
+      res.json({
+        success: true,
+        delivery: { ...presentOutboundDelivery(delivery), payload: delivery.payload }
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in getOutboundDelivery:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve outbound delivery',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * OUTBOUND DELIVERIES: Send a dead-lettered delivery back to the queue
+   * @param {Object} req - Express request object (req.user holds system:operate)
+   * @param {Object} res - Express response object
+   */
+  async replayOutboundDelivery(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      console.log('🔁 Processing outbound delivery replay');
+      const result = await this.outboundDelivery.replay({ deliveryId: req.params.deliveryId, actorId: memberId });
+
+      if (!result.success) {
+        const notFound = result.reason === 'not_found';
+        return res.status(notFound ? 404 : 409).json({
+          error: notFound ? 'Outbound delivery not found' : 'Only dead-lettered deliveries can be replayed',
+          reason: result.reason,
+          ...(result.status && { status: result.status }),
+          layer: 'API Gateway (Layer 2)'
+        });
+      }
+
+      res.json({
+        success: true,
+        delivery: presentOutboundDelivery(result.delivery)
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in replayOutboundDelivery:', error);
+      res.status(500).json({
+        error: 'Failed to replay outbound delivery',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * WEBHOOK SUBSCRIPTIONS: Create the subscription an approved webhook_subscription proposal decided
+   * Body: { proposalId }. Partner, URL and event types come from the proposal, not the request.
+   * The signing secret is returned once.
+   * @param {Object} req - Express request object (req.user holds governance:enact)
+   * @param {Object} res - Express response object
+   */
+  async createWebhookSubscription(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const proposalId = req.body && req.body.proposalId;
+      if (typeof proposalId !== 'string' || !proposalId) {
+        return res.status(400).json({
+          error: 'proposalId is required',
+          layer: 'API Gateway validation'
+        });
+      }
+
+      console.log('📡 Processing webhook subscription decision enactment');
+      const result = await this.webhookSubscriptions.createApprovedSubscription({ proposalId, actorId: memberId });
+
+      if (!result.success) {
+        const status = { proposal_not_found: 404, already_created: 409 }[result.reason] || 422;
+        return res.status(status).json({
+          error: 'Webhook subscription decision cannot be enacted',
+          reason: result.reason,
+          layer: 'API Gateway (Layer 2)'
+        });
+      }
+
+      await this.proposalService.recordEnactment({
+        proposalId,
+        actorId: memberId,
+        details: { enactment: 'webhook_subscription_created', subscriptionId: result.subscription.id }
+      });
+
+      res.status(201).json({
+        success: true,
+        subscription: presentWebhookSubscription(result.subscription),
+        signingSecret: result.signingSecret
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in createWebhookSubscription:', error);
+      res.status(500).json({
+        error: 'Failed to create webhook subscription',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * WEBHOOK SUBSCRIPTIONS: List subscriptions, oldest first
+   * Query: partnerId, status
+   * @param {Object} req - Express request object (req.user holds partners:manage)
+   * @param {Object} res - Express response object
+   */
+  async listWebhookSubscriptions(req, res) {
+    try {
+      const { partnerId, status } = req.query;
+      if (status && !WebhookSubscriptionService.SUBSCRIPTION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `status must be one of: ${WebhookSubscriptionService.SUBSCRIPTION_STATUSES.join(', ')}`,
+          layer: 'API Gateway validation'
+        });
+      }
+
+      const subscriptions = await this.webhookSubscriptions.listSubscriptions({ partnerId, status });
+
+      res.json({
+        success: true,
+        subscriptions: subscriptions.map(presentWebhookSubscription)
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in listWebhookSubscriptions:', error);
+      res.status(500).json({
+        error: 'Failed to list webhook subscriptions',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * WEBHOOK SUBSCRIPTIONS: A subscription's delivery log, newest first
+   * Query: status, limit
+   * @param {Object} req - Express request object (req.user holds partners:manage)
+   * @param {Object} res - Express response object
+   */
+  async getWebhookSubscriptionDeliveries(req, res) {
+    try {
+      const { status } = req.query;
+      const limit = parseInt(req.query.limit || String(DELIVERY_DEFAULT_PAGE_SIZE), 10);
+
+      if (!Number.isInteger(limit) || limit < 1 || limit > DELIVERY_MAX_PAGE_SIZE) {
+        return res.status(400).json({
+          error: `limit must be between 1 and ${DELIVERY_MAX_PAGE_SIZE}`,
+          layer: 'API Gateway validation'
+        });
+      }
+      if (status && !OutboundDeliveryService.DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `status must be one of: ${OutboundDeliveryService.DELIVERY_STATUSES.join(', ')}`,
+          layer: 'API Gateway validation'
+        });
+      }
+
+      const log = await this.webhookSubscriptions.getDeliveryLog(req.params.subscriptionId, { status, limit });
+      if (!log) {
+        return respondWebhookSubscriptionFailure(res, 'not_found');
+      }
+
+      res.json({
+        success: true,
+        subscription: presentWebhookSubscription(log.subscription),
+        deliveries: log.deliveries.map(presentOutboundDelivery)
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in getWebhookSubscriptionDeliveries:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve webhook deliveries',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * WEBHOOK SUBSCRIPTIONS: Resume a subscription disabled after sustained failures
+   * @param {Object} req - Express request object (req.user holds partners:manage)
+   * @param {Object} res - Express response object
+   */
+  async reactivateWebhookSubscription(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      console.log('📡 Processing webhook subscription reactivation');
+      const result = await this.webhookSubscriptions.reactivate({
+        subscriptionId: req.params.subscriptionId,
+        actorId: memberId
+      });
+
+      if (!result.success) {
+        return respondWebhookSubscriptionFailure(res, result.reason, result.status);
+      }
+
+      res.json({
+        success: true,
+        subscription: presentWebhookSubscription(result.subscription)
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in reactivateWebhookSubscription:', error);
+      res.status(500).json({
+        error: 'Failed to reactivate webhook subscription',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * WEBHOOK SUBSCRIPTIONS: Cancel a subscription for good
+   * Body: { reason } (optional)
+   * @param {Object} req - Express request object (req.user holds partners:manage)
+   * @param {Object} res - Express response object
+   */
+  async cancelWebhookSubscription(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const reason = req.body && req.body.reason;
+      if (reason !== undefined && (typeof reason !== 'string' || reason.length > 200)) {
+        return res.status(400).json({
+          error: 'reason must be text of at most 200 characters',
+          layer: 'API Gateway validation'
+        });
+      }
+
+      console.log('⛔ Processing webhook subscription cancellation');
+      const result = await this.webhookSubscriptions.cancel({
+        subscriptionId: req.params.subscriptionId,
+        actorId: memberId,
+        reason
+      });
+
+      if (!result.success) {
+        return respondWebhookSubscriptionFailure(res, result.reason);
+      }
+
+      res.json({
+        success: true,
+        subscription: presentWebhookSubscription(result.subscription)
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in cancelWebhookSubscription:', error);
+      res.status(500).json({
+        error: 'Failed to cancel webhook subscription',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * MEMBER CONSENT: List the authenticated member's consents
+   * Query: includeInactive=true to include withdrawn and expired consents
+   * @param {Object} req - Express request object (req.user set by community authentication)
+   * @param {Object} res - Express response object
+   */
+  async getMyConsents(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      console.log('🤝 Processing member consent list request');
+      const consents = await this.dataSovereigntyService.listMemberConsents(memberId, {
+        includeInactive: req.query.includeInactive === 'true'
+      });
+
+      res.json({
+        success: true,
+        consents: consents.map(presentConsent),
+        count: consents.length
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in getMyConsents:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve consents',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * MEMBER CONSENT: Grant consent for the authenticated member's data
+   * Body: { scope, communityId, dataType, expiresAt }
+   * @param {Object} req - Express request object (req.user set by community authentication)
+   * @param {Object} res - Express response object
+   */
+  async grantMyConsent(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const { scope, communityId, dataType, expiresAt } = req.body || {};
+
+      const scopeTokens = Array.isArray(scope) ? scope : String(scope || '').split(/[\s,]+/);
+      if (scopeTokens.filter(Boolean).length === 0) {
+        return res.status(400).json({
+          error: 'scope must list at least one operation',
+          layer: 'API Gateway validation'
+        });
+      }
+
+      if (expiresAt !== undefined && !(new Date(expiresAt) > new Date())) {
+        return res.status(400).json({
+          error: 'expiresAt must be a future date',
+          layer: 'API Gateway validation'
+        });
+      }
+
+      console.log('🤝 Processing member consent grant');
+      const consent = await this.dataSovereigntyService.grantMemberConsent({
+        dataSubjectId: memberId,
+        communityId,
+        scope: scopeTokens,
+        dataType,
+        expiresAt
+      });
+
+      res.status(201).json({
+        success: true,
+        consent: presentConsent(consent)
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in grantMyConsent:', error);
+      res.status(500).json({
+        error: 'Failed to grant consent',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * MEMBER CONSENT: Withdraw one of the authenticated member's consents
+   * Body: { reason }. Data stored under the consent is excluded from insights.
+   * @param {Object} req - Express request object (req.user set by community authentication)
+   * @param {Object} res - Express response object
+   */
+  async withdrawMyConsent(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+      if (!reason) {
+        return res.status(400).json({
+          error: 'A reason is required to withdraw consent',
+          layer: 'API Gateway validation'
+        });
+      }
+
+      console.log(`✋ Processing consent withdrawal: ${req.params.id}`);
+      const withdrawal = await this.dataSovereigntyService.withdrawMemberConsent({
+        dataSubjectId: memberId,
+        consentId: req.params.id,
+        reason
+      });
+
+      if (!withdrawal.success) {
+        return res.status(withdrawal.reason === 'not_found' ? 404 : 409).json({
+          error: withdrawal.reason === 'not_found' ? 'Consent not found' : 'Consent already withdrawn',
+          reason: withdrawal.reason,
+          consentId: req.params.id,
+          layer: 'Data Sovereignty (Layer 5)'
+        });
+      }
+
+      res.json({
+        success: true,
+        consent: presentConsent(withdrawal.consent),
+        cascade: withdrawal.cascade
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in withdrawMyConsent:', error);
+      res.status(500).json({
+        error: 'Failed to withdraw consent',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * CREATOR SOVEREIGNTY: Edit a story or event the creator owns
+   * The creator in the path must be the signed-in member.
+   * @param {Object} req - Express request object (req.user set by community authentication)
+   * @param {Object} res - Express response object
+   */
+  async updateCreatorContent(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const { id: creatorId, contentId } = req.params;
+      if (memberId !== creatorId) {
+        return respondForbidden(res, 'not_owner', 'Creators can only change their own content');
+      }
+
+      const result = await this.dataSovereigntyService.updateCreatorContent({
+        creatorId,
+        dataId: contentId,
+        updates: req.body || {}
+      });
+
+      if (!result.success) {
+        if (result.reason === 'not_found') {
+          return res.status(404).json({ error: 'Content not found', contentId, layer: 'Data Sovereignty (Layer 5)' });
+        }
+        if (result.reason === 'not_owner') {
+          return respondForbidden(res, 'not_owner', 'Only content creators can modify their work');
+        }
+        return res.status(400).json({
+          error: 'No editable fields provided',
+          reason: result.reason,
+          editableFields: result.editableFields,
+          layer: 'Data Sovereignty (Layer 5)'
+        });
+      }
+
+      res.json({
+        success: true,
+        contentId,
+        creatorId,
+        content: result.record,
+        sovereigntyMaintained: true
+      });
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in updateCreatorContent:', error);
+      res.status(500).json({
+        error: 'Failed to update creator content',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * CREATOR SOVEREIGNTY: Download everything a creator owns as a portable archive
+   * Responds with a .tar.gz holding JSON and CSV for revenue, content bodies and
+   * consent history, plus manifest.json and checksums.sha256.
+   * @param {Object} req - Express request object (req.user set by community authentication)
+   * @param {Object} res - Express response object
+   */
+  async exportCreatorData(req, res) {
+    try {
+      const memberId = authenticatedMemberId(req);
+      if (!memberId) {
+        return respondUnauthenticated(res);
+      }
+
+      const creatorId = req.params.id;
+      if (memberId !== creatorId) {
+        return respondForbidden(res, 'not_owner', 'Creators can only export their own data');
+      }
+
+      console.log(`📦 Processing creator data export for ${creatorId}`);
+      const exporter = new CreatorDataExporter(this.dataSovereigntyService, this.creatorDataRepository);
+      const result = await exporter.buildArchive(creatorId);
+
+      res.set({
+        'Content-Type': 'application/gzip',
+        'Content-Disposition': `attachment; filename="${result.fileName}"`,
+        'X-Export-Id': result.exportId,
+        'X-Export-SHA256': result.archiveChecksum
+      });
+      res.send(result.archive);
+
+    } catch (error) {
+      console.error('🚨 API Gateway error in exportCreatorData:', error);
+      res.status(500).json({
+        error: 'Creator data export failed',
+        details: error.message,
+        layer: 'API Gateway (Layer 2)'
+      });
+    }
+  }
+
+  /**
+   * Health check endpoint for layer separation monitoring
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async healthCheck(req, res) {
+    try {
+      console.log('🏥 Processing health check request');
+
+      // Check Layer 3 Business Logic health
+      const businessLogicHealth = this.businessLogicServices.newsroom.performNewsroomBusinessLogicHealth();
+
+      // Check Layer 5 Data Sovereignty health (would be implemented)
+      const dataSovereigntyHealth = {
+        serviceName: 'DataSovereigntyService',
+        layer: 5,
+        status: 'operational',
+        dataPersistenceOnly: true
+      };
+
+      const response = {
+        gatewayStatus: 'healthy',
+        layer: 2,
+        responsibilities: ['API routing', 'Request validation', 'Layer coordination', 'Dependency injection'],
+        layerSeparation: {
+          compliant: true,
+          businessLogicSeparated: businessLogicHealth.businessLogicOnly,
+          dataPersistenceSeparated: dataSovereigntyHealth.dataPersistenceOnly,
+          noDirectCoupling: true
+        },
+        serviceHealth: {
+          businessLogic: businessLogicHealth,
+          dataSovereignty: dataSovereigntyHealth
+        },
+        timestamp: new Date().toISOString()
+      };
+
+      res.json(response);
+
+    } catch (error) {
+      console.error('🚨 Health check error:', error);
+      res.status(500).json({
+        error: 'Health check failed',
+        details: error.message
+      });
+    }
+  }
+}
+
+/**
+ * Opaque audit pagination cursor (position of the last entry returned)
+ */
+function encodeAuditCursor(sequenceNumber) {
+  return Buffer.from(JSON.stringify({ after: sequenceNumber })).toString('base64url');
+}
+
+/**
+ * @returns {number|null} - Sequence number to continue after, or null if the cursor is malformed
+ */
+function decodeAuditCursor(cursor) {
+  try {
+    const { after } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Number.isInteger(after) && after >= 0 ? after : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Creator data repository over its own pool, loaded lazily so the gateway runs without pg
+ */
+function createCreatorDataRepository() {
+  const { createDatabaseConnection } = require('../layer-5-data-sovereignty/DatabaseConnectionFactory');
+  const { CreatorDataRepositoryImpl } = require('../layer-5-data-sovereignty/RefactoredDataSovereigntyRepository');
+  return new CreatorDataRepositoryImpl(createDatabaseConnection());
+}
+
+/**
+ * Member ID set on req.user by the community authentication middleware
+ */
+function authenticatedMemberId(req) {
+  return req.user && req.user.memberId ? String(req.user.memberId) : null;
+}
+
+/**
+ * Correlation id sent by the caller in X-Correlation-Id, if usable
+ * Without one the event bus starts a new correlation.
+ */
+function requestCorrelationId(req) {
+  const header = req.headers && req.headers['x-correlation-id'];
+  return typeof header === 'string' && header.length > 0 && header.length <= MAX_CORRELATION_ID_LENGTH
+    ? header
+    : undefined;
+}
+
+/**
+ * What is wrong with a proposal draft request, or null when it is well formed
+ */
+function proposalDraftProblem(draft) {
+  const {
+    title, description, proposalType, payload, votingStartDate, votingEndDate, liberationPrinciplesScore, votingMethod, options
+  } = draft;
+
+  if (typeof title !== 'string' || !title.trim() || title.length > MAX_PROPOSAL_TITLE_LENGTH) {
+    return `title is required (at most ${MAX_PROPOSAL_TITLE_LENGTH} characters)`;
+  }
+  if (typeof description !== 'string' || !description.trim()) {
+    return 'description is required';
+  }
+  if (typeof proposalType !== 'string' || !PROPOSAL_TYPE_PATTERN.test(proposalType)) {
+    return 'proposalType is required (lowercase letters and underscores)';
+  }
+  if (payload !== undefined && (!payload || typeof payload !== 'object' || Array.isArray(payload))) {
+    return 'payload must be an object';
+  }
+  for (const [field, value] of [['votingStartDate', votingStartDate], ['votingEndDate', votingEndDate]]) {
+    if (value !== undefined && (typeof value !== 'string' || isNaN(Date.parse(value)))) {
+      return `${field} must be an ISO date`;
+    }
+  }
+  if (liberationPrinciplesScore !== undefined &&
+      (typeof liberationPrinciplesScore !== 'number' || !(liberationPrinciplesScore >= 0 && liberationPrinciplesScore <= 1))) {
+    return 'liberationPrinciplesScore must be between 0 and 1';
+  }
+  if (votingMethod !== undefined && !GovernanceProposalService.VOTING_METHODS.includes(votingMethod)) {
+    return `votingMethod must be one of: ${GovernanceProposalService.VOTING_METHODS.join(', ')}`;
+  }
+  if (options !== undefined && (!Array.isArray(options) || options.some(option => typeof option !== 'string'))) {
+    return 'options must be a list of labels';
+  }
+  return null;
+}
+
+/**
+ * HTTP response for a proposal lifecycle request the service refused
+ */
+function respondProposalFailure(res, reason) {
+  if (reason === 'member_not_found' || reason === 'voting_rights_inactive') {
+    return respondForbidden(res, 'member_not_in_good_standing', 'Only members in good standing can propose', { standing: reason });
+  }
+  if (reason === 'not_proposer') {
+    return respondForbidden(res, reason, 'Only the proposer can submit, amend, accept amendments to or withdraw a proposal');
+  }
+
+  const status = {
+    proposal_not_found: 404,
+    amendment_not_found: 404,
+    version_not_found: 404,
+    invalid_voting_window: 400,
+    invalid_voting_method: 400,
+    invalid_ballot_options: 400,
+    amendment_unchanged: 400
+  }[reason] || 409;
+  return res.status(status).json({
+    error: {
+      proposal_not_found: 'Proposal not found',
+      invalid_voting_window: 'The voting window must last at least a day',
+      invalid_voting_method: 'Ranked choice, approval and score proposals choose between options and carry no payload',
+      invalid_ballot_options: 'Ranked choice, approval and score proposals need 2 to 20 distinct option labels; ' +
+        'simple majority and consent proposals take none',
+      not_amending: 'Only a consent proposal paused by a block can be amended',
+      amendment_not_found: 'Amendment not found',
+      version_not_found: 'Proposal version not found',
+      amendment_unchanged: 'The amendment does not change the proposal\'s text',
+      not_amendable: 'Amendments can only be made while a proposal is in deliberation or open for voting',
+      version_superseded: 'The proposal has a newer version - write the amendment against the current text',
+      amendment_not_pending: 'This amendment has already been settled'
+    }[reason] || 'Proposal cannot be changed at this stage',
+    reason,
+    layer: 'API Gateway (Layer 2)'
+  });
+}
+
+/**
+ * HTTP response for a failed login or refresh
+ */
+function respondAuthFailure(res, reason) {
+  if (reason === 'login_unavailable') {
+    return res.status(503).json({
+      error: 'Community sign-in is not available yet',
+      layer: 'API Gateway authentication'
+    });
+  }
+
+  return res.status(401).json({
+    error: reason === 'invalid_credentials' ? 'Sign-in details not recognised' : 'Session no longer valid - please sign in again',
+    reason,
+    layer: 'API Gateway authentication'
+  });
+}
+
+/**
+ * HTTP response for an unusable reset or verification token
+ */
+function respondAccountTokenFailure(res, reason) {
+  return res.status(400).json({
+    error: reason === 'token_expired' ? 'This link has expired - please request a new one' : 'This link is not valid',
+    reason,
+    layer: 'API Gateway validation'
+  });
+}
+
+/**
+ * Session tokens as returned to the client (the stored token id stays internal)
+ */
+function presentSession(session) {
+  return {
+    accessToken: session.accessToken,
+    tokenType: session.tokenType,
+    expiresIn: session.expiresIn,
+    refreshToken: session.refreshToken,
+    refreshTokenExpiresAt: session.refreshTokenExpiresAt
+  };
+}
+
+/**
+ * Role grant as returned to members (camelCase)
+ */
+function presentRoleGrant(grant) {
+  return {
+    id: grant.id,
+    memberId: grant.member_id,
+    previousRole: grant.previous_role,
+    role: grant.granted_role,
+    proposalId: grant.proposal_id,
+    enactedBy: grant.enacted_by,
+    enactedAt: grant.enacted_at
+  };
+}
+
+/**
+ * HTTP response for a refused partner or API key operation
+ */
+function respondPartnerKeyFailure(res, reason) {
+  const status = {
+    partner_not_found: 404,
+    key_not_found: 404,
+    invalid_key_request: 400,
+    already_revoked: 409,
+    already_rotated: 409
+  }[reason] || 422;
+
+  return res.status(status).json({
+    error: status === 404 ? 'Partner or API key not found' : 'API key request refused',
+    reason,
+    layer: 'API Gateway (Layer 2)'
+  });
+}
+
+/**
+ * HTTP response for a webhook whose signature was refused
+ */
+function respondWebhookSignatureFailure(res, reason) {
+  if (reason === 'webhook_secret_unconfigured') {
+    return res.status(503).json({
+      error: 'Webhook signing is not configured',
+      reason,
+      layer: 'API Gateway (Layer 2)'
+    });
+  }
+
+  return res.status(401).json({
+    error: 'Webhook signature not accepted',
+    reason,
+    layer: 'API Gateway authentication'
+  });
+}
+
+/**
+ * Outbound delivery as returned to admins (camelCase, without the payload)
+ */
+function presentOutboundDelivery(delivery) {
+  return {
+    id: delivery.id,
+    destination: delivery.destination,
+    idempotencyKey: delivery.idempotency_key,
+    contentId: delivery.content_id,
+    contentType: delivery.content_type,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.status === 'pending' || delivery.status === 'delivering' ? delivery.next_attempt_at : null,
+    lastAttemptAt: delivery.last_attempt_at,
+    lastStatusCode: delivery.last_status_code,
+    lastError: delivery.last_error,
+    deliveredAt: delivery.delivered_at,
+    deadLetteredAt: delivery.dead_lettered_at,
+    replayCount: delivery.replay_count,
+    replayedAt: delivery.replayed_at,
+    createdAt: delivery.created_at
+  };
+}
+
+/**
+ * Subscription failures: unknown subscriptions are 404, state conflicts 409
+ */
+function respondWebhookSubscriptionFailure(res, reason, status) {
+  if (reason === 'not_found') {
+    return res.status(404).json({
+      error: 'Webhook subscription not found',
+      reason,
+      layer: 'API Gateway (Layer 2)'
+    });
+  }
+
+  return res.status(409).json({
+    error: 'Webhook subscription cannot be changed',
+    reason,
+    ...(status && { status }),
+    layer: 'API Gateway (Layer 2)'
+  });
+}
+
+/**
+ * Webhook subscription as returned to members (camelCase, never the signing secret)
+ */
+function presentWebhookSubscription(subscription) {
+  return {
+    id: subscription.id,
+    partnerId: subscription.partner_id,
+    url: subscription.url,
+    eventTypes: subscription.event_types,
+    description: subscription.description,
+    proposalId: subscription.proposal_id,
+    status: subscription.status,
+    consecutiveFailures: subscription.consecutive_failures,
+    lastSuccessAt: subscription.last_success_at,
+    lastFailureAt: subscription.last_failure_at,
+    disabledAt: subscription.disabled_at,
+    disabledReason: subscription.disabled_reason,
+    createdAt: subscription.created_at
+  };
+}
+
+/**
+ * Partner organisation as returned to members (camelCase)
+ */
+function presentPartner(partner) {
+  return {
+    id: partner.id,
+    name: partner.name,
+    contactEmail: partner.contact_email,
+    approvedScopes: partner.approved_scopes,
+    proposalId: partner.proposal_id,
+    active: partner.active,
+    registeredAt: partner.created_at
+  };
+}
+
+/**
+ * API key as returned to members (the prefix identifies it; the hash stays internal)
+ */
+function presentPartnerApiKey(key) {
+  return {
+    id: key.id,
+    partnerId: key.partner_id,
+    label: key.label,
+    keyPrefix: key.key_prefix,
+    scopes: key.scopes,
+    rateLimitPerWindow: key.rate_limit_per_window,
+    issuedAt: key.issued_at,
+    expiresAt: key.expires_at,
+    lastUsedAt: key.last_used_at,
+    replacedBy: key.replaced_by,
+    revokedAt: key.revoked_at,
+    revocationReason: key.revocation_reason
+  };
+}
+
+/**
+ * Ballot as returned to its voter (the voter appears as their voting pseudonym)
+ */
+function presentVote(vote) {
+  return {
+    id: vote.id,
+    proposalId: vote.proposal_id,
+    voter: vote.voter_pseudonym,
+    decision: vote.vote_decision || null,
+    ballot: vote.ballot || null,
+    position: vote.consent_position || null,
+    principle: vote.objection_principle || null,
+    round: vote.voting_round || 1,
+    reason: vote.vote_reason,
+    // The proposal text the ballot was cast on
+    version: vote.proposal_version || null,
+    textHash: vote.text_hash || null,
+    castAt: vote.vote_timestamp,
+    reconfirmedAt: vote.reconfirmed_at || null
+  };
+}
+
+/**
+ * Amendment vote as returned to its voter (the voter appears as their voting pseudonym)
+ */
+function presentAmendmentVote(vote) {
+  return {
+    id: vote.id,
+    amendmentId: vote.amendment_id,
+    voter: vote.voter_pseudonym,
+    decision: vote.decision,
+    castAt: vote.cast_at
+  };
+}
+
+/**
+ * Consent as returned to members (camelCase, no internal fields)
+ */
+function presentConsent(consent) {
+  return {
+    id: consent.id,
+    communityId: consent.community_id,
+    scope: consent.consent_scope,
+    dataType: consent.data_type,
+    consentType: consent.consent_type,
+    status: consent.status,
+    grantedAt: consent.consent_date,
+    expiresAt: consent.consent_expiry_date,
+    withdrawnAt: consent.withdrawal_date,
+    withdrawalReason: consent.withdrawal_reason
+  };
+}
+
+// Create singleton instance
+const liberationAPIGateway = new LiberationAPIGateway();
+
+// Export API endpoint functions for Express routing
+module.exports = {
+  // Original endpoints
+  createNewsContent: (req, res) => liberationAPIGateway.createNewsContent(req, res),
+  getNewsContent: (req, res) => liberationAPIGateway.getNewsContent(req, res),
+  moderateContent: (req, res) => liberationAPIGateway.moderateContent(req, res),
+  calculateRevenueTransparency: (req, res) => liberationAPIGateway.calculateRevenueTransparency(req, res),
+
+  // Migrated endpoints from Layer 1
+  getStoryArchive: (req, res) => liberationAPIGateway.getStoryArchive(req, res),
+  getEvents: (req, res) => liberationAPIGateway.getEvents(req, res),
+  createEvent: (req, res) => liberationAPIGateway.createEvent(req, res),
+  blkouthubWebhook: (req, res) => liberationAPIGateway.blkouthubWebhook(req, res),
+  getCommunityInsights: (req, res) => liberationAPIGateway.getCommunityInsights(req, res),
+
+  // New moderation queue endpoints
+  submitToModerationQueue: (req, res) => liberationAPIGateway.submitToModerationQueue(req, res),
+  getModerationQueue: (req, res) => liberationAPIGateway.getModerationQueue(req, res),
+  updateModerationItem: (req, res) => liberationAPIGateway.updateModerationItem(req, res),
+
+  // Community audit log endpoints
+  getAuditLog: (req, res) => liberationAPIGateway.getAuditLog(req, res),
+  getAuditLogForData: (req, res) => liberationAPIGateway.getAuditLogForData(req, res),
+  verifyAuditLog: (req, res) => liberationAPIGateway.verifyAuditLog(req, res),
+
+  // Community authentication endpoints
+  login: (req, res) => liberationAPIGateway.login(req, res),
+  refreshSession: (req, res) => liberationAPIGateway.refreshSession(req, res),
+  logout: (req, res) => liberationAPIGateway.logout(req, res),
+  register: (req, res) => liberationAPIGateway.register(req, res),
+  requestPasswordReset: (req, res) => liberationAPIGateway.requestPasswordReset(req, res),
+  resetPassword: (req, res) => liberationAPIGateway.resetPassword(req, res),
+  verifyEmail: (req, res) => liberationAPIGateway.verifyEmail(req, res),
+  resendEmailVerification: (req, res) => liberationAPIGateway.resendEmailVerification(req, res),
+
+  // Governance roles
+  enactRoleGrant: (req, res) => liberationAPIGateway.enactRoleGrant(req, res),
+  getMemberRoles: (req, res) => liberationAPIGateway.getMemberRoles(req, res),
+
+  // Governance voting
+  castVote: (req, res) => liberationAPIGateway.castVote(req, res),
+
+  // Governance proposal lifecycle
+  createGovernanceProposal: (req, res) => liberationAPIGateway.createGovernanceProposal(req, res),
+  submitGovernanceProposal: (req, res) => liberationAPIGateway.submitGovernanceProposal(req, res),
+  amendGovernanceProposal: (req, res) => liberationAPIGateway.amendGovernanceProposal(req, res),
+  withdrawGovernanceProposal: (req, res) => liberationAPIGateway.withdrawGovernanceProposal(req, res),
+  listGovernanceProposals: (req, res) => liberationAPIGateway.listGovernanceProposals(req, res),
+  getGovernanceProposal: (req, res) => liberationAPIGateway.getGovernanceProposal(req, res),
+
+  // Governance amendments and proposal versions
+  proposeAmendment: (req, res) => liberationAPIGateway.proposeAmendment(req, res),
+  acceptAmendment: (req, res) => liberationAPIGateway.acceptAmendment(req, res),
+  voteOnAmendment: (req, res) => liberationAPIGateway.voteOnAmendment(req, res),
+  listAmendments: (req, res) => liberationAPIGateway.listAmendments(req, res),
+  listProposalVersions: (req, res) => liberationAPIGateway.listProposalVersions(req, res),
+  diffProposalVersions: (req, res) => liberationAPIGateway.diffProposalVersions(req, res),
+
+  // Partner organisations and API keys
+  registerPartner: (req, res) => liberationAPIGateway.registerPartner(req, res),
+  issuePartnerApiKey: (req, res) => liberationAPIGateway.issuePartnerApiKey(req, res),
+  listPartnerApiKeys: (req, res) => liberationAPIGateway.listPartnerApiKeys(req, res),
+  rotatePartnerApiKey: (req, res) => liberationAPIGateway.rotatePartnerApiKey(req, res),
+  revokePartnerApiKey: (req, res) => liberationAPIGateway.revokePartnerApiKey(req, res),
+  getPartnerApiKeyUsage: (req, res) => liberationAPIGateway.getPartnerApiKeyUsage(req, res),
+
+  // Outbound deliveries and dead letters
+  listOutboundDeliveries: (req, res) => liberationAPIGateway.listOutboundDeliveries(req, res),
+  getOutboundDelivery: (req, res) => liberationAPIGateway.getOutboundDelivery(req, res),
+  replayOutboundDelivery: (req, res) => liberationAPIGateway.replayOutboundDelivery(req, res),
+
+  // Webhook subscriptions to domain events
+  createWebhookSubscription: (req, res) => liberationAPIGateway.createWebhookSubscription(req, res),
+  listWebhookSubscriptions: (req, res) => liberationAPIGateway.listWebhookSubscriptions(req, res),
+  getWebhookSubscriptionDeliveries: (req, res) => liberationAPIGateway.getWebhookSubscriptionDeliveries(req, res),
+  reactivateWebhookSubscription: (req, res) => liberationAPIGateway.reactivateWebhookSubscription(req, res),
+  cancelWebhookSubscription: (req, res) => liberationAPIGateway.cancelWebhookSubscription(req, res),
+
+  // Member consent self-service endpoints
+  getMyConsents: (req, res) => liberationAPIGateway.getMyConsents(req, res),
+  grantMyConsent: (req, res) => liberationAPIGateway.grantMyConsent(req, res),
+  withdrawMyConsent: (req, res) => liberationAPIGateway.withdrawMyConsent(req, res),
+
+  // Creator data export endpoint
+  updateCreatorContent: (req, res) => liberationAPIGateway.updateCreatorContent(req, res),
+  exportCreatorData: (req, res) => liberationAPIGateway.exportCreatorData(req, res),
 
   // Health check
   healthCheck: (req, res) => liberationAPIGateway.healthCheck(req, res),
@@ -0,0 +1,39 @@
+/**
+ * Console Mail Transport (Layer 2)
+ *
+ * SCOPE: Local development mail delivery to the process log
+ * DOES NOT: Deliver anything to a real mailbox
+ * ONLY: Prints each message, with the body withheld when NODE_ENV=production
+ *
+ * Bodies carry single-use reset and verification links, so they are never
+ * written to production logs.
+ */
+
+const crypto = require('crypto');
+const MailTransport = require('./MailTransport');
+
+class ConsoleMailTransport extends MailTransport {
+  constructor(options = {}) {
+    super();
+    this.from = options.from;
+    this.logger = options.logger || console;
+  }
+
+  async send(message) {
+    const messageId = `<${crypto.randomUUID()}@blkout.local>`;
+    const body = process.env.NODE_ENV === 'production' ? '[body withheld in production]' : message.text;
+
+    this.logger.log([
+      `📧 Mail ${messageId}`,
+      `From: ${message.from || this.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      body
+    ].join('\n'));
+
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleMailTransport;
@@ -0,0 +1,59 @@
+/**
+ * File Mail Transport (Layer 2)
+ *
+ * SCOPE: Local development mail delivery to a directory of .eml files
+ * DOES NOT: Deliver anything to a real mailbox
+ * ONLY: Writes each message as an RFC 5322 file any mail client can open
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const MailTransport = require('./MailTransport');
+
+class FileMailTransport extends MailTransport {
+  constructor(options = {}) {
+    super();
+    if (!options.directory) {
+      throw new Error('Mail directory is required');
+    }
+    this.directory = options.directory;
+    this.from = options.from;
+  }
+
+  async send(message) {
+    const id = crypto.randomUUID();
+    const messageId = `<${id}@blkout.local>`;
+    const sentAt = new Date();
+
+    const content = [
+      `Message-ID: ${messageId}`,
+      `Date: ${sentAt.toUTCString()}`,
+      `From: ${headerValue(message.from || this.from)}`,
+      `To: ${headerValue(message.to)}`,
+      `Subject: ${headerValue(message.subject)}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      message.text.replace(/\r?\n/g, '\r\n')
+    ].join('\r\n');
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const file = path.join(this.directory, `${sentAt.getTime()}-${id}.eml`);
+    await fs.promises.writeFile(file, `${content}\r\n`, 'utf8');
+
+    return { messageId, file };
+  }
+}
+
+// Helper functions
+
+/**
+ * Header values cannot contain line breaks (header injection)
+ */
+function headerValue(value) {
+  return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+module.exports = FileMailTransport;
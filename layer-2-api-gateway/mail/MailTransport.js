@@ -0,0 +1,26 @@
+/**
+ * Mail Transport Contract (Layer 2)
+ *
+ * SCOPE: Delivering account emails (verification, password reset) to members
+ * DOES NOT: Decide what to send or to whom (CommunityCredentialService composes messages)
+ * ONLY: Sends one plain-text message per call
+ *
+ * Message shape accepted by send():
+ *   { to, subject, text, from }   // from defaults to MAIL_FROM
+ *
+ * Production transports (SMTP, a provider API) implement this class and are
+ * passed to createMailTransport({ transport }).
+ */
+
+class MailTransport {
+  /**
+   * Send a message
+   * @param {Object} message - { to, subject, text, from }
+   * @returns {Promise<Object>} - { messageId }
+   */
+  async send(message) {
+    throw new Error('send must be implemented by mail transport');
+  }
+}
+
+module.exports = MailTransport;
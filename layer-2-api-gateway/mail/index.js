@@ -0,0 +1,54 @@
+/**
+ * Mail transport selection (Layer 2)
+ *
+ * MAIL_TRANSPORT=console|file picks a local transport (console by default).
+ * file writes .eml files to MAIL_FILE_DIRECTORY. Deployments that deliver real
+ * mail pass their own MailTransport as config.transport.
+ */
+
+const path = require('path');
+const MailTransport = require('./MailTransport');
+const ConsoleMailTransport = require('./ConsoleMailTransport');
+const FileMailTransport = require('./FileMailTransport');
+
+const DEFAULT_FROM = 'BLKOUT Community <no-reply@blkout.local>';
+
+/**
+ * Create the configured mail transport
+ * @param {Object} config - Transport configuration
+ * @param {MailTransport} config.transport - Ready-made transport (used as is)
+ * @param {string} config.adapter - 'console' or 'file'
+ * @param {string} config.directory - Output directory for the file transport
+ * @param {string} config.from - Default sender
+ * @returns {MailTransport} - Mail transport instance
+ */
+function createMailTransport(config = {}) {
+  if (config.transport) {
+    return config.transport;
+  }
+
+  const adapter = config.adapter || process.env.MAIL_TRANSPORT || 'console';
+  const from = config.from || process.env.MAIL_FROM || DEFAULT_FROM;
+
+  switch (adapter) {
+    case 'console':
+      if (process.env.NODE_ENV === 'production') {
+        console.warn('⚠️ MAIL_TRANSPORT is console - account emails will not reach members');
+      }
+      return new ConsoleMailTransport({ from });
+    case 'file':
+      return new FileMailTransport({
+        from,
+        directory: config.directory || process.env.MAIL_FILE_DIRECTORY || path.join(process.cwd(), 'tmp', 'mail')
+      });
+    default:
+      throw new Error(`Unknown mail transport: ${adapter}`);
+  }
+}
+
+module.exports = {
+  MailTransport,
+  ConsoleMailTransport,
+  FileMailTransport,
+  createMailTransport
+};
@@ -0,0 +1,92 @@
+/**
+ * ConsentDecisions.js
+ * Layer 3: Business Logic
+ * Consent-with-objections (sociocratic) decisions: positions, principled blocks and dissent
+ * NO data persistence, NO API calls, NO UI concerns
+ *
+ * Instead of approving or rejecting, each member takes a position:
+ *
+ *   support      consents to the proposal
+ *   stand_aside  will not take part in it but does not stop it
+ *   concern      consents, with a reservation the community should hear
+ *   block        principled objection: the proposal would harm a liberation principle
+ *
+ * A block must give a reason and name the LiberationPrincipleType it defends.
+ * Any block in a round stops consent in that round. A proposal with quorum and
+ * no blocks is consented to. Stand-asides, concerns and blocks are kept as the
+ * proposal's dissent, without voter identities, and shown with its outcome.
+ */
+
+const CONSENT_POSITIONS = ['support', 'stand_aside', 'concern', 'block'];
+// Mirrors LiberationPrincipleType (layer-6-governance/CommunityGovernanceTypes.ts)
+const LIBERATION_PRINCIPLES = [
+  'empowers_black_queerness',
+  'advances_community_liberation',
+  'resists_oppression_systems',
+  'strengthens_community_power',
+  'supports_mutual_aid'
+];
+const MAX_REASON_LENGTH = 2000;
+
+/**
+ * Why a position cannot be recorded, or null when it can
+ * @param {Object} position - { position, principle, reason }
+ * @returns {string|null} - Problem description or null
+ */
+function positionProblem({ position, principle, reason } = {}) {
+  if (!CONSENT_POSITIONS.includes(position)) {
+    return `position must be one of: ${CONSENT_POSITIONS.join(', ')}`;
+  }
+  if (principle !== undefined && principle !== null && !LIBERATION_PRINCIPLES.includes(principle)) {
+    return `principle must be one of: ${LIBERATION_PRINCIPLES.join(', ')}`;
+  }
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+    return `reason must be text of at most ${MAX_REASON_LENGTH} characters`;
+  }
+  if (position === 'block' && (!principle || typeof reason !== 'string' || !reason.trim())) {
+    return 'A block needs a reason and the liberation principle it defends';
+  }
+  if (position === 'support' && principle) {
+    return 'Only stand-asides, concerns and blocks name a principle';
+  }
+  return null;
+}
+
+/**
+ * Positions taken in one consent round
+ * @param {Array<Object>} positions - { position, principle, reason } for the round
+ * @returns {Object} - { counts: { support, stand_aside, concern, block }, total, blocked }
+ */
+function summarisePositions(positions) {
+  const counts = Object.fromEntries(CONSENT_POSITIONS.map(position => [position, 0]));
+  for (const entry of positions) {
+    counts[entry.position]++;
+  }
+
+  return { counts, total: positions.length, blocked: counts.block > 0 };
+}
+
+/**
+ * Dissent to show with an outcome: every stand-aside, concern and block, oldest round first
+ * @param {Array<Object>} positions - { round, position, principle, reason } from every round
+ * @returns {Array<Object>} - { round, position, principle, reason }
+ */
+function dissentFrom(positions) {
+  return positions
+    .filter(entry => entry.position !== 'support')
+    .map(entry => ({
+      round: entry.round,
+      position: entry.position,
+      principle: entry.principle || null,
+      reason: entry.reason || null
+    }))
+    .sort((a, b) => a.round - b.round);
+}
+
+module.exports = {
+  CONSENT_POSITIONS,
+  LIBERATION_PRINCIPLES,
+  positionProblem,
+  summarisePositions,
+  dissentFrom
+};
@@ -18,7 +18,7 @@ const EventsLiberationService = require('./EventsLiberationService');
 const NewsroomLiberationService = require('./NewsroomLiberationService');
 
 class LiberationBusinessLogicOrchestrator extends EventEmitter {
-  constructor(newsroomLiberationService, eventsLiberationService, ivorAILiberationService) {
+  constructor(newsroomLiberationService, eventsLiberationService, ivorAILiberationService, domainEventBus) {
     super();
 
     // MATHEMATICAL LIBERATION VALUES ENFORCEMENT
@@ -104,6 +104,10 @@ class LiberationBusinessLogicOrchestrator extends EventEmitter {
       ivorAI: ivorAILiberationService
     };
 
+    // Optional domain event bus: service events are republished on it, so
+    // listeners do not need to hold the service instances
+    this.eventBus = domainEventBus || null;
+
     // Liberation metrics tracking
     this.liberationMetrics = {
       totalOperations: 0,
@@ -537,6 +541,11 @@ class LiberationBusinessLogicOrchestrator extends EventEmitter {
   // ===== SERVICE COORDINATION =====
 
   setupServiceCoordination() {
+    if (this.eventBus) {
+      this.setupBusCoordination();
+      return;
+    }
+
     // Listen for service events and coordinate responses
     // Note: Service event listening is optional - services may not emit events
     Object.values(this.services).forEach(service => {
@@ -556,6 +565,32 @@ class LiberationBusinessLogicOrchestrator extends EventEmitter {
     });
   }
 
+  setupBusCoordination() {
+    const sources = { events: 'events', ivorAI: 'ivor-ai' };
+    for (const [name, source] of Object.entries(sources)) {
+      const service = this.services[name];
+      if (service && typeof service.on === 'function') {
+        this.eventBus.connect(service, { source });
+      }
+    }
+    this.eventBus.connect(this, { source: 'orchestrator', eventTypes: ['feature_flag_updated'] });
+
+    this.eventBus.subscribe('liberation_response_generated', (envelope) => {
+      this.emit('cross_service_liberation_event', { service: 'ivorAI', data: envelope.payload, correlationId: envelope.correlationId });
+    });
+    this.eventBus.subscribe('event_created', (envelope) => {
+      this.emit('cross_service_liberation_event', { service: 'events', data: envelope.payload, correlationId: envelope.correlationId });
+    });
+
+    // Not a domain event yet; still heard from the service itself
+    const newsroom = this.services.newsroom;
+    if (newsroom && typeof newsroom.on === 'function') {
+      newsroom.on('liberation_content_created', (data) => {
+        this.emit('cross_service_liberation_event', { service: 'newsroom', data });
+      });
+    }
+  }
+
   generateOperationId() {
     return `libop_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
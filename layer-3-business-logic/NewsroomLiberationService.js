@@ -136,6 +136,63 @@ class NewsroomLiberationService {
     }
   }
 
+  /**
+   * EVENT CREATION: Validate and shape a community event (NO PERSISTENCE)
+   * @param {Object} eventData - { title, description, date, location, organizer, category }
+   * @returns {Object} { event, businessLogicResult } or { error, businessLogicResult }
+   */
+  validateAndProcessEvent(eventData) {
+    const startTime = Date.now();
+
+    try {
+      if (!eventData || !eventData.title || !eventData.description || !eventData.date) {
+        throw new Error('Event title, description and date are required');
+      }
+
+      if (Number.isNaN(new Date(eventData.date).getTime())) {
+        throw new Error('Event date must be a valid date');
+      }
+
+      // COMMUNITY PROTECTION: Screen the listing for harmful content (BUSINESS LOGIC)
+      const protectionCheck = this.performCommunityProtectionCheck({ ...eventData, content: eventData.description });
+      if (!protectionCheck.safe) {
+        throw new Error(`Event failed community protection: ${protectionCheck.violations.map(violation => violation.type).join(', ')}`);
+      }
+
+      const event = {
+        id: `event-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        title: eventData.title,
+        description: eventData.description,
+        date: eventData.date,
+        location: eventData.location,
+        organizer: eventData.organizer,
+        category: eventData.category || 'community',
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+
+      const processingTime = Date.now() - startTime;
+      this.validateProcessingPerformance(processingTime, 'content_creation');
+
+      return {
+        event,
+        businessLogicResult: {
+          processingTime,
+          communityProtected: protectionCheck.safe
+        }
+      };
+
+    } catch (error) {
+      return {
+        error: error.message,
+        businessLogicResult: {
+          processingTime: Date.now() - startTime,
+          success: false
+        }
+      };
+    }
+  }
+
   /**
    * NEWSROOM HEALTH CHECK: Monitor newsroom liberation metrics
    */
@@ -537,6 +594,46 @@ class NewsroomLiberationService {
     };
   }
 
+  /**
+   * Format approved content for BLKOUTHUB (NO PERSISTENCE, NO DELIVERY)
+   * Only public fields are included; submitter contact details and moderation notes stay here.
+   * @param {Object} content - Published story or event record
+   * @param {string} contentType - 'article', 'story' or 'event'
+   * @returns {Object} BLKOUTHUB payload
+   */
+  formatContentForBlkouthub(content, contentType) {
+    if (!content || !content.id) {
+      throw new Error('Content with an ID is required for BLKOUTHUB');
+    }
+
+    const isEvent = (contentType || content.type) === 'event';
+    const body = content.content || content.description || '';
+
+    const payload = {
+      source: 'blkout-liberation',
+      contentId: content.id,
+      contentType: isEvent ? 'event' : 'story',
+      title: content.title,
+      summary: content.excerpt || (body.length > 280 ? `${body.slice(0, 277)}...` : body),
+      category: content.category || (isEvent ? 'community' : 'general'),
+      author: content.author || content.organizer || 'Anonymous',
+      tags: Array.isArray(content.tags) ? content.tags : [],
+      url: content.url || null,
+      publishedAt: content.published_at || content.created_at || null,
+      creatorControlled: Boolean(content.sovereignty && content.sovereignty.creatorControlled)
+    };
+
+    if (isEvent) {
+      payload.event = {
+        date: content.date || null,
+        location: content.location || null,
+        organizer: content.organizer || null
+      };
+    }
+
+    return payload;
+  }
+
   /**
    * Process community insights with business logic
    * @param {Object} insightsData - Raw insights data from Layer 5
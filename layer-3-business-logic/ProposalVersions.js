@@ -0,0 +1,123 @@
+/**
+ * ProposalVersions.js
+ * Layer 3: Business Logic
+ * Versioned proposal text: the hash a ballot is cast against, and what changed between versions
+ * NO data persistence, NO API calls, NO UI concerns
+ *
+ * Every version of a proposal's text (title and description) is identified by
+ * the SHA-256 of `${title}\n\n${description}`. Ballots store the hash of the
+ * text they were cast on, so anyone can check which words a vote approved and
+ * a ballot cast on an earlier version can be told apart from one cast on the
+ * current text.
+ *
+ * Diffs compare descriptions line by line (longest common subsequence) and
+ * report the title separately.
+ */
+
+const crypto = require('crypto');
+
+// Beyond this many line comparisons the changed block is reported as removed then added
+const MAX_DIFF_CELLS = 1000000;
+
+/**
+ * Hash identifying one version of a proposal's text
+ * @param {string} title - Proposal title
+ * @param {string} description - Proposal description
+ * @returns {string} - SHA-256 hex digest
+ */
+function textHash(title, description) {
+  return crypto.createHash('sha256').update(`${title}\n\n${description}`, 'utf8').digest('hex');
+}
+
+/**
+ * What changed from one version of a proposal's text to another
+ * @param {Object} before - { version, title, description }
+ * @param {Object} after - { version, title, description }
+ * @returns {Object} - { from, to, title: { before, after, changed }, lines: [{ type (same | added | removed), text }],
+ *   added, removed }
+ */
+function diffVersions(before, after) {
+  const lines = diffLines(splitLines(before.description), splitLines(after.description));
+
+  return {
+    from: before.version,
+    to: after.version,
+    title: { before: before.title, after: after.title, changed: before.title !== after.title },
+    lines,
+    added: lines.filter(line => line.type === 'added').length,
+    removed: lines.filter(line => line.type === 'removed').length
+  };
+}
+
+// Helper functions
+
+/**
+ * Description lines (none for an empty description)
+ */
+function splitLines(text) {
+  return text ? String(text).split(/\r?\n/) : [];
+}
+
+/**
+ * Line diff: shared prefix and suffix, and the LCS of what lies between
+ */
+function diffLines(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < before.length - start && end < after.length - start &&
+         before[before.length - 1 - end] === after[after.length - 1 - end]) {
+    end++;
+  }
+
+  const same = text => ({ type: 'same', text });
+  return [
+    ...before.slice(0, start).map(same),
+    ...diffMiddle(before.slice(start, before.length - end), after.slice(start, after.length - end)),
+    ...before.slice(before.length - end).map(same)
+  ];
+}
+
+/**
+ * Lines kept, removed and added between the shared prefix and suffix
+ */
+function diffMiddle(before, after) {
+  const removed = text => ({ type: 'removed', text });
+  const added = text => ({ type: 'added', text });
+  if (before.length === 0 || after.length === 0 || before.length * after.length > MAX_DIFF_CELLS) {
+    return [...before.map(removed), ...after.map(added)];
+  }
+
+  // lengths[i][j]: longest common subsequence of before[i..] and after[j..]
+  const lengths = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      lines.push({ type: 'same', text: before[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push(removed(before[i++]));
+    } else {
+      lines.push(added(after[j++]));
+    }
+  }
+  return [...lines, ...before.slice(i).map(removed), ...after.slice(j).map(added)];
+}
+
+module.exports = {
+  textHash,
+  diffVersions
+};
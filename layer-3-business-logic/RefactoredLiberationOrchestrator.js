@@ -14,7 +14,7 @@ const {
   IRevenueTransparencyService,
   IFeatureFlagService,
   ILiberationMetricsService
-} = require('../../../contracts/business-logic-interfaces');
+} = require('../contracts/business-logic-interfaces');
 
 class RefactoredLiberationOrchestrator extends EventEmitter {
   /**
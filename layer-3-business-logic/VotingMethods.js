@@ -0,0 +1,273 @@
+/**
+ * VotingMethods.js
+ * Layer 3: Business Logic
+ * Counts multi-option ballots: instant-runoff ranked choice, approval and score voting
+ * NO data persistence, NO API calls, NO UI concerns
+ *
+ * simple_majority proposals are approve / reject / abstain decisions and are
+ * counted by whoever owns the proposal (see GovernanceProposalService); consent
+ * proposals take positions instead (see ConsentDecisions). The other methods
+ * choose one of a proposal's options:
+ *
+ *   ranked_choice  ballot { ranking: [optionId, ...] }   most preferred first; options may be left out
+ *   approval       ballot { approved: [optionId, ...] }  every option the member can accept
+ *   score          ballot { scores: { optionId: 0-5 } }  unscored options count as 0
+ *
+ * An empty ballot is an abstention: it counts towards quorum but not for any option.
+ *
+ * Ties are never left to ballot order. Each proposal has a tie-break order:
+ * its options sorted by SHA-256 of `${seed}:${optionId}`, with the proposal id
+ * as the seed, so anyone can recompute it and nobody can choose it. Ranked
+ * choice first looks back through earlier rounds for a difference between
+ * tied options and only then uses the tie-break order.
+ */
+
+const crypto = require('crypto');
+
+// The one field each multi-option method's ballot holds
+const BALLOT_FIELDS = {
+  ranked_choice: 'ranking',
+  approval: 'approved',
+  score: 'scores'
+};
+const OPTION_METHODS = Object.keys(BALLOT_FIELDS);
+const VOTING_METHODS = ['simple_majority', 'consent', ...OPTION_METHODS];
+const SCORE_RANGE = { min: 0, max: 5 };
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 20;
+
+/**
+ * Whether a voting method chooses between options
+ * @param {string} method - One of VOTING_METHODS
+ * @returns {boolean}
+ */
+function isOptionMethod(method) {
+  return OPTION_METHODS.includes(method);
+}
+
+/**
+ * Why a ballot cannot be counted, or null when it can
+ * @param {string} method - One of OPTION_METHODS
+ * @param {Array} options - [{ id, label }]
+ * @param {Object} ballot - Ballot in the method's shape (see above)
+ * @returns {string|null} - Problem description or null
+ */
+function ballotProblem(method, options, ballot) {
+  const field = BALLOT_FIELDS[method];
+  if (!field) {
+    return `${method} does not use option ballots`;
+  }
+  if (!ballot || typeof ballot !== 'object' || Array.isArray(ballot) ||
+      Object.keys(ballot).some(key => key !== field)) {
+    return `ballot must be { ${field} }`;
+  }
+  const optionIds = new Set(options.map(option => option.id));
+
+  if (method === 'score') {
+    const { scores } = ballot;
+    if (!scores || typeof scores !== 'object' || Array.isArray(scores)) {
+      return 'ballot.scores must map option ids to scores';
+    }
+    for (const [id, score] of Object.entries(scores)) {
+      if (!optionIds.has(id)) {
+        return 'ballot.scores may only contain this proposal\'s option ids';
+      }
+      if (!Number.isInteger(score) || score < SCORE_RANGE.min || score > SCORE_RANGE.max) {
+        return `ballot.scores must be whole numbers from ${SCORE_RANGE.min} to ${SCORE_RANGE.max}`;
+      }
+    }
+    return null;
+  }
+
+  const chosen = ballot[field];
+  if (!Array.isArray(chosen)) {
+    return `ballot.${field} must be a list of option ids`;
+  }
+  if (chosen.some(id => !optionIds.has(id))) {
+    return `ballot.${field} may only contain this proposal's option ids`;
+  }
+  if (new Set(chosen).size !== chosen.length) {
+    return `ballot.${field} may name each option once`;
+  }
+  return null;
+}
+
+/**
+ * Options in the order ties are resolved (first wins, last is eliminated)
+ * @param {Array} options - [{ id, label }]
+ * @param {string} seed - Proposal id
+ * @returns {Array<string>} - Option ids
+ */
+function tieBreakOrder(options, seed) {
+  return options
+    .map(option => ({
+      id: option.id,
+      key: crypto.createHash('sha256').update(`${seed}:${option.id}`).digest('hex')
+    }))
+    .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+    .map(entry => entry.id);
+}
+
+/**
+ * Count option ballots with the proposal's method
+ * @param {string} method - One of OPTION_METHODS
+ * @param {Array} options - [{ id, label }]
+ * @param {Array<Object>} ballots - Ballots in the method's shape
+ * @param {Object} context - { seed (proposal id) }
+ * @returns {Object} - { method, winner (option id or null), rounds, tieBreakOrder, ballotsCast, abstentions }
+ */
+function tallyOptions(method, options, ballots, context = {}) {
+  if (!isOptionMethod(method)) {
+    throw new Error(`${method} does not use option ballots`);
+  }
+  if (!Array.isArray(options) || options.length < MIN_OPTIONS) {
+    throw new Error(`At least ${MIN_OPTIONS} options are required`);
+  }
+
+  const order = tieBreakOrder(options, String(context.seed || ''));
+  const counters = {
+    ranked_choice: tallyRankedChoice,
+    approval: tallyApproval,
+    score: tallyScore
+  };
+  const { winner, rounds } = counters[method](options.map(option => option.id), ballots, order);
+
+  return {
+    method,
+    winner,
+    rounds,
+    tieBreakOrder: order,
+    ballotsCast: ballots.length,
+    abstentions: ballots.filter(isAbstention).length
+  };
+}
+
+// Helper functions
+
+/**
+ * Instant runoff: eliminate the weakest option until one holds a majority of continuing ballots
+ */
+function tallyRankedChoice(optionIds, ballots, order) {
+  let continuing = [...optionIds];
+  const rounds = [];
+
+  while (continuing.length > 0) {
+    const counts = Object.fromEntries(continuing.map(id => [id, 0]));
+    let exhausted = 0;
+    for (const ballot of ballots) {
+      const choice = (ballot.ranking || []).find(id => continuing.includes(id));
+      if (choice) {
+        counts[choice]++;
+      } else {
+        exhausted++;
+      }
+    }
+
+    const active = continuing.reduce((sum, id) => sum + counts[id], 0);
+    const round = { round: rounds.length + 1, counts, exhausted, eliminated: null, tieBroken: false };
+    rounds.push(round);
+
+    if (active === 0) {
+      return { winner: null, rounds };
+    }
+    const leader = continuing.reduce((best, id) => (counts[id] > counts[best] ? id : best));
+    if (counts[leader] * 2 > active || continuing.length === 1) {
+      return { winner: leader, rounds };
+    }
+
+    const fewest = Math.min(...continuing.map(id => counts[id]));
+    const tied = continuing.filter(id => counts[id] === fewest);
+    const eliminated = tied.length === 1 ? tied[0] : breakEliminationTie(tied, rounds, order);
+    round.eliminated = eliminated;
+    round.tieBroken = tied.length > 1;
+    continuing = continuing.filter(id => id !== eliminated);
+  }
+
+  return { winner: null, rounds };
+}
+
+/**
+ * Eliminate the tied option that trailed in the latest earlier round that separates them,
+ * otherwise the one latest in the tie-break order
+ */
+function breakEliminationTie(tied, rounds, order) {
+  let candidates = tied;
+  for (let index = rounds.length - 2; index >= 0 && candidates.length > 1; index--) {
+    const counts = rounds[index].counts;
+    const fewest = Math.min(...candidates.map(id => counts[id]));
+    candidates = candidates.filter(id => counts[id] === fewest);
+  }
+
+  return candidates.reduce((last, id) => (order.indexOf(id) > order.indexOf(last) ? id : last));
+}
+
+/**
+ * Approval: the option approved on most ballots
+ */
+function tallyApproval(optionIds, ballots, order) {
+  const counts = Object.fromEntries(optionIds.map(id => [id, 0]));
+  for (const ballot of ballots) {
+    for (const id of ballot.approved || []) {
+      counts[id]++;
+    }
+  }
+
+  return singleRound(counts, { counts }, order);
+}
+
+/**
+ * Score: the option with the highest total score
+ */
+function tallyScore(optionIds, ballots, order) {
+  const totals = Object.fromEntries(optionIds.map(id => [id, 0]));
+  const scored = ballots.filter(ballot => !isAbstention(ballot));
+  for (const ballot of scored) {
+    for (const [id, score] of Object.entries(ballot.scores || {})) {
+      totals[id] += score;
+    }
+  }
+  const averages = Object.fromEntries(optionIds.map(id =>
+    [id, scored.length > 0 ? Math.round((totals[id] / scored.length) * 100) / 100 : 0]));
+
+  return singleRound(totals, { totals, averages }, order);
+}
+
+/**
+ * Winner of a one-round count, ties going to the option earliest in the tie-break order
+ */
+function singleRound(values, breakdown, order) {
+  const best = Math.max(...Object.values(values));
+  const round = { round: 1, ...breakdown, tieBroken: false };
+  if (best <= 0) {
+    return { winner: null, rounds: [round] };
+  }
+
+  const leaders = order.filter(id => values[id] === best);
+  round.tieBroken = leaders.length > 1;
+  return { winner: leaders[0], rounds: [round] };
+}
+
+/**
+ * A ballot that expresses no preference
+ */
+function isAbstention(ballot) {
+  if (ballot.ranking) {
+    return ballot.ranking.length === 0;
+  }
+  if (ballot.approved) {
+    return ballot.approved.length === 0;
+  }
+  return Object.keys(ballot.scores || {}).length === 0;
+}
+
+module.exports = {
+  VOTING_METHODS,
+  OPTION_METHODS,
+  SCORE_RANGE,
+  MIN_OPTIONS,
+  MAX_OPTIONS,
+  isOptionMethod,
+  ballotProblem,
+  tieBreakOrder,
+  tallyOptions
+};
@@ -44,7 +44,7 @@ class DataSovereigntyInterface {
   /**
    * Track data operations for transparency
    * @param {Object} operation - Data operation to track
-   * @returns {Promise<void>} - Operation tracking confirmation
+   * @returns {Promise<Object>} - Recorded audit entry
    */
   async trackDataOperation(operation) {
     throw new Error('trackDataOperation must be implemented by data sovereignty service');
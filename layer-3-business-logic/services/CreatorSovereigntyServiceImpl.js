@@ -153,15 +153,16 @@ class CreatorSovereigntyServiceImpl extends ICreatorSovereigntyService {
     // Get creator revenue history through repository contract
     const revenueHistory = await this.creatorDataRepository.findRevenueRecordsByCreator(creatorId);
 
+    // creator_share is the creator's amount; sovereignty_score is that amount as a share of revenue_total
     const totalRevenue = revenueHistory.reduce((sum, record) => sum + (record.creator_share || 0), 0);
     const averageShare = revenueHistory.length > 0
-      ? revenueHistory.reduce((sum, record) => sum + (record.creator_share || 0), 0) / revenueHistory.length
+      ? revenueHistory.reduce((sum, record) => sum + (record.sovereignty_score || 0), 0) / revenueHistory.length
       : 0;
 
     const empowermentMetrics = {
       totalCreatorRevenue: totalRevenue,
       averageCreatorShare: averageShare,
-      mathematicalComplianceRate: revenueHistory.filter(r => r.creator_share >= this.MATHEMATICAL_MINIMUM).length / Math.max(revenueHistory.length, 1),
+      mathematicalComplianceRate: revenueHistory.filter(r => r.sovereignty_score >= this.MATHEMATICAL_MINIMUM).length / Math.max(revenueHistory.length, 1),
       liberationAlignment: averageShare >= this.MATHEMATICAL_MINIMUM ? 'empowered' : 'needs_liberation',
       economicJusticeScore: this.calculateEconomicJusticeLevel({ creatorShare: averageShare })
     };
@@ -7,17 +7,100 @@
  */
 
 const { IDemocraticGovernanceService } = require('../../contracts/business-logic-interfaces');
+const { isOptionMethod, tallyOptions } = require('../VotingMethods');
+const { summarisePositions, dissentFrom } = require('../ConsentDecisions');
 
 class DemocraticGovernanceServiceImpl extends IDemocraticGovernanceService {
-  constructor(communityDataRepository, auditTrailRepository) {
+  constructor(communityDataRepository, auditTrailRepository, governanceDataRepository = null, identityProtection = null) {
     super();
     this.communityDataRepository = communityDataRepository;
     this.auditTrailRepository = auditTrailRepository;
+    this.governanceDataRepository = governanceDataRepository;
+    this.identityProtection = identityProtection;
 
     // DEMOCRATIC GOVERNANCE CONSTANTS
     this.MINIMUM_PARTICIPATION = 0.1; // 10% minimum participation for quorum
     this.ONE_MEMBER_ONE_VOTE = true;
     this.CONSENSUS_THRESHOLD = 0.6; // 60% for consensus
+
+    // Service vote vocabulary -> community_voting_records.vote_decision
+    this.VOTE_DECISIONS = {
+      support: 'approve',
+      oppose: 'reject',
+      abstain: 'abstain'
+    };
+  }
+
+  /**
+   * VOTE CASTING: Record a member's vote against a proposal
+   * Ballots are stored and audited under the member's voting pseudonym, the same
+   * one CommunityVoteService uses, so a member has one ballot per proposal however
+   * it was cast. Counts are written when the proposal is tallied.
+   */
+  async castVote(voteRequest) {
+    if (!this.governanceDataRepository || !this.identityProtection) {
+      throw new Error('Governance data repository and identity protection are required to record votes');
+    }
+
+    const { proposalId, memberId, decision } = voteRequest || {};
+
+    if (!proposalId || !memberId) {
+      throw new Error('Proposal ID and member ID are required to cast a vote');
+    }
+
+    const voteDecision = this.VOTE_DECISIONS[decision];
+    if (!voteDecision) {
+      throw new Error(`Invalid vote decision: ${decision}`);
+    }
+
+    const voterPseudonym = this.identityProtection.pseudonymFor(memberId, 'voting');
+
+    // One member, one vote: reject before the database constraint does
+    const existingVotes = await this.governanceDataRepository.findVotesByDecision(proposalId);
+    if (existingVotes.some(v => v.voter_pseudonym === voterPseudonym)) {
+      await this.auditTrailRepository.storeOperationAudit({
+        operation_type: 'vote_rejected',
+        governance_request_id: proposalId,
+        actor_id: voterPseudonym,
+        vote_result: { recorded: false, reason: 'duplicate_vote', proposalId },
+        timestamp: new Date().toISOString()
+      });
+
+      return {
+        recorded: false,
+        reason: 'duplicate_vote',
+        proposalId,
+        memberId
+      };
+    }
+
+    const voteRecord = await this.governanceDataRepository.storeVoteRecord({
+      voter_pseudonym: voterPseudonym,
+      proposal_id: proposalId,
+      vote_decision: voteDecision,
+      vote_reason: voteRequest.reason,
+      community_benefit_assessment: voteRequest.communityBenefitAssessment,
+      anti_oppression_impact_note: voteRequest.antiOppressionImpactNote,
+      publicly_visible: voteRequest.publiclyVisible
+    });
+
+    // The audit log records that a ballot was cast, not how the member voted
+    await this.auditTrailRepository.storeOperationAudit({
+      operation_type: 'vote_recorded',
+      governance_request_id: proposalId,
+      actor_id: voterPseudonym,
+      vote_result: { recorded: true, voteId: voteRecord.id, proposalId },
+      timestamp: new Date().toISOString()
+    });
+
+    return {
+      recorded: true,
+      voteId: voteRecord.id,
+      proposalId,
+      memberId,
+      decision,
+      votingMethod: 'one_member_one_vote'
+    };
   }
 
   /**
@@ -31,9 +114,9 @@ class DemocraticGovernanceServiceImpl extends IDemocraticGovernanceService {
       votingMethod: 'one_member_one_vote'
     };
 
-    // Validate no duplicate votes
-    const votes = governanceRequest.votes || [];
-    const uniqueVoters = new Set(votes.map(v => v.memberId));
+    // Validate no duplicate votes (consent proposals are voted on again in each round)
+    const votes = await this.resolveVotes(governanceRequest);
+    const uniqueVoters = new Set(votes.map(v => `${v.round || 1}:${v.memberId}`));
 
     if (uniqueVoters.size !== votes.length) {
       validation.valid = false;
@@ -43,7 +126,7 @@ class DemocraticGovernanceServiceImpl extends IDemocraticGovernanceService {
 
     // Validate all voters are community members
     for (const vote of votes) {
-      if (!vote.memberId || !vote.communityId) {
+      if (!vote.memberId || !(vote.communityId || vote.communityMemberVerified)) {
         validation.valid = false;
         validation.violations.push('invalid_voter_credentials');
       }
@@ -86,29 +169,25 @@ class DemocraticGovernanceServiceImpl extends IDemocraticGovernanceService {
     }
 
     // Calculate democratic result
-    const votes = governanceRequest.votes || [];
-    const supportVotes = votes.filter(v => v.decision === 'support').length;
-    const totalVotes = votes.length;
-    const supportRatio = totalVotes > 0 ? supportVotes / totalVotes : 0;
-
-    const consensusReached = supportRatio >= this.CONSENSUS_THRESHOLD;
-
-    const result = {
-      processed: true,
-      decision: consensusReached ? 'approved' : 'rejected',
-      supportRatio,
-      consensusThreshold: this.CONSENSUS_THRESHOLD,
-      totalVotes,
-      supportVotes,
-      democraticLegitimacy: voteValidation.valid ? 'confirmed' : 'compromised',
-      governanceMethod: 'one_member_one_vote_consensus'
-    };
+    const votes = await this.resolveVotes(governanceRequest);
+    const { votingMethod, ballotOptions } = await this.resolveVotingMethod(governanceRequest);
+    let result;
+    if (isOptionMethod(votingMethod)) {
+      result = this.chooseBetweenOptions(votingMethod, ballotOptions, votes, governanceRequest.id);
+    } else if (votingMethod === 'consent') {
+      result = this.seekConsent(votes);
+    } else {
+      result = this.measureConsensus(votes);
+    }
+    result.democraticLegitimacy = voteValidation.valid ? 'confirmed' : 'compromised';
 
     // Store decision through repository contract
     await this.communityDataRepository.storeWithSovereignty({
       governance_decision: result,
       governance_request_id: governanceRequest.id,
-      decision_type: 'democratic_consensus'
+      decision_type: isOptionMethod(votingMethod) || votingMethod === 'consent'
+        ? `democratic_${votingMethod}`
+        : 'democratic_consensus'
     }, {
       communityOwned: true,
       creatorControlled: false,
@@ -130,14 +209,12 @@ class DemocraticGovernanceServiceImpl extends IDemocraticGovernanceService {
    * PARTICIPATION CALCULATION: Measure democratic participation
    */
   async calculateParticipationRate(governanceRequest) {
-    // Get community membership data through repository contract
-    const communityMembers = await this.communityDataRepository.findByCommunityId(governanceRequest.communityId);
-
-    const totalMembers = communityMembers.length || 1; // Prevent division by zero
-    const participatingMembers = (governanceRequest.votes || []).length;
+    const totalMembers = await this.resolveElectorateSize(governanceRequest);
+    const participatingMembers = (await this.resolveVotes(governanceRequest)).length;
 
-    const participationRate = participatingMembers / totalMembers;
-    const quorumMet = participationRate >= this.MINIMUM_PARTICIPATION;
+    // Without an electorate there is no participation to measure, and no quorum
+    const participationRate = totalMembers > 0 ? participatingMembers / totalMembers : 0;
+    const quorumMet = totalMembers > 0 && participationRate >= this.MINIMUM_PARTICIPATION;
 
     const participationMetrics = {
       participationRate,
@@ -157,6 +234,17 @@ class DemocraticGovernanceServiceImpl extends IDemocraticGovernanceService {
       timestamp: new Date().toISOString()
     });
 
+    if (this.governanceDataRepository && governanceRequest.id) {
+      await this.governanceDataRepository.storeParticipationRecord({
+        proposal_id: governanceRequest.id,
+        eligible_members: totalMembers,
+        participating_members: participatingMembers,
+        participation_rate: Math.min(participationRate, 1),
+        quorum_met: quorumMet,
+        engagement_level: participationMetrics.engagementLevel
+      });
+    }
+
     return participationRate;
   }
 
@@ -222,6 +310,14 @@ class DemocraticGovernanceServiceImpl extends IDemocraticGovernanceService {
       communityEngagement: 'active_facilitation'
     };
 
+    // Consent proposals: any block needs facilitation, and the objections say what to address
+    if (currentSupport.positions) {
+      consensusStrategy.positions = currentSupport.positions;
+      consensusStrategy.objections = currentSupport.objections;
+      consensusStrategy.facilitationNeeded = currentSupport.positions.block > 0;
+      consensusStrategy.democraticProcess = 'consent_with_objections';
+    }
+
     if (consensusStrategy.facilitationNeeded) {
       // Store facilitation request through repository contract
       await this.communityDataRepository.storeWithSovereignty({
@@ -242,7 +338,22 @@ class DemocraticGovernanceServiceImpl extends IDemocraticGovernanceService {
    * Helper: Calculate current support levels
    */
   async calculateCurrentSupport(governanceRequest) {
-    const votes = governanceRequest.votes || [];
+    const votes = this.currentRound(await this.resolveVotes(governanceRequest));
+    const positions = votes.filter(v => v.position);
+    if (positions.length > 0) {
+      const summary = summarisePositions(positions);
+      // Concerns consent; stand-asides and blocks do not
+      const supportVotes = summary.counts.support + summary.counts.concern;
+
+      return {
+        supportVotes,
+        totalVotes: summary.total,
+        supportRatio: supportVotes / summary.total,
+        positions: summary.counts,
+        objections: dissentFrom(positions).filter(entry => entry.position !== 'stand_aside')
+      };
+    }
+
     const supportVotes = votes.filter(v => v.decision === 'support').length;
     const totalVotes = votes.length;
 
@@ -253,6 +364,147 @@ class DemocraticGovernanceServiceImpl extends IDemocraticGovernanceService {
     };
   }
 
+  /**
+   * Helper: Load recorded votes for a proposal
+   * Votes come from the governance repository when one is injected; request
+   * votes are only used when no repository is available. Ballots in the current
+   * round cast on text an amendment has since replaced are left out until their
+   * voters reconfirm them; earlier consent rounds keep theirs as dissent.
+   */
+  async resolveVotes(governanceRequest) {
+    if (!this.governanceDataRepository || !governanceRequest.id) {
+      return governanceRequest.votes || [];
+    }
+
+    const decisions = Object.fromEntries(
+      Object.entries(this.VOTE_DECISIONS).map(([decision, stored]) => [stored, decision])
+    );
+    const voteRecords = await this.governanceDataRepository.findVotesByDecision(governanceRequest.id);
+    const proposal = await this.governanceDataRepository.findById(governanceRequest.id);
+    const superseded = record => Boolean(proposal && proposal.text_hash && record.text_hash) &&
+      (record.voting_round || 1) === (proposal.consent_round || 1) && record.text_hash !== proposal.text_hash;
+
+    return voteRecords
+      .filter(record => !superseded(record))
+      .map(record => ({
+        id: record.id,
+        // Ballots cast through the API hold only the voter's pseudonym, which is unique per proposal
+        memberId: record.member_id || record.voter_pseudonym,
+        decision: decisions[record.vote_decision],
+        ballot: record.ballot || null,
+        position: record.consent_position || null,
+        principle: record.objection_principle || null,
+        reason: record.vote_reason || null,
+        round: record.voting_round || 1,
+        communityId: governanceRequest.communityId,
+        communityMemberVerified: true,
+        timestamp: record.vote_timestamp
+      }));
+  }
+
+  /**
+   * Helper: Support for a proposal decided by consensus threshold
+   */
+  measureConsensus(votes) {
+    const supportVotes = votes.filter(v => v.decision === 'support').length;
+    const totalVotes = votes.length;
+    const supportRatio = totalVotes > 0 ? supportVotes / totalVotes : 0;
+
+    const consensusReached = supportRatio >= this.CONSENSUS_THRESHOLD;
+
+    return {
+      processed: true,
+      decision: consensusReached ? 'approved' : 'rejected',
+      supportRatio,
+      consensusThreshold: this.CONSENSUS_THRESHOLD,
+      totalVotes,
+      supportVotes,
+      governanceMethod: 'one_member_one_vote_consensus'
+    };
+  }
+
+  /**
+   * Helper: Consent in the latest round of a consent proposal
+   * Approved when no member blocks; every stand-aside, concern and block is kept as dissent.
+   */
+  seekConsent(votes) {
+    const positions = votes.filter(v => v.position);
+    const round = this.currentRound(positions);
+    const summary = summarisePositions(round);
+
+    return {
+      processed: true,
+      decision: summary.total > 0 && !summary.blocked ? 'approved' : 'rejected',
+      votingMethod: 'consent',
+      positions: summary.counts,
+      dissent: dissentFrom(positions),
+      totalVotes: summary.total,
+      governanceMethod: 'one_member_one_vote_consent'
+    };
+  }
+
+  /**
+   * Helper: Winning option of a ranked choice, approval or score proposal, round by round
+   * Approved when an option wins; rejected when no ballot supported any option.
+   */
+  chooseBetweenOptions(votingMethod, ballotOptions, votes, seed) {
+    const count = tallyOptions(votingMethod, ballotOptions, votes.map(v => v.ballot).filter(Boolean), { seed });
+
+    return {
+      processed: true,
+      decision: count.winner ? 'approved' : 'rejected',
+      votingMethod,
+      winningOption: count.winner,
+      rounds: count.rounds,
+      tieBreakOrder: count.tieBreakOrder,
+      totalVotes: count.ballotsCast,
+      abstentions: count.abstentions,
+      governanceMethod: `one_member_one_vote_${votingMethod}`
+    };
+  }
+
+  /**
+   * Helper: How a proposal is decided and, for multi-option methods, its options
+   * The stored proposal is authoritative; request fields are only used when no
+   * repository is available.
+   */
+  async resolveVotingMethod(governanceRequest) {
+    const source = this.governanceDataRepository && governanceRequest.id
+      ? await this.governanceDataRepository.findById(governanceRequest.id)
+      : null;
+
+    return source
+      ? { votingMethod: source.voting_method || 'simple_majority', ballotOptions: source.ballot_options }
+      : { votingMethod: governanceRequest.votingMethod || 'simple_majority', ballotOptions: governanceRequest.options };
+  }
+
+  /**
+   * Helper: Count the members who may vote on a proposal
+   * The electorate snapshotted when voting opened is the denominator; community
+   * membership is only counted for requests that have no stored proposal.
+   */
+  async resolveElectorateSize(governanceRequest) {
+    if (this.governanceDataRepository && governanceRequest.id) {
+      const electorateSize = await this.governanceDataRepository.findElectorateSize(governanceRequest.id);
+      if (electorateSize !== null && electorateSize !== undefined) {
+        return electorateSize;
+      }
+    }
+
+    // Get community membership data through repository contract
+    const communityMembers = await this.communityDataRepository.findByCommunityId(governanceRequest.communityId);
+    return communityMembers.length;
+  }
+
+  /**
+   * Helper: Votes from the latest round
+   * Only consent proposals start new rounds; every other proposal has only round 1.
+   */
+  currentRound(votes) {
+    const latest = Math.max(1, ...votes.map(v => v.round || 1));
+    return votes.filter(v => (v.round || 1) === latest);
+  }
+
   /**
    * Helper: Calculate engagement level
    */
@@ -16,12 +16,36 @@ import {
   CommunityConsent
 } from './CommunityDataSovereigntyInterface';
 
+/**
+ * Consent ledger storage (layer-5-data-sovereignty/ConsentLedger.js)
+ */
+export interface ConsentLedgerStore {
+  checkConsent(request: { communityId: string; scope: string[] }): Promise<{
+    granted: boolean;
+    consentId: string | null;
+    reason: string | null;
+  }>;
+  findConsent(consentId: string): Promise<any | null>;
+}
+
+/**
+ * Audit log storage (layer-5-data-sovereignty/AuditLog.js)
+ */
+export interface ConsentAuditStore {
+  append(auditData: { operation_type: string; data_id?: string; actor_id?: string; [key: string]: any }): Promise<any>;
+}
+
 /**
  * Community Consent Data Tracking System
  * RESPONSIBILITY: Tracks and stores community consent data ONLY - no consent decisions
  */
 export class CommunityConsentTrackingSystem implements CommunityConsentTracking {
 
+  constructor(
+    private readonly consentLedger: ConsentLedgerStore | null = null,
+    private readonly auditLog: ConsentAuditStore | null = null
+  ) {}
+
   /**
    * Tracks community consent status through data operations
    * DATA OPERATIONS ONLY: Stores consent tracking data - consent decisions made by Layer 4
@@ -72,7 +96,7 @@ export class CommunityConsentTrackingSystem implements CommunityConsentTracking
     const consentNotExpired = this.validateConsentExpiry(storedConsent);
     const democraticApproval = this.validateDemocraticApproval(storedConsent);
     
-    const isValid = consentValid && consentNotExpired && democraticApproval;
+    const isValid = storedConsent.consentStatus === 'granted' && consentValid && consentNotExpired && democraticApproval;
     
     // Data operation: Store validation result
     await this.storeConsentValidationResult(operationType, communityId, isValid);
@@ -136,21 +160,7 @@ export class CommunityConsentTrackingSystem implements CommunityConsentTracking
     communityId: string, 
     operationType: string
   ): Promise<CommunityConsent | null> {
-    // Data retrieval operation - delegates to Layer 6
-    console.log(`Retrieving existing consent for community ${communityId}, operation: ${operationType}`);
-    
-    // Mock existing consent - real implementation delegates to Layer 6
-    return {
-      consentId: 'consent_001',
-      communityId,
-      operationType,
-      consentStatus: 'granted',
-      consentDate: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), // 30 days ago
-      consentScope: ['data_operations', 'community_benefit'],
-      democraticApproval: true,
-      participationRate: 0.85, // 85% participation
-      approvalRate: 0.78 // 78% approval
-    };
+    return this.retrieveStoredConsent(operationType, communityId);
   }
 
   /**
@@ -237,25 +247,41 @@ export class CommunityConsentTrackingSystem implements CommunityConsentTracking
 
   /**
    * Retrieves stored consent records
+   * Reads the consent ledger; a recorded consent that has been withdrawn or has
+   * expired is returned with that status so callers can explain the refusal.
    */
   private async retrieveStoredConsent(
     operationType: string, 
     communityId: string
   ): Promise<CommunityConsent | null> {
-    // Data retrieval operation - delegates to Layer 6
-    console.log(`Retrieving stored consent for ${operationType} in community ${communityId}`);
-    
-    // Mock stored consent - real implementation delegates to Layer 6
+    if (!this.consentLedger) {
+      console.warn('No consent ledger configured - treating consent as missing');
+      return null;
+    }
+
+    const check = await this.consentLedger.checkConsent({ communityId, scope: [operationType] });
+    if (!check.consentId) {
+      return null;
+    }
+
+    const consent = await this.consentLedger.findConsent(check.consentId);
+    if (!consent) {
+      return null;
+    }
+
+    // Ledger entries are recorded grants; the vote tallies behind a community
+    // grant live with the governance decision that produced it
     return {
-      consentId: 'stored_consent_001',
-      communityId,
-      operationType,
-      consentStatus: 'granted',
-      consentDate: new Date(Date.now() - 15 * 24 * 60 * 60 * 1000), // 15 days ago
-      consentScope: ['data_operations', 'community_benefit', 'creator_support'],
-      democraticApproval: true,
-      participationRate: 0.82,
-      approvalRate: 0.76
+      consentId: consent.id,
+      communityId: consent.community_id,
+      operationType: consent.operation_type || operationType,
+      consentStatus: check.granted ? 'granted' : consent.status === 'expired' ? 'expired' : 'denied',
+      consentDate: new Date(consent.consent_date),
+      expiryDate: consent.consent_expiry_date ? new Date(consent.consent_expiry_date) : undefined,
+      consentScope: consent.consent_scope,
+      democraticApproval: consent.consent_type !== 'implied',
+      participationRate: 1,
+      approvalRate: 1
     };
   }
 
@@ -340,8 +366,17 @@ export class CommunityConsentTrackingSystem implements CommunityConsentTracking
    * Stores audit record
    */
   private async storeAuditRecord(auditRecord: any): Promise<void> {
-    // Data storage operation - delegates to Layer 6
-    console.log(`Storing consent audit record:`, auditRecord);
+    if (!this.auditLog) {
+      console.log(`Storing consent audit record:`, auditRecord);
+      return;
+    }
+
+    const { action, consentId, ...details } = auditRecord;
+    await this.auditLog.append({
+      ...details,
+      operation_type: action,
+      data_id: consentId
+    });
   }
 
   /**
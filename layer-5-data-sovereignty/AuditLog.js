@@ -0,0 +1,177 @@
+/**
+ * Audit Log (Layer 5)
+ *
+ * SCOPE: Append-only, hash-chained record of data operations ("all actions logged for community review")
+ * DOES NOT: Decide what is audited, redact identities, or expose HTTP routes
+ * ONLY: Appends entries, verifies the chain and answers audit queries through a StorageAdapter
+ *
+ * Every entry stores the SHA-256 hash of its own canonical content together with
+ * the hash of the entry before it. Editing an entry breaks its own hash; deleting
+ * or reordering entries breaks the link (and the sequence numbering) of the entry
+ * that follows. Truncating the newest entries can only be detected against a
+ * previously published head, so verify() reports the head sequence and hash.
+ */
+
+const crypto = require('crypto');
+
+const VERIFY_BATCH_SIZE = 500;
+
+class AuditLog {
+  /**
+   * @param {StorageAdapter} storageAdapter - Backend implementing appendAuditEntry/findAuditEntries
+   */
+  constructor(storageAdapter) {
+    if (!storageAdapter) {
+      throw new Error('Storage adapter is required');
+    }
+    this.storage = storageAdapter;
+  }
+
+  /**
+   * Append an entry to the end of the chain
+   * @param {Object} auditData - { operation_type, data_id, actor_id, ...details }
+   * @returns {Promise<Object>} - Stored entry with sequence_number and hashes
+   */
+  async append(auditData) {
+    if (!auditData || !auditData.operation_type) {
+      throw new Error('Operation type is required for audit entries');
+    }
+
+    const { operation_type, data_id, actor_id, ...details } = auditData;
+
+    return await this.storage.appendAuditEntry((previousEntry) => {
+      const entry = {
+        sequence_number: previousEntry ? previousEntry.sequence_number + 1 : 1,
+        operation_type,
+        data_id: data_id !== undefined && data_id !== null ? String(data_id) : null,
+        actor_id: actor_id !== undefined && actor_id !== null ? String(actor_id) : null,
+        audit_data: normalise(details),
+        audit_timestamp: new Date().toISOString(),
+        previous_hash: previousEntry ? previousEntry.entry_hash || null : null
+      };
+
+      return { ...entry, entry_hash: AuditLog.computeEntryHash(entry) };
+    });
+  }
+
+  /**
+   * Query audit entries (oldest first)
+   * @param {Object} filters - { operationType, dataId, actorId, from, to, afterSequence, limit }
+   * @returns {Promise<Array>} - Matching entries
+   */
+  async find(filters = {}) {
+    return await this.storage.findAuditEntries(filters);
+  }
+
+  /**
+   * Walk the whole chain and report the first inconsistencies found
+   * Entries written before hash chaining was introduced (no entry_hash) are
+   * accepted only at the start of the log and are counted as legacy entries.
+   * @returns {Promise<Object>} - { valid, entriesChecked, legacyEntries, headSequence, headHash, problems }
+   */
+  async verify() {
+    const problems = [];
+    let entriesChecked = 0;
+    let legacyEntries = 0;
+    let previous = null;
+    let afterSequence = 0;
+
+    for (;;) {
+      const batch = await this.storage.findAuditEntries({ afterSequence, limit: VERIFY_BATCH_SIZE });
+
+      for (const entry of batch) {
+        entriesChecked++;
+
+        const expectedSequence = previous ? previous.sequence_number + 1 : entry.sequence_number;
+        if (previous && entry.sequence_number !== expectedSequence) {
+          problems.push({
+            sequence_number: entry.sequence_number,
+            problem: 'sequence_gap',
+            detail: `expected sequence ${expectedSequence}`
+          });
+        }
+
+        if (!entry.entry_hash) {
+          if (previous && previous.entry_hash) {
+            problems.push({ sequence_number: entry.sequence_number, problem: 'missing_hash' });
+          } else {
+            legacyEntries++;
+          }
+          previous = entry;
+          continue;
+        }
+
+        const expectedPreviousHash = previous ? previous.entry_hash || null : null;
+        if (entry.previous_hash !== expectedPreviousHash) {
+          problems.push({ sequence_number: entry.sequence_number, problem: 'broken_link' });
+        }
+
+        if (AuditLog.computeEntryHash(entry) !== entry.entry_hash) {
+          problems.push({ sequence_number: entry.sequence_number, problem: 'hash_mismatch' });
+        }
+
+        previous = entry;
+      }
+
+      if (batch.length < VERIFY_BATCH_SIZE) {
+        break;
+      }
+      afterSequence = batch[batch.length - 1].sequence_number;
+    }
+
+    return {
+      valid: problems.length === 0,
+      entriesChecked,
+      legacyEntries,
+      headSequence: previous ? previous.sequence_number : 0,
+      headHash: previous ? previous.entry_hash || null : null,
+      firstInvalidSequence: problems.length > 0 ? problems[0].sequence_number : null,
+      problems,
+      verifiedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * SHA-256 over the canonical form of an entry's chained fields
+   * @param {Object} entry - Audit entry
+   * @returns {string} - Hex digest
+   */
+  static computeEntryHash(entry) {
+    const canonical = canonicalJson({
+      sequence_number: entry.sequence_number,
+      previous_hash: entry.previous_hash || null,
+      operation_type: entry.operation_type,
+      data_id: entry.data_id || null,
+      actor_id: entry.actor_id || null,
+      audit_timestamp: new Date(entry.audit_timestamp).toISOString(),
+      audit_data: entry.audit_data || {}
+    });
+
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+  }
+}
+
+// Helper functions
+
+/**
+ * JSON round trip so hashed details match what storage returns (Dates become strings, undefined is dropped)
+ */
+function normalise(value) {
+  return JSON.parse(JSON.stringify(value === undefined ? {} : value));
+}
+
+/**
+ * JSON with object keys sorted at every level; JSONB does not preserve key order
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,288 @@
+/**
+ * Consent Ledger (Layer 5)
+ *
+ * SCOPE: Recorded consent for data operations (community_consent_tracking)
+ * DOES NOT: Decide consent policy or run the governance process that grants community consent
+ * ONLY: Grants, renews, withdraws and checks consents through a StorageAdapter
+ *
+ * A consent belongs to a community and either one data subject (a member) or,
+ * when data_subject_id is null, the whole community. consent_scope lists the
+ * operations it covers: specific operation or access types (e.g.
+ * 'news_content_storage', 'public_read') or the categories 'data_storage' and
+ * 'data_retrieval', which cover every storage or retrieval operation.
+ *
+ * A member's own consents take precedence over community-wide ones for data they
+ * own, so withdrawing cannot be overridden by a community grant.
+ *
+ * Consents are never deleted. Withdrawal and renewal update the record and are
+ * appended to the audit log, which keeps the full history.
+ */
+
+const crypto = require('crypto');
+
+const CONSENT_TYPES = ['explicit', 'community_standard', 'implied'];
+const ANY_DATA_TYPE = 'all';
+
+class ConsentLedger {
+  /**
+   * @param {StorageAdapter} storageAdapter - Backend implementing the consent methods
+   * @param {AuditLog} auditLog - Optional audit log for consent history
+   */
+  constructor(storageAdapter, auditLog = null) {
+    if (!storageAdapter) {
+      throw new Error('Storage adapter is required');
+    }
+    this.storage = storageAdapter;
+    this.auditLog = auditLog;
+  }
+
+  /**
+   * Record a new consent
+   * @param {Object} grantRequest - { communityId, dataSubjectId, scope, consentType, dataType, operationType, expiresAt, grantedBy, communityBenefitExplained }
+   * @returns {Promise<Object>} - Stored consent
+   */
+  async grant(grantRequest) {
+    if (!grantRequest || !grantRequest.communityId) {
+      throw new Error('Community ID is required to grant consent');
+    }
+
+    const scope = normaliseScope(grantRequest.scope);
+    if (scope.length === 0) {
+      throw new Error('Consent scope must list at least one operation');
+    }
+
+    const consentType = grantRequest.consentType || (grantRequest.dataSubjectId ? 'explicit' : 'community_standard');
+    if (!CONSENT_TYPES.includes(consentType)) {
+      throw new Error(`Invalid consent type: ${consentType}`);
+    }
+
+    const expiresAt = parseFutureDate(grantRequest.expiresAt, 'Consent expiry');
+    const now = new Date().toISOString();
+
+    const consent = await this.storage.saveConsent({
+      id: crypto.randomUUID(),
+      data_subject_id: grantRequest.dataSubjectId || null,
+      community_id: grantRequest.communityId,
+      operation_type: grantRequest.operationType || null,
+      data_type: grantRequest.dataType || ANY_DATA_TYPE,
+      consent_type: consentType,
+      consent_given: true,
+      consent_date: now,
+      consent_expiry_date: expiresAt,
+      consent_scope: scope,
+      granted_by: grantRequest.grantedBy || grantRequest.dataSubjectId || null,
+      community_benefit_explained: Boolean(grantRequest.communityBenefitExplained),
+      consent_withdrawn: false,
+      withdrawal_date: null,
+      withdrawal_reason: null
+    });
+
+    await this.recordHistory('consent_granted', consent, grantRequest.grantedBy, {
+      scope,
+      expires_at: expiresAt
+    });
+
+    return consent;
+  }
+
+  /**
+   * Extend an active or expired consent
+   * @param {string} consentId - Consent id
+   * @param {Object} renewal - { expiresAt, actorId }
+   * @returns {Promise<Object>} - { success, consent } or { success: false, reason }
+   */
+  async renew(consentId, renewal = {}) {
+    const consent = await this.storage.findConsentById(consentId);
+    if (!consent) {
+      return { success: false, reason: 'not_found', consentId };
+    }
+    if (consent.consent_withdrawn) {
+      return { success: false, reason: 'consent_withdrawn', consentId };
+    }
+
+    if (!renewal.expiresAt) {
+      throw new Error('Renewal requires a new expiry date');
+    }
+
+    const expiresAt = parseFutureDate(renewal.expiresAt, 'Renewed consent expiry');
+    const previousExpiry = consent.consent_expiry_date;
+
+    const renewed = await this.storage.saveConsent({ ...consent, consent_expiry_date: expiresAt });
+
+    await this.recordHistory('consent_renewed', renewed, renewal.actorId, {
+      previous_expiry: previousExpiry,
+      expires_at: expiresAt
+    });
+
+    return { success: true, consent: renewed };
+  }
+
+  /**
+   * Withdraw a consent; later operations in its scope are refused
+   * @param {string} consentId - Consent id
+   * @param {Object} withdrawal - { reason, actorId }
+   * @returns {Promise<Object>} - { success, consent } or { success: false, reason }
+   */
+  async withdraw(consentId, withdrawal = {}) {
+    const consent = await this.storage.findConsentById(consentId);
+    if (!consent) {
+      return { success: false, reason: 'not_found', consentId };
+    }
+    if (consent.consent_withdrawn) {
+      return { success: false, reason: 'already_withdrawn', consentId };
+    }
+
+    const withdrawn = await this.storage.saveConsent({
+      ...consent,
+      consent_withdrawn: true,
+      withdrawal_date: new Date().toISOString(),
+      withdrawal_reason: withdrawal.reason || null
+    });
+
+    await this.recordHistory('consent_withdrawn', withdrawn, withdrawal.actorId, {
+      reason: withdrawal.reason || null
+    });
+
+    return { success: true, consent: withdrawn };
+  }
+
+  /**
+   * Find a consent by id
+   * @param {string} consentId - Consent id
+   * @returns {Promise<Object|null>} - Consent with its current status
+   */
+  async findConsent(consentId) {
+    const consent = await this.storage.findConsentById(consentId);
+    return consent ? withStatus(consent) : null;
+  }
+
+  /**
+   * List consents for a community and/or data subject, newest first
+   * @param {Object} query - { communityId, dataSubjectId, includeCommunityWide, includeInactive }
+   * @returns {Promise<Array>} - Consents with status
+   */
+  async listConsents(query = {}) {
+    const subjects = query.dataSubjectId !== undefined
+      ? [query.dataSubjectId, ...(query.includeCommunityWide ? [null] : [])]
+      : undefined;
+
+    const consents = await this.storage.findConsents({ communityId: query.communityId, subjects });
+
+    return consents
+      .map(withStatus)
+      .filter(consent => query.includeInactive || consent.status === 'active');
+  }
+
+  /**
+   * Check whether a recorded, active consent covers an operation
+   * The operation is covered when any scope token matches, e.g. ['news_content_storage', 'data_storage'].
+   * @param {Object} checkRequest - { communityId, dataSubjectId, scope: [tokens], dataType }
+   * @returns {Promise<Object>} - { granted, consentId, reason }
+   */
+  async checkConsent(checkRequest) {
+    if (!checkRequest || !checkRequest.communityId) {
+      return { granted: false, consentId: null, reason: 'no_community' };
+    }
+
+    const requested = normaliseScope(checkRequest.scope);
+    const subjects = checkRequest.dataSubjectId ? [checkRequest.dataSubjectId, null] : [null];
+    const consents = (await this.storage.findConsents({ communityId: checkRequest.communityId, subjects }))
+      .map(withStatus)
+      .filter(consent => consent.data_type === ANY_DATA_TYPE || !checkRequest.dataType ||
+        consent.data_type === checkRequest.dataType);
+
+    const covering = consents.filter(consent => consent.consent_scope.some(token => requested.includes(token)));
+
+    // A data subject's own decision outranks community-wide consent: their active
+    // consent is used first, and once they withdraw (or let lapse) every consent of
+    // theirs covering the operation, it is refused
+    const ownCovering = covering.filter(consent => consent.data_subject_id !== null);
+    if (ownCovering.length > 0 && !ownCovering.some(consent => consent.status === 'active')) {
+      return { granted: false, consentId: ownCovering[0].id, reason: `consent_${ownCovering[0].status}` };
+    }
+
+    const active = ownCovering.find(consent => consent.status === 'active') ||
+      covering.find(consent => consent.status === 'active');
+
+    if (active) {
+      return { granted: true, consentId: active.id, reason: null };
+    }
+    if (covering.length > 0) {
+      // Newest covering consent explains the refusal (withdrawn or expired)
+      return { granted: false, consentId: covering[0].id, reason: `consent_${covering[0].status}` };
+    }
+    if (consents.some(consent => consent.status === 'active')) {
+      return { granted: false, consentId: null, reason: 'outside_consent_scope' };
+    }
+
+    return { granted: false, consentId: null, reason: 'no_consent' };
+  }
+
+  /**
+   * Current status of a consent
+   * @param {Object} consent - Consent record
+   * @param {Date} now - Reference time
+   * @returns {string} - 'active' | 'withdrawn' | 'expired' | 'not_given'
+   */
+  static statusOf(consent, now = new Date()) {
+    if (consent.consent_withdrawn) {
+      return 'withdrawn';
+    }
+    if (!consent.consent_given) {
+      return 'not_given';
+    }
+    if (consent.consent_expiry_date && new Date(consent.consent_expiry_date) <= now) {
+      return 'expired';
+    }
+    return 'active';
+  }
+
+  async recordHistory(operationType, consent, actorId, details) {
+    if (!this.auditLog) {
+      return;
+    }
+
+    await this.auditLog.append({
+      operation_type: operationType,
+      data_id: consent.id,
+      actor_id: actorId || consent.data_subject_id,
+      community_id: consent.community_id,
+      data_subject_id: consent.data_subject_id,
+      ...details
+    });
+  }
+}
+
+// Helper functions
+
+function withStatus(consent) {
+  return { ...consent, status: ConsentLedger.statusOf(consent) };
+}
+
+/**
+ * Accept scope as an array or a space/comma separated string
+ */
+function normaliseScope(scope) {
+  const tokens = Array.isArray(scope) ? scope : String(scope || '').split(/[\s,]+/);
+  return Array.from(new Set(tokens.map(token => String(token).trim()).filter(Boolean)));
+}
+
+function parseFutureDate(value, label) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`${label} must be a valid date`);
+  }
+  if (date <= new Date()) {
+    throw new Error(`${label} must be in the future`);
+  }
+
+  return date.toISOString();
+}
+
+ConsentLedger.CONSENT_TYPES = CONSENT_TYPES;
+
+module.exports = ConsentLedger;
@@ -0,0 +1,298 @@
+/**
+ * Creator Data Exporter (Layer 5)
+ *
+ * SCOPE: Portable archive of everything a creator owns (revenue, content, consent history)
+ * DOES NOT: Decide who may export (the API gateway checks the requester) or delete anything
+ * ONLY: Reads creator data and packages it as a gzipped tar with a manifest and checksums
+ *
+ * Revenue and content_items come from the creator data repository (Postgres);
+ * without one, exports still include records stored through DataSovereigntyService
+ * and the creator's consents. Every file is listed in manifest.json with its SHA-256
+ * and in checksums.sha256, which `sha256sum -c` can verify after extraction.
+ *
+ * collect() returns the CreatorDataExport shape used by
+ * CreatorSovereigntyEnforcementEngine.enforceDataExportRights, read from real storage.
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const EXPORT_FORMAT_VERSION = 1;
+const MINIMUM_REVENUE_SHARE = 0.75;
+const CONSENT_HISTORY_EVENTS = ['consent_granted', 'consent_renewed', 'consent_withdrawn'];
+
+const REVENUE_CSV_COLUMNS = [
+  'transactionId', 'contentId', 'date', 'amount', 'creatorAmount', 'communityAmount',
+  'platformAmount', 'creatorShare', 'sovereigntyCompliant', 'governanceApproved'
+];
+const CONTENT_CSV_COLUMNS = ['contentId', 'source', 'contentType', 'title', 'createdAt', 'path'];
+const CONSENT_HISTORY_CSV_COLUMNS = [
+  'consentId', 'event', 'at', 'communityId', 'scope', 'expiresAt', 'reason', 'sequence'
+];
+
+class CreatorDataExporter {
+  /**
+   * @param {DataSovereigntyService} dataSovereigntyService - Stored records, consents and audit log
+   * @param {ICreatorDataRepository} creatorRepository - Optional revenue and content_items source
+   */
+  constructor(dataSovereigntyService, creatorRepository = null) {
+    if (!dataSovereigntyService) {
+      throw new Error('Data sovereignty service is required');
+    }
+    this.dataSovereigntyService = dataSovereigntyService;
+    this.creatorRepository = creatorRepository;
+  }
+
+  /**
+   * Gather a creator's data (the CreatorDataExport structure plus consent history)
+   * @param {string} creatorId - Creator ID
+   * @returns {Promise<Object>} - { exportId, creatorId, exportDate, dataCategories, revenueData, contentData, consentRecords, consentHistory, sovereigntyCompliance }
+   */
+  async collect(creatorId) {
+    if (!creatorId) {
+      throw new Error('Creator ID is required for export');
+    }
+
+    const revenueRows = this.creatorRepository ? await this.creatorRepository.findRevenueRecordsByCreator(creatorId) : [];
+    const contentRows = this.creatorRepository ? await this.creatorRepository.findContentByCreatorId(creatorId) : [];
+    const ownedRecords = await this.dataSovereigntyService.findRecordsOwnedBy(creatorId);
+
+    const revenueData = revenueRows.map(mapRevenueRow);
+    const contentData = [
+      ...contentRows.map(row => ({
+        contentId: String(row.id),
+        source: 'content_items',
+        contentType: row.content_type,
+        title: row.title,
+        createdAt: toIso(row.created_at),
+        updatedAt: toIso(row.updated_at),
+        publishedAt: toIso(row.published_at),
+        creatorOwnership: true,
+        body: row.content_data
+      })),
+      ...ownedRecords.map(({ collection, record }) => ({
+        contentId: String(record.id),
+        source: collection,
+        contentType: record.type || collection,
+        title: record.title || null,
+        createdAt: toIso(record.created_at || record.submittedAt),
+        updatedAt: null,
+        publishedAt: null,
+        creatorOwnership: true,
+        body: record
+      }))
+    ];
+
+    const consentRecords = await this.dataSovereigntyService.listMemberConsents(creatorId, { includeInactive: true });
+    const consentHistory = [];
+    for (const consent of consentRecords) {
+      const entries = await this.dataSovereigntyService.findDataOperations({ dataId: consent.id });
+      entries
+        .filter(entry => CONSENT_HISTORY_EVENTS.includes(entry.operation_type))
+        .forEach(entry => consentHistory.push(mapConsentHistoryEntry(consent, entry)));
+    }
+    consentHistory.sort((a, b) => a.sequence - b.sequence);
+
+    return {
+      exportId: `export_${crypto.randomUUID()}`,
+      creatorId,
+      exportDate: new Date().toISOString(),
+      dataCategories: ['revenue', 'content', 'consent'],
+      revenueData,
+      contentData,
+      consentRecords,
+      consentHistory,
+      sovereigntyCompliance: revenueData.every(revenue => revenue.sovereigntyCompliant) &&
+        contentData.every(content => content.creatorOwnership)
+    };
+  }
+
+  /**
+   * Build the downloadable archive and record the export in the audit log
+   * @param {string} creatorId - Creator ID
+   * @returns {Promise<Object>} - { exportId, fileName, archive (Buffer), archiveChecksum, manifest }
+   */
+  async buildArchive(creatorId) {
+    const exportData = await this.collect(creatorId);
+    const root = exportData.exportId;
+
+    const files = [
+      jsonFile('revenue.json', exportData.revenueData),
+      textFile('revenue.csv', toCsv(REVENUE_CSV_COLUMNS, exportData.revenueData)),
+      ...exportData.contentData.map(content => jsonFile(contentPath(content), content.body)),
+      textFile('content.csv', toCsv(CONTENT_CSV_COLUMNS,
+        exportData.contentData.map(content => ({ ...content, path: contentPath(content) })))),
+      jsonFile('consents.json', exportData.consentRecords),
+      jsonFile('consent-history.json', exportData.consentHistory),
+      textFile('consent-history.csv', toCsv(CONSENT_HISTORY_CSV_COLUMNS, exportData.consentHistory))
+    ];
+
+    const manifest = {
+      formatVersion: EXPORT_FORMAT_VERSION,
+      exportId: exportData.exportId,
+      creatorId,
+      exportDate: exportData.exportDate,
+      dataCategories: exportData.dataCategories,
+      sovereigntyCompliance: exportData.sovereigntyCompliance,
+      counts: {
+        revenueRecords: exportData.revenueData.length,
+        contentItems: exportData.contentData.length,
+        consents: exportData.consentRecords.length,
+        consentEvents: exportData.consentHistory.length
+      },
+      files: files.map(file => ({ path: file.path, bytes: file.content.length, sha256: sha256(file.content) }))
+    };
+
+    const checksums = manifest.files.map(file => `${file.sha256}  ${file.path}\n`).join('');
+    files.push(jsonFile('manifest.json', manifest), textFile('checksums.sha256', checksums));
+
+    const archive = zlib.gzipSync(createTar(files.map(file => ({ ...file, path: `${root}/${file.path}` }))));
+    const archiveChecksum = sha256(archive);
+
+    await this.dataSovereigntyService.trackDataOperation({
+      operationType: 'creator_data_export',
+      dataId: exportData.exportId,
+      actorId: creatorId,
+      files: files.length,
+      archiveChecksum
+    });
+
+    console.log(`📦 Built creator data export ${exportData.exportId} (${files.length} files)`);
+
+    return {
+      exportId: exportData.exportId,
+      fileName: `${root}.tar.gz`,
+      archive,
+      archiveChecksum,
+      manifest
+    };
+  }
+}
+
+// Helper functions
+
+function mapRevenueRow(row) {
+  const amount = Number(row.revenue_total);
+  const creatorAmount = Number(row.creator_share);
+  const creatorShare = amount > 0 ? creatorAmount / amount : 1;
+
+  return {
+    transactionId: String(row.id),
+    contentId: row.content_id ? String(row.content_id) : null,
+    date: toIso(row.created_at),
+    amount,
+    creatorAmount,
+    communityAmount: Number(row.community_share),
+    platformAmount: Number(row.platform_share),
+    creatorShare: Math.round(creatorShare * 10000) / 10000,
+    sovereigntyCompliant: creatorShare >= MINIMUM_REVENUE_SHARE,
+    governanceApproved: row.governance_approved === true
+  };
+}
+
+function mapConsentHistoryEntry(consent, entry) {
+  const details = entry.audit_data || {};
+
+  return {
+    consentId: consent.id,
+    event: entry.operation_type.replace(/^consent_/, ''),
+    at: entry.audit_timestamp,
+    communityId: consent.community_id,
+    scope: (details.scope || consent.consent_scope || []).join(' '),
+    expiresAt: details.expires_at || null,
+    reason: details.reason || null,
+    sequence: entry.sequence_number
+  };
+}
+
+function contentPath(content) {
+  return `content/${content.source}/${content.contentId.replace(/[^A-Za-z0-9._-]/g, '_')}.json`;
+}
+
+function jsonFile(path, value) {
+  return textFile(path, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+function textFile(path, text) {
+  return { path, content: Buffer.from(text, 'utf8') };
+}
+
+function toIso(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * RFC 4180 CSV; cells starting with a formula character are prefixed with '
+ * so spreadsheets do not evaluate them
+ */
+function toCsv(columns, rows) {
+  const cell = (value) => {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(cell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+/**
+ * Minimal ustar writer: regular files only, paths up to 255 bytes
+ */
+function createTar(files) {
+  const mtime = Math.floor(Date.now() / 1000);
+  const blocks = [];
+
+  for (const file of files) {
+    const header = Buffer.alloc(512);
+    const path = Buffer.from(file.path, 'utf8');
+    let name = path;
+    let prefix = Buffer.alloc(0);
+
+    if (path.length > 100) {
+      const split = file.path.lastIndexOf('/', 155);
+      prefix = Buffer.from(file.path.slice(0, split), 'utf8');
+      name = Buffer.from(file.path.slice(split + 1), 'utf8');
+      if (split <= 0 || prefix.length > 155 || name.length > 100) {
+        throw new Error(`Export path too long for archive: ${file.path}`);
+      }
+    }
+
+    name.copy(header, 0);
+    header.write('0000644\0', 100, 'ascii');
+    header.write('0000000\0', 108, 'ascii');
+    header.write('0000000\0', 116, 'ascii');
+    header.write(`${file.content.length.toString(8).padStart(11, '0')}\0`, 124, 'ascii');
+    header.write(`${mtime.toString(8).padStart(11, '0')}\0`, 136, 'ascii');
+    header.write('        ', 148, 'ascii');
+    header.write('0', 156, 'ascii');
+    header.write('ustar\0', 257, 'ascii');
+    header.write('00', 263, 'ascii');
+    prefix.copy(header, 345);
+
+    let checksum = 0;
+    for (const byte of header) {
+      checksum += byte;
+    }
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 'ascii');
+
+    blocks.push(header, file.content, Buffer.alloc((512 - (file.content.length % 512)) % 512));
+  }
+
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+CreatorDataExporter.EXPORT_FORMAT_VERSION = EXPORT_FORMAT_VERSION;
+
+module.exports = CreatorDataExporter;
@@ -6,14 +6,81 @@
  */
 
 const DataSovereigntyInterface = require('../layer-3-business-logic/interfaces/DataSovereigntyInterface');
+const { createStorageAdapter } = require('./storage');
+const AuditLog = require('./AuditLog');
+const ConsentLedger = require('./ConsentLedger');
+
+/**
+ * Storage collections managed by this service
+ */
+const COLLECTIONS = {
+  STORIES: 'stories',
+  EVENTS: 'events',
+  MODERATION_QUEUE: 'moderation_queue',
+  COMMUNITY_DATA: 'community_data'
+};
+
+/**
+ * Collection each storage operation writes to; anything else is community data
+ */
+const OPERATION_COLLECTIONS = {
+  news_content_creation: COLLECTIONS.STORIES,
+  news_content_storage: COLLECTIONS.STORIES,
+  event_creation: COLLECTIONS.EVENTS,
+  moderation_queue_submission: COLLECTIONS.MODERATION_QUEUE,
+  moderation_queue_update: COLLECTIONS.MODERATION_QUEUE
+};
+
+/**
+ * Creator-owned content, and the narrative fields a creator may change on it
+ */
+const CREATOR_CONTENT_COLLECTIONS = [COLLECTIONS.STORIES, COLLECTIONS.EVENTS];
+const CREATOR_EDITABLE_FIELDS = ['title', 'content', 'excerpt', 'description', 'category', 'tags', 'imageUrl'];
+
+/**
+ * Community that owns records stored before consent metadata was recorded
+ */
+const DEFAULT_COMMUNITY_ID = 'blkout-community';
+
+/**
+ * Community-wide consent recorded on a fresh store, so the platform can store and
+ * read community data until governance decides otherwise
+ */
+const DEFAULT_COMMUNITY_CONSENTS = [
+  { communityId: DEFAULT_COMMUNITY_ID, scope: ['data_storage', 'data_retrieval'] },
+  { communityId: 'moderation-queue', scope: ['data_storage', 'data_retrieval'] }
+];
+
+/**
+ * Allowed moderation status transitions (current -> next)
+ */
+const MODERATION_TRANSITIONS = {
+  pending: ['approved', 'rejected', 'escalated'],
+  escalated: ['approved', 'rejected'],
+  approved: [],
+  rejected: []
+};
 
 class DataSovereigntyService extends DataSovereigntyInterface {
-  constructor() {
+  /**
+   * @param {StorageAdapter} storageAdapter - Record storage backend (defaults to DATA_STORAGE_ADAPTER / DATABASE_URL selection)
+   * @param {Object} options
+   * @param {boolean} options.seedDefaultConsent - Record DEFAULT_COMMUNITY_CONSENTS for communities that have
+   *   never had a community-wide consent, before the first consent check
+   */
+  constructor(storageAdapter = createStorageAdapter(), options = {}) {
     super();
+    this.storage = storageAdapter;
+    this.auditLog = new AuditLog(storageAdapter);
+    this.consentLedger = new ConsentLedger(storageAdapter, this.auditLog);
+    this.seedDefaultConsent = Boolean(options.seedDefaultConsent);
+    this.defaultConsentSeeded = null;
   }
 
   /**
    * Store data with community sovereignty requirements
+   * dataRequest.domainEvents, when given, is (storedRecord) => [envelopes]; those
+   * events go to the domain event outbox in the same write as the record.
    * @param {Object} dataRequest - Data storage request with sovereignty requirements
    * @returns {Promise<Object>} - Storage result with sovereignty metadata
    */
@@ -23,50 +90,77 @@ class DataSovereigntyService extends DataSovereigntyInterface {
       throw new Error('Data and sovereignty requirements are required');
     }
 
-    const { data, sovereigntyRequirements, operationType } = dataRequest;
+    const { data, sovereigntyRequirements, operationType, domainEvents } = dataRequest;
 
-    // Validate community consent before storage
-    const consentValid = await this.validateCommunityConsent({
-      operationType,
+    // Recorded consent must cover this storage operation. The owner's own consent
+    // is used when they have one, so withdrawing it cascades to this record
+    const consentCheck = await this.requireConsent({
+      communityId: sovereigntyRequirements.communityId,
+      dataSubjectId: sovereigntyRequirements.ownerId,
       dataType: data.type,
-      communityId: sovereigntyRequirements.communityId
+      scope: [operationType, 'data_storage'],
+      dataId: data.id,
+      requestedOperation: operationType
     });
 
-    if (!consentValid) {
-      throw new Error('Community consent validation failed - cannot store data');
+    if (!consentCheck.granted) {
+      throw new Error(`Community consent validation failed - cannot store data (${consentCheck.reason})`);
     }
 
+    const collection = OPERATION_COLLECTIONS[operationType] || COLLECTIONS.COMMUNITY_DATA;
+
     // Add sovereignty metadata to data
+    const storageDate = new Date().toISOString();
     const sovereignData = {
       ...data,
+      id: data.id || this.generateDataId(),
+      created_at: data.created_at || data.createdAt || storageDate,
+      // New queue items always wait for review; status only changes through transitionModerationItem
+      ...(collection === COLLECTIONS.MODERATION_QUEUE ? { status: 'pending' } : {}),
       sovereignty: {
         communityOwned: true,
+        communityId: sovereigntyRequirements.communityId,
+        ownerId: sovereigntyRequirements.ownerId || null,
         creatorControlled: sovereigntyRequirements.creatorControlled || false,
         consentProvided: true,
-        storageDate: new Date().toISOString(),
+        consentId: consentCheck.consentId,
+        storageDate,
         governanceCompliant: true
       }
     };
 
-    // Simulate database storage with sovereignty tracking
-    console.log(`Storing data with sovereignty: ${data.id || 'generated-id'}`);
+    console.log(`Storing data with sovereignty: ${sovereignData.id} (${collection})`);
+    const storageMetadata = {
+      communityId: sovereigntyRequirements.communityId,
+      ownerId: sovereigntyRequirements.ownerId,
+      creatorControlled: sovereignData.sovereignty.creatorControlled,
+      operationType
+    };
+    if (domainEvents) {
+      // Published by the outbox relay only once this write has committed
+      await this.storage.saveWithOutboxEvents(collection, sovereignData, storageMetadata, domainEvents(sovereignData));
+    } else {
+      await this.storage.save(collection, sovereignData, storageMetadata);
+    }
 
     // Track the data operation for transparency
     await this.trackDataOperation({
       operationType: 'store',
-      dataId: data.id,
+      dataId: sovereignData.id,
+      actorId: sovereigntyRequirements.ownerId,
       sovereigntyLevel: 'community-owned',
       timestamp: new Date()
     });
 
     return {
       success: true,
-      dataId: data.id || this.generateDataId(),
+      dataId: sovereignData.id,
       sovereigntyConfirmed: true,
       storageMetadata: {
         storedAt: new Date().toISOString(),
         sovereigntyLevel: 'community-owned',
-        consentValid: true
+        consentValid: true,
+        consentId: consentCheck.consentId
       }
     };
   }
@@ -94,14 +188,33 @@ class DataSovereigntyService extends DataSovereigntyInterface {
       throw new Error(`Access denied: ${governanceCheck.reason}`);
     }
 
-    // Simulate data retrieval
     console.log(`Retrieving data with governance: ${dataId}`);
 
-    // Mock retrieved data with sovereignty metadata
+    const record = await this.storage.findById(retrievalRequest.collection || null, dataId);
+    if (!record) {
+      throw new Error(`Data not found: ${dataId}`);
+    }
+
+    // Recorded consent must cover this kind of access to the record
+    const sovereignty = record.sovereignty || {};
+    const consentCheck = await this.requireConsent({
+      communityId: sovereignty.communityId || DEFAULT_COMMUNITY_ID,
+      dataSubjectId: sovereignty.ownerId,
+      dataType: record.type,
+      scope: [accessType, 'data_retrieval'],
+      dataId,
+      actorId: requesterId,
+      requestedOperation: accessType || 'retrieve'
+    });
+
+    if (!consentCheck.granted) {
+      throw new Error(`Access denied: ${consentCheck.reason}`);
+    }
+
     const retrievedData = {
-      id: dataId,
-      content: 'Retrieved content with governance compliance',
+      ...record,
       sovereignty: {
+        ...record.sovereignty,
         communityOwned: true,
         accessAuthorized: true,
         retrievalDate: new Date().toISOString(),
@@ -123,31 +236,230 @@ class DataSovereigntyService extends DataSovereigntyInterface {
 
   /**
    * Validate community consent for data operations
-   * @param {Object} consentRequest - Consent validation request
-   * @returns {Promise<boolean>} - True if consent is valid
+   * @param {Object} consentRequest - { operationType, dataType, communityId, dataSubjectId }
+   * @returns {Promise<boolean>} - True if a recorded, active consent covers the operation
    */
   async validateCommunityConsent(consentRequest) {
     if (!consentRequest) {
       throw new Error('Consent request is required');
     }
 
-    const { operationType, dataType, communityId } = consentRequest;
+    const { operationType, dataType, communityId, dataSubjectId } = consentRequest;
 
-    // Simulate consent validation logic
     console.log(`Validating community consent for ${operationType} on ${dataType}`);
 
-    // Mock consent validation (in real implementation, this would check consent records)
-    const consentRecord = {
+    const consentCheck = await this.consentLedger.checkConsent({
       communityId,
-      operationType,
+      dataSubjectId,
       dataType,
-      consentProvided: true,
-      consentDate: new Date().toISOString(),
-      consentScope: ['data_storage', 'data_retrieval', 'revenue_sharing']
+      scope: [operationType]
+    });
+
+    return consentCheck.granted;
+  }
+
+  /**
+   * Check the consent ledger and audit refusals
+   * @param {Object} request - { communityId, dataSubjectId, dataType, scope, dataId, actorId, requestedOperation }
+   * @returns {Promise<Object>} - ConsentLedger.checkConsent result
+   */
+  async requireConsent(request) {
+    if (this.seedDefaultConsent) {
+      await this.ensureDefaultCommunityConsent();
+    }
+
+    const consentCheck = await this.consentLedger.checkConsent({
+      communityId: request.communityId,
+      dataSubjectId: request.dataSubjectId,
+      dataType: request.dataType,
+      scope: request.scope.filter(Boolean)
+    });
+
+    if (!consentCheck.granted) {
+      await this.trackDataOperation({
+        operationType: 'consent_refused',
+        dataId: request.dataId,
+        actorId: request.actorId || request.dataSubjectId,
+        communityId: request.communityId,
+        requestedOperation: request.requestedOperation,
+        reason: consentCheck.reason,
+        consentId: consentCheck.consentId
+      });
+    }
+
+    return consentCheck;
+  }
+
+  /**
+   * Record the default community-wide consents once per store
+   * A community that already has a community-wide consent, even a withdrawn or
+   * expired one, keeps what governance decided and is not seeded again.
+   * @returns {Promise<Array>} - Consents recorded by this call
+   */
+  async ensureDefaultCommunityConsent() {
+    if (!this.defaultConsentSeeded) {
+      this.defaultConsentSeeded = this.recordDefaultConsents().catch(error => {
+        this.defaultConsentSeeded = null;
+        throw error;
+      });
+    }
+    return await this.defaultConsentSeeded;
+  }
+
+  /**
+   * Grant each default consent whose community has no community-wide consent yet
+   * @returns {Promise<Array>} - Consents granted
+   */
+  async recordDefaultConsents() {
+    const recorded = [];
+    for (const defaults of DEFAULT_COMMUNITY_CONSENTS) {
+      const existing = await this.consentLedger.listConsents({
+        communityId: defaults.communityId,
+        dataSubjectId: null,
+        includeInactive: true
+      });
+      if (existing.length > 0) {
+        continue;
+      }
+
+      recorded.push(await this.consentLedger.grant({
+        communityId: defaults.communityId,
+        scope: defaults.scope,
+        consentType: 'community_standard',
+        grantedBy: 'platform_default',
+        communityBenefitExplained: true
+      }));
+      console.log(`🤝 Default community consent recorded for ${defaults.communityId}`);
+    }
+    return recorded;
+  }
+
+  /**
+   * List a member's own consents, newest first
+   * @param {string} dataSubjectId - Member ID
+   * @param {Object} options - { communityId, includeInactive }
+   * @returns {Promise<Array>} - Consents with status
+   */
+  async listMemberConsents(dataSubjectId, options = {}) {
+    if (!dataSubjectId) {
+      throw new Error('Member ID is required to list consents');
+    }
+
+    return await this.consentLedger.listConsents({
+      communityId: options.communityId,
+      dataSubjectId,
+      includeInactive: options.includeInactive
+    });
+  }
+
+  /**
+   * Record explicit consent given by a member for their own data
+   * @param {Object} grantRequest - { dataSubjectId, communityId, scope, dataType, expiresAt }
+   * @returns {Promise<Object>} - Stored consent with status
+   */
+  async grantMemberConsent(grantRequest) {
+    if (!grantRequest || !grantRequest.dataSubjectId) {
+      throw new Error('Member ID is required to grant consent');
+    }
+
+    const consent = await this.consentLedger.grant({
+      communityId: grantRequest.communityId || DEFAULT_COMMUNITY_ID,
+      dataSubjectId: grantRequest.dataSubjectId,
+      scope: grantRequest.scope,
+      dataType: grantRequest.dataType,
+      expiresAt: grantRequest.expiresAt,
+      consentType: 'explicit',
+      grantedBy: grantRequest.dataSubjectId,
+      communityBenefitExplained: true
+    });
+
+    return { ...consent, status: ConsentLedger.statusOf(consent) };
+  }
+
+  /**
+   * Withdraw one of a member's consents and cascade to the data it covered
+   * Records stored under the consent are flagged consentWithdrawn and excluded
+   * from insights aggregation; the records themselves are kept for the owner.
+   * @param {Object} withdrawalRequest - { dataSubjectId, consentId, reason }
+   * @returns {Promise<Object>} - { success, consent, cascade } or { success: false, reason }
+   */
+  async withdrawMemberConsent(withdrawalRequest) {
+    if (!withdrawalRequest || !withdrawalRequest.dataSubjectId || !withdrawalRequest.consentId) {
+      throw new Error('Member ID and consent ID are required to withdraw consent');
+    }
+
+    const { dataSubjectId, consentId, reason } = withdrawalRequest;
+
+    // Members may only withdraw their own consents; others are reported as missing
+    const consent = await this.consentLedger.findConsent(consentId);
+    if (!consent || consent.data_subject_id !== dataSubjectId) {
+      return { success: false, reason: 'not_found', consentId };
+    }
+
+    const withdrawal = await this.consentLedger.withdraw(consentId, { reason, actorId: dataSubjectId });
+    if (!withdrawal.success) {
+      return withdrawal;
+    }
+
+    const withdrawnAt = withdrawal.consent.withdrawal_date;
+    let recordsExcluded = 0;
+
+    for (const collection of Object.values(COLLECTIONS)) {
+      const { items } = await this.storage.find(collection, {
+        where: { sovereignty: { ownerId: dataSubjectId, consentId } }
+      });
+
+      for (const record of items) {
+        await this.storage.update(collection, record.id, {
+          sovereignty: {
+            ...record.sovereignty,
+            consentWithdrawn: true,
+            consentWithdrawnAt: withdrawnAt,
+            excludedFromAggregation: true
+          }
+        });
+        recordsExcluded++;
+      }
+    }
+
+    await this.trackDataOperation({
+      operationType: 'consent_withdrawal_cascade',
+      dataId: consentId,
+      actorId: dataSubjectId,
+      recordsExcluded
+    });
+
+    console.log(`✋ Consent ${consentId} withdrawn; ${recordsExcluded} records excluded from aggregation`);
+
+    return {
+      success: true,
+      consent: { ...withdrawal.consent, status: ConsentLedger.statusOf(withdrawal.consent) },
+      cascade: { recordsExcluded }
     };
+  }
 
-    // For demonstration, assume consent is valid
-    return consentRecord.consentProvided;
+  /**
+   * Find every stored record owned by a member or creator
+   * Covers sovereignty.ownerId and, for events, sovereignty_metadata.creator_id.
+   * @param {string} ownerId - Member or creator ID
+   * @returns {Promise<Array>} - [{ collection, record }] oldest first
+   */
+  async findRecordsOwnedBy(ownerId) {
+    if (!ownerId) {
+      throw new Error('Owner ID is required');
+    }
+
+    const owned = new Map();
+    for (const collection of Object.values(COLLECTIONS)) {
+      const queries = [{ sovereignty: { ownerId } }, { sovereignty_metadata: { creator_id: ownerId } }];
+
+      for (const where of queries) {
+        const { items } = await this.storage.find(collection, { where, orderBy: 'created_at', direction: 'asc' });
+        items.forEach(record => owned.set(record.id, { collection, record }));
+      }
+    }
+
+    return Array.from(owned.values());
   }
 
   /**
@@ -166,62 +478,36 @@ class DataSovereigntyService extends DataSovereigntyInterface {
       throw new Error('Governance approval required for story access');
     }
 
-    // Mock story data for production (replace with actual database queries)
-    const mockStories = [
-      { 
-        id: 1, 
-        title: 'Liberation Story 1', 
-        content: 'Community-focused liberation content', 
-        category: 'liberation',
-        tags: ['community', 'liberation'],
-        author: 'Community Member',
-        created_at: '2025-09-20T00:00:00Z'
-      },
-      { 
-        id: 2, 
-        title: 'Community Story 2', 
-        content: 'Democratic participation in action', 
-        category: 'community',
-        tags: ['democracy', 'participation'],
-        author: 'Community Organizer',
-        created_at: '2025-09-19T00:00:00Z'
-      }
-    ];
-
-    // Filter by category and tag if specified
-    let filteredStories = mockStories;
+    const query = { where: {}, contains: {} };
     if (category !== 'all') {
-      filteredStories = filteredStories.filter(story => story.category === category);
+      query.where.category = category;
     }
     if (tag !== 'all') {
-      filteredStories = filteredStories.filter(story => story.tags.includes(tag));
+      query.contains.tags = tag;
     }
 
-    // Pagination
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + limit;
-    const paginatedStories = filteredStories.slice(startIndex, endIndex);
+    const { items, pagination } = await this.findPage(COLLECTIONS.STORIES, query, {
+      page,
+      limit,
+      orderBy: 'created_at',
+      direction: 'desc'
+    });
 
     return {
-      articles: paginatedStories,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: filteredStories.length,
-        totalPages: Math.ceil(filteredStories.length / limit)
-      }
+      articles: items,
+      pagination
     };
   }
 
   /**
    * Retrieve events with governance oversight
-   * @param {Object} params - Query parameters (page, limit, requesterId, accessType)
+   * @param {Object} params - Query parameters (page, limit, category, from, to, requesterId, accessType)
    * @returns {Promise<Object>} Events data with pagination
    */
   async retrieveEventsWithGovernance(params) {
     console.log('📅 Retrieving events with governance oversight');
     
-    const { page = 1, limit = 10, requesterId, accessType } = params;
+    const { page = 1, limit = 10, category = 'all', from, to, requesterId, accessType } = params;
     
     // Governance validation
     const governanceCheck = await this.checkGovernancePermissions(requesterId, 'read_events');
@@ -229,41 +515,24 @@ class DataSovereigntyService extends DataSovereigntyInterface {
       throw new Error('Governance approval required for event access');
     }
 
-    // Mock event data for production (replace with actual database queries)
-    const mockEvents = [
-      { 
-        id: 1, 
-        title: 'Community Event 1', 
-        description: 'Building community through shared action',
-        date: '2025-09-25T18:00:00Z',
-        location: 'Community Center',
-        organizer: 'BLKOUT Community',
-        category: 'community'
-      },
-      { 
-        id: 2, 
-        title: 'Liberation Workshop', 
-        description: 'Educational workshop on liberation practices',
-        date: '2025-09-30T19:00:00Z',
-        location: 'Online',
-        organizer: 'Education Committee',
-        category: 'education'
-      }
-    ];
+    const query = { where: {}, range: {} };
+    if (category !== 'all') {
+      query.where.category = category;
+    }
+    if (from || to) {
+      query.range.date = { gte: from, lte: to };
+    }
 
-    // Pagination
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + limit;
-    const paginatedEvents = mockEvents.slice(startIndex, endIndex);
+    const { items, pagination } = await this.findPage(COLLECTIONS.EVENTS, query, {
+      page,
+      limit,
+      orderBy: 'date',
+      direction: 'asc'
+    });
 
     return {
-      events: paginatedEvents,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: mockEvents.length,
-        totalPages: Math.ceil(mockEvents.length / limit)
-      }
+      events: items,
+      pagination
     };
   }
 
@@ -302,7 +571,12 @@ class DataSovereigntyService extends DataSovereigntyInterface {
       }
     };
 
-    // In production, this would store to database
+    await this.storage.save(COLLECTIONS.EVENTS, createdEvent, {
+      communityId: eventData.communityId || 'blkout-community',
+      ownerId: eventData.requesterId,
+      operationType: 'event_creation'
+    });
+
     console.log('✅ Event created with governance approval:', eventId);
     
     return createdEvent;
@@ -340,9 +614,12 @@ class DataSovereigntyService extends DataSovereigntyInterface {
       governance_efficiency: 0.70
     };
 
+    const aggregation = await this.aggregateCommunityRecords();
+
     return {
       insights,
       metrics,
+      aggregation,
       generated_at: new Date().toISOString(),
       governance_metadata: {
         approved_by: 'community_governance',
@@ -395,37 +672,114 @@ class DataSovereigntyService extends DataSovereigntyInterface {
     };
   }
 
+  /**
+   * Apply a creator's edits to a story or event they own
+   * Only CREATOR_EDITABLE_FIELDS change; ids, status and sovereignty metadata are kept.
+   * @param {Object} updateRequest - { creatorId, dataId, updates }
+   * @returns {Promise<Object>} - { success, dataId, record } or { success: false, reason }
+   */
+  async updateCreatorContent(updateRequest) {
+    if (!updateRequest || !updateRequest.creatorId || !updateRequest.dataId) {
+      throw new Error('Creator ID and Data ID are required');
+    }
+
+    const { creatorId, dataId, updates = {} } = updateRequest;
+
+    let collection = null;
+    let record = null;
+    for (const candidate of CREATOR_CONTENT_COLLECTIONS) {
+      record = await this.storage.findById(candidate, dataId);
+      if (record) {
+        collection = candidate;
+        break;
+      }
+    }
+
+    if (!record) {
+      return { success: false, reason: 'not_found', dataId };
+    }
+    if (!record.sovereignty || String(record.sovereignty.ownerId) !== String(creatorId)) {
+      return { success: false, reason: 'not_owner', dataId };
+    }
+
+    const changes = {};
+    for (const field of CREATOR_EDITABLE_FIELDS) {
+      if (updates[field] !== undefined) {
+        changes[field] = updates[field];
+      }
+    }
+    if (Object.keys(changes).length === 0) {
+      return { success: false, reason: 'no_editable_fields', dataId, editableFields: CREATOR_EDITABLE_FIELDS };
+    }
+
+    const updatedRecord = await this.storage.update(collection, dataId, {
+      ...changes,
+      updated_at: new Date().toISOString()
+    });
+
+    await this.trackDataOperation({
+      operationType: 'creator_content_update',
+      dataId,
+      creatorId,
+      fields: Object.keys(changes),
+      timestamp: new Date()
+    });
+
+    return { success: true, dataId, record: updatedRecord };
+  }
+
   /**
    * Track data operations for transparency
+   * Appends the operation to the hash-chained audit log. The data ID is taken from
+   * dataId/contentId/itemId and the actor from actorId/requesterId/moderatorId/creatorId;
+   * everything else is kept as audit detail.
    * @param {Object} operation - Data operation to track
-   * @returns {Promise<void>} - Operation tracking confirmation
+   * @returns {Promise<Object>} - Stored audit entry
    */
   async trackDataOperation(operation) {
     if (!operation || !operation.operationType) {
       throw new Error('Operation type is required for tracking');
     }
 
-    console.log(`Tracking data operation: ${operation.operationType}`, {
-      timestamp: operation.timestamp || new Date(),
-      operationType: operation.operationType,
-      dataId: operation.dataId,
-      success: true
+    const { operationType, timestamp, dataId, actorId, ...details } = operation;
+
+    const entry = await this.auditLog.append({
+      ...details,
+      operation_type: operationType,
+      data_id: firstPresent(dataId, details.contentId, details.itemId),
+      actor_id: firstPresent(actorId, details.requesterId, details.moderatorId, details.creatorId)
     });
 
-    // In real implementation, this would store to audit log
-    // For now, just log for demonstration
-    return Promise.resolve();
+    console.log(`📜 Tracked data operation: ${operationType} (#${entry.sequence_number})`);
+    return entry;
+  }
+
+  /**
+   * Query the data operation audit trail (oldest first)
+   * @param {Object} filters - { operationType, dataId, actorId, from, to, afterSequence, limit }
+   * @returns {Promise<Array>} - Audit entries
+   */
+  async findDataOperations(filters = {}) {
+    return await this.auditLog.find(filters);
+  }
+
+  /**
+   * Verify no audit entry has been edited or removed
+   * @returns {Promise<Object>} - Verification report from AuditLog.verify()
+   */
+  async verifyDataOperationLog() {
+    return await this.auditLog.verify();
   }
 
   /** 
    * Retrieve moderation queue items with governance oversight
-   * @param {Object} params - Query parameters (requesterId, accessType, statusFilter)
-   * @returns {Promise<Array>} - Array of moderation queue items
+   * @param {Object} params - Query parameters (requesterId, accessType, statusFilter, type, priority, page, limit)
+   * @returns {Promise<Object>} - Moderation queue items with pagination
    */
   async retrieveModerationQueueWithGovernance(params = {}) {
     console.log('⚖️ Retrieving moderation queue with governance oversight');
     
-    const { requesterId, accessType, statusFilter = 'pending' } = params;
+    const { requesterId, accessType, statusFilter = 'pending', type, priority, page = 1, limit = 50 } = params;
     
     // Governance validation for moderation queue access
     const governanceCheck = await this.checkGovernancePermissions(requesterId, 'read_moderation_queue');
@@ -433,53 +787,105 @@ class DataSovereigntyService extends DataSovereigntyInterface {
       throw new Error('Governance approval required for moderation queue access');
     }
 
-    // Mock moderation queue data for development (replace with actual database queries)
-    // This simulates items waiting for human-in-the-loop moderation
-    const mockQueueItems = [
-      {
-        id: 'sub-001',
-        type: 'article',
-        title: 'Community Organizing in South London: Building Black Power',
-        content: 'This article explores grassroots organizing strategies that have been effective in building community power in South London...',
-        author: 'Amara Johnson',
-        submittedAt: '2024-01-15T14:30:00Z',
-        category: 'community',
-        status: 'pending',
-        priority: 'high',
-        flaggedReasons: ['requires_cultural_authenticity_review']
-      },
-      {
-        id: 'sub-002',
-        type: 'event',
-        title: 'Liberation Tech Workshop: Digital Security for Activists',
-        content: 'Join us for a hands-on workshop covering digital security, privacy tools, and safe communication methods for community organizers...',
-        author: 'Tech Collective',
-        submittedAt: '2024-01-15T12:15:00Z',
-        category: 'education',
-        status: 'pending',
-        priority: 'medium'
-      },
-      {
-        id: 'sub-003',
-        type: 'article',
-        title: 'Decolonizing Mental Health: Community Healing Practices',
-        content: 'An examination of traditional healing practices and community-based mental health support systems...',
-        author: 'Dr. Keisha Williams',
-        submittedAt: '2024-01-14T16:45:00Z',
-        category: 'health',
-        status: 'pending',
-        priority: 'high'
-      }
-    ];
+    const query = { where: {} };
+    if (statusFilter !== 'all') {
+      query.where.status = statusFilter;
+    }
+    if (type) {
+      query.where.type = type;
+    }
+    if (priority) {
+      query.where.priority = priority;
+    }
 
-    // Filter by status if specified
-    const filteredItems = statusFilter === 'all' 
-      ? mockQueueItems 
-      : mockQueueItems.filter(item => item.status === statusFilter);
+    const { items, pagination } = await this.findPage(COLLECTIONS.MODERATION_QUEUE, query, {
+      page,
+      limit,
+      orderBy: 'submittedAt',
+      direction: 'desc'
+    });
+
+    console.log(`Returning ${items.length} moderation queue items with status: ${statusFilter}`);
+
+    return {
+      items,
+      pagination
+    };
+  }
+
+  /**
+   * Retrieve a single moderation queue item
+   * @param {string} itemId - Moderation queue item ID
+   * @returns {Promise<Object|null>} - Queue item or null if not found
+   */
+  async retrieveModerationQueueItem(itemId) {
+    if (!itemId) {
+      throw new Error('Moderation item ID is required');
+    }
 
-    console.log(`Returning ${filteredItems.length} moderation queue items with status: ${statusFilter}`);
+    return await this.storage.findById(COLLECTIONS.MODERATION_QUEUE, itemId);
+  }
 
-    return filteredItems;
+  /**
+   * Move a moderation queue item to a new status
+   * Only transitions listed in MODERATION_TRANSITIONS are allowed; approved and
+   * rejected are final.
+   * @param {Object} transitionRequest - { itemId, status, moderatorId, notes }
+   * @returns {Promise<Object>} - Transition result with the updated item
+   */
+  async transitionModerationItem(transitionRequest) {
+    if (!transitionRequest || !transitionRequest.itemId || !transitionRequest.status) {
+      throw new Error('Moderation item ID and target status are required');
+    }
+
+    const { itemId, status, moderatorId, notes } = transitionRequest;
+
+    const item = await this.storage.findById(COLLECTIONS.MODERATION_QUEUE, itemId);
+    if (!item) {
+      return { success: false, reason: 'not_found', itemId };
+    }
+
+    const currentStatus = item.status || 'pending';
+    const allowed = MODERATION_TRANSITIONS[currentStatus] || [];
+
+    if (!allowed.includes(status)) {
+      return {
+        success: false,
+        reason: 'invalid_status_transition',
+        itemId,
+        currentStatus,
+        requestedStatus: status,
+        allowedStatuses: allowed
+      };
+    }
+
+    const moderatedAt = new Date().toISOString();
+    const updatedItem = await this.storage.update(COLLECTIONS.MODERATION_QUEUE, itemId, {
+      status,
+      moderationNotes: notes || item.moderationNotes || '',
+      moderatorId: moderatorId || 'system',
+      moderatedAt,
+      statusHistory: [
+        ...(item.statusHistory || []),
+        { from: currentStatus, to: status, moderatorId: moderatorId || 'system', at: moderatedAt }
+      ]
+    });
+
+    await this.trackDataOperation({
+      operationType: 'moderation_status_transition',
+      dataId: itemId,
+      fromStatus: currentStatus,
+      toStatus: status,
+      moderatorId,
+      timestamp: new Date()
+    });
+
+    return {
+      success: true,
+      itemId,
+      previousStatus: currentStatus,
+      item: updatedItem
+    };
   }
 
   /**
@@ -496,14 +902,17 @@ class DataSovereigntyService extends DataSovereigntyInterface {
     const { data, sovereigntyRequirements, operationType } = dataRequest;
 
     // Validate community consent before storing in moderation queue
-    const consentValid = await this.validateCommunityConsent({
-      operationType: operationType || 'moderation_queue_submission',
+    const consentCheck = await this.requireConsent({
+      communityId: sovereigntyRequirements.communityId,
+      dataSubjectId: sovereigntyRequirements.ownerId,
       dataType: data.type || 'article',
-      communityId: sovereigntyRequirements.communityId
+      scope: [operationType || 'moderation_queue_submission', 'data_storage'],
+      dataId: data.id,
+      requestedOperation: operationType || 'moderation_queue_submission'
     });
 
-    if (!consentValid) {
-      throw new Error('Community consent validation failed - cannot submit to moderation queue');
+    if (!consentCheck.granted) {
+      throw new Error(`Community consent validation failed - cannot submit to moderation queue (${consentCheck.reason})`);
     }
 
     // Add moderation queue metadata to data
@@ -511,21 +920,29 @@ class DataSovereigntyService extends DataSovereigntyInterface {
       ...data,
       id: data.id || this.generateDataId(),
       submittedAt: data.submittedAt || new Date().toISOString(),
-      status: data.status || 'pending',
+      status: 'pending',
       priority: data.priority || 'medium',
       moderationNotes: data.moderationNotes || '',
       flaggedReasons: data.flaggedReasons || [],
       sovereignty: {
         communityOwned: true,
+        communityId: sovereigntyRequirements.communityId,
+        ownerId: sovereigntyRequirements.ownerId || null,
         creatorControlled: sovereigntyRequirements.creatorControlled || false,
         consentProvided: true,
+        consentId: consentCheck.consentId,
         storageDate: new Date().toISOString(),
         governanceCompliant: true
       }
     };
 
-    // Simulate database storage in moderation queue
     console.log(`Storing moderation queue item: ${queueItem.id}`);
+    await this.storage.save(COLLECTIONS.MODERATION_QUEUE, queueItem, {
+      communityId: sovereigntyRequirements.communityId,
+      ownerId: sovereigntyRequirements.ownerId,
+      creatorControlled: queueItem.sovereignty.creatorControlled,
+      operationType: operationType || 'moderation_queue_submission'
+    });
 
     // Track the moderation queue operation for transparency
     await this.trackDataOperation({
@@ -584,6 +1001,66 @@ class DataSovereigntyService extends DataSovereigntyInterface {
 
   // Helper methods
 
+  /**
+   * Query one page of a collection
+   * @param {string} collection - Collection name
+   * @param {Object} query - Adapter filters (where, contains, range)
+   * @param {Object} paging - { page, limit, orderBy, direction }
+   * @returns {Promise<Object>} - { items, pagination }
+   */
+  async findPage(collection, query, paging) {
+    const page = Math.max(parseInt(paging.page, 10) || 1, 1);
+    const limit = Math.max(parseInt(paging.limit, 10) || 1, 1);
+
+    const { items, total } = await this.storage.find(collection, {
+      ...query,
+      orderBy: paging.orderBy,
+      direction: paging.direction,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      items,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Count stored community records, leaving out data whose consent was withdrawn
+   * @returns {Promise<Object>} - { stories, events, communityRecords, contributors, excludedRecords }
+   */
+  async aggregateCommunityRecords() {
+    const contributors = new Set();
+    const counts = {};
+    let excludedRecords = 0;
+
+    for (const collection of [COLLECTIONS.STORIES, COLLECTIONS.EVENTS, COLLECTIONS.COMMUNITY_DATA]) {
+      const { items } = await this.storage.find(collection);
+      const included = items.filter(record => !(record.sovereignty && record.sovereignty.excludedFromAggregation));
+
+      excludedRecords += items.length - included.length;
+      counts[collection] = included.length;
+      included
+        .map(record => record.sovereignty && record.sovereignty.ownerId)
+        .filter(Boolean)
+        .forEach(ownerId => contributors.add(ownerId));
+    }
+
+    return {
+      stories: counts[COLLECTIONS.STORIES],
+      events: counts[COLLECTIONS.EVENTS],
+      communityRecords: counts[COLLECTIONS.COMMUNITY_DATA],
+      contributors: contributors.size,
+      excludedRecords
+    };
+  }
+
   /**
    * Check governance permissions for data access
    * @param {Object} request - Permission check request
@@ -623,5 +1100,19 @@ class DataSovereigntyService extends DataSovereigntyInterface {
   }
 }
 
+/**
+ * First value that is neither undefined nor null
+ */
+function firstPresent(...values) {
+  const value = values.find(candidate => candidate !== undefined && candidate !== null);
+  return value === undefined ? null : value;
+}
+
+DataSovereigntyService.COLLECTIONS = COLLECTIONS;
+DataSovereigntyService.DEFAULT_COMMUNITY_ID = DEFAULT_COMMUNITY_ID;
+DataSovereigntyService.DEFAULT_COMMUNITY_CONSENTS = DEFAULT_COMMUNITY_CONSENTS;
+DataSovereigntyService.CREATOR_EDITABLE_FIELDS = CREATOR_EDITABLE_FIELDS;
+DataSovereigntyService.MODERATION_TRANSITIONS = MODERATION_TRANSITIONS;
+
 // Export class for consistent instantiation pattern
 module.exports = DataSovereigntyService;
\ No newline at end of file
@@ -0,0 +1,162 @@
+/**
+ * Database Connection Factory (Layer 5)
+ *
+ * SCOPE: PostgreSQL connection pooling for data access repositories
+ * DOES NOT: Contain business logic, sovereignty decisions, or query construction
+ * ONLY: Opens, shares and closes database connections for Layer 5 repositories
+ */
+
+const { Pool } = require('pg');
+
+/**
+ * Database Connection
+ * Thin wrapper around a pg Pool exposing only the operations repositories need
+ */
+class DatabaseConnection {
+  constructor(pool) {
+    if (!pool) {
+      throw new Error('Connection pool is required');
+    }
+
+    this.pool = pool;
+  }
+
+  /**
+   * Execute a parameterised query
+   * @param {string} text - SQL text with $n placeholders
+   * @param {Array} params - Query parameters
+   * @returns {Promise<Object>} - pg query result ({ rows, rowCount })
+   */
+  async query(text, params = []) {
+    return this.pool.query(text, params);
+  }
+
+  /**
+   * Run a unit of work inside a single transaction
+   * @param {Function} work - Async function receiving a transaction-scoped connection
+   * @returns {Promise<any>} - Result of the unit of work
+   */
+  async transaction(work) {
+    const client = await this.pool.connect();
+    let brokenConnectionError;
+
+    try {
+      await client.query('BEGIN');
+      const result = await work({ query: (text, params = []) => client.query(text, params) });
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackError) {
+        // Keep the failure that caused the rollback; the client is discarded on release
+        console.error(`✗ Transaction rollback failed: ${rollbackError.message}`);
+        brokenConnectionError = rollbackError;
+      }
+      throw error;
+    } finally {
+      client.release(brokenConnectionError);
+    }
+  }
+
+  /**
+   * Check the database is reachable
+   * @returns {Promise<Object>} - Connection health status
+   */
+  async healthCheck() {
+    const startTime = Date.now();
+
+    try {
+      await this.pool.query('SELECT 1');
+      return {
+        healthy: true,
+        responseTime: Date.now() - startTime,
+        totalConnections: this.pool.totalCount,
+        idleConnections: this.pool.idleCount
+      };
+    } catch (error) {
+      return {
+        healthy: false,
+        responseTime: Date.now() - startTime,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Close all pooled connections
+   */
+  async close() {
+    await this.pool.end();
+  }
+
+  /**
+   * Container disposal hook
+   */
+  dispose() {
+    this.close().catch(error => {
+      console.error(`✗ Error closing database pool: ${error.message}`);
+    });
+  }
+}
+
+/**
+ * Create a pooled database connection
+ * @param {Object} config - Connection configuration
+ * @param {string} config.connectionString - PostgreSQL connection string (defaults to DATABASE_URL)
+ * @param {number} config.maxConnections - Maximum pooled connections (defaults to DATABASE_POOL_MAX or 10)
+ * @param {boolean} config.ssl - Enable SSL (defaults to DATABASE_SSL === 'true')
+ * @param {string} config.sslCa - PEM CA certificate to verify the server against (defaults to DATABASE_SSL_CA)
+ * @param {boolean} config.allowUnverifiedCertificates - Skip certificate verification
+ *   (defaults to DATABASE_SSL_ALLOW_UNVERIFIED === 'true'; never use outside local development)
+ * @returns {DatabaseConnection} - Connection shared by Layer 5 repositories
+ */
+function createDatabaseConnection(config = {}) {
+  const connectionString = config.connectionString || process.env.DATABASE_URL;
+
+  if (!connectionString) {
+    throw new Error('DATABASE_URL is required to create a database connection');
+  }
+
+  const pool = new Pool({
+    connectionString,
+    max: config.maxConnections || parseInt(process.env.DATABASE_POOL_MAX || '10', 10),
+    idleTimeoutMillis: config.idleTimeoutMillis || 30000,
+    ssl: sslOptions(config)
+  });
+
+  pool.on('error', (error) => {
+    console.error('🚨 Idle database connection error:', error.message);
+  });
+
+  return new DatabaseConnection(pool);
+}
+
+/**
+ * TLS options for the pool
+ * Server certificates are verified unless verification is explicitly turned off.
+ * @param {Object} config - Connection configuration (see createDatabaseConnection)
+ * @returns {Object|boolean} - pg ssl options, or false when SSL is off
+ */
+function sslOptions(config) {
+  const ssl = config.ssl !== undefined ? config.ssl : process.env.DATABASE_SSL === 'true';
+  if (!ssl) {
+    return false;
+  }
+
+  const allowUnverified = config.allowUnverifiedCertificates !== undefined
+    ? config.allowUnverifiedCertificates
+    : process.env.DATABASE_SSL_ALLOW_UNVERIFIED === 'true';
+  if (allowUnverified) {
+    console.warn('⚠️ Database SSL certificate verification is disabled (DATABASE_SSL_ALLOW_UNVERIFIED)');
+    return { rejectUnauthorized: false };
+  }
+
+  const ca = config.sslCa || process.env.DATABASE_SSL_CA;
+  return ca ? { rejectUnauthorized: true, ca } : { rejectUnauthorized: true };
+}
+
+module.exports = {
+  DatabaseConnection,
+  createDatabaseConnection
+};
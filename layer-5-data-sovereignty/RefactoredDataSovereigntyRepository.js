@@ -4,6 +4,10 @@
  * CONTRACT COMPLIANCE: Implements data access interfaces ONLY
  * DOES NOT: Contain business logic, make decisions, handle presentation
  * ONLY: Handles data persistence operations as instructed by business layer
+ *
+ * Backed by the PostgreSQL tables created by database/migrations.
+ * Each repository receives a connection from DatabaseConnectionFactory exposing
+ * query(text, params).
  */
 
 const {
@@ -12,7 +16,28 @@ const {
   IGovernanceDataRepository,
   IAuditTrailRepository,
   IDataValidationRepository
-} = require('../../../contracts/data-access-interfaces');
+} = require('../contracts/data-access-interfaces');
+const AuditLog = require('./AuditLog');
+const PostgresStorageAdapter = require('./storage/PostgresStorageAdapter');
+
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Serialise a value for a JSONB column
+ * pg would otherwise send JavaScript arrays as PostgreSQL arrays
+ */
+function toJson(value) {
+  return value === undefined ? null : JSON.stringify(value);
+}
+
+/**
+ * Normalise limit/offset paging options
+ */
+function pagingParams(options = {}) {
+  const limit = Math.max(1, parseInt(options.limit || DEFAULT_PAGE_SIZE, 10));
+  const offset = Math.max(0, parseInt(options.offset || 0, 10));
+  return { limit, offset };
+}
 
 /**
  * Community Data Repository Implementation
@@ -21,6 +46,9 @@ const {
 class CommunityDataRepositoryImpl extends ICommunityDataRepository {
   constructor(databaseConnection) {
     super();
+    if (!databaseConnection) {
+      throw new Error('Database connection is required');
+    }
     this.db = databaseConnection;
   }
 
@@ -34,26 +62,26 @@ class CommunityDataRepositoryImpl extends ICommunityDataRepository {
     }
 
     // DATA PERSISTENCE ONLY - add metadata as provided by business layer
-    const dataWithSovereignty = {
-      ...data,
-      id: data.id || this.generateDataId(),
-      sovereignty_metadata: {
-        community_owned: sovereigntyRequirements.communityOwned || false,
-        creator_controlled: sovereigntyRequirements.creatorControlled || false,
-        stored_at: new Date().toISOString(),
-        sovereignty_level: sovereigntyRequirements.sovereigntyLevel || 'basic'
-      },
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
+    const sovereigntyMetadata = {
+      community_owned: sovereigntyRequirements.communityOwned || false,
+      creator_controlled: sovereigntyRequirements.creatorControlled || false,
+      stored_at: new Date().toISOString(),
+      sovereignty_level: sovereigntyRequirements.sovereigntyLevel || 'basic'
     };
 
-    // Simulate database storage
-    await this.simulateDataStorage('community_data', dataWithSovereignty);
+    const stored = await this.insertRecord({
+      id: data.id || this.generateDataId(),
+      communityId: sovereigntyRequirements.communityId || data.community_id || null,
+      ownerId: sovereigntyRequirements.ownerId || data.owner_id || data.creator_id || null,
+      recordType: data.type || data.record_type || 'community_data',
+      data,
+      sovereigntyMetadata
+    });
 
     return {
-      id: dataWithSovereignty.id,
+      id: stored.id,
       sovereignty_confirmed: true,
-      storage_metadata: dataWithSovereignty.sovereignty_metadata
+      storage_metadata: stored.sovereignty_metadata
     };
   }
 
@@ -66,12 +94,14 @@ class CommunityDataRepositoryImpl extends ICommunityDataRepository {
       throw new Error('Community ID is required');
     }
 
-    // Simulate database query
-    const results = await this.simulateDataQuery('community_data', {
-      'sovereignty_metadata.community_id': communityId
-    });
+    const { rows } = await this.db.query(
+      `SELECT * FROM community_data_records
+       WHERE community_id = $1
+       ORDER BY created_at DESC`,
+      [communityId]
+    );
 
-    return results;
+    return rows.map(row => this.mapRecord(row));
   }
 
   /**
@@ -83,13 +113,15 @@ class CommunityDataRepositoryImpl extends ICommunityDataRepository {
       throw new Error('Data ID and Owner ID are required');
     }
 
-    // Check if ownership record exists in data store
-    const ownershipRecord = await this.simulateDataQuery('ownership_records', {
-      data_id: dataId,
-      owner_id: ownerId
-    });
+    const { rows } = await this.db.query(
+      `SELECT (
+         EXISTS (SELECT 1 FROM community_data_records WHERE id = $1 AND owner_id = $2)
+         OR EXISTS (SELECT 1 FROM content_items WHERE id::text = $1 AND creator_id::text = $2)
+       ) AS owned`,
+      [String(dataId), String(ownerId)]
+    );
 
-    return ownershipRecord.length > 0;
+    return rows.length > 0 && rows[0].owned === true;
   }
 
   /**
@@ -101,15 +133,30 @@ class CommunityDataRepositoryImpl extends ICommunityDataRepository {
       throw new Error('Consent record is required');
     }
 
-    const consentWithMetadata = {
-      ...consentRecord,
-      id: this.generateDataId(),
-      stored_at: new Date().toISOString()
-    };
-
-    await this.simulateDataStorage('consent_records', consentWithMetadata);
-
-    return consentWithMetadata;
+    const { rows } = await this.db.query(
+      `INSERT INTO community_consent_tracking (
+         data_subject_id, community_id, operation_type, data_type, consent_type,
+         consent_given, consent_date, consent_expiry_date, consent_scope,
+         community_benefit_explained, data_sovereignty_preserved, withdrawal_mechanism_provided
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [
+        consentRecord.data_subject_id,
+        consentRecord.community_id || null,
+        consentRecord.operation_type || null,
+        consentRecord.data_type,
+        consentRecord.consent_type || 'explicit',
+        consentRecord.consent_given === true,
+        consentRecord.consent_date || (consentRecord.consent_given === true ? new Date().toISOString() : null),
+        consentRecord.consent_expiry_date || null,
+        consentRecord.consent_scope,
+        consentRecord.community_benefit_explained === true,
+        consentRecord.data_sovereignty_preserved !== false,
+        consentRecord.withdrawal_mechanism_provided !== false
+      ]
+    );
+
+    return { ...rows[0], stored_at: rows[0].created_at };
   }
 
   /**
@@ -121,31 +168,38 @@ class CommunityDataRepositoryImpl extends ICommunityDataRepository {
       throw new Error('Operation type and Community ID are required');
     }
 
-    const results = await this.simulateDataQuery('consent_records', {
-      operation_type: operationType,
-      community_id: communityId
-    });
+    const { rows } = await this.db.query(
+      `SELECT * FROM community_consent_tracking
+       WHERE operation_type = $1 AND community_id = $2
+       ORDER BY created_at DESC`,
+      [operationType, communityId]
+    );
 
-    return results;
+    return rows;
   }
 
   // Base repository methods implementation
 
   async store(entityData) {
-    const storedEntity = {
-      ...entityData,
+    const stored = await this.insertRecord({
       id: entityData.id || this.generateDataId(),
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
+      communityId: entityData.community_id || null,
+      ownerId: entityData.owner_id || null,
+      recordType: entityData.type || entityData.record_type || 'community_data',
+      data: entityData,
+      sovereigntyMetadata: entityData.sovereignty_metadata || {}
+    });
 
-    await this.simulateDataStorage('community_data', storedEntity);
-    return storedEntity;
+    return stored;
   }
 
   async findById(id) {
-    const results = await this.simulateDataQuery('community_data', { id });
-    return results.length > 0 ? results[0] : null;
+    const { rows } = await this.db.query(
+      'SELECT * FROM community_data_records WHERE id = $1',
+      [String(id)]
+    );
+
+    return rows.length > 0 ? this.mapRecord(rows[0]) : null;
   }
 
   async update(id, updates) {
@@ -154,72 +208,75 @@ class CommunityDataRepositoryImpl extends ICommunityDataRepository {
       throw new Error(`Entity not found: ${id}`);
     }
 
-    const updatedEntity = {
-      ...existingEntity,
-      ...updates,
-      updated_at: new Date().toISOString()
-    };
+    // Only the data payload is updatable; record columns are kept as stored
+    const {
+      id: _id, community_id, owner_id, record_type, sovereignty_metadata, created_at, updated_at,
+      ...existingData
+    } = existingEntity;
+    const { id: _ignoredId, ...dataUpdates } = updates;
 
-    await this.simulateDataUpdate('community_data', id, updatedEntity);
-    return updatedEntity;
+    const { rows } = await this.db.query(
+      `UPDATE community_data_records
+       SET data = $2, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [String(id), toJson({ ...existingData, ...dataUpdates })]
+    );
+
+    return this.mapRecord(rows[0]);
   }
 
   async delete(id) {
-    const exists = await this.findById(id);
-    if (!exists) {
-      return false;
-    }
+    const { rowCount } = await this.db.query(
+      'DELETE FROM community_data_records WHERE id = $1',
+      [String(id)]
+    );
 
-    await this.simulateDataDeletion('community_data', id);
-    return true;
+    return rowCount > 0;
   }
 
   async findAll(options = {}) {
-    const results = await this.simulateDataQuery('community_data', {}, options);
-    return results;
-  }
+    const { limit, offset } = pagingParams(options);
 
-  // Helper methods for data simulation
-  generateDataId() {
-    return `data_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const { rows } = await this.db.query(
+      `SELECT * FROM community_data_records
+       ORDER BY created_at DESC
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+
+    return rows.map(row => this.mapRecord(row));
   }
 
-  async simulateDataStorage(table, data) {
-    // Simulate database storage operation
-    // In real implementation, this would use actual database connection
-    await new Promise(resolve => setTimeout(resolve, 10)); // Simulate I/O delay
-    return { success: true, table, data };
-  }
-
-  async simulateDataQuery(table, conditions, options = {}) {
-    // Simulate database query operation
-    await new Promise(resolve => setTimeout(resolve, 5)); // Simulate I/O delay
-
-    // Mock results based on conditions
-    const mockResults = [];
-    if (Object.keys(conditions).length === 0 || conditions.id || conditions.community_id) {
-      mockResults.push({
-        id: this.generateDataId(),
-        ...conditions,
-        created_at: new Date().toISOString(),
-        sovereignty_metadata: {
-          community_owned: true,
-          creator_controlled: false
-        }
-      });
-    }
+  // Helper methods
 
-    return mockResults;
+  async insertRecord({ id, communityId, ownerId, recordType, data, sovereigntyMetadata }) {
+    const { rows } = await this.db.query(
+      `INSERT INTO community_data_records (
+         id, community_id, owner_id, record_type, data, sovereignty_metadata
+       ) VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [String(id), communityId, ownerId, recordType, toJson(data), toJson(sovereigntyMetadata)]
+    );
+
+    return this.mapRecord(rows[0]);
   }
 
-  async simulateDataUpdate(table, id, data) {
-    await new Promise(resolve => setTimeout(resolve, 10)); // Simulate I/O delay
-    return { success: true, table, id, data };
+  mapRecord(row) {
+    return {
+      ...(row.data || {}),
+      id: row.id,
+      community_id: row.community_id,
+      owner_id: row.owner_id,
+      record_type: row.record_type,
+      sovereignty_metadata: row.sovereignty_metadata || {},
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
   }
 
-  async simulateDataDeletion(table, id) {
-    await new Promise(resolve => setTimeout(resolve, 10)); // Simulate I/O delay
-    return { success: true, table, id };
+  generateDataId() {
+    return `data_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 }
 
@@ -230,6 +287,9 @@ class CommunityDataRepositoryImpl extends ICommunityDataRepository {
 class CreatorDataRepositoryImpl extends ICreatorDataRepository {
   constructor(databaseConnection) {
     super();
+    if (!databaseConnection) {
+      throw new Error('Database connection is required');
+    }
     this.db = databaseConnection;
   }
 
@@ -238,17 +298,28 @@ class CreatorDataRepositoryImpl extends ICreatorDataRepository {
       throw new Error('Content data is required');
     }
 
-    const contentWithMetadata = {
-      ...contentData,
-      id: contentData.id || this.generateDataId(),
+    const { id, creator_id, title, content_type, content_data, ...rest } = contentData;
+
+    const { rows } = await this.db.query(
+      `INSERT INTO content_items (id, creator_id, title, content_type, content_data)
+       VALUES (COALESCE($1::uuid, gen_random_uuid()), $2, $3, $4, $5)
+       RETURNING *`,
+      [
+        id || null,
+        creator_id,
+        title,
+        content_type || 'creator_content',
+        toJson(content_data || rest)
+      ]
+    );
+
+    return {
+      ...rows[0],
       creator_metadata: {
-        stored_at: new Date().toISOString(),
+        stored_at: rows[0].created_at,
         content_type: 'creator_content'
       }
     };
-
-    await this.simulateDataStorage('creator_content', contentWithMetadata);
-    return contentWithMetadata;
   }
 
   async findContentByCreatorId(creatorId) {
@@ -256,7 +327,14 @@ class CreatorDataRepositoryImpl extends ICreatorDataRepository {
       throw new Error('Creator ID is required');
     }
 
-    return await this.simulateDataQuery('creator_content', { creator_id: creatorId });
+    const { rows } = await this.db.query(
+      `SELECT * FROM content_items
+       WHERE creator_id = $1
+       ORDER BY created_at DESC`,
+      [creatorId]
+    );
+
+    return rows;
   }
 
   async storeOwnershipMetadata(ownershipData) {
@@ -264,29 +342,57 @@ class CreatorDataRepositoryImpl extends ICreatorDataRepository {
       throw new Error('Ownership data is required');
     }
 
-    const ownershipRecord = {
-      ...ownershipData,
-      id: this.generateDataId(),
-      recorded_at: new Date().toISOString()
-    };
+    const { rows } = await this.db.query(
+      `INSERT INTO creator_narrative_control (
+         creator_id, content_id, editorial_control_level,
+         content_modification_consent, narrative_authority_preserved
+       ) VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [
+        ownershipData.creator_id,
+        ownershipData.content_id,
+        ownershipData.editorial_control_level !== undefined ? ownershipData.editorial_control_level : 1.0,
+        ownershipData.content_modification_consent !== false,
+        ownershipData.narrative_authority_preserved !== false
+      ]
+    );
 
-    await this.simulateDataStorage('ownership_metadata', ownershipRecord);
-    return ownershipRecord;
+    return { ...rows[0], recorded_at: rows[0].created_at };
   }
 
+  /**
+   * Store revenue share
+   * Accepts absolute amounts (revenue_total, creator_share, ...) or a
+   * revenue_distribution produced by the revenue transparency service.
+   * Share constraints are enforced by the database, not here.
+   */
   async storeRevenueShare(revenueData) {
     if (!revenueData) {
       throw new Error('Revenue data is required');
     }
 
-    const revenueRecord = {
-      ...revenueData,
-      id: this.generateDataId(),
-      recorded_at: new Date().toISOString()
-    };
-
-    await this.simulateDataStorage('revenue_shares', revenueRecord);
-    return revenueRecord;
+    const distribution = revenueData.revenue_distribution || {};
+
+    const { rows } = await this.db.query(
+      `INSERT INTO creator_revenue_tracking (
+         creator_id, content_id, revenue_total, creator_share, platform_share,
+         community_share, governance_approved, created_by, distribution_details
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        revenueData.creator_id,
+        revenueData.content_id,
+        firstDefined(revenueData.revenue_total, distribution.totalRevenue),
+        firstDefined(revenueData.creator_share, distribution.creatorAmount),
+        firstDefined(revenueData.platform_share, distribution.platformAmount),
+        firstDefined(revenueData.community_share, distribution.communityAmount),
+        revenueData.governance_approved === true,
+        revenueData.created_by || revenueData.creator_id,
+        toJson(revenueData)
+      ]
+    );
+
+    return { ...rows[0], recorded_at: rows[0].created_at };
   }
 
   async findRevenueRecordsByCreator(creatorId) {
@@ -294,7 +400,14 @@ class CreatorDataRepositoryImpl extends ICreatorDataRepository {
       throw new Error('Creator ID is required');
     }
 
-    return await this.simulateDataQuery('revenue_shares', { creator_id: creatorId });
+    const { rows } = await this.db.query(
+      `SELECT * FROM creator_revenue_tracking
+       WHERE creator_id = $1
+       ORDER BY created_at DESC`,
+      [creatorId]
+    );
+
+    return rows.map(row => this.mapRevenueRow(row));
   }
 
   // Base repository methods implementation
@@ -303,8 +416,12 @@ class CreatorDataRepositoryImpl extends ICreatorDataRepository {
   }
 
   async findById(id) {
-    const results = await this.simulateDataQuery('creator_content', { id });
-    return results.length > 0 ? results[0] : null;
+    const { rows } = await this.db.query(
+      'SELECT * FROM content_items WHERE id::text = $1',
+      [String(id)]
+    );
+
+    return rows.length > 0 ? rows[0] : null;
   }
 
   async update(id, updates) {
@@ -313,71 +430,315 @@ class CreatorDataRepositoryImpl extends ICreatorDataRepository {
       throw new Error(`Creator content not found: ${id}`);
     }
 
-    const updated = { ...existing, ...updates, updated_at: new Date().toISOString() };
-    await this.simulateDataUpdate('creator_content', id, updated);
-    return updated;
+    const { rows } = await this.db.query(
+      `UPDATE content_items
+       SET title = $2, content_type = $3, content_data = $4, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [
+        existing.id,
+        updates.title !== undefined ? updates.title : existing.title,
+        updates.content_type !== undefined ? updates.content_type : existing.content_type,
+        toJson(updates.content_data !== undefined ? updates.content_data : existing.content_data)
+      ]
+    );
+
+    return rows[0];
   }
 
   async delete(id) {
-    const exists = await this.findById(id);
-    if (!exists) return false;
+    const { rowCount } = await this.db.query(
+      'DELETE FROM content_items WHERE id::text = $1',
+      [String(id)]
+    );
 
-    await this.simulateDataDeletion('creator_content', id);
-    return true;
+    return rowCount > 0;
   }
 
   async findAll(options = {}) {
-    return await this.simulateDataQuery('creator_content', {}, options);
+    const { limit, offset } = pagingParams(options);
+
+    const { rows } = await this.db.query(
+      `SELECT * FROM content_items
+       ORDER BY created_at DESC
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+
+    return rows;
   }
 
-  // Helper methods (same as CommunityDataRepositoryImpl)
-  generateDataId() {
-    return `creator_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  // Helper methods
+
+  mapRevenueRow(row) {
+    // NUMERIC columns arrive as strings from pg
+    return {
+      ...row,
+      revenue_total: Number(row.revenue_total),
+      creator_share: Number(row.creator_share),
+      platform_share: Number(row.platform_share),
+      community_share: Number(row.community_share),
+      sovereignty_score: Number(row.sovereignty_score)
+    };
+  }
+}
+
+/**
+ * Governance Data Repository Implementation
+ * Handles proposals (governance_proposals), votes (community_voting_records)
+ * and participation snapshots (governance_participation_records)
+ */
+class GovernanceDataRepositoryImpl extends IGovernanceDataRepository {
+  constructor(databaseConnection) {
+    super();
+    if (!databaseConnection) {
+      throw new Error('Database connection is required');
+    }
+    this.db = databaseConnection;
+  }
+
+  async storeGovernanceDecision(decisionData) {
+    if (!decisionData) {
+      throw new Error('Decision data is required');
+    }
+
+    const { rows } = await this.db.query(
+      `INSERT INTO governance_proposals (
+         title, description, proposal_type, liberation_principles_score,
+         creator_sovereignty_impact, community_protection_impact, anti_oppression_review_passed,
+         voting_start_date, voting_end_date, quorum_required, status,
+         community_benefit_score, potential_harm_assessment, mitigation_strategies, created_by
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+       RETURNING *`,
+      [
+        decisionData.title,
+        decisionData.description,
+        decisionData.proposal_type,
+        decisionData.liberation_principles_score,
+        decisionData.creator_sovereignty_impact || 0,
+        decisionData.community_protection_impact || 0,
+        decisionData.anti_oppression_review_passed === true,
+        decisionData.voting_start_date,
+        decisionData.voting_end_date,
+        decisionData.quorum_required !== undefined ? decisionData.quorum_required : 10,
+        decisionData.status || 'open',
+        decisionData.community_benefit_score || 0,
+        decisionData.potential_harm_assessment || null,
+        decisionData.mitigation_strategies || null,
+        decisionData.created_by
+      ]
+    );
+
+    return this.mapProposalRow(rows[0]);
+  }
+
+  /**
+   * Store vote record
+   * Ballots hold the voter's voting pseudonym, never their member ID. One vote
+   * per pseudonym per proposal round is enforced by the table's unique constraint.
+   * The proposal's counts are written when it is tallied, from all its ballots.
+   */
+  async storeVoteRecord(voteData) {
+    if (!voteData || !voteData.voter_pseudonym) {
+      throw new Error('Vote data with a voter pseudonym is required');
+    }
+
+    const { rows } = await this.db.query(
+      `INSERT INTO community_voting_records (
+         voter_pseudonym, proposal_id, vote_decision, vote_reason,
+         community_benefit_assessment, anti_oppression_impact_note, publicly_visible
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        voteData.voter_pseudonym,
+        voteData.proposal_id,
+        voteData.vote_decision,
+        voteData.vote_reason || null,
+        voteData.community_benefit_assessment || null,
+        voteData.anti_oppression_impact_note || null,
+        voteData.publicly_visible !== false
+      ]
+    );
+
+    return this.mapVoteRow(rows[0]);
+  }
+
+  async findVotesByDecision(decisionId) {
+    if (!decisionId) {
+      throw new Error('Decision ID is required');
+    }
+
+    const { rows } = await this.db.query(
+      `SELECT * FROM community_voting_records
+       WHERE proposal_id = $1
+       ORDER BY vote_timestamp ASC`,
+      [decisionId]
+    );
+
+    return rows.map(row => this.mapVoteRow(row));
   }
 
-  async simulateDataStorage(table, data) {
-    await new Promise(resolve => setTimeout(resolve, 10));
-    return { success: true, table, data };
+  async findActiveDecisions() {
+    const { rows } = await this.db.query(
+      `SELECT * FROM governance_proposals
+       WHERE status = 'open' AND voting_end_date >= NOW()
+       ORDER BY voting_end_date ASC`
+    );
+
+    return rows.map(row => this.mapProposalRow(row));
   }
 
-  async simulateDataQuery(table, conditions, options = {}) {
-    await new Promise(resolve => setTimeout(resolve, 5));
+  async findElectorateSize(decisionId) {
+    if (!decisionId) {
+      throw new Error('Decision ID is required');
+    }
+
+    const { rows } = await this.db.query(
+      'SELECT eligible_voters FROM governance_proposals WHERE id::text = $1',
+      [String(decisionId)]
+    );
+
+    return rows.length > 0 ? rows[0].eligible_voters : null;
+  }
 
-    const mockResults = [];
-    if (Object.keys(conditions).length === 0 || conditions.id || conditions.creator_id) {
-      mockResults.push({
-        id: this.generateDataId(),
-        ...conditions,
-        created_at: new Date().toISOString(),
-        creator_metadata: {
-          stored_at: new Date().toISOString(),
-          content_type: 'creator_content'
-        }
-      });
+  async storeParticipationRecord(participationData) {
+    if (!participationData) {
+      throw new Error('Participation data is required');
     }
 
-    return mockResults;
+    const { rows } = await this.db.query(
+      `INSERT INTO governance_participation_records (
+         proposal_id, eligible_members, participating_members,
+         participation_rate, quorum_met, participation_details
+       ) VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        participationData.proposal_id,
+        participationData.eligible_members || 0,
+        participationData.participating_members || 0,
+        participationData.participation_rate || 0,
+        participationData.quorum_met === true,
+        toJson(participationData)
+      ]
+    );
+
+    return {
+      ...rows[0],
+      participation_rate: Number(rows[0].participation_rate)
+    };
+  }
+
+  // Base repository methods
+  async store(entityData) {
+    return await this.storeGovernanceDecision(entityData);
+  }
+
+  async findById(id) {
+    const { rows } = await this.db.query(
+      'SELECT * FROM governance_proposals WHERE id::text = $1',
+      [String(id)]
+    );
+
+    return rows.length > 0 ? this.mapProposalRow(rows[0]) : null;
+  }
+
+  async update(id, updates) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      throw new Error(`Governance proposal not found: ${id}`);
+    }
+
+    const columns = Object.keys(updates).filter(column => GovernanceDataRepositoryImpl.UPDATABLE_COLUMNS.includes(column));
+    if (columns.length === 0) {
+      return existing;
+    }
+
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+    const { rows } = await this.db.query(
+      `UPDATE governance_proposals
+       SET ${assignments.join(', ')}
+       WHERE id = $1
+       RETURNING *`,
+      [existing.id, ...columns.map(column => updates[column])]
+    );
+
+    return this.mapProposalRow(rows[0]);
+  }
+
+  async delete(id) {
+    const { rowCount } = await this.db.query(
+      'DELETE FROM governance_proposals WHERE id::text = $1',
+      [String(id)]
+    );
+
+    return rowCount > 0;
+  }
+
+  async findAll(options = {}) {
+    const { limit, offset } = pagingParams(options);
+
+    const { rows } = await this.db.query(
+      `SELECT * FROM governance_proposals
+       ORDER BY created_at DESC
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+
+    return rows.map(row => this.mapProposalRow(row));
   }
 
-  async simulateDataUpdate(table, id, data) {
-    await new Promise(resolve => setTimeout(resolve, 10));
-    return { success: true, table, id, data };
+  // Helper methods
+
+  mapProposalRow(row) {
+    // NUMERIC columns arrive as strings from pg
+    return {
+      ...row,
+      liberation_principles_score: Number(row.liberation_principles_score),
+      creator_sovereignty_impact: Number(row.creator_sovereignty_impact),
+      community_protection_impact: Number(row.community_protection_impact),
+      community_benefit_score: Number(row.community_benefit_score)
+    };
   }
 
-  async simulateDataDeletion(table, id) {
-    await new Promise(resolve => setTimeout(resolve, 10));
-    return { success: true, table, id };
+  mapVoteRow(row) {
+    return {
+      ...row,
+      vote_weight: Number(row.vote_weight)
+    };
   }
 }
 
+/**
+ * Proposal columns that may be changed after creation
+ */
+GovernanceDataRepositoryImpl.UPDATABLE_COLUMNS = [
+  'title',
+  'description',
+  'status',
+  'voting_start_date',
+  'voting_end_date',
+  'quorum_required',
+  'quorum_met',
+  'anti_oppression_review_passed',
+  'community_benefit_score',
+  'potential_harm_assessment',
+  'mitigation_strategies'
+];
+
 /**
  * Audit Trail Repository Implementation
  * Handles transparent operation logging
+ * Entries are appended to the hash chain kept by AuditLog; data_operation_audit
+ * itself rejects updates and deletes.
  */
 class AuditTrailRepositoryImpl extends IAuditTrailRepository {
   constructor(databaseConnection) {
     super();
+    if (!databaseConnection) {
+      throw new Error('Database connection is required');
+    }
     this.db = databaseConnection;
+    this.auditLog = new AuditLog(new PostgresStorageAdapter(databaseConnection));
   }
 
   async storeOperationAudit(auditData) {
@@ -385,14 +746,8 @@ class AuditTrailRepositoryImpl extends IAuditTrailRepository {
       throw new Error('Audit data is required');
     }
 
-    const auditRecord = {
-      ...auditData,
-      id: this.generateDataId(),
-      audit_timestamp: new Date().toISOString()
-    };
-
-    await this.simulateDataStorage('audit_trail', auditRecord);
-    return auditRecord;
+    const entry = await this.auditLog.append(auditData);
+    return this.mapAuditRow(entry);
   }
 
   async findAuditsByOperationType(operationType) {
@@ -400,7 +755,26 @@ class AuditTrailRepositoryImpl extends IAuditTrailRepository {
       throw new Error('Operation type is required');
     }
 
-    return await this.simulateDataQuery('audit_trail', { operation_type: operationType });
+    const entries = await this.auditLog.find({ operationType });
+    return entries.map(entry => this.mapAuditRow(entry));
+  }
+
+  async findAuditsByDataId(dataId) {
+    if (!dataId) {
+      throw new Error('Data ID is required');
+    }
+
+    const entries = await this.auditLog.find({ dataId });
+    return entries.map(entry => this.mapAuditRow(entry));
+  }
+
+  async findAuditsByActor(actorId) {
+    if (!actorId) {
+      throw new Error('Actor ID is required');
+    }
+
+    const entries = await this.auditLog.find({ actorId });
+    return entries.map(entry => this.mapAuditRow(entry));
   }
 
   async findAuditsByDateRange(startDate, endDate) {
@@ -408,10 +782,12 @@ class AuditTrailRepositoryImpl extends IAuditTrailRepository {
       throw new Error('Start date and end date are required');
     }
 
-    // Simulate date range query
-    return await this.simulateDataQuery('audit_trail', {
-      audit_timestamp: { $gte: startDate, $lte: endDate }
-    });
+    const entries = await this.auditLog.find({ from: startDate, to: endDate });
+    return entries.map(entry => this.mapAuditRow(entry));
+  }
+
+  async verifyAuditChain() {
+    return await this.auditLog.verify();
   }
 
   async storeLiberationMetric(metricData) {
@@ -419,14 +795,21 @@ class AuditTrailRepositoryImpl extends IAuditTrailRepository {
       throw new Error('Metric data is required');
     }
 
-    const metricRecord = {
-      ...metricData,
-      id: this.generateDataId(),
-      recorded_at: new Date().toISOString()
-    };
+    const { rows } = await this.db.query(
+      `INSERT INTO liberation_metrics (
+         metric_type, metric_value, target_value, data_source, metric_details
+       ) VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [
+        metricData.metric_type,
+        metricData.metric_value !== undefined ? metricData.metric_value : 0,
+        metricData.target_value !== undefined ? metricData.target_value : 0,
+        metricData.data_source || 'layer-3-business-logic',
+        toJson(metricData)
+      ]
+    );
 
-    await this.simulateDataStorage('liberation_metrics', metricRecord);
-    return metricRecord;
+    return { ...rows[0], recorded_at: rows[0].measured_at };
   }
 
   // Base repository methods
@@ -435,8 +818,12 @@ class AuditTrailRepositoryImpl extends IAuditTrailRepository {
   }
 
   async findById(id) {
-    const results = await this.simulateDataQuery('audit_trail', { id });
-    return results.length > 0 ? results[0] : null;
+    const { rows } = await this.db.query(
+      'SELECT * FROM data_operation_audit WHERE id::text = $1',
+      [String(id)]
+    );
+
+    return rows.length > 0 ? this.mapAuditRow(rows[0]) : null;
   }
 
   async update(id, updates) {
@@ -450,41 +837,45 @@ class AuditTrailRepositoryImpl extends IAuditTrailRepository {
   }
 
   async findAll(options = {}) {
-    return await this.simulateDataQuery('audit_trail', {}, options);
-  }
+    const { limit, offset } = pagingParams(options);
 
-  generateDataId() {
-    return `audit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  }
+    const { rows } = await this.db.query(
+      `SELECT * FROM data_operation_audit
+       ORDER BY sequence_number ASC
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
 
-  async simulateDataStorage(table, data) {
-    await new Promise(resolve => setTimeout(resolve, 10));
-    return { success: true, table, data };
+    return rows.map(row => this.mapAuditRow(row));
   }
 
-  async simulateDataQuery(table, conditions, options = {}) {
-    await new Promise(resolve => setTimeout(resolve, 5));
-
-    const mockResults = [];
-    if (Object.keys(conditions).length === 0 || conditions.id || conditions.operation_type) {
-      mockResults.push({
-        id: this.generateDataId(),
-        ...conditions,
-        audit_timestamp: new Date().toISOString(),
-        audit_metadata: {
-          integrity_verified: true,
-          audit_level: 'full'
-        }
-      });
-    }
-
-    return mockResults;
+  mapAuditRow(row) {
+    return {
+      ...(row.audit_data || {}),
+      id: row.id,
+      sequence_number: Number(row.sequence_number),
+      operation_type: row.operation_type,
+      data_id: row.data_id,
+      actor_id: row.actor_id,
+      audit_timestamp: row.audit_timestamp,
+      previous_hash: row.previous_hash,
+      entry_hash: row.entry_hash
+    };
   }
 }
 
+/**
+ * Return the first argument that is not undefined
+ */
+function firstDefined(...values) {
+  const value = values.find(candidate => candidate !== undefined);
+  return value === undefined ? null : value;
+}
+
 // Export individual repository classes for consistent pattern
 module.exports = {
   CommunityDataRepositoryImpl,
   CreatorDataRepositoryImpl,
+  GovernanceDataRepositoryImpl,
   AuditTrailRepositoryImpl
-};
\ No newline at end of file
+};
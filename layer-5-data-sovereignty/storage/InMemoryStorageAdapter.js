@@ -0,0 +1,1149 @@
+/**
+ * In-Memory Storage Adapter (Layer 5)
+ *
+ * SCOPE: Process-local record storage for local development and tests
+ * DOES NOT: Survive restarts or share state between processes
+ * ONLY: Implements the StorageAdapter contract over a Map
+ */
+
+const StorageAdapter = require('./StorageAdapter');
+
+class InMemoryStorageAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    // id -> { collection, record, metadata }
+    this.entries = new Map();
+    // Append-only audit entries in sequence order
+    this.auditEntries = [];
+    // consent id -> consent
+    this.consents = new Map();
+    // member id -> community member
+    this.members = new Map();
+    // token id -> refresh token record
+    this.refreshTokens = new Map();
+    // member id -> credential
+    this.credentials = new Map();
+    // creator id (same as member id) -> creator profile
+    this.creators = new Map();
+    // token id -> account token record
+    this.accountTokens = new Map();
+    // proposal id -> governance proposal
+    this.governanceProposals = new Map();
+    // Append-only proposal timeline events in the order they happened
+    this.proposalEvents = [];
+    // proposal id -> electorate snapshot entries
+    this.electorates = new Map();
+    // proposal id -> text versions, oldest first
+    this.proposalVersions = new Map();
+    // amendment id -> proposal amendment
+    this.amendments = new Map();
+    // Append-only amendment votes in the order they were cast
+    this.amendmentVotes = [];
+    // Append-only role grants in the order they were enacted
+    this.roleGrants = [];
+    // Votes in the order they were cast, keyed by voter pseudonym
+    this.votes = [];
+    // partner id -> partner organisation
+    this.partners = new Map();
+    // key id -> partner API key record
+    this.partnerApiKeys = new Map();
+    // `${keyId}|${usageDate}|${scope}` -> daily usage count
+    this.apiKeyUsage = new Map();
+    // `${source}|${nonce}` -> webhook nonce
+    this.webhookNonces = new Map();
+    // id -> outbound delivery
+    this.outboundDeliveries = new Map();
+    // id -> webhook subscription
+    this.webhookSubscriptions = new Map();
+    // event id -> domain event outbox entry
+    this.outboxEvents = new Map();
+  }
+
+  async save(collection, record, metadata = {}) {
+    if (!collection || !record || !record.id) {
+      throw new Error('Collection and record id are required');
+    }
+
+    const stored = clone(record);
+    this.entries.set(String(record.id), { collection, record: stored, metadata: clone(metadata) });
+
+    return clone(stored);
+  }
+
+  async findById(collection, id) {
+    const entry = this.entries.get(String(id));
+
+    if (!entry || (collection && entry.collection !== collection)) {
+      return null;
+    }
+
+    return clone(entry.record);
+  }
+
+  async find(collection, query = {}) {
+    const { where = {}, contains = {}, range = {}, orderBy, direction = 'desc', limit, offset = 0 } = query;
+
+    let records = [];
+    for (const entry of this.entries.values()) {
+      if (entry.collection === collection) {
+        records.push(entry.record);
+      }
+    }
+
+    records = records.filter(record =>
+      Object.entries(where).every(([field, value]) => containsValue(record[field], value)) &&
+      Object.entries(contains).every(([field, value]) => Array.isArray(record[field]) && record[field].includes(value)) &&
+      Object.entries(range).every(([field, bounds]) => withinRange(record[field], bounds))
+    );
+
+    if (orderBy) {
+      const sign = direction === 'asc' ? 1 : -1;
+      records.sort((a, b) => compare(a[orderBy], b[orderBy]) * sign);
+    }
+
+    const total = records.length;
+    const page = limit !== undefined ? records.slice(offset, offset + limit) : records.slice(offset);
+
+    return {
+      items: page.map(clone),
+      total
+    };
+  }
+
+  async update(collection, id, changes) {
+    const entry = this.entries.get(String(id));
+
+    if (!entry || entry.collection !== collection) {
+      return null;
+    }
+
+    entry.record = { ...entry.record, ...clone(changes), id: entry.record.id };
+    return clone(entry.record);
+  }
+
+  async delete(collection, id) {
+    const entry = this.entries.get(String(id));
+
+    if (!entry || entry.collection !== collection) {
+      return false;
+    }
+
+    return this.entries.delete(String(id));
+  }
+
+  async appendAuditEntry(buildEntry) {
+    // Synchronous between read and push, so appends cannot interleave
+    const previous = this.auditEntries[this.auditEntries.length - 1] || null;
+    const entry = clone(buildEntry(previous ? clone(previous) : null));
+
+    this.auditEntries.push(entry);
+    return clone(entry);
+  }
+
+  async findAuditEntries(query = {}) {
+    const { operationType, dataId, actorId, from, to, afterSequence, limit } = query;
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    const matches = this.auditEntries.filter(entry => {
+      const time = new Date(entry.audit_timestamp).getTime();
+      return (!operationType || entry.operation_type === operationType) &&
+        (!dataId || entry.data_id === String(dataId)) &&
+        (!actorId || entry.actor_id === String(actorId)) &&
+        (fromTime === null || time >= fromTime) &&
+        (toTime === null || time <= toTime) &&
+        (afterSequence === undefined || entry.sequence_number > afterSequence);
+    });
+
+    return (limit !== undefined ? matches.slice(0, limit) : matches).map(clone);
+  }
+
+  async saveConsent(consent) {
+    if (!consent || !consent.id) {
+      throw new Error('Consent id is required');
+    }
+
+    this.consents.set(String(consent.id), clone(consent));
+    return clone(consent);
+  }
+
+  async findConsentById(id) {
+    const consent = this.consents.get(String(id));
+    return consent ? clone(consent) : null;
+  }
+
+  async findConsents(query = {}) {
+    const { communityId, subjects } = query;
+    const subjectKeys = subjects ? subjects.map(subject => (subject === null ? null : String(subject))) : null;
+
+    return Array.from(this.consents.values())
+      .filter(consent =>
+        (!communityId || consent.community_id === communityId) &&
+        (!subjectKeys || subjectKeys.includes(consent.data_subject_id === null ? null : String(consent.data_subject_id))))
+      .sort((a, b) => compare(b.consent_date, a.consent_date))
+      .map(clone);
+  }
+
+  async saveMember(member) {
+    if (!member || !member.id) {
+      throw new Error('Member id is required');
+    }
+
+    const existing = this.members.get(String(member.id));
+    const now = new Date().toISOString();
+    const stored = {
+      governance_role: 'member',
+      voting_rights_active: true,
+      active: true,
+      community_joined_date: now,
+      liberation_values_training_completed: false,
+      anti_oppression_training_completed: false,
+      trauma_informed_interaction_training: false,
+      created_at: now,
+      ...existing,
+      ...clone(member),
+      updated_at: now
+    };
+
+    this.members.set(String(member.id), stored);
+    return clone(stored);
+  }
+
+  async findMemberById(id) {
+    const member = this.members.get(String(id));
+    return member ? clone(member) : null;
+  }
+
+  async findMembers(query = {}) {
+    const { active } = query;
+
+    return Array.from(this.members.values())
+      .filter(member => active === undefined || member.active === active)
+      .sort((a, b) => compare(a.community_joined_date, b.community_joined_date))
+      .map(clone);
+  }
+
+  async saveRefreshToken(token) {
+    if (!token || !token.id) {
+      throw new Error('Refresh token id is required');
+    }
+
+    this.refreshTokens.set(String(token.id), clone(token));
+    return clone(token);
+  }
+
+  async rotateRefreshToken(id, rotation) {
+    const token = this.refreshTokens.get(String(id));
+    if (!token || token.revoked_at) {
+      return null;
+    }
+
+    token.revoked_at = rotation.revoked_at;
+    token.revocation_reason = 'rotated';
+    token.replaced_by = rotation.replaced_by;
+    return clone(token);
+  }
+
+  async findRefreshTokens(query = {}) {
+    const { tokenHash, familyId, memberId } = query;
+
+    return Array.from(this.refreshTokens.values())
+      .filter(token =>
+        (!tokenHash || token.token_hash === tokenHash) &&
+        (!familyId || token.family_id === familyId) &&
+        (!memberId || token.member_id === String(memberId)))
+      .sort((a, b) => compare(b.issued_at, a.issued_at))
+      .map(clone);
+  }
+
+  async findMemberByIdentifier(identifier) {
+    const key = String(identifier).toLowerCase();
+    const member = Array.from(this.members.values()).find(candidate =>
+      String(candidate.username).toLowerCase() === key || String(candidate.email).toLowerCase() === key);
+
+    return member ? clone(member) : null;
+  }
+
+  async createMemberAccount(account) {
+    const { member, credential, creator } = account || {};
+    if (!member || !member.id || !credential) {
+      throw new Error('Member and credential are required');
+    }
+
+    // Mirrors the UNIQUE constraints on community_members
+    const taken = await this.findMemberByIdentifier(member.username) || await this.findMemberByIdentifier(member.email);
+    if (this.members.has(String(member.id)) || taken) {
+      throw new Error('Username or email already registered');
+    }
+
+    const now = new Date().toISOString();
+    const storedMember = await this.saveMember(member);
+    const storedCredential = {
+      failed_attempts: 0,
+      locked_until: null,
+      email_verified_at: null,
+      password_changed_at: now,
+      created_at: now,
+      ...clone(credential),
+      member_id: storedMember.id,
+      updated_at: now
+    };
+    this.credentials.set(String(storedMember.id), storedCredential);
+
+    let storedCreator = null;
+    if (creator) {
+      storedCreator = { created_at: now, active: true, ...clone(creator), id: storedMember.id, updated_at: now };
+      this.creators.set(String(storedMember.id), storedCreator);
+    }
+
+    return { member: storedMember, credential: clone(storedCredential), creator: clone(storedCreator) };
+  }
+
+  async findCredential(memberId) {
+    const credential = this.credentials.get(String(memberId));
+    return credential ? clone(credential) : null;
+  }
+
+  async saveCredential(credential) {
+    if (!credential || !credential.member_id) {
+      throw new Error('Credential member id is required');
+    }
+
+    const existing = this.credentials.get(String(credential.member_id));
+    if (!existing) {
+      throw new Error('Credential not found');
+    }
+
+    const stored = { ...existing, ...clone(credential), updated_at: new Date().toISOString() };
+    this.credentials.set(String(credential.member_id), stored);
+    return clone(stored);
+  }
+
+  async saveAccountToken(token) {
+    if (!token || !token.id) {
+      throw new Error('Account token id is required');
+    }
+
+    const stored = { used_at: null, ...clone(token) };
+    this.accountTokens.set(String(token.id), stored);
+    return clone(stored);
+  }
+
+  async findAccountTokens(query = {}) {
+    const { tokenHash, memberId, purpose, unusedOnly } = query;
+
+    return Array.from(this.accountTokens.values())
+      .filter(token =>
+        (!tokenHash || token.token_hash === tokenHash) &&
+        (!memberId || token.member_id === String(memberId)) &&
+        (!purpose || token.purpose === purpose) &&
+        (!unusedOnly || !token.used_at))
+      .sort((a, b) => compare(b.created_at, a.created_at))
+      .map(clone);
+  }
+
+  async markAccountTokenUsed(id, usedAt) {
+    const token = this.accountTokens.get(String(id));
+    if (!token || token.used_at) {
+      return false;
+    }
+
+    token.used_at = usedAt;
+    return true;
+  }
+
+  async saveGovernanceProposal(proposal) {
+    if (!proposal || !proposal.id) {
+      throw new Error('Proposal id is required');
+    }
+
+    const existing = this.governanceProposals.get(String(proposal.id));
+    const stored = {
+      status: 'open',
+      passing_threshold: 0.6,
+      quorum_percentage: 0.3,
+      eligible_voters: null,
+      voting_method: 'simple_majority',
+      ballot_options: null,
+      winning_option: null,
+      results: null,
+      consent_round: 1,
+      escalated_at: null,
+      current_version: 1,
+      text_hash: null,
+      created_at: new Date().toISOString(),
+      ...existing,
+      ...clone(proposal)
+    };
+
+    this.governanceProposals.set(String(proposal.id), stored);
+    return clone(stored);
+  }
+
+  async findGovernanceProposalById(id) {
+    const proposal = this.governanceProposals.get(String(id));
+    return proposal ? clone(proposal) : null;
+  }
+
+  async createGovernanceProposal(proposal, event) {
+    if (!proposal || !proposal.id) {
+      throw new Error('Proposal id is required');
+    }
+    if (this.governanceProposals.has(String(proposal.id))) {
+      throw new Error('Proposal already exists');
+    }
+    const timelineEntry = proposalEvent(event);
+
+    const stored = await this.saveGovernanceProposal({ ...proposal, updated_at: proposal.created_at });
+    this.proposalEvents.push(timelineEntry);
+    if (stored.text_hash) {
+      this.proposalVersions.set(stored.id, [{
+        proposal_id: stored.id,
+        version: stored.current_version,
+        title: stored.title,
+        description: stored.description,
+        text_hash: stored.text_hash,
+        amendment_id: null,
+        created_by: stored.created_by,
+        created_at: stored.created_at
+      }]);
+    }
+    return stored;
+  }
+
+  async transitionGovernanceProposal(transition) {
+    const { id, fromStatus, fromRound, fromVersion, toStatus, changes = {}, event, electorate, version } = transition;
+    const existing = this.governanceProposals.get(String(id));
+    if (!existing || existing.status !== fromStatus ||
+        (fromRound !== undefined && existing.consent_round !== fromRound) ||
+        (fromVersion !== undefined && existing.current_version !== fromVersion)) {
+      return null;
+    }
+    const timelineEntry = proposalEvent(event);
+    if (electorate && this.electorates.has(String(id))) {
+      throw new Error('Electorate already recorded');
+    }
+    const versions = this.proposalVersions.get(String(id)) || [];
+    if (version && versions.some(existingVersion => existingVersion.version === version.version)) {
+      throw new Error('Proposal version already recorded');
+    }
+
+    const updated = {
+      ...existing,
+      ...clone(changes),
+      status: toStatus,
+      updated_at: event.occurred_at
+    };
+    this.governanceProposals.set(String(id), updated);
+    this.proposalEvents.push(timelineEntry);
+    if (electorate) {
+      this.electorates.set(String(id), [...new Set(electorate)].map(voterPseudonym => ({
+        proposal_id: String(id),
+        voter_pseudonym: voterPseudonym,
+        snapshot_at: event.occurred_at
+      })));
+    }
+    if (version) {
+      this.proposalVersions.set(String(id), [...versions, {
+        amendment_id: null,
+        created_by: null,
+        created_at: event.occurred_at,
+        ...clone(version),
+        proposal_id: String(id)
+      }]);
+      for (const amendment of this.amendments.values()) {
+        if (amendment.proposal_id === String(id) && amendment.status === 'pending' &&
+            amendment.base_version < version.version && amendment.id !== version.amendment_id) {
+          amendment.status = 'superseded';
+          amendment.decided_at = event.occurred_at;
+        }
+      }
+    }
+
+    return clone(updated);
+  }
+
+  async recordGovernanceProposalEnactment(enactment) {
+    const { id, enacted_by, enacted_at, event } = enactment;
+    const existing = this.governanceProposals.get(String(id));
+    if (!existing || existing.status !== 'approved' || existing.enacted_at) {
+      return null;
+    }
+    const timelineEntry = proposalEvent(event);
+
+    const updated = { ...existing, enacted_at, enacted_by: String(enacted_by), updated_at: enacted_at };
+    this.governanceProposals.set(String(id), updated);
+    this.proposalEvents.push(timelineEntry);
+
+    return clone(updated);
+  }
+
+  async findGovernanceProposals(query = {}) {
+    const { statuses, proposalType, createdBy, votingStartsBy, votingEndsBy, limit } = query;
+
+    const proposals = Array.from(this.governanceProposals.values())
+      .filter(proposal =>
+        (!statuses || statuses.includes(proposal.status)) &&
+        (!proposalType || proposal.proposal_type === proposalType) &&
+        (!createdBy || String(proposal.created_by) === String(createdBy)) &&
+        (!votingStartsBy || compare(proposal.voting_start_date, votingStartsBy) <= 0) &&
+        (!votingEndsBy || compare(proposal.voting_end_date, votingEndsBy) <= 0))
+      .sort((a, b) => compare(b.created_at, a.created_at));
+
+    return (limit ? proposals.slice(0, limit) : proposals).map(clone);
+  }
+
+  async findGovernanceProposalEvents(proposalId) {
+    return this.proposalEvents
+      .filter(event => event.proposal_id === String(proposalId))
+      .map(clone);
+  }
+
+  async findGovernanceProposalVersions(proposalId) {
+    return (this.proposalVersions.get(String(proposalId)) || []).map(clone);
+  }
+
+  async createGovernanceAmendment(amendment, event) {
+    if (!amendment || !amendment.id || !amendment.proposal_id) {
+      throw new Error('Amendment id and proposal are required');
+    }
+    if (this.amendments.has(String(amendment.id))) {
+      throw new Error('Amendment already exists');
+    }
+    // Mirrors the foreign key to governance_proposal_versions
+    if (!(this.proposalVersions.get(String(amendment.proposal_id)) || [])
+      .some(version => version.version === amendment.base_version)) {
+      throw new Error('Proposal version not found');
+    }
+    const timelineEntry = proposalEvent(event);
+
+    const stored = {
+      rationale: null,
+      resulting_version: null,
+      decided_at: null,
+      created_at: new Date().toISOString(),
+      ...clone(amendment),
+      id: String(amendment.id),
+      proposal_id: String(amendment.proposal_id),
+      status: 'pending'
+    };
+    this.amendments.set(stored.id, stored);
+    this.proposalEvents.push(timelineEntry);
+
+    return this.countAmendmentVotes(stored);
+  }
+
+  async findGovernanceAmendmentById(id) {
+    const amendment = this.amendments.get(String(id));
+    return amendment ? this.countAmendmentVotes(amendment) : null;
+  }
+
+  async findGovernanceAmendments(query = {}) {
+    const { proposalId, statuses } = query;
+
+    return Array.from(this.amendments.values())
+      .filter(amendment =>
+        (!proposalId || amendment.proposal_id === String(proposalId)) &&
+        (!statuses || statuses.includes(amendment.status)))
+      .sort((a, b) => compare(a.created_at, b.created_at))
+      .map(amendment => this.countAmendmentVotes(amendment));
+  }
+
+  async decideGovernanceAmendment(decision) {
+    const { id, status, resulting_version, decided_at, event, transition } = decision;
+    const existing = this.amendments.get(String(id));
+    if (!existing || existing.status !== 'pending') {
+      return null;
+    }
+    const timelineEntry = event ? proposalEvent(event) : null;
+
+    const proposal = transition ? await this.transitionGovernanceProposal(transition) : null;
+    if (transition && !proposal) {
+      return null;
+    }
+    existing.status = status;
+    existing.resulting_version = resulting_version || null;
+    existing.decided_at = decided_at;
+    if (timelineEntry) {
+      this.proposalEvents.push(timelineEntry);
+    }
+
+    return { amendment: this.countAmendmentVotes(existing), proposal };
+  }
+
+  async lapseGovernanceAmendments(proposalId, decidedAt) {
+    let lapsed = 0;
+    for (const amendment of this.amendments.values()) {
+      if (amendment.proposal_id === String(proposalId) && amendment.status === 'pending') {
+        amendment.status = 'lapsed';
+        amendment.decided_at = decidedAt;
+        lapsed++;
+      }
+    }
+    return lapsed;
+  }
+
+  async recordAmendmentVote(vote) {
+    if (!vote || !vote.id || !vote.amendment_id || !vote.voter_pseudonym) {
+      throw new Error('Amendment vote id, amendment and voter are required');
+    }
+    if (this.amendmentVotes.some(existing =>
+      existing.amendment_id === String(vote.amendment_id) && existing.voter_pseudonym === vote.voter_pseudonym)) {
+      throw new Error('Amendment vote already recorded');
+    }
+
+    const stored = {
+      cast_at: new Date().toISOString(),
+      ...clone(vote),
+      amendment_id: String(vote.amendment_id)
+    };
+    this.amendmentVotes.push(stored);
+
+    return clone(stored);
+  }
+
+  async findAmendmentVotes(query = {}) {
+    const { amendmentId, voterPseudonym } = query;
+
+    return this.amendmentVotes
+      .filter(vote =>
+        (!amendmentId || vote.amendment_id === String(amendmentId)) &&
+        (!voterPseudonym || vote.voter_pseudonym === voterPseudonym))
+      .map(clone);
+  }
+
+  async findGovernanceElectorate(query = {}) {
+    const { proposalId, voterPseudonym } = query;
+
+    return (this.electorates.get(String(proposalId)) || [])
+      .filter(entry => !voterPseudonym || entry.voter_pseudonym === voterPseudonym)
+      .map(clone);
+  }
+
+  async recordRoleGrant(grant) {
+    if (!grant || !grant.id || !grant.member_id || !grant.proposal_id) {
+      throw new Error('Role grant id, member and proposal are required');
+    }
+
+    const member = this.members.get(String(grant.member_id));
+    if (!member) {
+      throw new Error('Member not found');
+    }
+    if (this.roleGrants.some(existing =>
+      existing.proposal_id === String(grant.proposal_id) && existing.member_id === String(grant.member_id))) {
+      throw new Error('Decision already enacted for this member');
+    }
+
+    const stored = { ...clone(grant), member_id: String(grant.member_id), proposal_id: String(grant.proposal_id) };
+    this.roleGrants.push(stored);
+    member.governance_role = grant.granted_role;
+    member.updated_at = grant.enacted_at;
+
+    return clone(stored);
+  }
+
+  async findRoleGrants(query = {}) {
+    const { memberId, proposalId } = query;
+
+    return this.roleGrants
+      .filter(grant =>
+        (!memberId || grant.member_id === String(memberId)) &&
+        (!proposalId || grant.proposal_id === String(proposalId)))
+      .map(clone);
+  }
+
+  async recordVote(vote) {
+    if (!vote || !vote.id || !vote.proposal_id || !vote.voter_pseudonym) {
+      throw new Error('Vote id, proposal and voter are required');
+    }
+    const round = vote.voting_round || 1;
+    if (this.votes.some(existing =>
+      existing.proposal_id === String(vote.proposal_id) && existing.voting_round === round &&
+      existing.voter_pseudonym === vote.voter_pseudonym)) {
+      throw new Error('Vote already recorded');
+    }
+
+    const stored = {
+      vote_decision: null,
+      ballot: null,
+      consent_position: null,
+      objection_principle: null,
+      vote_weight: 1.0,
+      vote_reason: null,
+      proposal_version: null,
+      text_hash: null,
+      reconfirmed_at: null,
+      vote_timestamp: new Date().toISOString(),
+      ...clone(vote),
+      proposal_id: String(vote.proposal_id),
+      voting_round: round
+    };
+    this.votes.push(stored);
+
+    return clone(stored);
+  }
+
+  async reconfirmVote(vote) {
+    const existing = this.votes.find(stored => stored.id === String(vote.id));
+    if (!existing || existing.text_hash !== vote.fromTextHash) {
+      return null;
+    }
+
+    Object.assign(existing, {
+      vote_decision: vote.vote_decision || null,
+      ballot: clone(vote.ballot) || null,
+      consent_position: vote.consent_position || null,
+      objection_principle: vote.objection_principle || null,
+      vote_reason: vote.vote_reason || null,
+      proposal_version: vote.proposal_version,
+      text_hash: vote.text_hash,
+      reconfirmed_at: vote.reconfirmed_at
+    });
+    return clone(existing);
+  }
+
+  async findVotes(query = {}) {
+    const { proposalId, round, voterPseudonym } = query;
+
+    return this.votes
+      .filter(vote =>
+        (!proposalId || vote.proposal_id === String(proposalId)) &&
+        (!round || vote.voting_round === round) &&
+        (!voterPseudonym || vote.voter_pseudonym === voterPseudonym))
+      .map(clone);
+  }
+
+  async createPartner(partner) {
+    if (!partner || !partner.id || !partner.proposal_id) {
+      throw new Error('Partner id and proposal are required');
+    }
+    // Mirrors the UNIQUE constraint on partner_organisations.proposal_id
+    if (Array.from(this.partners.values()).some(existing => existing.proposal_id === String(partner.proposal_id))) {
+      throw new Error('Partner already registered for this decision');
+    }
+
+    const stored = {
+      active: true,
+      created_at: new Date().toISOString(),
+      ...clone(partner),
+      proposal_id: String(partner.proposal_id)
+    };
+    this.partners.set(String(partner.id), stored);
+
+    return clone(stored);
+  }
+
+  async findPartnerById(id) {
+    const partner = this.partners.get(String(id));
+    return partner ? clone(partner) : null;
+  }
+
+  async savePartnerApiKey(key) {
+    if (!key || !key.id || !key.partner_id) {
+      throw new Error('API key id and partner are required');
+    }
+
+    const stored = {
+      label: null,
+      expires_at: null,
+      last_used_at: null,
+      replaced_by: null,
+      revoked_at: null,
+      revocation_reason: null,
+      ...this.partnerApiKeys.get(String(key.id)),
+      ...clone(key),
+      partner_id: String(key.partner_id)
+    };
+    this.partnerApiKeys.set(String(key.id), stored);
+
+    return clone(stored);
+  }
+
+  async findPartnerApiKeys(query = {}) {
+    const { id, keyHash, partnerId } = query;
+
+    return Array.from(this.partnerApiKeys.values())
+      .filter(key =>
+        (!id || key.id === String(id)) &&
+        (!keyHash || key.key_hash === keyHash) &&
+        (!partnerId || key.partner_id === String(partnerId)))
+      .sort((a, b) => compare(a.issued_at, b.issued_at))
+      .map(clone);
+  }
+
+  async recordApiKeyUsage(usage) {
+    const { keyId, scope, usedAt, rateLimited } = usage || {};
+    const key = this.partnerApiKeys.get(String(keyId));
+    if (!key || !scope || !usedAt) {
+      throw new Error('Known API key, scope and time are required');
+    }
+
+    const usageDate = usedAt.slice(0, 10);
+    const entryKey = `${key.id}|${usageDate}|${scope}`;
+    const entry = this.apiKeyUsage.get(entryKey) ||
+      { key_id: key.id, usage_date: usageDate, scope, request_count: 0, rate_limited_count: 0 };
+
+    entry.request_count++;
+    if (rateLimited) {
+      entry.rate_limited_count++;
+    }
+    this.apiKeyUsage.set(entryKey, entry);
+    key.last_used_at = usedAt;
+  }
+
+  async findApiKeyUsage(query = {}) {
+    const { keyIds, from, to } = query;
+    const keys = keyIds ? keyIds.map(String) : null;
+
+    return Array.from(this.apiKeyUsage.values())
+      .filter(entry =>
+        (!keys || keys.includes(entry.key_id)) &&
+        (!from || entry.usage_date >= from) &&
+        (!to || entry.usage_date <= to))
+      .sort((a, b) => compare(a.usage_date, b.usage_date) || compare(a.key_id, b.key_id) || compare(a.scope, b.scope))
+      .map(clone);
+  }
+
+  async recordWebhookNonce(nonce) {
+    if (!nonce || !nonce.source || !nonce.nonce || !nonce.expires_at) {
+      throw new Error('Webhook source, nonce and expiry are required');
+    }
+
+    const now = new Date().toISOString();
+    for (const [entryKey, entry] of this.webhookNonces) {
+      if (entry.expires_at <= now) {
+        this.webhookNonces.delete(entryKey);
+      }
+    }
+
+    const entryKey = `${nonce.source}|${nonce.nonce}`;
+    if (this.webhookNonces.has(entryKey)) {
+      return false;
+    }
+
+    this.webhookNonces.set(entryKey, { received_at: now, ...clone(nonce) });
+    return true;
+  }
+
+  async enqueueOutboundDelivery(delivery) {
+    if (!delivery || !delivery.id || !delivery.destination || !delivery.idempotency_key || !delivery.payload) {
+      throw new Error('Delivery id, destination, idempotency key and payload are required');
+    }
+
+    // Mirrors the UNIQUE (destination, idempotency_key) constraint on outbound_deliveries
+    const existing = Array.from(this.outboundDeliveries.values()).find(entry =>
+      entry.destination === delivery.destination && entry.idempotency_key === delivery.idempotency_key);
+    if (existing) {
+      return { delivery: clone(existing), created: false };
+    }
+
+    const now = new Date().toISOString();
+    const stored = {
+      content_id: null,
+      content_type: null,
+      enqueued_by: null,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now,
+      last_attempt_at: null,
+      last_status_code: null,
+      last_error: null,
+      delivered_at: null,
+      dead_lettered_at: null,
+      replay_count: 0,
+      replayed_by: null,
+      replayed_at: null,
+      created_at: now,
+      updated_at: now,
+      ...clone(delivery),
+      id: String(delivery.id)
+    };
+    this.outboundDeliveries.set(stored.id, stored);
+
+    return { delivery: clone(stored), created: true };
+  }
+
+  async claimOutboundDeliveries(claim) {
+    const { now, leaseUntil, limit } = claim || {};
+    if (!now || !leaseUntil) {
+      throw new Error('Claim time and lease are required');
+    }
+
+    const claimed = Array.from(this.outboundDeliveries.values())
+      .filter(entry => ['pending', 'delivering'].includes(entry.status) && entry.next_attempt_at <= now)
+      .sort((a, b) => compare(a.next_attempt_at, b.next_attempt_at))
+      .slice(0, limit || 10);
+
+    for (const entry of claimed) {
+      entry.status = 'delivering';
+      entry.next_attempt_at = leaseUntil;
+      entry.updated_at = new Date().toISOString();
+    }
+
+    return claimed.map(clone);
+  }
+
+  async saveOutboundDelivery(delivery) {
+    const existing = delivery && this.outboundDeliveries.get(String(delivery.id));
+    if (!existing) {
+      throw new Error('Outbound delivery not found');
+    }
+
+    const { id, destination, idempotency_key, payload, created_at, ...changes } = clone(delivery);
+    Object.assign(existing, changes, { updated_at: new Date().toISOString() });
+
+    return clone(existing);
+  }
+
+  async findOutboundDeliveries(query = {}) {
+    const { id, status, destination, contentId, limit } = query;
+
+    const deliveries = Array.from(this.outboundDeliveries.values())
+      .filter(entry =>
+        (!id || entry.id === String(id)) &&
+        (!status || entry.status === status) &&
+        (!destination || entry.destination === destination) &&
+        (!contentId || entry.content_id === String(contentId)))
+      .sort((a, b) => compare(b.created_at, a.created_at));
+
+    return (limit ? deliveries.slice(0, limit) : deliveries).map(clone);
+  }
+
+  async createWebhookSubscription(subscription) {
+    if (!subscription || !subscription.id || !subscription.partner_id || !subscription.proposal_id) {
+      throw new Error('Subscription id, partner and proposal are required');
+    }
+    // Mirrors the UNIQUE constraint on webhook_subscriptions.proposal_id
+    if (Array.from(this.webhookSubscriptions.values()).some(existing => existing.proposal_id === String(subscription.proposal_id))) {
+      throw new Error('Subscription already created for this decision');
+    }
+
+    const now = new Date().toISOString();
+    const stored = {
+      description: null,
+      status: 'active',
+      consecutive_failures: 0,
+      last_success_at: null,
+      last_failure_at: null,
+      disabled_at: null,
+      disabled_reason: null,
+      created_at: now,
+      updated_at: now,
+      ...clone(subscription),
+      id: String(subscription.id),
+      partner_id: String(subscription.partner_id),
+      proposal_id: String(subscription.proposal_id)
+    };
+    this.webhookSubscriptions.set(stored.id, stored);
+
+    return clone(stored);
+  }
+
+  async saveWebhookSubscription(subscription) {
+    const existing = subscription && this.webhookSubscriptions.get(String(subscription.id));
+    if (!existing) {
+      throw new Error('Webhook subscription not found');
+    }
+
+    const { status, consecutive_failures, disabled_at, disabled_reason } = clone(subscription);
+    Object.assign(existing, {
+      status,
+      consecutive_failures,
+      disabled_at: disabled_at || null,
+      disabled_reason: disabled_reason || null,
+      updated_at: new Date().toISOString()
+    });
+
+    return clone(existing);
+  }
+
+  async findWebhookSubscriptions(query = {}) {
+    const { id, partnerId, status, eventType } = query;
+
+    return Array.from(this.webhookSubscriptions.values())
+      .filter(subscription =>
+        (!id || subscription.id === String(id)) &&
+        (!partnerId || subscription.partner_id === String(partnerId)) &&
+        (!status || subscription.status === status) &&
+        (!eventType || subscription.event_types.includes(eventType)))
+      .sort((a, b) => compare(a.created_at, b.created_at) || compare(a.id, b.id))
+      .map(clone);
+  }
+
+  async recordWebhookSubscriptionOutcome(outcome) {
+    const { id, delivered, at } = outcome || {};
+    const subscription = this.webhookSubscriptions.get(String(id));
+    if (!subscription) {
+      return null;
+    }
+
+    if (delivered) {
+      subscription.consecutive_failures = 0;
+      subscription.last_success_at = at;
+    } else {
+      subscription.consecutive_failures++;
+      subscription.last_failure_at = at;
+    }
+    subscription.updated_at = new Date().toISOString();
+
+    return clone(subscription);
+  }
+
+  async saveWithOutboxEvents(collection, record, metadata, events) {
+    if (!Array.isArray(events) || events.some(event => !event || !event.id || !event.type || !event.correlationId)) {
+      throw new Error('Outbox events need an id, type and correlation id');
+    }
+    // Mirrors the primary key on domain_event_outbox before anything is written
+    if (events.some(event => this.outboxEvents.has(String(event.id)))) {
+      throw new Error('Outbox event already recorded');
+    }
+
+    const stored = await this.save(collection, record, metadata);
+    const now = new Date().toISOString();
+    for (const event of events) {
+      this.outboxEvents.set(String(event.id), {
+        id: String(event.id),
+        event_type: event.type,
+        correlation_id: event.correlationId,
+        envelope: clone(event),
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: now,
+        last_error: null,
+        published_at: null,
+        created_at: now
+      });
+    }
+
+    return stored;
+  }
+
+  async claimOutboxEvents(claim) {
+    const { now, leaseUntil, limit } = claim || {};
+    if (!now || !leaseUntil) {
+      throw new Error('Claim time and lease are required');
+    }
+
+    const claimed = Array.from(this.outboxEvents.values())
+      .filter(entry => ['pending', 'publishing'].includes(entry.status) && entry.next_attempt_at <= now)
+      .sort((a, b) => compare(a.created_at, b.created_at))
+      .slice(0, limit || 50);
+
+    for (const entry of claimed) {
+      entry.status = 'publishing';
+      entry.next_attempt_at = leaseUntil;
+    }
+
+    return claimed.map(clone);
+  }
+
+  async saveOutboxEvent(event) {
+    const existing = event && this.outboxEvents.get(String(event.id));
+    if (!existing) {
+      throw new Error('Outbox event not found');
+    }
+
+    const { status, attempts, next_attempt_at, last_error, published_at } = clone(event);
+    Object.assign(existing, {
+      status,
+      attempts,
+      next_attempt_at,
+      last_error: last_error || null,
+      published_at: published_at || null
+    });
+
+    return clone(existing);
+  }
+
+  async findOutboxEvents(query = {}) {
+    const { id, status, correlationId, limit } = query;
+
+    const events = Array.from(this.outboxEvents.values())
+      .filter(entry =>
+        (!id || entry.id === String(id)) &&
+        (!status || entry.status === status) &&
+        (!correlationId || entry.correlation_id === correlationId))
+      .sort((a, b) => compare(a.created_at, b.created_at));
+
+    return (limit ? events.slice(0, limit) : events).map(clone);
+  }
+
+  async healthCheck() {
+    return {
+      healthy: true,
+      adapter: 'memory',
+      records: this.entries.size
+    };
+  }
+
+  // Helper methods
+
+  /**
+   * Copy of an amendment with its support_votes and oppose_votes counts
+   */
+  countAmendmentVotes(amendment) {
+    const votes = this.amendmentVotes.filter(vote => vote.amendment_id === amendment.id);
+    return {
+      ...clone(amendment),
+      support_votes: votes.filter(vote => vote.decision === 'support').length,
+      oppose_votes: votes.filter(vote => vote.decision === 'oppose').length
+    };
+  }
+}
+
+// Helper functions
+
+function clone(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Timeline entry with the defaults governance_proposal_events applies
+ */
+function proposalEvent(event) {
+  if (!event || !event.id || !event.proposal_id || !event.event_type || !event.to_status) {
+    throw new Error('Proposal event id, proposal, type and status are required');
+  }
+
+  return {
+    from_status: null,
+    actor_id: null,
+    details: {},
+    occurred_at: new Date().toISOString(),
+    ...clone(event),
+    proposal_id: String(event.proposal_id)
+  };
+}
+
+/**
+ * JSONB-style containment (@>): objects match when every given key matches
+ */
+function containsValue(actual, expected) {
+  if (expected && typeof expected === 'object' && !Array.isArray(expected)) {
+    return Boolean(actual) && typeof actual === 'object' &&
+      Object.entries(expected).every(([key, value]) => containsValue(actual[key], value));
+  }
+  return actual === expected;
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+}
+
+function withinRange(value, bounds = {}) {
+  if (value === undefined || value === null) {
+    return false;
+  }
+  if (bounds.gte !== undefined && value < bounds.gte) {
+    return false;
+  }
+  if (bounds.lte !== undefined && value > bounds.lte) {
+    return false;
+  }
+  return true;
+}
+
+module.exports = InMemoryStorageAdapter;
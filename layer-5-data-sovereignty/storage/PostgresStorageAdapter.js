@@ -0,0 +1,2255 @@
+/**
+ * PostgreSQL Storage Adapter (Layer 5)
+ *
+ * SCOPE: Production record storage in community_data_records
+ * DOES NOT: Open its own connections or own the schema
+ * ONLY: Implements the StorageAdapter contract, one row per record with
+ *       record_type holding the collection name and data holding the record
+ *
+ * Ordering and range filters compare the JSON text value, so they are intended
+ * for ISO-8601 timestamps and other lexically ordered strings.
+ *
+ * Audit entries live in data_operation_audit, which rejects UPDATE and DELETE
+ * (migration 0002_append_only_audit_log). Consents live in community_consent_tracking,
+ * with consent_scope stored as space-separated tokens. Members are community_members
+ * rows and refresh tokens live in community_refresh_tokens. Credentials and
+ * account tokens live in member_credentials and member_account_tokens
+ * (migration 0005_member_credentials); creator profiles are creators rows that
+ * share the member's id. Role grants live in member_role_grants, which rejects
+ * UPDATE and DELETE (migration 0006_governance_role_grants). Partners, their API
+ * keys and daily key usage live in partner_organisations, partner_api_keys and
+ * partner_api_key_usage (migration 0008_partner_api_keys). Webhook nonces live in
+ * webhook_nonces (migration 0009_webhook_nonces). The outbound delivery queue
+ * and its dead letters live in outbound_deliveries (migration 0010_outbound_deliveries).
+ * Webhook subscriptions live in webhook_subscriptions (migration 0011_webhook_subscriptions).
+ * Domain events waiting to be published live in domain_event_outbox (migration
+ * 0012_domain_event_outbox), written in the same transaction as their record.
+ * Proposal timelines live in governance_proposal_events, which rejects UPDATE
+ * and DELETE (migration 0013_proposal_lifecycle). Electorate snapshots live in
+ * governance_proposal_electorate, which does the same (migration 0014_governance_electorate).
+ * Voting methods, ballot options and option ballots are JSONB columns on
+ * governance_proposals and community_voting_records (migration 0015_multi_option_voting).
+ * Consent rounds and positions are columns on the same tables (migration 0016_consent_decisions).
+ * Proposal text versions and amendment votes live in governance_proposal_versions and
+ * governance_amendment_votes, which reject UPDATE and DELETE, and amendments in
+ * governance_proposal_amendments (migration 0017_proposal_versions).
+ */
+
+const StorageAdapter = require('./StorageAdapter');
+
+// Serialises audit appends so every entry links to the true previous one
+const AUDIT_APPEND_LOCK_KEY = 75750002;
+
+// PostgreSQL unique_violation and foreign_key_violation
+const UNIQUE_VIOLATION = '23505';
+const FOREIGN_KEY_VIOLATION = '23503';
+
+// Amendment columns with the amendment's vote counts (table alias a)
+const AMENDMENT_COLUMNS = `a.*,
+  (SELECT COUNT(*) FROM governance_amendment_votes v WHERE v.amendment_id = a.id AND v.decision = 'support') AS support_votes,
+  (SELECT COUNT(*) FROM governance_amendment_votes v WHERE v.amendment_id = a.id AND v.decision = 'oppose') AS oppose_votes`;
+
+// Proposal columns a lifecycle transition may set
+const PROPOSAL_TRANSITION_COLUMNS = [
+  'title',
+  'description',
+  'voting_method',
+  'passing_threshold',
+  'voting_start_date',
+  'voting_end_date',
+  'quorum_required',
+  'eligible_voters',
+  'quorum_met',
+  'total_votes',
+  'approve_votes',
+  'reject_votes',
+  'abstain_votes',
+  'winning_option',
+  'results',
+  'consent_round',
+  'escalated_at',
+  'current_version',
+  'text_hash',
+  'tallied_at'
+];
+
+class PostgresStorageAdapter extends StorageAdapter {
+  constructor(databaseConnection) {
+    super();
+    if (!databaseConnection) {
+      throw new Error('Database connection is required');
+    }
+    this.db = databaseConnection;
+  }
+
+  async save(collection, record, metadata = {}) {
+    if (!collection || !record || !record.id) {
+      throw new Error('Collection and record id are required');
+    }
+
+    return await upsertRecord(this.db, collection, record, metadata);
+  }
+
+  async saveWithOutboxEvents(collection, record, metadata = {}, events) {
+    if (!collection || !record || !record.id) {
+      throw new Error('Collection and record id are required');
+    }
+    if (!Array.isArray(events) || events.some(event => !event || !event.id || !event.type || !event.correlationId)) {
+      throw new Error('Outbox events need an id, type and correlation id');
+    }
+
+    try {
+      return await this.db.transaction(async (transaction) => {
+        const stored = await upsertRecord(transaction, collection, record, metadata);
+        for (const event of events) {
+          await transaction.query(
+            `INSERT INTO domain_event_outbox (id, event_type, correlation_id, envelope)
+             VALUES ($1, $2, $3, $4)`,
+            [event.id, event.type, event.correlationId, JSON.stringify(event)]
+          );
+        }
+        return stored;
+      });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new Error('Outbox event already recorded');
+      }
+      throw error;
+    }
+  }
+
+  async findById(collection, id) {
+    const { rows } = collection
+      ? await this.db.query(
+        'SELECT data FROM community_data_records WHERE id = $1 AND record_type = $2',
+        [String(id), collection]
+      )
+      : await this.db.query(
+        'SELECT data FROM community_data_records WHERE id = $1',
+        [String(id)]
+      );
+
+    return rows.length > 0 ? rows[0].data : null;
+  }
+
+  async find(collection, query = {}) {
+    const { where = {}, contains = {}, range = {}, orderBy, direction = 'desc', limit, offset = 0 } = query;
+
+    const params = [collection];
+    const conditions = ['record_type = $1'];
+
+    // Exact matches and array membership are both JSONB containment
+    const containment = { ...where };
+    for (const [field, value] of Object.entries(contains)) {
+      containment[field] = [value];
+    }
+    if (Object.keys(containment).length > 0) {
+      params.push(JSON.stringify(containment));
+      conditions.push(`data @> $${params.length}::jsonb`);
+    }
+
+    for (const [field, bounds] of Object.entries(range)) {
+      params.push(field);
+      const fieldParam = params.length;
+      if (bounds.gte !== undefined) {
+        params.push(String(bounds.gte));
+        conditions.push(`data->>$${fieldParam} >= $${params.length}`);
+      }
+      if (bounds.lte !== undefined) {
+        params.push(String(bounds.lte));
+        conditions.push(`data->>$${fieldParam} <= $${params.length}`);
+      }
+    }
+
+    const whereClause = conditions.join(' AND ');
+
+    const countResult = await this.db.query(
+      `SELECT COUNT(*) AS total FROM community_data_records WHERE ${whereClause}`,
+      params
+    );
+
+    const pageParams = [...params];
+    let orderClause = 'ORDER BY created_at DESC';
+    if (orderBy) {
+      pageParams.push(orderBy);
+      orderClause = `ORDER BY data->>$${pageParams.length} ${direction === 'asc' ? 'ASC' : 'DESC'} NULLS LAST`;
+    }
+
+    pageParams.push(limit !== undefined ? limit : null);
+    const limitParam = pageParams.length;
+    pageParams.push(offset);
+    const offsetParam = pageParams.length;
+
+    const { rows } = await this.db.query(
+      `SELECT data FROM community_data_records
+       WHERE ${whereClause}
+       ${orderClause}
+       LIMIT $${limitParam} OFFSET $${offsetParam}`,
+      pageParams
+    );
+
+    return {
+      items: rows.map(row => row.data),
+      total: parseInt(countResult.rows[0].total, 10)
+    };
+  }
+
+  async update(collection, id, changes) {
+    const { id: ignoredId, ...fields } = changes || {};
+
+    const { rows } = await this.db.query(
+      `UPDATE community_data_records
+       SET data = data || $3::jsonb, updated_at = NOW()
+       WHERE id = $1 AND record_type = $2
+       RETURNING data`,
+      [String(id), collection, JSON.stringify(fields)]
+    );
+
+    return rows.length > 0 ? rows[0].data : null;
+  }
+
+  async delete(collection, id) {
+    const { rowCount } = await this.db.query(
+      'DELETE FROM community_data_records WHERE id = $1 AND record_type = $2',
+      [String(id), collection]
+    );
+
+    return rowCount > 0;
+  }
+
+  async appendAuditEntry(buildEntry) {
+    return await this.db.transaction(async (transaction) => {
+      await transaction.query('SELECT pg_advisory_xact_lock($1)', [AUDIT_APPEND_LOCK_KEY]);
+
+      const { rows: latest } = await transaction.query(
+        `SELECT * FROM data_operation_audit
+         ORDER BY sequence_number DESC
+         LIMIT $1`,
+        [1]
+      );
+
+      const entry = buildEntry(latest.length > 0 ? mapAuditRow(latest[0]) : null);
+
+      const { rows } = await transaction.query(
+        `INSERT INTO data_operation_audit (sequence_number, operation_type, data_id, actor_id,
+           audit_data, audit_timestamp, previous_hash, entry_hash)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [
+          entry.sequence_number,
+          entry.operation_type,
+          entry.data_id,
+          entry.actor_id,
+          JSON.stringify(entry.audit_data || {}),
+          entry.audit_timestamp,
+          entry.previous_hash,
+          entry.entry_hash
+        ]
+      );
+
+      return mapAuditRow(rows[0]);
+    });
+  }
+
+  async findAuditEntries(query = {}) {
+    const { operationType, dataId, actorId, from, to, afterSequence, limit } = query;
+
+    const params = [];
+    const conditions = [];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (operationType) addCondition('operation_type = ?', operationType);
+    if (dataId) addCondition('data_id = ?', String(dataId));
+    if (actorId) addCondition('actor_id = ?', String(actorId));
+    if (from) addCondition('audit_timestamp >= ?', new Date(from).toISOString());
+    if (to) addCondition('audit_timestamp <= ?', new Date(to).toISOString());
+    if (afterSequence !== undefined) addCondition('sequence_number > ?', afterSequence);
+
+    params.push(limit !== undefined ? limit : null);
+
+    const { rows } = await this.db.query(
+      `SELECT * FROM data_operation_audit
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY sequence_number ASC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    return rows.map(mapAuditRow);
+  }
+
+  async saveConsent(consent) {
+    if (!consent || !consent.id) {
+      throw new Error('Consent id is required');
+    }
+
+    const { rows } = await this.db.query(
+      `INSERT INTO community_consent_tracking (
+         id, data_subject_id, community_id, operation_type, data_type, consent_type,
+         consent_given, consent_date, consent_expiry_date, consent_scope, granted_by,
+         community_benefit_explained, consent_withdrawn, withdrawal_date, withdrawal_reason
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+       ON CONFLICT (id) DO UPDATE SET
+         consent_given = EXCLUDED.consent_given,
+         consent_expiry_date = EXCLUDED.consent_expiry_date,
+         consent_scope = EXCLUDED.consent_scope,
+         consent_withdrawn = EXCLUDED.consent_withdrawn,
+         withdrawal_date = EXCLUDED.withdrawal_date,
+         withdrawal_reason = EXCLUDED.withdrawal_reason,
+         updated_at = NOW()
+       RETURNING *`,
+      [
+        consent.id,
+        consent.data_subject_id,
+        consent.community_id,
+        consent.operation_type,
+        consent.data_type,
+        consent.consent_type,
+        consent.consent_given,
+        consent.consent_date,
+        consent.consent_expiry_date,
+        (consent.consent_scope || []).join(' '),
+        consent.granted_by,
+        consent.community_benefit_explained || false,
+        consent.consent_withdrawn || false,
+        consent.withdrawal_date,
+        consent.withdrawal_reason
+      ]
+    );
+
+    return mapConsentRow(rows[0]);
+  }
+
+  async findConsentById(id) {
+    const { rows } = await this.db.query(
+      'SELECT * FROM community_consent_tracking WHERE id::text = $1',
+      [String(id)]
+    );
+
+    return rows.length > 0 ? mapConsentRow(rows[0]) : null;
+  }
+
+  async findConsents(query = {}) {
+    const { communityId, subjects } = query;
+
+    const params = [];
+    const conditions = [];
+
+    if (communityId) {
+      params.push(communityId);
+      conditions.push(`community_id = $${params.length}`);
+    }
+
+    if (subjects) {
+      const subjectIds = subjects.filter(subject => subject !== null).map(String);
+      params.push(subjectIds);
+      const subjectCondition = [`data_subject_id::text = ANY($${params.length}::text[])`];
+      if (subjects.includes(null)) {
+        subjectCondition.push('data_subject_id IS NULL');
+      }
+      conditions.push(`(${subjectCondition.join(' OR ')})`);
+    }
+
+    const { rows } = await this.db.query(
+      `SELECT * FROM community_consent_tracking
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY consent_date DESC NULLS LAST`,
+      params
+    );
+
+    return rows.map(mapConsentRow);
+  }
+
+  async saveMember(member) {
+    if (!member || !member.id) {
+      throw new Error('Member id is required');
+    }
+
+    const { rows } = await this.db.query(
+      `INSERT INTO community_members (
+         id, username, email, display_name, governance_role, voting_rights_active, active,
+         community_joined_date, liberation_values_training_completed, anti_oppression_training_completed,
+         trauma_informed_interaction_training
+       ) VALUES ($1, $2, $3, $4, COALESCE($5, 'member'), COALESCE($6, true), COALESCE($7, true),
+                 COALESCE($8, NOW()), COALESCE($9, false), COALESCE($10, false), COALESCE($11, false))
+       ON CONFLICT (id) DO UPDATE SET
+         username = EXCLUDED.username,
+         email = EXCLUDED.email,
+         display_name = EXCLUDED.display_name,
+         governance_role = EXCLUDED.governance_role,
+         voting_rights_active = EXCLUDED.voting_rights_active,
+         active = EXCLUDED.active,
+         community_joined_date = COALESCE($8, community_members.community_joined_date),
+         liberation_values_training_completed = COALESCE($9, community_members.liberation_values_training_completed),
+         anti_oppression_training_completed = COALESCE($10, community_members.anti_oppression_training_completed),
+         trauma_informed_interaction_training = COALESCE($11, community_members.trauma_informed_interaction_training),
+         updated_at = NOW()
+       RETURNING *`,
+      [
+        member.id,
+        member.username,
+        member.email,
+        member.display_name || null,
+        member.governance_role,
+        member.voting_rights_active,
+        member.active,
+        member.community_joined_date || null,
+        member.liberation_values_training_completed,
+        member.anti_oppression_training_completed,
+        member.trauma_informed_interaction_training
+      ]
+    );
+
+    return mapMemberRow(rows[0]);
+  }
+
+  async findMemberById(id) {
+    const { rows } = await this.db.query(
+      'SELECT * FROM community_members WHERE id::text = $1',
+      [String(id)]
+    );
+
+    return rows.length > 0 ? mapMemberRow(rows[0]) : null;
+  }
+
+  async findMembers(query = {}) {
+    const { active } = query;
+
+    const params = [];
+    const conditions = [];
+    if (active !== undefined) {
+      params.push(active);
+      conditions.push(`active = $${params.length}`);
+    }
+
+    const { rows } = await this.db.query(
+      `SELECT * FROM community_members
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY community_joined_date, id`,
+      params
+    );
+
+    return rows.map(mapMemberRow);
+  }
+
+  async saveRefreshToken(token) {
+    if (!token || !token.id) {
+      throw new Error('Refresh token id is required');
+    }
+
+    const { rows } = await this.db.query(
+      `INSERT INTO community_refresh_tokens (
+         id, member_id, family_id, token_hash, issued_at, expires_at,
+         revoked_at, revocation_reason, replaced_by
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (id) DO UPDATE SET
+         revoked_at = EXCLUDED.revoked_at,
+         revocation_reason = EXCLUDED.revocation_reason,
+         replaced_by = EXCLUDED.replaced_by
+       RETURNING *`,
+      [
+        token.id,
+        token.member_id,
+        token.family_id,
+        token.token_hash,
+        token.issued_at,
+        token.expires_at,
+        token.revoked_at || null,
+        token.revocation_reason || null,
+        token.replaced_by || null
+      ]
+    );
+
+    return mapRefreshTokenRow(rows[0]);
+  }
+
+  async rotateRefreshToken(id, rotation) {
+    const { rows } = await this.db.query(
+      `UPDATE community_refresh_tokens
+       SET revoked_at = $2, revocation_reason = 'rotated', replaced_by = $3
+       WHERE id::text = $1 AND revoked_at IS NULL
+       RETURNING *`,
+      [String(id), rotation.revoked_at, rotation.replaced_by]
+    );
+
+    return rows.length > 0 ? mapRefreshTokenRow(rows[0]) : null;
+  }
+
+  async findRefreshTokens(query = {}) {
+    const { tokenHash, familyId, memberId } = query;
+
+    const params = [];
+    const conditions = [];
+
+    if (tokenHash) {
+      params.push(tokenHash);
+      conditions.push(`token_hash = $${params.length}`);
+    }
+    if (familyId) {
+      params.push(familyId);
+      conditions.push(`family_id::text = $${params.length}`);
+    }
+    if (memberId) {
+      params.push(String(memberId));
+      conditions.push(`member_id::text = $${params.length}`);
+    }
+
+    const { rows } = await this.db.query(
+      `SELECT * FROM community_refresh_tokens
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY issued_at DESC`,
+      params
+    );
+
+    return rows.map(mapRefreshTokenRow);
+  }
+
+  async findMemberByIdentifier(identifier) {
+    const { rows } = await this.db.query(
+      `SELECT * FROM community_members
+       WHERE lower(username) = lower($1) OR lower(email) = lower($1)
+       ORDER BY created_at
+       LIMIT 1`,
+      [String(identifier)]
+    );
+
+    return rows.length > 0 ? mapMemberRow(rows[0]) : null;
+  }
+
+  async createMemberAccount(account) {
+    const { member, credential, creator } = account || {};
+    if (!member || !member.id || !credential) {
+      throw new Error('Member and credential are required');
+    }
+
+    try {
+      return await this.db.transaction(async (transaction) => {
+        const { rows: [memberRow] } = await transaction.query(
+          `INSERT INTO community_members (
+             id, username, email, display_name, governance_role, voting_rights_active, active
+           ) VALUES ($1, $2, $3, $4, COALESCE($5, 'member'), COALESCE($6, true), COALESCE($7, true))
+           RETURNING *`,
+          [
+            member.id,
+            member.username,
+            member.email,
+            member.display_name || null,
+            member.governance_role,
+            member.voting_rights_active,
+            member.active
+          ]
+        );
+
+        const { rows: [credentialRow] } = await transaction.query(
+          `INSERT INTO member_credentials (member_id, password_hash, email_verified_at)
+           VALUES ($1, $2, $3)
+           RETURNING *`,
+          [memberRow.id, credential.password_hash, credential.email_verified_at || null]
+        );
+
+        let creatorRow = null;
+        if (creator) {
+          ({ rows: [creatorRow] } = await transaction.query(
+            `INSERT INTO creators (id, username, email, display_name)
+             VALUES ($1, $2, $3, $4)
+             RETURNING *`,
+            [memberRow.id, creator.username, creator.email, creator.display_name || null]
+          ));
+        }
+
+        return {
+          member: mapMemberRow(memberRow),
+          credential: mapCredentialRow(credentialRow),
+          creator: creatorRow ? mapCreatorRow(creatorRow) : null
+        };
+      });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new Error('Username or email already registered');
+      }
+      throw error;
+    }
+  }
+
+  async findCredential(memberId) {
+    const { rows } = await this.db.query(
+      'SELECT * FROM member_credentials WHERE member_id::text = $1',
+      [String(memberId)]
+    );
+
+    return rows.length > 0 ? mapCredentialRow(rows[0]) : null;
+  }
+
+  async saveCredential(credential) {
+    if (!credential || !credential.member_id) {
+      throw new Error('Credential member id is required');
+    }
+
+    const { rows } = await this.db.query(
+      `UPDATE member_credentials SET
+         password_hash = $2,
+         failed_attempts = $3,
+         locked_until = $4,
+         email_verified_at = $5,
+         password_changed_at = $6,
+         updated_at = NOW()
+       WHERE member_id::text = $1
+       RETURNING *`,
+      [
+        String(credential.member_id),
+        credential.password_hash,
+        credential.failed_attempts || 0,
+        credential.locked_until || null,
+        credential.email_verified_at || null,
+        credential.password_changed_at
+      ]
+    );
+
+    if (rows.length === 0) {
+      throw new Error('Credential not found');
+    }
+
+    return mapCredentialRow(rows[0]);
+  }
+
+  async saveAccountToken(token) {
+    if (!token || !token.id) {
+      throw new Error('Account token id is required');
+    }
+
+    const { rows } = await this.db.query(
+      `INSERT INTO member_account_tokens (id, member_id, purpose, token_hash, created_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [token.id, token.member_id, token.purpose, token.token_hash, token.created_at, token.expires_at]
+    );
+
+    return mapAccountTokenRow(rows[0]);
+  }
+
+  async findAccountTokens(query = {}) {
+    const { tokenHash, memberId, purpose, unusedOnly } = query;
+
+    const params = [];
+    const conditions = [];
+
+    if (tokenHash) {
+      params.push(tokenHash);
+      conditions.push(`token_hash = $${params.length}`);
+    }
+    if (memberId) {
+      params.push(String(memberId));
+      conditions.push(`member_id::text = $${params.length}`);
+    }
+    if (purpose) {
+      params.push(purpose);
+      conditions.push(`purpose = $${params.length}`);
+    }
+    if (unusedOnly) {
+      conditions.push('used_at IS NULL');
+    }
+
+    const { rows } = await this.db.query(
+      `SELECT * FROM member_account_tokens
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC`,
+      params
+    );
+
+    return rows.map(mapAccountTokenRow);
+  }
+
+  async markAccountTokenUsed(id, usedAt) {
+    const { rowCount } = await this.db.query(
+      'UPDATE member_account_tokens SET used_at = $2 WHERE id::text = $1 AND used_at IS NULL',
+      [String(id), usedAt]
+    );
+
+    return rowCount > 0;
+  }
+
+  async saveGovernanceProposal(proposal) {
+    if (!proposal || !proposal.id) {
+      throw new Error('Proposal id is required');
+    }
+
+    const { rows } = await this.db.query(
+      `INSERT INTO governance_proposals (
+         id, title, description, proposal_type, liberation_principles_score,
+         voting_start_date, voting_end_date, quorum_required, status, created_by, proposal_payload
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, 10), COALESCE($9, 'open'), $10, $11)
+       ON CONFLICT (id) DO UPDATE SET
+         title = EXCLUDED.title,
+         description = EXCLUDED.description,
+         voting_end_date = EXCLUDED.voting_end_date,
+         status = EXCLUDED.status,
+         proposal_payload = EXCLUDED.proposal_payload
+       RETURNING *`,
+      [
+        proposal.id,
+        proposal.title,
+        proposal.description,
+        proposal.proposal_type,
+        proposal.liberation_principles_score,
+        proposal.voting_start_date,
+        proposal.voting_end_date,
+        proposal.quorum_required,
+        proposal.status,
+        proposal.created_by,
+        proposal.proposal_payload ? JSON.stringify(proposal.proposal_payload) : null
+      ]
+    );
+
+    return mapProposalRow(rows[0]);
+  }
+
+  async findGovernanceProposalById(id) {
+    const { rows } = await this.db.query(
+      'SELECT * FROM governance_proposals WHERE id::text = $1',
+      [String(id)]
+    );
+
+    return rows.length > 0 ? mapProposalRow(rows[0]) : null;
+  }
+
+  async createGovernanceProposal(proposal, event) {
+    if (!proposal || !proposal.id) {
+      throw new Error('Proposal id is required');
+    }
+
+    try {
+      return await this.db.transaction(async (transaction) => {
+        const { rows } = await transaction.query(
+          `INSERT INTO governance_proposals (
+             id, title, description, proposal_type, liberation_principles_score, voting_start_date,
+             voting_end_date, quorum_required, quorum_percentage, passing_threshold, status, created_by,
+             proposal_payload, voting_method, ballot_options, text_hash, created_at, updated_at
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, 0.30), $10, $11, $12, $13,
+                     COALESCE($14, 'simple_majority'), $15, $16, $17, $17)
+           RETURNING *`,
+          [
+            proposal.id,
+            proposal.title,
+            proposal.description,
+            proposal.proposal_type,
+            proposal.liberation_principles_score,
+            proposal.voting_start_date,
+            proposal.voting_end_date,
+            proposal.quorum_required,
+            proposal.quorum_percentage,
+            proposal.passing_threshold,
+            proposal.status,
+            proposal.created_by,
+            proposal.proposal_payload ? JSON.stringify(proposal.proposal_payload) : null,
+            proposal.voting_method,
+            proposal.ballot_options ? JSON.stringify(proposal.ballot_options) : null,
+            proposal.text_hash || null,
+            proposal.created_at
+          ]
+        );
+        await insertProposalEvent(transaction, event);
+        if (rows[0].text_hash) {
+          await insertProposalVersion(transaction, rows[0].id, {
+            version: rows[0].current_version,
+            title: rows[0].title,
+            description: rows[0].description,
+            text_hash: rows[0].text_hash,
+            created_by: rows[0].created_by,
+            created_at: rows[0].created_at
+          });
+        }
+
+        return mapProposalRow(rows[0]);
+      });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new Error('Proposal already exists');
+      }
+      throw error;
+    }
+  }
+
+  async transitionGovernanceProposal(transition) {
+    return await this.db.transaction(transaction => applyProposalTransition(transaction, transition));
+  }
+
+  async recordGovernanceProposalEnactment(enactment) {
+    const { id, enacted_by, enacted_at, event } = enactment;
+
+    return await this.db.transaction(async (transaction) => {
+      const { rows } = await transaction.query(
+        `UPDATE governance_proposals SET enacted_at = $2, enacted_by = $3, updated_at = $2
+         WHERE id::text = $1 AND status = 'approved' AND enacted_at IS NULL
+         RETURNING *`,
+        [String(id), enacted_at, enacted_by]
+      );
+      if (rows.length === 0) {
+        return null;
+      }
+      await insertProposalEvent(transaction, event);
+
+      return mapProposalRow(rows[0]);
+    });
+  }
+
+  async findGovernanceProposals(query = {}) {
+    const { statuses, proposalType, createdBy, votingStartsBy, votingEndsBy, limit } = query;
+
+    const params = [];
+    const conditions = [];
+
+    if (statuses) {
+      params.push(statuses);
+      conditions.push(`status = ANY($${params.length}::text[])`);
+    }
+    if (proposalType) {
+      params.push(proposalType);
+      conditions.push(`proposal_type = $${params.length}`);
+    }
+    if (createdBy) {
+      params.push(String(createdBy));
+      conditions.push(`created_by::text = $${params.length}`);
+    }
+    if (votingStartsBy) {
+      params.push(votingStartsBy);
+      conditions.push(`voting_start_date <= $${params.length}`);
+    }
+    if (votingEndsBy) {
+      params.push(votingEndsBy);
+      conditions.push(`voting_end_date <= $${params.length}`);
+    }
+
+    let limitClause = '';
+    if (limit) {
+      params.push(limit);
+      limitClause = `LIMIT $${params.length}`;
+    }
+
+    const { rows } = await this.db.query(
+      `SELECT * FROM governance_proposals
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC, id
+       ${limitClause}`,
+      params
+    );
+
+    return rows.map(mapProposalRow);
+  }
+
+  async findGovernanceProposalEvents(proposalId) {
+    const { rows } = await this.db.query(
+      `SELECT * FROM governance_proposal_events
+       WHERE proposal_id::text = $1
+       ORDER BY occurred_at, id`,
+      [String(proposalId)]
+    );
+
+    return rows.map(mapProposalEventRow);
+  }
+
+  async findGovernanceProposalVersions(proposalId) {
+    const { rows } = await this.db.query(
+      `SELECT * FROM governance_proposal_versions
+       WHERE proposal_id::text = $1
+       ORDER BY version`,
+      [String(proposalId)]
+    );
+
+    return rows.map(mapProposalVersionRow);
+  }
+
+  async createGovernanceAmendment(amendment, event) {
+    if (!amendment || !amendment.id || !amendment.proposal_id) {
+      throw new Error('Amendment id and proposal are required');
+    }
+
+    try {
+      return await this.db.transaction(async (transaction) => {
+        const { rows } = await transaction.query(
+          `INSERT INTO governance_proposal_amendments (
+             id, proposal_id, base_version, title, description, text_hash, rationale, proposed_by, created_at
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, NOW()))
+           RETURNING *, 0 AS support_votes, 0 AS oppose_votes`,
+          [
+            amendment.id,
+            amendment.proposal_id,
+            amendment.base_version,
+            amendment.title,
+            amendment.description,
+            amendment.text_hash,
+            amendment.rationale || null,
+            amendment.proposed_by,
+            amendment.created_at || null
+          ]
+        );
+        await insertProposalEvent(transaction, event);
+
+        return mapAmendmentRow(rows[0]);
+      });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new Error('Amendment already exists');
+      }
+      if (error.code === FOREIGN_KEY_VIOLATION) {
+        throw new Error('Proposal version not found');
+      }
+      throw error;
+    }
+  }
+
+  async findGovernanceAmendmentById(id) {
+    const { rows } = await this.db.query(
+      `SELECT ${AMENDMENT_COLUMNS} FROM governance_proposal_amendments a WHERE a.id::text = $1`,
+      [String(id)]
+    );
+
+    return rows.length > 0 ? mapAmendmentRow(rows[0]) : null;
+  }
+
+  async findGovernanceAmendments(query = {}) {
+    const { proposalId, statuses } = query;
+
+    const params = [];
+    const conditions = [];
+
+    if (proposalId) {
+      params.push(String(proposalId));
+      conditions.push(`a.proposal_id::text = $${params.length}`);
+    }
+    if (statuses) {
+      params.push(statuses);
+      conditions.push(`a.status = ANY($${params.length}::text[])`);
+    }
+
+    const { rows } = await this.db.query(
+      `SELECT ${AMENDMENT_COLUMNS} FROM governance_proposal_amendments a
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY a.created_at, a.id`,
+      params
+    );
+
+    return rows.map(mapAmendmentRow);
+  }
+
+  async decideGovernanceAmendment(decision) {
+    const { id, status, resulting_version, decided_at, event, transition } = decision;
+
+    return await this.db.transaction(async (transaction) => {
+      const { rows: pending } = await transaction.query(
+        `SELECT id FROM governance_proposal_amendments
+         WHERE id::text = $1 AND status = 'pending'
+         FOR UPDATE`,
+        [String(id)]
+      );
+      if (pending.length === 0) {
+        return null;
+      }
+      const proposal = transition ? await applyProposalTransition(transaction, transition) : null;
+      if (transition && !proposal) {
+        return null;
+      }
+
+      await transaction.query(
+        `UPDATE governance_proposal_amendments SET status = $2, resulting_version = $3, decided_at = $4
+         WHERE id::text = $1`,
+        [String(id), status, resulting_version || null, decided_at]
+      );
+      if (event) {
+        await insertProposalEvent(transaction, event);
+      }
+      const { rows } = await transaction.query(
+        `SELECT ${AMENDMENT_COLUMNS} FROM governance_proposal_amendments a WHERE a.id::text = $1`,
+        [String(id)]
+      );
+
+      return { amendment: mapAmendmentRow(rows[0]), proposal };
+    });
+  }
+
+  async lapseGovernanceAmendments(proposalId, decidedAt) {
+    const { rowCount } = await this.db.query(
+      `UPDATE governance_proposal_amendments SET status = 'lapsed', decided_at = $2
+       WHERE proposal_id::text = $1 AND status = 'pending'`,
+      [String(proposalId), decidedAt]
+    );
+
+    return rowCount;
+  }
+
+  async recordAmendmentVote(vote) {
+    if (!vote || !vote.id || !vote.amendment_id || !vote.voter_pseudonym) {
+      throw new Error('Amendment vote id, amendment and voter are required');
+    }
+
+    try {
+      const { rows } = await this.db.query(
+        `INSERT INTO governance_amendment_votes (id, amendment_id, voter_pseudonym, decision, cast_at)
+         VALUES ($1, $2, $3, $4, COALESCE($5, NOW()))
+         RETURNING *`,
+        [vote.id, vote.amendment_id, vote.voter_pseudonym, vote.decision, vote.cast_at || null]
+      );
+
+      return mapAmendmentVoteRow(rows[0]);
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new Error('Amendment vote already recorded');
+      }
+      throw error;
+    }
+  }
+
+  async findAmendmentVotes(query = {}) {
+    const { amendmentId, voterPseudonym } = query;
+
+    const params = [];
+    const conditions = [];
+
+    if (amendmentId) {
+      params.push(String(amendmentId));
+      conditions.push(`amendment_id::text = $${params.length}`);
+    }
+    if (voterPseudonym) {
+      params.push(voterPseudonym);
+      conditions.push(`voter_pseudonym = $${params.length}`);
+    }
+
+    const { rows } = await this.db.query(
+      `SELECT * FROM governance_amendment_votes
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY cast_at, id`,
+      params
+    );
+
+    return rows.map(mapAmendmentVoteRow);
+  }
+
+  async findGovernanceElectorate(query = {}) {
+    const { proposalId, voterPseudonym } = query;
+
+    const params = [String(proposalId)];
+    let voterCondition = '';
+    if (voterPseudonym) {
+      params.push(voterPseudonym);
+      voterCondition = 'AND voter_pseudonym = $2';
+    }
+
+    const { rows } = await this.db.query(
+      `SELECT * FROM governance_proposal_electorate
+       WHERE proposal_id::text = $1 ${voterCondition}
+       ORDER BY voter_pseudonym`,
+      params
+    );
+
+    return rows.map(row => ({
+      proposal_id: row.proposal_id,
+      voter_pseudonym: row.voter_pseudonym,
+      snapshot_at: toIso(row.snapshot_at)
+    }));
+  }
+
+  async recordRoleGrant(grant) {
+    if (!grant || !grant.id || !grant.member_id || !grant.proposal_id) {
+      throw new Error('Role grant id, member and proposal are required');
+    }
+
+    try {
+      return await this.db.transaction(async (transaction) => {
+        const { rowCount } = await transaction.query(
+          `UPDATE community_members SET governance_role = $2, updated_at = $3
+           WHERE id::text = $1`,
+          [String(grant.member_id), grant.granted_role, grant.enacted_at]
+        );
+        if (rowCount === 0) {
+          throw new Error('Member not found');
+        }
+
+        const { rows } = await transaction.query(
+          `INSERT INTO member_role_grants (
+             id, member_id, previous_role, granted_role, proposal_id, enacted_by, enacted_at
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING *`,
+          [
+            grant.id,
+            grant.member_id,
+            grant.previous_role || null,
+            grant.granted_role,
+            grant.proposal_id,
+            grant.enacted_by,
+            grant.enacted_at
+          ]
+        );
+
+        return mapRoleGrantRow(rows[0]);
+      });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new Error('Decision already enacted for this member');
+      }
+      throw error;
+    }
+  }
+
+  async findRoleGrants(query = {}) {
+    const { memberId, proposalId } = query;
+
+    const params = [];
+    const conditions = [];
+
+    if (memberId) {
+      params.push(String(memberId));
+      conditions.push(`member_id::text = $${params.length}`);
+    }
+    if (proposalId) {
+      params.push(String(proposalId));
+      conditions.push(`proposal_id::text = $${params.length}`);
+    }
+
+    const { rows } = await this.db.query(
+      `SELECT * FROM member_role_grants
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY enacted_at, id`,
+      params
+    );
+
+    return rows.map(mapRoleGrantRow);
+  }
+
+  async recordVote(vote) {
+    if (!vote || !vote.id || !vote.proposal_id || !vote.voter_pseudonym) {
+      throw new Error('Vote id, proposal and voter are required');
+    }
+
+    try {
+      const { rows } = await this.db.query(
+        `INSERT INTO community_voting_records (
+           id, proposal_id, voting_round, voter_pseudonym, vote_decision, ballot, consent_position,
+           objection_principle, vote_reason, proposal_version, text_hash, vote_timestamp
+         ) VALUES ($1, $2, COALESCE($3, 1), $4, $5, $6, $7, $8, $9, $10, $11, COALESCE($12, NOW()))
+         RETURNING *`,
+        [
+          vote.id,
+          vote.proposal_id,
+          vote.voting_round || null,
+          vote.voter_pseudonym,
+          vote.vote_decision || null,
+          vote.ballot ? JSON.stringify(vote.ballot) : null,
+          vote.consent_position || null,
+          vote.objection_principle || null,
+          vote.vote_reason || null,
+          vote.proposal_version || null,
+          vote.text_hash || null,
+          vote.vote_timestamp || null
+        ]
+      );
+
+      return mapVoteRow(rows[0]);
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new Error('Vote already recorded');
+      }
+      throw error;
+    }
+  }
+
+  async reconfirmVote(vote) {
+    const { rows } = await this.db.query(
+      `UPDATE community_voting_records SET
+         vote_decision = $3, ballot = $4, consent_position = $5, objection_principle = $6, vote_reason = $7,
+         proposal_version = $8, text_hash = $9, reconfirmed_at = $10
+       WHERE id::text = $1 AND text_hash = $2
+       RETURNING *`,
+      [
+        String(vote.id),
+        vote.fromTextHash,
+        vote.vote_decision || null,
+        vote.ballot ? JSON.stringify(vote.ballot) : null,
+        vote.consent_position || null,
+        vote.objection_principle || null,
+        vote.vote_reason || null,
+        vote.proposal_version,
+        vote.text_hash,
+        vote.reconfirmed_at
+      ]
+    );
+
+    return rows.length > 0 ? mapVoteRow(rows[0]) : null;
+  }
+
+  async findVotes(query = {}) {
+    const { proposalId, round, voterPseudonym } = query;
+
+    const params = [];
+    const conditions = [];
+
+    if (proposalId) {
+      params.push(String(proposalId));
+      conditions.push(`proposal_id::text = $${params.length}`);
+    }
+    if (round) {
+      params.push(round);
+      conditions.push(`voting_round = $${params.length}`);
+    }
+    if (voterPseudonym) {
+      params.push(voterPseudonym);
+      conditions.push(`voter_pseudonym = $${params.length}`);
+    }
+
+    const { rows } = await this.db.query(
+      `SELECT * FROM community_voting_records
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY vote_timestamp, id`,
+      params
+    );
+
+    return rows.map(mapVoteRow);
+  }
+
+  async createPartner(partner) {
+    if (!partner || !partner.id || !partner.proposal_id) {
+      throw new Error('Partner id and proposal are required');
+    }
+
+    try {
+      const { rows } = await this.db.query(
+        `INSERT INTO partner_organisations (
+           id, name, contact_email, approved_scopes, proposal_id, enacted_by, active, created_at
+         ) VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, true), COALESCE($8, NOW()))
+         RETURNING *`,
+        [
+          partner.id,
+          partner.name,
+          partner.contact_email || null,
+          partner.approved_scopes,
+          partner.proposal_id,
+          partner.enacted_by,
+          partner.active,
+          partner.created_at || null
+        ]
+      );
+
+      return mapPartnerRow(rows[0]);
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new Error('Partner already registered for this decision');
+      }
+      throw error;
+    }
+  }
+
+  async findPartnerById(id) {
+    const { rows } = await this.db.query(
+      'SELECT * FROM partner_organisations WHERE id::text = $1',
+      [String(id)]
+    );
+
+    return rows.length > 0 ? mapPartnerRow(rows[0]) : null;
+  }
+
+  async savePartnerApiKey(key) {
+    if (!key || !key.id || !key.partner_id) {
+      throw new Error('API key id and partner are required');
+    }
+
+    const { rows } = await this.db.query(
+      `INSERT INTO partner_api_keys (
+         id, partner_id, label, key_prefix, key_hash, scopes, rate_limit_per_window, issued_by,
+         issued_at, expires_at, last_used_at, replaced_by, revoked_at, revocation_reason
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+       ON CONFLICT (id) DO UPDATE SET
+         expires_at = EXCLUDED.expires_at,
+         replaced_by = EXCLUDED.replaced_by,
+         revoked_at = EXCLUDED.revoked_at,
+         revocation_reason = EXCLUDED.revocation_reason
+       RETURNING *`,
+      [
+        key.id,
+        key.partner_id,
+        key.label || null,
+        key.key_prefix,
+        key.key_hash,
+        key.scopes,
+        key.rate_limit_per_window,
+        key.issued_by,
+        key.issued_at,
+        key.expires_at || null,
+        key.last_used_at || null,
+        key.replaced_by || null,
+        key.revoked_at || null,
+        key.revocation_reason || null
+      ]
+    );
+
+    return mapPartnerApiKeyRow(rows[0]);
+  }
+
+  async findPartnerApiKeys(query = {}) {
+    const { id, keyHash, partnerId } = query;
+
+    const params = [];
+    const conditions = [];
+
+    if (id) {
+      params.push(String(id));
+      conditions.push(`id::text = $${params.length}`);
+    }
+    if (keyHash) {
+      params.push(keyHash);
+      conditions.push(`key_hash = $${params.length}`);
+    }
+    if (partnerId) {
+      params.push(String(partnerId));
+      conditions.push(`partner_id::text = $${params.length}`);
+    }
+
+    const { rows } = await this.db.query(
+      `SELECT * FROM partner_api_keys
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY issued_at, id`,
+      params
+    );
+
+    return rows.map(mapPartnerApiKeyRow);
+  }
+
+  async recordApiKeyUsage(usage) {
+    const { keyId, scope, usedAt, rateLimited } = usage || {};
+    if (!keyId || !scope || !usedAt) {
+      throw new Error('Known API key, scope and time are required');
+    }
+
+    await this.db.transaction(async (transaction) => {
+      await transaction.query(
+        `INSERT INTO partner_api_key_usage (key_id, usage_date, scope, request_count, rate_limited_count)
+         VALUES ($1, ($3::timestamptz AT TIME ZONE 'UTC')::date, $2, 1, $4)
+         ON CONFLICT (key_id, usage_date, scope) DO UPDATE SET
+           request_count = partner_api_key_usage.request_count + 1,
+           rate_limited_count = partner_api_key_usage.rate_limited_count + EXCLUDED.rate_limited_count`,
+        [String(keyId), scope, usedAt, rateLimited ? 1 : 0]
+      );
+      await transaction.query(
+        'UPDATE partner_api_keys SET last_used_at = GREATEST(last_used_at, $2::timestamptz) WHERE id::text = $1',
+        [String(keyId), usedAt]
+      );
+    });
+  }
+
+  async findApiKeyUsage(query = {}) {
+    const { keyIds, from, to } = query;
+
+    const params = [];
+    const conditions = [];
+
+    if (keyIds) {
+      params.push(keyIds.map(String));
+      conditions.push(`key_id::text = ANY($${params.length})`);
+    }
+    if (from) {
+      params.push(from);
+      conditions.push(`usage_date >= $${params.length}::date`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`usage_date <= $${params.length}::date`);
+    }
+
+    const { rows } = await this.db.query(
+      `SELECT key_id, to_char(usage_date, 'YYYY-MM-DD') AS usage_date, scope, request_count, rate_limited_count
+       FROM partner_api_key_usage
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY usage_date, key_id, scope`,
+      params
+    );
+
+    return rows.map(row => ({
+      key_id: row.key_id,
+      usage_date: row.usage_date,
+      scope: row.scope,
+      request_count: Number(row.request_count),
+      rate_limited_count: Number(row.rate_limited_count)
+    }));
+  }
+
+  async recordWebhookNonce(nonce) {
+    if (!nonce || !nonce.source || !nonce.nonce || !nonce.expires_at) {
+      throw new Error('Webhook source, nonce and expiry are required');
+    }
+
+    await this.db.query('DELETE FROM webhook_nonces WHERE expires_at <= NOW()');
+
+    const { rows } = await this.db.query(
+      `INSERT INTO webhook_nonces (source, nonce, received_at, expires_at)
+       VALUES ($1, $2, COALESCE($3, NOW()), $4)
+       ON CONFLICT (source, nonce) DO NOTHING
+       RETURNING nonce`,
+      [nonce.source, nonce.nonce, nonce.received_at || null, nonce.expires_at]
+    );
+
+    return rows.length > 0;
+  }
+
+  async enqueueOutboundDelivery(delivery) {
+    if (!delivery || !delivery.id || !delivery.destination || !delivery.idempotency_key || !delivery.payload) {
+      throw new Error('Delivery id, destination, idempotency key and payload are required');
+    }
+
+    const { rows } = await this.db.query(
+      `INSERT INTO outbound_deliveries (
+         id, destination, idempotency_key, content_id, content_type, payload, enqueued_by, next_attempt_at
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, NOW()))
+       ON CONFLICT (destination, idempotency_key) DO NOTHING
+       RETURNING *`,
+      [
+        delivery.id,
+        delivery.destination,
+        delivery.idempotency_key,
+        delivery.content_id || null,
+        delivery.content_type || null,
+        JSON.stringify(delivery.payload),
+        delivery.enqueued_by || null,
+        delivery.next_attempt_at || null
+      ]
+    );
+
+    if (rows.length > 0) {
+      return { delivery: mapOutboundDeliveryRow(rows[0]), created: true };
+    }
+
+    const existing = await this.db.query(
+      'SELECT * FROM outbound_deliveries WHERE destination = $1 AND idempotency_key = $2',
+      [delivery.destination, delivery.idempotency_key]
+    );
+    return { delivery: mapOutboundDeliveryRow(existing.rows[0]), created: false };
+  }
+
+  async claimOutboundDeliveries(claim) {
+    const { now, leaseUntil, limit } = claim || {};
+    if (!now || !leaseUntil) {
+      throw new Error('Claim time and lease are required');
+    }
+
+    // SKIP LOCKED lets several workers claim from the queue without taking the same delivery
+    const { rows } = await this.db.query(
+      `UPDATE outbound_deliveries SET status = 'delivering', next_attempt_at = $2, updated_at = NOW()
+       WHERE id IN (
+         SELECT id FROM outbound_deliveries
+         WHERE status IN ('pending', 'delivering') AND next_attempt_at <= $1
+         ORDER BY next_attempt_at
+         LIMIT $3
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [now, leaseUntil, limit || 10]
+    );
+
+    return rows
+      .map(mapOutboundDeliveryRow)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  async saveOutboundDelivery(delivery) {
+    if (!delivery || !delivery.id) {
+      throw new Error('Outbound delivery not found');
+    }
+
+    const { rows } = await this.db.query(
+      `UPDATE outbound_deliveries SET
+         status = $2,
+         attempts = $3,
+         next_attempt_at = $4,
+         last_attempt_at = $5,
+         last_status_code = $6,
+         last_error = $7,
+         delivered_at = $8,
+         dead_lettered_at = $9,
+         replay_count = $10,
+         replayed_by = $11,
+         replayed_at = $12,
+         updated_at = NOW()
+       WHERE id::text = $1
+       RETURNING *`,
+      [
+        String(delivery.id),
+        delivery.status,
+        delivery.attempts,
+        delivery.next_attempt_at,
+        delivery.last_attempt_at || null,
+        delivery.last_status_code || null,
+        delivery.last_error || null,
+        delivery.delivered_at || null,
+        delivery.dead_lettered_at || null,
+        delivery.replay_count || 0,
+        delivery.replayed_by || null,
+        delivery.replayed_at || null
+      ]
+    );
+
+    if (rows.length === 0) {
+      throw new Error('Outbound delivery not found');
+    }
+    return mapOutboundDeliveryRow(rows[0]);
+  }
+
+  async findOutboundDeliveries(query = {}) {
+    const { id, status, destination, contentId, limit } = query;
+
+    const params = [];
+    const conditions = [];
+
+    if (id) {
+      params.push(String(id));
+      conditions.push(`id::text = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (destination) {
+      params.push(destination);
+      conditions.push(`destination = $${params.length}`);
+    }
+    if (contentId) {
+      params.push(String(contentId));
+      conditions.push(`content_id = $${params.length}`);
+    }
+
+    let limitClause = '';
+    if (limit) {
+      params.push(limit);
+      limitClause = `LIMIT $${params.length}`;
+    }
+
+    const { rows } = await this.db.query(
+      `SELECT * FROM outbound_deliveries
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC, id
+       ${limitClause}`,
+      params
+    );
+
+    return rows.map(mapOutboundDeliveryRow);
+  }
+
+  async createWebhookSubscription(subscription) {
+    if (!subscription || !subscription.id || !subscription.partner_id || !subscription.proposal_id) {
+      throw new Error('Subscription id, partner and proposal are required');
+    }
+
+    try {
+      const { rows } = await this.db.query(
+        `INSERT INTO webhook_subscriptions (
+           id, partner_id, url, event_types, description, signing_secret, proposal_id, enacted_by, created_at, updated_at
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, NOW()), COALESCE($9, NOW()))
+         RETURNING *`,
+        [
+          subscription.id,
+          subscription.partner_id,
+          subscription.url,
+          subscription.event_types,
+          subscription.description || null,
+          subscription.signing_secret,
+          subscription.proposal_id,
+          subscription.enacted_by,
+          subscription.created_at || null
+        ]
+      );
+
+      return mapWebhookSubscriptionRow(rows[0]);
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new Error('Subscription already created for this decision');
+      }
+      throw error;
+    }
+  }
+
+  async saveWebhookSubscription(subscription) {
+    if (!subscription || !subscription.id) {
+      throw new Error('Webhook subscription not found');
+    }
+
+    const { rows } = await this.db.query(
+      `UPDATE webhook_subscriptions SET
+         status = $2,
+         consecutive_failures = $3,
+         disabled_at = $4,
+         disabled_reason = $5,
+         updated_at = NOW()
+       WHERE id::text = $1
+       RETURNING *`,
+      [
+        String(subscription.id),
+        subscription.status,
+        subscription.consecutive_failures,
+        subscription.disabled_at || null,
+        subscription.disabled_reason || null
+      ]
+    );
+
+    if (rows.length === 0) {
+      throw new Error('Webhook subscription not found');
+    }
+    return mapWebhookSubscriptionRow(rows[0]);
+  }
+
+  async findWebhookSubscriptions(query = {}) {
+    const { id, partnerId, status, eventType } = query;
+
+    const params = [];
+    const conditions = [];
+
+    if (id) {
+      params.push(String(id));
+      conditions.push(`id::text = $${params.length}`);
+    }
+    if (partnerId) {
+      params.push(String(partnerId));
+      conditions.push(`partner_id::text = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (eventType) {
+      params.push(eventType);
+      conditions.push(`$${params.length} = ANY(event_types)`);
+    }
+
+    const { rows } = await this.db.query(
+      `SELECT * FROM webhook_subscriptions
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at, id`,
+      params
+    );
+
+    return rows.map(mapWebhookSubscriptionRow);
+  }
+
+  async recordWebhookSubscriptionOutcome(outcome) {
+    const { id, delivered, at } = outcome || {};
+
+    const { rows } = await this.db.query(
+      `UPDATE webhook_subscriptions SET
+         consecutive_failures = CASE WHEN $2 THEN 0 ELSE consecutive_failures + 1 END,
+         last_success_at = CASE WHEN $2 THEN $3::timestamptz ELSE last_success_at END,
+         last_failure_at = CASE WHEN $2 THEN last_failure_at ELSE $3::timestamptz END,
+         updated_at = NOW()
+       WHERE id::text = $1
+       RETURNING *`,
+      [String(id), Boolean(delivered), at]
+    );
+
+    return rows.length > 0 ? mapWebhookSubscriptionRow(rows[0]) : null;
+  }
+
+  async claimOutboxEvents(claim) {
+    const { now, leaseUntil, limit } = claim || {};
+    if (!now || !leaseUntil) {
+      throw new Error('Claim time and lease are required');
+    }
+
+    // SKIP LOCKED lets several relays claim from the outbox without publishing an event twice
+    const { rows } = await this.db.query(
+      `UPDATE domain_event_outbox SET status = 'publishing', next_attempt_at = $2
+       WHERE id IN (
+         SELECT id FROM domain_event_outbox
+         WHERE status IN ('pending', 'publishing') AND next_attempt_at <= $1
+         ORDER BY created_at
+         LIMIT $3
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [now, leaseUntil, limit || 50]
+    );
+
+    return rows
+      .map(mapOutboxEventRow)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  async saveOutboxEvent(event) {
+    if (!event || !event.id) {
+      throw new Error('Outbox event not found');
+    }
+
+    const { rows } = await this.db.query(
+      `UPDATE domain_event_outbox SET
+         status = $2,
+         attempts = $3,
+         next_attempt_at = $4,
+         last_error = $5,
+         published_at = $6
+       WHERE id::text = $1
+       RETURNING *`,
+      [
+        String(event.id),
+        event.status,
+        event.attempts,
+        event.next_attempt_at,
+        event.last_error || null,
+        event.published_at || null
+      ]
+    );
+
+    if (rows.length === 0) {
+      throw new Error('Outbox event not found');
+    }
+
+    return mapOutboxEventRow(rows[0]);
+  }
+
+  async findOutboxEvents(query = {}) {
+    const { id, status, correlationId, limit } = query;
+
+    const params = [];
+    const conditions = [];
+
+    if (id) {
+      params.push(String(id));
+      conditions.push(`id::text = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (correlationId) {
+      params.push(correlationId);
+      conditions.push(`correlation_id = $${params.length}`);
+    }
+
+    let sql = `SELECT * FROM domain_event_outbox
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at, id`;
+    if (limit) {
+      params.push(limit);
+      sql += ` LIMIT $${params.length}`;
+    }
+
+    const { rows } = await this.db.query(sql, params);
+    return rows.map(mapOutboxEventRow);
+  }
+
+  async healthCheck() {
+    const health = await this.db.healthCheck();
+
+    return {
+      ...health,
+      adapter: 'postgres'
+    };
+  }
+}
+
+// Helper functions
+
+/**
+ * Convert a data_operation_audit row to an audit entry (BIGINT arrives as a string)
+ */
+function mapAuditRow(row) {
+  return {
+    id: row.id,
+    sequence_number: Number(row.sequence_number),
+    operation_type: row.operation_type,
+    data_id: row.data_id,
+    actor_id: row.actor_id,
+    audit_data: row.audit_data || {},
+    audit_timestamp: new Date(row.audit_timestamp).toISOString(),
+    previous_hash: row.previous_hash,
+    entry_hash: row.entry_hash
+  };
+}
+
+/**
+ * Convert a community_consent_tracking row to a consent (scope tokens as an array)
+ */
+function mapConsentRow(row) {
+  return {
+    id: row.id,
+    data_subject_id: row.data_subject_id,
+    community_id: row.community_id,
+    operation_type: row.operation_type,
+    data_type: row.data_type,
+    consent_type: row.consent_type,
+    consent_given: row.consent_given,
+    consent_date: toIso(row.consent_date),
+    consent_expiry_date: toIso(row.consent_expiry_date),
+    consent_scope: row.consent_scope.split(/\s+/).filter(Boolean),
+    granted_by: row.granted_by,
+    community_benefit_explained: row.community_benefit_explained,
+    consent_withdrawn: row.consent_withdrawn,
+    withdrawal_date: toIso(row.withdrawal_date),
+    withdrawal_reason: row.withdrawal_reason,
+    created_at: toIso(row.created_at),
+    updated_at: toIso(row.updated_at)
+  };
+}
+
+/**
+ * Convert a community_members row (dates as ISO strings)
+ */
+function mapMemberRow(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    email: row.email,
+    display_name: row.display_name,
+    governance_role: row.governance_role,
+    voting_rights_active: row.voting_rights_active,
+    active: row.active,
+    community_joined_date: toIso(row.community_joined_date),
+    liberation_values_training_completed: row.liberation_values_training_completed,
+    anti_oppression_training_completed: row.anti_oppression_training_completed,
+    trauma_informed_interaction_training: row.trauma_informed_interaction_training,
+    created_at: toIso(row.created_at),
+    updated_at: toIso(row.updated_at)
+  };
+}
+
+/**
+ * Convert a community_refresh_tokens row (dates as ISO strings)
+ */
+function mapRefreshTokenRow(row) {
+  return {
+    id: row.id,
+    member_id: row.member_id,
+    family_id: row.family_id,
+    token_hash: row.token_hash,
+    issued_at: toIso(row.issued_at),
+    expires_at: toIso(row.expires_at),
+    revoked_at: toIso(row.revoked_at),
+    revocation_reason: row.revocation_reason,
+    replaced_by: row.replaced_by
+  };
+}
+
+/**
+ * Convert a member_credentials row (dates as ISO strings)
+ */
+function mapCredentialRow(row) {
+  return {
+    member_id: row.member_id,
+    password_hash: row.password_hash,
+    failed_attempts: row.failed_attempts,
+    locked_until: toIso(row.locked_until),
+    email_verified_at: toIso(row.email_verified_at),
+    password_changed_at: toIso(row.password_changed_at),
+    created_at: toIso(row.created_at),
+    updated_at: toIso(row.updated_at)
+  };
+}
+
+/**
+ * Convert a creators row (dates as ISO strings, revenue share as a number)
+ */
+function mapCreatorRow(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    email: row.email,
+    display_name: row.display_name,
+    minimum_revenue_share: Number(row.minimum_revenue_share),
+    active: row.active,
+    created_at: toIso(row.created_at),
+    updated_at: toIso(row.updated_at)
+  };
+}
+
+/**
+ * Convert a member_account_tokens row (dates as ISO strings)
+ */
+function mapAccountTokenRow(row) {
+  return {
+    id: row.id,
+    member_id: row.member_id,
+    purpose: row.purpose,
+    token_hash: row.token_hash,
+    created_at: toIso(row.created_at),
+    expires_at: toIso(row.expires_at),
+    used_at: toIso(row.used_at)
+  };
+}
+
+/**
+ * Convert a governance_proposals row (dates as ISO strings, scores as numbers)
+ */
+function mapProposalRow(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    proposal_type: row.proposal_type,
+    liberation_principles_score: Number(row.liberation_principles_score),
+    voting_start_date: toIso(row.voting_start_date),
+    voting_end_date: toIso(row.voting_end_date),
+    quorum_required: row.quorum_required,
+    quorum_met: row.quorum_met,
+    status: row.status,
+    total_votes: row.total_votes,
+    approve_votes: row.approve_votes,
+    reject_votes: row.reject_votes,
+    abstain_votes: row.abstain_votes,
+    passing_threshold: Number(row.passing_threshold),
+    quorum_percentage: Number(row.quorum_percentage),
+    eligible_voters: row.eligible_voters,
+    voting_method: row.voting_method,
+    ballot_options: row.ballot_options,
+    winning_option: row.winning_option,
+    results: row.results,
+    consent_round: row.consent_round,
+    escalated_at: toIso(row.escalated_at),
+    current_version: row.current_version,
+    text_hash: row.text_hash,
+    tallied_at: toIso(row.tallied_at),
+    enacted_at: toIso(row.enacted_at),
+    enacted_by: row.enacted_by,
+    proposal_payload: row.proposal_payload,
+    created_at: toIso(row.created_at),
+    created_by: row.created_by,
+    updated_at: toIso(row.updated_at)
+  };
+}
+
+/**
+ * Convert a governance_proposal_events row (dates as ISO strings)
+ */
+function mapProposalEventRow(row) {
+  return {
+    id: row.id,
+    proposal_id: row.proposal_id,
+    event_type: row.event_type,
+    from_status: row.from_status,
+    to_status: row.to_status,
+    actor_id: row.actor_id,
+    details: row.details,
+    occurred_at: toIso(row.occurred_at)
+  };
+}
+
+/**
+ * Convert a member_role_grants row (dates as ISO strings)
+ */
+function mapRoleGrantRow(row) {
+  return {
+    id: row.id,
+    member_id: row.member_id,
+    previous_role: row.previous_role,
+    granted_role: row.granted_role,
+    proposal_id: row.proposal_id,
+    enacted_by: row.enacted_by,
+    enacted_at: toIso(row.enacted_at)
+  };
+}
+
+/**
+ * Convert a community_voting_records row (dates as ISO strings, weight as a number)
+ */
+function mapVoteRow(row) {
+  return {
+    id: row.id,
+    proposal_id: row.proposal_id,
+    voting_round: row.voting_round,
+    voter_pseudonym: row.voter_pseudonym,
+    vote_decision: row.vote_decision,
+    ballot: row.ballot,
+    consent_position: row.consent_position,
+    objection_principle: row.objection_principle,
+    vote_weight: Number(row.vote_weight),
+    vote_reason: row.vote_reason,
+    proposal_version: row.proposal_version,
+    text_hash: row.text_hash,
+    reconfirmed_at: toIso(row.reconfirmed_at),
+    vote_timestamp: toIso(row.vote_timestamp)
+  };
+}
+
+/**
+ * Convert a governance_proposal_versions row (dates as ISO strings)
+ */
+function mapProposalVersionRow(row) {
+  return {
+    proposal_id: row.proposal_id,
+    version: row.version,
+    title: row.title,
+    description: row.description,
+    text_hash: row.text_hash,
+    amendment_id: row.amendment_id,
+    created_by: row.created_by,
+    created_at: toIso(row.created_at)
+  };
+}
+
+/**
+ * Convert a governance_proposal_amendments row with its vote counts (dates as ISO strings)
+ */
+function mapAmendmentRow(row) {
+  return {
+    id: row.id,
+    proposal_id: row.proposal_id,
+    base_version: row.base_version,
+    title: row.title,
+    description: row.description,
+    text_hash: row.text_hash,
+    rationale: row.rationale,
+    proposed_by: row.proposed_by,
+    status: row.status,
+    resulting_version: row.resulting_version,
+    support_votes: Number(row.support_votes),
+    oppose_votes: Number(row.oppose_votes),
+    created_at: toIso(row.created_at),
+    decided_at: toIso(row.decided_at)
+  };
+}
+
+/**
+ * Convert a governance_amendment_votes row (dates as ISO strings)
+ */
+function mapAmendmentVoteRow(row) {
+  return {
+    id: row.id,
+    amendment_id: row.amendment_id,
+    voter_pseudonym: row.voter_pseudonym,
+    decision: row.decision,
+    cast_at: toIso(row.cast_at)
+  };
+}
+
+/**
+ * Convert a partner_organisations row (dates as ISO strings)
+ */
+function mapPartnerRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    contact_email: row.contact_email,
+    approved_scopes: row.approved_scopes,
+    proposal_id: row.proposal_id,
+    enacted_by: row.enacted_by,
+    active: row.active,
+    created_at: toIso(row.created_at)
+  };
+}
+
+/**
+ * Convert a partner_api_keys row (dates as ISO strings)
+ */
+function mapPartnerApiKeyRow(row) {
+  return {
+    id: row.id,
+    partner_id: row.partner_id,
+    label: row.label,
+    key_prefix: row.key_prefix,
+    key_hash: row.key_hash,
+    scopes: row.scopes,
+    rate_limit_per_window: row.rate_limit_per_window,
+    issued_by: row.issued_by,
+    issued_at: toIso(row.issued_at),
+    expires_at: toIso(row.expires_at),
+    last_used_at: toIso(row.last_used_at),
+    replaced_by: row.replaced_by,
+    revoked_at: toIso(row.revoked_at),
+    revocation_reason: row.revocation_reason
+  };
+}
+
+function mapOutboundDeliveryRow(row) {
+  return {
+    id: row.id,
+    destination: row.destination,
+    idempotency_key: row.idempotency_key,
+    content_id: row.content_id,
+    content_type: row.content_type,
+    payload: typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload,
+    enqueued_by: row.enqueued_by,
+    status: row.status,
+    attempts: row.attempts,
+    next_attempt_at: toIso(row.next_attempt_at),
+    last_attempt_at: toIso(row.last_attempt_at),
+    last_status_code: row.last_status_code,
+    last_error: row.last_error,
+    delivered_at: toIso(row.delivered_at),
+    dead_lettered_at: toIso(row.dead_lettered_at),
+    replay_count: row.replay_count,
+    replayed_by: row.replayed_by,
+    replayed_at: toIso(row.replayed_at),
+    created_at: toIso(row.created_at),
+    updated_at: toIso(row.updated_at)
+  };
+}
+
+/**
+ * Convert a webhook_subscriptions row (dates as ISO strings)
+ */
+function mapWebhookSubscriptionRow(row) {
+  return {
+    id: row.id,
+    partner_id: row.partner_id,
+    url: row.url,
+    event_types: row.event_types,
+    description: row.description,
+    signing_secret: row.signing_secret,
+    proposal_id: row.proposal_id,
+    enacted_by: row.enacted_by,
+    status: row.status,
+    consecutive_failures: row.consecutive_failures,
+    last_success_at: toIso(row.last_success_at),
+    last_failure_at: toIso(row.last_failure_at),
+    disabled_at: toIso(row.disabled_at),
+    disabled_reason: row.disabled_reason,
+    created_at: toIso(row.created_at),
+    updated_at: toIso(row.updated_at)
+  };
+}
+
+/**
+ * Convert a domain_event_outbox row (dates as ISO strings)
+ */
+function mapOutboxEventRow(row) {
+  return {
+    id: row.id,
+    event_type: row.event_type,
+    correlation_id: row.correlation_id,
+    envelope: row.envelope,
+    status: row.status,
+    attempts: row.attempts,
+    next_attempt_at: toIso(row.next_attempt_at),
+    last_error: row.last_error,
+    published_at: toIso(row.published_at),
+    created_at: toIso(row.created_at)
+  };
+}
+
+/**
+ * Append a proposal timeline event inside an open transaction
+ */
+async function insertProposalEvent(executor, event) {
+  if (!event || !event.id || !event.proposal_id || !event.event_type || !event.to_status) {
+    throw new Error('Proposal event id, proposal, type and status are required');
+  }
+
+  await executor.query(
+    `INSERT INTO governance_proposal_events (
+       id, proposal_id, event_type, from_status, to_status, actor_id, details, occurred_at
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, NOW()))`,
+    [
+      event.id,
+      event.proposal_id,
+      event.event_type,
+      event.from_status || null,
+      event.to_status,
+      event.actor_id || null,
+      JSON.stringify(event.details || {}),
+      event.occurred_at || null
+    ]
+  );
+}
+
+/**
+ * Make a proposal lifecycle transition inside an open transaction (see transitionGovernanceProposal)
+ */
+async function applyProposalTransition(executor, transition) {
+  const { id, fromStatus, fromRound, fromVersion, toStatus, changes = {}, event, electorate, version } = transition;
+
+  const params = [String(id), fromStatus, toStatus, event.occurred_at];
+  const assignments = ['status = $3', 'updated_at = $4'];
+  for (const column of PROPOSAL_TRANSITION_COLUMNS) {
+    if (changes[column] !== undefined) {
+      params.push(column === 'results' && changes[column] !== null ? JSON.stringify(changes[column]) : changes[column]);
+      assignments.push(`${column} = $${params.length}`);
+    }
+  }
+  const conditions = ['id::text = $1', 'status = $2'];
+  if (fromRound !== undefined) {
+    params.push(fromRound);
+    conditions.push(`consent_round = $${params.length}`);
+  }
+  if (fromVersion !== undefined) {
+    params.push(fromVersion);
+    conditions.push(`current_version = $${params.length}`);
+  }
+
+  const { rows } = await executor.query(
+    `UPDATE governance_proposals SET ${assignments.join(', ')}
+     WHERE ${conditions.join(' AND ')}
+     RETURNING *`,
+    params
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+  await insertProposalEvent(executor, event);
+  if (electorate && electorate.length > 0) {
+    await executor.query(
+      `INSERT INTO governance_proposal_electorate (proposal_id, voter_pseudonym, snapshot_at)
+       SELECT $1, voter_pseudonym, $3 FROM unnest($2::text[]) AS voter_pseudonym
+       ON CONFLICT DO NOTHING`,
+      [rows[0].id, electorate, event.occurred_at]
+    );
+  }
+  if (version) {
+    await insertProposalVersion(executor, rows[0].id, { created_at: event.occurred_at, ...version });
+    await executor.query(
+      `UPDATE governance_proposal_amendments SET status = 'superseded', decided_at = $3
+       WHERE proposal_id = $1 AND status = 'pending' AND base_version < $2
+         AND id::text IS DISTINCT FROM $4`,
+      [rows[0].id, version.version, event.occurred_at, version.amendment_id ? String(version.amendment_id) : null]
+    );
+  }
+
+  return mapProposalRow(rows[0]);
+}
+
+/**
+ * Append a version of a proposal's text inside an open transaction
+ */
+async function insertProposalVersion(executor, proposalId, version) {
+  await executor.query(
+    `INSERT INTO governance_proposal_versions (
+       proposal_id, version, title, description, text_hash, amendment_id, created_by, created_at
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, NOW()))`,
+    [
+      proposalId,
+      version.version,
+      version.title,
+      version.description,
+      version.text_hash,
+      version.amendment_id || null,
+      version.created_by || null,
+      version.created_at || null
+    ]
+  );
+}
+
+/**
+ * Insert or replace a community data record using db or an open transaction
+ */
+async function upsertRecord(executor, collection, record, metadata) {
+  const { rows } = await executor.query(
+    `INSERT INTO community_data_records (id, community_id, owner_id, record_type, data, sovereignty_metadata)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (id) DO UPDATE SET
+       community_id = EXCLUDED.community_id,
+       owner_id = EXCLUDED.owner_id,
+       record_type = EXCLUDED.record_type,
+       data = EXCLUDED.data,
+       sovereignty_metadata = EXCLUDED.sovereignty_metadata,
+       updated_at = NOW()
+     RETURNING data`,
+    [
+      String(record.id),
+      metadata.communityId || null,
+      metadata.ownerId || null,
+      collection,
+      JSON.stringify(record),
+      JSON.stringify(metadata)
+    ]
+  );
+
+  return rows[0].data;
+}
+
+function toIso(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+module.exports = PostgresStorageAdapter;
@@ -0,0 +1,690 @@
+/**
+ * Storage Adapter Contract (Layer 5)
+ *
+ * SCOPE: Record persistence for DataSovereigntyService (stories, events, moderation queue, community data)
+ * DOES NOT: Validate consent, check governance permissions, or apply business logic
+ * ONLY: Stores, finds, updates and deletes JSON records grouped into named collections
+ *
+ * Records are plain objects with a string `id`. Ids are unique across collections,
+ * so a record can be found by id alone when its collection is not known.
+ *
+ * Query shape accepted by find():
+ *   {
+ *     where:    { field: value },            // exact match on top-level fields (nested objects match by containment)
+ *     contains: { field: value },            // array field includes value
+ *     range:    { field: { gte, lte } },     // inclusive bounds on ISO strings / numbers
+ *     orderBy:  'created_at',
+ *     direction: 'asc' | 'desc',
+ *     limit, offset
+ *   }
+ *
+ * The audit trail is kept apart from collections: entries can only be appended
+ * (see AuditLog for the hash chain) and are never updated or deleted.
+ *
+ * Consents are also kept apart (see ConsentLedger). consent_scope is an array of
+ * scope tokens and data_subject_id is null for community-wide consents.
+ *
+ * Members (community_members) and refresh tokens back community authentication.
+ * Refresh tokens are stored by hash only; revocation is a save with revoked_at set.
+ *
+ * Credentials hold a member's bcrypt password hash and lockout state. Account
+ * tokens (password reset, email verification) are stored by hash and used once.
+ *
+ * Governance proposals are governance_proposals rows; proposal_payload holds
+ * what an approved proposal enacts. Role grants are append-only: recording one
+ * also sets the member's governance_role, and both happen or neither does.
+ * Each proposal has an append-only timeline of lifecycle events; a status change
+ * and the event that records it are written together, and only if the proposal
+ * is still in the status the change started from. The electorate snapshot taken
+ * when voting opens is written with that change and never altered afterwards.
+ *
+ * Each version of a proposal's text is kept, append-only, alongside it. Amendments
+ * are proposed against one version; applying one stores the next version with the
+ * proposal's change, and amendment votes (one per voter_pseudonym) are never altered.
+ *
+ * Votes are community_voting_records rows recorded under voter_pseudonym, not
+ * the member's ID; (proposal_id, voter_pseudonym) is unique.
+ *
+ * Partners are organisations approved by a partner_approval proposal, one per
+ * proposal. Their API keys are stored by hash only; rotation and revocation are
+ * saves with expires_at or revoked_at set. Key usage is a daily count per key and scope.
+ *
+ * Webhook nonces are remembered per source until they expire, so a signed
+ * inbound webhook cannot be accepted twice.
+ *
+ * Outbound deliveries are a queue with one entry per destination and
+ * idempotency key. A worker claims due entries (status delivering, with
+ * next_attempt_at as the end of its claim) and saves the outcome of each attempt.
+ *
+ * Webhook subscriptions are approved by a webhook_subscription proposal, one per
+ * proposal. Each delivery outcome updates the subscription's run of consecutive
+ * failures in a single step, so concurrent workers cannot lose a count.
+ *
+ * The domain event outbox holds event envelopes written together with a record
+ * (saveWithOutboxEvents): both are stored or neither is. The outbox relay claims
+ * pending events like the delivery worker claims deliveries and marks them published.
+ */
+
+class StorageAdapter {
+  /**
+   * Insert or replace a record
+   * @param {string} collection - Collection name (e.g. 'stories')
+   * @param {Object} record - Record with string id
+   * @param {Object} metadata - Sovereignty metadata ({ communityId, ownerId, ... })
+   * @returns {Promise<Object>} - Stored record
+   */
+  async save(collection, record, metadata = {}) {
+    throw new Error('save must be implemented by storage adapter');
+  }
+
+  /**
+   * Find a record by id
+   * @param {string|null} collection - Collection name, or null to search all collections
+   * @param {string} id - Record id
+   * @returns {Promise<Object|null>} - Record or null
+   */
+  async findById(collection, id) {
+    throw new Error('findById must be implemented by storage adapter');
+  }
+
+  /**
+   * Query a collection
+   * @param {string} collection - Collection name
+   * @param {Object} query - Filters, ordering and paging
+   * @returns {Promise<Object>} - { items, total }
+   */
+  async find(collection, query = {}) {
+    throw new Error('find must be implemented by storage adapter');
+  }
+
+  /**
+   * Merge changes into an existing record
+   * @param {string} collection - Collection name
+   * @param {string} id - Record id
+   * @param {Object} changes - Fields to merge
+   * @returns {Promise<Object|null>} - Updated record or null if not found
+   */
+  async update(collection, id, changes) {
+    throw new Error('update must be implemented by storage adapter');
+  }
+
+  /**
+   * Delete a record
+   * @param {string} collection - Collection name
+   * @param {string} id - Record id
+   * @returns {Promise<boolean>} - True if a record was deleted
+   */
+  async delete(collection, id) {
+    throw new Error('delete must be implemented by storage adapter');
+  }
+
+  /**
+   * Append an audit entry atomically after the current newest entry
+   * Concurrent appends must be serialised so each entry sees the true previous one.
+   * @param {Function} buildEntry - (previousEntry|null) => entry to store
+   * @returns {Promise<Object>} - Stored entry
+   */
+  async appendAuditEntry(buildEntry) {
+    throw new Error('appendAuditEntry must be implemented by storage adapter');
+  }
+
+  /**
+   * Query audit entries in sequence order (oldest first)
+   * @param {Object} query - { operationType, dataId, actorId, from, to, afterSequence, limit }
+   * @returns {Promise<Array>} - Audit entries
+   */
+  async findAuditEntries(query = {}) {
+    throw new Error('findAuditEntries must be implemented by storage adapter');
+  }
+
+  /**
+   * Insert or replace a consent record
+   * @param {Object} consent - Consent with id (community_consent_tracking fields)
+   * @returns {Promise<Object>} - Stored consent
+   */
+  async saveConsent(consent) {
+    throw new Error('saveConsent must be implemented by storage adapter');
+  }
+
+  /**
+   * Find a consent by id
+   * @param {string} id - Consent id
+   * @returns {Promise<Object|null>} - Consent or null
+   */
+  async findConsentById(id) {
+    throw new Error('findConsentById must be implemented by storage adapter');
+  }
+
+  /**
+   * Find consents, newest first
+   * @param {Object} query - { communityId, subjects: [dataSubjectId | null] } (null matches community-wide consents)
+   * @returns {Promise<Array>} - Consents
+   */
+  async findConsents(query = {}) {
+    throw new Error('findConsents must be implemented by storage adapter');
+  }
+
+  /**
+   * Insert or update a community member
+   * @param {Object} member - { id, username, email, display_name, governance_role, voting_rights_active, active,
+   *   community_joined_date, liberation_values_training_completed, anti_oppression_training_completed,
+   *   trauma_informed_interaction_training }
+   * @returns {Promise<Object>} - Stored member
+   */
+  async saveMember(member) {
+    throw new Error('saveMember must be implemented by storage adapter');
+  }
+
+  /**
+   * Find a community member by id
+   * @param {string} id - Member id
+   * @returns {Promise<Object|null>} - Member or null
+   */
+  async findMemberById(id) {
+    throw new Error('findMemberById must be implemented by storage adapter');
+  }
+
+  /**
+   * Find community members, longest-standing first
+   * @param {Object} query - { active }
+   * @returns {Promise<Array>} - Members
+   */
+  async findMembers(query = {}) {
+    throw new Error('findMembers must be implemented by storage adapter');
+  }
+
+  /**
+   * Insert or replace a refresh token record
+   * @param {Object} token - { id, member_id, family_id, token_hash, issued_at, expires_at, revoked_at, revocation_reason, replaced_by }
+   * @returns {Promise<Object>} - Stored token record
+   */
+  async saveRefreshToken(token) {
+    throw new Error('saveRefreshToken must be implemented by storage adapter');
+  }
+
+  /**
+   * Mark a refresh token as rotated, only if it has not been revoked yet
+   * Concurrent refreshes of one token race on this; exactly one of them wins.
+   * @param {string} id - Refresh token id
+   * @param {Object} rotation - { revoked_at, replaced_by }
+   * @returns {Promise<Object|null>} - Rotated token record, or null if it was already revoked
+   */
+  async rotateRefreshToken(id, rotation) {
+    throw new Error('rotateRefreshToken must be implemented by storage adapter');
+  }
+
+  /**
+   * Find refresh token records, newest first
+   * @param {Object} query - { tokenHash, familyId, memberId }
+   * @returns {Promise<Array>} - Token records
+   */
+  async findRefreshTokens(query = {}) {
+    throw new Error('findRefreshTokens must be implemented by storage adapter');
+  }
+
+  /**
+   * Find a community member by username or email (both case-insensitive)
+   * @param {string} identifier - Username or email
+   * @returns {Promise<Object|null>} - Member or null
+   */
+  async findMemberByIdentifier(identifier) {
+    throw new Error('findMemberByIdentifier must be implemented by storage adapter');
+  }
+
+  /**
+   * Create a member, their credential and optionally a creator profile together
+   * Nothing is stored if any part fails (e.g. username or email already taken).
+   * @param {Object} account - { member, credential, creator } (creator shares the member id)
+   * @returns {Promise<Object>} - { member, credential, creator }
+   */
+  async createMemberAccount(account) {
+    throw new Error('createMemberAccount must be implemented by storage adapter');
+  }
+
+  /**
+   * Find a member's credential
+   * @param {string} memberId - Member id
+   * @returns {Promise<Object|null>} - { member_id, password_hash, failed_attempts, locked_until, email_verified_at, password_changed_at } or null
+   */
+  async findCredential(memberId) {
+    throw new Error('findCredential must be implemented by storage adapter');
+  }
+
+  /**
+   * Update a member's credential
+   * @param {Object} credential - Credential with member_id
+   * @returns {Promise<Object>} - Stored credential
+   */
+  async saveCredential(credential) {
+    throw new Error('saveCredential must be implemented by storage adapter');
+  }
+
+  /**
+   * Store a new account token
+   * @param {Object} token - { id, member_id, purpose, token_hash, created_at, expires_at }
+   * @returns {Promise<Object>} - Stored token record
+   */
+  async saveAccountToken(token) {
+    throw new Error('saveAccountToken must be implemented by storage adapter');
+  }
+
+  /**
+   * Find account tokens, newest first
+   * @param {Object} query - { tokenHash, memberId, purpose, unusedOnly }
+   * @returns {Promise<Array>} - Token records
+   */
+  async findAccountTokens(query = {}) {
+    throw new Error('findAccountTokens must be implemented by storage adapter');
+  }
+
+  /**
+   * Mark an account token used, only if it has not been used already
+   * @param {string} id - Token id
+   * @param {string} usedAt - ISO timestamp
+   * @returns {Promise<boolean>} - True if this call used the token
+   */
+  async markAccountTokenUsed(id, usedAt) {
+    throw new Error('markAccountTokenUsed must be implemented by storage adapter');
+  }
+
+  /**
+   * Insert or update a governance proposal
+   * @param {Object} proposal - governance_proposals fields with id (proposal_payload as an object)
+   * @returns {Promise<Object>} - Stored proposal
+   */
+  async saveGovernanceProposal(proposal) {
+    throw new Error('saveGovernanceProposal must be implemented by storage adapter');
+  }
+
+  /**
+   * Find a governance proposal by id
+   * @param {string} id - Proposal id
+   * @returns {Promise<Object|null>} - Proposal or null
+   */
+  async findGovernanceProposalById(id) {
+    throw new Error('findGovernanceProposalById must be implemented by storage adapter');
+  }
+
+  /**
+   * Insert a new proposal together with the first event on its timeline
+   * A proposal with a text_hash also has its text stored as version 1.
+   * @param {Object} proposal - governance_proposals fields with id
+   * @param {Object} event - { id, proposal_id, event_type, from_status, to_status, actor_id, details, occurred_at }
+   * @returns {Promise<Object>} - Stored proposal
+   */
+  async createGovernanceProposal(proposal, event) {
+    throw new Error('createGovernanceProposal must be implemented by storage adapter');
+  }
+
+  /**
+   * Move a proposal from one status to another and append the event that records it
+   * Nothing is written if the proposal is no longer in fromStatus, or fromRound (fromVersion) is given
+   * and the proposal has moved on to another consent round (text version).
+   * @param {Object} transition - { id, fromStatus, fromRound, fromVersion, toStatus, changes, event, electorate,
+   *   version }; changes may set title, description, voting_method, passing_threshold, voting_start_date,
+   *   voting_end_date, quorum_required, eligible_voters, quorum_met, total_votes, approve_votes, reject_votes,
+   *   abstain_votes, winning_option, results, consent_round, escalated_at, current_version, text_hash and
+   *   tallied_at; electorate (voter pseudonyms) is the snapshot to store with the change; version
+   *   ({ version, title, description, text_hash, amendment_id, created_by, created_at }) is the new text to
+   *   store with it, which supersedes the proposal's other pending amendments written against earlier versions
+   * @returns {Promise<Object|null>} - Updated proposal, or null if its status had moved on
+   */
+  async transitionGovernanceProposal(transition) {
+    throw new Error('transitionGovernanceProposal must be implemented by storage adapter');
+  }
+
+  /**
+   * Mark an approved proposal enacted and append the event that records it
+   * Nothing is written if the proposal is not approved or was already marked enacted.
+   * @param {Object} enactment - { id, enacted_by, enacted_at, event }
+   * @returns {Promise<Object|null>} - Updated proposal, or null if nothing was written
+   */
+  async recordGovernanceProposalEnactment(enactment) {
+    throw new Error('recordGovernanceProposalEnactment must be implemented by storage adapter');
+  }
+
+  /**
+   * Find governance proposals, newest first
+   * @param {Object} query - { statuses, proposalType, createdBy, votingStartsBy, votingEndsBy (ISO), limit }
+   * @returns {Promise<Array>} - Proposals
+   */
+  async findGovernanceProposals(query = {}) {
+    throw new Error('findGovernanceProposals must be implemented by storage adapter');
+  }
+
+  /**
+   * A proposal's timeline, oldest first
+   * @param {string} proposalId - Proposal id
+   * @returns {Promise<Array>} - Proposal events
+   */
+  async findGovernanceProposalEvents(proposalId) {
+    throw new Error('findGovernanceProposalEvents must be implemented by storage adapter');
+  }
+
+  /**
+   * Every version of a proposal's text, oldest first
+   * @param {string} proposalId - Proposal id
+   * @returns {Promise<Array>} - { proposal_id, version, title, description, text_hash, amendment_id, created_by,
+   *   created_at } entries
+   */
+  async findGovernanceProposalVersions(proposalId) {
+    throw new Error('findGovernanceProposalVersions must be implemented by storage adapter');
+  }
+
+  /**
+   * Insert an amendment together with the timeline event that records it
+   * @param {Object} amendment - { id, proposal_id, base_version, title, description, text_hash, rationale,
+   *   proposed_by, created_at }
+   * @param {Object} event - Timeline event (see createGovernanceProposal)
+   * @returns {Promise<Object>} - Stored amendment (status pending)
+   */
+  async createGovernanceAmendment(amendment, event) {
+    throw new Error('createGovernanceAmendment must be implemented by storage adapter');
+  }
+
+  /**
+   * Find an amendment by id, with its support_votes and oppose_votes counts
+   * @param {string} id - Amendment id
+   * @returns {Promise<Object|null>} - Amendment or null
+   */
+  async findGovernanceAmendmentById(id) {
+    throw new Error('findGovernanceAmendmentById must be implemented by storage adapter');
+  }
+
+  /**
+   * Find a proposal's amendments, oldest first, with their support_votes and oppose_votes counts
+   * @param {Object} query - { proposalId, statuses }
+   * @returns {Promise<Array>} - Amendments
+   */
+  async findGovernanceAmendments(query = {}) {
+    throw new Error('findGovernanceAmendments must be implemented by storage adapter');
+  }
+
+  /**
+   * Settle a pending amendment, appending event to the proposal's timeline if given
+   * An accepted or adopted amendment comes with the transition that applies it (see
+   * transitionGovernanceProposal), made in the same write. Nothing is written if the
+   * amendment is no longer pending or the transition does not apply.
+   * @param {Object} decision - { id, status, resulting_version, decided_at, event, transition }
+   * @returns {Promise<Object|null>} - { amendment, proposal (when a transition applied it) }, or null
+   */
+  async decideGovernanceAmendment(decision) {
+    throw new Error('decideGovernanceAmendment must be implemented by storage adapter');
+  }
+
+  /**
+   * Mark a proposal's pending amendments lapsed once it can no longer be amended
+   * @param {string} proposalId - Proposal id
+   * @param {string} decidedAt - ISO time
+   * @returns {Promise<number>} - Amendments lapsed
+   */
+  async lapseGovernanceAmendments(proposalId, decidedAt) {
+    throw new Error('lapseGovernanceAmendments must be implemented by storage adapter');
+  }
+
+  /**
+   * Record support or opposition to an amendment; fails if the voter already voted on it
+   * @param {Object} vote - { id, amendment_id, voter_pseudonym, decision (support | oppose), cast_at }
+   * @returns {Promise<Object>} - Stored amendment vote
+   */
+  async recordAmendmentVote(vote) {
+    throw new Error('recordAmendmentVote must be implemented by storage adapter');
+  }
+
+  /**
+   * Find amendment votes, oldest first
+   * @param {Object} query - { amendmentId, voterPseudonym }
+   * @returns {Promise<Array>} - Amendment votes
+   */
+  async findAmendmentVotes(query = {}) {
+    throw new Error('findAmendmentVotes must be implemented by storage adapter');
+  }
+
+  /**
+   * A proposal's electorate snapshot
+   * @param {Object} query - { proposalId, voterPseudonym }
+   * @returns {Promise<Array>} - { proposal_id, voter_pseudonym, snapshot_at } entries
+   */
+  async findGovernanceElectorate(query = {}) {
+    throw new Error('findGovernanceElectorate must be implemented by storage adapter');
+  }
+
+  /**
+   * Change a member's governance_role and append the grant that records it
+   * Fails if the proposal was already enacted for the member.
+   * @param {Object} grant - { id, member_id, previous_role, granted_role, proposal_id, enacted_by, enacted_at }
+   * @returns {Promise<Object>} - Stored grant
+   */
+  async recordRoleGrant(grant) {
+    throw new Error('recordRoleGrant must be implemented by storage adapter');
+  }
+
+  /**
+   * Find role grants, oldest first
+   * @param {Object} query - { memberId, proposalId }
+   * @returns {Promise<Array>} - Role grants
+   */
+  async findRoleGrants(query = {}) {
+    throw new Error('findRoleGrants must be implemented by storage adapter');
+  }
+
+  /**
+   * Record a vote; fails if the voter already voted in the proposal's voting round
+   * @param {Object} vote - { id, proposal_id, voting_round, voter_pseudonym, vote_decision, ballot (multi-option
+   *   methods) or consent_position (consent, with objection_principle), vote_reason, proposal_version,
+   *   text_hash, vote_timestamp }
+   * @returns {Promise<Object>} - Stored vote
+   */
+  async recordVote(vote) {
+    throw new Error('recordVote must be implemented by storage adapter');
+  }
+
+  /**
+   * Replace a ballot cast on superseded text with the voter's ballot on the current text
+   * Nothing is written if the ballot no longer holds fromTextHash.
+   * @param {Object} vote - { id, fromTextHash, vote_decision, ballot, consent_position, objection_principle,
+   *   vote_reason, proposal_version, text_hash, reconfirmed_at }
+   * @returns {Promise<Object|null>} - Updated vote, or null if it had already been replaced
+   */
+  async reconfirmVote(vote) {
+    throw new Error('reconfirmVote must be implemented by storage adapter');
+  }
+
+  /**
+   * Find votes, oldest first
+   * @param {Object} query - { proposalId, round, voterPseudonym }
+   * @returns {Promise<Array>} - Votes
+   */
+  async findVotes(query = {}) {
+    throw new Error('findVotes must be implemented by storage adapter');
+  }
+
+  /**
+   * Store a new partner organisation; fails if the proposal already registered one
+   * @param {Object} partner - { id, name, contact_email, approved_scopes, proposal_id, enacted_by, created_at }
+   * @returns {Promise<Object>} - Stored partner
+   */
+  async createPartner(partner) {
+    throw new Error('createPartner must be implemented by storage adapter');
+  }
+
+  /**
+   * Find a partner organisation by id
+   * @param {string} id - Partner id
+   * @returns {Promise<Object|null>} - Partner or null
+   */
+  async findPartnerById(id) {
+    throw new Error('findPartnerById must be implemented by storage adapter');
+  }
+
+  /**
+   * Insert or replace a partner API key record
+   * @param {Object} key - { id, partner_id, label, key_prefix, key_hash, scopes, rate_limit_per_window, issued_by,
+   *                         issued_at, expires_at, last_used_at, replaced_by, revoked_at, revocation_reason }
+   * @returns {Promise<Object>} - Stored key record
+   */
+  async savePartnerApiKey(key) {
+    throw new Error('savePartnerApiKey must be implemented by storage adapter');
+  }
+
+  /**
+   * Find partner API key records, oldest first
+   * @param {Object} query - { id, keyHash, partnerId }
+   * @returns {Promise<Array>} - Key records
+   */
+  async findPartnerApiKeys(query = {}) {
+    throw new Error('findPartnerApiKeys must be implemented by storage adapter');
+  }
+
+  /**
+   * Count one request made with a key and mark the key used
+   * @param {Object} usage - { keyId, scope, usedAt (ISO timestamp), rateLimited }
+   * @returns {Promise<void>}
+   */
+  async recordApiKeyUsage(usage) {
+    throw new Error('recordApiKeyUsage must be implemented by storage adapter');
+  }
+
+  /**
+   * Daily usage counts, oldest first
+   * @param {Object} query - { keyIds, from, to } (dates as YYYY-MM-DD, inclusive)
+   * @returns {Promise<Array>} - { key_id, usage_date, scope, request_count, rate_limited_count }
+   */
+  async findApiKeyUsage(query = {}) {
+    throw new Error('findApiKeyUsage must be implemented by storage adapter');
+  }
+
+  /**
+   * Remember a webhook nonce, unless it was already seen from the same source
+   * Expired nonces may be forgotten at the same time.
+   * @param {Object} nonce - { source, nonce, received_at, expires_at }
+   * @returns {Promise<boolean>} - True if the nonce was new
+   */
+  async recordWebhookNonce(nonce) {
+    throw new Error('recordWebhookNonce must be implemented by storage adapter');
+  }
+
+  /**
+   * Queue an outbound delivery unless one exists for its destination and idempotency key
+   * @param {Object} delivery - { id, destination, idempotency_key, content_id, content_type, payload, enqueued_by }
+   * @returns {Promise<Object>} - { delivery, created } (created is false when it was already queued)
+   */
+  async enqueueOutboundDelivery(delivery) {
+    throw new Error('enqueueOutboundDelivery must be implemented by storage adapter');
+  }
+
+  /**
+   * Claim deliveries that are due, including ones whose previous claim lapsed
+   * Claimed deliveries move to delivering with next_attempt_at set to leaseUntil.
+   * @param {Object} claim - { now, leaseUntil, limit }
+   * @returns {Promise<Array>} - Claimed deliveries, longest waiting first
+   */
+  async claimOutboundDeliveries(claim) {
+    throw new Error('claimOutboundDeliveries must be implemented by storage adapter');
+  }
+
+  /**
+   * Save the status, attempt and replay fields of a queued delivery
+   * @param {Object} delivery - Delivery with id
+   * @returns {Promise<Object>} - Saved delivery
+   */
+  async saveOutboundDelivery(delivery) {
+    throw new Error('saveOutboundDelivery must be implemented by storage adapter');
+  }
+
+  /**
+   * Find outbound deliveries, newest first
+   * @param {Object} query - { id, status, destination, contentId, limit }
+   * @returns {Promise<Array>} - Matching deliveries
+   */
+  async findOutboundDeliveries(query) {
+    throw new Error('findOutboundDeliveries must be implemented by storage adapter');
+  }
+
+  /**
+   * Store a new webhook subscription; fails if the proposal already created one
+   * @param {Object} subscription - { id, partner_id, url, event_types, description, signing_secret,
+   *                                  proposal_id, enacted_by, created_at }
+   * @returns {Promise<Object>} - Stored subscription
+   */
+  async createWebhookSubscription(subscription) {
+    throw new Error('createWebhookSubscription must be implemented by storage adapter');
+  }
+
+  /**
+   * Save the status fields of a webhook subscription
+   * @param {Object} subscription - Subscription with id
+   * @returns {Promise<Object>} - Saved subscription
+   */
+  async saveWebhookSubscription(subscription) {
+    throw new Error('saveWebhookSubscription must be implemented by storage adapter');
+  }
+
+  /**
+   * Find webhook subscriptions, oldest first
+   * @param {Object} query - { id, partnerId, status, eventType }
+   * @returns {Promise<Array>} - Matching subscriptions
+   */
+  async findWebhookSubscriptions(query = {}) {
+    throw new Error('findWebhookSubscriptions must be implemented by storage adapter');
+  }
+
+  /**
+   * Record one delivery outcome: a success resets consecutive_failures, a failure adds one
+   * @param {Object} outcome - { id, delivered, at (ISO timestamp) }
+   * @returns {Promise<Object|null>} - Updated subscription, or null when it does not exist
+   */
+  async recordWebhookSubscriptionOutcome(outcome) {
+    throw new Error('recordWebhookSubscriptionOutcome must be implemented by storage adapter');
+  }
+
+  /**
+   * Insert or replace a record and add domain events to the outbox, atomically
+   * @param {string} collection - Collection name
+   * @param {Object} record - Record with string id
+   * @param {Object} metadata - Sovereignty metadata
+   * @param {Array<Object>} events - Domain event envelopes (see DomainEventSchemas)
+   * @returns {Promise<Object>} - Stored record
+   */
+  async saveWithOutboxEvents(collection, record, metadata, events) {
+    throw new Error('saveWithOutboxEvents must be implemented by storage adapter');
+  }
+
+  /**
+   * Claim outbox events that are due, including ones whose previous claim lapsed
+   * Claimed events move to publishing with next_attempt_at set to leaseUntil.
+   * @param {Object} claim - { now, leaseUntil, limit }
+   * @returns {Promise<Array>} - { id, event_type, correlation_id, envelope, status, attempts, ... }, oldest first
+   */
+  async claimOutboxEvents(claim) {
+    throw new Error('claimOutboxEvents must be implemented by storage adapter');
+  }
+
+  /**
+   * Save the status and attempt fields of an outbox event
+   * @param {Object} event - Outbox event with id
+   * @returns {Promise<Object>} - Saved outbox event
+   */
+  async saveOutboxEvent(event) {
+    throw new Error('saveOutboxEvent must be implemented by storage adapter');
+  }
+
+  /**
+   * Find outbox events, oldest first
+   * @param {Object} query - { id, status, correlationId, limit }
+   * @returns {Promise<Array>} - Matching outbox events
+   */
+  async findOutboxEvents(query = {}) {
+    throw new Error('findOutboxEvents must be implemented by storage adapter');
+  }
+
+  /**
+   * Check the backing store is reachable
+   * @returns {Promise<Object>} - { healthy, adapter }
+   */
+  async healthCheck() {
+    throw new Error('healthCheck must be implemented by storage adapter');
+  }
+}
+
+module.exports = StorageAdapter;
@@ -0,0 +1,42 @@
+/**
+ * Storage adapter selection (Layer 5)
+ *
+ * DATA_STORAGE_ADAPTER=memory|postgres picks the backend explicitly.
+ * Without it, Postgres is used when DATABASE_URL is set and memory otherwise.
+ */
+
+const StorageAdapter = require('./StorageAdapter');
+const InMemoryStorageAdapter = require('./InMemoryStorageAdapter');
+const PostgresStorageAdapter = require('./PostgresStorageAdapter');
+
+/**
+ * Create the configured storage adapter
+ * @param {Object} config - Adapter configuration
+ * @param {string} config.adapter - 'memory' or 'postgres'
+ * @param {Object} config.databaseConnection - Existing connection for the postgres adapter
+ * @returns {StorageAdapter} - Storage adapter instance
+ */
+function createStorageAdapter(config = {}) {
+  const adapter = config.adapter || process.env.DATA_STORAGE_ADAPTER ||
+    (process.env.DATABASE_URL ? 'postgres' : 'memory');
+
+  switch (adapter) {
+    case 'memory':
+      return new InMemoryStorageAdapter();
+    case 'postgres': {
+      // Loaded lazily so the memory adapter works without the pg driver installed
+      const databaseConnection = config.databaseConnection ||
+        require('../DatabaseConnectionFactory').createDatabaseConnection(config);
+      return new PostgresStorageAdapter(databaseConnection);
+    }
+    default:
+      throw new Error(`Unknown storage adapter: ${adapter}`);
+  }
+}
+
+module.exports = {
+  StorageAdapter,
+  InMemoryStorageAdapter,
+  PostgresStorageAdapter,
+  createStorageAdapter
+};
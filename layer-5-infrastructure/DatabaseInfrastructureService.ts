@@ -9,6 +9,7 @@
  * ❌ NO business logic (delegates to Layer 3)
  */
 
+import { createHash } from 'crypto';
 import {
   DatabaseInfrastructureService,
   SupabaseConfig,
@@ -33,6 +34,9 @@ export class SupabaseDatabaseInfrastructureService implements DatabaseInfrastruc
   private connectionPool: ConnectionPool | null = null;
   private config: SupabaseConfig | null = null;
 
+  // Same ledger table as database/MigrationRunner.js, so either tool sees the other's migrations
+  private readonly migrationLedgerTable = 'schema_migrations';
+
   /**
    * Establishes database connection
    * INFRASTRUCTURE ONLY: Connection management - Layer 5 provides connection requirements
@@ -201,8 +205,20 @@ export class SupabaseDatabaseInfrastructureService implements DatabaseInfrastruc
     }
 
     console.log(`Applying ${migrations.length} schema changes`);
+
+    const appliedMigrations = await this.loadAppliedMigrations();
     
     for (const migration of migrations) {
+      const applied = appliedMigrations.get(migration.version);
+      if (applied) {
+        // Infrastructure operation: Refuse to continue over an edited migration
+        if (applied.checksum !== this.computeMigrationChecksum(migration)) {
+          throw new Error(`Migration ${migration.version} has been modified since it was applied (checksum mismatch)`);
+        }
+        console.log(`Skipping applied migration: ${migration.version}`);
+        continue;
+      }
+
       try {
         // Infrastructure operation: Execute migration as instructed by Layer 5
         console.log(`Applying migration: ${migration.version}`);
@@ -307,7 +323,7 @@ export class SupabaseDatabaseInfrastructureService implements DatabaseInfrastruc
         select: () => ({ data: [], error: null }),
         insert: () => ({ data: [], error: null }),
         update: () => ({ data: [], error: null }),
-        delete: () => ({ data: [], error: null })
+        delete: () => ({ data: [], error: null, eq: () => ({ data: [], error: null }) })
       }),
       rpc: async (fn: string, params?: any) => ({ data: null, error: null }),
       auth: {
@@ -485,16 +501,65 @@ export class SupabaseDatabaseInfrastructureService implements DatabaseInfrastruc
     console.log(`Query timeout logged: ${query.id}`);
   }
 
+  /**
+   * Runs raw migration SQL through the `exec_sql(sql text)` database function,
+   * which must be installed and restricted to the service role
+   */
+  private async executeSql(sql: string): Promise<void> {
+    const { error } = await this.client!.rpc('exec_sql', { sql });
+    if (error) {
+      throw new Error(error.message || String(error));
+    }
+  }
+
+  private computeMigrationChecksum(migration: Migration): string {
+    return migration.checksum ||
+      createHash('sha256').update(migration.up.replace(/\r\n/g, '\n')).digest('hex');
+  }
+
+  private async loadAppliedMigrations(): Promise<Map<string, { version: string; checksum: string }>> {
+    const { data, error } = await this.client!.from(this.migrationLedgerTable).select('version, checksum');
+    if (error) {
+      throw new Error(`Unable to read migration ledger: ${error.message || error}`);
+    }
+
+    return new Map((data || []).map((row: { version: string; checksum: string }) => [row.version, row]));
+  }
+
   private async executeMigration(migration: Migration): Promise<void> {
     console.log(`Executing migration: ${migration.version}`);
+    await this.executeSql(migration.up);
   }
 
   private async recordMigrationCompletion(migration: Migration): Promise<void> {
+    const { error } = await this.client!.from(this.migrationLedgerTable).insert({
+      version: migration.version,
+      name: migration.name || migration.version,
+      checksum: this.computeMigrationChecksum(migration),
+      applied_at: new Date().toISOString()
+    });
+    if (error) {
+      throw new Error(`Unable to record migration ${migration.version}: ${error.message || error}`);
+    }
+
     console.log(`Migration completed: ${migration.version}`);
   }
 
   private async rollbackMigration(migration: Migration): Promise<void> {
     console.log(`Rolling back migration: ${migration.version}`);
+
+    if (!migration.down) {
+      console.error(`No down migration for ${migration.version} - manual cleanup required`);
+      return;
+    }
+
+    try {
+      await this.executeSql(migration.down);
+      await this.client!.from(this.migrationLedgerTable).delete().eq('version', migration.version);
+    } catch (error) {
+      // Keep the original migration error as the one surfaced to the caller
+      console.error(`Rollback failed for migration ${migration.version}:`, error);
+    }
   }
 
   private async createRLSPolicy(policy: RLSPolicy): Promise<void> {
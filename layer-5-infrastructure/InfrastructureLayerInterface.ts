@@ -311,9 +311,11 @@ export interface BatchQuery {
  */
 export interface Migration {
   version: string;
+  name?: string;
   up: string;
   down: string;
   timestamp: Date;
+  checksum?: string; // SHA-256 of `up`; computed when omitted
 }
 
 /**
@@ -0,0 +1,193 @@
+/**
+ * Domain Event Bus (Layer 5 Infrastructure)
+ *
+ * SCOPE: One place where services publish domain events and anyone can subscribe to them
+ * DOES NOT: Store events (the outbox does, see DomainEventOutboxRelay) or act on them
+ * ONLY: Wraps payloads in validated envelopes, hands them to a backend and routes arriving events to handlers
+ *
+ * Layer 3 services stay plain EventEmitters; connect() republishes what they emit
+ * on the bus, so listeners no longer need to hold the service instance. The
+ * backend decides how far events travel: InProcessEventBackend within this
+ * process, RedisEventBackend to every process subscribed to the channel.
+ *
+ * Every event carries a correlationId. Pass { correlationId } to tie an event to
+ * a request, or { causedBy: envelope } when handling one event publishes another;
+ * the new event then shares the correlationId and records the cause's id.
+ */
+
+const crypto = require('crypto');
+const InProcessEventBackend = require('./InProcessEventBackend');
+const {
+  ENVELOPE_VERSION,
+  DOMAIN_EVENT_SCHEMAS,
+  DOMAIN_EVENT_TYPES,
+  validateEnvelope,
+  validatePayload
+} = require('./DomainEventSchemas');
+
+const DEFAULT_SOURCE = 'blkout-liberation-backend';
+const ALL_EVENTS = '*';
+
+class DomainEventBus {
+  /**
+   * @param {Object} options
+   * @param {Object} options.backend - { publish(envelope), subscribe(listener), close() } (default in-process)
+   * @param {string} options.source - Source recorded on events published without one
+   */
+  constructor(options = {}) {
+    this.backend = options.backend || new InProcessEventBackend();
+    this.source = options.source || DEFAULT_SOURCE;
+    // event type (or '*') -> Set of handlers
+    this.handlers = new Map();
+    this.started = null;
+  }
+
+  /**
+   * Build a validated envelope without publishing it (e.g. to store in the outbox)
+   * @param {string} type - One of DOMAIN_EVENT_TYPES
+   * @param {Object} payload - Fields from the type's schema
+   * @param {Object} context - { source, correlationId, causedBy (envelope) }
+   * @returns {Object} - Envelope
+   */
+  createEvent(type, payload, context = {}) {
+    const problems = validatePayload(type, payload);
+    if (problems.length > 0) {
+      throw new Error(`Invalid ${type} event: ${problems.join('; ')}`);
+    }
+
+    const { causedBy } = context;
+    return {
+      envelopeVersion: ENVELOPE_VERSION,
+      id: crypto.randomUUID(),
+      type,
+      version: DOMAIN_EVENT_SCHEMAS[type].version,
+      source: context.source || this.source,
+      occurredAt: new Date().toISOString(),
+      correlationId: context.correlationId || (causedBy && causedBy.correlationId) || crypto.randomUUID(),
+      causationId: causedBy ? causedBy.id : null,
+      payload: JSON.parse(JSON.stringify(payload))
+    };
+  }
+
+  /**
+   * Publish an event now
+   * Use the outbox instead when the event reports a data write, so it is only
+   * published once the write commits.
+   * @param {string} type - One of DOMAIN_EVENT_TYPES
+   * @param {Object} payload - Fields from the type's schema
+   * @param {Object} context - { source, correlationId, causedBy (envelope) }
+   * @returns {Promise<Object>} - Published envelope
+   */
+  async publish(type, payload, context = {}) {
+    const envelope = this.createEvent(type, payload, context);
+    await this.publishEnvelope(envelope);
+    return envelope;
+  }
+
+  /**
+   * Publish an envelope built earlier (e.g. by the outbox relay)
+   * @param {Object} envelope - Envelope from createEvent()
+   */
+  async publishEnvelope(envelope) {
+    const problems = validateEnvelope(envelope);
+    if (problems.length > 0) {
+      throw new Error(`Invalid domain event envelope: ${problems.join('; ')}`);
+    }
+
+    await this.start();
+    await this.backend.publish(envelope);
+  }
+
+  /**
+   * Call handler with every event of a type, or every event for '*'
+   * @param {string} type - One of DOMAIN_EVENT_TYPES, or '*'
+   * @param {Function} handler - async (envelope) => void; failures are logged, not retried
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(type, handler) {
+    if (type !== ALL_EVENTS && !DOMAIN_EVENT_SCHEMAS[type]) {
+      throw new Error(`Unknown domain event type ${type}`);
+    }
+
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+    }
+    this.handlers.get(type).add(handler);
+    this.start().catch(error => console.error('🚨 Domain event bus failed to subscribe:', error));
+
+    return () => {
+      this.handlers.get(type).delete(handler);
+    };
+  }
+
+  /**
+   * Republish the domain events a service emits on the bus
+   * @param {EventEmitter} emitter - e.g. EventsLiberationService
+   * @param {Object} options - { source (e.g. 'events'), eventTypes (default: every known type) }
+   * @returns {Function} - Disconnect
+   */
+  connect(emitter, options = {}) {
+    const eventTypes = options.eventTypes || DOMAIN_EVENT_TYPES;
+    const listeners = eventTypes.map(type => {
+      const listener = (payload) => {
+        this.publish(type, payload, { source: options.source }).catch(error => {
+          console.error(`🚨 Failed to publish ${type} from ${options.source || 'service'}:`, error.message);
+        });
+      };
+      emitter.on(type, listener);
+      return [type, listener];
+    });
+
+    return () => {
+      for (const [type, listener] of listeners) {
+        emitter.removeListener(type, listener);
+      }
+    };
+  }
+
+  /**
+   * Start receiving events from the backend (called on first publish or subscribe)
+   */
+  async start() {
+    if (!this.started) {
+      this.started = this.backend.subscribe(envelope => this.dispatch(envelope));
+      this.started.catch(() => {
+        this.started = null;
+      });
+    }
+    return this.started;
+  }
+
+  async close() {
+    this.handlers.clear();
+    this.started = null;
+    await this.backend.close();
+  }
+
+  // Helper methods
+
+  async dispatch(envelope) {
+    const problems = validateEnvelope(envelope);
+    if (problems.length > 0) {
+      console.warn(`⚠️ Ignoring domain event ${envelope && envelope.id}: ${problems.join('; ')}`);
+      return;
+    }
+
+    const handlers = [
+      ...(this.handlers.get(envelope.type) || []),
+      ...(this.handlers.get(ALL_EVENTS) || [])
+    ];
+    for (const handler of handlers) {
+      try {
+        await handler(envelope);
+      } catch (error) {
+        console.error(`🚨 Handler for ${envelope.type} failed (correlation ${envelope.correlationId}):`, error);
+      }
+    }
+  }
+}
+
+DomainEventBus.ALL_EVENTS = ALL_EVENTS;
+DomainEventBus.DOMAIN_EVENT_TYPES = DOMAIN_EVENT_TYPES;
+
+module.exports = DomainEventBus;
@@ -0,0 +1,140 @@
+/**
+ * Domain Event Outbox Relay (Layer 5 Infrastructure)
+ *
+ * SCOPE: Publishing events from the domain event outbox once their data write has committed
+ * DOES NOT: Write events to the outbox (storeWithSovereignty does, with the record) or handle them
+ * ONLY: Claims due outbox events, publishes them on the bus and records the outcome
+ *
+ * An event is in the outbox only if its write committed, so the bus never
+ * announces data that was rolled back. Publishing is at least once: an event
+ * the backend refuses stays pending and is retried with capped exponential
+ * backoff, and a relay that stops mid-batch leaves its claims to lapse so
+ * another run picks them up. Handlers should treat the envelope id as an
+ * idempotency key (webhook subscriptions do).
+ */
+
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_LEASE_SECONDS = 30;
+const DEFAULT_BASE_DELAY_SECONDS = 5;
+const DEFAULT_MAX_DELAY_SECONDS = 10 * 60;
+const DEFAULT_POLL_INTERVAL_SECONDS = 2;
+const MAX_ERROR_LENGTH = 500;
+
+class DomainEventOutboxRelay {
+  /**
+   * @param {Object} options
+   * @param {StorageAdapter} options.storageAdapter - Domain event outbox
+   * @param {DomainEventBus} options.eventBus - Bus the events are published on
+   * @param {number} options.batchSize - Events claimed per run (default 50)
+   * @param {number} options.leaseSeconds - How long a claim lasts before another run may take it (default 30)
+   * @param {number} options.baseDelaySeconds - Wait after the first failure, doubled each time (default 5)
+   * @param {number} options.maxDelaySeconds - Longest wait between attempts (default 10 minutes)
+   */
+  constructor(options = {}) {
+    if (!options.storageAdapter || !options.eventBus) {
+      throw new Error('Storage adapter and event bus are required');
+    }
+
+    this.storage = options.storageAdapter;
+    this.eventBus = options.eventBus;
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    this.leaseSeconds = options.leaseSeconds || DEFAULT_LEASE_SECONDS;
+    this.baseDelaySeconds = options.baseDelaySeconds || DEFAULT_BASE_DELAY_SECONDS;
+    this.maxDelaySeconds = options.maxDelaySeconds || DEFAULT_MAX_DELAY_SECONDS;
+
+    this.pollTimer = null;
+    this.processing = null;
+  }
+
+  /**
+   * Publish every outbox event that is due
+   * @param {Object} options - { now: Date } (defaults to the current time)
+   * @returns {Promise<Object>} - { claimed, published, failed }
+   */
+  async processDue(options = {}) {
+    const now = options.now || new Date();
+    const leaseUntil = new Date(now.getTime() + this.leaseSeconds * 1000);
+
+    const claimed = await this.storage.claimOutboxEvents({
+      now: now.toISOString(),
+      leaseUntil: leaseUntil.toISOString(),
+      limit: this.batchSize
+    });
+
+    const summary = { claimed: claimed.length, published: 0, failed: 0 };
+    for (const event of claimed) {
+      const attempts = event.attempts + 1;
+      try {
+        await this.eventBus.publishEnvelope(event.envelope);
+        await this.storage.saveOutboxEvent({
+          ...event,
+          status: 'published',
+          attempts,
+          last_error: null,
+          published_at: new Date().toISOString()
+        });
+        summary.published++;
+      } catch (error) {
+        await this.storage.saveOutboxEvent({
+          ...event,
+          status: 'pending',
+          attempts,
+          last_error: String(error.message || error).slice(0, MAX_ERROR_LENGTH),
+          next_attempt_at: new Date(now.getTime() + this.backoffSeconds(attempts) * 1000).toISOString()
+        });
+        console.warn(`⏳ Domain event ${event.id} (${event.event_type}) not published (attempt ${attempts}): ${error.message}`);
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Poll the outbox until stop() (the timer does not keep the process alive)
+   * @param {number} intervalMs - Poll interval (defaults to DOMAIN_EVENT_OUTBOX_INTERVAL seconds or 2 seconds)
+   */
+  start(intervalMs) {
+    if (this.pollTimer) {
+      return;
+    }
+
+    const interval = intervalMs ||
+      parseInt(process.env.DOMAIN_EVENT_OUTBOX_INTERVAL || String(DEFAULT_POLL_INTERVAL_SECONDS), 10) * 1000;
+
+    this.pollTimer = setInterval(() => {
+      if (this.processing) {
+        return;
+      }
+      this.processing = this.processDue()
+        .catch(error => console.error('🚨 Domain event outbox run failed:', error))
+        .finally(() => {
+          this.processing = null;
+        });
+    }, interval);
+    this.pollTimer.unref();
+
+    console.log(`📣 Domain event outbox relay polling every ${interval}ms`);
+  }
+
+  /**
+   * Stop polling and wait for the current run to finish
+   */
+  async stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    if (this.processing) {
+      await this.processing;
+    }
+  }
+
+  // Helper methods
+
+  backoffSeconds(attempts) {
+    return Math.min(this.baseDelaySeconds * Math.pow(2, attempts - 1), this.maxDelaySeconds);
+  }
+}
+
+module.exports = DomainEventOutboxRelay;
@@ -0,0 +1,155 @@
+/**
+ * Domain Event Schemas (Layer 5 Infrastructure)
+ *
+ * SCOPE: The event types services may publish on the domain event bus and the envelope they travel in
+ * DOES NOT: Deliver events (see DomainEventBus) or decide what happens when one arrives
+ * ONLY: Lists each type's current schema version, source and payload fields, and validates envelopes
+ *
+ * Envelope (ENVELOPE_VERSION 1):
+ *   {
+ *     envelopeVersion: 1,
+ *     id:            UUID of this event
+ *     type:          e.g. 'event_created'
+ *     version:       schema version of the payload
+ *     source:        service that published it
+ *     occurredAt:    ISO timestamp
+ *     correlationId: shared by every event caused by the same request
+ *     causationId:   id of the event that caused this one, or null
+ *     payload:       fields listed in the type's schema
+ *   }
+ *
+ * Payload fields are typed ('string', 'number', 'boolean', 'object', 'any').
+ * Required fields must be present; fields not in the schema are refused, so a
+ * payload change means a new schema version rather than a silent extra field.
+ */
+
+const ENVELOPE_VERSION = 1;
+
+const DOMAIN_EVENT_SCHEMAS = {
+  event_created: {
+    version: 1,
+    source: 'events',
+    required: { eventId: 'string' },
+    optional: {
+      title: 'string',
+      date: 'string',
+      democraticApproval: 'boolean',
+      liberationScore: 'number',
+      creatorSovereigntyMaintained: 'boolean'
+    }
+  },
+  democratic_vote_completed: {
+    version: 1,
+    source: 'events',
+    required: { eventId: 'string', decision: 'boolean' },
+    optional: { participationRate: 'number', liberationAlignment: 'any' }
+  },
+  liberation_response_generated: {
+    version: 1,
+    source: 'ivor-ai',
+    required: { liberationCompliant: 'boolean' },
+    optional: { responseTime: 'number', creatorSovereigntyMaintained: 'boolean' }
+  },
+  feature_flag_updated: {
+    version: 1,
+    source: 'orchestrator',
+    required: { flagName: 'string', newState: 'object' },
+    optional: {
+      previousState: 'object',
+      governanceValidation: 'object',
+      liberationImpact: 'object',
+      communityNotified: 'boolean'
+    }
+  }
+};
+
+/**
+ * Problems with an envelope, empty when it is valid
+ * @param {Object} envelope - Domain event envelope
+ * @returns {Array<string>} - Human-readable problems
+ */
+function validateEnvelope(envelope) {
+  if (!envelope || typeof envelope !== 'object') {
+    return ['envelope must be an object'];
+  }
+
+  const problems = [];
+  if (envelope.envelopeVersion !== ENVELOPE_VERSION) {
+    problems.push(`envelopeVersion must be ${ENVELOPE_VERSION}`);
+  }
+  for (const field of ['id', 'source', 'occurredAt', 'correlationId']) {
+    if (typeof envelope[field] !== 'string' || !envelope[field]) {
+      problems.push(`${field} is required`);
+    }
+  }
+  if (envelope.causationId !== null && typeof envelope.causationId !== 'string') {
+    problems.push('causationId must be an event id or null');
+  }
+
+  const schema = DOMAIN_EVENT_SCHEMAS[envelope.type];
+  if (!schema) {
+    problems.push(`unknown event type ${envelope.type}`);
+    return problems;
+  }
+  if (envelope.version !== schema.version) {
+    problems.push(`${envelope.type} version must be ${schema.version}`);
+  }
+
+  return problems.concat(validatePayload(envelope.type, envelope.payload));
+}
+
+/**
+ * Problems with a payload for an event type, empty when it is valid
+ * @param {string} type - Event type
+ * @param {Object} payload - Event payload
+ * @returns {Array<string>} - Human-readable problems
+ */
+function validatePayload(type, payload) {
+  const schema = DOMAIN_EVENT_SCHEMAS[type];
+  if (!schema) {
+    return [`unknown event type ${type}`];
+  }
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return ['payload must be an object'];
+  }
+
+  const problems = [];
+  for (const [field, fieldType] of Object.entries(schema.required)) {
+    if (payload[field] === undefined || payload[field] === null) {
+      problems.push(`${field} is required`);
+    } else if (!hasType(payload[field], fieldType)) {
+      problems.push(`${field} must be ${fieldType}`);
+    }
+  }
+  for (const [field, value] of Object.entries(payload)) {
+    if (schema.required[field]) {
+      continue;
+    }
+    const fieldType = schema.optional[field];
+    if (!fieldType) {
+      problems.push(`${field} is not part of ${type} v${schema.version}`);
+    } else if (value !== undefined && value !== null && !hasType(value, fieldType)) {
+      problems.push(`${field} must be ${fieldType}`);
+    }
+  }
+
+  return problems;
+}
+
+function hasType(value, fieldType) {
+  if (fieldType === 'any') {
+    return true;
+  }
+  if (fieldType === 'object') {
+    return typeof value === 'object' && !Array.isArray(value);
+  }
+  return typeof value === fieldType && (fieldType !== 'number' || Number.isFinite(value));
+}
+
+module.exports = {
+  ENVELOPE_VERSION,
+  DOMAIN_EVENT_SCHEMAS,
+  DOMAIN_EVENT_TYPES: Object.keys(DOMAIN_EVENT_SCHEMAS),
+  validateEnvelope,
+  validatePayload
+};
@@ -0,0 +1,39 @@
+/**
+ * In-Process Event Backend (Layer 5 Infrastructure)
+ *
+ * SCOPE: Carrying domain event envelopes between services in the same Node process
+ * DOES NOT: Validate events or route them by type (DomainEventBus does)
+ * ONLY: Hands each published envelope to every listener and waits for them
+ *
+ * Envelopes are copied through JSON so listeners see what a networked backend
+ * would deliver and cannot change the publisher's objects.
+ */
+
+class InProcessEventBackend {
+  constructor() {
+    this.listeners = [];
+  }
+
+  /**
+   * @param {Object} envelope - Validated domain event envelope
+   */
+  async publish(envelope) {
+    const message = JSON.stringify(envelope);
+    for (const listener of this.listeners) {
+      await listener(JSON.parse(message));
+    }
+  }
+
+  /**
+   * @param {Function} listener - async (envelope) => void
+   */
+  async subscribe(listener) {
+    this.listeners.push(listener);
+  }
+
+  async close() {
+    this.listeners = [];
+  }
+}
+
+module.exports = InProcessEventBackend;
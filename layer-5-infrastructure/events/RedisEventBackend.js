@@ -0,0 +1,62 @@
+/**
+ * Redis Event Backend (Layer 5 Infrastructure)
+ *
+ * SCOPE: Carrying domain event envelopes between processes over Redis pub/sub
+ * DOES NOT: Open Redis connections itself or keep events for subscribers that are offline
+ * ONLY: Publishes envelopes to one channel and hands messages from it to listeners
+ *
+ * Works with anything providing publishMessage(channel, message) and
+ * subscribeToChannel(channel, handler), as RedisInfrastructureService does in
+ * InfrastructureLayerInterface.ts; RedisPubSubService is the node-redis implementation.
+ * Every process subscribed to the channel, including the publisher, receives each event.
+ */
+
+const DEFAULT_CHANNEL = 'blkout:domain-events';
+
+class RedisEventBackend {
+  /**
+   * @param {Object} options
+   * @param {Object} options.redis - { publishMessage(channel, message), subscribeToChannel(channel, handler) }
+   * @param {string} options.channel - Pub/sub channel (default blkout:domain-events)
+   */
+  constructor(options = {}) {
+    if (!options.redis) {
+      throw new Error('Redis pub/sub service is required');
+    }
+    this.redis = options.redis;
+    this.channel = options.channel || DEFAULT_CHANNEL;
+  }
+
+  /**
+   * @param {Object} envelope - Validated domain event envelope
+   */
+  async publish(envelope) {
+    await this.redis.publishMessage(this.channel, envelope);
+  }
+
+  /**
+   * @param {Function} listener - async (envelope) => void
+   */
+  async subscribe(listener) {
+    await this.redis.subscribeToChannel(this.channel, async (message) => {
+      let envelope;
+      try {
+        envelope = typeof message === 'string' ? JSON.parse(message) : message;
+      } catch (error) {
+        console.error(`🚨 Unreadable message on ${this.channel}:`, error.message);
+        return;
+      }
+      await listener(envelope);
+    });
+  }
+
+  async close() {
+    if (typeof this.redis.close === 'function') {
+      await this.redis.close();
+    }
+  }
+}
+
+RedisEventBackend.DEFAULT_CHANNEL = DEFAULT_CHANNEL;
+
+module.exports = RedisEventBackend;
@@ -0,0 +1,88 @@
+/**
+ * Redis Pub/Sub Service (Layer 5 Infrastructure)
+ *
+ * SCOPE: The messaging half of RedisInfrastructureService (InfrastructureLayerInterface.ts) on node-redis
+ * DOES NOT: Cache, or know what the messages mean
+ * ONLY: Publishes JSON messages to channels and subscribes handlers to them
+ *
+ * A Redis connection in subscriber mode cannot publish, so one connection
+ * publishes and a duplicate of it subscribes. Both connect on first use.
+ */
+
+class RedisPubSubService {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Redis URL (defaults to REDIS_URL)
+   * @param {Function} options.createClient - Client factory (defaults to node-redis createClient)
+   */
+  constructor(options = {}) {
+    this.url = options.url || process.env.REDIS_URL;
+    this.createClient = options.createClient || require('redis').createClient;
+    this.publisher = null;
+    this.subscriber = null;
+    this.connecting = null;
+  }
+
+  /**
+   * Publish a message (serialised as JSON)
+   * @param {string} channel - Channel name
+   * @param {*} message - Any JSON value
+   */
+  async publishMessage(channel, message) {
+    await this.connect();
+    await this.publisher.publish(channel, JSON.stringify(message));
+  }
+
+  /**
+   * Call handler with every message published to a channel (parsed from JSON)
+   * @param {string} channel - Channel name
+   * @param {Function} handler - async (message) => void
+   */
+  async subscribeToChannel(channel, handler) {
+    await this.connect();
+    await this.subscriber.subscribe(channel, (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch (error) {
+        console.error(`🚨 Unreadable message on ${channel}:`, error.message);
+        return;
+      }
+      Promise.resolve(handler(message)).catch(error => {
+        console.error(`🚨 Handler for ${channel} failed:`, error);
+      });
+    });
+  }
+
+  async connect() {
+    if (!this.connecting) {
+      this.connecting = (async () => {
+        if (!this.url) {
+          throw new Error('REDIS_URL is required for Redis pub/sub');
+        }
+        const publisher = this.createClient({ url: this.url });
+        const subscriber = publisher.duplicate();
+        for (const client of [publisher, subscriber]) {
+          client.on('error', error => console.error('🚨 Redis pub/sub connection error:', error.message));
+        }
+        await Promise.all([publisher.connect(), subscriber.connect()]);
+        this.publisher = publisher;
+        this.subscriber = subscriber;
+      })();
+      this.connecting.catch(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  async close() {
+    const clients = [this.publisher, this.subscriber].filter(Boolean);
+    this.publisher = null;
+    this.subscriber = null;
+    this.connecting = null;
+    await Promise.all(clients.map(client => client.quit()));
+  }
+}
+
+module.exports = RedisPubSubService;
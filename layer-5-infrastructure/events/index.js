@@ -0,0 +1,51 @@
+/**
+ * Domain event bus selection (Layer 5 Infrastructure)
+ *
+ * DOMAIN_EVENT_BACKEND=memory|redis picks the backend. Redis connects to
+ * REDIS_URL and publishes on DOMAIN_EVENT_CHANNEL (default blkout:domain-events);
+ * the in-process backend only reaches subscribers in this process.
+ */
+
+const DomainEventBus = require('./DomainEventBus');
+const DomainEventOutboxRelay = require('./DomainEventOutboxRelay');
+const InProcessEventBackend = require('./InProcessEventBackend');
+const RedisEventBackend = require('./RedisEventBackend');
+const RedisPubSubService = require('./RedisPubSubService');
+const DomainEventSchemas = require('./DomainEventSchemas');
+
+/**
+ * Create the configured domain event bus
+ * @param {Object} config - Bus configuration
+ * @param {string} config.backend - 'memory' or 'redis'
+ * @param {Object} config.redis - Existing pub/sub service for the redis backend
+ * @param {string} config.source - Source recorded on events published without one
+ * @returns {DomainEventBus} - Domain event bus
+ */
+function createDomainEventBus(config = {}) {
+  const backend = config.backend || process.env.DOMAIN_EVENT_BACKEND || 'memory';
+
+  switch (backend) {
+    case 'memory':
+      return new DomainEventBus({ backend: new InProcessEventBackend(), source: config.source });
+    case 'redis':
+      return new DomainEventBus({
+        backend: new RedisEventBackend({
+          redis: config.redis || new RedisPubSubService({ url: process.env.REDIS_URL }),
+          channel: process.env.DOMAIN_EVENT_CHANNEL
+        }),
+        source: config.source
+      });
+    default:
+      throw new Error(`Unknown domain event backend: ${backend}`);
+  }
+}
+
+module.exports = {
+  ...DomainEventSchemas,
+  DomainEventBus,
+  DomainEventOutboxRelay,
+  InProcessEventBackend,
+  RedisEventBackend,
+  RedisPubSubService,
+  createDomainEventBus
+};
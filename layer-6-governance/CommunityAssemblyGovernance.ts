@@ -10,7 +10,8 @@
  */
 
 import {
-  CommunityAssemblyGovernance as ICommunityAssemblyGovernance
+  CommunityAssemblyGovernance as ICommunityAssemblyGovernance,
+  CommunityMemberRoll
 } from './CommunityGovernanceInterface';
 import {
   CommunityProposal,
@@ -22,15 +23,39 @@ import {
   VotingRuleType,
   LiberationPrincipleType,
   GovernanceDecisionType,
-  DissentRecord
+  DissentRecord,
+  CommunityMemberRecord,
+  BallotRecord
 } from './CommunityGovernanceTypes';
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Members must have belonged this long before they can vote
+const MINIMUM_MEMBERSHIP_DAYS = 30;
+
+// VotingRules.eligibilityRequirements -> what a member record must show
+const ELIGIBILITY_CHECKS: Record<string, (member: CommunityMemberRecord, joinedBy: Date) => boolean> = {
+  active_community_member: (member, joinedBy) => member.active && member.communityJoinedDate <= joinedBy,
+  consent_to_democratic_process: member => member.votingRightsActive,
+  liberation_aligned: member => member.liberationValuesTrainingCompleted,
+  anti_oppression_trained: member => member.antiOppressionTrainingCompleted,
+  trauma_informed: member => member.traumaInformedInteractionTraining
+};
+
+// Vote types that choose one of the proposal's ballotOptions
+const MULTI_OPTION_VOTE_TYPES = [VotingRuleType.RANKED_CHOICE, VotingRuleType.APPROVAL, VotingRuleType.SCORE];
+
 /**
  * Community Assembly Democratic Governance
  * RESPONSIBILITY: Makes democratic voting decisions ONLY - no vote implementation
  */
 export class CommunityAssemblyGovernance implements ICommunityAssemblyGovernance {
-  
+
+  /**
+   * @param memberRoll - Layer 5 member, electorate and ballot records
+   */
+  constructor(private readonly memberRoll: CommunityMemberRoll) {}
+
   /**
    * Conducts community assembly vote
    * DECISION ONLY: Returns voting process decision - does NOT store votes
@@ -133,20 +158,21 @@ export class CommunityAssemblyGovernance implements ICommunityAssemblyGovernance
 
   /**
    * Determines vote eligibility
-   * DECISION ONLY: Returns eligibility decision - Layer 5 manages actual voter records
+   * DECISION ONLY: Judges Layer 5 member records against the voting rules' eligibility
+   * requirements, as of the electorate snapshot once voting has opened
    */
   async determineVoteEligibility(proposal: CommunityProposal): Promise<VoteEligibility> {
-    // Mock eligibility determination - real implementation would query Layer 5
-    const eligibilityRequirements = [
-      'Community member for at least 30 days',
-      'Has contributed to liberation-aligned activities',
-      'Consented to democratic governance process',
-      'No active governance violations'
-    ];
-
-    // This would typically query Layer 5 for actual member records
-    const eligibleVoters = this.mockEligibleVoters(proposal);
-    const ineligibleVoters = this.mockIneligibleVoters(proposal);
+    const { eligibilityRequirements } = await this.getVotingRules();
+    const snapshot = await this.memberRoll.findElectorateSnapshot(proposal.proposalId);
+    const joinedBy = new Date((snapshot ? snapshot.snapshotAt.getTime() : Date.now()) - MINIMUM_MEMBERSHIP_DAYS * DAY_MS);
+
+    const eligibleVoters: string[] = [];
+    const ineligibleVoters: string[] = [];
+    for (const member of await this.memberRoll.findMembers()) {
+      const eligible = eligibilityRequirements.every(requirement =>
+        ELIGIBILITY_CHECKS[requirement] ? ELIGIBILITY_CHECKS[requirement](member, joinedBy) : false);
+      (eligible ? eligibleVoters : ineligibleVoters).push(member.memberId);
+    }
     const specialVotingRights = this.determineSpecialVotingRights(proposal);
 
     return {
@@ -163,13 +189,38 @@ export class CommunityAssemblyGovernance implements ICommunityAssemblyGovernance
    */
   async makeAssemblyDecision(proposal: CommunityProposal): Promise<CommunityAssemblyDecision> {
     const proposalValidation = await this.validateProposal(proposal);
-    
-    // Mock participation and consensus data - real implementation would get from Layer 5
-    const participationRate = 0.45; // 45% participation
-    const consensusLevel = 0.75; // 75% agreement
-    const dissent = this.generateMockDissent(proposal);
+    const democraticRequirements = this.calculateDemocraticRequirements(proposal, await this.getVotingRules());
+
+    // Participation is measured against the electorate snapshotted when voting opened
+    const snapshot = await this.memberRoll.findElectorateSnapshot(proposal.proposalId);
+    const electorateSize = snapshot
+      ? snapshot.voterPseudonyms.length
+      : (await this.determineVoteEligibility(proposal)).eligibleVoters.length;
+    // Ballots in the latest round cast on text an amendment has since replaced wait for their
+    // voters to reconfirm them; earlier consent rounds were cast on earlier versions by design
+    const recorded = await this.memberRoll.findBallots(proposal.proposalId);
+    const votingRound = Math.max(1, ...recorded.map(ballot => ballot.round || 1));
+    const ballots = recorded.filter(ballot => (ballot.round || 1) < votingRound ||
+      !ballot.textHash || !proposal.textHash || ballot.textHash === proposal.textHash);
+    const participationRate = electorateSize > 0 ? ballots.length / electorateSize : 0;
+
+    let consensusLevel: number;
+    let dissent: DissentRecord[];
+    if (proposal.requiredVoteType === VotingRuleType.CONSENT) {
+      // Concerns consent; stand-asides and blocks do not. Dissent is kept from every round
+      const latestRound = Math.max(1, ...ballots.map(ballot => ballot.round || 1));
+      const current = ballots.filter(ballot => (ballot.round || 1) === latestRound);
+      const consenting = current.filter(ballot => ballot.position === 'support' || ballot.position === 'concern').length;
+      consensusLevel = current.length > 0 ? consenting / current.length : 0;
+      dissent = this.recordDissent(ballots.filter(ballot => ballot.position && ballot.position !== 'support'));
+    } else {
+      const approvals = ballots.filter(ballot => ballot.decision === 'approve').length;
+      const rejections = ballots.filter(ballot => ballot.decision === 'reject');
+      consensusLevel = approvals + rejections.length > 0 ? approvals / (approvals + rejections.length) : 0;
+      dissent = this.recordDissent(rejections);
+    }
 
-    const democraticProcess = participationRate >= 0.3; // Met quorum
+    const democraticProcess = participationRate >= democraticRequirements.quorum;
     const liberationAligned = proposalValidation.liberationCompliant;
 
     return {
@@ -272,6 +323,14 @@ export class CommunityAssemblyGovernance implements ICommunityAssemblyGovernance
       improvements.push('Consensus voting requires higher liberation alignment');
     }
 
+    if (MULTI_OPTION_VOTE_TYPES.includes(proposal.requiredVoteType)) {
+      const labels = (proposal.ballotOptions || []).map(option => option.label.trim().toLowerCase());
+      if (labels.length < 2 || new Set(labels).size !== labels.length) {
+        valid = false;
+        improvements.push('Offer at least two distinct options for ranked choice, approval or score voting');
+      }
+    }
+
     return { valid, improvements };
   }
 
@@ -302,25 +361,6 @@ export class CommunityAssemblyGovernance implements ICommunityAssemblyGovernance
     return { quorum, threshold };
   }
 
-  private mockEligibleVoters(proposal: CommunityProposal): string[] {
-    // Mock data - real implementation would query Layer 5 member database
-    return [
-      'member_1001',
-      'member_1002', 
-      'member_1003',
-      'member_1004',
-      'member_1005'
-    ];
-  }
-
-  private mockIneligibleVoters(proposal: CommunityProposal): string[] {
-    // Mock data - real implementation would query Layer 5 member database
-    return [
-      'member_2001', // New member (< 30 days)
-      'member_2002'  // Governance violation
-    ];
-  }
-
   private determineSpecialVotingRights(proposal: CommunityProposal): Record<string, string[]> {
     const specialRights: Record<string, string[]> = {};
     
@@ -338,16 +378,15 @@ export class CommunityAssemblyGovernance implements ICommunityAssemblyGovernance
     return specialRights;
   }
 
-  private generateMockDissent(proposal: CommunityProposal): DissentRecord[] {
-    // Mock dissent records - real implementation would get from vote results
-    return [
-      {
-        voterType: 'community_elder',
-        dissentReason: 'Concerned about implementation timeline',
-        liberationConcern: false,
-        alternativeProposal: 'Extend timeline by 2 weeks'
-      }
-    ];
+  private recordDissent(rejections: BallotRecord[]): DissentRecord[] {
+    // Ballots carry no voter identity, so every dissenter is a community member
+    return rejections.map(ballot => ({
+      voterType: 'community_member',
+      dissentReason: ballot.reason || 'No reason given',
+      // A block defends a liberation principle by definition
+      liberationConcern: ballot.position === 'block',
+      ...(ballot.position ? { position: ballot.position, principle: ballot.principle, round: ballot.round || 1 } : {})
+    }));
   }
 
   private mapProposalToDecisionType(proposal: CommunityProposal): GovernanceDecisionType {
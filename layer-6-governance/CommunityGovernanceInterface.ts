@@ -25,7 +25,10 @@ import {
   GovernanceRules,
   RuleUpdateResult,
   CommunityAssemblyDecision,
-  GovernanceValidationError
+  GovernanceValidationError,
+  CommunityMemberRecord,
+  ElectorateSnapshot,
+  BallotRecord
 } from './CommunityGovernanceTypes';
 
 /**
@@ -150,6 +153,28 @@ export interface CommunityAssemblyGovernance {
   makeAssemblyDecision(proposal: CommunityProposal): Promise<CommunityAssemblyDecision>;
 }
 
+/**
+ * Community Member Roll
+ * RESPONSIBILITY: Read-only view of Layer 5 member, electorate and ballot records
+ * NOTE: Ballots carry no voter identity
+ */
+export interface CommunityMemberRoll {
+  /**
+   * Every community member with the fields eligibility is judged on
+   */
+  findMembers(): Promise<CommunityMemberRecord[]>;
+
+  /**
+   * Electorate snapshotted when voting on the proposal opened, or null before then
+   */
+  findElectorateSnapshot(proposalId: string): Promise<ElectorateSnapshot | null>;
+
+  /**
+   * Ballots cast on the proposal
+   */
+  findBallots(proposalId: string): Promise<BallotRecord[]>;
+}
+
 /**
  * Liberation Principles Validation Interface
  * RESPONSIBILITY: Liberation principle assessment ONLY - no enforcement
@@ -260,6 +285,7 @@ export interface LayerIntegrationContract {
     storeGovernanceDecision(decision: GovernanceDecision): Promise<void>;
     retrieveGovernanceRules(): Promise<GovernanceRules>;
     storeVoteResult(result: VoteResult): Promise<void>;
+    memberRoll: CommunityMemberRoll;
   };
   
   expectedInfrastructureLayer: {
@@ -13,7 +13,8 @@ import {
   CommunityGovernanceService as ICommunityGovernanceService,
   GovernanceDecisionFactory,
   LiberationPrinciplesValidator,
-  CreatorSovereigntyDecisionEngine
+  CreatorSovereigntyDecisionEngine,
+  CommunityMemberRoll
 } from './CommunityGovernanceInterface';
 import {
   GovernanceRequest,
@@ -45,15 +46,18 @@ export class CommunityGovernanceService implements ICommunityGovernanceService {
   private liberationValidator: LiberationPrinciplesValidator;
   private sovereigntyEngine: CreatorSovereigntyDecisionEngine;
   private decisionFactory: GovernanceDecisionFactory;
+  private memberRoll: CommunityMemberRoll;
   
   constructor(
     liberationValidator: LiberationPrinciplesValidator,
     sovereigntyEngine: CreatorSovereigntyDecisionEngine,
-    decisionFactory: GovernanceDecisionFactory
+    decisionFactory: GovernanceDecisionFactory,
+    memberRoll: CommunityMemberRoll
   ) {
     this.liberationValidator = liberationValidator;
     this.sovereigntyEngine = sovereigntyEngine;
     this.decisionFactory = decisionFactory;
+    this.memberRoll = memberRoll;
   }
 
   /**
@@ -151,7 +155,7 @@ export class CommunityGovernanceService implements ICommunityGovernanceService {
   async conductCommunityVote(proposal: CommunityProposal): Promise<VoteResult> {
     // Import CommunityAssemblyGovernance to handle voting logic
     const { CommunityAssemblyGovernance } = await import('./CommunityAssemblyGovernance');
-    const assemblyGovernance = new CommunityAssemblyGovernance();
+    const assemblyGovernance = new CommunityAssemblyGovernance(this.memberRoll);
     
     return await assemblyGovernance.conductCommunityVote(proposal);
   }
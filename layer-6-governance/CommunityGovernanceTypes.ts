@@ -25,7 +25,13 @@ export enum VotingRuleType {
   SIMPLE_MAJORITY = 'simple_majority',
   SUPERMAJORITY = 'supermajority',
   CONSENSUS = 'consensus',
-  LIBERATION_WEIGHTED = 'liberation_weighted'
+  LIBERATION_WEIGHTED = 'liberation_weighted',
+  // Consent with objections: members take a ConsentPosition and any block stops the round
+  CONSENT = 'consent',
+  // Multi-option methods: the proposal chooses one of its ballotOptions
+  RANKED_CHOICE = 'ranked_choice',
+  APPROVAL = 'approval',
+  SCORE = 'score'
 }
 
 export enum OppressionType {
@@ -170,8 +176,17 @@ export interface CommunityProposal {
   proposerId: string;
   liberationImpact: LiberationImpact;
   requiredVoteType: VotingRuleType;
+  ballotOptions?: BallotOption[];
   deadline: Date;
   attachments?: string[];
+  // Version of the text being voted on, and its SHA-256 hash (see ProposalVersions)
+  version?: number;
+  textHash?: string;
+}
+
+export interface BallotOption {
+  id: string;
+  label: string;
 }
 
 export interface VoteResult {
@@ -209,6 +224,41 @@ export interface VoteEligibility {
   specialVotingRights: Record<string, string[]>;
 }
 
+// ===== MEMBER ROLL TYPES =====
+
+export interface CommunityMemberRecord {
+  memberId: string;
+  active: boolean;
+  votingRightsActive: boolean;
+  communityJoinedDate: Date;
+  liberationValuesTrainingCompleted: boolean;
+  antiOppressionTrainingCompleted: boolean;
+  traumaInformedInteractionTraining: boolean;
+}
+
+export interface ElectorateSnapshot {
+  proposalId: string;
+  voterPseudonyms: string[];
+  snapshotAt: Date;
+}
+
+export type ConsentPosition = 'support' | 'stand_aside' | 'concern' | 'block';
+
+export interface BallotRecord {
+  // Simple majority, supermajority, consensus and liberation-weighted proposals
+  decision?: 'approve' | 'reject' | 'abstain';
+  // Ranked choice, approval and score proposals (option ids; scores 0-5)
+  ballot?: { ranking: string[] } | { approved: string[] } | { scores: Record<string, number> };
+  // Consent proposals; a block names the principle it defends and gives a reason
+  position?: ConsentPosition;
+  principle?: LiberationPrincipleType;
+  // Consent proposals are voted on again after each amendment (defaults to 1)
+  round?: number;
+  reason?: string;
+  // Hash of the proposal text the ballot was cast on; ballots on superseded text do not count
+  textHash?: string;
+}
+
 // ===== IMPACT ASSESSMENT TYPES =====
 
 export interface EconomicImpact {
@@ -314,6 +364,10 @@ export interface DissentRecord {
   dissentReason: string;
   liberationConcern: boolean;
   alternativeProposal?: string;
+  // Consent proposals: the stand-aside, concern or block, and the principle it names
+  position?: ConsentPosition;
+  principle?: LiberationPrincipleType;
+  round?: number;
 }
 
 // ===== ERROR AND VALIDATION TYPES =====
@@ -17,6 +17,7 @@ import {
 import { CommunityAssemblyGovernance } from './CommunityAssemblyGovernance';
 import { LiberationPrinciplesValidator } from './LiberationPrinciplesValidator';
 import { CreatorSovereigntyDecisionEngine } from './CreatorSovereigntyDecisionEngine';
+import { CommunityMemberRoll } from './CommunityGovernanceInterface';
 import {
   GovernanceRequest,
   GovernanceDecisionType,
@@ -27,9 +28,45 @@ import {
   CommunityProposal,
   LiberationPrincipleType,
   VotingRuleType,
-  OppressionType
+  OppressionType,
+  CommunityMemberRecord,
+  BallotRecord
 } from './CommunityGovernanceTypes';
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Member roll standing in for Layer 5 records
+ */
+function createMemberRoll(ballots: Record<string, BallotRecord[]> = {}): CommunityMemberRoll {
+  const member = (memberId: string, overrides: Partial<CommunityMemberRecord> = {}): CommunityMemberRecord => ({
+    memberId,
+    active: true,
+    votingRightsActive: true,
+    communityJoinedDate: new Date(Date.now() - 90 * DAY_MS),
+    liberationValuesTrainingCompleted: true,
+    antiOppressionTrainingCompleted: true,
+    traumaInformedInteractionTraining: true,
+    ...overrides
+  });
+  const members = [
+    member('member_1001'),
+    member('member_1002'),
+    member('member_1003'),
+    member('member_1004'),
+    member('member_1005'),
+    member('member_2001', { communityJoinedDate: new Date(Date.now() - 5 * DAY_MS) }),
+    member('member_2002', { liberationValuesTrainingCompleted: false }),
+    member('member_2003', { votingRightsActive: false })
+  ];
+
+  return {
+    findMembers: async () => members,
+    findElectorateSnapshot: async () => null,
+    findBallots: async (proposalId: string) => ballots[proposalId] || []
+  };
+}
+
 describe('Community Governance Layer Tests', () => {
   let governanceService: CommunityGovernanceService;
   let assemblyGovernance: CommunityAssemblyGovernance;
@@ -41,12 +78,13 @@ describe('Community Governance Layer Tests', () => {
     liberationValidator = new LiberationPrinciplesValidator();
     sovereigntyEngine = new CreatorSovereigntyDecisionEngine();
     decisionFactory = new GovernanceDecisionFactory();
-    assemblyGovernance = new CommunityAssemblyGovernance();
+    assemblyGovernance = new CommunityAssemblyGovernance(createMemberRoll());
     
     governanceService = new CommunityGovernanceService(
       liberationValidator,
       sovereigntyEngine,
-      decisionFactory
+      decisionFactory,
+      createMemberRoll()
     );
   });
 
@@ -335,6 +373,125 @@ describe('Community Governance Layer Tests', () => {
       expect(votingRules.liberationWeighting).toBe(true);
       expect(votingRules.eligibilityRequirements).toContain('liberation_aligned');
     });
+
+    it('should determine eligibility from member records', async () => {
+      const proposal = { proposalId: 'prop_roll' } as CommunityProposal;
+
+      const eligibility = await assemblyGovernance.determineVoteEligibility(proposal);
+
+      expect(eligibility.eligibleVoters).toEqual(['member_1001', 'member_1002', 'member_1003', 'member_1004', 'member_1005']);
+      // Too recent, untrained and without voting rights respectively
+      expect(eligibility.ineligibleVoters).toEqual(['member_2001', 'member_2002', 'member_2003']);
+      expect(eligibility.eligibilityRequirements).toContain('active_community_member');
+    });
+
+    it('should require distinct options for multi-option votes', async () => {
+      const proposal: CommunityProposal = {
+        proposalId: 'prop_options',
+        title: 'Choose the Next Community Assembly Venue',
+        description: 'Proposal to choose where the next community assembly meets, so members across the UK can attend in person and the space is accessible, affordable and safe for Black queer community members.',
+        proposalType: 'platform_change',
+        proposerId: 'member_1001',
+        liberationImpact: {
+          blackQueerEmpowerment: 0.8,
+          communityLiberation: 0.8,
+          oppressionResistance: 0.7,
+          communityPowerBuilding: 0.85,
+          mutualAidSupport: 0.7,
+          overallLiberationScore: 0.78
+        },
+        requiredVoteType: VotingRuleType.RANKED_CHOICE,
+        ballotOptions: [{ id: 'opt-1', label: 'Birmingham' }, { id: 'opt-2', label: 'birmingham ' }],
+        deadline: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000)
+      };
+
+      const validation = await assemblyGovernance.validateProposal(proposal);
+
+      expect(validation.democraticProcess).toBe(false);
+      expect(validation.requiredImprovements).toContain('Offer at least two distinct options for ranked choice, approval or score voting');
+    });
+
+    it('should keep consent dissent from every round with the assembly decision', async () => {
+      const memberRoll = createMemberRoll({
+        prop_consent: [
+          { position: 'block', principle: LiberationPrincipleType.SUPPORTS_MUTUAL_AID, reason: 'Ends the hardship fund', round: 1 },
+          { position: 'support', round: 1 },
+          { position: 'support', round: 2 },
+          { position: 'concern', reason: 'Review the fund in a year', round: 2 },
+          { position: 'stand_aside', round: 2 }
+        ]
+      });
+      const consentAssembly = new CommunityAssemblyGovernance(memberRoll);
+      const proposal: CommunityProposal = {
+        proposalId: 'prop_consent',
+        title: 'Fold the Hardship Fund into the Mutual Aid Pool',
+        description: 'Proposal to fold the hardship fund into the wider mutual aid pool so that members in crisis can be supported faster, with the same confidentiality and no means testing.',
+        proposalType: 'platform_change',
+        proposerId: 'member_1001',
+        liberationImpact: {
+          blackQueerEmpowerment: 0.8,
+          communityLiberation: 0.8,
+          oppressionResistance: 0.7,
+          communityPowerBuilding: 0.8,
+          mutualAidSupport: 0.9,
+          overallLiberationScore: 0.8
+        },
+        requiredVoteType: VotingRuleType.CONSENT,
+        deadline: new Date(Date.now() + 14 * DAY_MS)
+      };
+
+      const decision = await consentAssembly.makeAssemblyDecision(proposal);
+
+      // Support and concern consent in the latest round; the stand-aside does not
+      expect(decision.consensusLevel).toBeCloseTo(2 / 3);
+      expect(decision.dissent).toHaveLength(3);
+      expect(decision.dissent[0]).toEqual(expect.objectContaining({
+        position: 'block',
+        principle: LiberationPrincipleType.SUPPORTS_MUTUAL_AID,
+        round: 1,
+        liberationConcern: true
+      }));
+    });
+
+    it('should only count ballots cast on the current proposal text', async () => {
+      const original = 'a'.repeat(64);
+      const amended = 'b'.repeat(64);
+      const memberRoll = createMemberRoll({
+        prop_amended: [
+          { decision: 'reject', textHash: original },
+          { decision: 'reject', textHash: original },
+          { decision: 'approve', textHash: amended },
+          { decision: 'approve', textHash: amended }
+        ]
+      });
+      const amendedAssembly = new CommunityAssemblyGovernance(memberRoll);
+      const proposal: CommunityProposal = {
+        proposalId: 'prop_amended',
+        title: 'Open the Community Kitchen on Sundays',
+        description: 'Proposal to open the community kitchen on Sundays, as amended after deliberation, so members who work through the week can share a meal and organise mutual aid together.',
+        proposalType: 'platform_change',
+        proposerId: 'member_1001',
+        liberationImpact: {
+          blackQueerEmpowerment: 0.8,
+          communityLiberation: 0.8,
+          oppressionResistance: 0.7,
+          communityPowerBuilding: 0.8,
+          mutualAidSupport: 0.9,
+          overallLiberationScore: 0.8
+        },
+        requiredVoteType: VotingRuleType.SIMPLE_MAJORITY,
+        deadline: new Date(Date.now() + 14 * DAY_MS),
+        version: 2,
+        textHash: amended
+      };
+
+      const decision = await amendedAssembly.makeAssemblyDecision(proposal);
+
+      // The rejections were cast on version 1 and have not been reconfirmed
+      expect(decision.consensusLevel).toBe(1);
+      expect(decision.participationRate).toBeCloseTo(2 / 5);
+      expect(decision.dissent).toHaveLength(0);
+    });
   });
 
   describe('Comprehensive Governance Decisions', () => {
@@ -646,12 +803,20 @@ describe('Integration Tests', () => {
     const liberationValidator = new LiberationPrinciplesValidator();
     const sovereigntyEngine = new CreatorSovereigntyDecisionEngine();
     const decisionFactory = new GovernanceDecisionFactory();
-    const assemblyGovernance = new CommunityAssemblyGovernance();
+    const memberRoll = createMemberRoll({
+      integration_test_prop: [
+        { decision: 'approve' },
+        { decision: 'approve' },
+        { decision: 'reject', reason: 'Concerned about implementation timeline' }
+      ]
+    });
+    const assemblyGovernance = new CommunityAssemblyGovernance(memberRoll);
     
     const governanceService = new CommunityGovernanceService(
       liberationValidator,
       sovereigntyEngine,
-      decisionFactory
+      decisionFactory,
+      memberRoll
     );
 
     // Complex multi-step governance process
@@ -682,6 +847,9 @@ describe('Integration Tests', () => {
     const assemblyDecision = await assemblyGovernance.makeAssemblyDecision(proposal);
     expect(assemblyDecision.liberationAligned).toBe(true);
     expect(assemblyDecision.democraticProcess).toBe(true);
+    // Three ballots from an electorate of five
+    expect(assemblyDecision.participationRate).toBeCloseTo(0.6);
+    expect(assemblyDecision.dissent).toHaveLength(1);
 
     // This integration test demonstrates Layer 4's role in making governance decisions
     // while maintaining clear separation from implementation layers
@@ -74,6 +74,12 @@ async function testDataSovereigntyLayerIndependence() {
   console.log('🔒 TEST 2: Data Sovereignty Layer Independence');
 
   try {
+    // Storage and retrieval require a recorded consent covering the operation
+    await dataSovereigntyService.consentLedger.grant({
+      communityId: 'test-community',
+      scope: ['test_storage', 'read', 'test_operation']
+    });
+
     // Test data storage with sovereignty requirements
     console.log('  💾 Testing data storage with sovereignty...');
     const testDataRequest = {
@@ -144,7 +150,8 @@ async function testAPIGatewayCoordination() {
         author: 'Test Creator',
         revenue: 100
       },
-      params: {}
+      params: {},
+      user: { memberId: 'member-test-creator', role: 'member' }
     };
 
     let responseData = null;
@@ -0,0 +1,208 @@
+/**
+ * Community Audit API Validation
+ * Tests the /api/v1/audit gateway handlers against an in-memory audit log
+ *
+ * VALIDATION:
+ * ✓ Member identifiers are pseudonymised consistently and personal fields removed
+ * ✓ Cursor pagination walks the log without gaps or repeats
+ * ✓ Filters by operation type, data ID and date range
+ * ✓ Verification endpoint reports tampering
+ * ✓ Consent history names data subjects only by public ID
+ */
+
+process.env.DATA_STORAGE_ADAPTER = 'memory';
+
+const { gateway } = require('../layer-2-api-gateway/api-gateway');
+const IdentityProtection = require('../layer-2-api-gateway/IdentityProtection');
+const DataSovereigntyService = require('../layer-5-data-sovereignty/DataSovereigntyService');
+const { InMemoryStorageAdapter } = require('../layer-5-data-sovereignty/storage');
+
+class AuditAPITestSuite {
+  constructor() {
+    this.storage = new InMemoryStorageAdapter();
+    this.service = new DataSovereigntyService(this.storage);
+    gateway.dataSovereigntyService = this.service;
+    gateway.identityProtection = new IdentityProtection({ secret: 'audit-api-test-secret' });
+
+    this.testResults = [];
+    this.passingTests = 0;
+    this.totalTests = 0;
+  }
+
+  async runAllTests() {
+    console.log('\n📜 COMMUNITY AUDIT API TEST SUITE');
+    console.log('═════════════════════════════════════════════════════════════');
+
+    try {
+      await this.seedOperations();
+      await this.testPseudonymisation();
+      await this.testCursorPagination();
+      await this.testFilters();
+      await this.testValidation();
+      await this.testVerification();
+      await this.testConsentHistory();
+
+      console.log('\n📊 COMMUNITY AUDIT API TEST RESULTS:');
+      console.log(`✅ Passing tests: ${this.passingTests}/${this.totalTests}`);
+
+      if (this.passingTests === this.totalTests) {
+        console.log('🏛️ Community audit transparency VALIDATED!');
+        return { success: true, tests: this.testResults };
+      } else {
+        console.error('🚨 Community audit API validation FAILED!');
+        return { success: false, tests: this.testResults };
+      }
+
+    } catch (error) {
+      console.error('🚨 Community audit API test suite failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async seedOperations() {
+    await this.service.trackDataOperation({
+      operationType: 'blkouthub_webhook',
+      contentId: 'story-1',
+      moderatorId: 'member-amara',
+      submitterEmail: 'amara@example.org',
+      webhookResult: { formatted: true, reviewed_by: 'member-keisha' }
+    });
+    await this.service.trackDataOperation({ operationType: 'retrieve', dataId: 'story-1', requesterId: 'member-keisha' });
+    await this.service.trackDataOperation({ operationType: 'content_moderation', contentId: 'story-2', moderatorId: 'member-amara' });
+    await this.service.trackDataOperation({ operationType: 'retrieve', dataId: 'story-2', requesterId: 'member-tunde' });
+    await this.service.trackDataOperation({ operationType: 'retrieve', dataId: 'story-1', requesterId: 'member-amara' });
+  }
+
+  async testPseudonymisation() {
+    console.log('\n   🛡️ Testing identity protection...');
+
+    const { body } = await this.call('getAuditLog', { query: {} });
+    const serialized = JSON.stringify(body);
+    const [webhook, , moderation, , retrieval] = body.entries;
+
+    this.record('No raw member IDs in response', !/member-(amara|keisha|tunde)/.test(serialized));
+    this.record('Personal fields removed', !serialized.includes('amara@example.org') && !('submitterEmail' in webhook.details));
+    this.record('Actors shown as public IDs', /^public_[0-9a-f]{16}$/.test(webhook.actor), webhook.actor);
+    this.record('Same member gets same public ID', webhook.actor === moderation.actor && webhook.actor === retrieval.actor &&
+      webhook.details.moderatorId === webhook.actor);
+    this.record('Nested identifiers pseudonymised', /^public_/.test(webhook.details.webhookResult.reviewed_by) &&
+      webhook.details.webhookResult.formatted === true, webhook.details);
+    this.record('Hashes published for chain checks', body.entries[1].previousHash === webhook.entryHash);
+  }
+
+  async testCursorPagination() {
+    console.log('\n   📄 Testing cursor pagination...');
+
+    const first = await this.call('getAuditLog', { query: { limit: '2' } });
+    const second = await this.call('getAuditLog', { query: { limit: '2', cursor: first.body.pagination.nextCursor } });
+    const third = await this.call('getAuditLog', { query: { limit: '2', cursor: second.body.pagination.nextCursor } });
+
+    const sequences = [first, second, third].flatMap(page => page.body.entries.map(entry => entry.sequence));
+    this.record('Pages cover the log in order', sequences.join(',') === '1,2,3,4,5', sequences);
+    this.record('Last page has no next cursor', third.body.pagination.hasMore === false && third.body.pagination.nextCursor === null);
+  }
+
+  async testFilters() {
+    console.log('\n   🔍 Testing filters...');
+
+    const byData = await this.call('getAuditLogForData', { params: { dataId: 'story-1' }, query: {} });
+    this.record('GET /audit/:dataId filters by data', byData.body.entries.map(entry => entry.sequence).join(',') === '1,2,5');
+
+    const byType = await this.call('getAuditLogForData', { params: { dataId: 'story-1' }, query: { operationType: 'retrieve' } });
+    this.record('Operation type filter combines with data ID', byType.body.count === 2);
+
+    const future = await this.call('getAuditLog', { query: { from: new Date(Date.now() + 60000).toISOString() } });
+    this.record('Date range filter', future.body.count === 0 && future.body.filters.from !== null);
+  }
+
+  async testValidation() {
+    console.log('\n   🚫 Testing request validation...');
+
+    const badCursor = await this.call('getAuditLog', { query: { cursor: 'not-a-cursor' } });
+    this.record('Malformed cursor rejected', badCursor.statusCode === 400);
+
+    const badLimit = await this.call('getAuditLog', { query: { limit: '1000' } });
+    this.record('Oversized limit rejected', badLimit.statusCode === 400);
+
+    const badDate = await this.call('getAuditLog', { query: { to: 'yesterday-ish' } });
+    this.record('Invalid date rejected', badDate.statusCode === 400);
+  }
+
+  async testVerification() {
+    console.log('\n   🔗 Testing verification endpoint...');
+
+    const intact = await this.call('verifyAuditLog', { query: {} });
+    this.record('Intact log verifies', intact.body.verification.valid && intact.body.verification.headSequence === 5);
+
+    this.storage.auditEntries[2].operation_type = 'nothing_to_see_here';
+    const tampered = await this.call('verifyAuditLog', { query: {} });
+    this.record('Tampering reported', !tampered.body.verification.valid && tampered.body.verification.firstInvalidSequence === 3,
+      tampered.body.verification);
+  }
+
+  async testConsentHistory() {
+    console.log('\n   🤝 Testing consent history...');
+
+    const service = new DataSovereigntyService(new InMemoryStorageAdapter());
+    gateway.dataSovereigntyService = service;
+
+    const consent = await service.consentLedger.grant({
+      communityId: 'blkout-community',
+      dataSubjectId: 'member-zainab',
+      scope: ['data_storage'],
+      grantedBy: 'member-zainab'
+    });
+    await service.consentLedger.withdraw(consent.id, { reason: 'Changed my mind' });
+
+    const { body } = await this.call('getAuditLog', { query: {} });
+    const serialized = JSON.stringify(body);
+    const [granted, withdrawn] = body.entries;
+
+    this.record('No raw data subject IDs in consent history', body.count === 2 && !serialized.includes('member-zainab'), body.entries);
+    this.record('Data subject shown as the member\'s public ID', /^public_[0-9a-f]{16}$/.test(granted.details.data_subject_id) &&
+      granted.details.data_subject_id === granted.actor && withdrawn.details.data_subject_id === granted.actor, body.entries);
+  }
+
+  // Helpers
+
+  async call(handler, req) {
+    const res = {
+      statusCode: 200,
+      body: null,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+
+    await gateway[handler]({ params: {}, body: {}, ...req }, res);
+    return res;
+  }
+
+  record(name, passed, details) {
+    this.totalTests++;
+
+    if (passed) {
+      console.log(`      ✅ ${name}: PASSED`);
+      this.passingTests++;
+      this.testResults.push({ name, status: 'PASS' });
+    } else {
+      console.log(`      ❌ ${name}: FAILED`, details !== undefined ? details : '');
+      this.testResults.push({ name, status: 'FAIL', details });
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  async function runTests() {
+    const testSuite = new AuditAPITestSuite();
+    const results = await testSuite.runAllTests();
+
+    if (!results.success) {
+      process.exit(1);
+    }
+  }
+
+  runTests();
+}
+
+module.exports = AuditAPITestSuite;
@@ -0,0 +1,251 @@
+/**
+ * Audit Log Validation
+ * Tests the append-only, hash-chained data operation audit log on both storage backends
+ *
+ * VALIDATION:
+ * ✓ trackDataOperation appends linked entries instead of only logging
+ * ✓ Queries by operation type, data ID, actor and date range
+ * ✓ Verification detects edited and deleted entries
+ * ✓ data_operation_audit rejects UPDATE and DELETE (ephemeral Postgres)
+ * ✓ Concurrent appends keep a single unbroken chain
+ */
+
+const DataSovereigntyService = require('../layer-5-data-sovereignty/DataSovereigntyService');
+const { InMemoryStorageAdapter } = require('../layer-5-data-sovereignty/storage');
+const { AuditTrailRepositoryImpl } = require('../layer-5-data-sovereignty/RefactoredDataSovereigntyRepository');
+const { createEphemeralDatabase } = require('./support/ephemeral-postgres');
+
+class AuditLogTestSuite {
+  constructor() {
+    this.db = null;
+    this.testResults = [];
+    this.passingTests = 0;
+    this.totalTests = 0;
+  }
+
+  async runAllTests() {
+    console.log('\n📜 AUDIT LOG TEST SUITE');
+    console.log('═════════════════════════════════════════════════════════════');
+
+    try {
+      await this.testServiceTracking();
+      await this.testInMemoryTamperDetection();
+
+      this.db = await createEphemeralDatabase({ migrate: true });
+      this.repository = new AuditTrailRepositoryImpl(this.db);
+
+      await this.testRepositoryQueries();
+      await this.testAppendOnlyTable();
+      await this.testPostgresTamperDetection();
+      await this.testConcurrentAppends();
+
+      console.log('\n📊 AUDIT LOG TEST RESULTS:');
+      console.log(`✅ Passing tests: ${this.passingTests}/${this.totalTests}`);
+
+      if (this.passingTests === this.totalTests) {
+        console.log('🏛️ Audit log transparency VALIDATED!');
+        return { success: true, tests: this.testResults };
+      } else {
+        console.error('🚨 Audit log validation FAILED!');
+        return { success: false, tests: this.testResults };
+      }
+
+    } catch (error) {
+      console.error('🚨 Audit log test suite failed:', error);
+      return { success: false, error: error.message };
+    } finally {
+      if (this.db) {
+        await this.db.close();
+      }
+    }
+  }
+
+  async testServiceTracking() {
+    console.log('\n   🔗 Testing trackDataOperation hash chain...');
+
+    this.storage = new InMemoryStorageAdapter();
+    this.service = new DataSovereigntyService(this.storage);
+
+    const first = await this.service.trackDataOperation({ operationType: 'store', dataId: 'story-1', actorId: 'creator-1' });
+    const second = await this.service.trackDataOperation({ operationType: 'retrieve', dataId: 'story-1', requesterId: 'member-1' });
+    await this.service.trackDataOperation({ operationType: 'content_moderation', contentId: 'story-2', moderatorId: 'member-1' });
+
+    this.record('Entries are numbered from 1', first.sequence_number === 1 && second.sequence_number === 2);
+    this.record('First entry starts the chain', first.previous_hash === null && /^[0-9a-f]{64}$/.test(first.entry_hash));
+    this.record('Each entry links to the previous hash', second.previous_hash === first.entry_hash);
+    this.record('Actor resolved from requesterId', second.actor_id === 'member-1', second);
+
+    const byType = await this.service.findDataOperations({ operationType: 'retrieve' });
+    this.record('Query by operation type', byType.length === 1 && byType[0].sequence_number === 2);
+
+    const byData = await this.service.findDataOperations({ dataId: 'story-1' });
+    this.record('Query by data ID', byData.map(entry => entry.sequence_number).join(',') === '1,2');
+
+    const byContent = await this.service.findDataOperations({ dataId: 'story-2' });
+    this.record('Data ID resolved from contentId', byContent.length === 1 && byContent[0].operation_type === 'content_moderation');
+
+    const byActor = await this.service.findDataOperations({ actorId: 'member-1' });
+    this.record('Query by actor', byActor.length === 2);
+
+    const future = await this.service.findDataOperations({ from: new Date(Date.now() + 60000) });
+    const window = await this.service.findDataOperations({ from: new Date(Date.now() - 60000), to: new Date() });
+    this.record('Query by date range', future.length === 0 && window.length === 3);
+
+    const verification = await this.service.verifyDataOperationLog();
+    this.record('Untouched log verifies', verification.valid && verification.entriesChecked === 3 &&
+      verification.headSequence === 3, verification);
+  }
+
+  async testInMemoryTamperDetection() {
+    console.log('\n   🕵️ Testing tamper detection (memory)...');
+
+    const entries = this.storage.auditEntries;
+
+    const original = entries[1].actor_id;
+    entries[1].actor_id = 'someone-else';
+    const edited = await this.service.verifyDataOperationLog();
+    this.record('Edited entry detected', !edited.valid && edited.firstInvalidSequence === 2 &&
+      edited.problems[0].problem === 'hash_mismatch', edited.problems);
+    entries[1].actor_id = original;
+
+    const [removed] = entries.splice(1, 1);
+    const deleted = await this.service.verifyDataOperationLog();
+    this.record('Deleted entry detected', !deleted.valid && deleted.firstInvalidSequence === 3 &&
+      deleted.problems.some(problem => problem.problem === 'broken_link') &&
+      deleted.problems.some(problem => problem.problem === 'sequence_gap'), deleted.problems);
+    entries.splice(1, 0, removed);
+
+    const restored = await this.service.verifyDataOperationLog();
+    this.record('Restored log verifies again', restored.valid);
+  }
+
+  async testRepositoryQueries() {
+    console.log('\n   🗄️ Testing AuditTrailRepositoryImpl on Postgres...');
+
+    const stored = await this.repository.storeOperationAudit({
+      operation_type: 'revenue_transparency',
+      data_id: 'creator-1',
+      actor_id: 'creator-1',
+      revenue: { total: 100, creatorShare: 75.5 },
+      tags: ['sovereignty', 'revenue']
+    });
+    await this.repository.storeOperationAudit({ operation_type: 'vote_recorded', data_id: 'proposal-1', actor_id: 'member-1' });
+    await this.repository.storeOperationAudit({ operation_type: 'vote_recorded', data_id: 'proposal-1', actor_id: 'member-2' });
+
+    this.record('storeOperationAudit returns chained entry', stored.sequence_number === 1 &&
+      stored.revenue.creatorShare === 75.5 && /^[0-9a-f]{64}$/.test(stored.entry_hash), stored);
+
+    const votes = await this.repository.findAuditsByOperationType('vote_recorded');
+    this.record('findAuditsByOperationType', votes.length === 2 && votes[0].actor_id === 'member-1');
+
+    const proposal = await this.repository.findAuditsByDataId('proposal-1');
+    this.record('findAuditsByDataId', proposal.length === 2);
+
+    const actor = await this.repository.findAuditsByActor('member-2');
+    this.record('findAuditsByActor', actor.length === 1 && actor[0].sequence_number === 3);
+
+    const range = await this.repository.findAuditsByDateRange(new Date(Date.now() - 60000), new Date(Date.now() + 60000));
+    const empty = await this.repository.findAuditsByDateRange('2020-01-01', '2020-12-31');
+    this.record('findAuditsByDateRange', range.length === 3 && empty.length === 0);
+
+    const verification = await this.repository.verifyAuditChain();
+    this.record('Chain survives JSONB round trip', verification.valid && verification.entriesChecked === 3, verification);
+  }
+
+  async testAppendOnlyTable() {
+    console.log('\n   🔒 Testing append-only enforcement...');
+
+    await this.expectRejection('UPDATE rejected',
+      () => this.db.query("UPDATE data_operation_audit SET actor_id = 'x' WHERE sequence_number = 1"),
+      'append-only');
+
+    await this.expectRejection('DELETE rejected',
+      () => this.db.query('DELETE FROM data_operation_audit WHERE sequence_number = 1'),
+      'append-only');
+
+    await this.expectRejection('TRUNCATE rejected',
+      () => this.db.query('TRUNCATE data_operation_audit'),
+      'append-only');
+
+    await this.expectRejection('Repository update refused',
+      () => this.repository.update('any', {}), 'cannot be updated');
+  }
+
+  async testPostgresTamperDetection() {
+    console.log('\n   🕵️ Testing tamper detection (Postgres, triggers bypassed)...');
+
+    // Someone with table ownership can disable the triggers; the chain must still expose it
+    await this.db.query('ALTER TABLE data_operation_audit DISABLE TRIGGER USER');
+    try {
+      await this.db.query(
+        "UPDATE data_operation_audit SET audit_data = audit_data || '{\"revenue\": {\"total\": 100, \"creatorShare\": 10}}' WHERE sequence_number = 1"
+      );
+      const edited = await this.repository.verifyAuditChain();
+      this.record('Edited audit_data detected', !edited.valid && edited.firstInvalidSequence === 1 &&
+        edited.problems[0].problem === 'hash_mismatch', edited.problems);
+
+      await this.db.query('DELETE FROM data_operation_audit WHERE sequence_number = 2');
+      const deleted = await this.repository.verifyAuditChain();
+      this.record('Deleted row detected', deleted.problems.some(problem =>
+        problem.sequence_number === 3 && problem.problem === 'broken_link'), deleted.problems);
+    } finally {
+      await this.db.query('ALTER TABLE data_operation_audit ENABLE TRIGGER USER');
+    }
+  }
+
+  async testConcurrentAppends() {
+    console.log('\n   ⚡ Testing concurrent appends...');
+
+    const db = await createEphemeralDatabase({ migrate: true });
+    try {
+      const repository = new AuditTrailRepositoryImpl(db);
+      await Promise.all(Array.from({ length: 8 }, (unused, index) =>
+        repository.storeOperationAudit({ operation_type: 'concurrent', data_id: `item-${index}` })));
+
+      const verification = await repository.verifyAuditChain();
+      this.record('Concurrent appends form one chain', verification.valid && verification.headSequence === 8, verification);
+    } finally {
+      await db.close();
+    }
+  }
+
+  // Helpers
+
+  async expectRejection(name, operation, expectedMessage) {
+    try {
+      await operation();
+      this.record(name, false, 'Operation was accepted');
+    } catch (error) {
+      this.record(name, error.message.includes(expectedMessage), error.message);
+    }
+  }
+
+  record(name, passed, details) {
+    this.totalTests++;
+
+    if (passed) {
+      console.log(`      ✅ ${name}: PASSED`);
+      this.passingTests++;
+      this.testResults.push({ name, status: 'PASS' });
+    } else {
+      console.log(`      ❌ ${name}: FAILED`, details !== undefined ? details : '');
+      this.testResults.push({ name, status: 'FAIL', details });
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  async function runTests() {
+    const testSuite = new AuditLogTestSuite();
+    const results = await testSuite.runAllTests();
+
+    if (!results.success) {
+      process.exit(1);
+    }
+  }
+
+  runTests();
+}
+
+module.exports = AuditLogTestSuite;
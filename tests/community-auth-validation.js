@@ -0,0 +1,305 @@
+/**
+ * Community Authentication Validation
+ * Tests JWT access tokens and rotating refresh tokens through the /api/auth gateway
+ * handlers, in memory and on ephemeral Postgres
+ *
+ * VALIDATION:
+ * ✓ Login issues a signed access token and a refresh token for active members only
+ * ✓ Forged, tampered, expired and unsigned tokens are rejected
+ * ✓ Refresh rotates the token; reusing a rotated token revokes the session
+ * ✓ Concurrent refreshes of one token rotate it once and are treated as reuse
+ * ✓ Logout ends the session, including outstanding access tokens
+ * ✓ Only refresh token hashes reach community_refresh_tokens
+ */
+
+process.env.DATA_STORAGE_ADAPTER = 'memory';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { gateway } = require('../layer-2-api-gateway/api-gateway');
+const CommunityAuthService = require('../layer-2-api-gateway/CommunityAuthService');
+const { InMemoryStorageAdapter, PostgresStorageAdapter } = require('../layer-5-data-sovereignty/storage');
+const { createEphemeralDatabase } = require('./support/ephemeral-postgres');
+
+const SECRET = 'community-auth-test-secret';
+
+/**
+ * Credential verifier with fixed passwords (the real credential store is separate)
+ */
+class FixedCredentialVerifier {
+  constructor(accounts) {
+    this.accounts = accounts;
+  }
+
+  async verifyCredentials({ identifier, password }) {
+    const account = this.accounts[identifier];
+    return account && account.password === password ? account.memberId : null;
+  }
+}
+
+class CommunityAuthTestSuite {
+  constructor() {
+    this.db = null;
+    this.storage = new InMemoryStorageAdapter();
+    this.testResults = [];
+    this.passingTests = 0;
+    this.totalTests = 0;
+  }
+
+  async runAllTests() {
+    console.log('\n🔐 COMMUNITY AUTHENTICATION TEST SUITE');
+    console.log('═════════════════════════════════════════════════════════════');
+
+    try {
+      await this.seedMembers();
+      await this.testLoginUnavailable();
+      await this.testLogin();
+      await this.testTokenVerification();
+      await this.testRefreshRotation();
+      await this.testConcurrentRefresh(this.auth);
+      await this.testLogout();
+
+      this.db = await createEphemeralDatabase({ migrate: true });
+      await this.testPostgresSessions();
+      await this.testConcurrentRefresh(this.postgresAuth, 'on Postgres');
+
+      console.log('\n📊 COMMUNITY AUTHENTICATION TEST RESULTS:');
+      console.log(`✅ Passing tests: ${this.passingTests}/${this.totalTests}`);
+
+      if (this.passingTests === this.totalTests) {
+        console.log('🏛️ Community authentication VALIDATED!');
+        return { success: true, tests: this.testResults };
+      } else {
+        console.error('🚨 Community authentication validation FAILED!');
+        return { success: false, tests: this.testResults };
+      }
+
+    } catch (error) {
+      console.error('🚨 Community authentication test suite failed:', error);
+      return { success: false, error: error.message };
+    } finally {
+      if (this.db) {
+        await this.db.close();
+      }
+    }
+  }
+
+  async seedMembers() {
+    await this.storage.saveMember({ id: 'member-amara', username: 'amara', email: 'amara@example.org', governance_role: 'moderator' });
+    await this.storage.saveMember({ id: 'member-tunde', username: 'tunde', email: 'tunde@example.org', active: false });
+
+    this.verifier = new FixedCredentialVerifier({
+      amara: { memberId: 'member-amara', password: 'correct horse battery staple' },
+      tunde: { memberId: 'member-tunde', password: 'inactive account' }
+    });
+  }
+
+  async testLoginUnavailable() {
+    console.log('\n   🚧 Testing login without a credential store...');
+
+    gateway.authService = new CommunityAuthService({ storageAdapter: this.storage, secret: SECRET });
+    const res = await this.call('login', { body: { identifier: 'amara', password: 'correct horse battery staple' } });
+    this.record('Login unavailable until credentials are configured', res.statusCode === 503);
+
+    gateway.authService = new CommunityAuthService({ storageAdapter: this.storage, secret: SECRET, credentialVerifier: this.verifier });
+    this.auth = gateway.authService;
+  }
+
+  async testLogin() {
+    console.log('\n   🔑 Testing login...');
+
+    const missing = await this.call('login', { body: { identifier: 'amara' } });
+    const wrong = await this.call('login', { body: { identifier: 'amara', password: 'guess' } });
+    const inactive = await this.call('login', { body: { identifier: 'tunde', password: 'inactive account' } });
+    this.record('Missing fields rejected', missing.statusCode === 400);
+    this.record('Wrong password and inactive members refused alike', wrong.statusCode === 401 && inactive.statusCode === 401 &&
+      wrong.body.reason === 'invalid_credentials' && inactive.body.reason === 'invalid_credentials');
+
+    const login = await this.call('login', { body: { identifier: 'amara', password: 'correct horse battery staple' } });
+    this.session = login.body;
+    this.record('Login issues access and refresh tokens', login.statusCode === 200 && this.session.tokenType === 'Bearer' &&
+      this.session.expiresIn === 900 && typeof this.session.refreshToken === 'string' && !('refreshTokenId' in this.session), login.body);
+
+    const claims = jwt.decode(this.session.accessToken, { complete: true });
+    this.record('Access token is an HS256 JWT for the member', claims.header.alg === 'HS256' &&
+      claims.payload.sub === 'member-amara' && claims.payload.iss === CommunityAuthService.TOKEN_ISSUER &&
+      claims.payload.exp - claims.payload.iat === 900);
+  }
+
+  async testTokenVerification() {
+    console.log('\n   🛡️ Testing access token verification...');
+
+    const identity = await this.auth.verifyAccessToken(this.session.accessToken);
+    this.record('Valid token resolves to the member', identity && identity.memberId === 'member-amara' &&
+      identity.role === 'moderator' && identity.username === 'amara', identity);
+
+    const claims = jwt.decode(this.session.accessToken);
+    const forged = jwt.sign({ sid: claims.sid }, 'not-the-secret', {
+      subject: 'member-amara', issuer: CommunityAuthService.TOKEN_ISSUER, audience: CommunityAuthService.TOKEN_AUDIENCE
+    });
+    const [header, , signature] = this.session.accessToken.split('.');
+    const tamperedPayload = Buffer.from(JSON.stringify({ ...claims, sub: 'member-tunde' })).toString('base64url');
+    const unsigned = `${Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url')}.${tamperedPayload}.`;
+    const expired = jwt.sign({ sid: claims.sid, exp: Math.floor(Date.now() / 1000) - 60 }, SECRET, {
+      subject: 'member-amara', issuer: CommunityAuthService.TOKEN_ISSUER, audience: CommunityAuthService.TOKEN_AUDIENCE
+    });
+
+    const results = await Promise.all([
+      this.auth.verifyAccessToken(forged),
+      this.auth.verifyAccessToken(`${header}.${tamperedPayload}.${signature}`),
+      this.auth.verifyAccessToken(unsigned),
+      this.auth.verifyAccessToken(expired),
+      this.auth.verifyAccessToken('x')
+    ]);
+    this.record('Forged, tampered, unsigned, expired and junk tokens rejected', results.every(result => result === null));
+
+    const noSession = jwt.sign({ sid: crypto.randomUUID() }, SECRET, {
+      subject: 'member-amara', issuer: CommunityAuthService.TOKEN_ISSUER, audience: CommunityAuthService.TOKEN_AUDIENCE
+    });
+    this.record('Token without a live session rejected', await this.auth.verifyAccessToken(noSession) === null);
+  }
+
+  async testRefreshRotation() {
+    console.log('\n   🔄 Testing refresh rotation...');
+
+    const first = await this.call('refreshSession', { body: { refreshToken: this.session.refreshToken } });
+    this.record('Refresh returns new tokens', first.statusCode === 200 &&
+      first.body.refreshToken !== this.session.refreshToken && first.body.accessToken !== this.session.accessToken);
+
+    const second = await this.call('refreshSession', { body: { refreshToken: first.body.refreshToken } });
+    this.record('Rotated token can be refreshed again', second.statusCode === 200);
+
+    const reuse = await this.call('refreshSession', { body: { refreshToken: this.session.refreshToken } });
+    this.record('Reusing a rotated token is refused', reuse.statusCode === 401 && reuse.body.reason === 'refresh_token_reused');
+
+    const afterReuse = await this.call('refreshSession', { body: { refreshToken: second.body.refreshToken } });
+    this.record('Reuse revokes the whole session', afterReuse.statusCode === 401 &&
+      await this.auth.verifyAccessToken(second.body.accessToken) === null);
+
+    const unknown = await this.call('refreshSession', { body: { refreshToken: 'not-a-token' } });
+    const missing = await this.call('refreshSession', { body: {} });
+    this.record('Unknown and missing refresh tokens rejected', unknown.statusCode === 401 && missing.statusCode === 400);
+  }
+
+  async testConcurrentRefresh(auth, label = 'in memory') {
+    console.log(`\n   🏁 Testing concurrent refreshes ${label}...`);
+
+    const login = await auth.login(auth === this.auth
+      ? { identifier: 'amara', password: 'correct horse battery staple' }
+      : { identifier: 'keisha', password: 'pw' });
+    const { sessionId } = await auth.verifyAccessToken(login.session.accessToken);
+
+    const results = await Promise.all([
+      auth.refresh(login.session.refreshToken),
+      auth.refresh(login.session.refreshToken)
+    ]);
+    const family = await auth.storage.findRefreshTokens({ familyId: sessionId });
+    const issued = results.filter(result => result.success).map(result => result.session.accessToken);
+
+    this.record(`Concurrent refreshes rotate once (${label})`,
+      family.filter(token => token.revocation_reason === 'rotated').length === 1 &&
+      results.some(result => result.reason === 'refresh_token_reused'), results);
+    this.record(`Concurrent refresh revokes the session (${label})`, family.every(token => token.revoked_at) &&
+      (await Promise.all(issued.map(token => auth.verifyAccessToken(token)))).every(identity => identity === null), family);
+  }
+
+  async testLogout() {
+    console.log('\n   👋 Testing logout...');
+
+    const login = await this.call('login', { body: { identifier: 'amara', password: 'correct horse battery staple' } });
+    const other = await this.call('login', { body: { identifier: 'amara', password: 'correct horse battery staple' } });
+
+    const logout = await this.call('logout', { body: { refreshToken: login.body.refreshToken } });
+    const refresh = await this.call('refreshSession', { body: { refreshToken: login.body.refreshToken } });
+    this.record('Logout ends the session', logout.statusCode === 204 && refresh.statusCode === 401 &&
+      refresh.body.reason === 'session_ended');
+    this.record('Outstanding access token stops working', await this.auth.verifyAccessToken(login.body.accessToken) === null);
+    this.record('Other sessions stay signed in', (await this.auth.verifyAccessToken(other.body.accessToken)).memberId === 'member-amara');
+
+    const unknown = await this.call('logout', { body: { refreshToken: 'not-a-token' } });
+    this.record('Logout does not reveal unknown tokens', unknown.statusCode === 204);
+
+    await this.storage.saveMember({ id: 'member-amara', active: false });
+    this.record('Deactivated members lose access', await this.auth.verifyAccessToken(other.body.accessToken) === null);
+  }
+
+  async testPostgresSessions() {
+    console.log('\n   🗄️ Testing community_refresh_tokens on Postgres...');
+
+    const storage = new PostgresStorageAdapter(this.db);
+    const member = await storage.saveMember({
+      id: crypto.randomUUID(),
+      username: 'keisha',
+      email: 'keisha@example.org',
+      governance_role: 'council'
+    });
+    const auth = new CommunityAuthService({
+      storageAdapter: storage,
+      secret: SECRET,
+      credentialVerifier: new FixedCredentialVerifier({ keisha: { memberId: member.id, password: 'pw' } })
+    });
+
+    this.postgresAuth = auth;
+
+    const login = await auth.login({ identifier: 'keisha', password: 'pw' });
+    const identity = await auth.verifyAccessToken(login.session.accessToken);
+    this.record('Postgres member signs in', login.success && identity.memberId === member.id && identity.role === 'council');
+
+    const rotated = await auth.refresh(login.session.refreshToken);
+    const { rows } = await this.db.query('SELECT token_hash, revocation_reason, replaced_by FROM community_refresh_tokens ORDER BY issued_at');
+    this.record('Rotation persisted', rotated.success && rows.length === 2 && rows[0].revocation_reason === 'rotated' &&
+      rows[0].replaced_by === rotated.session.refreshTokenId && rows[1].revocation_reason === null, rows);
+    this.record('Only token hashes stored', !JSON.stringify(rows).includes(login.session.refreshToken) &&
+      rows[0].token_hash === crypto.createHash('sha256').update(login.session.refreshToken).digest('hex'));
+
+    await auth.logout(rotated.session.refreshToken);
+    const { rows: [{ active }] } = await this.db.query(
+      'SELECT COUNT(*)::int AS active FROM community_refresh_tokens WHERE revoked_at IS NULL'
+    );
+    this.record('Logout persisted', active === 0 && await auth.verifyAccessToken(rotated.session.accessToken) === null);
+  }
+
+  // Helpers
+
+  async call(handler, req) {
+    const res = {
+      statusCode: 200,
+      body: null,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+      end() { return this; }
+    };
+
+    await gateway[handler]({ params: {}, query: {}, body: {}, ...req }, res);
+    return res;
+  }
+
+  record(name, passed, details) {
+    this.totalTests++;
+
+    if (passed) {
+      console.log(`      ✅ ${name}: PASSED`);
+      this.passingTests++;
+      this.testResults.push({ name, status: 'PASS' });
+    } else {
+      console.log(`      ❌ ${name}: FAILED`, details !== undefined ? details : '');
+      this.testResults.push({ name, status: 'FAIL', details });
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  async function runTests() {
+    const testSuite = new CommunityAuthTestSuite();
+    const results = await testSuite.runAllTests();
+
+    if (!results.success) {
+      process.exit(1);
+    }
+  }
+
+  runTests();
+}
+
+module.exports = CommunityAuthTestSuite;
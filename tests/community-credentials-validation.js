@@ -0,0 +1,368 @@
+/**
+ * Community Credentials Validation
+ * Tests registration, bcrypt passwords, lockout, password reset and email
+ * verification through the /api/auth gateway handlers, in memory and on ephemeral Postgres
+ *
+ * VALIDATION:
+ * ✓ Registration creates the member (and creator) with a bcrypt hash and sends a verification email
+ * ✓ Repeated failed sign-ins lock the account for the lockout period
+ * ✓ Reset and verification tokens work once, expire, and are stored as hashes
+ * ✓ Password reset signs the member out everywhere
+ * ✓ Unknown accounts cannot be told apart from real ones
+ * ✓ Registration on Postgres is all-or-nothing
+ */
+
+process.env.DATA_STORAGE_ADAPTER = 'memory';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { gateway } = require('../layer-2-api-gateway/api-gateway');
+const CommunityAuthService = require('../layer-2-api-gateway/CommunityAuthService');
+const CommunityCredentialService = require('../layer-2-api-gateway/CommunityCredentialService');
+const { ConsoleMailTransport, FileMailTransport } = require('../layer-2-api-gateway/mail');
+const { InMemoryStorageAdapter, PostgresStorageAdapter } = require('../layer-5-data-sovereignty/storage');
+const { createEphemeralDatabase } = require('./support/ephemeral-postgres');
+
+const PASSWORD = 'joy is an act of resistance';
+const NEW_PASSWORD = 'rest is also resistance';
+
+class CommunityCredentialsTestSuite {
+  constructor() {
+    this.db = null;
+    this.mailDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'blkout-mail-'));
+    this.storage = new InMemoryStorageAdapter();
+    this.credentials = this.createCredentialService(this.storage);
+    this.auth = new CommunityAuthService({ storageAdapter: this.storage, credentialVerifier: this.credentials, secret: 'test' });
+    gateway.credentialService = this.credentials;
+    gateway.authService = this.auth;
+
+    this.testResults = [];
+    this.passingTests = 0;
+    this.totalTests = 0;
+  }
+
+  async runAllTests() {
+    console.log('\n🔑 COMMUNITY CREDENTIALS TEST SUITE');
+    console.log('═════════════════════════════════════════════════════════════');
+
+    try {
+      await this.testRegistration();
+      await this.testSignIn();
+      await this.testLockout();
+      await this.testEmailVerification();
+      await this.testPasswordReset();
+      await this.testMailTransports();
+
+      this.db = await createEphemeralDatabase({ migrate: true });
+      await this.testPostgresAccounts();
+
+      console.log('\n📊 COMMUNITY CREDENTIALS TEST RESULTS:');
+      console.log(`✅ Passing tests: ${this.passingTests}/${this.totalTests}`);
+
+      if (this.passingTests === this.totalTests) {
+        console.log('🏛️ Community credentials VALIDATED!');
+        return { success: true, tests: this.testResults };
+      } else {
+        console.error('🚨 Community credentials validation FAILED!');
+        return { success: false, tests: this.testResults };
+      }
+
+    } catch (error) {
+      console.error('🚨 Community credentials test suite failed:', error);
+      return { success: false, error: error.message };
+    } finally {
+      fs.rmSync(this.mailDirectory, { recursive: true, force: true });
+      if (this.db) {
+        await this.db.close();
+      }
+    }
+  }
+
+  async testRegistration() {
+    console.log('\n   🌱 Testing registration...');
+
+    const weak = await this.call('register', { body: { username: 'amara', email: 'amara@example.org', password: 'short' } });
+    const badEmail = await this.call('register', { body: { username: 'amara', email: 'amara', password: PASSWORD } });
+    const badType = await this.call('register', {
+      body: { username: 'amara', email: 'amara@example.org', password: PASSWORD, accountType: 'admin' }
+    });
+    this.record('Invalid registrations rejected', [weak, badEmail, badType].every(res => res.statusCode === 400));
+
+    const registered = await this.call('register', {
+      body: { username: 'amara', email: 'Amara@Example.org', password: PASSWORD, displayName: 'Amara', governance_role: 'admin' }
+    });
+    this.amara = registered.body.member;
+    this.record('Member registered', registered.statusCode === 201 && this.amara.email === 'amara@example.org' &&
+      this.amara.accountType === 'member' && this.amara.emailVerified === false, registered.body);
+
+    const member = await this.storage.findMemberById(this.amara.id);
+    this.record('Registration cannot choose a governance role', member.governance_role === 'member' && member.active === true);
+
+    const credential = await this.storage.findCredential(this.amara.id);
+    this.record('Password stored as a bcrypt hash', /^\$2[aby]\$04\$/.test(credential.password_hash) &&
+      !JSON.stringify(credential).includes(PASSWORD));
+
+    const mail = this.lastMail('amara@example.org');
+    this.record('Verification email sent', mail && mail.subject === 'Confirm your email for BLKOUT' &&
+      /verify-email\?token=[\w-]{43}/.test(mail.body), mail);
+
+    const sameName = await this.call('register', { body: { username: 'AMARA', email: 'other@example.org', password: PASSWORD } });
+    const sameEmail = await this.call('register', { body: { username: 'amara2', email: 'amara@EXAMPLE.org', password: PASSWORD } });
+    this.record('Usernames and emails are unique regardless of case', sameName.statusCode === 409 && sameEmail.statusCode === 409);
+
+    const creator = await this.call('register', {
+      body: { username: 'keisha', email: 'keisha@example.org', password: PASSWORD, accountType: 'creator' }
+    });
+    this.keisha = creator.body.member;
+    this.record('Creator registration creates a creator profile with the member id', creator.statusCode === 201 &&
+      this.storage.creators.get(this.keisha.id).username === 'keisha' && !this.storage.creators.has(this.amara.id));
+  }
+
+  async testSignIn() {
+    console.log('\n   🔐 Testing sign-in...');
+
+    const byUsername = await this.call('login', { body: { identifier: 'amara', password: PASSWORD } });
+    const byEmail = await this.call('login', { body: { identifier: 'AMARA@example.org', password: PASSWORD } });
+    this.session = byUsername.body;
+    this.record('Sign in with username or email', byUsername.statusCode === 200 && byEmail.statusCode === 200 &&
+      (await this.auth.verifyAccessToken(byUsername.body.accessToken)).memberId === this.amara.id);
+
+    const wrong = await this.call('login', { body: { identifier: 'amara', password: 'not the password!' } });
+    const unknown = await this.call('login', { body: { identifier: 'nobody', password: PASSWORD } });
+    this.record('Wrong password and unknown account look the same', wrong.statusCode === 401 && unknown.statusCode === 401 &&
+      JSON.stringify(wrong.body) === JSON.stringify(unknown.body));
+
+    const credential = await this.storage.findCredential(this.amara.id);
+    await this.call('login', { body: { identifier: 'amara', password: PASSWORD } });
+    const reset = await this.storage.findCredential(this.amara.id);
+    this.record('Successful sign-in clears failed attempts', credential.failed_attempts === 1 && reset.failed_attempts === 0);
+  }
+
+  async testLockout() {
+    console.log('\n   🔒 Testing lockout...');
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await this.call('login', { body: { identifier: 'keisha', password: 'guessing password' } });
+    }
+
+    const credential = await this.storage.findCredential(this.keisha.id);
+    this.record('Account locked after repeated failures', new Date(credential.locked_until) > new Date(), credential);
+
+    const locked = await this.call('login', { body: { identifier: 'keisha', password: PASSWORD } });
+    this.record('Correct password refused while locked', locked.statusCode === 401 && locked.body.reason === 'invalid_credentials');
+
+    await this.storage.saveCredential({ ...credential, locked_until: new Date(Date.now() - 1000).toISOString() });
+    const unlocked = await this.call('login', { body: { identifier: 'keisha', password: PASSWORD } });
+    const cleared = await this.storage.findCredential(this.keisha.id);
+    this.record('Sign-in works again after the lockout', unlocked.statusCode === 200 && cleared.locked_until === null);
+  }
+
+  async testEmailVerification() {
+    console.log('\n   ✉️ Testing email verification...');
+
+    const token = this.mailToken('amara@example.org');
+    const bogus = await this.call('verifyEmail', { body: { token: 'not-a-token' } });
+    const verified = await this.call('verifyEmail', { body: { token } });
+    const reused = await this.call('verifyEmail', { body: { token } });
+    this.record('Verification token works once', bogus.statusCode === 400 && verified.statusCode === 200 &&
+      reused.statusCode === 400 && reused.body.reason === 'invalid_token');
+
+    const credential = await this.storage.findCredential(this.amara.id);
+    this.record('Email marked verified', Boolean(credential.email_verified_at));
+
+    const tokens = await this.storage.findAccountTokens({ memberId: this.amara.id });
+    this.record('Only token hashes stored', tokens.length === 1 && tokens[0].token_hash === sha256(token) &&
+      !JSON.stringify(tokens).includes(token));
+
+    const anonymous = await this.call('resendEmailVerification', {});
+    const already = await this.call('resendEmailVerification', { user: { memberId: this.amara.id } });
+    const resent = await this.call('resendEmailVerification', { user: { memberId: this.keisha.id } });
+    this.record('Resend needs sign-in and an unverified address', anonymous.statusCode === 401 &&
+      already.statusCode === 409 && resent.statusCode === 202);
+
+    const [latest] = await this.storage.findAccountTokens({ memberId: this.keisha.id, purpose: 'email_verification' });
+    this.storage.accountTokens.set(latest.id, { ...latest, expires_at: new Date(Date.now() - 1000).toISOString() });
+    const expired = await this.call('verifyEmail', { body: { token: this.mailToken('keisha@example.org') } });
+    this.record('Expired verification token refused', expired.statusCode === 400 && expired.body.reason === 'token_expired');
+  }
+
+  async testPasswordReset() {
+    console.log('\n   🔁 Testing password reset...');
+
+    const mailCount = this.mails().length;
+    const unknown = await this.call('requestPasswordReset', { body: { identifier: 'nobody@example.org' } });
+    this.record('Unknown account answered the same, nothing sent', unknown.statusCode === 202 && this.mails().length === mailCount);
+
+    const requested = await this.call('requestPasswordReset', { body: { identifier: 'amara@example.org' } });
+    const firstToken = this.mailToken('amara@example.org');
+    await this.call('requestPasswordReset', { body: { identifier: 'amara' } });
+    const token = this.mailToken('amara@example.org');
+    this.record('Reset email sent', requested.statusCode === 202 && this.lastMail('amara@example.org').subject === 'Reset your BLKOUT password');
+
+    const weak = await this.call('resetPassword', { body: { token, password: 'short' } });
+    this.record('Weak new password rejected without using the token', weak.statusCode === 400 &&
+      (await this.storage.findAccountTokens({ tokenHash: sha256(token) }))[0].used_at === null);
+
+    const reset = await this.call('resetPassword', { body: { token, password: NEW_PASSWORD } });
+    const reused = await this.call('resetPassword', { body: { token, password: NEW_PASSWORD } });
+    const older = await this.call('resetPassword', { body: { token: firstToken, password: NEW_PASSWORD } });
+    this.record('Reset token works once and older links stop working', reset.statusCode === 200 &&
+      reused.statusCode === 400 && older.statusCode === 400);
+
+    const oldPassword = await this.call('login', { body: { identifier: 'amara', password: PASSWORD } });
+    const newPassword = await this.call('login', { body: { identifier: 'amara', password: NEW_PASSWORD } });
+    this.record('New password replaces the old one', oldPassword.statusCode === 401 && newPassword.statusCode === 200);
+
+    this.record('Existing sessions signed out', await this.auth.verifyAccessToken(this.session.accessToken) === null &&
+      (await this.call('refreshSession', { body: { refreshToken: this.session.refreshToken } })).statusCode === 401);
+  }
+
+  async testMailTransports() {
+    console.log('\n   📧 Testing mail transports...');
+
+    const transport = new FileMailTransport({ directory: this.mailDirectory, from: 'test@example.org' });
+    const { file } = await transport.send({ to: 'a@example.org\r\nBcc: everyone@example.org', subject: 'Hi', text: 'Body' });
+    const content = fs.readFileSync(file, 'utf8');
+    this.record('File transport writes .eml without header injection', file.endsWith('.eml') &&
+      !/\r\nBcc:/.test(content) && content.includes('\r\n\r\nBody'));
+
+    const lines = [];
+    const logger = { log: (text) => lines.push(text) };
+    const previous = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    await new ConsoleMailTransport({ logger }).send({ to: 'a@example.org', subject: 'Reset', text: 'secret-link' });
+    process.env.NODE_ENV = previous;
+    this.record('Console transport withholds bodies in production', lines.length === 1 && !lines[0].includes('secret-link'));
+  }
+
+  async testPostgresAccounts() {
+    console.log('\n   🗄️ Testing accounts on Postgres...');
+
+    const storage = new PostgresStorageAdapter(this.db);
+    const credentials = this.createCredentialService(storage);
+
+    const registered = await credentials.register({
+      username: 'tunde', email: 'tunde@example.org', password: PASSWORD, accountType: 'creator'
+    });
+    const { rows: [counts] } = await this.db.query(
+      `SELECT (SELECT COUNT(*) FROM community_members)::int AS members,
+              (SELECT COUNT(*) FROM creators)::int AS creators,
+              (SELECT COUNT(*) FROM member_credentials)::int AS credentials`
+    );
+    this.record('Registration creates member, creator and credential rows', registered.success &&
+      counts.members === 1 && counts.creators === 1 && counts.credentials === 1, counts);
+
+    // A creators row with this email exists but no member: the whole registration must roll back
+    await this.db.query("INSERT INTO creators (username, email) VALUES ('legacy', 'legacy@example.org')");
+    const clash = await credentials.register({
+      username: 'legacy2', email: 'legacy@example.org', password: PASSWORD, accountType: 'creator'
+    });
+    const { rows: [{ members }] } = await this.db.query('SELECT COUNT(*)::int AS members FROM community_members');
+    this.record('Failed registration leaves nothing behind', clash.success === false &&
+      clash.reason === 'account_exists' && members === 1);
+
+    const memberId = registered.member.id;
+    this.record('Password verified from member_credentials', await credentials.verifyCredentials({
+      identifier: 'TUNDE@example.org', password: PASSWORD
+    }) === memberId);
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await credentials.verifyCredentials({ identifier: 'tunde', password: 'guessing password' });
+    }
+    const { rows: [lock] } = await this.db.query('SELECT failed_attempts, locked_until FROM member_credentials');
+    this.record('Lockout persisted', lock.failed_attempts === 0 && new Date(lock.locked_until) > new Date() &&
+      await credentials.verifyCredentials({ identifier: 'tunde', password: PASSWORD }) === null);
+
+    const token = await credentials.issueAccountToken(memberId, 'password_reset', 60);
+    const [record] = await storage.findAccountTokens({ tokenHash: sha256(token) });
+    const first = await storage.markAccountTokenUsed(record.id, new Date().toISOString());
+    const second = await storage.markAccountTokenUsed(record.id, new Date().toISOString());
+    this.record('Account tokens can be used once', first === true && second === false);
+
+    const reset = await credentials.resetPassword({ token: await credentials.issueAccountToken(memberId, 'password_reset', 60), password: NEW_PASSWORD });
+    this.record('Reset clears the lockout', reset.success &&
+      await credentials.verifyCredentials({ identifier: 'tunde', password: NEW_PASSWORD }) === memberId);
+  }
+
+  // Helpers
+
+  createCredentialService(storageAdapter) {
+    return new CommunityCredentialService({
+      storageAdapter,
+      mailTransport: new FileMailTransport({ directory: this.mailDirectory, from: 'test@example.org' }),
+      bcryptRounds: 4,
+      maxFailedAttempts: 3,
+      lockoutSeconds: 60,
+      appUrl: 'https://blkout.test'
+    });
+  }
+
+  mails() {
+    return fs.readdirSync(this.mailDirectory)
+      .filter(file => file.endsWith('.eml'))
+      .sort()
+      .map(file => {
+        const content = fs.readFileSync(path.join(this.mailDirectory, file), 'utf8');
+        const head = content.slice(0, content.indexOf('\r\n\r\n'));
+        const body = content.slice(head.length + 4);
+        const header = (name) => (head.match(new RegExp(`^${name}: (.*)$`, 'm')) || [])[1];
+        return { to: header('To'), subject: header('Subject'), body };
+      });
+  }
+
+  lastMail(to) {
+    return this.mails().filter(mail => mail.to === to).pop();
+  }
+
+  mailToken(to) {
+    return this.lastMail(to).body.match(/token=([\w-]+)/)[1];
+  }
+
+  async call(handler, req) {
+    const res = {
+      statusCode: 200,
+      body: null,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+      end() { return this; }
+    };
+
+    await gateway[handler]({ params: {}, query: {}, body: {}, ...req }, res);
+    return res;
+  }
+
+  record(name, passed, details) {
+    this.totalTests++;
+
+    if (passed) {
+      console.log(`      ✅ ${name}: PASSED`);
+      this.passingTests++;
+      this.testResults.push({ name, status: 'PASS' });
+    } else {
+      console.log(`      ❌ ${name}: FAILED`, details !== undefined ? details : '');
+      this.testResults.push({ name, status: 'FAIL', details });
+    }
+  }
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  async function runTests() {
+    const testSuite = new CommunityCredentialsTestSuite();
+    const results = await testSuite.runAllTests();
+
+    if (!results.success) {
+      process.exit(1);
+    }
+  }
+
+  runTests();
+}
+
+module.exports = CommunityCredentialsTestSuite;
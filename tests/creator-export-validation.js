@@ -0,0 +1,310 @@
+/**
+ * Creator Data Export Validation
+ * Tests the GET /api/creator/:id/export archive, in memory and on ephemeral Postgres
+ *
+ * VALIDATION:
+ * ✓ Only the authenticated creator can export their data
+ * ✓ Stories, events and submissions the creator made through the gateway are exported
+ * ✓ Archive holds JSON and CSV for revenue, content bodies and consent history
+ * ✓ manifest.json and checksums.sha256 match every file in the archive
+ * ✓ Revenue and content_items are read from Postgres
+ * ✓ Exports are recorded in the audit log
+ */
+
+process.env.DATA_STORAGE_ADAPTER = 'memory';
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { gateway } = require('../layer-2-api-gateway/api-gateway');
+const CreatorDataExporter = require('../layer-5-data-sovereignty/CreatorDataExporter');
+const DataSovereigntyService = require('../layer-5-data-sovereignty/DataSovereigntyService');
+const { CreatorDataRepositoryImpl } = require('../layer-5-data-sovereignty/RefactoredDataSovereigntyRepository');
+const { InMemoryStorageAdapter, PostgresStorageAdapter } = require('../layer-5-data-sovereignty/storage');
+const { createEphemeralDatabase } = require('./support/ephemeral-postgres');
+
+const AMARA = { memberId: 'creator-amara', role: 'creator' };
+const KEISHA = { memberId: 'creator-keisha', role: 'creator' };
+const MODERATOR = { memberId: 'member-tunde', role: 'moderator' };
+
+class CreatorExportTestSuite {
+  constructor() {
+    this.db = null;
+    this.storage = new InMemoryStorageAdapter();
+    this.service = new DataSovereigntyService(this.storage);
+    gateway.dataSovereigntyService = this.service;
+    gateway.creatorDataRepository = null;
+
+    this.testResults = [];
+    this.passingTests = 0;
+    this.totalTests = 0;
+  }
+
+  async runAllTests() {
+    console.log('\n📦 CREATOR DATA EXPORT TEST SUITE');
+    console.log('═════════════════════════════════════════════════════════════');
+
+    try {
+      await this.seedCreator();
+      await this.testAuthorization();
+      await this.testArchiveContents();
+      await this.testChecksums();
+
+      this.db = await createEphemeralDatabase({ migrate: true });
+      await this.testPostgresExport();
+
+      console.log('\n📊 CREATOR DATA EXPORT TEST RESULTS:');
+      console.log(`✅ Passing tests: ${this.passingTests}/${this.totalTests}`);
+
+      if (this.passingTests === this.totalTests) {
+        console.log('🏛️ Creator data export VALIDATED!');
+        return { success: true, tests: this.testResults };
+      } else {
+        console.error('🚨 Creator data export validation FAILED!');
+        return { success: false, tests: this.testResults };
+      }
+
+    } catch (error) {
+      console.error('🚨 Creator data export test suite failed:', error);
+      return { success: false, error: error.message };
+    } finally {
+      if (this.db) {
+        await this.db.close();
+      }
+    }
+  }
+
+  async seedCreator() {
+    const consent = await this.service.grantMemberConsent({ dataSubjectId: 'creator-amara', scope: ['data_storage'] });
+    await this.service.consentLedger.renew(consent.id, { expiresAt: new Date(Date.now() + 86400000), actorId: 'creator-amara' });
+    await this.service.withdrawMemberConsent({ dataSubjectId: 'creator-amara', consentId: consent.id, reason: 'Moving, "for now"' });
+
+    await this.service.grantMemberConsent({ dataSubjectId: 'creator-amara', scope: ['data_storage', 'data_retrieval'] });
+    await this.service.grantMemberConsent({ dataSubjectId: 'creator-keisha', scope: ['data_storage'] });
+
+    await this.service.consentLedger.grant({ communityId: 'moderation-queue', scope: ['data_storage', 'data_retrieval'] });
+
+    // Content reaches the store only through the gateway routes, as the signed-in creator
+    const story = await this.call('createNewsContent', { user: AMARA, body: this.storyBody('=HYPERLINK("https://example.org")') });
+    const event = await this.call('createEvent', {
+      user: AMARA,
+      body: { title: 'Ballroom archive night', description: 'Watch and talk about ballroom history together', date: '2026-11-07', location: 'Online' }
+    });
+    const submission = await this.call('submitToModerationQueue', {
+      user: AMARA,
+      body: { ...this.storyBody('Joy as resistance'), type: 'article', revenueSharing: { creatorShare: 0.8 } }
+    });
+    await this.call('updateModerationItem', { user: MODERATOR, params: { id: submission.body.submissionId }, body: { action: 'approve' } });
+    const { items: [published] } = await this.storage.find('stories', { where: { moderationItemId: submission.body.submissionId } });
+    await this.call('createNewsContent', { user: KEISHA, body: this.storyBody('Not Amara\'s') });
+
+    this.created = {
+      story: story.body.contentId,
+      event: event.body.event && event.body.event.id,
+      submission: submission.body.submissionId,
+      published: published && published.id
+    };
+  }
+
+  async testAuthorization() {
+    console.log('\n   🔐 Testing authorization...');
+
+    const anonymous = await this.call('exportCreatorData', { params: { id: 'creator-amara' } });
+    const otherCreator = await this.call('exportCreatorData', { user: KEISHA, params: { id: 'creator-amara' } });
+    this.record('Unauthenticated export refused', anonymous.statusCode === 401);
+    this.record('Cannot export another creator\'s data', otherCreator.statusCode === 403);
+  }
+
+  async testArchiveContents() {
+    console.log('\n   🗂️ Testing archive contents...');
+
+    const res = await this.call('exportCreatorData', { user: AMARA, params: { id: 'creator-amara' } });
+    this.response = res;
+    this.files = readTarGz(res.body);
+    const root = res.headers['X-Export-Id'];
+
+    this.record('Archive downloaded as attachment', res.statusCode === 200 &&
+      res.headers['Content-Type'] === 'application/gzip' &&
+      res.headers['Content-Disposition'] === `attachment; filename="${root}.tar.gz"`, res.headers);
+
+    const paths = Object.keys(this.files).map(path => path.slice(root.length + 1));
+    const expected = ['manifest.json', 'checksums.sha256', 'revenue.json', 'revenue.csv', 'content.csv',
+      'consents.json', 'consent-history.json', 'consent-history.csv'];
+    this.record('Archive holds JSON and CSV for each category', expected.every(path => paths.includes(path)) &&
+      Object.keys(this.files).every(path => path.startsWith(`${root}/`)), paths);
+
+    const created = [`content/stories/${this.created.story}.json`, `content/events/${this.created.event}.json`,
+      `content/moderation_queue/${this.created.submission}.json`, `content/stories/${this.created.published}.json`];
+    this.record('Stories, events and submissions created through the gateway exported', created.every(path => paths.includes(path)), paths);
+
+    const story = JSON.parse(this.file(`content/stories/${this.created.story}.json`));
+    this.record('Original content body included', story.content === this.storyBody('=HYPERLINK("https://example.org")').content &&
+      story.title === '=HYPERLINK("https://example.org")' && story.sovereignty.ownerId === 'creator-amara');
+    this.record('Other creators\' content excluded', paths.filter(path => path.startsWith('content/')).length === created.length &&
+      !this.file('content.csv').includes('Not Amara'), paths);
+
+    const consents = JSON.parse(this.file('consents.json'));
+    this.record('Consents include withdrawn ones', consents.length === 2 &&
+      consents.some(consent => consent.status === 'withdrawn'));
+
+    const history = JSON.parse(this.file('consent-history.json'));
+    this.record('Consent history in order', history.map(event => event.event).join(',') === 'granted,renewed,withdrawn,granted',
+      history.map(event => event.event));
+
+    const csv = this.file('consent-history.csv').split('\r\n');
+    this.record('Consent history CSV quotes values', csv[0] === 'consentId,event,at,communityId,scope,expiresAt,reason,sequence' &&
+      csv.some(line => line.includes('"Moving, ""for now"""')) && csv.length === 6, csv);
+
+    const contentCsv = this.file('content.csv');
+    this.record('CSV cells cannot run as formulas', contentCsv.includes('HYPERLINK') && !contentCsv.includes(',=') &&
+      this.file('revenue.csv') === `${['transactionId', 'contentId', 'date', 'amount', 'creatorAmount', 'communityAmount',
+        'platformAmount', 'creatorShare', 'sovereigntyCompliant', 'governanceApproved'].join(',')}\r\n`);
+  }
+
+  async testChecksums() {
+    console.log('\n   🔏 Testing manifest and checksums...');
+
+    const manifest = JSON.parse(this.file('manifest.json'));
+    const root = manifest.exportId;
+
+    this.record('Manifest lists every data file with its checksum', manifest.files.length === Object.keys(this.files).length - 2 &&
+      manifest.files.every(file => sha256(this.files[`${root}/${file.path}`]) === file.sha256 &&
+        this.files[`${root}/${file.path}`].length === file.bytes));
+
+    const checksumLines = this.file('checksums.sha256').trim().split('\n');
+    this.record('checksums.sha256 in sha256sum format', checksumLines.length === manifest.files.length &&
+      checksumLines.every(line => {
+        const [hash, path] = line.split('  ');
+        return sha256(this.files[`${root}/${path}`]) === hash;
+      }));
+
+    this.record('Archive checksum header matches download', this.response.headers['X-Export-SHA256'] === sha256(this.response.body));
+    this.record('Manifest counts', manifest.counts.contentItems === 4 && manifest.counts.consents === 2 &&
+      manifest.counts.consentEvents === 4 && manifest.creatorId === 'creator-amara', manifest.counts);
+
+    const audit = await this.service.findDataOperations({ operationType: 'creator_data_export' });
+    this.record('Export recorded in audit log', audit.length === 1 && audit[0].data_id === root &&
+      audit[0].actor_id === 'creator-amara' && audit[0].audit_data.archiveChecksum === this.response.headers['X-Export-SHA256']);
+  }
+
+  async testPostgresExport() {
+    console.log('\n   🗄️ Testing revenue and content_items on Postgres...');
+
+    const { rows: [creator] } = await this.db.query(
+      "INSERT INTO creators (username, email) VALUES ('tunde', 'tunde@example.org') RETURNING id"
+    );
+    const repository = new CreatorDataRepositoryImpl(this.db);
+    const content = await repository.storeCreatorContent({
+      creator_id: creator.id,
+      title: 'Joy as Resistance',
+      content_type: 'article',
+      content_data: { body: 'Full original text' }
+    });
+    await repository.storeRevenueShare({
+      creator_id: creator.id,
+      content_id: content.id,
+      revenue_total: 100,
+      creator_share: 80,
+      platform_share: 5,
+      community_share: 15
+    });
+
+    const exporter = new CreatorDataExporter(new DataSovereigntyService(new PostgresStorageAdapter(this.db)), repository);
+    const result = await exporter.buildArchive(creator.id);
+    const files = readTarGz(result.archive);
+    const file = (path) => files[`${result.exportId}/${path}`].toString('utf8');
+
+    const revenue = JSON.parse(file('revenue.json'));
+    this.record('Revenue exported from creator_revenue_tracking', revenue.length === 1 && revenue[0].amount === 100 &&
+      revenue[0].creatorShare === 0.8 && revenue[0].sovereigntyCompliant === true, revenue);
+    this.record('Revenue CSV row', file('revenue.csv').split('\r\n')[1].includes(`,${content.id},`));
+
+    const body = JSON.parse(file(`content/content_items/${content.id}.json`));
+    this.record('content_items body exported', body.body === 'Full original text');
+    this.record('Manifest marks export sovereignty compliant', result.manifest.sovereigntyCompliance === true &&
+      result.manifest.counts.revenueRecords === 1);
+  }
+
+  // Helpers
+
+  storyBody(title) {
+    return {
+      title,
+      content: `${title}: Black queer community members share stories of liberation and mutual aid`,
+      author: 'Amara',
+      revenue: 100
+    };
+  }
+
+  file(path) {
+    return this.files[`${this.response.headers['X-Export-Id']}/${path}`].toString('utf8');
+  }
+
+  async call(handler, req) {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      body: null,
+      status(code) { this.statusCode = code; return this; },
+      set(headers) { Object.assign(this.headers, headers); return this; },
+      json(body) { this.body = body; return this; },
+      send(body) { this.body = body; return this; }
+    };
+
+    await gateway[handler]({ params: {}, query: {}, body: {}, ...req }, res);
+    return res;
+  }
+
+  record(name, passed, details) {
+    this.totalTests++;
+
+    if (passed) {
+      console.log(`      ✅ ${name}: PASSED`);
+      this.passingTests++;
+      this.testResults.push({ name, status: 'PASS' });
+    } else {
+      console.log(`      ❌ ${name}: FAILED`, details !== undefined ? details : '');
+      this.testResults.push({ name, status: 'FAIL', details });
+    }
+  }
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Read a gzipped ustar archive into { path: Buffer }
+ */
+function readTarGz(archive) {
+  const tar = zlib.gunzipSync(archive);
+  const files = {};
+  let offset = 0;
+
+  while (offset + 512 <= tar.length && tar[offset] !== 0) {
+    const field = (start, length) => tar.toString('utf8', offset + start, offset + start + length).replace(/\0.*$/s, '');
+    const prefix = field(345, 155);
+    const path = prefix ? `${prefix}/${field(0, 100)}` : field(0, 100);
+    const size = parseInt(field(124, 12), 8);
+
+    files[path] = tar.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+
+  return files;
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  async function runTests() {
+    const testSuite = new CreatorExportTestSuite();
+    const results = await testSuite.runAllTests();
+
+    if (!results.success) {
+      process.exit(1);
+    }
+  }
+
+  runTests();
+}
+
+module.exports = CreatorExportTestSuite;
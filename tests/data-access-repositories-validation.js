@@ -0,0 +1,377 @@
+/**
+ * Data Access Repositories Validation
+ * Tests DatabaseConnectionFactory and the Layer 5 repositories in
+ * RefactoredDataSovereigntyRepository against ephemeral Postgres
+ *
+ * VALIDATION:
+ * ✓ SSL verifies server certificates unless explicitly opted out; a CA can be supplied
+ * ✓ Transactions commit, roll back on failure, and keep the original error when ROLLBACK fails
+ * ✓ Pooled clients are always released; a client whose rollback failed is discarded
+ * ✓ Community, creator, governance and audit repositories persist and read back records
+ * ✓ Votes are stored under a voting pseudonym, never a member ID
+ * ✓ Database constraints (75% creator share, one vote per pseudonym) surface as errors
+ */
+
+const crypto = require('crypto');
+const { DatabaseConnection, createDatabaseConnection } = require('../layer-5-data-sovereignty/DatabaseConnectionFactory');
+const {
+  CommunityDataRepositoryImpl,
+  CreatorDataRepositoryImpl,
+  GovernanceDataRepositoryImpl,
+  AuditTrailRepositoryImpl
+} = require('../layer-5-data-sovereignty/RefactoredDataSovereigntyRepository');
+const { createEphemeralDatabase } = require('./support/ephemeral-postgres');
+
+class DataAccessRepositoriesTestSuite {
+  constructor() {
+    this.db = null;
+    this.testResults = [];
+    this.passingTests = 0;
+    this.totalTests = 0;
+  }
+
+  async runAllTests() {
+    console.log('\n🗃️ DATA ACCESS REPOSITORIES TEST SUITE');
+    console.log('═════════════════════════════════════════════════════════════');
+
+    try {
+      await this.testConnectionConfiguration();
+      await this.testFailedRollback();
+
+      this.db = await createEphemeralDatabase({ migrate: true });
+      this.connection = new DatabaseConnection(poolOver(this.db));
+
+      await this.testTransactions();
+      await this.testCommunityDataRepository();
+      await this.testCreatorDataRepository();
+      await this.testGovernanceDataRepository();
+      await this.testAuditTrailRepository();
+
+      console.log('\n📊 DATA ACCESS REPOSITORIES TEST RESULTS:');
+      console.log(`✅ Passing tests: ${this.passingTests}/${this.totalTests}`);
+
+      if (this.passingTests === this.totalTests) {
+        console.log('🏛️ Data access repositories VALIDATED!');
+        return { success: true, tests: this.testResults };
+      } else {
+        console.error('🚨 Data access repositories validation FAILED!');
+        return { success: false, tests: this.testResults };
+      }
+
+    } catch (error) {
+      console.error('🚨 Data access repositories test suite failed:', error);
+      return { success: false, error: error.message };
+    } finally {
+      if (this.db) {
+        await this.db.close();
+      }
+    }
+  }
+
+  async testConnectionConfiguration() {
+    console.log('\n   🔌 Testing connection configuration...');
+
+    const databaseUrl = process.env.DATABASE_URL;
+    delete process.env.DATABASE_URL;
+    try {
+      await this.expectRejection('DATABASE_URL required', async () => createDatabaseConnection(), 'DATABASE_URL is required');
+    } finally {
+      if (databaseUrl !== undefined) {
+        process.env.DATABASE_URL = databaseUrl;
+      }
+    }
+
+    await this.expectRejection('Pool required', async () => new DatabaseConnection(), 'Connection pool is required');
+
+    const unreachable = new DatabaseConnection({ query: async () => { throw new Error('connection refused'); } });
+    const health = await unreachable.healthCheck();
+    this.record('Unreachable database reported unhealthy', health.healthy === false && health.error === 'connection refused', health);
+
+    const ca = '-----BEGIN CERTIFICATE-----\nMIIB\n-----END CERTIFICATE-----\n';
+    const verified = await this.sslFor({ ssl: true }, {});
+    const fromEnv = await this.sslFor({}, { DATABASE_SSL: 'true', DATABASE_SSL_CA: ca });
+    const fromConfig = await this.sslFor({ ssl: true, sslCa: ca }, {});
+    this.record('SSL verifies server certificates by default', verified.rejectUnauthorized === true &&
+      fromEnv.rejectUnauthorized === true && fromEnv.ca === ca && fromConfig.ca === ca, { verified, fromEnv, fromConfig });
+
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      const optedOut = await this.sslFor({}, { DATABASE_SSL: 'true', DATABASE_SSL_ALLOW_UNVERIFIED: 'true' });
+      const optedOutInConfig = await this.sslFor({ ssl: true, allowUnverifiedCertificates: true }, {});
+      const caAlone = await this.sslFor({ ssl: true, sslCa: ca }, { DATABASE_SSL_ALLOW_UNVERIFIED: 'false' });
+      this.record('Verification skipped only by the explicit opt-out', optedOut.rejectUnauthorized === false &&
+        optedOutInConfig.rejectUnauthorized === false && caAlone.rejectUnauthorized === true, { optedOut, optedOutInConfig, caAlone });
+    } finally {
+      console.warn = warn;
+    }
+
+    this.record('SSL off unless enabled', await this.sslFor({}, {}) === false);
+  }
+
+  async testFailedRollback() {
+    console.log('\n   ↩️ Testing a failed rollback...');
+
+    const statements = [];
+    let released = null;
+    const client = {
+      query: async (text) => {
+        statements.push(text);
+        if (text === 'ROLLBACK') {
+          throw new Error('Connection terminated unexpectedly');
+        }
+      },
+      release: (error) => { released = { error }; }
+    };
+    const connection = new DatabaseConnection({ connect: async () => client });
+
+    await this.expectRejection('Original error rethrown when ROLLBACK fails',
+      () => connection.transaction(async () => { throw new Error('duplicate key value violates unique constraint'); }),
+      'duplicate key');
+    this.record('Client released and discarded after failed rollback', statements.join(',') === 'BEGIN,ROLLBACK' &&
+      released !== null && released.error instanceof Error && released.error.message.includes('terminated'), released);
+
+    released = null;
+    statements.length = 0;
+    await connection.transaction(async () => 'done');
+    this.record('Client returned to the pool after commit', statements.join(',') === 'BEGIN,COMMIT' &&
+      released !== null && released.error === undefined, released);
+  }
+
+  async testTransactions() {
+    console.log('\n   🔁 Testing transactions on Postgres...');
+
+    const health = await this.connection.healthCheck();
+    this.record('Reachable database reported healthy', health.healthy === true, health);
+
+    const committed = await this.connection.transaction(async (transaction) => {
+      await transaction.query('INSERT INTO community_data_records (id) VALUES ($1)', ['tx-committed']);
+      return 'committed';
+    });
+    await this.expectRejection('Failing unit of work rethrows its error',
+      () => this.connection.transaction(async (transaction) => {
+        await transaction.query('INSERT INTO community_data_records (id) VALUES ($1)', ['tx-rolled-back']);
+        throw new Error('Sovereignty check failed');
+      }),
+      'Sovereignty check failed');
+
+    const { rows } = await this.connection.query(
+      "SELECT id FROM community_data_records WHERE id LIKE 'tx-%' ORDER BY id"
+    );
+    this.record('Commit keeps writes, rollback discards them', committed === 'committed' &&
+      rows.map(row => row.id).join(',') === 'tx-committed', rows);
+  }
+
+  async testCommunityDataRepository() {
+    console.log('\n   🏘️ Testing community data repository...');
+
+    const repository = new CommunityDataRepositoryImpl(this.connection);
+    const stored = await repository.storeWithSovereignty(
+      { id: 'story-1', type: 'story', title: 'Mutual aid map', tags: ['community'] },
+      { communityId: 'blkout-community', ownerId: 'member-amara', communityOwned: true, sovereigntyLevel: 'full' }
+    );
+    const found = await repository.findById('story-1');
+    this.record('Record stored with sovereignty metadata', stored.id === 'story-1' && stored.sovereignty_confirmed &&
+      found.title === 'Mutual aid map' && Array.isArray(found.tags) && found.owner_id === 'member-amara' &&
+      found.sovereignty_metadata.sovereignty_level === 'full', found);
+
+    const byCommunity = await repository.findByCommunityId('blkout-community');
+    this.record('Records found by community', byCommunity.length === 1 && byCommunity[0].id === 'story-1');
+
+    this.record('Ownership checked against the stored owner',
+      await repository.validateOwnership('story-1', 'member-amara') === true &&
+      await repository.validateOwnership('story-1', 'member-keisha') === false);
+
+    const updated = await repository.update('story-1', { id: 'story-other', title: 'Mutual aid map, updated' });
+    this.record('Update changes data but not record columns', updated.id === 'story-1' &&
+      updated.title === 'Mutual aid map, updated' && updated.owner_id === 'member-amara' && updated.tags[0] === 'community', updated);
+
+    this.record('Delete removes the record', await repository.delete('story-1') === true &&
+      await repository.findById('story-1') === null);
+  }
+
+  async testCreatorDataRepository() {
+    console.log('\n   👑 Testing creator data repository...');
+
+    const repository = new CreatorDataRepositoryImpl(this.connection);
+    const { rows: [creator] } = await this.connection.query(
+      'INSERT INTO creators (username, email) VALUES ($1, $2) RETURNING id',
+      ['amara', 'amara@example.org']
+    );
+
+    const content = await repository.storeCreatorContent({
+      creator_id: creator.id,
+      title: 'Ballroom history',
+      content_type: 'article',
+      content_data: { body: 'Houses, mothers and balls' }
+    });
+    const byCreator = await repository.findContentByCreatorId(creator.id);
+    this.record('Creator content stored and listed', byCreator.length === 1 && byCreator[0].id === content.id &&
+      byCreator[0].content_data.body === 'Houses, mothers and balls');
+
+    await repository.storeRevenueShare({
+      creator_id: creator.id,
+      content_id: content.id,
+      revenue_distribution: { totalRevenue: 100, creatorAmount: 80, communityAmount: 15, platformAmount: 5 }
+    });
+    const [revenue] = await repository.findRevenueRecordsByCreator(creator.id);
+    this.record('Revenue distribution stored as numbers', revenue && revenue.revenue_total === 100 &&
+      revenue.creator_share === 80 && revenue.platform_share === 5, revenue);
+
+    await this.expectRejection('Creator share below 75% rejected by the database',
+      () => repository.storeRevenueShare({
+        creator_id: creator.id,
+        content_id: content.id,
+        revenue_total: 100,
+        creator_share: 60,
+        community_share: 30,
+        platform_share: 10
+      }),
+      'Creator sovereignty violation');
+  }
+
+  async testGovernanceDataRepository() {
+    console.log('\n   🗳️ Testing governance data repository...');
+
+    const repository = new GovernanceDataRepositoryImpl(this.connection);
+    const { rows: [member] } = await this.connection.query(
+      'INSERT INTO community_members (username, email) VALUES ($1, $2) RETURNING id',
+      ['keisha', 'keisha@example.org']
+    );
+
+    const proposal = await repository.storeGovernanceDecision({
+      title: 'Fund workshops',
+      description: 'Community workshops every month',
+      proposal_type: 'resource_allocation',
+      liberation_principles_score: 0.9,
+      voting_start_date: new Date(Date.now() - 86400000).toISOString(),
+      voting_end_date: new Date(Date.now() + 86400000).toISOString(),
+      created_by: member.id
+    });
+    const active = await repository.findActiveDecisions();
+    this.record('Decision stored and listed as active', proposal.liberation_principles_score === 0.9 &&
+      active.some(decision => decision.id === proposal.id));
+
+    const voterPseudonym = `public_${crypto.randomBytes(8).toString('hex')}`;
+    await repository.storeVoteRecord({ voter_pseudonym: voterPseudonym, proposal_id: proposal.id, vote_decision: 'approve' });
+    const [vote] = await repository.findVotesByDecision(proposal.id);
+    const untallied = await repository.findById(proposal.id);
+    this.record('Vote stored under its pseudonym and left for the tally', vote.voter_pseudonym === voterPseudonym &&
+      vote.member_id === null && untallied.total_votes === 0, { vote, untallied });
+
+    await this.expectRejection('Vote without a pseudonym rejected',
+      () => repository.storeVoteRecord({ member_id: member.id, proposal_id: proposal.id, vote_decision: 'reject' }),
+      'voter pseudonym');
+    await this.expectRejection('Second vote under a pseudonym rejected',
+      () => repository.storeVoteRecord({ voter_pseudonym: voterPseudonym, proposal_id: proposal.id, vote_decision: 'reject' }),
+      'duplicate key');
+
+    const updated = await repository.update(proposal.id, { status: 'closed', created_by: crypto.randomUUID() });
+    this.record('Only updatable columns change', updated.status === 'closed' && updated.created_by === member.id, updated);
+  }
+
+  async testAuditTrailRepository() {
+    console.log('\n   📜 Testing audit trail repository...');
+
+    const repository = new AuditTrailRepositoryImpl(this.connection);
+    await repository.storeOperationAudit({ operation_type: 'store', data_id: 'story-2', actor_id: 'member-amara' });
+    await repository.storeOperationAudit({ operation_type: 'retrieve', data_id: 'story-2', actor_id: 'member-keisha' });
+
+    const byData = await repository.findAuditsByDataId('story-2');
+    this.record('Audit entries chained and found by data ID', byData.length === 2 &&
+      byData[1].previous_hash === byData[0].entry_hash, byData);
+
+    const verification = await repository.verifyAuditChain();
+    this.record('Audit chain verifies', verification.valid === true, verification);
+
+    await this.expectRejection('Audit entries cannot be updated', () => repository.update(byData[0].id, {}), 'cannot be updated');
+  }
+
+  // Helpers
+
+  /**
+   * pg ssl options a connection is created with, under the given environment
+   */
+  async sslFor(config, env) {
+    const names = ['DATABASE_SSL', 'DATABASE_SSL_CA', 'DATABASE_SSL_ALLOW_UNVERIFIED'];
+    const saved = Object.fromEntries(names.map(name => [name, process.env[name]]));
+    names.forEach(name => {
+      if (env[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = env[name];
+      }
+    });
+
+    try {
+      const connection = createDatabaseConnection({ connectionString: 'postgres://ssl-check@localhost/blkout', ...config });
+      const ssl = connection.pool.options.ssl;
+      await connection.close();
+      return ssl;
+    } finally {
+      names.forEach(name => {
+        if (saved[name] === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = saved[name];
+        }
+      });
+    }
+  }
+
+  async expectRejection(name, operation, expectedMessage) {
+    try {
+      await operation();
+      this.record(name, false, 'Operation was accepted');
+    } catch (error) {
+      const message = `${error.message} ${error.constraint || ''}`;
+      this.record(name, message.includes(expectedMessage), error.message);
+    }
+  }
+
+  record(name, passed, details) {
+    this.totalTests++;
+
+    if (passed) {
+      console.log(`      ✅ ${name}: PASSED`);
+      this.passingTests++;
+      this.testResults.push({ name, status: 'PASS' });
+    } else {
+      console.log(`      ❌ ${name}: FAILED`, details !== undefined ? details : '');
+      this.testResults.push({ name, status: 'FAIL', details });
+    }
+  }
+}
+
+/**
+ * pg Pool stand-in over the ephemeral database
+ * PGlite has a single connection, so every pooled client shares it.
+ */
+function poolOver(db) {
+  return {
+    query: (text, params) => db.query(text, params),
+    connect: async () => ({
+      query: (text, params) => db.query(text, params),
+      release: () => {}
+    }),
+    end: async () => {},
+    totalCount: 1,
+    idleCount: 1
+  };
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  async function runTests() {
+    const testSuite = new DataAccessRepositoriesTestSuite();
+    const results = await testSuite.runAllTests();
+
+    if (!results.success) {
+      process.exit(1);
+    }
+  }
+
+  runTests();
+}
+
+module.exports = DataAccessRepositoriesTestSuite;
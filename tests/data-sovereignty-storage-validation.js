@@ -0,0 +1,288 @@
+/**
+ * Data Sovereignty Storage Validation
+ * Tests DataSovereigntyService persistence through the in-memory storage adapter
+ *
+ * VALIDATION:
+ * ✓ Moderation queue submissions are readable back through the queue
+ * ✓ Story, event and queue filtering and pagination
+ * ✓ Moderation status transitions (allowed and rejected)
+ * ✓ Stored records retrievable by id
+ * ✓ A fresh store gets the default community consent, once; governance withdrawals are not undone
+ * ✓ The gateway accepts moderation submissions on a fresh store
+ * ✓ Client-supplied id, status and moderation fields are ignored on submission
+ */
+
+process.env.DATA_STORAGE_ADAPTER = 'memory';
+
+const { gateway } = require('../layer-2-api-gateway/api-gateway');
+const DataSovereigntyService = require('../layer-5-data-sovereignty/DataSovereigntyService');
+const { InMemoryStorageAdapter } = require('../layer-5-data-sovereignty/storage');
+
+class DataSovereigntyStorageTestSuite {
+  constructor() {
+    this.service = new DataSovereigntyService(new InMemoryStorageAdapter(), { seedDefaultConsent: true });
+    this.testResults = [];
+    this.passingTests = 0;
+    this.totalTests = 0;
+  }
+
+  async runAllTests() {
+    console.log('\n🔒 DATA SOVEREIGNTY STORAGE TEST SUITE');
+    console.log('═════════════════════════════════════════════════════════════');
+
+    try {
+      await this.testModerationQueueRoundTrip();
+      await this.testModerationStatusTransitions();
+      await this.testStoryFilteringAndPagination();
+      await this.testEventDateRange();
+      await this.testRetrieveById();
+      await this.testDefaultConsent();
+      await this.testGatewaySubmission();
+      await this.testClientStatusIgnored();
+
+      console.log('\n📊 DATA SOVEREIGNTY STORAGE TEST RESULTS:');
+      console.log(`✅ Passing tests: ${this.passingTests}/${this.totalTests}`);
+
+      if (this.passingTests === this.totalTests) {
+        console.log('🏛️ Data sovereignty storage VALIDATED!');
+        return { success: true, tests: this.testResults };
+      } else {
+        console.error('🚨 Data sovereignty storage validation FAILED!');
+        return { success: false, tests: this.testResults };
+      }
+
+    } catch (error) {
+      console.error('🚨 Data sovereignty storage test suite failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async testModerationQueueRoundTrip() {
+    console.log('\n   ⚖️ Testing moderation queue round trip...');
+
+    await this.submit({ id: 'mod_a', title: 'First', submittedAt: '2025-01-01T10:00:00Z' });
+    await this.submit({ id: 'mod_b', title: 'Second', type: 'event', submittedAt: '2025-01-02T10:00:00Z' });
+    await this.submit({ id: 'mod_c', title: 'Third', priority: 'high', submittedAt: '2025-01-03T10:00:00Z' });
+
+    const pending = await this.service.retrieveModerationQueueWithGovernance({ statusFilter: 'pending' });
+    this.record('Submitted items appear in pending queue',
+      pending.items.map(item => item.id).join(',') === 'mod_c,mod_b,mod_a',
+      pending.items.map(item => item.id));
+
+    const events = await this.service.retrieveModerationQueueWithGovernance({ statusFilter: 'pending', type: 'event' });
+    this.record('Queue filters by type', events.items.length === 1 && events.items[0].id === 'mod_b');
+
+    const paged = await this.service.retrieveModerationQueueWithGovernance({ statusFilter: 'all', page: 2, limit: 2 });
+    this.record('Queue paginates', paged.items.length === 1 && paged.pagination.total === 3 && paged.pagination.totalPages === 2,
+      paged.pagination);
+  }
+
+  async testModerationStatusTransitions() {
+    console.log('\n   🔁 Testing moderation status transitions...');
+
+    const approved = await this.service.transitionModerationItem({ itemId: 'mod_a', status: 'approved', moderatorId: 'mod-1' });
+    this.record('pending -> approved allowed', approved.success && approved.item.status === 'approved' &&
+      approved.item.statusHistory.length === 1);
+
+    const reopened = await this.service.transitionModerationItem({ itemId: 'mod_a', status: 'rejected' });
+    this.record('approved is final', !reopened.success && reopened.reason === 'invalid_status_transition');
+
+    const escalated = await this.service.transitionModerationItem({ itemId: 'mod_b', status: 'escalated' });
+    const rejected = await this.service.transitionModerationItem({ itemId: 'mod_b', status: 'rejected' });
+    this.record('pending -> escalated -> rejected allowed', escalated.success && rejected.success &&
+      rejected.item.statusHistory.length === 2);
+
+    const missing = await this.service.transitionModerationItem({ itemId: 'mod_missing', status: 'approved' });
+    this.record('Unknown item reported as not found', !missing.success && missing.reason === 'not_found');
+
+    const pending = await this.service.retrieveModerationQueueWithGovernance({});
+    this.record('Moderated items leave pending queue', pending.items.length === 1 && pending.items[0].id === 'mod_c');
+  }
+
+  async testStoryFilteringAndPagination() {
+    console.log('\n   📚 Testing story filtering and pagination...');
+
+    const stories = [
+      { id: 'story_1', title: 'One', category: 'liberation', tags: ['community'], created_at: '2025-01-01T00:00:00Z' },
+      { id: 'story_2', title: 'Two', category: 'community', tags: ['democracy'], created_at: '2025-01-02T00:00:00Z' },
+      { id: 'story_3', title: 'Three', category: 'liberation', tags: ['democracy', 'community'], created_at: '2025-01-03T00:00:00Z' }
+    ];
+    for (const story of stories) {
+      await this.service.storeWithSovereignty({
+        data: story,
+        sovereigntyRequirements: { communityId: 'blkout-community', creatorControlled: true },
+        operationType: 'news_content_storage'
+      });
+    }
+
+    const byCategory = await this.service.retrieveStoriesWithGovernance({ category: 'liberation' });
+    this.record('Stories filter by category, newest first',
+      byCategory.articles.map(story => story.id).join(',') === 'story_3,story_1');
+
+    const byTag = await this.service.retrieveStoriesWithGovernance({ tag: 'democracy' });
+    this.record('Stories filter by tag', byTag.articles.length === 2 && byTag.pagination.total === 2);
+
+    const secondPage = await this.service.retrieveStoriesWithGovernance({ page: 2, limit: 2 });
+    this.record('Stories paginate', secondPage.articles.length === 1 && secondPage.articles[0].id === 'story_1');
+  }
+
+  async testEventDateRange() {
+    console.log('\n   📅 Testing event date range...');
+
+    for (const [id, date] of [['event_1', '2025-03-01T18:00:00Z'], ['event_2', '2025-02-01T18:00:00Z'], ['event_3', '2025-05-01T18:00:00Z']]) {
+      await this.service.createEventWithGovernance({ title: id, description: 'Event', date, location: 'Online', requesterId: 'member-1' });
+    }
+
+    const upcoming = await this.service.retrieveEventsWithGovernance({ from: '2025-02-15T00:00:00Z', to: '2025-04-01T00:00:00Z' });
+    this.record('Events filter by date range', upcoming.events.length === 1 && upcoming.events[0].title === 'event_1');
+
+    const all = await this.service.retrieveEventsWithGovernance({});
+    this.record('Events ordered by date ascending',
+      all.events.map(event => event.title).join(',') === 'event_2,event_1,event_3');
+  }
+
+  async testRetrieveById() {
+    console.log('\n   🔍 Testing retrieval by id...');
+
+    const stored = await this.service.storeWithSovereignty({
+      data: { title: 'Generated id' },
+      sovereigntyRequirements: { communityId: 'blkout-community' },
+      operationType: 'community_storage'
+    });
+    const retrieved = await this.service.retrieveWithGovernance({ dataId: stored.dataId, requesterId: 'member-1' });
+    this.record('Stored record retrievable by generated id', retrieved.title === 'Generated id' &&
+      retrieved.sovereignty.accessAuthorized === true);
+
+    try {
+      await this.service.retrieveWithGovernance({ dataId: 'does-not-exist' });
+      this.record('Missing record rejected', false);
+    } catch (error) {
+      this.record('Missing record rejected', error.message.includes('Data not found'));
+    }
+  }
+
+  async testDefaultConsent() {
+    console.log('\n   🤝 Testing default community consent...');
+
+    const consents = await this.service.consentLedger.listConsents({ dataSubjectId: null, includeInactive: true });
+    const again = await this.service.ensureDefaultCommunityConsent();
+    this.record('Default community consent recorded once per community',
+      consents.map(consent => consent.community_id).sort().join(',') === 'blkout-community,moderation-queue' &&
+      consents.every(consent => consent.consent_type === 'community_standard' && consent.granted_by === 'platform_default') &&
+      again.length === consents.length, consents);
+
+    const storage = new InMemoryStorageAdapter();
+    const withdrawn = await new DataSovereigntyService(storage).consentLedger.grant({
+      communityId: 'moderation-queue',
+      scope: ['data_storage']
+    });
+    await new DataSovereigntyService(storage).consentLedger.withdraw(withdrawn.id, { reason: 'Community decision' });
+    const seeded = new DataSovereigntyService(storage, { seedDefaultConsent: true });
+    try {
+      await seeded.storeWithSovereignty({
+        data: { id: 'mod_after_withdrawal', title: 'Refused', content: 'Body' },
+        sovereigntyRequirements: { communityId: 'moderation-queue' },
+        operationType: 'moderation_queue_submission'
+      });
+      this.record('A withdrawn community consent is not seeded again', false);
+    } catch (error) {
+      this.record('A withdrawn community consent is not seeded again', error.message.includes('consent_withdrawn'), error.message);
+    }
+  }
+
+  async testGatewaySubmission() {
+    console.log('\n   🚪 Testing gateway submission on a fresh store...');
+
+    const res = await this.call('submitToModerationQueue', {
+      user: { memberId: 'member-amara', role: 'member' },
+      body: {
+        title: 'Black queer community kitchen opens on Sundays',
+        content: 'Our community organizing brings Black queer liberation, empowerment and mutual aid to every member.',
+        type: 'article',
+        revenueSharing: { creatorShare: 0.8 }
+      }
+    });
+    const queued = await gateway.dataSovereigntyService.retrieveModerationQueueWithGovernance({ statusFilter: 'pending' });
+    this.record('The gateway accepts a moderation submission on a fresh store', res.statusCode === 201 &&
+      res.body.dataStorageResult.stored === true && queued.items.some(item => item.id === res.body.submissionId), res.body);
+  }
+
+  async testClientStatusIgnored() {
+    console.log('\n   🛑 Testing client-supplied moderation fields...');
+
+    const res = await this.call('submitToModerationQueue', {
+      user: { memberId: 'member-amara', role: 'member' },
+      body: {
+        id: 'mod_chosen_by_client',
+        title: 'Black queer community garden needs volunteers',
+        content: 'Our community organizing brings Black queer liberation, empowerment and mutual aid to every member.',
+        status: 'approved',
+        moderationNotes: 'Looks fine to me',
+        revenueSharing: { creatorShare: 0.8 }
+      }
+    });
+    const stored = await gateway.dataSovereigntyService.retrieveWithGovernance({
+      dataId: res.body.submissionId,
+      requesterId: 'moderator-1'
+    });
+    this.record('Gateway ignores client id, status and moderation notes', res.statusCode === 201 &&
+      res.body.submissionId !== 'mod_chosen_by_client' && /^mod_/.test(res.body.submissionId) &&
+      stored.status === 'pending' && stored.moderationNotes === '', res.body);
+
+    await this.submit({ id: 'mod_self_approved', title: 'Self approved', status: 'approved' });
+    const item = (await this.service.retrieveModerationQueueWithGovernance({ statusFilter: 'pending' })).items
+      .find(queued => queued.id === 'mod_self_approved');
+    this.record('Store ignores incoming status on insert', item && item.status === 'pending', item);
+  }
+
+  // Helpers
+
+  async call(handler, req) {
+    const res = {
+      statusCode: 200,
+      body: null,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+
+    await gateway[handler]({ params: {}, query: {}, body: {}, headers: {}, ...req }, res);
+    return res;
+  }
+
+  async submit(data) {
+    return this.service.storeWithSovereignty({
+      data: { type: 'article', content: 'Body', status: 'pending', priority: 'medium', ...data },
+      sovereigntyRequirements: { communityId: 'moderation-queue', creatorControlled: true },
+      operationType: 'moderation_queue_submission'
+    });
+  }
+
+  record(name, passed, details) {
+    this.totalTests++;
+
+    if (passed) {
+      console.log(`      ✅ ${name}: PASSED`);
+      this.passingTests++;
+      this.testResults.push({ name, status: 'PASS' });
+    } else {
+      console.log(`      ❌ ${name}: FAILED`, details !== undefined ? details : '');
+      this.testResults.push({ name, status: 'FAIL', details });
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  async function runTests() {
+    const testSuite = new DataSovereigntyStorageTestSuite();
+    const results = await testSuite.runAllTests();
+
+    if (!results.success) {
+      process.exit(1);
+    }
+  }
+
+  runTests();
+}
+
+module.exports = DataSovereigntyStorageTestSuite;
@@ -0,0 +1,275 @@
+/**
+ * Database Schema Validation
+ * Applies database/migrations to an ephemeral Postgres and checks the schema behaves as documented
+ *
+ * VALIDATION:
+ * ✓ Migrations apply in order, record checksums, roll back and re-apply cleanly
+ * ✓ creator_sovereignty_75_percent check and enforce_creator_sovereignty trigger
+ * ✓ enforce_democratic_voting trigger and one-member-one-vote constraints
+ * ✓ Liberation monitoring views aggregate correctly
+ */
+
+const { createEphemeralDatabase, MIGRATIONS_DIRECTORY } = require('./support/ephemeral-postgres');
+const { MigrationRunner } = require('../database/MigrationRunner');
+
+class DatabaseSchemaTestSuite {
+  constructor() {
+    this.db = null;
+    this.testResults = [];
+    this.passingTests = 0;
+    this.totalTests = 0;
+  }
+
+  async runAllTests() {
+    console.log('\n🗄️ DATABASE SCHEMA TEST SUITE');
+    console.log('═════════════════════════════════════════════════════════════');
+
+    try {
+      this.db = await createEphemeralDatabase();
+      this.runner = new MigrationRunner(this.db, { migrationsDirectory: MIGRATIONS_DIRECTORY });
+
+      await this.testMigrationsApply();
+      await this.seedFixtures();
+      await this.testCreatorSovereigntyEnforcement();
+      await this.testDemocraticVotingEnforcement();
+      await this.testMonitoringViews();
+      await this.testMigrationRollback();
+
+      console.log('\n📊 DATABASE SCHEMA TEST RESULTS:');
+      console.log(`✅ Passing tests: ${this.passingTests}/${this.totalTests}`);
+
+      if (this.passingTests === this.totalTests) {
+        console.log('🏛️ Database schema liberation constraints VALIDATED!');
+        return { success: true, tests: this.testResults };
+      } else {
+        console.error('🚨 Database schema validation FAILED!');
+        return { success: false, tests: this.testResults };
+      }
+
+    } catch (error) {
+      console.error('🚨 Database schema test suite failed:', error);
+      return { success: false, error: error.message };
+    } finally {
+      if (this.db) {
+        await this.db.close();
+      }
+    }
+  }
+
+  async testMigrationsApply() {
+    console.log('\n   ⬆️ Testing migrations apply from empty database...');
+
+    const applied = await this.runner.up();
+    this.record('All migrations applied', applied.length === this.runner.loadMigrations().length, applied);
+
+    const verification = await this.runner.verify();
+    this.record('Ledger checksums match migration files', verification.valid, verification.problems);
+
+    const { rows } = await this.db.query('SELECT COUNT(*)::int AS count FROM liberation_metrics');
+    this.record('Default liberation metric targets seeded', rows[0].count === 5, rows[0]);
+  }
+
+  async seedFixtures() {
+    const { rows: [creator] } = await this.db.query(
+      "INSERT INTO creators (username, email, display_name) VALUES ('amara', 'amara@example.org', 'Amara') RETURNING id"
+    );
+    const { rows: [inactiveCreator] } = await this.db.query(
+      "INSERT INTO creators (username, email, active) VALUES ('former', 'former@example.org', false) RETURNING id"
+    );
+    const { rows: [member] } = await this.db.query(
+      "INSERT INTO community_members (username, email) VALUES ('keisha', 'keisha@example.org') RETURNING id"
+    );
+    const { rows: [secondMember] } = await this.db.query(
+      "INSERT INTO community_members (username, email) VALUES ('tunde', 'tunde@example.org') RETURNING id"
+    );
+    const { rows: [content] } = await this.db.query(
+      "INSERT INTO content_items (creator_id, title, content_type, content_data) VALUES ($1, 'Story', 'article', '{}') RETURNING id",
+      [creator.id]
+    );
+    const { rows: [proposal] } = await this.db.query(
+      `INSERT INTO governance_proposals (title, description, proposal_type, liberation_principles_score,
+         voting_start_date, voting_end_date, created_by)
+       VALUES ('Fund workshops', 'Community workshops', 'resource_allocation', 0.9, NOW(), NOW() + INTERVAL '7 days', $1)
+       RETURNING id`,
+      [member.id]
+    );
+
+    this.fixtures = {
+      creatorId: creator.id,
+      inactiveCreatorId: inactiveCreator.id,
+      memberId: member.id,
+      secondMemberId: secondMember.id,
+      contentId: content.id,
+      proposalId: proposal.id
+    };
+  }
+
+  async testCreatorSovereigntyEnforcement() {
+    console.log('\n   🔢 Testing 75% creator sovereignty enforcement...');
+
+    const atMinimum = await this.insertRevenue(100, 75, 20, 5);
+    this.record('75% creator share accepted', Number(atMinimum.sovereignty_score) === 0.75, atMinimum);
+
+    const aboveMinimum = await this.insertRevenue(200, 180, 15, 5);
+    this.record('Trigger records sovereignty score', Number(aboveMinimum.sovereignty_score) === 0.9, aboveMinimum);
+
+    const zeroRevenue = await this.insertRevenue(0, 0, 0, 0);
+    this.record('Zero revenue record accepted with full sovereignty', Number(zeroRevenue.sovereignty_score) === 1, zeroRevenue);
+
+    await this.expectRejection('Trigger rejects 50% creator share',
+      () => this.insertRevenue(100, 50, 25, 25),
+      'Creator sovereignty violation: Creator share 50.00 is below required 75% of total 100.00');
+
+    await this.expectRejection('Trigger rejects update below 75%',
+      () => this.db.query('UPDATE creator_revenue_tracking SET creator_share = 70, community_share = 25 WHERE id = $1', [atMinimum.id]),
+      'Creator sovereignty violation');
+
+    await this.expectRejection('Totals must add up',
+      () => this.insertRevenue(100, 80, 10, 5),
+      'revenue_total_consistency');
+
+    // The check constraint must hold on its own, even if the trigger is disabled
+    await this.db.query('ALTER TABLE creator_revenue_tracking DISABLE TRIGGER trigger_enforce_creator_sovereignty');
+    try {
+      await this.expectRejection('creator_sovereignty_75_percent check rejects 74% without trigger',
+        () => this.insertRevenue(100, 74, 21, 5),
+        'creator_sovereignty_75_percent');
+    } finally {
+      await this.db.query('ALTER TABLE creator_revenue_tracking ENABLE TRIGGER trigger_enforce_creator_sovereignty');
+    }
+  }
+
+  async testDemocraticVotingEnforcement() {
+    console.log('\n   🗳️ Testing democratic voting enforcement...');
+
+    const vote = await this.insertVote(this.fixtures.memberId, 'approve');
+    this.record('Vote with weight 1.0 accepted', Number(vote.vote_weight) === 1, vote);
+
+    await this.expectRejection('Trigger rejects weighted vote',
+      () => this.insertVote(this.fixtures.secondMemberId, 'approve', 2.0),
+      'Democratic voting violation: Vote weight must be exactly 1.0, got 2.00');
+
+    await this.expectRejection('Member cannot vote twice on a proposal',
+      () => this.insertVote(this.fixtures.memberId, 'reject'),
+      'duplicate key');
+
+    await this.db.query('ALTER TABLE community_voting_records DISABLE TRIGGER trigger_enforce_democratic_voting');
+    try {
+      await this.expectRejection('vote_weight check rejects weighted vote without trigger',
+        () => this.insertVote(this.fixtures.secondMemberId, 'approve', 0.5),
+        'vote_weight');
+    } finally {
+      await this.db.query('ALTER TABLE community_voting_records ENABLE TRIGGER trigger_enforce_democratic_voting');
+    }
+
+    await this.insertVote(this.fixtures.secondMemberId, 'reject');
+  }
+
+  async testMonitoringViews() {
+    console.log('\n   📊 Testing liberation monitoring views...');
+
+    const { rows: dashboard } = await this.db.query('SELECT * FROM creator_sovereignty_dashboard');
+    const amara = dashboard.find(row => row.username === 'amara');
+    this.record('Dashboard excludes inactive creators', dashboard.length === 1 && !dashboard.some(row => row.username === 'former'),
+      dashboard);
+    this.record('Dashboard aggregates creator revenue',
+      amara && Number(amara.total_revenue) === 300 && Number(amara.total_creator_earnings) === 255 &&
+      Number(amara.revenue_transactions) === 3 && Math.abs(Number(amara.avg_sovereignty_score) - 0.8833) < 0.001,
+      amara);
+
+    const { rows: participation } = await this.db.query('SELECT * FROM democratic_participation_metrics');
+    this.record('Participation metrics count voters and decisions',
+      participation.length === 1 && Number(participation[0].unique_voters) === 2 && Number(participation[0].total_votes) === 2 &&
+      Number(participation[0].approve_votes) === 1 && Number(participation[0].reject_votes) === 1 &&
+      Number(participation[0].avg_liberation_score) === 0.9,
+      participation);
+
+    await this.db.query(
+      `INSERT INTO anti_oppression_reviews (content_id, reviewer_id, oppression_detected, cultural_authenticity_score)
+       VALUES ($1, $2, false, 0.9), ($1, $2, false, 0.8), ($1, $2, true, 0.4)`,
+      [this.fixtures.contentId, this.fixtures.memberId]
+    );
+    const { rows: protection } = await this.db.query('SELECT * FROM community_protection_effectiveness');
+    this.record('Protection effectiveness counts safe and flagged content',
+      protection.length === 1 && Number(protection[0].total_reviews) === 3 && Number(protection[0].safe_content) === 2 &&
+      Number(protection[0].flagged_content) === 1 && Math.abs(Number(protection[0].avg_cultural_authenticity) - 0.7) < 0.001,
+      protection);
+  }
+
+  async testMigrationRollback() {
+    console.log('\n   ⬇️ Testing rollback and re-apply...');
+
+    const total = this.runner.loadMigrations().length;
+    await this.runner.down({ steps: total });
+
+    const { rows } = await this.db.query(
+      "SELECT table_name FROM information_schema.tables WHERE table_schema = 'public' AND table_name <> 'schema_migrations'"
+    );
+    this.record('Down migrations remove every schema object', rows.length === 0, rows);
+
+    const reapplied = await this.runner.up();
+    this.record('Migrations re-apply after rollback', reapplied.length === total);
+  }
+
+  // Helpers
+
+  async insertRevenue(total, creatorShare, communityShare, platformShare) {
+    const { rows } = await this.db.query(
+      `INSERT INTO creator_revenue_tracking (creator_id, content_id, revenue_total, creator_share,
+         community_share, platform_share, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $1)
+       RETURNING *`,
+      [this.fixtures.creatorId, this.fixtures.contentId, total, creatorShare, communityShare, platformShare]
+    );
+    return rows[0];
+  }
+
+  async insertVote(memberId, decision, weight = 1.0) {
+    const { rows } = await this.db.query(
+      `INSERT INTO community_voting_records (member_id, proposal_id, vote_decision, vote_weight)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [memberId, this.fixtures.proposalId, decision, weight]
+    );
+    return rows[0];
+  }
+
+  async expectRejection(name, operation, expectedMessage) {
+    try {
+      await operation();
+      this.record(name, false, 'Operation was accepted');
+    } catch (error) {
+      const message = `${error.message} ${error.constraint || ''}`;
+      this.record(name, message.includes(expectedMessage), error.message);
+    }
+  }
+
+  record(name, passed, details) {
+    this.totalTests++;
+
+    if (passed) {
+      console.log(`      ✅ ${name}: PASSED`);
+      this.passingTests++;
+      this.testResults.push({ name, status: 'PASS' });
+    } else {
+      console.log(`      ❌ ${name}: FAILED`, details !== undefined ? details : '');
+      this.testResults.push({ name, status: 'FAIL', details });
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  async function runTests() {
+    const testSuite = new DatabaseSchemaTestSuite();
+    const results = await testSuite.runAllTests();
+
+    if (!results.success) {
+      process.exit(1);
+    }
+  }
+
+  runTests();
+}
+
+module.exports = DatabaseSchemaTestSuite;
@@ -0,0 +1,616 @@
+/**
+ * Domain Event Bus Validation
+ * Tests typed domain events in versioned envelopes, the in-process and Redis
+ * pub/sub backends (against a test double of publishMessage/subscribeToChannel),
+ * and the outbox that publishes events only once their write commits, in memory
+ * and on ephemeral Postgres
+ *
+ * VALIDATION:
+ * ✓ Events are validated against their schema and wrapped in a versioned envelope
+ * ✓ Correlation IDs come from the request or the causing event
+ * ✓ Layer 3 emitters are republished on the bus; failing handlers are isolated
+ * ✓ The Redis backend carries envelopes between processes on one channel
+ * ✓ Stored events reach the outbox with their write and are published by the relay, with retries
+ * ✓ Published events reach webhook subscriptions once, even when delivered twice
+ * ✓ Postgres writes a record and its outbox events in one transaction
+ */
+
+process.env.DATA_STORAGE_ADAPTER = 'memory';
+
+const { EventEmitter } = require('events');
+const { gateway } = require('../layer-2-api-gateway/api-gateway');
+const OutboundDeliveryService = require('../layer-2-api-gateway/OutboundDeliveryService');
+const WebhookSubscriptionService = require('../layer-2-api-gateway/WebhookSubscriptionService');
+const LiberationBusinessLogicOrchestrator = require('../layer-3-business-logic/LiberationBusinessLogicOrchestrator');
+const DataSovereigntyService = require('../layer-5-data-sovereignty/DataSovereigntyService');
+const { InMemoryStorageAdapter, PostgresStorageAdapter } = require('../layer-5-data-sovereignty/storage');
+const {
+  DomainEventBus,
+  DomainEventOutboxRelay,
+  InProcessEventBackend,
+  RedisEventBackend,
+  RedisPubSubService,
+  createDomainEventBus,
+  validateEnvelope
+} = require('../layer-5-infrastructure/events');
+const { createEphemeralDatabase } = require('./support/ephemeral-postgres');
+
+const MODERATOR = { memberId: 'member-amara', role: 'moderator', votingRightsActive: true };
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Stand-in for a Redis server: every service sharing a network sees every
+ * message published to a channel, serialised as it would be on the wire
+ */
+class FakeRedisNetwork {
+  constructor() {
+    this.channels = new Map();
+  }
+
+  connect() {
+    const network = this;
+    return {
+      async publishMessage(channel, message) {
+        const raw = JSON.stringify(message);
+        for (const handler of network.channels.get(channel) || []) {
+          await handler(JSON.parse(raw));
+        }
+      },
+      async subscribeToChannel(channel, handler) {
+        if (!network.channels.has(channel)) {
+          network.channels.set(channel, []);
+        }
+        network.channels.get(channel).push(handler);
+      }
+    };
+  }
+}
+
+/**
+ * Backend that refuses the next `failures` publishes, then behaves like the in-process one
+ */
+class FlakyBackend extends InProcessEventBackend {
+  constructor(failures) {
+    super();
+    this.failures = failures;
+  }
+
+  async publish(envelope) {
+    if (this.failures > 0) {
+      this.failures--;
+      throw new Error('Event backend unavailable');
+    }
+    await super.publish(envelope);
+  }
+}
+
+class DomainEventBusTestSuite {
+  constructor() {
+    this.db = null;
+    this.storage = new InMemoryStorageAdapter();
+    this.service = new DataSovereigntyService(this.storage);
+    gateway.dataSovereigntyService = this.service;
+
+    this.testResults = [];
+    this.passingTests = 0;
+    this.totalTests = 0;
+  }
+
+  async runAllTests() {
+    console.log('\n📣 DOMAIN EVENT BUS TEST SUITE');
+    console.log('═════════════════════════════════════════════════════════════');
+
+    try {
+      await this.testEnvelopes();
+      await this.testSubscriptions();
+      await this.testServiceConnections();
+      await this.testRedisBackend();
+      await this.testRedisPubSubService();
+
+      await this.grantCommunityConsent();
+      await this.testOutbox();
+      await this.testRelayRetries();
+      await this.testWebhookSubscriptionsOnBus();
+
+      this.db = await createEphemeralDatabase({ migrate: true });
+      await this.testPostgresOutbox();
+
+      console.log('\n📊 DOMAIN EVENT BUS TEST RESULTS:');
+      console.log(`✅ Passing tests: ${this.passingTests}/${this.totalTests}`);
+
+      if (this.passingTests === this.totalTests) {
+        console.log('📣 Domain event bus VALIDATED!');
+        return { success: true, tests: this.testResults };
+      } else {
+        console.error('🚨 Domain event bus validation FAILED!');
+        return { success: false, tests: this.testResults };
+      }
+
+    } catch (error) {
+      console.error('🚨 Domain event bus test suite failed:', error);
+      return { success: false, error: error.message };
+    } finally {
+      if (this.db) {
+        await this.db.close();
+      }
+    }
+  }
+
+  async testEnvelopes() {
+    console.log('\n   ✉️  Testing event schemas and envelopes...');
+
+    const bus = new DomainEventBus({ source: 'events' });
+    const envelope = bus.createEvent('event_created', { eventId: 'event-1', liberationScore: 0.9 }, { correlationId: 'request-1' });
+    this.record('Events wrapped in a versioned envelope', envelope.envelopeVersion === 1 && envelope.version === 1 &&
+      UUID_PATTERN.test(envelope.id) && envelope.type === 'event_created' && envelope.source === 'events' &&
+      envelope.correlationId === 'request-1' && envelope.causationId === null && envelope.payload.eventId === 'event-1' &&
+      validateEnvelope(envelope).length === 0, envelope);
+
+    const refusals = [
+      ['event_created', {}],
+      ['event_created', { eventId: 42 }],
+      ['event_created', { eventId: 'event-1', attendeeEmails: ['a@example.org'] }],
+      ['democratic_vote_completed', { eventId: 'event-1', decision: 'yes' }],
+      ['member_joined', { memberId: 'member-1' }]
+    ].map(([type, payload]) => {
+      try {
+        bus.createEvent(type, payload);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    });
+    this.record('Payloads outside the schema are refused', refusals.every(Boolean) &&
+      refusals[0].includes('eventId is required') && refusals[2].includes('attendeeEmails is not part of event_created v1') &&
+      refusals[4].includes('unknown event type'), refusals);
+
+    const uncorrelated = bus.createEvent('event_created', { eventId: 'event-2' });
+    const caused = bus.createEvent('democratic_vote_completed', { eventId: 'event-1', decision: true }, { causedBy: envelope });
+    this.record('Correlation IDs start fresh or follow the causing event', UUID_PATTERN.test(uncorrelated.correlationId) &&
+      uncorrelated.correlationId !== envelope.correlationId && caused.correlationId === 'request-1' &&
+      caused.causationId === envelope.id, caused);
+
+    let rejected = null;
+    try {
+      await bus.publishEnvelope({ ...envelope, version: 2 });
+    } catch (error) {
+      rejected = error.message;
+    }
+    this.record('Envelopes are validated before publishing', Boolean(rejected) && rejected.includes('version must be 1'), rejected);
+  }
+
+  async testSubscriptions() {
+    console.log('\n   👂 Testing subscriptions...');
+
+    const bus = new DomainEventBus();
+    const typed = [];
+    const everything = [];
+    const unsubscribe = bus.subscribe('event_created', envelope => typed.push(envelope));
+    bus.subscribe(DomainEventBus.ALL_EVENTS, envelope => everything.push(envelope.type));
+
+    const published = await bus.publish('event_created', { eventId: 'event-1' });
+    await bus.publish('feature_flag_updated', { flagName: 'ivor', newState: { enabled: true } });
+    unsubscribe();
+    await bus.publish('event_created', { eventId: 'event-2' });
+    this.record('Handlers receive their type, wildcards receive everything', typed.length === 1 &&
+      typed[0].id === published.id && everything.join(',') === 'event_created,feature_flag_updated,event_created', everything);
+
+    typed[0].payload.eventId = 'changed';
+    this.record('Handlers receive copies of the envelope', published.payload.eventId === 'event-1');
+
+    const reached = [];
+    const quiet = this.silenceConsole();
+    bus.subscribe('democratic_vote_completed', () => { throw new Error('handler broke'); });
+    bus.subscribe('democratic_vote_completed', envelope => reached.push(envelope.payload.eventId));
+    let publishFailed = false;
+    try {
+      await bus.publish('democratic_vote_completed', { eventId: 'event-1', decision: true });
+    } catch (error) {
+      publishFailed = true;
+    } finally {
+      quiet.restore();
+    }
+    this.record('A failing handler does not stop the others or the publisher', !publishFailed &&
+      reached.join(',') === 'event-1' && quiet.errors.some(line => line.includes('correlation')), quiet.errors);
+
+    let unknown = false;
+    try {
+      bus.subscribe('member_joined', () => {});
+    } catch (error) {
+      unknown = error.message.includes('Unknown domain event type');
+    }
+    this.record('Unknown event types cannot be subscribed to', unknown);
+  }
+
+  async testServiceConnections() {
+    console.log('\n   🔌 Testing Layer 3 services on the bus...');
+
+    const bus = new DomainEventBus();
+    const events = new EventEmitter();
+    const received = [];
+    bus.subscribe(DomainEventBus.ALL_EVENTS, envelope => received.push(envelope));
+
+    const disconnect = bus.connect(events, { source: 'events' });
+    const quiet = this.silenceConsole();
+    events.emit('event_created', { eventId: 'event-1', democraticApproval: true, liberationScore: 0.8 });
+    events.emit('event_created', { title: 'No id' });
+    events.emit('sovereignty_enforced', { creatorId: 'creator-1' });
+    await this.settle();
+    quiet.restore();
+    disconnect();
+    events.emit('event_created', { eventId: 'event-2' });
+    await this.settle();
+    this.record('Emitted domain events republished with their source', received.length === 1 &&
+      received[0].source === 'events' && received[0].payload.democraticApproval === true &&
+      quiet.errors.some(line => line.includes('eventId is required')) && events.listenerCount('event_created') === 0, received);
+
+    const ivorAI = new EventEmitter();
+    const orchestrator = new LiberationBusinessLogicOrchestrator(new EventEmitter(), events, ivorAI, bus);
+    const coordinated = [];
+    orchestrator.on('cross_service_liberation_event', event => coordinated.push(event));
+    events.emit('event_created', { eventId: 'event-3' });
+    ivorAI.emit('liberation_response_generated', { liberationCompliant: true, responseTime: 120 });
+    orchestrator.emit('feature_flag_updated', { flagName: 'culturalCelebration', newState: { enabled: true } });
+    await this.settle();
+    this.record('Orchestrator coordinates through bus subscriptions', coordinated.length === 2 &&
+      coordinated.some(event => event.service === 'events' && event.data.eventId === 'event-3' && Boolean(event.correlationId)) &&
+      coordinated.some(event => event.service === 'ivorAI' && event.data.liberationCompliant === true) &&
+      received.some(envelope => envelope.type === 'feature_flag_updated' && envelope.source === 'orchestrator'), coordinated);
+  }
+
+  async testRedisBackend() {
+    console.log('\n   🔴 Testing the Redis pub/sub backend...');
+
+    const network = new FakeRedisNetwork();
+    const publisher = new DomainEventBus({ backend: new RedisEventBackend({ redis: network.connect() }), source: 'api-gateway' });
+    const worker = new DomainEventBus({ backend: new RedisEventBackend({ redis: network.connect() }), source: 'worker' });
+    const elsewhere = new DomainEventBus({ backend: new RedisEventBackend({ redis: network.connect(), channel: 'other' }) });
+
+    const atWorker = [];
+    const atElsewhere = [];
+    worker.subscribe('event_created', envelope => atWorker.push(envelope));
+    elsewhere.subscribe('event_created', envelope => atElsewhere.push(envelope));
+    await this.settle();
+
+    const published = await publisher.publish('event_created', { eventId: 'event-1' }, { correlationId: 'request-9' });
+    this.record('Events reach other processes on the channel', network.channels.has(RedisEventBackend.DEFAULT_CHANNEL) &&
+      atWorker.length === 1 && atWorker[0].id === published.id && atWorker[0].correlationId === 'request-9' &&
+      atWorker[0].source === 'api-gateway' && atElsewhere.length === 0, atWorker);
+
+    const bus = createDomainEventBus({ backend: 'redis', redis: network.connect() });
+    let unknown = false;
+    try {
+      createDomainEventBus({ backend: 'kafka' });
+    } catch (error) {
+      unknown = error.message.includes('Unknown domain event backend');
+    }
+    this.record('Backend chosen by configuration', bus.backend instanceof RedisEventBackend &&
+      createDomainEventBus().backend instanceof InProcessEventBackend && unknown);
+  }
+
+  async testRedisPubSubService() {
+    console.log('\n   🧵 Testing the node-redis pub/sub service...');
+
+    const clients = [];
+    const createClient = (options) => {
+      const client = {
+        url: options.url,
+        published: [],
+        subscriptions: new Map(),
+        connected: false,
+        quit: async () => { client.connected = false; },
+        on: () => client,
+        connect: async () => { client.connected = true; },
+        publish: async (channel, message) => { client.published.push([channel, message]); },
+        subscribe: async (channel, listener) => { client.subscriptions.set(channel, listener); },
+        duplicate: () => createClient(options)
+      };
+      clients.push(client);
+      return client;
+    };
+
+    const pubsub = new RedisPubSubService({ url: 'redis://localhost:6379', createClient });
+    const messages = [];
+    await pubsub.subscribeToChannel('blkout:domain-events', message => messages.push(message));
+    await pubsub.publishMessage('blkout:domain-events', { type: 'event_created' });
+    const [publisher, subscriber] = clients;
+    const quiet = this.silenceConsole();
+    subscriber.subscriptions.get('blkout:domain-events')('{"type":"event_created"}');
+    subscriber.subscriptions.get('blkout:domain-events')('not json');
+    quiet.restore();
+    this.record('Messages published as JSON and parsed for subscribers', clients.length === 2 &&
+      publisher.published[0][1] === '{"type":"event_created"}' && !publisher.subscriptions.size &&
+      messages.length === 1 && messages[0].type === 'event_created' && quiet.errors.length === 1, publisher.published);
+
+    await pubsub.close();
+    let needsUrl = false;
+    try {
+      await new RedisPubSubService({ url: '', createClient }).publishMessage('channel', {});
+    } catch (error) {
+      needsUrl = error.message.includes('REDIS_URL');
+    }
+    this.record('Connections closed on shutdown and a URL is required', !publisher.connected && !subscriber.connected && needsUrl);
+  }
+
+  async testOutbox() {
+    console.log('\n   📥 Testing the outbox on event approval...');
+
+    this.bus = new DomainEventBus({ source: 'api-gateway' });
+    this.relay = new DomainEventOutboxRelay({ storageAdapter: this.storage, eventBus: this.bus, baseDelaySeconds: 60 });
+    gateway.eventBus = this.bus;
+    gateway.outboxRelay = this.relay;
+    gateway.outboundDelivery = new OutboundDeliveryService({ storageAdapter: this.storage, dataSovereigntyService: this.service, destinations: {} });
+
+    this.published = [];
+    this.bus.subscribe('event_created', envelope => this.published.push(envelope));
+
+    const itemId = await this.queueEvent('Community garden opening');
+    const approved = await this.call('updateModerationItem', {
+      user: MODERATOR,
+      headers: { 'x-correlation-id': 'request-garden' },
+      params: { id: itemId },
+      body: { action: 'approve' }
+    });
+    const [pending] = await this.storage.findOutboxEvents({ correlationId: 'request-garden' });
+    const { items: [stored] } = await this.storage.find('events', { where: { moderationItemId: itemId } });
+    this.record('Stored events reach the outbox with their write', approved.statusCode === 200 && Boolean(pending) &&
+      pending.status === 'pending' && pending.event_type === 'event_created' && Boolean(stored) &&
+      pending.envelope.payload.eventId === stored.id && pending.envelope.payload.date === '2026-11-07', { pending, stored });
+    this.record('Nothing is published before the relay runs', this.published.length === 0);
+
+    const summary = await this.relay.processDue();
+    const [published] = await this.storage.findOutboxEvents({ id: pending.id });
+    const again = await this.relay.processDue();
+    this.record('Relay publishes committed events once', summary.published === 1 && this.published.length === 1 &&
+      this.published[0].id === pending.id && this.published[0].correlationId === 'request-garden' &&
+      published.status === 'published' && published.attempts === 1 && Boolean(published.published_at) && again.claimed === 0,
+    { summary, published });
+
+    const articleId = await this.queueEvent('Reading circle', 'article');
+    await this.call('updateModerationItem', { user: MODERATOR, params: { id: articleId }, body: { action: 'approve' } });
+    const uncorrelated = await this.call('updateModerationItem', {
+      user: MODERATOR,
+      headers: { 'x-correlation-id': 'x'.repeat(101) },
+      params: { id: await this.queueEvent('Film night') },
+      body: { action: 'approve' }
+    });
+    const outbox = await this.storage.findOutboxEvents({});
+    this.record('Only events are announced, with a fresh correlation when none is usable', uncorrelated.statusCode === 200 &&
+      outbox.length === 2 && UUID_PATTERN.test(outbox[1].correlation_id), outbox.map(event => event.correlation_id));
+
+    const record = { id: 'event-duplicate', title: 'Duplicate', type: 'event' };
+    let refused = null;
+    try {
+      await this.storage.saveWithOutboxEvents('events', record, {}, [outbox[0].envelope]);
+    } catch (error) {
+      refused = error.message;
+    }
+    let unconsented = false;
+    try {
+      await this.service.storeWithSovereignty({
+        data: { id: 'event-unconsented', type: 'event' },
+        sovereigntyRequirements: { communityId: 'no-consent-community' },
+        operationType: 'event_creation',
+        domainEvents: stored => [this.bus.createEvent('event_created', { eventId: stored.id })]
+      });
+    } catch (error) {
+      unconsented = error.message.includes('consent');
+    }
+    this.record('A refused write leaves no record and no event', refused === 'Outbox event already recorded' &&
+      !(await this.storage.findById('events', 'event-duplicate')) && unconsented &&
+      (await this.storage.findOutboxEvents({})).length === 2, refused);
+  }
+
+  async testRelayRetries() {
+    console.log('\n   🔁 Testing relay retries...');
+
+    // Publish what the approval tests left in the outbox
+    await this.relay.processDue();
+
+    const bus = new DomainEventBus({ backend: new FlakyBackend(2) });
+    const relay = new DomainEventOutboxRelay({ storageAdapter: this.storage, eventBus: bus, baseDelaySeconds: 10, leaseSeconds: 30 });
+    const received = [];
+    bus.subscribe('feature_flag_updated', envelope => received.push(envelope));
+
+    const envelope = bus.createEvent('feature_flag_updated', { flagName: 'ivor', newState: { enabled: false } });
+    await this.storage.saveWithOutboxEvents('community_data', { id: 'flag-ivor', type: 'feature_flag' }, {}, [envelope]);
+
+    const quiet = this.silenceConsole();
+    const start = new Date(Date.now() + 60000);
+    const first = await relay.processDue({ now: start });
+    let [event] = await this.storage.findOutboxEvents({ id: envelope.id });
+    const early = await relay.processDue({ now: new Date(start.getTime() + 5000) });
+    this.record('Refused publishes stay pending with backoff', first.failed === 1 && event.status === 'pending' &&
+      event.attempts === 1 && event.last_error === 'Event backend unavailable' &&
+      new Date(event.next_attempt_at).getTime() >= start.getTime() + 10000 && early.claimed === 0, event);
+
+    await relay.processDue({ now: new Date(start.getTime() + 11000) });
+    [event] = await this.storage.findOutboxEvents({ id: envelope.id });
+    const doubled = new Date(event.next_attempt_at).getTime() >= start.getTime() + 11000 + 20000;
+    await relay.processDue({ now: new Date(start.getTime() + 120000) });
+    quiet.restore();
+    const [published] = await this.storage.findOutboxEvents({ id: envelope.id });
+    this.record('Failed events are retried until published', event.attempts === 2 && doubled &&
+      published.status === 'published' && published.attempts === 3 && published.last_error === null &&
+      received.length === 1 && received[0].id === envelope.id, published);
+
+    const lapsed = bus.createEvent('feature_flag_updated', { flagName: 'events', newState: { enabled: true } });
+    await this.storage.saveWithOutboxEvents('community_data', { id: 'flag-events', type: 'feature_flag' }, {}, [lapsed]);
+    const later = new Date(Date.now() + 60000);
+    await this.storage.claimOutboxEvents({ now: later.toISOString(), leaseUntil: new Date(later.getTime() + 30000).toISOString(), limit: 10 });
+    const whileClaimed = await relay.processDue({ now: new Date(later.getTime() + 1000) });
+    const afterLapse = await relay.processDue({ now: new Date(later.getTime() + 31000) });
+    this.record('Claims left by a stopped relay lapse and are published', whileClaimed.claimed === 0 &&
+      afterLapse.published === 1 && received.some(envelope => envelope.id === lapsed.id), afterLapse);
+  }
+
+  async testWebhookSubscriptionsOnBus() {
+    console.log('\n   📡 Testing webhook subscriptions fed by the bus...');
+
+    const deliveries = new OutboundDeliveryService({ storageAdapter: this.storage, dataSovereigntyService: this.service, destinations: {} });
+    const subscriptions = new WebhookSubscriptionService({
+      storageAdapter: this.storage,
+      dataSovereigntyService: this.service,
+      outboundDelivery: deliveries
+    });
+    await this.storage.createWebhookSubscription({
+      id: 'subscription-calendar',
+      partner_id: 'partner-hub',
+      url: 'https://hub.example.org/hooks/events',
+      event_types: ['event_created'],
+      signing_secret: 'whsec_test',
+      proposal_id: 'proposal-calendar',
+      enacted_by: 'member-keisha'
+    });
+
+    const bus = new DomainEventBus();
+    const unsubscribe = subscriptions.subscribeTo(bus);
+    const envelope = bus.createEvent('event_created', { eventId: 'event-9', title: 'Film night' }, { correlationId: 'request-film' });
+    await bus.publishEnvelope(envelope);
+    await bus.publishEnvelope(envelope);
+    await bus.publish('democratic_vote_completed', { eventId: 'event-9', decision: true });
+
+    const queued = await this.storage.findOutboundDeliveries({ destination: 'subscription:subscription-calendar' });
+    this.record('Bus events queued for subscribers once per event', queued.length === 1 &&
+      queued[0].idempotency_key === envelope.id && queued[0].payload.id === envelope.id &&
+      queued[0].payload.correlationId === 'request-film' && queued[0].payload.occurredAt === envelope.occurredAt &&
+      queued[0].payload.data.title === 'Film night', queued);
+
+    unsubscribe();
+    await bus.publish('event_created', { eventId: 'event-10' });
+    this.record('Unsubscribed services stop queueing',
+      (await this.storage.findOutboundDeliveries({ destination: 'subscription:subscription-calendar' })).length === 1);
+  }
+
+  async testPostgresOutbox() {
+    console.log('\n   🐘 Testing the outbox on Postgres...');
+
+    const storage = new PostgresStorageAdapter(this.db);
+    const bus = new DomainEventBus({ source: 'api-gateway' });
+    const record = { id: 'event-pg', title: 'Pride picnic', type: 'event' };
+    const envelope = bus.createEvent('event_created', { eventId: record.id, title: record.title }, { correlationId: 'request-pg' });
+
+    await storage.saveWithOutboxEvents('events', record, { communityId: 'blkout-community' }, [envelope]);
+    const [pending] = await storage.findOutboxEvents({ correlationId: 'request-pg' });
+    this.record('Record and outbox event written together', Boolean(await storage.findById('events', record.id)) &&
+      Boolean(pending) && pending.id === envelope.id && pending.status === 'pending' && pending.envelope.payload.title === 'Pride picnic',
+    pending);
+
+    const rollback = { id: 'event-rolled-back', title: 'Never stored', type: 'event' };
+    let refused = null;
+    try {
+      await storage.saveWithOutboxEvents('events', rollback, {}, [
+        bus.createEvent('event_created', { eventId: rollback.id }),
+        envelope
+      ]);
+    } catch (error) {
+      refused = error.message;
+    }
+    this.record('A failed outbox insert rolls back the record', refused === 'Outbox event already recorded' &&
+      !(await storage.findById('events', rollback.id)) && (await storage.findOutboxEvents({})).length === 1, refused);
+
+    const second = bus.createEvent('event_created', { eventId: 'event-pg-2' });
+    await storage.saveWithOutboxEvents('events', { id: 'event-pg-2', type: 'event' }, {}, [second]);
+    const now = new Date(Date.now() + 1000);
+    const leaseUntil = new Date(now.getTime() + 30000).toISOString();
+    const [a, b] = await Promise.all([
+      storage.claimOutboxEvents({ now: now.toISOString(), leaseUntil, limit: 1 }),
+      storage.claimOutboxEvents({ now: now.toISOString(), leaseUntil, limit: 1 })
+    ]);
+    this.record('Concurrent relays claim different events, oldest first', a.length === 1 && b.length === 1 &&
+      a[0].id !== b[0].id && [a[0].id, b[0].id].includes(envelope.id) && a[0].status === 'publishing', [a, b]);
+
+    const received = [];
+    bus.subscribe('event_created', published => received.push(published.id));
+    const relay = new DomainEventOutboxRelay({ storageAdapter: storage, eventBus: bus });
+    const summary = await relay.processDue({ now: new Date(now.getTime() + 31000) });
+    const published = await storage.findOutboxEvents({ status: 'published' });
+    this.record('Relay publishes from Postgres', summary.published === 2 && received.length === 2 &&
+      published.length === 2 && published.every(event => event.attempts === 1 && event.published_at !== null), summary);
+
+    let constrained = false;
+    try {
+      await storage.saveOutboxEvent({ ...published[0], status: 'lost' });
+    } catch (error) {
+      constrained = error.message.includes('domain_event_outbox_status_valid');
+    }
+    this.record('Unknown outbox statuses cannot be written', constrained);
+  }
+
+  // Helper methods
+
+  async grantCommunityConsent() {
+    for (const communityId of ['blkout-community', 'moderation-queue']) {
+      await this.service.consentLedger.grant({ communityId, scope: ['data_storage', 'data_retrieval'] });
+    }
+  }
+
+  async queueEvent(title, type = 'event') {
+    const submitted = await this.call('submitToModerationQueue', {
+      user: { memberId: 'member-amara', role: 'member' },
+      body: {
+        title,
+        content: `${title}, with food and music for all ages`,
+        type,
+        date: '2026-11-07',
+        author: 'Amara',
+        submitterEmail: 'amara@example.org',
+        revenueSharing: { creatorShare: 0.8 }
+      }
+    });
+    return submitted.body.submissionId;
+  }
+
+  silenceConsole() {
+    const original = { error: console.error, warn: console.warn };
+    const captured = { errors: [] };
+    console.error = console.warn = (...args) => captured.errors.push(args.map(String).join(' '));
+    captured.restore = () => Object.assign(console, original);
+    return captured;
+  }
+
+  settle() {
+    return new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  async call(handler, req) {
+    const res = {
+      statusCode: 200,
+      body: null,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+
+    await gateway[handler]({ params: {}, query: {}, body: {}, headers: {}, ...req }, res);
+    return res;
+  }
+
+  record(name, passed, details) {
+    this.totalTests++;
+
+    if (passed) {
+      console.log(`      ✅ ${name}: PASSED`);
+      this.passingTests++;
+      this.testResults.push({ name, status: 'PASS' });
+    } else {
+      console.log(`      ❌ ${name}: FAILED`, details !== undefined ? details : '');
+      this.testResults.push({ name, status: 'FAIL', details });
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  async function runTests() {
+    const testSuite = new DomainEventBusTestSuite();
+    const results = await testSuite.runAllTests();
+
+    if (!results.success) {
+      process.exit(1);
+    }
+  }
+
+  runTests();
+}
+
+module.exports = DomainEventBusTestSuite;
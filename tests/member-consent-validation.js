@@ -0,0 +1,233 @@
+/**
+ * Member Consent Self-Service Validation
+ * Tests the /api/v1/me/consents gateway handlers and withdrawal cascade
+ *
+ * VALIDATION:
+ * ✓ Requests without an authenticated member are refused with 401
+ * ✓ Members list and grant only their own consents
+ * ✓ Withdrawal requires a reason and cannot touch other members' consents
+ * ✓ Content a member creates is stored under their own consent
+ * ✓ Withdrawal overrides community-wide consent for the member's data
+ * ✓ Withdrawn data is excluded from insights aggregation
+ */
+
+process.env.DATA_STORAGE_ADAPTER = 'memory';
+
+const { gateway } = require('../layer-2-api-gateway/api-gateway');
+const DataSovereigntyService = require('../layer-5-data-sovereignty/DataSovereigntyService');
+const { InMemoryStorageAdapter } = require('../layer-5-data-sovereignty/storage');
+
+const COMMUNITY = DataSovereigntyService.DEFAULT_COMMUNITY_ID;
+const AMARA = { memberId: 'member-amara', role: 'member' };
+const KEISHA = { memberId: 'member-keisha', role: 'member' };
+
+class MemberConsentTestSuite {
+  constructor() {
+    this.storage = new InMemoryStorageAdapter();
+    this.service = new DataSovereigntyService(this.storage);
+    gateway.dataSovereigntyService = this.service;
+
+    this.testResults = [];
+    this.passingTests = 0;
+    this.totalTests = 0;
+  }
+
+  async runAllTests() {
+    console.log('\n🤝 MEMBER CONSENT SELF-SERVICE TEST SUITE');
+    console.log('═════════════════════════════════════════════════════════════');
+
+    try {
+      await this.testAuthenticationRequired();
+      await this.testGrantAndList();
+      await this.testWithdrawalValidation();
+      await this.testWithdrawalCascade();
+
+      console.log('\n📊 MEMBER CONSENT TEST RESULTS:');
+      console.log(`✅ Passing tests: ${this.passingTests}/${this.totalTests}`);
+
+      if (this.passingTests === this.totalTests) {
+        console.log('🏛️ Member consent self-service VALIDATED!');
+        return { success: true, tests: this.testResults };
+      } else {
+        console.error('🚨 Member consent validation FAILED!');
+        return { success: false, tests: this.testResults };
+      }
+
+    } catch (error) {
+      console.error('🚨 Member consent test suite failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async testAuthenticationRequired() {
+    console.log('\n   🔐 Testing authentication...');
+
+    const list = await this.call('getMyConsents', { query: {} });
+    const grant = await this.call('grantMyConsent', { body: { scope: ['data_storage'] } });
+    const withdraw = await this.call('withdrawMyConsent', { params: { id: 'any' }, body: { reason: 'Leaving' } });
+
+    this.record('Unauthenticated requests refused', [list, grant, withdraw].every(res => res.statusCode === 401));
+  }
+
+  async testGrantAndList() {
+    console.log('\n   ✍️ Testing grant and list...');
+
+    const granted = await this.call('grantMyConsent', {
+      user: { memberId: 'member-amara' },
+      body: { scope: 'data_storage data_retrieval', memberId: 'member-keisha' }
+    });
+    this.amaraConsent = granted.body.consent;
+    this.record('Consent granted for the authenticated member', granted.statusCode === 201 &&
+      this.amaraConsent.status === 'active' && this.amaraConsent.consentType === 'explicit' &&
+      this.amaraConsent.communityId === COMMUNITY, granted.body);
+
+    const stored = await this.service.consentLedger.findConsent(this.amaraConsent.id);
+    this.record('Body cannot grant for another member', stored.data_subject_id === 'member-amara');
+
+    await this.call('grantMyConsent', { user: { memberId: 'member-keisha' }, body: { scope: ['data_storage'] } });
+    await this.service.consentLedger.grant({ communityId: COMMUNITY, scope: ['data_storage', 'data_retrieval'] });
+
+    const listed = await this.call('getMyConsents', { user: { memberId: 'member-amara' }, query: {} });
+    this.record('List shows only the member\'s own consents', listed.body.count === 1 &&
+      listed.body.consents[0].id === this.amaraConsent.id, listed.body);
+
+    const missingScope = await this.call('grantMyConsent', { user: { memberId: 'member-amara' }, body: { scope: [] } });
+    const pastExpiry = await this.call('grantMyConsent', {
+      user: { memberId: 'member-amara' },
+      body: { scope: ['data_storage'], expiresAt: '2020-01-01' }
+    });
+    this.record('Invalid grants rejected', missingScope.statusCode === 400 && pastExpiry.statusCode === 400);
+  }
+
+  async testWithdrawalValidation() {
+    console.log('\n   🚫 Testing withdrawal validation...');
+
+    const noReason = await this.call('withdrawMyConsent', {
+      user: { memberId: 'member-amara' },
+      params: { id: this.amaraConsent.id },
+      body: {}
+    });
+    this.record('Reason required', noReason.statusCode === 400);
+
+    const otherMember = await this.call('withdrawMyConsent', {
+      user: { memberId: 'member-keisha' },
+      params: { id: this.amaraConsent.id },
+      body: { reason: 'Not mine' }
+    });
+    const stillActive = await this.service.consentLedger.findConsent(this.amaraConsent.id);
+    this.record('Other members cannot withdraw it', otherMember.statusCode === 404 && stillActive.status === 'active');
+  }
+
+  async testWithdrawalCascade() {
+    console.log('\n   ✋ Testing withdrawal cascade...');
+
+    // Records reach the store through the gateway, owned by the signed-in member
+    const story = await this.call('createNewsContent', { user: AMARA, body: this.storyBody('Ballroom history night') });
+    const event = await this.call('createEvent', {
+      user: AMARA,
+      body: { title: 'Community garden day', description: 'Planting together, all ages welcome', date: '2026-11-07', location: 'Online' }
+    });
+    await this.call('createNewsContent', { user: KEISHA, body: this.storyBody('Mutual aid map') });
+    const storyId = story.body.contentId;
+
+    const stored = await this.storage.findById('stories', storyId);
+    this.record('Member\'s own consent recorded at write time', story.statusCode === 201 && event.statusCode === 201 &&
+      stored.sovereignty.ownerId === 'member-amara' && stored.sovereignty.consentId === this.amaraConsent.id, stored.sovereignty);
+
+    const before = await this.service.retrieveCommunityInsightsWithGovernance({});
+    this.record('Insights aggregate stored records', before.aggregation.stories === 2 && before.aggregation.events === 1 &&
+      before.aggregation.contributors === 2, before.aggregation);
+
+    const withdrawal = await this.call('withdrawMyConsent', {
+      user: { memberId: 'member-amara' },
+      params: { id: this.amaraConsent.id },
+      body: { reason: 'Leaving the project' }
+    });
+    this.record('Withdrawal recorded with reason', withdrawal.statusCode === 200 &&
+      withdrawal.body.consent.status === 'withdrawn' &&
+      withdrawal.body.consent.withdrawalReason === 'Leaving the project', withdrawal.body);
+    this.record('Cascade reports excluded records', withdrawal.body.cascade.recordsExcluded === 2, withdrawal.body.cascade);
+
+    const after = await this.service.retrieveCommunityInsightsWithGovernance({});
+    this.record('Withdrawn data left out of insights', after.aggregation.stories === 1 && after.aggregation.events === 0 &&
+      after.aggregation.contributors === 1 && after.aggregation.excludedRecords === 2, after.aggregation);
+
+    const kept = await this.storage.findById('stories', storyId);
+    this.record('Records kept and flagged for the owner', kept.sovereignty.consentWithdrawn === true &&
+      kept.sovereignty.excludedFromAggregation === true);
+
+    try {
+      await this.service.retrieveWithGovernance({ dataId: storyId, accessType: 'member_read' });
+      this.record('Community consent does not override withdrawal', false, 'Retrieval was allowed');
+    } catch (error) {
+      this.record('Community consent does not override withdrawal', error.message.includes('consent_withdrawn'), error.message);
+    }
+
+    const again = await this.call('withdrawMyConsent', {
+      user: { memberId: 'member-amara' },
+      params: { id: this.amaraConsent.id },
+      body: { reason: 'Again' }
+    });
+    this.record('Second withdrawal reported as conflict', again.statusCode === 409);
+
+    const listed = await this.call('getMyConsents', { user: { memberId: 'member-amara' }, query: { includeInactive: 'true' } });
+    const active = await this.call('getMyConsents', { user: { memberId: 'member-amara' }, query: {} });
+    this.record('Withdrawn consent listed only with includeInactive', listed.body.count === 1 && active.body.count === 0);
+
+    const cascade = await this.service.findDataOperations({ operationType: 'consent_withdrawal_cascade' });
+    this.record('Cascade audited', cascade.length === 1 && cascade[0].audit_data.recordsExcluded === 2 &&
+      cascade[0].actor_id === 'member-amara');
+  }
+
+  // Helpers
+
+  storyBody(title) {
+    return {
+      title,
+      content: `${title}: Black queer community members share stories of liberation and mutual aid`,
+      author: 'Amara',
+      revenue: 100
+    };
+  }
+
+  async call(handler, req) {
+    const res = {
+      statusCode: 200,
+      body: null,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+
+    await gateway[handler]({ params: {}, query: {}, body: {}, ...req }, res);
+    return res;
+  }
+
+  record(name, passed, details) {
+    this.totalTests++;
+
+    if (passed) {
+      console.log(`      ✅ ${name}: PASSED`);
+      this.passingTests++;
+      this.testResults.push({ name, status: 'PASS' });
+    } else {
+      console.log(`      ❌ ${name}: FAILED`, details !== undefined ? details : '');
+      this.testResults.push({ name, status: 'FAIL', details });
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  async function runTests() {
+    const testSuite = new MemberConsentTestSuite();
+    const results = await testSuite.runAllTests();
+
+    if (!results.success) {
+      process.exit(1);
+    }
+  }
+
+  runTests();
+}
+
+module.exports = MemberConsentTestSuite;
@@ -0,0 +1,325 @@
+/**
+ * Pseudonymous Participation Validation
+ * Tests contextual pseudonyms, pseudonymous ballots and what public outputs show,
+ * in memory and on ephemeral Postgres
+ *
+ * VALIDATION:
+ * ✓ Pseudonyms are stable within a context and differ across contexts
+ * ✓ Ballots are stored without member IDs and still limited to one per member
+ * ✓ Audit log, moderation queue and proposal authorship show only pseudonyms
+ * ✓ community_voting_records enforces one ballot per voting pseudonym, whichever path cast it
+ */
+
+process.env.DATA_STORAGE_ADAPTER = 'memory';
+
+const crypto = require('crypto');
+const { gateway } = require('../layer-2-api-gateway/api-gateway');
+const IdentityProtection = require('../layer-2-api-gateway/IdentityProtection');
+const CommunityVoteService = require('../layer-2-api-gateway/CommunityVoteService');
+const DemocraticGovernanceServiceImpl = require('../layer-3-business-logic/services/DemocraticGovernanceServiceImpl');
+const {
+  CommunityDataRepositoryImpl,
+  GovernanceDataRepositoryImpl,
+  AuditTrailRepositoryImpl
+} = require('../layer-5-data-sovereignty/RefactoredDataSovereigntyRepository');
+const DataSovereigntyService = require('../layer-5-data-sovereignty/DataSovereigntyService');
+const { InMemoryStorageAdapter, PostgresStorageAdapter } = require('../layer-5-data-sovereignty/storage');
+const { createEphemeralDatabase } = require('./support/ephemeral-postgres');
+
+const SECRET = 'pseudonym-test-secret';
+const AMARA = { memberId: 'member-amara', role: 'moderator', votingRightsActive: true };
+
+class PseudonymousParticipationTestSuite {
+  constructor() {
+    this.db = null;
+    this.storage = new InMemoryStorageAdapter();
+    this.service = new DataSovereigntyService(this.storage);
+    this.identity = new IdentityProtection({ secret: SECRET });
+    gateway.dataSovereigntyService = this.service;
+    gateway.identityProtection = this.identity;
+    gateway.voteService = new CommunityVoteService({
+      storageAdapter: this.storage,
+      identityProtection: this.identity,
+      dataSovereigntyService: this.service
+    });
+
+    this.testResults = [];
+    this.passingTests = 0;
+    this.totalTests = 0;
+  }
+
+  async runAllTests() {
+    console.log('\n🎭 PSEUDONYMOUS PARTICIPATION TEST SUITE');
+    console.log('═════════════════════════════════════════════════════════════');
+
+    try {
+      await this.seed();
+      this.testContextualPseudonyms();
+      this.testProposalAuthorship();
+      await this.testPseudonymousBallots();
+      await this.testPublicOutputs();
+
+      this.db = await createEphemeralDatabase({ migrate: true });
+      await this.testPostgresBallots();
+
+      console.log('\n📊 PSEUDONYMOUS PARTICIPATION TEST RESULTS:');
+      console.log(`✅ Passing tests: ${this.passingTests}/${this.totalTests}`);
+
+      if (this.passingTests === this.totalTests) {
+        console.log('🏛️ Pseudonymous participation VALIDATED!');
+        return { success: true, tests: this.testResults };
+      } else {
+        console.error('🚨 Pseudonymous participation validation FAILED!');
+        return { success: false, tests: this.testResults };
+      }
+
+    } catch (error) {
+      console.error('🚨 Pseudonymous participation test suite failed:', error);
+      return { success: false, error: error.message };
+    } finally {
+      if (this.db) {
+        await this.db.close();
+      }
+    }
+  }
+
+  async seed() {
+    await this.storage.saveMember({ id: 'member-amara', username: 'amara', email: 'amara@example.org' });
+    await this.storage.saveMember({ id: 'member-tunde', username: 'tunde', email: 'tunde@example.org', voting_rights_active: false });
+    await this.storage.saveGovernanceProposal({
+      id: 'proposal-open',
+      title: 'Fund the winter shelter',
+      description: 'Allocate the solidarity fund to the winter shelter',
+      proposal_type: 'funding',
+      created_by: 'member-amara'
+    });
+    await this.storage.saveGovernanceProposal({
+      id: 'proposal-closed',
+      title: 'Rename the newsletter',
+      description: 'Rename the newsletter',
+      proposal_type: 'policy_change',
+      status: 'closed',
+      created_by: 'member-amara'
+    });
+    for (const communityId of ['blkout-community', 'moderation-queue']) {
+      await this.service.consentLedger.grant({ communityId, scope: ['data_storage', 'data_retrieval'] });
+    }
+  }
+
+  testContextualPseudonyms() {
+    console.log('\n   🎭 Testing contextual pseudonyms...');
+
+    const voting = this.identity.pseudonymFor('member-amara', 'voting');
+    const contexts = IdentityProtection.PSEUDONYM_CONTEXTS.map(context => this.identity.pseudonymFor('member-amara', context));
+
+    this.record('Stable within a context', voting === this.identity.pseudonymFor('member-amara', 'voting') &&
+      /^public_[0-9a-f]{16}$/.test(voting));
+    this.record('Different in every context', new Set(contexts).size === contexts.length, contexts);
+    this.record('Audit public IDs use the audit context', this.identity.pseudonymise('member-amara') ===
+      this.identity.pseudonymFor('member-amara', 'audit'));
+    this.record('Different secret, different pseudonyms',
+      new IdentityProtection({ secret: 'another-secret' }).pseudonymFor('member-amara', 'voting') !== voting);
+
+    try {
+      this.identity.pseudonymFor('member-amara', 'marketing');
+      this.record('Unknown contexts rejected', false);
+    } catch (error) {
+      this.record('Unknown contexts rejected', error.message.includes('Unknown pseudonym context'));
+    }
+  }
+
+  testProposalAuthorship() {
+    console.log('\n   📝 Testing proposal authorship...');
+
+    const published = this.identity.protectProposal({
+      id: 'proposal-role',
+      title: 'Tunde joins moderation',
+      description: 'Tunde has volunteered',
+      proposal_type: 'role_change',
+      status: 'open',
+      created_by: 'member-amara',
+      proposal_payload: { memberId: 'member-tunde', role: 'moderator' }
+    });
+
+    this.record('Author shown as proposals pseudonym', published.author === this.identity.pseudonymFor('member-amara', 'proposals') &&
+      !('created_by' in published));
+    this.record('Members named in the payload pseudonymised', published.payload.role === 'moderator' &&
+      published.payload.memberId === this.identity.pseudonymFor('member-tunde', 'proposals'));
+  }
+
+  async testPseudonymousBallots() {
+    console.log('\n   🗳️ Testing pseudonymous ballots...');
+
+    const anonymous = await this.call('castVote', { body: { proposalId: 'proposal-open', decision: 'approve' } });
+    const invalid = await this.call('castVote', { user: AMARA, body: { proposalId: 'proposal-open', decision: 'maybe' } });
+    const unknown = await this.call('castVote', { user: AMARA, body: { proposalId: 'proposal-none', decision: 'approve' } });
+    const closed = await this.call('castVote', { user: AMARA, body: { proposalId: 'proposal-closed', decision: 'approve' } });
+    this.record('Ballots need a session, a decision and an open proposal', anonymous.statusCode === 401 &&
+      invalid.statusCode === 400 && unknown.statusCode === 404 && closed.statusCode === 409 && closed.body.reason === 'voting_closed');
+
+    const cast = await this.call('castVote', {
+      user: AMARA,
+      body: { proposalId: 'proposal-open', decision: 'approve', reason: 'Winter is coming' }
+    });
+    this.record('Ballot recorded under the voting pseudonym', cast.statusCode === 201 &&
+      cast.body.vote.voter === this.identity.pseudonymFor('member-amara', 'voting') && cast.body.vote.decision === 'approve', cast.body);
+
+    const [stored] = await this.storage.findVotes({ proposalId: 'proposal-open' });
+    this.record('Stored ballot holds no member ID', !JSON.stringify(stored).includes('member-amara') && !('member_id' in stored));
+
+    const again = await this.call('castVote', { user: AMARA, body: { proposalId: 'proposal-open', decision: 'reject' } });
+    this.record('One member, one vote', again.statusCode === 409 && again.body.reason === 'already_voted' &&
+      (await this.storage.findVotes({ proposalId: 'proposal-open' })).length === 1);
+
+    const inactive = await this.call('castVote', {
+      user: { memberId: 'member-tunde', role: 'member' },
+      body: { proposalId: 'proposal-open', decision: 'approve' }
+    });
+    this.record('Inactive voting rights refused', inactive.statusCode === 403 && inactive.body.reason === 'permission_denied');
+
+    const ownVote = await gateway.voteService.findMemberVote('proposal-open', 'member-amara');
+    this.record('Members can find their own ballot', ownVote && ownVote.vote_decision === 'approve');
+  }
+
+  async testPublicOutputs() {
+    console.log('\n   🌍 Testing public outputs...');
+
+    const audit = await this.call('getAuditLog', { query: { operationType: 'governance_vote_cast' } });
+    const serialized = JSON.stringify(audit.body);
+    const votingPseudonym = this.identity.pseudonymFor('member-amara', 'voting');
+    this.record('Audit log shows the ballot without voter or decision', audit.body.count === 1 &&
+      !serialized.includes('member-amara') && !serialized.includes(votingPseudonym) && !serialized.includes('approve'), audit.body);
+
+    const submitted = await this.call('submitToModerationQueue', {
+      user: AMARA,
+      body: {
+        title: 'Community garden opens',
+        content: 'Community garden opens with a planting day for all ages',
+        revenueSharing: { creatorShare: 0.8 },
+        submitterEmail: 'amara@example.org'
+      }
+    });
+    await this.call('updateModerationItem', {
+      user: AMARA,
+      params: { id: submitted.body.submissionId },
+      body: { action: 'reject', notes: 'Duplicate listing' }
+    });
+
+    const queue = await this.call('getModerationQueue', { user: AMARA, query: { status: 'rejected' } });
+    const [item] = queue.body.queueItems;
+    const lastChange = item.statusHistory[item.statusHistory.length - 1];
+    this.record('Moderation queue shows moderation pseudonyms', lastChange.moderatorId === this.identity.pseudonymFor('member-amara', 'moderation') &&
+      !JSON.stringify(queue.body).includes('member-amara'), lastChange);
+    this.record('Moderation pseudonym differs from audit pseudonym', lastChange.moderatorId !== this.identity.pseudonymise('member-amara') &&
+      !('submitterEmail' in item));
+  }
+
+  async testPostgresBallots() {
+    console.log('\n   🗄️ Testing pseudonymous ballots on Postgres...');
+
+    const storage = new PostgresStorageAdapter(this.db);
+    const votes = new CommunityVoteService({
+      storageAdapter: storage,
+      identityProtection: this.identity,
+      dataSovereigntyService: new DataSovereigntyService(storage)
+    });
+
+    const amara = await storage.saveMember({ id: crypto.randomUUID(), username: 'amara', email: 'amara@example.org' });
+    const keisha = await storage.saveMember({ id: crypto.randomUUID(), username: 'keisha', email: 'keisha@example.org' });
+    const proposal = await storage.saveGovernanceProposal({
+      id: crypto.randomUUID(),
+      title: 'Fund the winter shelter',
+      description: 'Allocate the solidarity fund to the winter shelter',
+      proposal_type: 'funding',
+      liberation_principles_score: 0.9,
+      voting_start_date: new Date(Date.now() - 86400000).toISOString(),
+      voting_end_date: new Date(Date.now() + 86400000).toISOString(),
+      created_by: amara.id
+    });
+
+    const first = await votes.castVote({ proposalId: proposal.id, memberId: amara.id, decision: 'approve' });
+    await votes.castVote({ proposalId: proposal.id, memberId: keisha.id, decision: 'reject' });
+    const { rows } = await this.db.query('SELECT member_id, voter_pseudonym FROM community_voting_records ORDER BY vote_timestamp');
+    this.record('Ballots stored without member IDs', first.success && rows.length === 2 &&
+      rows.every(row => row.member_id === null && /^public_/.test(row.voter_pseudonym)), rows);
+
+    const again = await votes.castVote({ proposalId: proposal.id, memberId: amara.id, decision: 'abstain' });
+    this.record('Second ballot refused by the database', again.success === false && again.reason === 'already_voted');
+
+    const { rows: metrics } = await this.db.query('SELECT unique_voters, total_votes FROM democratic_participation_metrics');
+    this.record('Participation metrics count pseudonymous voters', Number(metrics[0].unique_voters) === 2 &&
+      Number(metrics[0].total_votes) === 2, metrics);
+
+    // Ballots cast through the Layer 3 governance service share the same pseudonyms and constraint
+    const auditTrail = new AuditTrailRepositoryImpl(this.db);
+    const governance = new DemocraticGovernanceServiceImpl(
+      new CommunityDataRepositoryImpl(this.db),
+      auditTrail,
+      new GovernanceDataRepositoryImpl(this.db),
+      this.identity
+    );
+    const jordan = await storage.saveMember({ id: crypto.randomUUID(), username: 'jordan', email: 'jordan@example.org' });
+    const viaService = await governance.castVote({ proposalId: proposal.id, memberId: jordan.id, decision: 'support' });
+    const viaApi = await votes.castVote({ proposalId: proposal.id, memberId: jordan.id, decision: 'reject' });
+    const alreadyVoted = await governance.castVote({ proposalId: proposal.id, memberId: amara.id, decision: 'oppose' });
+    const { rows: ballots } = await this.db.query(
+      'SELECT member_id, voter_pseudonym FROM community_voting_records WHERE proposal_id = $1', [proposal.id]
+    );
+    this.record('Governance service ballots use the voting pseudonym', viaService.recorded === true &&
+      ballots.length === 3 && ballots.every(row => row.member_id === null) &&
+      ballots.some(row => row.voter_pseudonym === this.identity.pseudonymFor(jordan.id, 'voting')), ballots);
+    this.record('One ballot per member across both vote paths', viaApi.success === false && viaApi.reason === 'already_voted' &&
+      alreadyVoted.recorded === false && alreadyVoted.reason === 'duplicate_vote', { viaApi, alreadyVoted });
+
+    const voteAudits = [
+      ...await auditTrail.findAuditsByOperationType('vote_recorded'),
+      ...await auditTrail.findAuditsByOperationType('vote_rejected')
+    ];
+    const auditText = JSON.stringify(voteAudits);
+    this.record('Governance vote audits hold neither member IDs nor decisions', voteAudits.length === 2 &&
+      !auditText.includes(jordan.id) && !auditText.includes(amara.id) && !/support|oppose|approve/.test(auditText), voteAudits);
+  }
+
+  // Helpers
+
+  async call(handler, req) {
+    const res = {
+      statusCode: 200,
+      body: null,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+
+    await gateway[handler]({ params: {}, query: {}, body: {}, ...req }, res);
+    return res;
+  }
+
+  record(name, passed, details) {
+    this.totalTests++;
+
+    if (passed) {
+      console.log(`      ✅ ${name}: PASSED`);
+      this.passingTests++;
+      this.testResults.push({ name, status: 'PASS' });
+    } else {
+      console.log(`      ❌ ${name}: FAILED`, details !== undefined ? details : '');
+      this.testResults.push({ name, status: 'FAIL', details });
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  async function runTests() {
+    const testSuite = new PseudonymousParticipationTestSuite();
+    const results = await testSuite.runAllTests();
+
+    if (!results.success) {
+      process.exit(1);
+    }
+  }
+
+  runTests();
+}
+
+module.exports = PseudonymousParticipationTestSuite;
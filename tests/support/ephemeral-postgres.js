@@ -0,0 +1,61 @@
+/**
+ * Ephemeral PostgreSQL for tests
+ *
+ * Runs a throwaway in-process Postgres (PGlite) and exposes the same
+ * query()/transaction()/close() surface as DatabaseConnectionFactory, so
+ * repositories and the migration runner can be exercised without a server.
+ */
+
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+const { MigrationRunner } = require('../../database/MigrationRunner');
+
+const MIGRATIONS_DIRECTORY = path.join(__dirname, '..', '..', 'database', 'migrations');
+
+/**
+ * Wrap a PGlite instance (or transaction) in the DatabaseConnection query contract
+ * Parameterless statements go through exec() so multi-statement migration files work.
+ */
+function wrap(pglite) {
+  return {
+    async query(text, params = []) {
+      if (params.length > 0) {
+        const result = await pglite.query(text, params);
+        return { rows: result.rows, rowCount: result.affectedRows || result.rows.length };
+      }
+
+      const results = await pglite.exec(text);
+      const last = results[results.length - 1] || { rows: [] };
+      return { rows: last.rows, rowCount: last.affectedRows || last.rows.length };
+    }
+  };
+}
+
+/**
+ * Create an empty ephemeral database
+ * @param {Object} options - { migrate: apply database/migrations when true }
+ * @returns {Promise<Object>} - DatabaseConnection-compatible handle
+ */
+async function createEphemeralDatabase(options = {}) {
+  const pglite = new PGlite();
+  await pglite.waitReady;
+
+  const connection = {
+    ...wrap(pglite),
+    transaction: (work) => pglite.transaction(transaction => work(wrap(transaction))),
+    healthCheck: async () => ({ healthy: true, responseTime: 0 }),
+    close: () => pglite.close(),
+    pglite
+  };
+
+  if (options.migrate) {
+    await new MigrationRunner(connection, { migrationsDirectory: MIGRATIONS_DIRECTORY }).up();
+  }
+
+  return connection;
+}
+
+module.exports = {
+  createEphemeralDatabase,
+  MIGRATIONS_DIRECTORY
+};
@@ -0,0 +1,316 @@
+/**
+ * Webhook Signature Validation
+ * Tests HMAC-signed BLKOUTHUB webhooks: timestamp tolerance, replay protection
+ * by nonce and two active secrets during rotation, in memory and on ephemeral Postgres
+ *
+ * VALIDATION:
+ * ✓ Requests signed with the current or previous secret reach the webhook
+ * ✓ Missing, wrong or tampered signatures and stale timestamps are refused (401)
+ * ✓ A nonce is accepted once; refused signatures do not use it up
+ * ✓ Without a configured secret the webhook is unavailable (503)
+ * ✓ Every verification is recorded in the audit log
+ */
+
+process.env.DATA_STORAGE_ADAPTER = 'memory';
+
+const crypto = require('crypto');
+const { gateway } = require('../layer-2-api-gateway/api-gateway');
+const WebhookSignatureVerifier = require('../layer-2-api-gateway/WebhookSignatureVerifier');
+const DataSovereigntyService = require('../layer-5-data-sovereignty/DataSovereigntyService');
+const { InMemoryStorageAdapter, PostgresStorageAdapter } = require('../layer-5-data-sovereignty/storage');
+const { createEphemeralDatabase } = require('./support/ephemeral-postgres');
+
+const CURRENT_SECRET = 'webhook-secret-2026-10';
+const PREVIOUS_SECRET = 'webhook-secret-2026-04';
+const PARTNER = { partnerId: 'partner-hub', keyId: 'key-hub', scopes: ['webhooks:post'] };
+const BODY = { action: 'rejected', contentType: 'story', contentId: 'story-1' };
+
+class WebhookSignatureTestSuite {
+  constructor() {
+    this.db = null;
+    this.storage = new InMemoryStorageAdapter();
+    this.service = new DataSovereigntyService(this.storage);
+    gateway.dataSovereigntyService = this.service;
+    gateway.webhookVerifier = this.createVerifier(this.storage, this.service);
+
+    this.testResults = [];
+    this.passingTests = 0;
+    this.totalTests = 0;
+  }
+
+  async runAllTests() {
+    console.log('\n✍️  WEBHOOK SIGNATURE TEST SUITE');
+    console.log('═════════════════════════════════════════════════════════════');
+
+    try {
+      await this.testAcceptedSignatures();
+      await this.testRefusedSignatures();
+      await this.testReplayProtection();
+      await this.testConfiguration();
+      await this.testAuditTrail();
+
+      this.db = await createEphemeralDatabase({ migrate: true });
+      await this.testPostgresNonces();
+
+      console.log('\n📊 WEBHOOK SIGNATURE TEST RESULTS:');
+      console.log(`✅ Passing tests: ${this.passingTests}/${this.totalTests}`);
+
+      if (this.passingTests === this.totalTests) {
+        console.log('✍️  Webhook signatures VALIDATED!');
+        return { success: true, tests: this.testResults };
+      } else {
+        console.error('🚨 Webhook signature validation FAILED!');
+        return { success: false, tests: this.testResults };
+      }
+
+    } catch (error) {
+      console.error('🚨 Webhook signature test suite failed:', error);
+      return { success: false, error: error.message };
+    } finally {
+      if (this.db) {
+        await this.db.close();
+      }
+    }
+  }
+
+  async testAcceptedSignatures() {
+    console.log('\n   ✅ Testing accepted signatures...');
+
+    const current = await this.send(this.signedRequest(CURRENT_SECRET));
+    this.record('Current secret reaches the webhook', current.statusCode === 200 &&
+      current.body.message === 'Only approved content is sent to BLKOUTHUB', current.body);
+
+    const previous = await this.send(this.signedRequest(PREVIOUS_SECRET));
+    this.record('Previous secret accepted during rotation', previous.statusCode === 200, previous.body);
+
+    const both = this.signedRequest(CURRENT_SECRET);
+    const { timestamp, nonce } = this.headerParts(both);
+    both.headers['x-webhook-signature'] = [
+      WebhookSignatureVerifier.sign('next-secret-not-yet-active', { timestamp, nonce, body: both.rawBody }),
+      both.headers['x-webhook-signature']
+    ].join(', ');
+    const multiple = await this.send(both);
+    this.record('Any one matching signature in the header is enough', multiple.statusCode === 200, multiple.body);
+
+    const skewed = await this.send(this.signedRequest(CURRENT_SECRET, { secondsAgo: 240 }));
+    this.record('Timestamps inside the tolerance window accepted', skewed.statusCode === 200, skewed.body);
+  }
+
+  async testRefusedSignatures() {
+    console.log('\n   🚫 Testing refused signatures...');
+
+    const unsigned = await this.send({ partner: PARTNER, headers: {}, rawBody: Buffer.from(JSON.stringify(BODY)), body: BODY });
+    this.record('Unsigned requests refused', unsigned.statusCode === 401 && unsigned.body.reason === 'signature_missing' &&
+      unsigned.body.layer === 'API Gateway authentication', unsigned.body);
+
+    const wrongSecret = await this.send(this.signedRequest('someone-elses-secret'));
+    this.record('Unknown secret refused', wrongSecret.statusCode === 401 && wrongSecret.body.reason === 'signature_invalid', wrongSecret.body);
+
+    const tampered = this.signedRequest(CURRENT_SECRET);
+    tampered.rawBody = Buffer.from(JSON.stringify({ ...BODY, action: 'approved' }));
+    tampered.body = JSON.parse(tampered.rawBody.toString());
+    const tamperedResult = await this.send(tampered);
+    this.record('Tampered body refused', tamperedResult.statusCode === 401 && tamperedResult.body.reason === 'signature_invalid', tamperedResult.body);
+
+    const stale = await this.send(this.signedRequest(CURRENT_SECRET, { secondsAgo: 600 }));
+    this.record('Stale timestamp refused', stale.statusCode === 401 && stale.body.reason === 'timestamp_outside_tolerance', stale.body);
+
+    const future = await this.send(this.signedRequest(CURRENT_SECRET, { secondsAgo: -600 }));
+    this.record('Future timestamp refused', future.statusCode === 401 && future.body.reason === 'timestamp_outside_tolerance', future.body);
+
+    const malformed = this.signedRequest(CURRENT_SECRET);
+    malformed.headers['x-webhook-timestamp'] = new Date().toISOString();
+    const malformedResult = await this.send(malformed);
+    this.record('Non-numeric timestamp refused', malformedResult.statusCode === 401 && malformedResult.body.reason === 'timestamp_invalid', malformedResult.body);
+
+    const parsedOnly = this.signedRequest(CURRENT_SECRET);
+    delete parsedOnly.rawBody;
+    const parsedOnlyResult = await this.send(parsedOnly);
+    this.record('Signed body must be the raw bytes', parsedOnlyResult.statusCode === 401 &&
+      parsedOnlyResult.body.reason === 'raw_body_unavailable', parsedOnlyResult.body);
+
+    const anonymous = await this.send({ ...this.signedRequest(CURRENT_SECRET), partner: undefined });
+    this.record('A signature does not replace the partner API key', anonymous.statusCode === 401 &&
+      anonymous.body.reason === 'api_key_required', anonymous.body);
+  }
+
+  async testReplayProtection() {
+    console.log('\n   🔁 Testing replay protection...');
+
+    const request = this.signedRequest(CURRENT_SECRET);
+    const first = await this.send(request);
+    const replay = await this.send(request);
+    this.record('A nonce is accepted once', first.statusCode === 200 && replay.statusCode === 401 &&
+      replay.body.reason === 'nonce_reused', replay.body);
+
+    const reSigned = this.signedRequest(PREVIOUS_SECRET, { nonce: this.headerParts(request).nonce });
+    const reSignedResult = await this.send(reSigned);
+    this.record('Replays refused whichever secret signed them', reSignedResult.statusCode === 401 &&
+      reSignedResult.body.reason === 'nonce_reused', reSignedResult.body);
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const forged = await this.send(this.signedRequest('forged-secret', { nonce }));
+    const genuine = await this.send(this.signedRequest(CURRENT_SECRET, { nonce }));
+    this.record('Refused signatures do not use up the nonce', forged.statusCode === 401 && genuine.statusCode === 200, genuine.body);
+
+    const otherSource = this.createVerifier(this.storage, this.service, { source: 'other-partner' });
+    const elsewhere = await otherSource.verify({ partner: PARTNER, ...this.signedRequest(CURRENT_SECRET, { nonce }) });
+    this.record('Nonces are remembered per source', elsewhere.valid === true, elsewhere);
+
+    await this.storage.recordWebhookNonce({
+      source: 'blkouthub',
+      nonce: 'expired-nonce',
+      received_at: new Date(Date.now() - 3600000).toISOString(),
+      expires_at: new Date(Date.now() - 1000).toISOString()
+    });
+    const reused = await this.send(this.signedRequest(CURRENT_SECRET, { nonce: 'expired-nonce' }));
+    this.record('Expired nonces are forgotten', reused.statusCode === 200, reused.body);
+  }
+
+  async testConfiguration() {
+    console.log('\n   ⚙️  Testing configuration...');
+
+    const configured = gateway.webhookVerifier;
+    gateway.webhookVerifier = this.createVerifier(this.storage, this.service, { secrets: [] });
+    const unconfigured = await this.send(this.signedRequest(CURRENT_SECRET));
+    gateway.webhookVerifier = configured;
+    this.record('No configured secret makes the webhook unavailable', unconfigured.statusCode === 503 &&
+      unconfigured.body.reason === 'webhook_secret_unconfigured', unconfigured.body);
+
+    let refusedThree = false;
+    try {
+      this.createVerifier(this.storage, this.service, { secrets: ['a', 'b', 'c'] });
+    } catch (error) {
+      refusedThree = error.message.includes('At most two webhook secrets');
+    }
+    this.record('At most two secrets active at once', refusedThree);
+
+    const narrow = this.createVerifier(this.storage, this.service, { toleranceSeconds: 30 });
+    const outside = await narrow.verify({ partner: PARTNER, ...this.signedRequest(CURRENT_SECRET, { secondsAgo: 60 }) });
+    this.record('Tolerance window is configurable', outside.valid === false && outside.reason === 'timestamp_outside_tolerance', outside);
+  }
+
+  async testAuditTrail() {
+    console.log('\n   📜 Testing audit trail...');
+
+    const entries = await this.service.findDataOperations({ operationType: 'webhook_signature_verification' });
+    const accepted = entries.filter(entry => entry.audit_data.valid === true);
+    const refused = entries.filter(entry => entry.audit_data.valid === false);
+
+    this.record('Every verification recorded', entries.length > 0 && accepted.length > 0 && refused.length > 0 &&
+      entries.every(entry => entry.audit_data.source === 'blkouthub' || entry.audit_data.source === 'other-partner'), entries.length);
+    this.record('Accepted entries note which secret matched', accepted.some(entry => entry.audit_data.secret === 'current') &&
+      accepted.some(entry => entry.audit_data.secret === 'previous'));
+    this.record('Refused entries keep the reason and partner', refused.some(entry => entry.audit_data.reason === 'nonce_reused') &&
+      refused.every(entry => entry.audit_data.reason) && refused.some(entry => entry.actor_id === PARTNER.partnerId));
+    this.record('Secrets never reach the audit log', !JSON.stringify(entries).includes(CURRENT_SECRET) &&
+      !JSON.stringify(entries).includes(PREVIOUS_SECRET));
+  }
+
+  async testPostgresNonces() {
+    console.log('\n   🐘 Testing webhook nonces on Postgres...');
+
+    const storage = new PostgresStorageAdapter(this.db);
+    const service = new DataSovereigntyService(storage);
+    const verifier = this.createVerifier(storage, service);
+
+    const request = { partner: PARTNER, ...this.signedRequest(CURRENT_SECRET) };
+    const first = await verifier.verify(request);
+    const replay = await verifier.verify(request);
+    this.record('Postgres accepts a nonce once', first.valid === true && replay.valid === false &&
+      replay.reason === 'nonce_reused', replay);
+
+    const previous = await verifier.verify({ partner: PARTNER, ...this.signedRequest(PREVIOUS_SECRET) });
+    this.record('Postgres verifier accepts the previous secret', previous.valid === true && previous.secret === 'previous', previous);
+
+    await this.db.query(
+      `INSERT INTO webhook_nonces (source, nonce, received_at, expires_at)
+       VALUES ('blkouthub', 'expired-nonce', NOW() - INTERVAL '1 hour', NOW() - INTERVAL '1 second')`
+    );
+    const expired = await verifier.verify({ partner: PARTNER, ...this.signedRequest(CURRENT_SECRET, { nonce: 'expired-nonce' }) });
+    this.record('Postgres forgets expired nonces', expired.valid === true, expired);
+
+    const { rows } = await this.db.query('SELECT COUNT(*)::int AS count FROM webhook_nonces WHERE expires_at <= NOW()');
+    this.record('Expired nonces pruned on Postgres', rows[0].count === 0, rows[0]);
+
+    const entries = await service.findDataOperations({ operationType: 'webhook_signature_verification' });
+    this.record('Postgres verifications recorded in the audit log', entries.length === 4 &&
+      entries.filter(entry => entry.audit_data.valid === false).length === 1, entries.length);
+  }
+
+  // Helpers
+
+  createVerifier(storageAdapter, dataSovereigntyService, overrides = {}) {
+    return new WebhookSignatureVerifier({
+      source: 'blkouthub',
+      storageAdapter,
+      dataSovereigntyService,
+      secrets: [CURRENT_SECRET, PREVIOUS_SECRET],
+      ...overrides
+    });
+  }
+
+  signedRequest(secret, { secondsAgo = 0, nonce = crypto.randomBytes(16).toString('hex'), body = BODY } = {}) {
+    const rawBody = Buffer.from(JSON.stringify(body));
+    const timestamp = String(Math.floor(Date.now() / 1000) - secondsAgo);
+
+    return {
+      partner: PARTNER,
+      headers: {
+        'x-webhook-timestamp': timestamp,
+        'x-webhook-nonce': nonce,
+        'x-webhook-signature': WebhookSignatureVerifier.sign(secret, { timestamp, nonce, body: rawBody })
+      },
+      rawBody,
+      body: JSON.parse(rawBody.toString())
+    };
+  }
+
+  headerParts(request) {
+    return {
+      timestamp: request.headers['x-webhook-timestamp'],
+      nonce: request.headers['x-webhook-nonce']
+    };
+  }
+
+  async send(req) {
+    const res = {
+      statusCode: 200,
+      body: null,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+
+    await gateway.blkouthubWebhook({ params: {}, query: {}, body: {}, headers: {}, ...req }, res);
+    return res;
+  }
+
+  record(name, passed, details) {
+    this.totalTests++;
+
+    if (passed) {
+      console.log(`      ✅ ${name}: PASSED`);
+      this.passingTests++;
+      this.testResults.push({ name, status: 'PASS' });
+    } else {
+      console.log(`      ❌ ${name}: FAILED`, details !== undefined ? details : '');
+      this.testResults.push({ name, status: 'FAIL', details });
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  async function runTests() {
+    const testSuite = new WebhookSignatureTestSuite();
+    const results = await testSuite.runAllTests();
+
+    if (!results.success) {
+      process.exit(1);
+    }
+  }
+
+  runTests();
+}
+
+module.exports = WebhookSignatureTestSuite;